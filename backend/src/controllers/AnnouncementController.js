@@ -0,0 +1,225 @@
+const Announcement = require("../models/Announcement")
+const validator = require('validator')
+const { uploadAttachment, signAttachments, removeAttachments } = require("../utils/classAttachments")
+const { notifyAnnouncementPosted } = require("../utils/notifier")
+
+/** Tamanho máximo do texto de um aviso. */
+const MAX_BODY_LENGTH = 5000
+
+/**
+ * Lê o campo `pinned`, que chega como texto quando o corpo é multipart.
+ *
+ * @param {*} value
+ * @returns {boolean|undefined} `undefined` quando o valor não é um booleano válido.
+ */
+function parsePinned(value) {
+    if (value === true || value === "true") return true
+    if (value === false || value === "false") return false
+    return undefined
+}
+
+/**
+ * Valida título e texto de um aviso.
+ *
+ * @param {{title?: string, body?: string}} data
+ * @param {boolean} partial - `true` na edição (campos omitidos são ignorados).
+ * @returns {string|null} Mensagem de erro ou `null`.
+ */
+function validateAnnouncement({ title, body }, partial) {
+    if (!partial || title !== undefined) {
+        if (typeof title !== "string" || !validator.isLength(title.trim(), { min: 3, max: 150 })) {
+            return "O título deve ter entre 3 e 150 caracteres."
+        }
+    }
+    if (!partial || body !== undefined) {
+        if (typeof body !== "string" || !validator.isLength(body.trim(), { min: 1, max: MAX_BODY_LENGTH })) {
+            return `O aviso deve ter entre 1 e ${MAX_BODY_LENGTH} caracteres.`
+        }
+    }
+    return null
+}
+
+/**
+ * Controlador do mural de avisos das turmas.
+ *
+ * Apenas o professor da disciplina publica, edita, fixa e exclui avisos; os alunos
+ * matriculados os visualizam. O anexo opcional usa o middleware `Archive`.
+ */
+class AnnouncementController {
+
+    /**
+     * Lista os avisos da turma (fixados primeiro), com a URL temporária do anexo.
+     *
+     * @async
+     * @param {import("express").Request} request
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * GET /classes/4/announcements
+     * // { "status": true, "announcements": [{ "id": 3, "title": "Prova remarcada", "pinned": true, "attachment_url": null, ... }] }
+     */
+    async list(request, response) {
+        try {
+            const { id } = request.params
+            if (!validator.isInt(id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "ID da turma inválido." })
+            }
+
+            const announcements = await Announcement.listByClass(Number(id))
+            if (!announcements) {
+                return response.status(500).json({ status: false, message: "Erro ao buscar avisos." })
+            }
+
+            await signAttachments(announcements)
+            return response.status(200).json({ status: true, announcements })
+        } catch (err) {
+            console.error("Erro ao listar avisos:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Publica um aviso na turma e notifica os alunos.
+     *
+     * - Corpo multipart: `title`, `body`, `pinned` (opcional) e o arquivo `attachment` (opcional).
+     *
+     * @async
+     * @param {import("express").Request} request
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * POST /classes/4/announcements
+     * // { "status": true, "message": "Aviso publicado com sucesso.", "announcement": { ... } }
+     */
+    async create(request, response) {
+        try {
+            const { id } = request.params
+            const { title, body, pinned: pinnedField } = request.body || {}
+            if (!validator.isInt(id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "ID da turma inválido." })
+            }
+
+            const error = validateAnnouncement({ title, body }, false)
+            if (error) return response.status(422).json({ status: false, message: error })
+
+            const pinned = pinnedField === undefined ? false : parsePinned(pinnedField)
+            if (pinned === undefined) {
+                return response.status(422).json({ status: false, message: "Valor de fixação inválido." })
+            }
+
+            const upload = await uploadAttachment(request.file, "announcements")
+            if (!upload) {
+                return response.status(500).json({ status: false, message: "Erro ao enviar o anexo." })
+            }
+
+            const announcement = await Announcement.create({
+                class_id: Number(id),
+                author_id: request.user.id,
+                title: title.trim(),
+                body: body.trim(),
+                pinned,
+                ...upload
+            })
+            if (!announcement) {
+                await removeAttachments([upload.attachment])
+                return response.status(500).json({ status: false, message: "Erro ao publicar aviso." })
+            }
+
+            await notifyAnnouncementPosted({ announcement_id: announcement.id, class_id: Number(id), title: announcement.title })
+            await signAttachments([announcement])
+            return response.status(201).json({ status: true, message: "Aviso publicado com sucesso.", announcement })
+        } catch (err) {
+            console.error("Erro ao publicar aviso:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Edita o título ou o texto de um aviso, ou o fixa/desafixa no topo do mural.
+     *
+     * @async
+     * @param {import("express").Request} request
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * PATCH /announcements/3
+     * { "pinned": true }
+     * // { "status": true, "message": "Aviso atualizado com sucesso.", "announcement": { ... } }
+     */
+    async update(request, response) {
+        try {
+            const { id } = request.params
+            if (!validator.isInt(id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "Aviso inválido." })
+            }
+
+            const { title, body, pinned } = request.body || {}
+            const error = validateAnnouncement({ title, body }, true)
+            if (error) return response.status(422).json({ status: false, message: error })
+
+            const changes = {}
+            if (title !== undefined) changes.title = title.trim()
+            if (body !== undefined) changes.body = body.trim()
+            if (pinned !== undefined) {
+                changes.pinned = parsePinned(pinned)
+                if (changes.pinned === undefined) {
+                    return response.status(422).json({ status: false, message: "Valor de fixação inválido." })
+                }
+            }
+            if (Object.keys(changes).length === 0) {
+                return response.status(422).json({ status: false, message: "Nenhuma alteração informada." })
+            }
+
+            const announcement = await Announcement.update(Number(id), changes)
+            if (!announcement) {
+                return response.status(500).json({ status: false, message: "Erro ao atualizar aviso." })
+            }
+
+            await signAttachments([announcement])
+            return response.status(200).json({ status: true, message: "Aviso atualizado com sucesso.", announcement })
+        } catch (err) {
+            console.error("Erro ao atualizar aviso:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Exclui um aviso e o seu anexo.
+     *
+     * @async
+     * @param {import("express").Request} request
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * DELETE /announcements/3
+     * // { "status": true, "message": "Aviso excluído com sucesso." }
+     */
+    async delete(request, response) {
+        try {
+            const { id } = request.params
+            if (!validator.isInt(id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "Aviso inválido." })
+            }
+
+            const deleted = await Announcement.deleteById(Number(id))
+            if (deleted === undefined) {
+                return response.status(500).json({ status: false, message: "Erro ao excluir aviso." })
+            }
+            if (!deleted) {
+                return response.status(404).json({ status: false, message: "Aviso não encontrado." })
+            }
+
+            await removeAttachments([deleted.attachment])
+            return response.status(200).json({ status: true, message: "Aviso excluído com sucesso." })
+        } catch (err) {
+            console.error("Erro ao excluir aviso:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+}
+
+module.exports = new AnnouncementController()
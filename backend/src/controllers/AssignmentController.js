@@ -0,0 +1,347 @@
+const Assignment = require("../models/Assignment")
+const validator = require('validator')
+const { ROLES } = require("../middleware/auth")
+const { validateAssignment, validateGrade, finalPoints } = require("../utils/assignmentSchema")
+const { uploadAttachment, signAttachments, removeAttachments } = require("../utils/classAttachments")
+const { notifyAssignmentPosted, notifyAssignmentGraded } = require("../utils/notifier")
+
+/**
+ * Confere se a política `penalty` tem um desconto por dia de atraso maior que zero.
+ *
+ * @param {{late_policy: string, late_penalty: number|string}} assignment
+ * @returns {string|null} Mensagem de erro ou `null`.
+ */
+function validatePenalty({ late_policy, late_penalty }) {
+    if (late_policy === "penalty" && !(Number(late_penalty) > 0)) {
+        return "Informe o desconto por dia de atraso."
+    }
+    return null
+}
+
+/**
+ * Controlador das atividades com entrega de arquivo das turmas.
+ *
+ * - O professor da disciplina publica, edita e exclui atividades e avalia as entregas
+ *   com nota e comentário.
+ * - Alunos matriculados enviam um arquivo por atividade (middleware `Archive`) e podem
+ *   substituí-lo até a entrega ser avaliada, respeitando a política de atraso.
+ * - A nota final entra no desempenho do aluno (`Performance.getStudentReport`).
+ */
+class AssignmentController {
+
+    /**
+     * Lista as atividades da turma. O aluno recebe a própria entrega em cada atividade;
+     * o professor, a quantidade de entregas e de entregas avaliadas.
+     *
+     * @async
+     * @param {import("express").Request} request
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * GET /classes/4/assignments
+     * // { "status": true, "assignments": [{ "id": 2, "title": "Relatório de laboratório", "due_at": "...", "submission": null, ... }] }
+     */
+    async list(request, response) {
+        try {
+            const { id } = request.params
+            if (!validator.isInt(id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "ID da turma inválido." })
+            }
+
+            const student = request.user.role === ROLES.STUDENT
+            const assignments = await Assignment.listByClass(Number(id), { student_id: student ? request.user.id : null })
+            if (!assignments) {
+                return response.status(500).json({ status: false, message: "Erro ao buscar atividades." })
+            }
+
+            if (student) await signAttachments(assignments.map(a => a.submission).filter(Boolean))
+            return response.status(200).json({ status: true, assignments })
+        } catch (err) {
+            console.error("Erro ao listar atividades:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Publica uma atividade na turma e notifica os alunos.
+     *
+     * @async
+     * @param {import("express").Request} request
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * POST /classes/4/assignments
+     * { "title": "Relatório de laboratório", "instructions": "...", "due_at": "2025-12-20T23:59:00-03:00", "late_policy": "penalty", "late_penalty": 10, "max_points": 10 }
+     * // { "status": true, "message": "Atividade publicada com sucesso.", "assignment": { ... } }
+     */
+    async create(request, response) {
+        try {
+            const { id } = request.params
+            if (!validator.isInt(id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "ID da turma inválido." })
+            }
+
+            const { error, value } = validateAssignment(request.body)
+            if (error) return response.status(422).json({ status: false, message: error })
+
+            const penaltyError = validatePenalty(value)
+            if (penaltyError) return response.status(422).json({ status: false, message: penaltyError })
+
+            const assignment = await Assignment.create({ ...value, class_id: Number(id), created_by: request.user.id })
+            if (!assignment) {
+                return response.status(500).json({ status: false, message: "Erro ao publicar atividade." })
+            }
+
+            await notifyAssignmentPosted(assignment)
+            return response.status(201).json({ status: true, message: "Atividade publicada com sucesso.", assignment })
+        } catch (err) {
+            console.error("Erro ao publicar atividade:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Edita uma atividade. Notas já atribuídas não são recalculadas.
+     *
+     * @async
+     * @param {import("express").Request} request
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * PATCH /assignments/2
+     * { "due_at": "2025-12-22T23:59:00-03:00" }
+     * // { "status": true, "message": "Atividade atualizada com sucesso.", "assignment": { ... } }
+     */
+    async update(request, response) {
+        try {
+            const { id } = request.params
+            if (!validator.isInt(id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "Atividade inválida." })
+            }
+
+            const { error, value } = validateAssignment(request.body, true)
+            if (error) return response.status(422).json({ status: false, message: error })
+
+            const current = await Assignment.findById(Number(id))
+            if (!current) {
+                return response.status(404).json({ status: false, message: "Atividade não encontrada." })
+            }
+
+            const penaltyError = validatePenalty({ ...current, ...value })
+            if (penaltyError) return response.status(422).json({ status: false, message: penaltyError })
+
+            const assignment = await Assignment.update(Number(id), value)
+            if (!assignment) {
+                return response.status(500).json({ status: false, message: "Erro ao atualizar atividade." })
+            }
+
+            return response.status(200).json({ status: true, message: "Atividade atualizada com sucesso.", assignment })
+        } catch (err) {
+            console.error("Erro ao atualizar atividade:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Exclui uma atividade, as suas entregas e os arquivos enviados.
+     *
+     * @async
+     * @param {import("express").Request} request
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * DELETE /assignments/2
+     * // { "status": true, "message": "Atividade excluída com sucesso." }
+     */
+    async delete(request, response) {
+        try {
+            const { id } = request.params
+            if (!validator.isInt(id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "Atividade inválida." })
+            }
+
+            const attachments = await Assignment.deleteById(Number(id))
+            if (attachments === undefined) {
+                return response.status(500).json({ status: false, message: "Erro ao excluir atividade." })
+            }
+            if (!attachments) {
+                return response.status(404).json({ status: false, message: "Atividade não encontrada." })
+            }
+
+            await removeAttachments(attachments)
+            return response.status(200).json({ status: true, message: "Atividade excluída com sucesso." })
+        } catch (err) {
+            console.error("Erro ao excluir atividade:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Lista os alunos da turma com a entrega de cada um na atividade.
+     *
+     * @async
+     * @param {import("express").Request} request
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * GET /assignments/2/submissions
+     * // { "status": true, "assignment": { ... }, "students": [{ "student_id": 7, "student_name": "Ana", "submission": { "late": false, "attachment_url": "...", ... } }] }
+     */
+    async submissions(request, response) {
+        try {
+            const { id } = request.params
+            if (!validator.isInt(id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "Atividade inválida." })
+            }
+
+            const assignment = await Assignment.findById(Number(id))
+            if (!assignment) {
+                return response.status(404).json({ status: false, message: "Atividade não encontrada." })
+            }
+
+            const students = await Assignment.listSubmissions(assignment)
+            if (!students) {
+                return response.status(500).json({ status: false, message: "Erro ao buscar entregas." })
+            }
+
+            await signAttachments(students.map(s => s.submission).filter(Boolean))
+            return response.status(200).json({ status: true, assignment, students })
+        } catch (err) {
+            console.error("Erro ao listar entregas:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Recebe o arquivo do aluno para a atividade.
+     *
+     * - Corpo multipart com o arquivo `attachment` (obrigatório).
+     * - Após o prazo, a entrega é recusada na política `reject` e marcada como atrasada nas demais.
+     * - Um novo envio substitui o anterior, desde que a entrega ainda não tenha sido avaliada.
+     *
+     * @async
+     * @param {import("express").Request} request
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * POST /assignments/2/submission
+     * // { "status": true, "message": "Entrega enviada com sucesso.", "submission": { "late": false, ... } }
+     */
+    async submit(request, response) {
+        try {
+            const { id } = request.params
+            if (!validator.isInt(id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "Atividade inválida." })
+            }
+            if (!request.file) {
+                return response.status(422).json({ status: false, message: "Selecione o arquivo da entrega." })
+            }
+
+            const assignment = await Assignment.findById(Number(id))
+            if (!assignment) {
+                return response.status(404).json({ status: false, message: "Atividade não encontrada." })
+            }
+
+            const late = new Date() > new Date(assignment.due_at)
+            if (late && assignment.late_policy === "reject") {
+                return response.status(409).json({ status: false, message: "O prazo de entrega desta atividade terminou." })
+            }
+
+            const previous = await Assignment.findSubmission(assignment.id, request.user.id)
+            if (previous === undefined) {
+                return response.status(500).json({ status: false, message: "Erro ao buscar entrega." })
+            }
+            if (previous && previous.graded_at) {
+                return response.status(409).json({ status: false, message: "Esta entrega já foi avaliada e não pode ser substituída." })
+            }
+
+            const upload = await uploadAttachment(request.file, "assignments")
+            if (!upload) {
+                return response.status(500).json({ status: false, message: "Erro ao enviar o arquivo." })
+            }
+
+            const submission = await Assignment.saveSubmission({
+                assignment_id: assignment.id,
+                student_id: request.user.id,
+                ...upload,
+                late
+            })
+            if (submission === null) {
+                await removeAttachments([upload.attachment])
+                return response.status(409).json({ status: false, message: "Esta entrega já foi avaliada e não pode ser substituída." })
+            }
+            if (!submission) {
+                await removeAttachments([upload.attachment])
+                return response.status(500).json({ status: false, message: "Erro ao salvar entrega." })
+            }
+
+            if (previous) await removeAttachments([previous.attachment])
+            await signAttachments([submission])
+            return response.status(previous ? 200 : 201).json({
+                status: true,
+                message: previous ? "Entrega substituída com sucesso." : "Entrega enviada com sucesso.",
+                submission
+            })
+        } catch (err) {
+            console.error("Erro ao enviar entrega:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Avalia uma entrega com nota e comentário. Na política `penalty`, a nota final
+     * recebe o desconto pelos dias de atraso. Pode ser refeita para corrigir a avaliação.
+     *
+     * @async
+     * @param {import("express").Request} request
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * PATCH /assignments/submissions/15/grade
+     * { "points": 8, "comment": "Bom relatório, faltou a conclusão." }
+     * // { "status": true, "message": "Entrega avaliada com sucesso.", "submission": { "points": "8.00", "final_points": "7.20", ... } }
+     */
+    async grade(request, response) {
+        try {
+            const { submission_id } = request.params
+            if (!validator.isInt(submission_id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "Entrega inválida." })
+            }
+
+            const submission = await Assignment.findSubmissionById(Number(submission_id))
+            if (!submission) {
+                return response.status(404).json({ status: false, message: "Entrega não encontrada." })
+            }
+
+            const { error, value } = validateGrade(request.body, submission.max_points)
+            if (error) return response.status(422).json({ status: false, message: error })
+
+            const saved = await Assignment.grade(submission.id, {
+                points: value.points,
+                final_points: finalPoints(value.points, submission),
+                comment: value.comment,
+                graded_by: request.user.id
+            })
+            if (!saved) {
+                return response.status(500).json({ status: false, message: "Erro ao avaliar entrega." })
+            }
+
+            await notifyAssignmentGraded(submission)
+            const graded = await Assignment.findSubmission(submission.assignment_id, submission.student_id)
+            if (graded) await signAttachments([graded])
+            return response.status(200).json({ status: true, message: "Entrega avaliada com sucesso.", submission: graded })
+        } catch (err) {
+            console.error("Erro ao avaliar entrega:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+}
+
+module.exports = new AssignmentController()
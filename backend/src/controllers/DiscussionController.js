@@ -0,0 +1,430 @@
+const Discussion = require("../models/Discussion")
+const validator = require('validator')
+const { ROLES } = require("../middleware/auth")
+const { uploadAttachment, signAttachments, removeAttachments } = require("../utils/classAttachments")
+const { notifyDiscussionStarted, notifyDiscussionReplied } = require("../utils/notifier")
+
+/** Tamanho máximo do texto de perguntas e respostas. */
+const MAX_BODY_LENGTH = 5000
+
+/**
+ * Indica se o usuário modera as discussões (qualquer papel que não seja aluno;
+ * o vínculo com a turma já foi verificado pelas rotas).
+ *
+ * @param {{role: number}} user
+ * @returns {boolean}
+ */
+function isModerator(user) {
+    return user.role !== ROLES.STUDENT
+}
+
+/**
+ * Valida o texto de uma pergunta ou resposta.
+ *
+ * @param {*} body
+ * @returns {string|null} Mensagem de erro ou `null`.
+ */
+function validateBody(body) {
+    if (typeof body !== "string" || !validator.isLength(body.trim(), { min: 1, max: MAX_BODY_LENGTH })) {
+        return `O texto deve ter entre 1 e ${MAX_BODY_LENGTH} caracteres.`
+    }
+    return null
+}
+
+/**
+ * Controlador das discussões (perguntas e respostas) das turmas.
+ *
+ * - Alunos matriculados e o professor abrem tópicos e respondem; o anexo opcional
+ *   usa o middleware `Archive`.
+ * - O professor aceita uma resposta, bloqueia o tópico e oculta ou exclui tópicos e respostas.
+ * - Alunos só veem conteúdo não oculto e só excluem o que eles mesmos publicaram.
+ */
+class DiscussionController {
+
+    /**
+     * Lista os tópicos da turma, do mais recentemente movimentado para o mais antigo.
+     *
+     * @async
+     * @param {import("express").Request} request
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * GET /classes/4/discussions
+     * // { "status": true, "threads": [{ "id": 9, "title": "Dúvida na questão 3", "replies": 2, "locked": false, ... }] }
+     */
+    async list(request, response) {
+        try {
+            const { id } = request.params
+            if (!validator.isInt(id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "ID da turma inválido." })
+            }
+
+            const threads = await Discussion.listThreads(Number(id), { includeHidden: isModerator(request.user) })
+            if (!threads) {
+                return response.status(500).json({ status: false, message: "Erro ao buscar discussões." })
+            }
+
+            return response.status(200).json({ status: true, threads })
+        } catch (err) {
+            console.error("Erro ao listar discussões:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Abre um tópico na turma. Perguntas de alunos notificam o professor da disciplina.
+     *
+     * - Corpo multipart: `title`, `body` e o arquivo `attachment` (opcional).
+     *
+     * @async
+     * @param {import("express").Request} request
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * POST /classes/4/discussions
+     * // { "status": true, "message": "Discussão criada com sucesso.", "thread_id": 9 }
+     */
+    async create(request, response) {
+        try {
+            const { id } = request.params
+            const { title, body } = request.body || {}
+            if (!validator.isInt(id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "ID da turma inválido." })
+            }
+            if (typeof title !== "string" || !validator.isLength(title.trim(), { min: 3, max: 150 })) {
+                return response.status(422).json({ status: false, message: "O título deve ter entre 3 e 150 caracteres." })
+            }
+            const error = validateBody(body)
+            if (error) return response.status(422).json({ status: false, message: error })
+
+            const upload = await uploadAttachment(request.file, "discussions")
+            if (!upload) {
+                return response.status(500).json({ status: false, message: "Erro ao enviar o anexo." })
+            }
+
+            const thread_id = await Discussion.createThread({
+                class_id: Number(id),
+                author_id: request.user.id,
+                title: title.trim(),
+                body: body.trim(),
+                ...upload
+            })
+            if (!thread_id) {
+                await removeAttachments([upload.attachment])
+                return response.status(500).json({ status: false, message: "Erro ao criar discussão." })
+            }
+
+            await notifyDiscussionStarted(thread_id)
+            return response.status(201).json({ status: true, message: "Discussão criada com sucesso.", thread_id })
+        } catch (err) {
+            console.error("Erro ao criar discussão:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Retorna um tópico com as respostas e as URLs temporárias dos anexos.
+     * Tópicos ocultos não são exibidos para alunos.
+     *
+     * @async
+     * @param {import("express").Request} request
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * GET /discussions/9
+     * // { "status": true, "thread": { "id": 9, "title": "...", "accepted_post_id": 31, ... }, "posts": [ ... ] }
+     */
+    async show(request, response) {
+        try {
+            const { id } = request.params
+            if (!validator.isInt(id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "Discussão inválida." })
+            }
+
+            const moderator = isModerator(request.user)
+            const thread = await Discussion.findThread(Number(id))
+            if (!thread || (thread.hidden && !moderator)) {
+                return response.status(404).json({ status: false, message: "Discussão não encontrada." })
+            }
+
+            const posts = await Discussion.listPosts(thread.id, { includeHidden: moderator })
+            if (!posts) {
+                return response.status(500).json({ status: false, message: "Erro ao buscar respostas." })
+            }
+
+            const { teacher_id, ...data } = thread
+            await signAttachments([data, ...posts])
+            return response.status(200).json({ status: true, thread: data, posts })
+        } catch (err) {
+            console.error("Erro ao buscar discussão:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Responde a um tópico e notifica o autor. Tópicos bloqueados não aceitam respostas.
+     *
+     * - Corpo multipart: `body` e o arquivo `attachment` (opcional).
+     *
+     * @async
+     * @param {import("express").Request} request
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * POST /discussions/9/posts
+     * // { "status": true, "message": "Resposta enviada com sucesso.", "post_id": 31 }
+     */
+    async reply(request, response) {
+        try {
+            const { id } = request.params
+            const { body } = request.body || {}
+            if (!validator.isInt(id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "Discussão inválida." })
+            }
+            const error = validateBody(body)
+            if (error) return response.status(422).json({ status: false, message: error })
+
+            const thread = await Discussion.findThread(Number(id))
+            if (!thread || (thread.hidden && !isModerator(request.user))) {
+                return response.status(404).json({ status: false, message: "Discussão não encontrada." })
+            }
+            if (thread.locked) {
+                return response.status(409).json({ status: false, message: "Esta discussão está bloqueada para novas respostas." })
+            }
+
+            const upload = await uploadAttachment(request.file, "discussions")
+            if (!upload) {
+                return response.status(500).json({ status: false, message: "Erro ao enviar o anexo." })
+            }
+
+            const post_id = await Discussion.createPost({
+                thread_id: thread.id,
+                author_id: request.user.id,
+                body: body.trim(),
+                ...upload
+            })
+            if (!post_id) {
+                await removeAttachments([upload.attachment])
+                return response.status(500).json({ status: false, message: "Erro ao enviar resposta." })
+            }
+
+            await notifyDiscussionReplied(thread.id, request.user.id)
+            return response.status(201).json({ status: true, message: "Resposta enviada com sucesso.", post_id })
+        } catch (err) {
+            console.error("Erro ao responder discussão:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Bloqueia/desbloqueia ou oculta/exibe um tópico.
+     *
+     * @async
+     * @param {import("express").Request} request
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * PATCH /discussions/9/moderation
+     * { "locked": true }
+     * // { "status": true, "message": "Discussão atualizada com sucesso." }
+     */
+    async moderate(request, response) {
+        try {
+            const { id } = request.params
+            if (!validator.isInt(id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "Discussão inválida." })
+            }
+
+            const body = request.body || {}
+            const changes = {}
+            for (const field of ["locked", "hidden"]) {
+                if (body[field] === undefined) continue
+                if (typeof body[field] !== "boolean") {
+                    return response.status(422).json({ status: false, message: "Valor de moderação inválido." })
+                }
+                changes[field] = body[field]
+            }
+            if (Object.keys(changes).length === 0) {
+                return response.status(422).json({ status: false, message: "Nenhuma alteração informada." })
+            }
+
+            const valid = await Discussion.updateThread(Number(id), changes)
+            if (!valid) {
+                return response.status(500).json({ status: false, message: "Erro ao atualizar discussão." })
+            }
+            return response.status(200).json({ status: true, message: "Discussão atualizada com sucesso." })
+        } catch (err) {
+            console.error("Erro ao moderar discussão:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Marca uma resposta do tópico como aceita (ou remove a marcação com `post_id: null`).
+     *
+     * @async
+     * @param {import("express").Request} request
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * PATCH /discussions/9/accept
+     * { "post_id": 31 }
+     * // { "status": true, "message": "Resposta aceita.", "accepted_post_id": 31 }
+     */
+    async accept(request, response) {
+        try {
+            const { id } = request.params
+            const { post_id } = request.body || {}
+            if (!validator.isInt(id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "Discussão inválida." })
+            }
+            if (post_id !== null && !validator.isInt(post_id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "Resposta inválida." })
+            }
+
+            if (post_id !== null) {
+                const post = await Discussion.findPost(Number(post_id))
+                if (!post || post.thread_id !== Number(id)) {
+                    return response.status(404).json({ status: false, message: "Resposta não encontrada nesta discussão." })
+                }
+            }
+
+            const accepted_post_id = post_id === null ? null : Number(post_id)
+            const valid = await Discussion.updateThread(Number(id), { accepted_post_id })
+            if (!valid) {
+                return response.status(500).json({ status: false, message: "Erro ao atualizar discussão." })
+            }
+            return response.status(200).json({
+                status: true,
+                message: accepted_post_id ? "Resposta aceita." : "Marcação de resposta aceita removida.",
+                accepted_post_id
+            })
+        } catch (err) {
+            console.error("Erro ao aceitar resposta:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Exclui um tópico, suas respostas e os anexos. Alunos só excluem os próprios tópicos.
+     *
+     * @async
+     * @param {import("express").Request} request
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * DELETE /discussions/9
+     * // { "status": true, "message": "Discussão excluída com sucesso." }
+     */
+    async delete(request, response) {
+        try {
+            const { id } = request.params
+            if (!validator.isInt(id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "Discussão inválida." })
+            }
+
+            const thread = await Discussion.findThread(Number(id))
+            if (!thread) {
+                return response.status(404).json({ status: false, message: "Discussão não encontrada." })
+            }
+            if (!isModerator(request.user) && thread.author_id !== request.user.id) {
+                return response.status(403).json({ status: false, message: "Acesso negado." })
+            }
+
+            const attachments = await Discussion.deleteThread(thread.id)
+            if (!attachments) {
+                return response.status(500).json({ status: false, message: "Erro ao excluir discussão." })
+            }
+
+            await removeAttachments(attachments)
+            return response.status(200).json({ status: true, message: "Discussão excluída com sucesso." })
+        } catch (err) {
+            console.error("Erro ao excluir discussão:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Oculta ou exibe uma resposta.
+     *
+     * @async
+     * @param {import("express").Request} request
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * PATCH /discussions/posts/31/moderation
+     * { "hidden": true }
+     * // { "status": true, "message": "Resposta ocultada." }
+     */
+    async moderatePost(request, response) {
+        try {
+            const { post_id } = request.params
+            const { hidden } = request.body || {}
+            if (!validator.isInt(post_id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "Resposta inválida." })
+            }
+            if (typeof hidden !== "boolean") {
+                return response.status(422).json({ status: false, message: "Valor de moderação inválido." })
+            }
+
+            const valid = await Discussion.setPostHidden(Number(post_id), hidden)
+            if (!valid) {
+                return response.status(500).json({ status: false, message: "Erro ao atualizar resposta." })
+            }
+            return response.status(200).json({ status: true, message: hidden ? "Resposta ocultada." : "Resposta exibida novamente." })
+        } catch (err) {
+            console.error("Erro ao moderar resposta:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Exclui uma resposta e o seu anexo. Alunos só excluem as próprias respostas.
+     *
+     * @async
+     * @param {import("express").Request} request
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * DELETE /discussions/posts/31
+     * // { "status": true, "message": "Resposta excluída com sucesso." }
+     */
+    async deletePost(request, response) {
+        try {
+            const { post_id } = request.params
+            if (!validator.isInt(post_id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "Resposta inválida." })
+            }
+
+            const post = await Discussion.findPost(Number(post_id))
+            if (!post) {
+                return response.status(404).json({ status: false, message: "Resposta não encontrada." })
+            }
+            if (!isModerator(request.user) && post.author_id !== request.user.id) {
+                return response.status(403).json({ status: false, message: "Acesso negado." })
+            }
+
+            const valid = await Discussion.deletePost(post.id)
+            if (!valid) {
+                return response.status(500).json({ status: false, message: "Erro ao excluir resposta." })
+            }
+
+            await removeAttachments([post.attachment])
+            return response.status(200).json({ status: true, message: "Resposta excluída com sucesso." })
+        } catch (err) {
+            console.error("Erro ao excluir resposta:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+}
+
+module.exports = new DiscussionController()
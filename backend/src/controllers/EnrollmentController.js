@@ -1,8 +1,29 @@
 // Dentro do seu EnrollmentController.js
 
-const knex = require("../database/connection");
-const Invite = require("../models/Invite");
+const XLSX = require("xlsx");
+const validator = require("validator");
+const Enrollment = require("../models/Enrollment");
 const Class = require("../models/Class")
+const { MEDAL_EVENTS, evaluateMedals } = require("../utils/medalEngine");
+const { parseRoster } = require("../utils/rosterParser");
+const { escapeFormula } = require("../utils/spreadsheet");
+
+/**
+ * Descrição de cada situação de linha de uma matrícula em lote, usada no relatório de erros.
+ */
+const IMPORT_STATUS_LABELS = {
+    matched: "Será matriculado",
+    enrolled: "Matriculado",
+    already_enrolled: "Já matriculado na turma",
+    unknown: "Nenhum usuário com este e-mail ou matrícula",
+    not_student: "O usuário não é um aluno",
+    duplicate: "Aluno repetido na planilha",
+    over_capacity: "Excede a capacidade da turma",
+    invalid: "Linha sem e-mail ou matrícula"
+};
+
+/** Situações que não representam falha no relatório de erros. */
+const IMPORT_OK_STATUSES = ["matched", "enrolled", "already_enrolled"];
 
 class EnrollmentController {
 
@@ -11,10 +32,15 @@ class EnrollmentController {
      * Matricula um aluno em uma turma a partir de um código de convite.
      *
      * Essa função recebe um código de convite (`code`) enviado pelo corpo da requisição
-     * e o ID do aluno a partir da sessão (`req.session.user.id`) ou do token (`req.user.id`).
-     * Após validar os dados, ela verifica se o código é válido e se o aluno já está
-     * matriculado na turma. Caso contrário, insere o aluno na tabela `class_student`,
-     * incrementa o contador de usos do convite e retorna os dados da turma.
+     * e o ID do aluno a partir do usuário autenticado (`req.user.id`).
+     * Após validar os dados, ela verifica se o código é válido, se a turma não foi
+     * encerrada (`classes.expired`) e se o aluno já está matriculado na turma. Caso
+     * contrário, insere o aluno na tabela `class_student`, incrementa o contador de usos
+     * do convite e retorna os dados da turma.
+     *
+     * A verificação é feita em uma transação com a turma bloqueada, para que matrículas
+     * simultâneas não ultrapassem `classes.capacity`. Com a turma lotada, o aluno entra
+     * na lista de espera e é matriculado quando uma vaga for liberada.
      *
      * @async
      * @function joinWithCode
@@ -44,10 +70,16 @@ class EnrollmentController {
      * // Resposta (400): Código ausente
      * { "success": false, "message": "O código da turma é obrigatório." }
      *
+     * // Resposta (202): Turma lotada, aluno na lista de espera
+     * { "success": true, "waitlisted": true, "position": 2, "message": "A turma ... está lotada. ..." }
+     *
+     * // Resposta (403): Turma encerrada
+     * { "success": false, "message": "A turma Programação Web já foi encerrada e não aceita novas matrículas." }
+     *
      * // Resposta (404): Código inválido ou expirado
      * { "success": false, "message": "Código inválido, expirado ou já atingiu o limite de usos." }
      *
-     * // Resposta (409): Aluno já matriculado
+     * // Resposta (409): Aluno já matriculado (ou já na lista de espera)
      * { "success": false, "message": "Você já está matriculado nesta turma." }
      *
      * // Resposta (500): Erro interno
@@ -56,54 +88,221 @@ class EnrollmentController {
     async joinWithCode(req, res) {
         try {
             const { code } = req.body;
-            const studentId = req.session.user?.id || req.user?.id; // Este nome está ok
+            const studentId = req.user.id; // identidade vem da sessão autenticada
 
-            // ... (validações básicas de code e studentId) ...
-            if (!code) { /* ... */ }
-            if (!studentId) { /* ... */ }
+            if (!code || typeof code !== 'string' || !code.trim()) {
+                return res.status(400).json({ success: false, message: "O código da turma é obrigatório." });
+            }
 
-            const invite = await Invite.findValidByCode(code.trim().toUpperCase());
+            // Convite, turma, capacidade e lista de espera são verificados na mesma transação
+            const result = await Enrollment.joinWithCode(code.trim().toUpperCase(), studentId);
+            if (!result) {
+                return res.status(500).json({ success: false, message: 'Erro interno do servidor.' });
+            }
 
-            if (!invite) {
-                return res.status(404).json({ success: false, message: "Código inválido, expirado ou já atingiu o limite de usos." });
+            for (const promotedId of result.promoted || []) {
+                await evaluateMedals(promotedId, MEDAL_EVENTS.ENROLLMENT);
             }
 
-            const classId = invite.classes_id; // Confirme se é classes_id ou class_id no Invite model/tabela
+            switch (result.status) {
+                case 'invalid_invite':
+                    return res.status(404).json({ success: false, message: "Código inválido, expirado ou já atingiu o limite de usos." });
+                case 'class_expired':
+                    return res.status(403).json({ success: false, message: `A turma ${result.class_name} já foi encerrada e não aceita novas matrículas.` });
+                case 'already_enrolled':
+                    return res.status(409).json({ success: false, message: "Você já está matriculado nesta turma." });
+                case 'already_waiting':
+                    return res.status(409).json({ success: false, message: `Você já está na lista de espera desta turma (posição ${result.position}).` });
+                case 'waitlisted':
+                    return res.status(202).json({
+                        success: true,
+                        waitlisted: true,
+                        position: result.position,
+                        message: `A turma ${result.class_name} está lotada. Você entrou na lista de espera (posição ${result.position}) e será matriculado automaticamente quando uma vaga for liberada.`,
+                        classId: result.class_id,
+                        className: result.class_name
+                    });
+            }
+
+            await evaluateMedals(studentId, MEDAL_EVENTS.ENROLLMENT);
+
+            const course = await Class.getCourseByClass(result.class_id)
+            res.status(200).json({
+                success: true,
+                message: `Matrícula na turma ${result.class_name || ''} realizada com sucesso!`,
+                classId: result.class_id, 
+                className: result.class_name, 
+                course
+            });
 
-            // 3. Verifica se o aluno já está matriculado - CORREÇÃO AQUI
-            const existingEnrollment = await knex('class_student')
-                .where({
-                    class_id: classId,
-                    student_id: studentId // <-- Usar student_id em vez de aluno_id
-                })
-                .first();
+        } catch (error) {
+            console.error('Erro ao entrar na turma com código:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor.' });
+        }
+    }
 
-            if (existingEnrollment) {
-                return res.status(409).json({ success: false, message: "Você já está matriculado nesta turma." });
+    /**
+     * Recebe uma planilha (CSV, XLSX ou XLS) com e-mails ou matrículas e devolve a prévia
+     * (dry-run) da matrícula em lote: alunos encontrados, linhas desconhecidas, duplicadas e
+     * que excedem a capacidade. Nada é gravado em `class_student` nesta etapa.
+     *
+     * @async
+     * @function previewImport
+     * @param {import('express').Request} req - Parâmetro `id` da turma e arquivo no campo `file`.
+     * @param {import('express').Response} res - Objeto da resposta Express.
+     * @returns {Promise<import('express').Response>}
+     *
+     * @example
+     * // POST /classes/5/enrollments/import (multipart, campo "file")
+     * // Resposta (201):
+     * {
+     *   "success": true,
+     *   "data": {
+     *     "id": 12,
+     *     "status": "preview",
+     *     "summary": { "total": 40, "matched": 35, "unknown": 2, "duplicate": 1, "over_capacity": 2 },
+     *     "rows": [{ "row": 2, "identifier": "ana@email.com", "status": "matched", "username": "ana" }]
+     *   }
+     * }
+     */
+    async previewImport(req, res) {
+        try {
+            const { id: classId } = req.params;
+            if (!validator.isInt(classId + '', { min: 1 })) {
+                return res.status(422).json({ success: false, message: "ID inválido." });
+            }
+            if (!req.file) {
+                return res.status(400).json({ success: false, message: "Envie uma planilha CSV ou XLSX." });
             }
 
-            // 4. Matricula o aluno - CORREÇÃO AQUI
-            await knex('class_student').insert({
-                class_id: classId,
-                student_id: studentId // <-- Usar student_id em vez de aluno_id
-            });
+            const { rows, error } = parseRoster(req.file.buffer);
+            if (error) {
+                return res.status(422).json({ success: false, message: error });
+            }
 
-            // 5. Incrementa o contador de usos do convite (sem alteração)
-            await Invite.incrementUseCount(invite.id);
+            const result = await Enrollment.previewImport(Number(classId), req.user.id, req.file.originalname, rows);
+            if (!result) {
+                return res.status(500).json({ success: false, message: 'Erro interno do servidor.' });
+            }
+            if (result.status === 'not_found') {
+                return res.status(404).json({ success: false, message: "Turma não encontrada." });
+            }
+            if (result.status === 'class_expired') {
+                return res.status(409).json({ success: false, message: "A turma já foi encerrada e não aceita novas matrículas." });
+            }
+
+            res.status(201).json({ success: true, data: result.import });
+        } catch (error) {
+            console.error('Erro ao gerar prévia da matrícula em lote:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor.' });
+        }
+    }
+
+    /**
+     * Confirma uma matrícula em lote. As linhas são conferidas de novo contra a turma no
+     * momento da confirmação; só os alunos ainda válidos são matriculados.
+     *
+     * @async
+     * @function confirmImport
+     * @param {import('express').Request} req - Parâmetros `id` da turma e `import_id`.
+     * @param {import('express').Response} res - Objeto da resposta Express.
+     * @returns {Promise<import('express').Response>}
+     *
+     * @example
+     * // POST /classes/5/enrollments/import/12/confirm
+     * // Resposta (200):
+     * { "success": true, "message": "35 aluno(s) matriculado(s).", "data": { "id": 12, "status": "committed", "summary": {...}, "rows": [...] } }
+     *
+     * // Resposta (409): Importação já confirmada
+     * { "success": false, "message": "Esta importação já foi confirmada." }
+     */
+    async confirmImport(req, res) {
+        try {
+            const { id: classId, import_id } = req.params;
+            if (!validator.isInt(classId + '', { min: 1 }) || !validator.isInt(import_id + '', { min: 1 })) {
+                return res.status(422).json({ success: false, message: "ID inválido." });
+            }
+
+            const result = await Enrollment.commitImport(Number(import_id), Number(classId));
+            if (!result) {
+                return res.status(500).json({ success: false, message: 'Erro interno do servidor.' });
+            }
+
+            switch (result.status) {
+                case 'not_found':
+                    return res.status(404).json({ success: false, message: "Importação não encontrada." });
+                case 'already_committed':
+                    return res.status(409).json({ success: false, message: "Esta importação já foi confirmada." });
+                case 'class_expired':
+                    return res.status(409).json({ success: false, message: "A turma já foi encerrada e não aceita novas matrículas." });
+            }
+
+            for (const studentId of result.enrolled) {
+                await evaluateMedals(studentId, MEDAL_EVENTS.ENROLLMENT);
+            }
 
-            // ... (busca nome da turma e retorna sucesso) ...
-            const classInfo = await knex('classes').where({ id: classId }).first('name');
-            const course = await Class.getCourseByClass(classId)
             res.status(200).json({
                 success: true,
-                message: `Matrícula na turma ${classInfo?.name || ''} realizada com sucesso!`,
-                classId: classId, 
-                className: classInfo?.name, 
-                course
+                message: `${result.enrolled.length} aluno(s) matriculado(s).`,
+                data: result.import
             });
+        } catch (error) {
+            console.error('Erro ao confirmar matrícula em lote:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor.' });
+        }
+    }
 
+    /**
+     * Baixa o relatório com as linhas da planilha que não resultaram em matrícula
+     * (desconhecidas, duplicadas, acima da capacidade etc.), em CSV ou XLSX.
+     *
+     * @async
+     * @function importReport
+     * @param {import('express').Request} req - Parâmetros `id` e `import_id`; `format` (`csv` ou `xlsx`) na query.
+     * @param {import('express').Response} res - Objeto da resposta Express.
+     * @returns {Promise<import('express').Response>} Arquivo para download.
+     *
+     * @example
+     * // GET /classes/5/enrollments/import/12/report?format=xlsx
+     */
+    async importReport(req, res) {
+        try {
+            const { id: classId, import_id } = req.params;
+            const format = req.query.format === 'xlsx' ? 'xlsx' : 'csv';
+            if (!validator.isInt(classId + '', { min: 1 }) || !validator.isInt(import_id + '', { min: 1 })) {
+                return res.status(422).json({ success: false, message: "ID inválido." });
+            }
+
+            const data = await Enrollment.findImport(Number(import_id), Number(classId));
+            if (!data) {
+                return res.status(404).json({ success: false, message: "Importação não encontrada." });
+            }
+
+            const failed = data.rows
+                .filter(r => !IMPORT_OK_STATUSES.includes(r.status))
+                .map(r => ({
+                    "Linha": r.row,
+                    "E-mail ou matrícula": escapeFormula(r.identifier),
+                    "Aluno": escapeFormula(r.username || ""),
+                    "Motivo": IMPORT_STATUS_LABELS[r.status] || r.status
+                }));
+
+            const sheet = XLSX.utils.json_to_sheet(failed, { header: ["Linha", "E-mail ou matrícula", "Aluno", "Motivo"] });
+            const fileName = `erros-importacao-${data.id}.${format}`;
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+            if (format === 'xlsx') {
+                const workbook = XLSX.utils.book_new();
+                XLSX.utils.book_append_sheet(workbook, sheet, "Erros");
+                res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+                return res.send(XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+            }
+
+            // BOM para o Excel reconhecer o CSV como UTF-8
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.send('\uFEFF' + XLSX.utils.sheet_to_csv(sheet));
         } catch (error) {
-            console.error('Erro ao entrar na turma com código:', error);
+            console.error('Erro ao gerar relatório da matrícula em lote:', error);
             res.status(500).json({ success: false, message: 'Erro interno do servidor.' });
         }
     }
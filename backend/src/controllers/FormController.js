@@ -1,8 +1,22 @@
-const MaterialFieldValidator = require("../utils/materialValidator")
 const Form = require("../models/Form")
 const Subject = require("../models/Subject")
 const Class = require("../models/Class")
+const QuestionBank = require("../models/QuestionBank")
+const Rubric = require("../models/Rubric")
+const QuestionFieldValidator = require("../utils/questionValidator")
+const { isRandomized, applyInstance, hideAnswerKey, resolveInstance } = require("../utils/formRandomizer")
+const Attempt = require("../models/Attempt")
+const { computeExpiresAt, remainingSeconds, isExpired, validateAnswers, submitAttempt, autoSubmit } = require("../utils/attemptManager")
+const { analyzeItems } = require("../utils/itemAnalysis")
+const { validatePublish, validateQuestion } = require("../utils/formSchema")
+const { sanitizeRichText } = require("../utils/richText")
+const path = require("path")
+const crypto = require("crypto")
+const { images } = require("../utils/storage")
+const { notifyFormPublished, notifyFormCorrected } = require("../utils/notifier")
 const validator = require('validator')
+const { ROLES } = require("../middleware/auth")
+
 
 /**
  * Calcula a diferença de dias entre duas datas.
@@ -37,6 +51,133 @@ function getUrgency(days) {
 }
 
 
+/**
+ * Monta a resposta de uma edição de formulário, recalculando os resultados
+ * existentes quando o professor pedir (`regrade`).
+ *
+ * @async
+ * @param {number} form_id - ID do formulário editado.
+ * @param {{version: number, versioned: boolean}} result - Retorno de `Form.editForm`.
+ * @param {boolean} regrade - Se os envios existentes devem ser recorrigidos.
+ * @param {number|null} [regraded_by=null] - Usuário que solicitou a recorreção.
+ * @returns {Promise<Object|undefined>} Corpo da resposta, ou `undefined` se a recorreção falhar.
+ */
+async function editResponse(form_id, result, regrade, regraded_by = null) {
+    const body = {
+        status: true,
+        message: result.versioned
+            ? "Formulário atualizado. Uma nova versão foi criada para preservar as respostas enviadas."
+            : "Formulário atualizado com sucesso.",
+        version: result.version,
+        versioned: result.versioned
+    }
+
+    if (regrade) {
+        const regraded = await Form.regradeSubmissions(form_id, { regraded_by })
+        if (!regraded) return undefined
+        body.regraded = regraded.changed
+        body.students_regraded = regraded.students.length
+    }
+
+    return body
+}
+
+/**
+ * Resolve a nota de uma resposta aberta a partir da correção enviada pelo professor.
+ *
+ * - `scores`: um nível da rubrica da questão para cada critério; a nota é a soma dos níveis.
+ * - `points`: pontuação parcial entre 0 e a pontuação da questão.
+ * - `status`: `true` vale a pontuação total da questão e `false` vale zero.
+ *
+ * @async
+ * @param {number} question_id - Questão respondida.
+ * @param {number} question_points - Pontuação da questão.
+ * @param {{status?: boolean, points?: number, scores?: Array<{criterion_id: number, level_id: number}>}} correction
+ * @returns {Promise<{error?: string, scores?: Object[], awarded_points?: number, corrected?: boolean}>}
+ */
+async function resolveGrade(question_id, question_points, { status, points, scores }) {
+    const grade = (awarded, rubricScores = []) => {
+        const awarded_points = Math.round(Math.min(awarded, question_points) * 100) / 100
+        return { scores: rubricScores, awarded_points, corrected: awarded_points >= question_points }
+    }
+
+    if (Array.isArray(scores) && scores.length > 0) {
+        const rubrics = await Rubric.getByQuestions([question_id])
+        const criteria = rubrics && rubrics[question_id]
+        if (!criteria) return { error: "a questão não possui rubrica." }
+
+        const rubricScores = []
+        for (const criterion of criteria) {
+            const chosen = scores.filter(s => s && Number(s.criterion_id) === criterion.id)
+            if (chosen.length !== 1) return { error: "avalie cada critério da rubrica uma única vez." }
+
+            const level = criterion.levels.find(l => l.id === Number(chosen[0].level_id))
+            if (!level) return { error: "nível inválido para o critério da rubrica." }
+
+            rubricScores.push({ criterion_id: criterion.id, level_id: level.id, points: level.points })
+        }
+        if (scores.length !== criteria.length) return { error: "critério não pertence à rubrica da questão." }
+
+        return grade(rubricScores.reduce((sum, s) => sum + s.points, 0), rubricScores)
+    }
+
+    if (points !== undefined && points !== null && points !== "") {
+        if (!validator.isFloat(points + '', { min: 0, max: question_points })) {
+            return { error: `a pontuação deve estar entre 0 e ${question_points}.` }
+        }
+        return grade(Number(points))
+    }
+
+    if (status === true || status === false || status === "true" || status === "false") {
+        return grade(validator.toBoolean(status + '', true) ? question_points : 0)
+    }
+
+    return { error: "informe a nota da resposta." }
+}
+
+/**
+ * Confere a questão resultante de uma edição antes de gravar: os valores atuais com as
+ * alterações aplicadas devem seguir as regras da publicação (`validateQuestion`) e, se a
+ * questão tiver rubrica, a soma dos critérios deve continuar igual à pontuação.
+ *
+ * @async
+ * @param {Object} question - Questão atual (`Form.findQuestion`).
+ * @param {Object} changes - Campos alterados da questão.
+ * @param {Object[]} optionChanges - Opções alteradas (`id` e campos alterados).
+ * @returns {Promise<string|null|undefined>} Mensagem de erro, `null` se a edição é válida
+ * ou `undefined` se a questão não pôde ser carregada.
+ */
+async function checkEditedQuestion(question, changes, optionChanges) {
+    const options = await Form.findOptionsByQuestion(question.id)
+    const rubrics = await Rubric.getByQuestions([question.id])
+    if (!options || !rubrics) return undefined
+
+    const edited = {
+        ...question,
+        ...changes,
+        options: options.map(o => ({ ...o, ...optionChanges.find(c => c.id === o.id) }))
+    }
+    const error = validateQuestion(edited)
+    if (error) return error
+
+    const rubric = rubrics[question.id]
+    return rubric ? QuestionFieldValidator.validateRubric(edited.points, rubric) : null
+}
+
+/**
+ * Lê o campo `image_url` enviado em uma edição; `null` ou vazio removem a imagem.
+ *
+ * @param {*} value - Valor enviado.
+ * @returns {{error?: string, value?: string|null}}
+ */
+function readImageUrl(value) {
+    if (value === null || value === "") return { value: null }
+    if (!validator.isURL(value + '', { protocols: ["http", "https"], require_protocol: true }) || !validator.isLength(value + '', { max: 500 })) {
+        return { error: "Imagem inválida." }
+    }
+    return { value: value + '' }
+}
+
 /**
  * @class FormController
  * @classdesc Controlador responsável pelas operações relacionadas aos formulários,
@@ -48,9 +189,20 @@ class FormController {
     /**
      * Publica (cria) um novo formulário no sistema, incluindo suas questões e opções.
      *
-     * - Valida os campos obrigatórios antes do cadastro.
+     * - Valida o payload inteiro (formulário, questões e opções) com o schema de `utils/formSchema`.
+     * - A turma (`class_id`) precisa pertencer à disciplina informada (`subject_id`).
      * - Verifica se já existe um formulário com o mesmo título para a turma.
-     * - Salva o formulário e suas questões/opções no banco de dados.
+     * - Salva o formulário e suas questões/opções em uma única transação (`Form.publish`).
+     * - Questões com `bank_question_id` são copiadas do banco de questões da disciplina
+     *   (a pontuação pode ser sobrescrita com `points`).
+     * - Questões com `save_to_bank: true` também são adicionadas ao banco de questões
+     *   (com `topic`, `difficulty` e `tags` opcionais).
+     * - `shuffle_questions` e `shuffle_options` embaralham questões/opções por aluno e
+     *   `draw_count` sorteia essa quantidade de questões do total enviado.
+     * - `max_attempts` limita as tentativas por aluno (padrão 1; `null` para ilimitado) e
+     *   `score_strategy` define a nota considerada (`best`, `last` ou `average`).
+     * - Questões abertas podem trazer uma rubrica de correção (`rubric`: critérios com níveis).
+     * - Após a publicação, os alunos da turma são notificados.
      *
      * @async
      * @param {import("express").Request} request - Objeto da requisição HTTP contendo os dados do formulário.
@@ -62,47 +214,109 @@ class FormController {
      */
     async publish(request, response) {
         try {
-            const { title, description, created_by, subject_id, class_id, questions, totalDuration, deadline } = request.body
-            const error = MaterialFieldValidator.validate({ title, description, created_by, subject_id, class_id })
+            const { error, value } = validatePublish(request.body)
             if (error) return response.status(422).json({ status: false, message: error })
 
-            if (!validator.isISO8601(deadline)) {
-                return response.status(400).json({ error: "O campo 'prazo' deve ser uma data válida (YYYY-MM-DD)." })
+            const { questions, subject_id, class_id, draw_count, ...fields } = value
+            const created_by = request.user.id
+
+            const classSubject = await Class.findIdSubject(class_id)
+            if (!classSubject || Number(classSubject.subject_id) !== Number(subject_id)) {
+                return response.status(422).json({ status: false, message: "A turma não pertence à disciplina informada." })
             }
 
-            const formExist = await Form.formExists(title, class_id)
+            const bankIds = [...new Set(questions.filter(q => q.bank_question_id).map(q => q.bank_question_id))]
+            let bankQuestions = new Map()
+            if (bankIds.length > 0) {
+                const found = await QuestionBank.findForImport(subject_id, bankIds)
+                if (!found || found.length !== bankIds.length) {
+                    return response.status(422).json({ status: false, message: "Questão do banco não encontrada nesta disciplina." })
+                }
+                bankQuestions = new Map(found.map(q => [q.id, q]))
+            }
+
+            const resolved = questions.map(q => {
+                if (!q.bank_question_id) {
+                    return {
+                        text: q.text, image_url: q.image_url, points: q.points, type: q.type, options: q.options, rubric: q.rubric,
+                        numeric_answer: q.numeric_answer, tolerance: q.tolerance,
+                        bank: q.save_to_bank ? { topic: q.topic, difficulty: q.difficulty, tags: q.tags } : null
+                    }
+                }
+                const bank = bankQuestions.get(q.bank_question_id)
+                return {
+                    text: bank.text,
+                    image_url: bank.image_url,
+                    points: q.points ?? bank.points,
+                    type: bank.type,
+                    options: bank.type === "aberta" ? [] : (bank.options || []).map(o => ({ text: o.text, image_url: o.image_url, correct: !!o.correct })),
+                    rubric: q.rubric,
+                    bank_question_id: bank.id
+                }
+            })
+
+            for (const [index, q] of resolved.entries()) {
+                if (!Array.isArray(q.rubric) || q.rubric.length === 0) continue
+                if (q.type !== "aberta") {
+                    return response.status(422).json({ status: false, message: `Questão ${index + 1}: Apenas questões abertas podem ter rubrica.` })
+                }
+                const rubricError = QuestionFieldValidator.validateRubric(q.points, q.rubric)
+                if (rubricError) return response.status(422).json({ status: false, message: `Questão ${index + 1}: ${rubricError}` })
+            }
+
+            const formExist = await Form.formExists(fields.title, class_id)
             if (formExist) {
                 return response.status(422).json({ status: false, message: "Título de formulário já existe." })
             }
 
-            const data = { title, description, created_by, subject_id, class_id, totalDuration, deadline }
-            const savedForm = await Form.save(data)
-
+            const data = {
+                ...fields, created_by, subject_id, class_id,
+                draw_count: draw_count !== null && draw_count < questions.length ? draw_count : null
+            }
+            const savedForm = await Form.publish(data, resolved)
             if (!savedForm.success) {
                 return response.status(500).json({ status: false, message: "Erro ao cadastrar formulário." })
             }
 
-            const formId = savedForm.insertId
+            await notifyFormPublished({ form_id: savedForm.insertId, class_id, title: fields.title })
 
-            for (const q of questions) {
-                const questionData = { form_id: formId, text: q.text, points: q.points, type: q.type }
-                const savedQuestion = await Form.saveQuestion(questionData)
-                const questionId = savedQuestion.insertId
+            return response.status(200).json({ status: true, message: "Formulário cadastrado com sucesso.", form_id: savedForm.insertId })
 
-                if (q.options && q.options.length > 0) {
-                    for (const opt of q.options) {
-                        await Form.saveOption({
-                            question_id: questionId,
-                            text: opt.text,
-                            correct: opt.correct || false
-                        })
-                    }
-                }
+        } catch (err) {
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Envia uma imagem para ser usada em um enunciado ou em uma opção de questão.
+     *
+     * A imagem é armazenada antes da publicação (ou edição) do simulado; o endereço
+     * devolvido é enviado depois no campo `image_url` da questão ou da opção.
+     *
+     * @async
+     * @param {import("express").Request} request - Arquivo no campo `image` (multipart/form-data).
+     * @param {import("express").Response} response - Objeto da resposta HTTP.
+     * @returns {Promise<import("express").Response>} Retorna o endereço da imagem (`url`).
+     *
+     * @example
+     * POST /form/images
+     * // Form-data: image = (grafico.png)
+     * // { "status": true, "message": "Imagem enviada com sucesso.", "url": "https://res.cloudinary.com/..." }
+     */
+    async uploadImage(request, response) {
+        try {
+            if (!request.file) {
+                return response.status(400).json({ status: false, message: "O upload de uma imagem é obrigatório." })
             }
 
-            return response.status(200).json({ status: true, message: "Formulário cadastrado com sucesso." })
+            const extension = path.extname(request.file.originalname).toLowerCase()
+            const uploaded = await images.put("images", `evolvere/questions/${crypto.randomUUID()}${extension}`, request.file.buffer, {
+                contentType: request.file.mimetype
+            })
 
+            return response.status(201).json({ status: true, message: "Imagem enviada com sucesso.", url: uploaded.url })
         } catch (err) {
+            console.error("Erro ao enviar imagem da questão:", err)
             return response.status(500).json({ status: false, message: "Erro interno no servidor." })
         }
     }
@@ -204,11 +418,541 @@ class FormController {
         }
     }
 
+    /**
+     * Atualiza os dados gerais de um formulário (título, descrição, prazo e duração).
+     *
+     * - Se o formulário já possui respostas, uma nova versão é criada.
+     *
+     * @async
+     * @param {import("express").Request} request - Parâmetro `id` e corpo com os campos a alterar.
+     * @param {import("express").Response} response - Objeto da resposta HTTP.
+     * @returns {Promise<import("express").Response>} Retorna a versão resultante do formulário.
+     *
+     * @example
+     * PATCH /form/3
+     * { "title": "Simulado 1 - Revisado", "deadline": "2025-12-10T23:59" }
+     */
+    async update(request, response) {
+        try {
+            const { id } = request.params
+            const { title, description, deadline, totalDuration } = request.body
+            if (!validator.isInt(id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "ID inválido." })
+            }
+
+            const data = {}
+            if (title !== undefined) {
+                if (!validator.isLength((title + '').trim(), { min: 1, max: 150 })) {
+                    return response.status(422).json({ status: false, message: "O título deve ter entre 1 e 150 caracteres." })
+                }
+                data.title = (title + '').trim()
+            }
+            if (description !== undefined) {
+                if (!validator.isLength((description || '') + '', { max: 255 })) {
+                    return response.status(422).json({ status: false, message: "A descrição deve ter no máximo 255 caracteres." })
+                }
+                data.description = description
+            }
+            if (deadline !== undefined) {
+                if (!validator.isISO8601(deadline + '')) {
+                    return response.status(422).json({ status: false, message: "O campo 'prazo' deve ser uma data válida (YYYY-MM-DD)." })
+                }
+                data.deadline = deadline
+            }
+            if (totalDuration !== undefined) {
+                if (!validator.isInt(totalDuration + '', { min: 0 })) {
+                    return response.status(422).json({ status: false, message: "Duração inválida." })
+                }
+                data.totalDuration = Number(totalDuration)
+            }
+
+            if (Object.keys(data).length === 0) {
+                return response.status(422).json({ status: false, message: "Nenhuma alteração informada." })
+            }
+
+            const classData = await Form.getClassIdByForm(id)
+            if (!classData) {
+                return response.status(404).json({ status: false, message: "Formulário não encontrado." })
+            }
+
+            if (data.title && await Form.formExists(data.title, classData.class_id, id)) {
+                return response.status(422).json({ status: false, message: "Título de formulário já existe." })
+            }
+
+            const result = await Form.editForm(id, { form: data }, request.user.id)
+            if (!result) {
+                return response.status(500).json({ status: false, message: "Erro ao atualizar formulário." })
+            }
+
+            const body = await editResponse(id, result, false)
+            return response.status(200).json(body)
+        } catch (err) {
+            console.error("Erro ao atualizar formulário:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Atualiza o enunciado e/ou a pontuação de uma questão e, opcionalmente, suas opções.
+     *
+     * - Apenas questões da versão atual podem ser editadas.
+     * - Questões numéricas aceitam `numeric_answer` e `tolerance`; opções de associação, `match_text`.
+     * - Enunciado e opções aceitam texto formatado (`richText`) e imagem (`image_url`; `null` remove).
+     * - A questão resultante é conferida com as regras da publicação (ex: exatamente uma opção
+     *   correta em múltipla escolha) e com a rubrica, cuja soma deve seguir igual à pontuação.
+     * - Se o formulário já possui respostas, uma nova versão é criada.
+     * - Com `regrade: true`, os envios existentes são recalculados com o novo gabarito.
+     *
+     * @async
+     * @param {import("express").Request} request - Parâmetros `id` e `question_id`; corpo com `text`, `points`, `numeric_answer`, `tolerance`, `options` e `regrade`.
+     * @param {import("express").Response} response - Objeto da resposta HTTP.
+     * @returns {Promise<import("express").Response>} Retorna a versão resultante e o total de envios recalculados.
+     *
+     * @example
+     * PATCH /form/3/questions/10
+     * { "text": "Qual é o maior planeta?", "points": 2, "options": [{ "id": 41, "correct": false }, { "id": 42, "correct": true }], "regrade": true }
+     */
+    async updateQuestion(request, response) {
+        try {
+            const { id, question_id } = request.params
+            const { text, image_url, points, numeric_answer, tolerance, options, regrade } = request.body
+            if (!validator.isInt(id + '', { min: 1 }) || !validator.isInt(question_id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "ID inválido." })
+            }
+
+            const question = await Form.findQuestion(id, question_id)
+            if (!question) {
+                return response.status(404).json({ status: false, message: "Questão não encontrada na versão atual do formulário." })
+            }
+
+            const data = { id: question.id }
+            if (text !== undefined) {
+                if (!validator.isLength((text + '').trim(), { min: 1 })) {
+                    return response.status(422).json({ status: false, message: "O enunciado da questão é obrigatório." })
+                }
+                const clean = sanitizeRichText(text + '')
+                if (clean.error) {
+                    return response.status(422).json({ status: false, message: clean.error })
+                }
+                data.text = clean.value
+            }
+            if (image_url !== undefined) {
+                const image = readImageUrl(image_url)
+                if (image.error) {
+                    return response.status(422).json({ status: false, message: image.error })
+                }
+                data.image_url = image.value
+            }
+            if (points !== undefined) {
+                if (!validator.isFloat(points + '', { min: 0 })) {
+                    return response.status(422).json({ status: false, message: "Pontuação inválida." })
+                }
+                data.points = Number(points)
+            }
+            if ((numeric_answer !== undefined || tolerance !== undefined) && question.type !== "numerica") {
+                return response.status(422).json({ status: false, message: "Apenas questões numéricas possuem resposta numérica." })
+            }
+            if (numeric_answer !== undefined) {
+                if (!validator.isFloat(numeric_answer + '')) {
+                    return response.status(422).json({ status: false, message: "Resposta numérica inválida." })
+                }
+                data.numeric_answer = Number(numeric_answer)
+            }
+            if (tolerance !== undefined) {
+                if (!validator.isFloat(tolerance + '', { min: 0 })) {
+                    return response.status(422).json({ status: false, message: "Tolerância inválida." })
+                }
+                data.tolerance = Number(tolerance)
+            }
+
+            const optionChanges = []
+            if (options !== undefined) {
+                if (!Array.isArray(options)) {
+                    return response.status(422).json({ status: false, message: "Opções inválidas." })
+                }
+
+                const current = await Form.findOptionsByQuestion(question.id)
+                const currentIds = new Set((current || []).map(o => o.id))
+
+                for (const option of options) {
+                    if (!option || !currentIds.has(Number(option.id))) {
+                        return response.status(422).json({ status: false, message: "Opção não pertence à questão." })
+                    }
+                    const change = { id: Number(option.id) }
+                    if (option.text !== undefined) {
+                        const clean = sanitizeRichText(option.text + '', { kind: "option" })
+                        if (clean.error) {
+                            return response.status(422).json({ status: false, message: `Opção: ${clean.error}` })
+                        }
+                        change.text = clean.value
+                    }
+                    if (option.image_url !== undefined) {
+                        const image = readImageUrl(option.image_url)
+                        if (image.error) {
+                            return response.status(422).json({ status: false, message: image.error })
+                        }
+                        change.image_url = image.value
+                    }
+                    if (option.correct !== undefined) {
+                        change.correct = validator.toBoolean(option.correct + '', true)
+                    }
+                    if (option.match_text !== undefined) {
+                        if (question.type !== "associacao" || !validator.isLength((option.match_text + '').trim(), { min: 1, max: 255 })) {
+                            return response.status(422).json({ status: false, message: "O par da opção deve ter entre 1 e 255 caracteres." })
+                        }
+                        change.match_text = (option.match_text + '').trim()
+                    }
+                    optionChanges.push(change)
+                }
+            }
+
+            if (Object.keys(data).length === 1 && optionChanges.length === 0) {
+                return response.status(422).json({ status: false, message: "Nenhuma alteração informada." })
+            }
+
+            const invalid = await checkEditedQuestion(question, data, optionChanges)
+            if (invalid === undefined) {
+                return response.status(500).json({ status: false, message: "Erro ao atualizar questão." })
+            }
+            if (invalid) {
+                return response.status(422).json({ status: false, message: invalid })
+            }
+
+            const result = await Form.editForm(id, { questions: [data], options: optionChanges }, request.user.id)
+            if (!result) {
+                return response.status(500).json({ status: false, message: "Erro ao atualizar questão." })
+            }
+
+            const body = await editResponse(id, result, validator.toBoolean((regrade || false) + '', true), request.user.id)
+            if (!body) {
+                return response.status(500).json({ status: false, message: "Questão atualizada, mas houve erro ao recalcular os resultados." })
+            }
+
+            body.question_id = result.questions[question.id] || question.id
+            return response.status(200).json(body)
+        } catch (err) {
+            console.error("Erro ao atualizar questão:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Atualiza o texto e/ou o gabarito de uma opção.
+     *
+     * - Ao marcar uma opção como correta, as demais opções da questão deixam de ser corretas
+     *   (exceto em questões de múltipla seleção, que aceitam várias corretas).
+     * - A questão resultante é conferida com as regras da publicação (ex: múltipla escolha
+     *   sem opção correta ou verdadeiro/falso com outro texto são recusados).
+     * - Se o formulário já possui respostas, uma nova versão é criada.
+     * - Com `regrade: true`, os envios existentes são recalculados com o novo gabarito.
+     *
+     * @async
+     * @param {import("express").Request} request - Parâmetros `id` e `option_id`; corpo com `text`, `image_url`, `correct` e `regrade`.
+     * @param {import("express").Response} response - Objeto da resposta HTTP.
+     * @returns {Promise<import("express").Response>} Retorna a versão resultante e o total de envios recalculados.
+     *
+     * @example
+     * PATCH /form/3/options/42
+     * { "correct": true, "regrade": true }
+     */
+    async updateOption(request, response) {
+        try {
+            const { id, option_id } = request.params
+            const { text, image_url, correct, regrade } = request.body
+            if (!validator.isInt(id + '', { min: 1 }) || !validator.isInt(option_id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "ID inválido." })
+            }
+
+            const option = await Form.findOption(id, option_id)
+            if (!option) {
+                return response.status(404).json({ status: false, message: "Opção não encontrada na versão atual do formulário." })
+            }
+
+            const data = { id: option.id }
+            if (text !== undefined) {
+                const clean = sanitizeRichText(text + '', { kind: "option" })
+                if (clean.error) {
+                    return response.status(422).json({ status: false, message: clean.error })
+                }
+                data.text = clean.value
+            }
+            if (image_url !== undefined) {
+                const image = readImageUrl(image_url)
+                if (image.error) {
+                    return response.status(422).json({ status: false, message: image.error })
+                }
+                data.image_url = image.value
+            }
+            if (correct !== undefined) {
+                data.correct = validator.toBoolean(correct + '', true)
+            }
+
+            if (Object.keys(data).length === 1) {
+                return response.status(422).json({ status: false, message: "Nenhuma alteração informada." })
+            }
+
+            const options = [data]
+            if (data.correct && option.type !== "multipla_selecao") {
+                const siblings = await Form.findOptionsByQuestion(option.question_id)
+                if (!siblings) {
+                    return response.status(500).json({ status: false, message: "Erro ao atualizar opção." })
+                }
+                siblings
+                    .filter(o => o.id !== option.id && o.correct)
+                    .forEach(o => options.push({ id: o.id, correct: false }))
+            }
+
+            const question = await Form.findQuestion(id, option.question_id)
+            const invalid = question ? await checkEditedQuestion(question, {}, options) : undefined
+            if (invalid === undefined) {
+                return response.status(500).json({ status: false, message: "Erro ao atualizar opção." })
+            }
+            if (invalid) {
+                return response.status(422).json({ status: false, message: invalid })
+            }
+
+            const result = await Form.editForm(id, { options }, request.user.id)
+            if (!result) {
+                return response.status(500).json({ status: false, message: "Erro ao atualizar opção." })
+            }
+
+            const body = await editResponse(id, result, validator.toBoolean((regrade || false) + '', true), request.user.id)
+            if (!body) {
+                return response.status(500).json({ status: false, message: "Opção atualizada, mas houve erro ao recalcular os resultados." })
+            }
+
+            body.option_id = result.options[option.id] || option.id
+            return response.status(200).json(body)
+        } catch (err) {
+            console.error("Erro ao atualizar opção:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Lista o histórico de versões de um formulário.
+     *
+     * @async
+     * @param {import("express").Request} request - Parâmetro `id` do formulário.
+     * @param {import("express").Response} response - Objeto da resposta HTTP.
+     * @returns {Promise<import("express").Response>} Retorna as versões com a quantidade de envios de cada uma.
+     *
+     * @example
+     * GET /form/3/versions
+     */
+    async versions(request, response) {
+        try {
+            const { id } = request.params
+            if (!validator.isInt(id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "ID inválido." })
+            }
+
+            const versions = await Form.getVersions(id)
+            if (!versions || versions.length === 0) {
+                return response.status(404).json({ status: false, message: "Nenhuma versão encontrada." })
+            }
+
+            return response.status(200).json({ status: true, versions })
+        } catch (err) {
+            console.error("Erro ao buscar versões do formulário:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Estatísticas de itens de um formulário: percentual de acerto, frequência das opções,
+     * índice de discriminação por questão e média, desvio padrão e histograma das notas.
+     *
+     * @async
+     * @param {import("express").Request} request - Parâmetro `id` do formulário.
+     * @param {import("express").Response} response - Objeto da resposta HTTP.
+     * @returns {Promise<import("express").Response>} Retorna `{ status, statistics }`.
+     *
+     * @example
+     * GET /form/3/statistics
+     */
+    async statistics(request, response) {
+        try {
+            const { id } = request.params
+            if (!validator.isInt(id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "ID inválido." })
+            }
+
+            const data = await Form.itemAnalysisData(id)
+            if (!data) {
+                return response.status(500).json({ status: false, message: "Erro ao calcular as estatísticas." })
+            }
+
+            return response.status(200).json({ status: true, statistics: analyzeItems(data) })
+        } catch (err) {
+            console.error("Erro ao calcular estatísticas do formulário:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Recorrige os envios de um formulário com o gabarito atual — todos, ou só os que
+     * responderam uma questão (`question_id`). A nota anterior e a nova de cada envio
+     * alterado ficam registradas.
+     *
+     * @async
+     * @param {import("express").Request} request - Parâmetro `id`; corpo com `question_id` opcional.
+     * @param {import("express").Response} response - Objeto da resposta HTTP.
+     * @returns {Promise<import("express").Response>} Retorna envios avaliados, alterados e alunos com nota alterada.
+     *
+     * @example
+     * POST /form/3/regrade
+     * { "question_id": 10 }
+     * // { "status": true, "message": "2 aluno(s) tiveram a nota alterada.", "run_id": 7, "submissions": 30, "changed": 2, "students": 2 }
+     */
+    async regrade(request, response) {
+        try {
+            const { id } = request.params
+            const { question_id } = request.body || {}
+            if (!validator.isInt(id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "ID inválido." })
+            }
+            if (question_id !== undefined && question_id !== null && !validator.isInt(question_id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "Questão inválida." })
+            }
+
+            if (question_id) {
+                const question = await Form.findQuestion(id, question_id)
+                if (!question) {
+                    return response.status(404).json({ status: false, message: "Questão não encontrada na versão atual do formulário." })
+                }
+            }
+
+            const result = await Form.regradeSubmissions(Number(id), {
+                question_id: question_id ? Number(question_id) : null,
+                regraded_by: request.user.id
+            })
+            if (!result) {
+                return response.status(500).json({ status: false, message: "Erro ao recorrigir os envios." })
+            }
+
+            return response.status(200).json({
+                status: true,
+                message: result.students.length > 0
+                    ? `${result.students.length} aluno(s) tiveram a nota alterada.`
+                    : "Nenhuma nota foi alterada.",
+                run_id: result.run_id,
+                submissions: result.submissions,
+                changed: result.changed,
+                students: result.students.length
+            })
+        } catch (err) {
+            console.error("Erro ao recorrigir formulário:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Lista o histórico de recorreções de um formulário, com as notas antes e depois.
+     *
+     * @async
+     * @param {import("express").Request} request - Parâmetro `id` do formulário.
+     * @param {import("express").Response} response - Objeto da resposta HTTP.
+     * @returns {Promise<import("express").Response>} Retorna `{ status, regrades }`.
+     *
+     * @example
+     * GET /form/3/regrades
+     */
+    async regrades(request, response) {
+        try {
+            const { id } = request.params
+            if (!validator.isInt(id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "ID inválido." })
+            }
+
+            const regrades = await Form.getRegrades(id)
+            if (!regrades) {
+                return response.status(500).json({ status: false, message: "Erro ao buscar recorreções." })
+            }
+
+            return response.status(200).json({ status: true, regrades })
+        } catch (err) {
+            console.error("Erro ao buscar recorreções:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Define (ou remove, com `criteria` vazio) a rubrica de correção de uma questão aberta.
+     *
+     * - A soma das maiores pontuações dos critérios deve ser igual à pontuação da questão.
+     * - Rubricas já usadas na correção de respostas não podem ser alteradas.
+     *
+     * @async
+     * @param {import("express").Request} request - Parâmetros `id` e `question_id`; corpo com `criteria`.
+     * @param {import("express").Response} response - Objeto da resposta HTTP.
+     * @returns {Promise<import("express").Response>} Retorna a rubrica gravada.
+     *
+     * @example
+     * PUT /form/3/questions/10/rubric
+     * { "criteria": [{ "title": "Argumentação", "levels": [{ "label": "Insuficiente", "points": 0 }, { "label": "Completa", "points": 2 }] }] }
+     */
+    async updateRubric(request, response) {
+        try {
+            const { id, question_id } = request.params
+            const { criteria } = request.body
+            if (!validator.isInt(id + '', { min: 1 }) || !validator.isInt(question_id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "ID inválido." })
+            }
+
+            const question = await Rubric.findQuestion(id, question_id)
+            if (!question) {
+                return response.status(404).json({ status: false, message: "Questão não encontrada no formulário." })
+            }
+            if (question.type !== "aberta") {
+                return response.status(422).json({ status: false, message: "Apenas questões abertas podem ter rubrica." })
+            }
+
+            if (!Array.isArray(criteria)) {
+                return response.status(422).json({ status: false, message: "Critérios inválidos." })
+            }
+            if (criteria.length > 0) {
+                const error = QuestionFieldValidator.validateRubric(question.points, criteria)
+                if (error) return response.status(422).json({ status: false, message: error })
+            }
+
+            const used = await Rubric.hasScores(question.id)
+            if (used === undefined) {
+                return response.status(500).json({ status: false, message: "Erro ao verificar a rubrica." })
+            }
+            if (used) {
+                return response.status(409).json({ status: false, message: "A rubrica já foi usada na correção de respostas e não pode ser alterada." })
+            }
+
+            const saved = await Rubric.replace(question.id, criteria)
+            if (!saved) {
+                return response.status(500).json({ status: false, message: "Erro ao salvar rubrica." })
+            }
+
+            const rubrics = await Rubric.getByQuestions([question.id])
+            return response.status(200).json({
+                status: true,
+                message: criteria.length > 0 ? "Rubrica salva com sucesso." : "Rubrica removida.",
+                rubric: (rubrics && rubrics[question.id]) || []
+            })
+        } catch (err) {
+            console.error("Erro ao salvar rubrica:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
     /**
      * Retorna as informações completas de um formulário específico.
      *
      * - Inclui título, descrição, questões e metadados.
      * - Pode ser usado para exibir o conteúdo antes da aplicação do formulário.
+     * - Alunos que já responderam (ou estão respondendo) recebem a versão da sua
+     *   tentativa; professores podem consultar uma versão anterior com `?version=`.
+     * - Em simulados sorteados, o aluno recebe sempre a sua instância (questões
+     *   sorteadas e ordem das opções), a mesma usada na correção e no gabarito.
+     * - Enquanto o aluno ainda não enviou o formulário (ou tem uma tentativa em
+     *   andamento), o gabarito é removido (`hideAnswerKey`); depois do envio ele
+     *   recebe o formulário completo, usado na página de gabarito.
      *
      * @async
      * @param {import("express").Request} request - Objeto da requisição HTTP contendo o parâmetro `id` do formulário.
@@ -225,12 +969,37 @@ class FormController {
                 return response.status(422).json({ success: false, message: "ID inválido." })
             }
 
-            const form = await Form.getFormById(id)
+            let version = null
+            let answering = false
+            if (request.user.role === ROLES.STUDENT) {
+                const attempt = await Attempt.findOpen(id, request.user.id)
+                version = attempt
+                    ? attempt.form_version
+                    : await Form.findStudentVersion(id, request.user.id)
+                answering = !!attempt || version === null
+            } else if (request.query.version !== undefined) {
+                if (!validator.isInt(request.query.version + '', { min: 1 })) {
+                    return response.status(422).json({ success: false, message: "Versão inválida." })
+                }
+                version = Number(request.query.version)
+            }
+
+            const form = await Form.getFormById(id, version)
             if (!form) {
                 return response.status(404).json({ status: false, message: "Nenhum formulário encontrado." })
             }
 
-            return response.status(200).json({ status: true, form })
+            let studentForm = form[0]
+            if (request.user.role === ROLES.STUDENT && isRandomized(studentForm)) {
+                const instance = await resolveInstance(studentForm, request.user.id)
+                if (!instance) {
+                    return response.status(500).json({ status: false, message: "Erro ao sortear questões do simulado." })
+                }
+                studentForm = applyInstance(studentForm, instance)
+            }
+            if (answering) studentForm = hideAnswerKey(studentForm, request.user.id)
+
+            return response.status(200).json({ status: true, form: [studentForm] })
         } catch (err) {
             return response.status(500).json({ status: false, message: "Erro interno no servidor." })
         }
@@ -243,7 +1012,7 @@ class FormController {
      * - Retorna os formulários vinculados à turma informada.
      *
      * @async
-     * @param {import("express").Request} request - Objeto da requisição HTTP contendo o parâmetro `class_id` e o `user_id` no corpo.
+     * @param {import("express").Request} request - Objeto da requisição HTTP contendo o parâmetro `class_id`; o aluno vem de `request.user`.
      * @param {import("express").Response} response - Objeto da resposta HTTP.
      * @returns {Promise<import("express").Response>} Retorna um JSON com os formulários associados à turma.
      *
@@ -253,7 +1022,7 @@ class FormController {
     async getFormByClassId(request, response) {
         try {
             const { class_id } = request.params
-            const { user_id } = request.body
+            const user_id = request.user.id
             if (!validator.isInt(class_id + '', { min: 1 })) {
                 return response.status(422).json({ success: false, message: "Turma inválida." })
             }
@@ -274,16 +1043,157 @@ class FormController {
         }
     }
 
+    /**
+     * Inicia (ou retoma) a tentativa do aluno em um formulário.
+     *
+     * - O tempo é contado pelo servidor a partir do início da tentativa; o limite é
+     *   `totalDuration` minutos, sem ultrapassar o prazo do formulário.
+     * - Respeita o limite de tentativas do formulário (`max_attempts`, `null` para ilimitado).
+     * - Se já houver uma tentativa em andamento, ela é retomada com o tempo restante
+     *   e as respostas salvas automaticamente.
+     * - Se a tentativa em andamento já expirou, o rascunho é enviado automaticamente.
+     *
+     * @async
+     * @param {import("express").Request} request - Objeto da requisição contendo o parâmetro `id`; o aluno vem de `request.user`.
+     * @param {import("express").Response} response - Objeto da resposta HTTP.
+     * @returns {Promise<import("express").Response>} Retorna a tentativa (`started_at`, `expires_at`, `remaining_seconds` e `answers`).
+     *
+     * @example
+     * POST /form/5/attempts
+     */
+    async startAttempt(request, response) {
+        try {
+            const { id } = request.params
+            const student_id = request.user.id
+            if (!validator.isInt(id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "Formulário inválido." })
+            }
+
+            let attempt = await Attempt.findOpen(id, student_id)
+            if (attempt && isExpired(attempt)) {
+                await autoSubmit(attempt)
+                return response.status(403).json({ status: false, message: "O tempo deste simulado esgotou. As respostas salvas foram enviadas automaticamente." })
+            }
+
+            if (!attempt) {
+                const form = await Form.getFormById(id)
+                if (!form) {
+                    return response.status(404).json({ status: false, message: "Formulário não encontrado." })
+                }
+
+                const used = await Attempt.countUsed(id, student_id)
+                if (used === undefined) {
+                    return response.status(500).json({ status: false, message: "Erro ao iniciar simulado." })
+                }
+                if (form[0].max_attempts && used >= form[0].max_attempts) {
+                    return response.status(409).json({ status: false, message: "Você já usou todas as tentativas deste simulado." })
+                }
+
+                if (form[0].deadline && new Date(form[0].deadline) <= new Date()) {
+                    return response.status(403).json({ status: false, message: "O prazo para responder este simulado já terminou." })
+                }
+
+                attempt = await Attempt.start({
+                    form_id: id,
+                    student_id,
+                    form_version: form[0].version,
+                    number: used + 1,
+                    expires_at: computeExpiresAt(form[0])
+                })
+                // Outra requisição pode ter aberto a tentativa ao mesmo tempo
+                if (!attempt) attempt = await Attempt.findOpen(id, student_id)
+                if (!attempt) {
+                    return response.status(500).json({ status: false, message: "Erro ao iniciar simulado." })
+                }
+            }
+
+            return response.status(200).json({
+                status: true,
+                attempt: {
+                    id: attempt.id,
+                    number: attempt.number,
+                    started_at: attempt.started_at,
+                    expires_at: attempt.expires_at,
+                    remaining_seconds: remainingSeconds(attempt),
+                    answers: attempt.answers
+                }
+            })
+        } catch (err) {
+            console.error("Erro ao iniciar tentativa:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Salva automaticamente as respostas em andamento da tentativa do aluno.
+     *
+     * - Substitui o rascunho anterior pelas respostas enviadas.
+     * - Recusa o salvamento (e envia o rascunho) se o tempo já esgotou.
+     *
+     * @async
+     * @param {import("express").Request} request - Objeto contendo o parâmetro `id` e `answers` no corpo; o aluno vem de `request.user`.
+     * @param {import("express").Response} response - Objeto da resposta HTTP.
+     * @returns {Promise<import("express").Response>} Retorna o status e o tempo restante.
+     *
+     * @example
+     * PUT /form/5/attempts/current
+     * { "answers": [{ "question_id": 10, "option_id": 42 }] }
+     */
+    async saveDraft(request, response) {
+        try {
+            const { id } = request.params
+            const { answers } = request.body
+            const student_id = request.user.id
+            if (!validator.isInt(id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "Formulário inválido." })
+            }
+
+            if (!Array.isArray(answers)) {
+                return response.status(422).json({ status: false, message: "Respostas inválidas." })
+            }
+
+            const attempt = await Attempt.findOpen(id, student_id)
+            if (!attempt) {
+                return response.status(404).json({ status: false, message: "Nenhuma tentativa em andamento." })
+            }
+
+            if (isExpired(attempt)) {
+                await autoSubmit(attempt)
+                return response.status(403).json({ status: false, message: "O tempo deste simulado esgotou. As respostas salvas foram enviadas automaticamente." })
+            }
+
+            const form = await Form.getFormById(id, attempt.form_version)
+            if (!form) {
+                return response.status(404).json({ status: false, message: "Formulário não encontrado." })
+            }
+
+            const checked = await validateAnswers(form[0], student_id, attempt.form_version, answers)
+            if (checked.error) return response.status(422).json({ status: false, message: checked.error })
+
+            const saved = await Attempt.saveDraft(attempt.id, checked.answers)
+            if (!saved) {
+                return response.status(500).json({ status: false, message: "Erro ao salvar respostas." })
+            }
+
+            return response.status(200).json({ status: true, message: "Respostas salvas.", remaining_seconds: remainingSeconds(attempt) })
+        } catch (err) {
+            console.error("Erro ao salvar rascunho:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
     /**
      * Salva as respostas enviadas por um usuário para um formulário.
      *
-     * - Valida IDs de formulário e usuário.
+     * - Valida o ID do formulário; o aluno é sempre o usuário autenticado.
      * - Garante que ao menos uma resposta foi enviada.
-     * - Armazena as respostas no banco de dados.
-     * - Impede envio após o prazo (deadline).
+     * - Exige uma tentativa em andamento (`POST /form/:id/attempts`); envios após o
+     *   tempo da tentativa (ou o prazo) são recusados e o rascunho salvo é enviado no lugar.
+     * - Registra a versão do formulário respondida (a da tentativa).
+     * - Em simulados sorteados, aceita apenas respostas às questões da instância do aluno.
      *
      * @async
-     * @param {import("express").Request} request - Objeto contendo `form_id`, `user_id` e `answers`.
+     * @param {import("express").Request} request - Objeto contendo `form_id` e `answers`; o aluno vem de `request.user`.
      * @param {import("express").Response} response - Objeto da resposta HTTP.
      * @returns {Promise<import("express").Response>} Retorna o status da operação e o `class_id` vinculado ao formulário.
      *
@@ -292,72 +1202,52 @@ class FormController {
      */
     async saveAnswers(request, response) {
         try {
-            const { form_id, user_id, answers } = request.body
+            const { form_id, answers } = request.body
+            const user_id = request.user.id
             if (!validator.isInt(form_id + '', { min: 1 })) {
                 return response.status(422).json({ status: false, message: "Formulário inválido." })
             }
 
-            if (!validator.isInt(user_id + '', { min: 1 })) {
-                return response.status(422).json({ status: false, message: "Usuário inválido." })
-            }
-
             if (!Array.isArray(answers) || answers.length === 0) {
                 return response.status(422).json({ status: false, message: "Nenhuma resposta enviada." })
             }
 
-            const formData = await Form.getFormById(form_id)
-            if (!formData) {
-                return response.status(404).json({ status: false, message: "Formulário não encontrado." });
+            const attempt = await Attempt.findOpen(form_id, user_id)
+            if (!attempt) {
+                return response.status(409).json({ status: false, message: "Nenhuma tentativa em andamento para este simulado." })
             }
 
-            const deadline = new Date(formData.deadline)
-            const now = new Date()
-
-            if (now > deadline) {
+            if (isExpired(attempt)) {
+                await autoSubmit(attempt)
                 return response.status(403).json({
                     status: false,
-                    message: "O tempo para envio deste simulado já expirou."
+                    message: "O tempo para envio deste simulado já expirou. As respostas salvas automaticamente foram enviadas."
                 })
             }
 
-            const formattedAnswers = answers.map(({ question_id, option_id, open_answer }) => ({
-                form_id,
-                user_id,
-                question_id,
-                option_id: option_id || null,
-                open_answer: open_answer || null,
-            }))
-
-            const stats = await Form.calculateResults(formattedAnswers)
-
-            const results = {
-                form_id,
-                student_id: user_id,
-                points: stats.total_points,
-                correct: stats.correct,
-                wrong: stats.wrong,
+            const formData = await Form.getFormById(form_id, attempt.form_version)
+            if (!formData) {
+                return response.status(404).json({ status: false, message: "Formulário não encontrado." });
             }
-            
-            await Form.saveFormResults(results)
 
+            const checked = await validateAnswers(formData[0], user_id, attempt.form_version, answers)
+            if (checked.error) return response.status(422).json({ status: false, message: checked.error })
 
-            const classData = await Form.getClassIdByForm(form_id)
-            if (!classData) {
-                return response.status(404).json({ status: false, message: "Nenhuma turma encontrada." })
+            const result = await submitAttempt(attempt, checked.answers, checked.question_ids)
+            if (result.duplicated) {
+                return response.status(409).json({ status: false, message: "Este simulado já foi enviado." })
             }
-
-            const { class_id } = classData
-
-            const valid = await Form.saveAnswers(formattedAnswers)
-            if (!valid) {
+            if (!result.success) {
                 return response.status(500).json({ status: false, message: "Erro ao salvar respostas." })
             }
 
-            const data = {form_id, student_id: user_id}
-
-            await Form.saveFormAndUserCorrection(data)
-
-            return response.status(200).json({ status: true, message: "Respostas salvas com sucesso.", class_id, form_id })
+            return response.status(200).json({
+                status: true,
+                message: "Respostas salvas com sucesso.",
+                class_id: result.class_id,
+                form_id,
+                unanswered: result.unanswered
+            })
         } catch (err) {
             return response.status(500).json({ status: false, message: "Erro interno no servidor." })
         }
@@ -420,7 +1310,12 @@ class FormController {
                 return response.status(404).json({ status: false, message: "Nenhum formulário encontrado." })
             }
 
-            return response.status(200).json({ status: true, form })
+            const rubrics = await Rubric.getByQuestions([...new Set(form.map(row => row.question_id))])
+            if (!rubrics) {
+                return response.status(500).json({ status: false, message: "Erro ao buscar rubricas." })
+            }
+
+            return response.status(200).json({ status: true, form, rubrics })
         } catch (err) {
             return response.status(500).json({ status: false, message: "Erro interno no servidor." })
         }
@@ -429,9 +1324,13 @@ class FormController {
     /**
      * Salva as correções feitas pelo professor nas respostas dos alunos.
      *
-     * - Valida se as respostas e professores são válidos.
-     * - Atualiza o status das respostas (corrigidas, pendentes, etc.).
-     * - Registra comentários do professor, se existirem.
+     * - Valida se as respostas são válidas; o professor é sempre o usuário autenticado.
+     * - A nota de cada resposta vem da rubrica (`scores`: um nível por critério), de uma
+     *   pontuação parcial (`points`) ou do status correto/incorreto (`status`).
+     * - Todas as correções são validadas antes de gravar; a gravação (pontuação atribuída,
+     *   comentários e nota recalculada do envio) é feita em uma única transação
+     *   (`Form.saveCorrections`): se uma falhar, nenhuma é salva.
+     * - Notifica cada aluno corrigido (uma notificação por simulado), após a gravação.
      *
      * @async
      * @param {import("express").Request} request - Objeto da requisição HTTP contendo uma lista de correções no corpo.
@@ -441,23 +1340,27 @@ class FormController {
      * @example
      * POST /forms/corrections
      * Body: [
-     *   { "answer_id": 5, "teacher_id": 2, "comment": "Boa resposta!", "status": "correto" }
+     *   { "answer_id": 5, "comment": "Boa resposta!", "status": true },
+     *   { "answer_id": 6, "points": 1.5 },
+     *   { "answer_id": 7, "scores": [{ "criterion_id": 1, "level_id": 3 }, { "criterion_id": 2, "level_id": 5 }] }
      * ]
      */
     async saveCorrection(request, response) {
         try {
             const corrections = request.body
+            const teacher_id = request.user.id
             let id_class = null
+            const items = []
+
+            if (!Array.isArray(corrections)) {
+                return response.status(422).json({ status: false, message: "Correções inválidas." })
+            }
 
-            for (const { answer_id, teacher_id, comment, status } of corrections) {
+            for (const { answer_id, comment, status, points, scores } of corrections) {
                 if (!validator.isInt(answer_id + '', { min: 1 })) {
                     return response.status(422).json({ status: false, message: "Resposta inválida." })
                 }
 
-                if (!validator.isInt(teacher_id + '', { min: 1 })) {
-                    return response.status(422).json({ status: false, message: "Professor inválido." })
-                }
-
                 const ansData = await Form.answerExist(answer_id)
                 if (!ansData) {
                     return response.status(404).json({ status: false, message: `Resposta ${answer_id} não encontrada.` })
@@ -468,21 +1371,25 @@ class FormController {
                     return response.status(404).json({ status: false, message: "Nenhuma turma encontrada." })
                 }
 
-                const { class_id, form_id, student_id, question_id} = classData
+                const { class_id, form_id, student_id, question_id, question_points, attempt_id } = classData
                 id_class = class_id
 
-                if(!comment) {
-                    await Form.updateCorrection(answer_id, status)
-                }
-                else {
-                    const data = { answer_id, teacher_id, comment }
-                    await Form.saveComment(data)
-                    await Form.updateCorrection(answer_id, status)
+                const grade = await resolveGrade(question_id, Number(question_points), { status, points, scores })
+                if (grade.error) {
+                    return response.status(422).json({ status: false, message: `Resposta ${answer_id}: ${grade.error}` })
                 }
 
-                await Form.updatePoints(question_id, form_id, student_id)
+                items.push({ answer_id, comment, grade, form_id, student_id, attempt_id })
+            }
+
+            const saved = await Form.saveCorrections(items, teacher_id)
+            if (!saved.success) {
+                return response.status(500).json({ status: false, message: "Erro ao salvar correções." })
+            }
 
-                await Form.updateStatusForm(form_id, student_id)
+            const corrected = new Map(items.map(({ form_id, student_id }) => [`${form_id}:${student_id}`, { form_id, student_id }]))
+            for (const { form_id, student_id } of corrected.values()) {
+                await notifyFormCorrected(form_id, student_id)
             }
 
             return response.status(200).json({ status: true, message: "Correções salvas com sucesso.", id_class })
@@ -0,0 +1,42 @@
+const { getStudentMedals } = require("../utils/medalEngine")
+
+/**
+ * Controlador das medalhas (conquistas) dos alunos.
+ */
+class MedalController {
+
+    /**
+     * Retorna as medalhas do aluno autenticado: conquistadas, pontuação total,
+     * contagem por raridade e o progresso das próximas conquistas.
+     *
+     * @async
+     * @param {import("express").Request} request
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * GET /medals/me
+     * // 200
+     * {
+     *   "status": true,
+     *   "total_points": 350,
+     *   "by_rarity": { "Comum": 1, "Épica": 1 },
+     *   "earned": [{ "code": "first_perfect_score", "title": "Nota Máxima", "rarity": "Épica", "points": 300, "icon": "Star", "earned_at": "..." }],
+     *   "next": [{ "code": "five_on_time", "title": "Sempre Pontual", "progress": 60 }]
+     * }
+     */
+    async getMyMedals(request, response) {
+        try {
+            const medals = await getStudentMedals(request.user.id)
+            if (!medals) {
+                return response.status(500).json({ status: false, message: "Erro ao buscar medalhas." })
+            }
+            return response.status(200).json({ status: true, ...medals })
+        } catch (err) {
+            console.error("Erro ao buscar medalhas do aluno:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+}
+
+module.exports = new MedalController()
@@ -0,0 +1,224 @@
+const Notification = require("../models/Notification")
+const { subscribe, publish } = require("../utils/notificationStream")
+const validator = require('validator')
+
+/**
+ * Controlador da central de notificações do usuário autenticado.
+ *
+ * As notificações são criadas pelos produtores de `utils/notifier`; aqui ficam a
+ * listagem, a marcação de leitura e o canal em tempo real (Server-Sent Events).
+ */
+class NotificationController {
+
+    /**
+     * Lista as notificações do usuário autenticado, das mais recentes para as mais antigas,
+     * com o total de não lidas.
+     *
+     * - `unread=true` retorna apenas as não lidas.
+     * - Paginação por cursor: `before` recebe o menor `id` da página anterior.
+     *
+     * @async
+     * @param {import("express").Request} request
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * GET /notifications?unread=true&limit=10
+     * // { "status": true, "unread": 3, "notifications": [{ "id": 12, "type": "form_published", "title": "...", "read_at": null, ... }] }
+     */
+    async list(request, response) {
+        try {
+            const { unread, before, limit } = request.query
+
+            if (before !== undefined && !validator.isInt(before + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "Cursor inválido." })
+            }
+            if (limit !== undefined && !validator.isInt(limit + '', { min: 1, max: 50 })) {
+                return response.status(422).json({ status: false, message: "O limite deve estar entre 1 e 50." })
+            }
+
+            const user_id = request.user.id
+            const notifications = await Notification.listByUser(user_id, {
+                unread: unread === "true",
+                before: before ? Number(before) : undefined,
+                limit: limit ? Number(limit) : undefined
+            })
+            const unreadCount = await Notification.countUnread(user_id)
+            if (!notifications || unreadCount === undefined) {
+                return response.status(500).json({ status: false, message: "Erro ao buscar notificações." })
+            }
+
+            return response.status(200).json({ status: true, unread: unreadCount, notifications })
+        } catch (err) {
+            console.error("Erro ao listar notificações:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Marca uma notificação do usuário autenticado como lida.
+     * As outras abas abertas do usuário recebem o evento `read` com o novo total.
+     *
+     * @async
+     * @param {import("express").Request} request
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * PATCH /notifications/12/read
+     * // { "status": true, "message": "Notificação marcada como lida.", "unread": 2 }
+     */
+    async markRead(request, response) {
+        try {
+            const { id } = request.params
+            if (!validator.isInt(id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "Notificação inválida." })
+            }
+
+            const user_id = request.user.id
+            const marked = await Notification.markRead(Number(id), user_id)
+            if (marked === undefined) {
+                return response.status(500).json({ status: false, message: "Erro ao atualizar notificação." })
+            }
+            if (!marked) {
+                return response.status(404).json({ status: false, message: "Notificação não encontrada." })
+            }
+
+            const unread = await Notification.countUnread(user_id)
+            publish(user_id, "read", { ids: [Number(id)], unread })
+            return response.status(200).json({ status: true, message: "Notificação marcada como lida.", unread })
+        } catch (err) {
+            console.error("Erro ao marcar notificação como lida:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Marca todas as notificações do usuário autenticado como lidas.
+     *
+     * @async
+     * @param {import("express").Request} request
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * PATCH /notifications/read-all
+     * // { "status": true, "message": "Todas as notificações foram marcadas como lidas.", "updated": 3 }
+     */
+    async markAllRead(request, response) {
+        try {
+            const user_id = request.user.id
+            const updated = await Notification.markAllRead(user_id)
+            if (updated === undefined) {
+                return response.status(500).json({ status: false, message: "Erro ao atualizar notificações." })
+            }
+
+            publish(user_id, "read", { all: true, unread: 0 })
+            return response.status(200).json({ status: true, message: "Todas as notificações foram marcadas como lidas.", updated })
+        } catch (err) {
+            console.error("Erro ao marcar notificações como lidas:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Retorna as preferências de e-mail do usuário autenticado
+     * (lembretes de prazo e resumo semanal).
+     *
+     * @async
+     * @param {import("express").Request} request
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * GET /notifications/preferences
+     * // { "status": true, "preferences": { "deadline_reminders": true, "weekly_digest": false } }
+     */
+    async getPreferences(request, response) {
+        try {
+            const preferences = await Notification.getPreferences(request.user.id)
+            if (!preferences) {
+                return response.status(500).json({ status: false, message: "Erro ao buscar preferências." })
+            }
+
+            return response.status(200).json({ status: true, preferences })
+        } catch (err) {
+            console.error("Erro ao buscar preferências de notificação:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Atualiza as preferências de e-mail do usuário autenticado.
+     * Apenas os campos enviados são alterados; ambos devem ser booleanos.
+     *
+     * @async
+     * @param {import("express").Request} request
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * PUT /notifications/preferences
+     * { "weekly_digest": false }
+     * // { "status": true, "message": "Preferências atualizadas.", "preferences": { ... } }
+     */
+    async updatePreferences(request, response) {
+        try {
+            const body = request.body || {}
+            const changes = {}
+
+            for (const field of ["deadline_reminders", "weekly_digest"]) {
+                if (body[field] === undefined) continue
+                if (typeof body[field] !== "boolean") {
+                    return response.status(422).json({ status: false, message: "Preferência inválida." })
+                }
+                changes[field] = body[field]
+            }
+            if (Object.keys(changes).length === 0) {
+                return response.status(422).json({ status: false, message: "Nenhuma preferência informada." })
+            }
+
+            const preferences = await Notification.updatePreferences(request.user.id, changes)
+            if (!preferences) {
+                return response.status(500).json({ status: false, message: "Erro ao atualizar preferências." })
+            }
+
+            return response.status(200).json({ status: true, message: "Preferências atualizadas.", preferences })
+        } catch (err) {
+            console.error("Erro ao atualizar preferências de notificação:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Abre o canal de notificações em tempo real (Server-Sent Events).
+     *
+     * Eventos enviados:
+     * - `ready` — ao conectar, com o total de não lidas (`{ unread }`);
+     * - `notification` — nova notificação (mesmo formato da listagem);
+     * - `read` — leitura feita em outra aba (`{ ids | all, unread }`).
+     *
+     * @async
+     * @param {import("express").Request} request
+     * @param {import("express").Response} response
+     *
+     * @example
+     * const source = new EventSource(`${API}/notifications/stream`, { withCredentials: true })
+     * source.addEventListener("notification", (e) => console.log(JSON.parse(e.data)))
+     */
+    async stream(request, response) {
+        try {
+            const user_id = request.user.id
+            const unread = await Notification.countUnread(user_id)
+            subscribe(user_id, request, response, { unread: unread ?? 0 })
+        } catch (err) {
+            console.error("Erro ao abrir canal de notificações:", err)
+            if (!response.headersSent) {
+                return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+            }
+            response.end()
+        }
+    }
+}
+
+module.exports = new NotificationController()
@@ -0,0 +1,254 @@
+const QuestionBank = require("../models/QuestionBank")
+const QuestionFieldValidator = require("../utils/questionValidator")
+const { sanitizeRichText } = require("../utils/richText")
+const validator = require("validator")
+
+/** Aceita apenas imagens com endereço http(s). */
+const imageUrl = (url) => url && validator.isURL(url + '', { protocols: ["http", "https"], require_protocol: true }) ? url + '' : null
+
+/**
+ * Extrai e valida os campos de uma questão do banco enviados no corpo.
+ * Enunciado e opções são limpos por `richText`; imagens precisam de endereço http(s).
+ *
+ * @param {Object} body - Corpo da requisição.
+ * @param {boolean} partial - Em atualizações, apenas os campos enviados são validados.
+ * @returns {{error?: string, data?: Object, options?: Object[], tags?: string[]}}
+ */
+function readQuestion(body, partial) {
+    const { text, image_url, points, type, topic, difficulty, options, tags } = body
+    const fields = {}
+    if (!partial || text !== undefined) fields.text = text
+    if (!partial || points !== undefined) fields.points = points
+    if (!partial || type !== undefined) fields.type = type
+    if (topic !== undefined) fields.topic = topic
+    if (difficulty !== undefined) fields.difficulty = difficulty
+    if (tags !== undefined) fields.tags = tags
+
+    const error = QuestionFieldValidator.validate(fields)
+    if (error) return { error }
+
+    const data = {}
+    if (fields.text !== undefined) data.text = sanitizeRichText(text + '').value
+    if (image_url !== undefined) data.image_url = imageUrl(image_url)
+    if (fields.points !== undefined) data.points = Number(points)
+    if (fields.type !== undefined) data.type = type
+    if (fields.topic !== undefined) data.topic = topic ? (topic + '').trim() : null
+    if (fields.difficulty !== undefined) data.difficulty = difficulty || null
+
+    const cleanOptions = Array.isArray(options)
+        ? options.map(o => o && { ...o, text: sanitizeRichText((o.text || '') + '', { kind: 'option', required: false }).value, image_url: imageUrl(o.image_url) })
+        : options
+
+    return { data, options: cleanOptions, tags }
+}
+
+/**
+ * @class QuestionBankController
+ * @classdesc Controlador do banco de questões por disciplina: cadastro, edição,
+ * remoção, pesquisa com filtros e estatísticas de uso.
+ */
+class QuestionBankController {
+
+    /**
+     * Pesquisa as questões do banco de uma disciplina.
+     *
+     * Filtros (query string): `search`, `topic`, `difficulty`, `type` e `tag`.
+     *
+     * @async
+     * @param {import("express").Request} request - Parâmetro `subject_id` e filtros na query.
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>} Questões com opções, tags e estatísticas de uso,
+     * além dos temas e tags disponíveis para filtro.
+     *
+     * @example
+     * GET /bank/subject/2?topic=Aritmética&difficulty=facil&search=soma
+     */
+    async list(request, response) {
+        try {
+            const { subject_id } = request.params
+            if (!validator.isInt(subject_id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "Disciplina inválida." })
+            }
+
+            const { search, topic, difficulty, type, tag } = request.query
+            // Parâmetros repetidos (`?search=a&search=b`) chegam como lista
+            if ([search, topic, difficulty, type, tag].some(value => value !== undefined && typeof value !== "string")) {
+                return response.status(422).json({ status: false, message: "Filtros inválidos." })
+            }
+            const filterError = QuestionFieldValidator.validate({
+                ...(difficulty ? { difficulty } : {}),
+                ...(type ? { type } : {})
+            })
+            if (filterError) return response.status(422).json({ status: false, message: filterError })
+
+            const questions = await QuestionBank.search(subject_id, { search, topic, difficulty, type, tag })
+            const filters = await QuestionBank.getFilters(subject_id)
+            if (!questions || !filters) {
+                return response.status(500).json({ status: false, message: "Erro ao buscar banco de questões." })
+            }
+
+            return response.status(200).json({ status: true, questions, filters })
+        } catch (err) {
+            console.error("Erro ao listar banco de questões:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Retorna uma questão do banco com opções, tags e estatísticas de uso.
+     *
+     * @async
+     * @param {import("express").Request} request - Parâmetro `id`.
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * GET /bank/7
+     */
+    async view(request, response) {
+        try {
+            const { id } = request.params
+            if (!validator.isInt(id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "ID inválido." })
+            }
+
+            const question = await QuestionBank.findById(id)
+            if (!question) {
+                return response.status(404).json({ status: false, message: "Questão não encontrada." })
+            }
+
+            return response.status(200).json({ status: true, question })
+        } catch (err) {
+            console.error("Erro ao buscar questão do banco:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Cadastra uma questão no banco da disciplina. O autor é o usuário autenticado.
+     *
+     * @async
+     * @param {import("express").Request} request - Corpo com `subject_id`, `text`, `points`, `type`,
+     * `options`, `topic`, `difficulty` e `tags`.
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * POST /bank
+     * {
+     *   "subject_id": 2, "text": "2 + 2 = ?", "points": 1, "type": "multipla_escolha",
+     *   "topic": "Aritmética", "difficulty": "facil", "tags": ["soma"],
+     *   "options": [{ "text": "4", "correct": true }, { "text": "5", "correct": false }]
+     * }
+     */
+    async create(request, response) {
+        try {
+            const { subject_id } = request.body
+            if (!validator.isInt(subject_id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "Disciplina inválida." })
+            }
+
+            const { error, data, options, tags } = readQuestion(request.body, false)
+            if (error) return response.status(422).json({ status: false, message: error })
+
+            const optionsError = QuestionFieldValidator.validateOptions(data.type, options)
+            if (optionsError) return response.status(422).json({ status: false, message: optionsError })
+
+            const saved = await QuestionBank.create(
+                { ...data, subject_id, created_by: request.user.id },
+                data.type === "aberta" ? [] : options,
+                tags
+            )
+            if (!saved.success) {
+                return response.status(500).json({ status: false, message: "Erro ao cadastrar questão no banco." })
+            }
+
+            return response.status(201).json({ status: true, message: "Questão adicionada ao banco.", id: saved.insertId })
+        } catch (err) {
+            console.error("Erro ao cadastrar questão no banco:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Atualiza uma questão do banco. Simulados que já a importaram não são alterados.
+     *
+     * @async
+     * @param {import("express").Request} request - Parâmetro `id` e corpo com os campos a alterar.
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * PATCH /bank/7
+     * { "difficulty": "media", "tags": ["soma", "revisão"] }
+     */
+    async update(request, response) {
+        try {
+            const { id } = request.params
+            if (!validator.isInt(id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "ID inválido." })
+            }
+
+            const current = await QuestionBank.findById(id)
+            if (!current) {
+                return response.status(404).json({ status: false, message: "Questão não encontrada." })
+            }
+
+            const { error, data, options, tags } = readQuestion(request.body, true)
+            if (error) return response.status(422).json({ status: false, message: error })
+
+            const type = data.type || current.type
+            if (options !== undefined || (data.type && data.type !== current.type)) {
+                const optionsError = QuestionFieldValidator.validateOptions(type, options)
+                if (optionsError) return response.status(422).json({ status: false, message: optionsError })
+            }
+
+            if (Object.keys(data).length === 0 && options === undefined && tags === undefined) {
+                return response.status(422).json({ status: false, message: "Nenhuma alteração informada." })
+            }
+
+            const nextOptions = type === "aberta" && data.type ? [] : options
+            const updated = await QuestionBank.update(id, data, nextOptions, tags)
+            if (!updated) {
+                return response.status(500).json({ status: false, message: "Erro ao atualizar questão do banco." })
+            }
+
+            return response.status(200).json({ status: true, message: "Questão atualizada com sucesso." })
+        } catch (err) {
+            console.error("Erro ao atualizar questão do banco:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Remove uma questão do banco. Simulados que já a importaram mantêm suas cópias.
+     *
+     * @async
+     * @param {import("express").Request} request - Parâmetro `id`.
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * DELETE /bank/7
+     */
+    async delete(request, response) {
+        try {
+            const { id } = request.params
+            if (!validator.isInt(id + '', { min: 1 })) {
+                return response.status(422).json({ status: false, message: "ID inválido." })
+            }
+
+            const deleted = await QuestionBank.deleteById(id)
+            if (!deleted) {
+                return response.status(404).json({ status: false, message: "Questão não encontrada." })
+            }
+
+            return response.status(200).json({ status: true, message: "Questão removida do banco." })
+        } catch (err) {
+            console.error("Erro ao remover questão do banco:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+}
+
+module.exports = new QuestionBankController()
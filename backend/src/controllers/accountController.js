@@ -7,7 +7,8 @@ const Course = require("../models/Course")
 const sendEmail = require("../utils/sendEmail")
 const formatMessageTeacherApproved = require("../utils/messageApprovedEmail")
 const formatMessageTeacherRejected = require("../utils/messageReprovedEmail")
-const { supabase } = require("../utils/supabase")
+const { files } = require("../utils/storage")
+const { notifyAccessRequested } = require("../utils/notifier")
 
 
 /**
@@ -21,11 +22,12 @@ class AccountController {
      * - Valida instituição e código de acesso.
      * - Exige upload de diploma em PDF.
      * - Cria uma conta vinculada ao usuário.
+ * - Notifica quem avalia a solicitação (coordenadores do curso e administrador).
      *
      * @async
      * @param {import("express").Request} request
      * @param {Object} request.body
-     * @param {number|string} request.body.id - ID do usuário.
+     * @param {number|string} [request.body.id] - ID do usuário (opcional; deve coincidir com o usuário autenticado).
      * @param {string} request.body.institution - Nome da instituição (3-50 caracteres).
      * @param {number|string} request.body.access_code - Código de acesso válido.
      * @param {string} request.body.role - Papel a ser atribuído ao usuário.
@@ -53,7 +55,8 @@ class AccountController {
      */
     async addRole(request, response) {
         try {
-            const { id, institution, access_code, role } = request.body;
+            const { institution, access_code, role } = request.body;
+            const id = request.user.id;
             const diplomaFile = request.file;
 
             const course_valid = await Course.getCourseByCode(access_code);
@@ -102,15 +105,10 @@ class AccountController {
             // ✅ Nome do arquivo no Storage
             const fileName = `evolvere/${id}-${Date.now()}.pdf`;
 
-            // ✅ Upload para o Supabase
-            const { error: uploadError } = await supabase.storage
-                .from("diplomas")
-                .upload(fileName, diplomaFile.buffer, {
-                    contentType: "application/pdf",
-                    upsert: true
-                });
-
-            if (uploadError) {
+            // ✅ Upload para o armazenamento configurado
+            try {
+                await files.put("diplomas", fileName, diplomaFile.buffer, { contentType: "application/pdf" });
+            } catch (uploadError) {
                 console.error(uploadError);
                 return response.status(500).json({
                     status: false,
@@ -135,6 +133,8 @@ class AccountController {
                 });
             }
 
+            await notifyAccessRequested(update);
+
             return response.status(200).json({
                 status: true,
                 message: "Conta profissional configurada com sucesso!"
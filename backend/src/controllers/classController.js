@@ -1,13 +1,69 @@
 const Class = require('../models/Class');
 const validator = require('validator');
 const crypto = require('crypto');
+const XLSX = require('xlsx');
 const Invite = require('../models/Invite'); 
+const Enrollment = require('../models/Enrollment');
+const { MEDAL_EVENTS, evaluateMedals } = require('../utils/medalEngine');
+const { escapeFormula } = require('../utils/spreadsheet');
 
 function generateInviteCode() {
     const randomPart = crypto.randomBytes(3).toString('hex').toUpperCase();
     return `${randomPart.substring(0, 3)}-${randomPart.substring(3, 6)}`;
 }
 
+/**
+ * Cria um convite com um código ainda não usado por nenhum outro convite.
+ * @param {Object} data - `classes_id`, `expires_at`, `max_uses` e `created_by`.
+ * @returns {Promise<Object|undefined>} Convite criado.
+ */
+async function createUniqueInvite(data) {
+    let inviteCode;
+    let isCodeUnique = false;
+    while (!isCodeUnique) {
+        inviteCode = generateInviteCode();
+        const existingCode = await Invite.findByCode(inviteCode);
+        if (!existingCode) isCodeUnique = true;
+    }
+    return Invite.create({ ...data, code: inviteCode });
+}
+
+/**
+ * Converte o quadro de notas de {@link Class#gradebook} em linhas de planilha:
+ * cabeçalho, um aluno por linha, médias da turma e legenda.
+ * Envios aguardando correção aparecem com `*`; sem envio após o prazo, "Não entregue".
+ * Textos que o Excel leria como fórmula (nomes de alunos, títulos) são escapados.
+ * @param {Object} book - Quadro de notas da turma.
+ * @returns {Array<Array<string|number>>}
+ */
+function gradebookSheetRows(book) {
+    const header = [
+        'Aluno',
+        ...book.forms.map(f => `${f.title} (${f.max_points} pts)`),
+        'Total', 'Máximo', '%', 'Não entregues'
+    ];
+    const cellValue = (cell) => {
+        if (cell.status === 'missing') return 'Não entregue';
+        if (cell.status === 'open') return '';
+        return cell.status === 'pending' ? `${cell.points}*` : cell.points;
+    };
+    const rows = book.students.map(student => [
+        student.username,
+        ...student.cells.map(cellValue),
+        student.total,
+        student.possible,
+        student.percent === null ? '' : student.percent,
+        student.missing
+    ]);
+    const averages = [
+        'Média da turma',
+        ...book.forms.map(f => f.average === null ? '' : f.average),
+        '', '', book.class_average === null ? '' : book.class_average, ''
+    ];
+    return [header, ...rows, averages, [], ['* nota parcial: há questões aguardando correção.']]
+        .map(row => row.map(escapeFormula));
+}
+
 /**
  * Controlador para gerir as operações relacionadas a Turmas (Classes).
  * @class
@@ -283,23 +339,19 @@ class ClassController {
             }
             const dbMaxUses = (max_uses === 0) ? null : max_uses;
 
-            let inviteCode;
-            let isCodeUnique = false;
-            while (!isCodeUnique) {
-                inviteCode = generateInviteCode();
-                const existingCode = await Invite.findByCode(inviteCode);
-                if (!existingCode) isCodeUnique = true;
-            }
-            
-            const newInvite = await Invite.create({
-                code: inviteCode,
+            const newInvite = await createUniqueInvite({
                 classes_id: parseInt(classId),
                 expires_at: expirationDate,
-                max_uses: dbMaxUses
+                max_uses: dbMaxUses,
+                created_by: req.user.id
             });
+            if (!newInvite) {
+                return res.status(500).json({ success: false, message: 'Erro ao gerar código de convite.' });
+            }
 
 
             const responseData = {
+                id: newInvite.id,
                 code: newInvite.code,
                 expires_at: newInvite.expires_at.toISOString(),
                 max_uses: newInvite.max_uses === null ? 0 : newInvite.max_uses,
@@ -318,11 +370,257 @@ class ClassController {
     }
 
 
+    /**
+     * @summary Lista os convites de uma turma com a situação de cada um.
+     * @param {import("express").Request} req - Parâmetro `id` da turma.
+     * @param {import("express").Response} res - O objeto da resposta Express.
+     * @returns {Promise<void>}
+     * @example
+     * // GET /classes/1/invites
+     * // Resposta de sucesso:
+     * {
+     * "success": true,
+     * "data": [
+     * { "id": 3, "code": "A1B-2C3", "status": "active", "use_count": 4, "max_uses": 30, "expires_at": "..." }
+     * ]
+     * }
+     */
+    async listInvites(req, res) {
+        try {
+            const { id: classId } = req.params;
+            if (!validator.isInt(classId + '', { min: 1 })) {
+                return res.status(422).json({ success: false, message: "ID inválido." });
+            }
+
+            const invites = await Invite.findByClass(classId);
+            if (!invites) {
+                return res.status(500).json({ success: false, message: 'Erro ao listar convites.' });
+            }
+            res.status(200).json({ success: true, data: invites });
+        } catch (error) {
+            console.error('Erro ao listar convites:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor.' });
+        }
+    }
+
+    /**
+     * @summary Revoga um convite imediatamente (o código deixa de aceitar matrículas).
+     * @param {import("express").Request} req - Parâmetros `id` da turma e `invite_id`.
+     * @param {import("express").Response} res - O objeto da resposta Express.
+     * @returns {Promise<void>}
+     * @example
+     * // DELETE /classes/1/invites/3
+     * // Resposta de sucesso:
+     * { "success": true, "message": "Convite revogado com sucesso." }
+     */
+    async revokeInvite(req, res) {
+        try {
+            const { id: classId, invite_id } = req.params;
+            if (!validator.isInt(classId + '', { min: 1 }) || !validator.isInt(invite_id + '', { min: 1 })) {
+                return res.status(422).json({ success: false, message: "ID inválido." });
+            }
+
+            const invite = await Invite.findInClass(invite_id, classId);
+            if (!invite) {
+                return res.status(404).json({ success: false, message: 'Convite não encontrado.' });
+            }
+            if (invite.revoked_at) {
+                return res.status(409).json({ success: false, message: 'Este convite já foi revogado.' });
+            }
+
+            const revoked = await Invite.revoke(invite.id, req.user.id);
+            if (!revoked) {
+                return res.status(500).json({ success: false, message: 'Erro ao revogar convite.' });
+            }
+            res.status(200).json({ success: true, message: 'Convite revogado com sucesso.' });
+        } catch (error) {
+            console.error('Erro ao revogar convite:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor.' });
+        }
+    }
+
+    /**
+     * @summary Gera um novo código no lugar de um convite (ex.: código vazado).
+     * O convite antigo é revogado e o novo mantém o limite de usos e a validade
+     * (se o antigo já expirou, a mesma duração passa a contar a partir de agora).
+     * @param {import("express").Request} req - Parâmetros `id` da turma e `invite_id`.
+     * @param {import("express").Response} res - O objeto da resposta Express.
+     * @returns {Promise<void>}
+     * @example
+     * // POST /classes/1/invites/3/regenerate
+     * // Resposta de sucesso:
+     * {
+     * "success": true,
+     * "message": "Novo código gerado. O código anterior foi revogado.",
+     * "data": { "id": 4, "code": "D4E-5F6", "expires_at": "...", "max_uses": 30 }
+     * }
+     */
+    async regenerateInvite(req, res) {
+        try {
+            const { id: classId, invite_id } = req.params;
+            if (!validator.isInt(classId + '', { min: 1 }) || !validator.isInt(invite_id + '', { min: 1 })) {
+                return res.status(422).json({ success: false, message: "ID inválido." });
+            }
+
+            const invite = await Invite.findInClass(invite_id, classId);
+            if (!invite) {
+                return res.status(404).json({ success: false, message: 'Convite não encontrado.' });
+            }
+
+            const expiresAt = new Date(invite.expires_at);
+            let expirationDate = expiresAt;
+            if (invite.revoked_at || expiresAt.getTime() <= Date.now()) {
+                const duration = expiresAt.getTime() - new Date(invite.created_at).getTime();
+                expirationDate = new Date(Date.now() + Math.max(duration, 60 * 1000));
+            }
+
+            const newInvite = await createUniqueInvite({
+                classes_id: invite.classes_id,
+                expires_at: expirationDate,
+                max_uses: invite.max_uses,
+                created_by: req.user.id
+            });
+            if (!newInvite) {
+                return res.status(500).json({ success: false, message: 'Erro ao gerar código de convite.' });
+            }
+
+            if (!invite.revoked_at) await Invite.revoke(invite.id, req.user.id, newInvite.id);
+
+            res.status(201).json({
+                success: true,
+                message: "Novo código gerado. O código anterior foi revogado.",
+                data: {
+                    id: newInvite.id,
+                    code: newInvite.code,
+                    expires_at: newInvite.expires_at.toISOString(),
+                    max_uses: newInvite.max_uses === null ? 0 : newInvite.max_uses,
+                }
+            });
+        } catch (error) {
+            console.error('Erro ao regenerar convite:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor.' });
+        }
+    }
+
+    /**
+     * @summary Lista quem usou os convites da turma e quando.
+     * @param {import("express").Request} req - Parâmetro `id` da turma; `invite_id` opcional na query.
+     * @param {import("express").Response} res - O objeto da resposta Express.
+     * @returns {Promise<void>}
+     * @example
+     * // GET /classes/1/invites/redemptions?invite_id=3
+     * // Resposta de sucesso:
+     * {
+     * "success": true,
+     * "data": [
+     * { "code": "A1B-2C3", "username": "ana.lima", "status": "enrolled", "redeemed_at": "...", "enrolled": true }
+     * ]
+     * }
+     */
+    async inviteRedemptions(req, res) {
+        try {
+            const { id: classId } = req.params;
+            const { invite_id } = req.query;
+            if (!validator.isInt(classId + '', { min: 1 })) {
+                return res.status(422).json({ success: false, message: "ID inválido." });
+            }
+            if (invite_id !== undefined && !validator.isInt(invite_id + '', { min: 1 })) {
+                return res.status(422).json({ success: false, message: "Convite inválido." });
+            }
+
+            const redemptions = await Invite.getRedemptions(classId, invite_id || null);
+            if (!redemptions) {
+                return res.status(500).json({ success: false, message: 'Erro ao buscar usos dos convites.' });
+            }
+            res.status(200).json({ success: true, data: redemptions });
+        } catch (error) {
+            console.error('Erro ao buscar usos dos convites:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor.' });
+        }
+    }
+
+    /**
+     * @summary Retorna o quadro de notas da turma (alunos x simulados), com totais, médias
+     * e marcação de envios faltantes.
+     * @param {import("express").Request} req - Parâmetro `id` da turma.
+     * @param {import("express").Response} res - O objeto da resposta Express.
+     * @returns {Promise<void>}
+     * @example
+     * // GET /classes/1/gradebook
+     * // Resposta de sucesso:
+     * {
+     * "success": true,
+     * "data": {
+     * "forms": [{ "id": 3, "title": "Simulado 1", "max_points": 10, "average": 7.2, "submissions": 18, "missing": 2 }],
+     * "students": [{ "student_id": 8, "username": "ana", "cells": [{ "form_id": 3, "points": 8, "status": "graded" }], "total": 8, "possible": 10, "percent": 80, "missing": 0 }],
+     * "class_average": 72.5
+     * }
+     * }
+     */
+    async getGradebook(req, res) {
+        try {
+            const { id: classId } = req.params;
+            if (!validator.isInt(classId + '', { min: 1 })) {
+                return res.status(422).json({ success: false, message: "ID inválido." });
+            }
+
+            const book = await Class.gradebook(Number(classId));
+            if (!book) {
+                return res.status(500).json({ success: false, message: 'Erro ao montar o quadro de notas.' });
+            }
+            res.status(200).json({ success: true, data: book });
+        } catch (error) {
+            console.error('Erro ao buscar quadro de notas:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor.' });
+        }
+    }
+
+    /**
+     * @summary Exporta o quadro de notas da turma em XLSX ou CSV.
+     * @param {import("express").Request} req - Parâmetro `id` da turma; `format` (`xlsx` ou `csv`) na query.
+     * @param {import("express").Response} res - O objeto da resposta Express.
+     * @returns {Promise<void>} Arquivo para download.
+     * @example
+     * // GET /classes/1/gradebook/export?format=csv
+     */
+    async exportGradebook(req, res) {
+        try {
+            const { id: classId } = req.params;
+            const format = req.query.format === 'csv' ? 'csv' : 'xlsx';
+            if (!validator.isInt(classId + '', { min: 1 })) {
+                return res.status(422).json({ success: false, message: "ID inválido." });
+            }
+
+            const book = await Class.gradebook(Number(classId));
+            if (!book) {
+                return res.status(500).json({ success: false, message: 'Erro ao montar o quadro de notas.' });
+            }
+
+            const sheet = XLSX.utils.aoa_to_sheet(gradebookSheetRows(book));
+            res.setHeader('Content-Disposition', `attachment; filename="notas-turma-${classId}.${format}"`);
+
+            if (format === 'csv') {
+                // BOM para o Excel reconhecer o CSV como UTF-8
+                res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+                return res.send('\uFEFF' + XLSX.utils.sheet_to_csv(sheet));
+            }
+
+            const workbook = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(workbook, sheet, 'Notas');
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.send(XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+        } catch (error) {
+            console.error('Erro ao exportar quadro de notas:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor.' });
+        }
+    }
+
     /**
      * Retorna todos os alunos associados a uma turma específica.
      *
      * Essa função valida o `class_id` recebido via parâmetros,
-     * consulta os alunos vinculados à turma e retorna a lista.
+     * consulta os alunos vinculados à turma e retorna a lista, junto com os
+     * alunos que aguardam vaga na lista de espera.
      * Caso o `class_id` seja inválido ou nenhum aluno seja encontrado,
      * uma resposta com o código de status apropriado é enviada.
      *
@@ -342,6 +640,9 @@ class ClassController {
      *   "students": [
      *     { "id": 1, "name": "Maria Silva" },
      *     { "id": 2, "name": "João Souza" }
+     *   ],
+     *   "waitlist": [
+     *     { "student_id": 9, "username": "ana.lima", "created_at": "2025-11-20T10:00:00.000Z" }
      *   ]
      * }
      *
@@ -362,7 +663,8 @@ class ClassController {
             if(!students) {
                 return response.status(404).json({ status: false, message: "Nenhum aluno encontrado." })
             }
-            return response.status(200).json({status: true, students})
+            const waitlist = await Enrollment.getWaitlist(class_id)
+            return response.status(200).json({status: true, students, waitlist: waitlist || []})
         } catch(err) {
             return response.status(500).json({ success: false, message: 'Erro interno do servidor.' });
         }
@@ -374,7 +676,8 @@ class ClassController {
      *
      * Essa função valida os parâmetros `student_id` e `class_id`,
      * verifica se o aluno está associado à turma e, caso positivo,
-     * realiza a exclusão da relação entre o aluno e a turma.
+     * realiza a exclusão da relação entre o aluno e a turma. A vaga liberada
+     * é ocupada pelo próximo aluno da lista de espera, se houver.
      *
      * @async
      * @function removeStudent
@@ -390,7 +693,7 @@ class ClassController {
      * { "class_id": 3 }
      *
      * // Resposta de sucesso (200):
-     * { "status": true, "message": "Aluno removido com sucesso." }
+     * { "status": true, "message": "Aluno removido com sucesso.", "promoted": [] }
      *
      * // Resposta (404): Aluno não encontrado
      * { "status": false, "message": "Aluno não encontrado." }
@@ -403,10 +706,10 @@ class ClassController {
             const { student_id } = request.params
             const { class_id } = request.body
             if (!validator.isInt(student_id + '', { min: 1 })) {
-                return res.status(422).json({ success: false, message: "ID inválido." });
+                return response.status(422).json({ success: false, message: "ID inválido." });
             }
             if (!validator.isInt(class_id + '', { min: 1 })) {
-                return res.status(422).json({ success: false, message: "Turma invalida." });
+                return response.status(422).json({ success: false, message: "Turma invalida." });
             }
 
             const studentExist = await Class.studentExist(student_id, class_id)
@@ -417,7 +720,20 @@ class ClassController {
             if(!valid) {
                 return response.status(500).json({ status: false, message: "Erro ao deletar aluno." })
             }
-            return response.status(200).json({ status: true, message: "Aluno removido com sucesso." })
+
+            // A vaga liberada vai para o próximo aluno da lista de espera
+            const promoted = await Enrollment.promoteNext(class_id) || []
+            for (const promotedId of promoted) {
+                await evaluateMedals(promotedId, MEDAL_EVENTS.ENROLLMENT)
+            }
+
+            return response.status(200).json({
+                status: true,
+                message: promoted.length > 0
+                    ? "Aluno removido com sucesso. O próximo aluno da lista de espera foi matriculado."
+                    : "Aluno removido com sucesso.",
+                promoted
+            })
         } catch(err) {
             return response.status(500).json({ status: false, message: "Erro interno no servidor." })
         }
@@ -4,7 +4,8 @@ const Class = require("../models/Class")
 const path = require("path")
 const fs = require("fs")
 const validator = require('validator')
-const { supabase } = require("../utils/supabase")
+const { files } = require("../utils/storage")
+const { notifyMaterialPosted } = require("../utils/notifier")
 
 
 /**
@@ -20,6 +21,7 @@ class MaterialController {
    *
    * - Caso o `class_id` seja informado, o material será associado a uma turma (`origin = 2`).
    * - Caso contrário, será associado à disciplina (`origin = 1`).
+   * - Os alunos da turma (ou de todas as turmas da disciplina) são notificados.
    *
    * @async
    * @param {import("express").Request} request - Objeto da requisição HTTP, contendo dados e o arquivo enviado.
@@ -39,13 +41,14 @@ class MaterialController {
    */
     async register(request, response) {
         try {
-            const {title, description, type, created_by, subject_id, class_id} = request.body
+            const {title, description, type, subject_id, class_id} = request.body
+            const created_by = request.user.id
             const error = MaterialFieldValidator.validate({ title, description, type, created_by, subject_id })
             if (error) return response.status(422).json({ status: false, message: error })
             
             if(class_id) {
                 if (!validator.isInt(class_id + '', { min: 1 })) {
-                    return res.status(422).json({ success: false, message: "ID da turma invalido." });
+                    return response.status(422).json({ success: false, message: "ID da turma invalido." });
                 }
             }
 
@@ -61,14 +64,9 @@ class MaterialController {
 
             const mimeType = materialFile.mimetype
 
-            const { error: uploadError } = await supabase.storage
-                .from("materials")
-                .upload(fileName, materialFile.buffer, {
-                    contentType: mimeType,
-                    upsert: true
-                })
-            
-            if (uploadError) {
+            try {
+                await files.put("materials", fileName, materialFile.buffer, { contentType: mimeType })
+            } catch (uploadError) {
                 console.error(uploadError)
                 return response.status(500).json({
                     status: false,
@@ -93,6 +91,7 @@ class MaterialController {
             if(!valid) {
                 return response.status(500).json({status: false, message: "Erro ao cadastrar material"})
             }
+            await notifyMaterialPosted({ title, subject_id, class_id })
             return response.status(200).json({status: true, message: "Material Cadastrado com sucesso", subject_id})
         } catch(err) {
             return response.status(500).json({ status: false, message: "Erro interno no servidor." })
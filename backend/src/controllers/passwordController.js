@@ -0,0 +1,224 @@
+const User = require("../models/User")
+const PasswordReset = require("../models/PasswordReset")
+const bcrypt = require("bcrypt")
+const crypto = require("crypto")
+const UserFieldValidator = require("../utils/userValidator")
+const sendEmail = require("../utils/sendEmail")
+const formatMessageSendPassword = require("../utils/messagePasswordEmail")
+
+/** Validade do código de recuperação, em minutos. */
+const CODE_TTL_MINUTES = 10
+
+/** Quantidade máxima de códigos por email dentro da janela de limite. */
+const MAX_REQUESTS_PER_WINDOW = 3
+
+/** Quantidade máxima de solicitações por IP dentro da janela de limite. */
+const MAX_REQUESTS_PER_IP = 10
+
+/** Janela do limite de solicitações por email e por IP, em minutos. */
+const RATE_LIMIT_WINDOW_MINUTES = 15
+
+/** Tentativas inválidas permitidas antes de o código ser descartado. */
+const MAX_ATTEMPTS = 5
+
+/**
+ * Gera um código numérico de 6 dígitos usando um gerador criptográfico.
+ *
+ * @returns {string} Código com zeros à esquerda (ex.: "042817").
+ */
+function generateCode() {
+    return crypto.randomInt(0, 1000000).toString().padStart(6, "0")
+}
+
+/**
+ * Normaliza o email informado para comparação e armazenamento.
+ *
+ * @param {*} email - Valor recebido no corpo da requisição.
+ * @returns {string|null} Email sem espaços nas bordas, ou `null` se não for um texto.
+ */
+function normalizeEmail(email) {
+    if (email === undefined || email === null) return ""
+    return typeof email === "string" ? email.trim() : null
+}
+
+/**
+ * Valida o código informado contra o código ativo do usuário.
+ *
+ * Cada verificação consome uma tentativa do código antes da comparação
+ * (`PasswordReset.registerAttempt`); ao atingir o limite, o código deixa de ser aceito.
+ *
+ * @async
+ * @param {string} email - Email do usuário.
+ * @param {string} code - Código informado.
+ * @returns {Promise<{user: Object, reset: Object}|null>} Usuário e código válidos, ou `null`.
+ */
+async function checkCode(email, code) {
+    if (!code || !/^\d{6}$/.test(code + "")) return null
+
+    const user = await User.findByEmail(email)
+    if (!user) return null
+
+    const reset = await PasswordReset.registerAttempt(user.id, MAX_ATTEMPTS)
+    if (!reset) return null
+
+    const match = await bcrypt.compare(code + "", reset.code_hash)
+    if (!match) return null
+
+    return { user, reset }
+}
+
+/**
+ * Controlador do fluxo de recuperação de senha.
+ *
+ * Fluxo:
+ * 1. `requestCode` envia um código de 6 dígitos para o email do usuário.
+ * 2. `verifyCode` confirma se o código informado é válido (sem consumi-lo).
+ * 3. `resetPassword` troca a senha, consome o código e encerra as sessões abertas.
+ */
+class PasswordController {
+
+    /**
+     * Gera e envia um código de recuperação de senha.
+     *
+     * - Responde sempre com a mesma mensagem, exista ou não o email, para não revelar cadastros.
+     * - Limita as solicitações por email e por IP em uma janela de tempo. Toda solicitação
+     *   é registrada, mesmo para emails não cadastrados, para que o limite também não os revele.
+     *
+     * @async
+     * @param {import("express").Request} request - Corpo com `email`.
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * POST /password/request-code
+     * { "email": "aluno@email.com" }
+     */
+    async requestCode(request, response) {
+        try {
+            const email = normalizeEmail(request.body.email)
+            if (email === null) return response.status(422).json({ status: false, message: "Email inválido." })
+            const error = UserFieldValidator.validate({ email })
+            if (error) return response.status(422).json({ status: false, message: error })
+
+            const genericMessage = "Se o email estiver cadastrado, você receberá um código de recuperação."
+
+            const ip = request.ip || null
+            const recent = await PasswordReset.countRecentRequests(email, ip, RATE_LIMIT_WINDOW_MINUTES)
+            if (recent.by_email >= MAX_REQUESTS_PER_WINDOW || recent.by_ip >= MAX_REQUESTS_PER_IP) {
+                return response.status(429).json({
+                    status: false,
+                    message: "Muitas solicitações. Tente novamente mais tarde."
+                })
+            }
+            await PasswordReset.logRequest(email, ip)
+
+            const user = await User.findByEmail(email)
+            if (!user) {
+                return response.status(200).json({ status: true, message: genericMessage })
+            }
+
+            const code = generateCode()
+            const salt = await bcrypt.genSalt(10)
+            const code_hash = await bcrypt.hash(code, salt)
+            const expires_at = new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000)
+
+            const saved = await PasswordReset.create({ user_id: user.id, email, code_hash, expires_at })
+            if (!saved) {
+                return response.status(500).json({ status: false, message: "Erro ao gerar código de recuperação." })
+            }
+
+            const { html } = formatMessageSendPassword(code, user.username, CODE_TTL_MINUTES)
+            await sendEmail(user.email, "Recuperação de senha - Evolvere", html)
+
+            return response.status(200).json({ status: true, message: genericMessage })
+        } catch (err) {
+            console.error("Erro ao solicitar código de recuperação:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Verifica se o código de recuperação informado é válido.
+     * O código não é consumido nesta etapa.
+     *
+     * @async
+     * @param {import("express").Request} request - Corpo com `email` e `code`.
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * POST /password/verify-code
+     * { "email": "aluno@email.com", "code": "042817" }
+     */
+    async verifyCode(request, response) {
+        try {
+            const email = normalizeEmail(request.body.email)
+            if (email === null) return response.status(422).json({ status: false, message: "Email inválido." })
+            const { code } = request.body
+            const error = UserFieldValidator.validate({ email })
+            if (error) return response.status(422).json({ status: false, message: error })
+
+            const valid = await checkCode(email, code)
+            if (!valid) {
+                return response.status(400).json({ status: false, message: "Código inválido ou expirado." })
+            }
+
+            return response.status(200).json({ status: true, message: "Código válido." })
+        } catch (err) {
+            console.error("Erro ao verificar código de recuperação:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+
+    /**
+     * Redefine a senha do usuário a partir de um código válido.
+     *
+     * - Consome o código (uso único) e grava a nova senha na mesma transação: se a
+     *   troca falhar, o código continua válido.
+     * - Encerra todas as sessões abertas do usuário.
+     *
+     * @async
+     * @param {import("express").Request} request - Corpo com `email`, `code`, `password` e `confirm_password`.
+     * @param {import("express").Response} response
+     * @returns {Promise<import("express").Response>}
+     *
+     * @example
+     * POST /password/reset
+     * { "email": "aluno@email.com", "code": "042817", "password": "novaSenha", "confirm_password": "novaSenha" }
+     */
+    async resetPassword(request, response) {
+        try {
+            const email = normalizeEmail(request.body.email)
+            if (email === null) return response.status(422).json({ status: false, message: "Email inválido." })
+            const { code, password, confirm_password } = request.body
+            const error = UserFieldValidator.validate({ email, password, confirm_password })
+            if (error) return response.status(422).json({ status: false, message: error })
+
+            const valid = await checkCode(email, code)
+            if (!valid) {
+                return response.status(400).json({ status: false, message: "Código inválido ou expirado." })
+            }
+
+            const { user, reset } = valid
+
+            const salt = await bcrypt.genSalt(10)
+            const passwordHash = await bcrypt.hash(password, salt)
+            const consumed = await PasswordReset.consume(reset.id, user.id, passwordHash)
+            if (consumed === undefined) {
+                return response.status(500).json({ status: false, message: "Erro ao redefinir senha." })
+            }
+            if (!consumed) {
+                return response.status(400).json({ status: false, message: "Código inválido ou expirado." })
+            }
+
+            await User.deleteSessionsByUser(user.id)
+
+            return response.status(200).json({ status: true, message: "Senha redefinida com sucesso." })
+        } catch (err) {
+            console.error("Erro ao redefinir senha:", err)
+            return response.status(500).json({ status: false, message: "Erro interno no servidor." })
+        }
+    }
+}
+
+module.exports = new PasswordController()
@@ -5,7 +5,8 @@ const UserFieldValidator = require("../utils/userValidator")
 const validator = require('validator')
 require("dotenv").config()
 const { customAlphabet } = require('nanoid')
-const cloudinary = require("../utils/cloudinary")
+const path = require("path")
+const { images } = require("../utils/storage")
 
 
 /**
@@ -404,23 +405,11 @@ class UserController {
                 })
             }
 
-            const uploadPromise = new Promise((resolve, reject) => {
-                const uploadStream = cloudinary.uploader.upload_stream(
-                    {
-                        folder: "evolvere/users",
-                        resource_type: "image"
-                    },
-                    (error, result) => {
-                        if (error) reject(error)
-                        else resolve(result)
-                    }
-                )
-
-                uploadStream.end(request.file.buffer)
+            const extension = path.extname(request.file.originalname).toLowerCase()
+            const uploadedImage = await images.put("images", `evolvere/users/${id}-${Date.now()}${extension}`, request.file.buffer, {
+                contentType: request.file.mimetype
             })
-
-            const uploadedImage = await uploadPromise
-            const imageUrl = uploadedImage.secure_url
+            const imageUrl = uploadedImage.url
 
             const updated = await User.updatePhoto(id, imageUrl)
             if (!updated) {
@@ -723,13 +712,11 @@ class UserController {
 
     async joinCourse(request, response) {
         try {
-            const {user_id, course_id} = request.body
-            if (!validator.isInt(user_id + '', { min: 1 })) {
-                return res.status(422).json({ success: false, message: "Usuário invalido." });
-            }
+            const { course_id } = request.body
+            const user_id = request.user.id
 
             if (!validator.isInt(course_id + '', { min: 1 })) {
-                return res.status(422).json({ success: false, message: "Curso invalido." });
+                return response.status(422).json({ success: false, message: "Curso invalido." });
             }
 
 
@@ -1,8 +1,12 @@
 require("dotenv").config()
+const { watchWrites } = require("../utils/auditLog")
 
 /**
  * Instância do Knex configurada para PostgreSQL.
  * 
+ * As inserções, atualizações e exclusões feitas por ela são auditadas em `audit_logs`
+ * (ver `utils/auditLog`).
+ *
  * Esta configuração usa variáveis de ambiente definidas no arquivo `.env`:
  * - `DB_HOST` - endereço do servidor PostgreSQL
  * - `DB_USER` - usuário do banco
@@ -29,4 +33,6 @@ const knex = require('knex')({
     }
 })
 
+watchWrites(knex)
+
 module.exports = knex
@@ -6,6 +6,8 @@ const { Pool } = require("pg")
 const path = require("path")
 require("dotenv").config()
 const downloadRoute = require("../src/routes/downloadRoute")
+const { auditContext } = require("./utils/auditContext")
+const { startScheduler } = require("./utils/jobScheduler")
 
 const router = require("./routes/routes")
 
@@ -64,6 +66,9 @@ app.use(
   })
 )
 
+// Contexto de auditoria (quem está agindo em cada requisição)
+app.use(auditContext)
+
 // Arquivos estáticos
 app.use("/images", express.static(path.join(__dirname, "..", "public", "images")))
 app.use("/diplomas", express.static(path.join(__dirname, "..", "public", "diplomas")))
@@ -71,4 +76,8 @@ app.use("/diplomas", express.static(path.join(__dirname, "..", "public", "diplom
 app.use("/", downloadRoute)
 app.use("/", router)
 
+// Tarefas em segundo plano (tentativas expiradas, lembretes de prazo e resumo semanal).
+// Com RUN_JOBS=false elas rodam apenas no worker separado (src/worker.js).
+if (process.env.RUN_JOBS !== "false") startScheduler()
+
 app.listen(8080, () => console.log("Servidor rodando 🚀"))
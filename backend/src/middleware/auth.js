@@ -0,0 +1,378 @@
+const User = require("../models/User")
+const Subject = require("../models/Subject")
+const Class = require("../models/Class")
+const Account = require("../models/Account")
+const Form = require("../models/Form")
+const Material = require("../models/Material")
+const QuestionBank = require("../models/QuestionBank")
+const Announcement = require("../models/Announcement")
+const Discussion = require("../models/Discussion")
+const Assignment = require("../models/Assignment")
+const { setActor } = require("../utils/auditContext")
+
+/**
+ * Middlewares de autenticação e autorização baseados em papéis (roles).
+ *
+ * - `authenticate` carrega o usuário da sessão e popula `request.user`.
+ * - `requireRole` restringe a rota a determinados papéis.
+ * - `requireOwnership` verifica se o usuário possui vínculo com o recurso acessado
+ *   (disciplina, turma ou curso), resolvido a partir da requisição.
+ * - `requireSelf` garante que o usuário só acesse os próprios dados.
+ *
+ * O administrador sempre tem acesso. As respostas seguem o padrão da API:
+ * `401` sem sessão, `403` sem permissão e `404` quando o recurso não existe.
+ *
+ * @module auth
+ */
+
+/**
+ * Papéis de usuário utilizados no sistema.
+ *
+ * @readonly
+ * @enum {number}
+ */
+const ROLES = {
+  ADMIN: 1,
+  COORDINATOR: 2,
+  TEACHER: 3,
+  STUDENT: 4
+}
+
+/**
+ * Resolve o papel efetivo de um usuário a partir dos dados do banco.
+ *
+ * Profissionais ainda não aprovados são tratados como alunos, igual ao login.
+ *
+ * @param {{registration: string, role: number|null, approved: boolean|null}} user
+ * @returns {number} Papel efetivo do usuário.
+ */
+function resolveRole(user) {
+  if (user.registration === "admin") return ROLES.ADMIN
+  if (user.role && user.approved) return Number(user.role)
+  return ROLES.STUDENT
+}
+
+/**
+ * Exige uma sessão válida e carrega o usuário autenticado em `request.user`.
+ *
+ * O papel é sempre relido do banco, de forma que uma aprovação ou remoção
+ * de acesso tenha efeito imediato, sem depender do que foi salvo na sessão.
+ *
+ * @async
+ * @param {import("express").Request} request
+ * @param {import("express").Response} response
+ * @param {import("express").NextFunction} next
+ */
+async function authenticate(request, response, next) {
+  const sessionUser = request.session && request.session.user
+  if (!sessionUser || !sessionUser.id) {
+    return response.status(401).json({ status: false, message: "Usuário não autenticado." })
+  }
+
+  const user = await User.findAuthUser(sessionUser.id)
+  if (!user) {
+    return response.status(401).json({ status: false, message: "Usuário não autenticado." })
+  }
+
+  request.user = {
+    id: user.id,
+    name: user.username,
+    role: resolveRole(user),
+    course_id: user.course_id
+  }
+  setActor(user.id)
+  next()
+}
+
+/**
+ * Restringe a rota aos papéis informados. O administrador sempre passa.
+ *
+ * @param {...number} roles - Papéis permitidos (ver {@link ROLES}).
+ * @returns {import("express").RequestHandler}
+ *
+ * @example
+ * router.get("/subjects", authenticate, requireRole(ROLES.COORDINATOR), SubjectController.list)
+ */
+function requireRole(...roles) {
+  return (request, response, next) => {
+    if (!request.user) {
+      return response.status(401).json({ status: false, message: "Usuário não autenticado." })
+    }
+    if (request.user.role === ROLES.ADMIN || roles.includes(request.user.role)) {
+      return next()
+    }
+    return response.status(403).json({ status: false, message: "Acesso negado." })
+  }
+}
+
+/** Restringe a rota a coordenadores. */
+const isCoordinator = requireRole(ROLES.COORDINATOR)
+
+/** Restringe a rota a professores. */
+const isTeacher = requireRole(ROLES.TEACHER)
+
+/** Restringe a rota a alunos. */
+const isStudent = requireRole(ROLES.STUDENT)
+
+/**
+ * Verifica se o usuário tem vínculo com um escopo (disciplina, turma ou curso).
+ *
+ * - Coordenador: a disciplina deve pertencer ao seu curso.
+ * - Professor: deve ser o responsável pela disciplina.
+ * - Aluno: deve estar matriculado na turma (apenas se `students` for permitido).
+ *
+ * @async
+ * @param {{id: number, role: number}} user - Usuário autenticado.
+ * @param {{subject_id?: number, class_id?: number, course_id?: number}} scope
+ * @param {{students?: boolean}} options
+ * @returns {Promise<boolean>}
+ */
+async function canAccessScope(user, scope, options) {
+  switch (user.role) {
+    case ROLES.ADMIN:
+      return true
+    case ROLES.COORDINATOR: {
+      if (scope.subject_id) {
+        return Subject.isCoordinatorOfSubject(scope.subject_id, user.id)
+      }
+      if (scope.course_id) {
+        const coordinator = await Account.findCoordinatorById(user.id)
+        return !!coordinator && Number(coordinator.course_id) === Number(scope.course_id)
+      }
+      return false
+    }
+    case ROLES.TEACHER:
+      return !!scope.subject_id && Subject.isTeacherOfSubject(scope.subject_id, user.id)
+    case ROLES.STUDENT:
+      return !!options.students && !!scope.class_id && Class.studentExist(user.id, scope.class_id)
+    default:
+      return false
+  }
+}
+
+/**
+ * Garante que o usuário autenticado tem vínculo com o recurso acessado.
+ *
+ * O `resolver` recebe a requisição e devolve o escopo do recurso
+ * (`{ subject_id, class_id, course_id }`), uma lista de escopos ou `undefined`
+ * quando o recurso não existe. Com uma lista, todos os escopos precisam ser válidos.
+ *
+ * @param {function(import("express").Request): Promise<Object|Object[]|undefined>} resolver
+ * @param {{students?: boolean}} [options] - `students: true` libera alunos matriculados na turma.
+ * @returns {import("express").RequestHandler}
+ *
+ * @example
+ * router.get("/form/answers/:form_id", authenticate, requireRole(ROLES.TEACHER),
+ *   requireOwnership(scopes.form("form_id")), FormController.responsesStudents)
+ */
+function requireOwnership(resolver, options = {}) {
+  return async (request, response, next) => {
+    if (!request.user) {
+      return response.status(401).json({ status: false, message: "Usuário não autenticado." })
+    }
+    if (request.user.role === ROLES.ADMIN) return next()
+
+    const resolved = await resolver(request)
+    if (!resolved) {
+      return response.status(404).json({ status: false, message: "Recurso não encontrado." })
+    }
+
+    const list = Array.isArray(resolved) ? resolved : [resolved]
+    if (list.length === 0 || list.some(scope => !scope)) {
+      return response.status(404).json({ status: false, message: "Recurso não encontrado." })
+    }
+
+    for (const scope of list) {
+      const allowed = await canAccessScope(request.user, scope, options)
+      if (!allowed) {
+        return response.status(403).json({ status: false, message: "Acesso negado." })
+      }
+    }
+    next()
+  }
+}
+
+/**
+ * Garante que o ID informado na requisição é o do próprio usuário autenticado.
+ * O administrador sempre passa.
+ *
+ * @param {string} [param="id"] - Nome do campo que contém o ID do usuário.
+ * @param {"params"|"body"|"query"} [source="params"] - Onde o campo é lido.
+ * @returns {import("express").RequestHandler}
+ *
+ * @example
+ * router.patch("/user/edit/:id", authenticate, requireSelf("id"), UserController.edit)
+ */
+function requireSelf(param = "id", source = "params") {
+  return (request, response, next) => {
+    if (!request.user) {
+      return response.status(401).json({ status: false, message: "Usuário não autenticado." })
+    }
+    if (request.user.role === ROLES.ADMIN) return next()
+
+    const value = request[source] && request[source][param]
+    if (Number(value) !== Number(request.user.id)) {
+      return response.status(403).json({ status: false, message: "Acesso negado." })
+    }
+    next()
+  }
+}
+
+/**
+ * Rejeita requisições cujo corpo informe um autor diferente do usuário autenticado.
+ *
+ * A identidade de quem age (`created_by`, `user_id`, `teacher_id`...) é sempre
+ * tirada da sessão; o campo no corpo é opcional e, quando enviado, precisa
+ * coincidir com `request.user.id`. Corpos em lista têm cada item verificado.
+ *
+ * @param {...string} fields - Campos do corpo que identificam o autor.
+ * @returns {import("express").RequestHandler}
+ *
+ * @example
+ * router.post("/form/answers", authenticate, rejectActorMismatch("user_id"), FormController.saveAnswers)
+ */
+function rejectActorMismatch(...fields) {
+  return (request, response, next) => {
+    if (!request.user) {
+      return response.status(401).json({ status: false, message: "Usuário não autenticado." })
+    }
+
+    const items = Array.isArray(request.body) ? request.body : [request.body || {}]
+    for (const item of items) {
+      for (const field of fields) {
+        const value = item && item[field]
+        if (value === undefined || value === null || value === "") continue
+        if (Number(value) !== Number(request.user.id)) {
+          return response.status(403).json({ status: false, message: "O usuário informado não corresponde à sessão." })
+        }
+      }
+    }
+    next()
+  }
+}
+
+/**
+ * Lê um ID inteiro positivo de `request[source][param]`.
+ *
+ * @param {import("express").Request} request
+ * @param {string} param
+ * @param {"params"|"body"|"query"} source
+ * @returns {number|null}
+ */
+function readId(request, param, source) {
+  const value = request[source] && request[source][param]
+  const id = Number(value)
+  return Number.isInteger(id) && id > 0 ? id : null
+}
+
+/**
+ * Resolvedores de escopo reutilizados pelas rotas.
+ * Cada função recebe o nome do campo e devolve um `resolver` para {@link requireOwnership}.
+ */
+const scopes = {
+  /** Disciplina informada diretamente na requisição. */
+  subject: (param, source = "params") => async (request) => {
+    const id = readId(request, param, source)
+    return id ? { subject_id: id } : undefined
+  },
+
+  /** Turma informada na requisição; a disciplina vem da própria turma. */
+  class: (param, source = "params") => async (request) => {
+    const id = readId(request, param, source)
+    if (!id) return undefined
+    const data = await Class.findIdSubject(id)
+    return data ? { subject_id: data.subject_id, class_id: id } : undefined
+  },
+
+  /** Formulário informado na requisição. */
+  form: (param, source = "params") => async (request) => {
+    const id = readId(request, param, source)
+    return id ? Form.findScope(id) : undefined
+  },
+
+  /** Respostas de uma correção em lote (lista de objetos com `answer_id` no corpo). */
+  answers: () => async (request) => {
+    const list = request.body
+    if (!Array.isArray(list) || list.length === 0) return undefined
+    return Promise.all(list.map(item => {
+      const id = Number(item && item.answer_id)
+      return Number.isInteger(id) && id > 0 ? Form.findScopeByAnswer(id) : undefined
+    }))
+  },
+
+  /** Material informado na requisição. */
+  material: (param, source = "params") => async (request) => {
+    const id = readId(request, param, source)
+    return id ? Material.findScope(id) : undefined
+  },
+
+  /** Questão do banco de questões informada na requisição. */
+  bankQuestion: (param, source = "params") => async (request) => {
+    const id = readId(request, param, source)
+    return id ? QuestionBank.findScope(id) : undefined
+  },
+
+  /** Aviso do mural de uma turma informado na requisição. */
+  announcement: (param, source = "params") => async (request) => {
+    const id = readId(request, param, source)
+    return id ? Announcement.findScope(id) : undefined
+  },
+
+  /** Tópico de discussão de uma turma informado na requisição. */
+  discussion: (param, source = "params") => async (request) => {
+    const id = readId(request, param, source)
+    return id ? Discussion.findScope(id) : undefined
+  },
+
+  /** Resposta de uma discussão informada na requisição. */
+  discussionPost: (param, source = "params") => async (request) => {
+    const id = readId(request, param, source)
+    return id ? Discussion.findPostScope(id) : undefined
+  },
+
+  /** Atividade com entrega de arquivo de uma turma informada na requisição. */
+  assignment: (param, source = "params") => async (request) => {
+    const id = readId(request, param, source)
+    return id ? Assignment.findScope(id) : undefined
+  },
+
+  /** Entrega de uma atividade informada na requisição. */
+  assignmentSubmission: (param, source = "params") => async (request) => {
+    const id = readId(request, param, source)
+    return id ? Assignment.findSubmissionScope(id) : undefined
+  },
+
+  /** Curso informado na requisição. */
+  course: (param, source = "params") => async (request) => {
+    const id = readId(request, param, source)
+    return id ? { course_id: id } : undefined
+  },
+
+  /** Curso ao qual um aluno está vinculado. */
+  student: (param, source = "params") => async (request) => {
+    const id = readId(request, param, source)
+    if (!id) return undefined
+    const user = await User.findById(id)
+    return user && user.course_id ? { course_id: user.course_id } : undefined
+  },
+
+  /** Curso ao qual um professor (ou solicitação de acesso) está vinculado. */
+  professional: (param, source = "params") => async (request) => {
+    const id = readId(request, param, source)
+    if (!id) return undefined
+    return Account.findProfessionalCourse(id)
+  }
+}
+
+module.exports = {
+  ROLES,
+  authenticate,
+  requireRole,
+  isCoordinator,
+  isTeacher,
+  isStudent,
+  requireOwnership,
+  requireSelf,
+  rejectActorMismatch,
+  scopes
+}
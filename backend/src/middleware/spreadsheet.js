@@ -0,0 +1,38 @@
+const multer = require("multer")
+
+/**
+ * Middleware de upload de planilhas (CSV, XLSX e XLS) usando Multer.
+ *
+ * - Armazena o arquivo apenas na memória (buffer).
+ * - Aceita apenas arquivos CSV, XLSX e XLS (verificados pela extensão).
+ * - Limita o tamanho do arquivo a 2MB.
+ * @module spreadsheet
+ */
+
+const storage = multer.memoryStorage()
+
+/**
+ * Função de filtro de arquivos.
+ * A extensão é usada no lugar do MIME, que varia entre navegadores para CSV.
+ *
+ * @param {import("express").Request} req - Objeto de requisição do Express.
+ * @param {Express.Multer.File} file - Arquivo enviado.
+ * @param {function(Error|null, boolean)} cb - Callback do Multer.
+ */
+const fileFilter = (req, file, cb) => {
+  if (/\.(csv|xlsx|xls)$/i.test(file.originalname)) {
+    cb(null, true)
+  } else {
+    cb(new Error("Apenas arquivos CSV, XLSX e XLS são permitidos!"), false)
+  }
+}
+
+const spreadsheet = multer({
+  storage,
+  fileFilter,
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB
+  }
+})
+
+module.exports = spreadsheet
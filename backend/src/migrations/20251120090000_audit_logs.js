@@ -0,0 +1,26 @@
+const up = function (knex) {
+  return knex.schema.createTable("audit_logs", function (table) {
+    table.increments("id")
+    table.integer("actor_id").nullable()
+    table.string("table_name", 100).notNullable()
+    table.enu("action", ["insert", "update", "delete"]).notNullable()
+    table.string("record_id", 100).nullable()
+    table.jsonb("data").nullable()
+    table.string("ip", 64).nullable()
+    table.string("method", 10).nullable()
+    table.string("path", 255).nullable()
+    table.timestamp("created_at").defaultTo(knex.fn.now())
+
+    table.index(["table_name", "record_id"])
+  })
+}
+
+
+const down = function (knex) {
+  return knex.schema.dropTable("audit_logs")
+}
+
+module.exports = { 
+    up, 
+    down 
+}
@@ -0,0 +1,24 @@
+const up = function (knex) {
+  return knex.schema.createTable("password_resets", function (table) {
+    table.increments('id')
+    table.integer('user_id').references('id').inTable('users').onDelete('CASCADE')
+    table.string('email', 255).notNullable()
+    table.string('code_hash', 255).notNullable()
+    table.datetime('expires_at').notNullable()
+    table.datetime('used_at').nullable()
+    table.integer('attempts').defaultTo(0)
+    table.timestamps(true, true)
+
+    table.index(['email', 'created_at'])
+  })
+}
+
+
+const down = function (knex) {
+  return knex.schema.dropTable("password_resets")
+}
+
+module.exports = { 
+    up, 
+    down 
+}
@@ -0,0 +1,43 @@
+const up = function (knex) {
+  return knex.schema
+    .createTable("medals", function (table) {
+      table.increments('id')
+      table.string('code', 50).notNullable().unique()
+      table.string('title', 100).notNullable()
+      table.string('description', 255).notNullable()
+      table.enu('rarity', ['Comum', 'Rara', 'Épica', 'Lendária']).notNullable()
+      table.integer('points').notNullable().defaultTo(0)
+      table.string('icon', 50)
+      table.timestamps(true, true)
+    })
+    .createTable("student_medals", function (table) {
+      table.increments('id')
+      table.integer('student_id').references('id').inTable('users').onDelete('CASCADE')
+      table.integer('medal_id').references('id').inTable('medals').onDelete('CASCADE')
+      table.integer('subject_id').nullable().references('id').inTable('subjects').onDelete('SET NULL')
+      table.timestamp('earned_at').defaultTo(knex.fn.now())
+      table.timestamps(true, true)
+
+      table.unique(['student_id', 'medal_id'])
+    })
+    .then(() => knex("medals").insert([
+      { code: 'first_enrollment', title: 'Primeiro Passo', description: 'Entrou na sua primeira turma', rarity: 'Comum', points: 50, icon: 'Zap' },
+      { code: 'first_submission', title: 'Primeira Entrega', description: 'Enviou o primeiro simulado', rarity: 'Comum', points: 50, icon: 'Target' },
+      { code: 'three_classes', title: 'Multidisciplinar', description: 'Matriculado em três turmas', rarity: 'Rara', points: 150, icon: 'Sparkles' },
+      { code: 'five_on_time', title: 'Sempre Pontual', description: 'Enviou cinco simulados dentro do prazo', rarity: 'Rara', points: 200, icon: 'Trophy' },
+      { code: 'first_perfect_score', title: 'Nota Máxima', description: 'Primeira nota máxima em um simulado', rarity: 'Épica', points: 300, icon: 'Star' },
+      { code: 'subject_average_90', title: 'Mestre da Disciplina', description: 'Média de 90% ou mais em uma disciplina (mínimo de 3 simulados)', rarity: 'Lendária', points: 500, icon: 'Crown' }
+    ]))
+}
+
+
+const down = function (knex) {
+  return knex.schema
+    .dropTable("student_medals")
+    .dropTable("medals")
+}
+
+module.exports = { 
+    up, 
+    down 
+}
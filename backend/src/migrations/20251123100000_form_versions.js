@@ -0,0 +1,62 @@
+const up = function (knex) {
+  return knex.schema
+    .alterTable("form", function (table) {
+      table.integer('version').notNullable().defaultTo(1)
+    })
+    .alterTable("questions", function (table) {
+      table.integer('version').notNullable().defaultTo(1)
+      table.integer('origin_id').nullable()
+      table.index(['form_id', 'version'])
+    })
+    .alterTable("options", function (table) {
+      table.integer('origin_id').nullable()
+    })
+    .alterTable("results_form", function (table) {
+      table.integer('form_version').notNullable().defaultTo(1)
+    })
+    .createTable("form_versions", function (table) {
+      table.increments('id')
+      table.integer('form_id').notNullable()
+      table.foreign('form_id').references('id').inTable('form').onDelete('CASCADE')
+      table.integer('version').notNullable()
+      table.string('title', 150).notNullable()
+      table.string('description', 255).nullable()
+      table.integer('totalDuration').notNullable().defaultTo(0)
+      table.datetime('deadline').notNullable()
+      table.integer('created_by').nullable()
+      table.foreign('created_by').references('id').inTable('users').onDelete('SET NULL')
+      table.boolean('regraded').defaultTo(false)
+      table.timestamps(true, true)
+      table.unique(['form_id', 'version'])
+    })
+    .then(() => knex.raw(`
+      insert into form_versions (form_id, version, title, description, "totalDuration", deadline, created_by, created_at, updated_at)
+      select id, 1, title, description, "totalDuration", deadline, created_by, created_at, updated_at
+      from form
+    `))
+}
+
+
+const down = function (knex) {
+  return knex.schema
+    .dropTable("form_versions")
+    .alterTable("results_form", function (table) {
+      table.dropColumn("form_version")
+    })
+    .alterTable("options", function (table) {
+      table.dropColumn("origin_id")
+    })
+    .alterTable("questions", function (table) {
+      table.dropIndex(['form_id', 'version'])
+      table.dropColumn("version")
+      table.dropColumn("origin_id")
+    })
+    .alterTable("form", function (table) {
+      table.dropColumn("version")
+    })
+}
+
+module.exports = { 
+    up, 
+    down 
+}
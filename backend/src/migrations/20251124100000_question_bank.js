@@ -0,0 +1,55 @@
+const up = function (knex) {
+  return knex.schema
+    .createTable("bank_questions", function (table) {
+      table.increments('id')
+      table.integer('subject_id').notNullable()
+      table.foreign('subject_id').references('id').inTable('subjects').onDelete('CASCADE').onUpdate('CASCADE')
+      table.integer('created_by').nullable()
+      table.foreign('created_by').references('id').inTable('users').onDelete('SET NULL')
+      table.text('text').notNullable()
+      table.decimal('points', 5, 2).defaultTo(0)
+      table.enu('type', ['multipla_escolha', 'verdadeiro/falso', 'aberta']).notNullable()
+      table.string('topic', 100).nullable()
+      table.enu('difficulty', ['facil', 'media', 'dificil']).nullable()
+      table.timestamps(true, true)
+
+      table.index(['subject_id', 'topic'])
+    })
+    .createTable("bank_options", function (table) {
+      table.increments('id')
+      table.integer('bank_question_id').notNullable()
+      table.foreign('bank_question_id').references('id').inTable('bank_questions').onDelete('CASCADE')
+      table.string('text', 255).notNullable()
+      table.boolean('correct').defaultTo(false)
+    })
+    .createTable("bank_question_tags", function (table) {
+      table.increments('id')
+      table.integer('bank_question_id').notNullable()
+      table.foreign('bank_question_id').references('id').inTable('bank_questions').onDelete('CASCADE')
+      table.string('tag', 50).notNullable()
+
+      table.unique(['bank_question_id', 'tag'])
+      table.index(['tag'])
+    })
+    .alterTable("questions", function (table) {
+      table.integer('bank_question_id').nullable()
+      table.foreign('bank_question_id').references('id').inTable('bank_questions').onDelete('SET NULL')
+    })
+}
+
+
+const down = function (knex) {
+  return knex.schema
+    .alterTable("questions", function (table) {
+      table.dropForeign('bank_question_id')
+      table.dropColumn('bank_question_id')
+    })
+    .dropTable("bank_question_tags")
+    .dropTable("bank_options")
+    .dropTable("bank_questions")
+}
+
+module.exports = { 
+    up, 
+    down 
+}
@@ -0,0 +1,36 @@
+const up = function (knex) {
+  return knex.schema
+    .alterTable("form", function (table) {
+      table.boolean('shuffle_questions').notNullable().defaultTo(false)
+      table.boolean('shuffle_options').notNullable().defaultTo(false)
+      table.integer('draw_count').nullable()
+    })
+    .createTable("form_instances", function (table) {
+      table.increments('id')
+      table.integer('form_id').references('id').inTable('form').onDelete('CASCADE')
+      table.integer('student_id').references('id').inTable('users').onDelete('CASCADE')
+      table.integer('form_version').notNullable().defaultTo(1)
+      table.bigInteger('seed').notNullable()
+      table.jsonb('question_ids').notNullable()
+      table.jsonb('option_order').notNullable()
+      table.timestamps(true, true)
+
+      table.unique(['form_id', 'student_id'])
+    })
+}
+
+
+const down = function (knex) {
+  return knex.schema
+    .dropTable("form_instances")
+    .alterTable("form", function (table) {
+      table.dropColumn('shuffle_questions')
+      table.dropColumn('shuffle_options')
+      table.dropColumn('draw_count')
+    })
+}
+
+module.exports = { 
+    up, 
+    down 
+}
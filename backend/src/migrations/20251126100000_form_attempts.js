@@ -0,0 +1,35 @@
+const up = function (knex) {
+  return knex.schema
+    .createTable("form_attempts", function (table) {
+      table.increments('id')
+      table.integer('form_id').references('id').inTable('form').onDelete('CASCADE')
+      table.integer('student_id').references('id').inTable('users').onDelete('CASCADE')
+      table.integer('form_version').notNullable().defaultTo(1)
+      table.enu('status', ['in_progress', 'submitted', 'expired']).notNullable().defaultTo('in_progress')
+      table.timestamp('started_at').notNullable().defaultTo(knex.fn.now())
+      table.timestamp('expires_at').nullable()
+      table.timestamp('submitted_at').nullable()
+      table.jsonb('answers').notNullable().defaultTo('[]')
+      table.timestamps(true, true)
+
+      table.index(['form_id', 'student_id'])
+      table.index(['status', 'expires_at'])
+    })
+    // Apenas uma tentativa em andamento por aluno e formulário
+    .then(() => knex.raw(`
+      create unique index form_attempts_in_progress_unique
+        on form_attempts (form_id, student_id)
+        where status = 'in_progress'
+    `))
+}
+
+
+const down = function (knex) {
+  return knex.schema
+    .dropTable("form_attempts")
+}
+
+module.exports = { 
+    up, 
+    down 
+}
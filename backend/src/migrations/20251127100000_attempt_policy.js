@@ -0,0 +1,109 @@
+/**
+ * Nota do aluno em cada formulário resolvida pela política de tentativas:
+ * - `best`: tentativa com maior pontuação;
+ * - `last`: última tentativa enviada;
+ * - `average`: média das tentativas.
+ */
+const STUDENT_FORM_SCORES = `
+  create view student_form_scores as
+  with ranked as (
+    select
+      rf.form_id,
+      rf.student_id,
+      rf.form_version,
+      rf.points,
+      rf.correct,
+      rf.wrong,
+      rf.created_at,
+      rf.updated_at,
+      f.score_strategy,
+      row_number() over (
+        partition by rf.form_id, rf.student_id
+        order by rf.points desc, rf.created_at desc, rf.id desc
+      ) as best_rank,
+      row_number() over (
+        partition by rf.form_id, rf.student_id
+        order by rf.created_at desc, rf.id desc
+      ) as last_rank
+    from results_form rf
+    inner join form f
+      on f.id = rf.form_id
+  ),
+  chosen as (
+    select *,
+      (score_strategy = 'best' and best_rank = 1)
+        or (score_strategy <> 'best' and last_rank = 1) as selected
+    from ranked
+  )
+  select
+    form_id,
+    student_id,
+    score_strategy,
+    count(*)::int as attempts,
+    max(form_version) filter (where selected) as form_version,
+    case when score_strategy = 'average'
+      then round(avg(points), 2)
+      else max(points) filter (where selected)
+    end as points,
+    case when score_strategy = 'average'
+      then round(avg(correct), 2)
+      else max(correct) filter (where selected)
+    end as correct,
+    case when score_strategy = 'average'
+      then round(avg(wrong), 2)
+      else max(wrong) filter (where selected)
+    end as wrong,
+    min(created_at) as created_at,
+    max(updated_at) as updated_at
+  from chosen
+  group by form_id, student_id, score_strategy
+`
+
+const up = function (knex) {
+  return knex.schema
+    .alterTable("form", function (table) {
+      table.integer('max_attempts').nullable().defaultTo(1)
+      table.enu('score_strategy', ['best', 'last', 'average']).notNullable().defaultTo('best')
+    })
+    .alterTable("form_attempts", function (table) {
+      table.integer('number').notNullable().defaultTo(1)
+    })
+    .alterTable("results_form", function (table) {
+      table.integer('attempt_id').nullable().unique().references('id').inTable('form_attempts').onDelete('SET NULL')
+    })
+    .alterTable("answers_form", function (table) {
+      table.integer('attempt_id').nullable().references('id').inTable('form_attempts').onDelete('SET NULL')
+      table.index(['attempt_id'])
+    })
+    .alterTable("form_corrections", function (table) {
+      table.integer('attempt_id').nullable().references('id').inTable('form_attempts').onDelete('SET NULL')
+    })
+    .then(() => knex.raw(STUDENT_FORM_SCORES))
+}
+
+
+const down = function (knex) {
+  return knex.raw("drop view if exists student_form_scores")
+    .then(() => knex.schema
+      .alterTable("form_corrections", function (table) {
+        table.dropColumn('attempt_id')
+      })
+      .alterTable("answers_form", function (table) {
+        table.dropColumn('attempt_id')
+      })
+      .alterTable("results_form", function (table) {
+        table.dropColumn('attempt_id')
+      })
+      .alterTable("form_attempts", function (table) {
+        table.dropColumn('number')
+      })
+      .alterTable("form", function (table) {
+        table.dropColumn('max_attempts')
+        table.dropColumn('score_strategy')
+      }))
+}
+
+module.exports = { 
+    up, 
+    down 
+}
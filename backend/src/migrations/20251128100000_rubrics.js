@@ -0,0 +1,57 @@
+const up = function (knex) {
+  return knex.schema
+    .createTable("rubric_criteria", function (table) {
+      table.increments('id')
+      table.integer('question_id').notNullable()
+      table.foreign('question_id').references('id').inTable('questions').onDelete('CASCADE')
+      table.string('title', 150).notNullable()
+      table.string('description', 255).nullable()
+      table.integer('position').notNullable().defaultTo(0)
+      table.timestamps(true, true)
+
+      table.index(['question_id'])
+    })
+    .createTable("rubric_levels", function (table) {
+      table.increments('id')
+      table.integer('criterion_id').notNullable()
+      table.foreign('criterion_id').references('id').inTable('rubric_criteria').onDelete('CASCADE')
+      table.string('label', 100).notNullable()
+      table.string('description', 255).nullable()
+      table.decimal('points', 5, 2).notNullable().defaultTo(0)
+      table.integer('position').notNullable().defaultTo(0)
+    })
+    .createTable("answer_scores", function (table) {
+      table.increments('id')
+      table.integer('answer_id').notNullable()
+      table.foreign('answer_id').references('id').inTable('answers_form').onDelete('CASCADE')
+      table.integer('criterion_id').notNullable()
+      table.foreign('criterion_id').references('id').inTable('rubric_criteria').onDelete('CASCADE')
+      table.integer('level_id').nullable()
+      table.foreign('level_id').references('id').inTable('rubric_levels').onDelete('SET NULL')
+      table.decimal('points', 5, 2).notNullable().defaultTo(0)
+      table.integer('graded_by').nullable()
+      table.foreign('graded_by').references('id').inTable('users').onDelete('SET NULL')
+      table.timestamps(true, true)
+
+      table.unique(['answer_id', 'criterion_id'])
+    })
+    .alterTable("answers_form", function (table) {
+      table.decimal('awarded_points', 5, 2).nullable()
+    })
+}
+
+
+const down = function (knex) {
+  return knex.schema
+    .alterTable("answers_form", function (table) {
+      table.dropColumn('awarded_points')
+    })
+    .dropTable("answer_scores")
+    .dropTable("rubric_levels")
+    .dropTable("rubric_criteria")
+}
+
+module.exports = { 
+    up, 
+    down 
+}
@@ -0,0 +1,28 @@
+const up = function (knex) {
+  return knex.schema
+    .createTable("class_waitlist", function (table) {
+      table.increments('id')
+      table.integer('class_id').notNullable()
+      table.foreign('class_id').references('id').inTable('classes').onDelete('CASCADE')
+      table.integer('student_id').notNullable()
+      table.foreign('student_id').references('id').inTable('users').onDelete('CASCADE')
+      table.integer('invite_id').nullable()
+      table.foreign('invite_id').references('id').inTable('classes_invites').onDelete('SET NULL')
+      table.enu('status', ['waiting', 'promoted']).notNullable().defaultTo('waiting')
+      table.timestamp('promoted_at').nullable()
+      table.timestamps(true, true)
+
+      table.unique(['class_id', 'student_id'])
+      table.index(['class_id', 'status', 'created_at'])
+    })
+}
+
+
+const down = function (knex) {
+  return knex.schema.dropTable("class_waitlist")
+}
+
+module.exports = { 
+    up, 
+    down 
+}
@@ -0,0 +1,54 @@
+const up = function (knex) {
+  return knex.schema
+    .alterTable("classes_invites", function (table) {
+      table.integer('created_by').nullable()
+      table.foreign('created_by').references('id').inTable('users').onDelete('SET NULL')
+      table.timestamp('revoked_at').nullable()
+      table.integer('revoked_by').nullable()
+      table.foreign('revoked_by').references('id').inTable('users').onDelete('SET NULL')
+      table.integer('replaced_by').nullable()
+      table.foreign('replaced_by').references('id').inTable('classes_invites').onDelete('SET NULL')
+    })
+    .createTable("invite_redemptions", function (table) {
+      table.increments('id')
+      table.integer('invite_id').notNullable()
+      table.foreign('invite_id').references('id').inTable('classes_invites').onDelete('CASCADE')
+      table.integer('class_id').notNullable()
+      table.foreign('class_id').references('id').inTable('classes').onDelete('CASCADE')
+      table.integer('student_id').notNullable()
+      table.foreign('student_id').references('id').inTable('users').onDelete('CASCADE')
+      table.enu('status', ['enrolled', 'waitlisted']).notNullable()
+      table.timestamp('redeemed_at').notNullable().defaultTo(knex.fn.now())
+
+      table.index(['class_id', 'redeemed_at'])
+      table.index(['invite_id'])
+    })
+    .alterTable("class_student", function (table) {
+      table.integer('invite_id').nullable()
+      table.foreign('invite_id').references('id').inTable('classes_invites').onDelete('SET NULL')
+    })
+}
+
+
+const down = function (knex) {
+  return knex.schema
+    .alterTable("class_student", function (table) {
+      table.dropForeign('invite_id')
+      table.dropColumn('invite_id')
+    })
+    .dropTable("invite_redemptions")
+    .alterTable("classes_invites", function (table) {
+      table.dropForeign('replaced_by')
+      table.dropForeign('revoked_by')
+      table.dropForeign('created_by')
+      table.dropColumn('replaced_by')
+      table.dropColumn('revoked_by')
+      table.dropColumn('revoked_at')
+      table.dropColumn('created_by')
+    })
+}
+
+module.exports = { 
+    up, 
+    down 
+}
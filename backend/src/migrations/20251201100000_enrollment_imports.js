@@ -0,0 +1,28 @@
+const up = function (knex) {
+  return knex.schema
+    .createTable("enrollment_imports", function (table) {
+      table.increments('id')
+      table.integer('class_id').notNullable()
+      table.foreign('class_id').references('id').inTable('classes').onDelete('CASCADE')
+      table.integer('created_by').nullable()
+      table.foreign('created_by').references('id').inTable('users').onDelete('SET NULL')
+      table.string('file_name', 255).notNullable()
+      table.enu('status', ['preview', 'committed']).notNullable().defaultTo('preview')
+      table.jsonb('rows').notNullable()
+      table.jsonb('summary').notNullable()
+      table.timestamp('committed_at').nullable()
+      table.timestamps(true, true)
+
+      table.index(['class_id', 'created_at'])
+    })
+}
+
+
+const down = function (knex) {
+  return knex.schema.dropTable("enrollment_imports")
+}
+
+module.exports = { 
+    up, 
+    down 
+}
@@ -0,0 +1,49 @@
+const up = function (knex) {
+  return knex.schema
+    .createTable("regrade_runs", function (table) {
+      table.increments('id')
+      table.integer('form_id').notNullable()
+      table.foreign('form_id').references('id').inTable('form').onDelete('CASCADE')
+      table.integer('question_id').nullable()
+      table.foreign('question_id').references('id').inTable('questions').onDelete('SET NULL')
+      table.integer('form_version').notNullable()
+      table.integer('regraded_by').nullable()
+      table.foreign('regraded_by').references('id').inTable('users').onDelete('SET NULL')
+      table.integer('submissions').notNullable().defaultTo(0)
+      table.integer('changed').notNullable().defaultTo(0)
+      table.integer('students_changed').notNullable().defaultTo(0)
+      table.timestamp('created_at').notNullable().defaultTo(knex.fn.now())
+
+      table.index(['form_id', 'created_at'])
+    })
+    .createTable("regrade_changes", function (table) {
+      table.increments('id')
+      table.integer('run_id').notNullable()
+      table.foreign('run_id').references('id').inTable('regrade_runs').onDelete('CASCADE')
+      table.integer('result_id').nullable()
+      table.foreign('result_id').references('id').inTable('results_form').onDelete('SET NULL')
+      table.integer('student_id').notNullable()
+      table.foreign('student_id').references('id').inTable('users').onDelete('CASCADE')
+      table.integer('attempt_id').nullable()
+      table.decimal('points_before', 5, 2).notNullable()
+      table.decimal('points_after', 5, 2).notNullable()
+      table.integer('correct_before').notNullable()
+      table.integer('correct_after').notNullable()
+      table.integer('wrong_before').notNullable()
+      table.integer('wrong_after').notNullable()
+
+      table.index(['run_id'])
+    })
+}
+
+
+const down = function (knex) {
+  return knex.schema
+    .dropTable("regrade_changes")
+    .dropTable("regrade_runs")
+}
+
+module.exports = { 
+    up, 
+    down 
+}
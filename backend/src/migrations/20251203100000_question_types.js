@@ -0,0 +1,47 @@
+const BASE_TYPES = ['multipla_escolha', 'verdadeiro/falso', 'aberta']
+const NEW_TYPES = ['multipla_selecao', 'numerica', 'associacao', 'ordenacao']
+
+const typeCheck = (types) => `
+  alter table questions drop constraint if exists questions_type_check;
+  alter table questions add constraint questions_type_check
+    check (type in (${types.map(t => `'${t}'`).join(', ')}));
+`
+
+const up = function (knex) {
+  return knex.raw(typeCheck([...BASE_TYPES, ...NEW_TYPES]))
+    .then(() => knex.schema
+      .alterTable("questions", function (table) {
+        table.decimal('numeric_answer', 14, 4).nullable()
+        table.decimal('tolerance', 14, 4).nullable()
+      })
+      .alterTable("options", function (table) {
+        table.string('match_text', 255).nullable()
+        table.integer('position').nullable()
+      })
+      .alterTable("answers_form", function (table) {
+        table.jsonb('response').nullable()
+      }))
+}
+
+
+const down = function (knex) {
+  return knex("questions").whereIn("type", NEW_TYPES).del()
+    .then(() => knex.schema
+      .alterTable("answers_form", function (table) {
+        table.dropColumn('response')
+      })
+      .alterTable("options", function (table) {
+        table.dropColumn('match_text')
+        table.dropColumn('position')
+      })
+      .alterTable("questions", function (table) {
+        table.dropColumn('numeric_answer')
+        table.dropColumn('tolerance')
+      }))
+    .then(() => knex.raw(typeCheck(BASE_TYPES)))
+}
+
+module.exports = { 
+    up, 
+    down 
+}
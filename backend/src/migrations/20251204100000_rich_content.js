@@ -0,0 +1,41 @@
+const up = function (knex) {
+  return knex.schema
+    .alterTable("questions", function (table) {
+      table.string('image_url', 500).nullable()
+    })
+    .alterTable("options", function (table) {
+      table.text('text').notNullable().alter()
+      table.string('image_url', 500).nullable()
+    })
+    .alterTable("bank_questions", function (table) {
+      table.string('image_url', 500).nullable()
+    })
+    .alterTable("bank_options", function (table) {
+      table.text('text').notNullable().alter()
+      table.string('image_url', 500).nullable()
+    })
+}
+
+
+const down = function (knex) {
+  return knex.schema
+    .alterTable("bank_options", function (table) {
+      table.dropColumn('image_url')
+      table.string('text', 255).notNullable().alter()
+    })
+    .alterTable("bank_questions", function (table) {
+      table.dropColumn('image_url')
+    })
+    .alterTable("options", function (table) {
+      table.dropColumn('image_url')
+      table.string('text', 255).notNullable().alter()
+    })
+    .alterTable("questions", function (table) {
+      table.dropColumn('image_url')
+    })
+}
+
+module.exports = { 
+    up, 
+    down 
+}
@@ -0,0 +1,27 @@
+const up = function (knex) {
+  return knex.schema.createTable("notifications", function (table) {
+    table.increments('id')
+    table.integer('user_id').notNullable()
+    table.foreign('user_id').references('id').inTable('users').onDelete('CASCADE')
+    table.string('type', 40).notNullable()
+    table.string('title', 150).notNullable()
+    table.string('message', 500).notNullable()
+    table.string('link', 255).nullable()
+    table.jsonb('data').nullable()
+    table.timestamp('read_at').nullable()
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now())
+
+    table.index(['user_id', 'created_at'])
+    table.index(['user_id', 'read_at'])
+  })
+}
+
+
+const down = function (knex) {
+  return knex.schema.dropTable("notifications")
+}
+
+module.exports = { 
+    up, 
+    down 
+}
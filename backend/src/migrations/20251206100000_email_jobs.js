@@ -0,0 +1,33 @@
+const up = function (knex) {
+  return knex.schema
+    .createTable("notification_preferences", function (table) {
+      table.integer('user_id').primary()
+      table.foreign('user_id').references('id').inTable('users').onDelete('CASCADE')
+      table.boolean('deadline_reminders').notNullable().defaultTo(true)
+      table.boolean('weekly_digest').notNullable().defaultTo(true)
+      table.timestamp('updated_at').notNullable().defaultTo(knex.fn.now())
+    })
+    .createTable("email_deliveries", function (table) {
+      table.increments('id')
+      table.integer('user_id').notNullable()
+      table.foreign('user_id').references('id').inTable('users').onDelete('CASCADE')
+      table.string('kind', 40).notNullable()
+      table.string('reference', 60).notNullable()
+      table.timestamp('sent_at').notNullable().defaultTo(knex.fn.now())
+
+      table.unique(['user_id', 'kind', 'reference'])
+      table.index(['kind', 'reference'])
+    })
+}
+
+
+const down = function (knex) {
+  return knex.schema
+    .dropTable("email_deliveries")
+    .dropTable("notification_preferences")
+}
+
+module.exports = { 
+    up, 
+    down 
+}
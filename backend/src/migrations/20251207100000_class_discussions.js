@@ -0,0 +1,69 @@
+const up = function (knex) {
+  return knex.schema
+    .createTable("class_announcements", function (table) {
+      table.increments('id')
+      table.integer('class_id').notNullable()
+      table.foreign('class_id').references('id').inTable('classes').onDelete('CASCADE').onUpdate('CASCADE')
+      table.integer('author_id').notNullable()
+      table.foreign('author_id').references('id').inTable('users').onDelete('CASCADE').onUpdate('CASCADE')
+      table.string('title', 150).notNullable()
+      table.text('body').notNullable()
+      table.boolean('pinned').notNullable().defaultTo(false)
+      table.string('attachment', 255).nullable()
+      table.string('attachment_name', 255).nullable()
+      table.timestamps(true, true)
+
+      table.index(['class_id', 'pinned', 'created_at'])
+    })
+    .createTable("discussion_threads", function (table) {
+      table.increments('id')
+      table.integer('class_id').notNullable()
+      table.foreign('class_id').references('id').inTable('classes').onDelete('CASCADE').onUpdate('CASCADE')
+      table.integer('author_id').notNullable()
+      table.foreign('author_id').references('id').inTable('users').onDelete('CASCADE').onUpdate('CASCADE')
+      table.string('title', 150).notNullable()
+      table.text('body').notNullable()
+      table.string('attachment', 255).nullable()
+      table.string('attachment_name', 255).nullable()
+      table.boolean('locked').notNullable().defaultTo(false)
+      table.boolean('hidden').notNullable().defaultTo(false)
+      table.integer('accepted_post_id').nullable()
+      table.timestamp('last_activity_at').notNullable().defaultTo(knex.fn.now())
+      table.timestamps(true, true)
+
+      table.index(['class_id', 'last_activity_at'])
+    })
+    .createTable("discussion_posts", function (table) {
+      table.increments('id')
+      table.integer('thread_id').notNullable()
+      table.foreign('thread_id').references('id').inTable('discussion_threads').onDelete('CASCADE')
+      table.integer('author_id').notNullable()
+      table.foreign('author_id').references('id').inTable('users').onDelete('CASCADE').onUpdate('CASCADE')
+      table.text('body').notNullable()
+      table.string('attachment', 255).nullable()
+      table.string('attachment_name', 255).nullable()
+      table.boolean('hidden').notNullable().defaultTo(false)
+      table.timestamps(true, true)
+
+      table.index(['thread_id', 'created_at'])
+    })
+    .alterTable("discussion_threads", function (table) {
+      table.foreign('accepted_post_id').references('id').inTable('discussion_posts').onDelete('SET NULL')
+    })
+}
+
+
+const down = function (knex) {
+  return knex.schema
+    .alterTable("discussion_threads", function (table) {
+      table.dropForeign('accepted_post_id')
+    })
+    .dropTable("discussion_posts")
+    .dropTable("discussion_threads")
+    .dropTable("class_announcements")
+}
+
+module.exports = { 
+    up, 
+    down 
+}
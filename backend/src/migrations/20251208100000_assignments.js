@@ -0,0 +1,86 @@
+/**
+ * Notas consolidadas do aluno: simulados (pela política de tentativas de
+ * `student_form_scores`) e atividades entregues já avaliadas (`final_points`,
+ * com o desconto por atraso aplicado).
+ */
+const STUDENT_SCORES = `
+  create view student_scores as
+  select
+    'form' as source,
+    sfs.form_id as item_id,
+    sfs.student_id,
+    f.subject_id,
+    sfs.points,
+    sfs.updated_at
+  from student_form_scores sfs
+  inner join form f
+    on f.id = sfs.form_id
+  union all
+  select
+    'assignment' as source,
+    sub.assignment_id as item_id,
+    sub.student_id,
+    c.subject_id,
+    sub.final_points as points,
+    sub.graded_at as updated_at
+  from assignment_submissions sub
+  inner join assignments a
+    on a.id = sub.assignment_id
+  inner join classes c
+    on c.id = a.class_id
+  where sub.graded_at is not null
+`
+
+const up = function (knex) {
+  return knex.schema
+    .createTable("assignments", function (table) {
+      table.increments('id')
+      table.integer('class_id').notNullable()
+      table.foreign('class_id').references('id').inTable('classes').onDelete('CASCADE').onUpdate('CASCADE')
+      table.integer('created_by').notNullable()
+      table.foreign('created_by').references('id').inTable('users').onDelete('CASCADE').onUpdate('CASCADE')
+      table.string('title', 150).notNullable()
+      table.text('instructions').notNullable()
+      table.timestamp('due_at').notNullable()
+      table.enu('late_policy', ['reject', 'accept', 'penalty']).notNullable().defaultTo('reject')
+      table.decimal('late_penalty', 5, 2).notNullable().defaultTo(0)
+      table.decimal('max_points', 5, 2).notNullable()
+      table.timestamps(true, true)
+
+      table.index(['class_id', 'due_at'])
+    })
+    .createTable("assignment_submissions", function (table) {
+      table.increments('id')
+      table.integer('assignment_id').notNullable()
+      table.foreign('assignment_id').references('id').inTable('assignments').onDelete('CASCADE')
+      table.integer('student_id').notNullable()
+      table.foreign('student_id').references('id').inTable('users').onDelete('CASCADE').onUpdate('CASCADE')
+      table.string('attachment', 255).notNullable()
+      table.string('attachment_name', 255).notNullable()
+      table.timestamp('submitted_at').notNullable().defaultTo(knex.fn.now())
+      table.boolean('late').notNullable().defaultTo(false)
+      table.decimal('points', 5, 2).nullable()
+      table.decimal('final_points', 5, 2).nullable()
+      table.text('comment').nullable()
+      table.integer('graded_by').nullable()
+      table.foreign('graded_by').references('id').inTable('users').onDelete('SET NULL')
+      table.timestamp('graded_at').nullable()
+      table.timestamps(true, true)
+
+      table.unique(['assignment_id', 'student_id'])
+    })
+    .then(() => knex.raw(STUDENT_SCORES))
+}
+
+
+const down = function (knex) {
+  return knex.raw("drop view if exists student_scores")
+    .then(() => knex.schema
+      .dropTableIfExists("assignment_submissions")
+      .dropTableIfExists("assignments"))
+}
+
+module.exports = { 
+    up, 
+    down 
+}
@@ -0,0 +1,81 @@
+/**
+ * Expõe em `student_form_scores` a tentativa escolhida pela política de nota
+ * (`attempt_id`; na média, a última), para que a situação da correção seja
+ * conferida apenas nessa tentativa.
+ */
+const studentFormScores = (withAttempt) => `
+  create or replace view student_form_scores as
+  with ranked as (
+    select
+      rf.form_id,
+      rf.student_id,
+      rf.attempt_id,
+      rf.form_version,
+      rf.points,
+      rf.correct,
+      rf.wrong,
+      rf.created_at,
+      rf.updated_at,
+      f.score_strategy,
+      row_number() over (
+        partition by rf.form_id, rf.student_id
+        order by rf.points desc, rf.created_at desc, rf.id desc
+      ) as best_rank,
+      row_number() over (
+        partition by rf.form_id, rf.student_id
+        order by rf.created_at desc, rf.id desc
+      ) as last_rank
+    from results_form rf
+    inner join form f
+      on f.id = rf.form_id
+  ),
+  chosen as (
+    select *,
+      (score_strategy = 'best' and best_rank = 1)
+        or (score_strategy <> 'best' and last_rank = 1) as selected
+    from ranked
+  )
+  select
+    form_id,
+    student_id,
+    score_strategy,
+    count(*)::int as attempts,
+    max(form_version) filter (where selected) as form_version,
+    case when score_strategy = 'average'
+      then round(avg(points), 2)
+      else max(points) filter (where selected)
+    end as points,
+    case when score_strategy = 'average'
+      then round(avg(correct), 2)
+      else max(correct) filter (where selected)
+    end as correct,
+    case when score_strategy = 'average'
+      then round(avg(wrong), 2)
+      else max(wrong) filter (where selected)
+    end as wrong,
+    min(created_at) as created_at,
+    max(updated_at) as updated_at${withAttempt ? `,
+    max(attempt_id) filter (where selected) as attempt_id` : ""}
+  from chosen
+  group by form_id, student_id, score_strategy
+`
+
+const up = function (knex) {
+  return knex.raw(studentFormScores(true))
+}
+
+
+const down = function (knex) {
+  // Colunas não podem ser removidas de uma view: ela é recriada, junto com
+  // `student_scores`, que depende dela.
+  return knex.raw("select pg_get_viewdef('student_scores') as definition")
+    .then(({ rows }) => knex.raw("drop view if exists student_scores")
+      .then(() => knex.raw("drop view if exists student_form_scores"))
+      .then(() => knex.raw(studentFormScores(false)))
+      .then(() => knex.raw(`create view student_scores as ${rows[0].definition}`)))
+}
+
+module.exports = { 
+    up, 
+    down 
+}
@@ -0,0 +1,21 @@
+const up = function (knex) {
+  return knex.schema.createTable("password_reset_requests", function (table) {
+    table.increments('id')
+    table.string('email', 255).notNullable()
+    table.string('ip', 64).nullable()
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now())
+
+    table.index(['email', 'created_at'])
+    table.index(['ip', 'created_at'])
+  })
+}
+
+
+const down = function (knex) {
+  return knex.schema.dropTable("password_reset_requests")
+}
+
+module.exports = { 
+    up, 
+    down 
+}
@@ -0,0 +1,19 @@
+/**
+ * `audit_logs.path` passa a ser `text`: rotas com query string longa não cabiam
+ * em 255 caracteres e a escrita ficava sem registro de auditoria.
+ */
+const up = function (knex) {
+  return knex.schema.alterTable("audit_logs", function (table) {
+    table.text("path").nullable().alter()
+  })
+}
+
+
+const down = function (knex) {
+  return knex.raw(`alter table audit_logs alter column path type varchar(255) using left(path, 255)`)
+}
+
+module.exports = { 
+    up, 
+    down 
+}
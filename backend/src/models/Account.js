@@ -1,5 +1,5 @@
 const knex = require("../database/connection")
-const { supabase } = require("../utils/supabase")
+const { signedUrlOrNull } = require("../utils/storage")
 
 /**
  * Classe responsável por gerenciar contas de profissionais.
@@ -126,25 +126,10 @@ async accountExists(id, role) {
 
             // ✅ GERA URL ASSINADA PARA CADA DIPLOMA
             const usersWithUrl = await Promise.all(
-            rows.map(async (user) => {
-                if (!user.diploma) {
-                return { ...user, diploma_url: null };
-                }
-
-                const { data, error } = await supabase.storage
-                .from("diplomas")
-                .createSignedUrl(user.diploma, 60 * 10); // 10 minutos
-
-                if (error || !data?.signedUrl) {
-                console.error("Erro ao gerar signedUrl:", error);
-                return { ...user, diploma_url: null };
-                }
-
-                return {
+            rows.map(async (user) => ({
                 ...user,
-                diploma_url: data.signedUrl
-                };
-            })
+                diploma_url: await signedUrlOrNull("diplomas", user.diploma, 60 * 10) // 10 minutos
+            }))
             );
 
             return usersWithUrl;
@@ -225,25 +210,10 @@ async accountExists(id, role) {
             if(rows.length === 0) return []
             
             const usersWithUrl = await Promise.all(
-                rows.map(async (user) => {
-                    if (!user.diploma) {
-                    return { ...user, diploma_url: null };
-                    }
-
-                    const { data, error } = await supabase.storage
-                    .from("diplomas")
-                    .createSignedUrl(user.diploma, 60 * 10); // 10 minutos
-
-                    if (error || !data?.signedUrl) {
-                    console.error("Erro ao gerar signedUrl:", error);
-                    return { ...user, diploma_url: null };
-                    }
-
-                    return {
+                rows.map(async (user) => ({
                     ...user,
-                    diploma_url: data.signedUrl
-                    };
-                })
+                    diploma_url: await signedUrlOrNull("diplomas", user.diploma, 60 * 10) // 10 minutos
+                }))
             )
 
             return usersWithUrl
@@ -399,6 +369,38 @@ async accountExists(id, role) {
         }
     }
 
+    /**
+     * Retorna o curso ao qual um profissional (professor ou coordenador) solicitou vínculo.
+     *
+     * O vínculo é feito pelo `access_code` informado no cadastro, que corresponde ao
+     * `course_code` da tabela `course_valid`.
+     *
+     * @async
+     * @param {number} professional_id - ID do usuário profissional.
+     * @returns {Promise<{course_id: number}|undefined>} Objeto com o ID do curso ou `undefined`.
+     *
+     * @example
+     * const course = await Account.findProfessionalCourse(7)
+     * // { course_id: 2 }
+     */
+    async findProfessionalCourse(professional_id) {
+        try {
+            const result = await knex.raw(`
+                select
+                    cv.id as course_id
+                from validate_professionals vp
+                inner join course_valid cv
+                    on cv.course_code::text = vp.access_code
+                where vp.professional_id = ?
+            `, [professional_id])
+            const rows = result.rows
+            return rows.length > 0 ? rows[0] : undefined
+        } catch(err) {
+            console.error('Erro ao buscar curso do profissional:', err)
+            return undefined
+        }
+    }
+
     /**
      * Busca professores validados (com join na tabela validate_professionals)
      */
@@ -0,0 +1,146 @@
+const knex = require("../database/connection")
+
+/** Colunas retornadas nas consultas de avisos. */
+const COLUMNS = [
+    "a.id",
+    "a.class_id",
+    "a.author_id",
+    "u.username as author_name",
+    "a.title",
+    "a.body",
+    "a.pinned",
+    "a.attachment",
+    "a.attachment_name",
+    "a.created_at",
+    "a.updated_at"
+]
+
+/**
+ * @class Announcement
+ * @classdesc
+ * Avisos publicados pelo professor no mural da turma (`class_announcements`).
+ * Avisos fixados (`pinned`) aparecem sempre no topo.
+ */
+class Announcement {
+
+    /**
+     * Cadastra um aviso.
+     *
+     * @async
+     * @param {{class_id: number, author_id: number, title: string, body: string, pinned?: boolean, attachment?: string|null, attachment_name?: string|null}} data
+     * @returns {Promise<Object|undefined>} Aviso criado (mesmo formato da listagem).
+     */
+    async create(data) {
+        try {
+            const [result] = await knex("class_announcements").insert(data).returning("id")
+            return this.findById(result.id)
+        } catch (err) {
+            console.error("Erro ao cadastrar aviso:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Lista os avisos de uma turma: os fixados primeiro e, depois, os mais recentes.
+     *
+     * @async
+     * @param {number} class_id - ID da turma.
+     * @returns {Promise<Array<Object>|undefined>}
+     */
+    async listByClass(class_id) {
+        try {
+            return await knex("class_announcements as a")
+                .select(COLUMNS)
+                .innerJoin("users as u", "u.id", "a.author_id")
+                .where("a.class_id", class_id)
+                .orderBy([{ column: "a.pinned", order: "desc" }, { column: "a.created_at", order: "desc" }])
+        } catch (err) {
+            console.error("Erro ao listar avisos:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Busca um aviso pelo ID.
+     *
+     * @async
+     * @param {number} id - ID do aviso.
+     * @returns {Promise<Object|undefined>}
+     */
+    async findById(id) {
+        try {
+            return await knex("class_announcements as a")
+                .select(COLUMNS)
+                .innerJoin("users as u", "u.id", "a.author_id")
+                .where("a.id", id)
+                .first()
+        } catch (err) {
+            console.error("Erro ao buscar aviso:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Atualiza título, texto ou fixação de um aviso.
+     *
+     * @async
+     * @param {number} id - ID do aviso.
+     * @param {{title?: string, body?: string, pinned?: boolean}} changes
+     * @returns {Promise<Object|undefined>} Aviso atualizado.
+     */
+    async update(id, changes) {
+        try {
+            await knex("class_announcements")
+                .where({ id })
+                .update({ ...changes, updated_at: knex.fn.now() })
+            return this.findById(id)
+        } catch (err) {
+            console.error("Erro ao atualizar aviso:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Exclui um aviso.
+     *
+     * @async
+     * @param {number} id - ID do aviso.
+     * @returns {Promise<{attachment: string|null}|null|undefined>} Aviso excluído (para remover o anexo),
+     * `null` se não existir ou `undefined` em caso de erro.
+     */
+    async deleteById(id) {
+        try {
+            const [deleted] = await knex("class_announcements")
+                .where({ id })
+                .delete()
+                .returning(["id", "attachment"])
+            if (!deleted) return null
+            return deleted
+        } catch (err) {
+            console.error("Erro ao excluir aviso:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Retorna a turma e a disciplina de um aviso (usado nas verificações de acesso).
+     *
+     * @async
+     * @param {number} id - ID do aviso.
+     * @returns {Promise<{subject_id: number, class_id: number}|undefined>}
+     */
+    async findScope(id) {
+        try {
+            return await knex("class_announcements as a")
+                .select("c.subject_id", "a.class_id")
+                .innerJoin("classes as c", "c.id", "a.class_id")
+                .where("a.id", id)
+                .first()
+        } catch (err) {
+            console.error("Erro ao buscar escopo do aviso:", err)
+            return undefined
+        }
+    }
+}
+
+module.exports = new Announcement()
@@ -0,0 +1,326 @@
+const knex = require("../database/connection")
+
+/** Colunas retornadas nas consultas de atividades. */
+const COLUMNS = [
+    "a.id",
+    "a.class_id",
+    "a.created_by",
+    "a.title",
+    "a.instructions",
+    "a.due_at",
+    "a.late_policy",
+    "a.late_penalty",
+    "a.max_points",
+    "a.created_at",
+    "a.updated_at"
+]
+
+/** Colunas retornadas nas consultas de entregas. */
+const SUBMISSION_COLUMNS = [
+    "sub.id",
+    "sub.assignment_id",
+    "sub.student_id",
+    "sub.attachment",
+    "sub.attachment_name",
+    "sub.submitted_at",
+    "sub.late",
+    "sub.points",
+    "sub.final_points",
+    "sub.comment",
+    "sub.graded_at"
+]
+
+/**
+ * @class Assignment
+ * @classdesc
+ * Atividades com entrega de arquivo das turmas (`assignments`) e as entregas dos
+ * alunos (`assignment_submissions`, uma por aluno).
+ *
+ * - `late_policy` define o que acontece após o prazo (`due_at`): `reject` recusa a
+ *   entrega, `accept` a aceita marcada como atrasada e `penalty` a aceita descontando
+ *   `late_penalty`% da nota por dia (ou fração) de atraso.
+ * - A nota final (`final_points`) já tem o desconto aplicado e entra no desempenho do
+ *   aluno pela view `student_scores`.
+ */
+class Assignment {
+
+    /**
+     * Cadastra uma atividade.
+     *
+     * @async
+     * @param {{class_id: number, created_by: number, title: string, instructions: string, due_at: string, late_policy: string, late_penalty: number, max_points: number}} data
+     * @returns {Promise<Object|undefined>} Atividade criada.
+     */
+    async create(data) {
+        try {
+            const [result] = await knex("assignments").insert(data).returning("id")
+            return this.findById(result.id)
+        } catch (err) {
+            console.error("Erro ao cadastrar atividade:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Lista as atividades de uma turma, da entrega mais próxima para a mais distante.
+     *
+     * - Sem `student_id`: inclui a quantidade de entregas e de entregas avaliadas.
+     * - Com `student_id`: inclui a entrega do aluno em `submission` (`null` se não entregou).
+     *
+     * @async
+     * @param {number} class_id - ID da turma.
+     * @param {{student_id?: number}} [options]
+     * @returns {Promise<Array<Object>|undefined>}
+     */
+    async listByClass(class_id, { student_id = null } = {}) {
+        try {
+            const query = knex("assignments as a")
+                .select(COLUMNS)
+                .where("a.class_id", class_id)
+                .orderBy("a.due_at", "asc")
+            if (!student_id) {
+                return await query.select(
+                    knex.raw("(select count(*)::int from assignment_submissions s where s.assignment_id = a.id) as submissions"),
+                    knex.raw("(select count(*)::int from assignment_submissions s where s.assignment_id = a.id and s.graded_at is not null) as graded")
+                )
+            }
+
+            const assignments = await query
+            const submissions = assignments.length === 0 ? [] : await knex("assignment_submissions as sub")
+                .select(SUBMISSION_COLUMNS)
+                .whereIn("sub.assignment_id", assignments.map(a => a.id))
+                .andWhere("sub.student_id", student_id)
+            return assignments.map(assignment => ({
+                ...assignment,
+                submission: submissions.find(s => s.assignment_id === assignment.id) || null
+            }))
+        } catch (err) {
+            console.error("Erro ao listar atividades:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Busca uma atividade pelo ID.
+     *
+     * @async
+     * @param {number} id - ID da atividade.
+     * @returns {Promise<Object|undefined>}
+     */
+    async findById(id) {
+        try {
+            return await knex("assignments as a")
+                .select(COLUMNS)
+                .where("a.id", id)
+                .first()
+        } catch (err) {
+            console.error("Erro ao buscar atividade:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Atualiza uma atividade.
+     *
+     * @async
+     * @param {number} id - ID da atividade.
+     * @param {Object} changes - Campos alterados.
+     * @returns {Promise<Object|undefined>} Atividade atualizada.
+     */
+    async update(id, changes) {
+        try {
+            await knex("assignments")
+                .where({ id })
+                .update({ ...changes, updated_at: knex.fn.now() })
+            return this.findById(id)
+        } catch (err) {
+            console.error("Erro ao atualizar atividade:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Exclui uma atividade e as suas entregas.
+     *
+     * @async
+     * @param {number} id - ID da atividade.
+     * @returns {Promise<string[]|null|undefined>} Arquivos das entregas (para removê-los do
+     * armazenamento), `null` se a atividade não existe ou `undefined` em caso de erro.
+     */
+    async deleteById(id) {
+        try {
+            const submissions = await knex("assignment_submissions").select("attachment").where({ assignment_id: id })
+            const deleted = await knex("assignments").where({ id }).delete()
+            if (deleted === 0) return null
+            return submissions.map(submission => submission.attachment)
+        } catch (err) {
+            console.error("Erro ao excluir atividade:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Lista os alunos da turma com a entrega de cada um (`submission` é `null` para quem não entregou).
+     *
+     * @async
+     * @param {{id: number, class_id: number}} assignment
+     * @returns {Promise<Array<{student_id: number, student_name: string, submission: Object|null}>|undefined>}
+     */
+    async listSubmissions({ id, class_id }) {
+        try {
+            const rows = await knex("class_student as cs")
+                .select("cs.student_id", "u.username as student_name")
+                .select(SUBMISSION_COLUMNS.filter(column => column !== "sub.assignment_id" && column !== "sub.student_id"))
+                .innerJoin("users as u", "u.id", "cs.student_id")
+                .leftJoin("assignment_submissions as sub", function () {
+                    this.on("sub.student_id", "cs.student_id").andOnVal("sub.assignment_id", id)
+                })
+                .where("cs.class_id", class_id)
+                .orderBy("u.username", "asc")
+            return rows.map(({ student_id, student_name, ...submission }) => ({
+                student_id,
+                student_name,
+                submission: submission.id ? { ...submission, assignment_id: id, student_id } : null
+            }))
+        } catch (err) {
+            console.error("Erro ao listar entregas:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Busca a entrega de um aluno em uma atividade.
+     *
+     * @async
+     * @param {number} assignment_id - ID da atividade.
+     * @param {number} student_id - ID do aluno.
+     * @returns {Promise<Object|null|undefined>} Entrega, `null` se o aluno não entregou ou `undefined` em caso de erro.
+     */
+    async findSubmission(assignment_id, student_id) {
+        try {
+            const submission = await knex("assignment_submissions as sub")
+                .select(SUBMISSION_COLUMNS)
+                .where({ "sub.assignment_id": assignment_id, "sub.student_id": student_id })
+                .first()
+            return submission || null
+        } catch (err) {
+            console.error("Erro ao buscar entrega:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Busca uma entrega pelo ID, com os dados da atividade usados na avaliação.
+     *
+     * @async
+     * @param {number} id - ID da entrega.
+     * @returns {Promise<Object|undefined>}
+     */
+    async findSubmissionById(id) {
+        try {
+            return await knex("assignment_submissions as sub")
+                .select(SUBMISSION_COLUMNS)
+                .select("a.title", "a.class_id", "a.due_at", "a.late_policy", "a.late_penalty", "a.max_points")
+                .innerJoin("assignments as a", "a.id", "sub.assignment_id")
+                .where("sub.id", id)
+                .first()
+        } catch (err) {
+            console.error("Erro ao buscar entrega:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Registra a entrega do aluno. Um novo envio substitui o arquivo anterior, desde que
+     * a entrega ainda não tenha sido avaliada (conferido na própria gravação).
+     *
+     * @async
+     * @param {{assignment_id: number, student_id: number, attachment: string, attachment_name: string, late: boolean}} data
+     * @returns {Promise<Object|null|undefined>} Entrega salva, `null` se ela já foi avaliada
+     * ou `undefined` em caso de erro.
+     */
+    async saveSubmission(data) {
+        try {
+            const saved = await knex("assignment_submissions")
+                .insert({ ...data, submitted_at: knex.fn.now() })
+                .onConflict(["assignment_id", "student_id"])
+                .merge({
+                    attachment: data.attachment,
+                    attachment_name: data.attachment_name,
+                    late: data.late,
+                    submitted_at: knex.fn.now(),
+                    updated_at: knex.fn.now()
+                })
+                .where("assignment_submissions.graded_at", null)
+                .returning("id")
+            if (saved.length === 0) return null
+            return this.findSubmission(data.assignment_id, data.student_id)
+        } catch (err) {
+            console.error("Erro ao salvar entrega:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Salva a avaliação de uma entrega.
+     *
+     * @async
+     * @param {number} id - ID da entrega.
+     * @param {{points: number, final_points: number, comment: string|null, graded_by: number}} grade
+     * @returns {Promise<boolean>}
+     */
+    async grade(id, grade) {
+        try {
+            await knex("assignment_submissions")
+                .where({ id })
+                .update({ ...grade, graded_at: knex.fn.now(), updated_at: knex.fn.now() })
+            return true
+        } catch (err) {
+            console.error("Erro ao avaliar entrega:", err)
+            return false
+        }
+    }
+
+    /**
+     * Retorna a turma e a disciplina de uma atividade (usado nas verificações de acesso).
+     *
+     * @async
+     * @param {number} id - ID da atividade.
+     * @returns {Promise<{subject_id: number, class_id: number}|undefined>}
+     */
+    async findScope(id) {
+        try {
+            return await knex("assignments as a")
+                .select("c.subject_id", "a.class_id")
+                .innerJoin("classes as c", "c.id", "a.class_id")
+                .where("a.id", id)
+                .first()
+        } catch (err) {
+            console.error("Erro ao buscar escopo da atividade:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Retorna a turma e a disciplina da atividade de uma entrega.
+     *
+     * @async
+     * @param {number} id - ID da entrega.
+     * @returns {Promise<{subject_id: number, class_id: number}|undefined>}
+     */
+    async findSubmissionScope(id) {
+        try {
+            return await knex("assignment_submissions as sub")
+                .select("c.subject_id", "a.class_id")
+                .innerJoin("assignments as a", "a.id", "sub.assignment_id")
+                .innerJoin("classes as c", "c.id", "a.class_id")
+                .where("sub.id", id)
+                .first()
+        } catch (err) {
+            console.error("Erro ao buscar escopo da entrega:", err)
+            return undefined
+        }
+    }
+}
+
+module.exports = new Assignment()
@@ -0,0 +1,180 @@
+const knex = require("../database/connection")
+
+/** Colunas retornadas nas consultas de tentativas. */
+const COLUMNS = ["id", "form_id", "student_id", "form_version", "number", "status", "started_at", "expires_at", "submitted_at", "answers"]
+
+/**
+ * @class Attempt
+ * @classdesc
+ * Tentativas de resolução de simulados (`form_attempts`).
+ *
+ * A tentativa é aberta quando o aluno inicia o simulado e guarda o horário de início,
+ * o horário limite (`expires_at`, calculado a partir de `form.totalDuration` e do prazo)
+ * e o rascunho das respostas salvo automaticamente. Ela termina como `submitted`
+ * (enviada pelo aluno) ou `expired` (enviada automaticamente ao fim do tempo).
+ *
+ * Cada tentativa finalizada gera a sua própria linha em `results_form`; a nota do
+ * aluno no formulário é resolvida pela política do formulário (`max_attempts` e
+ * `score_strategy`) na view `student_form_scores`.
+ */
+class Attempt {
+
+    /**
+     * Busca a tentativa em andamento de um aluno em um formulário.
+     *
+     * @async
+     * @param {number} form_id - ID do formulário.
+     * @param {number} student_id - ID do aluno.
+     * @returns {Promise<Object|undefined>} Tentativa em andamento ou `undefined`.
+     *
+     * @example
+     * const attempt = await Attempt.findOpen(3, 15)
+     */
+    async findOpen(form_id, student_id) {
+        try {
+            const result = await knex("form_attempts")
+                .select(COLUMNS)
+                .where({ form_id, student_id, status: "in_progress" })
+                .first()
+            return result
+        } catch (err) {
+            console.error("Erro ao buscar tentativa em andamento:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Conta quantas tentativas do formulário o aluno já usou (envios registrados
+     * em `results_form`, inclusive os automáticos e os anteriores às tentativas).
+     *
+     * @async
+     * @param {number} form_id - ID do formulário.
+     * @param {number} student_id - ID do aluno.
+     * @returns {Promise<number|undefined>} Quantidade de tentativas usadas ou `undefined` em caso de erro.
+     */
+    async countUsed(form_id, student_id) {
+        try {
+            const result = await knex("results_form")
+                .count("id as total")
+                .where({ form_id, student_id })
+                .first()
+            return Number(result.total)
+        } catch (err) {
+            console.error("Erro ao contar tentativas:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Abre uma nova tentativa.
+     *
+     * @async
+     * @param {Object} data - Dados da tentativa.
+     * @param {number} data.form_id - ID do formulário.
+     * @param {number} data.student_id - ID do aluno.
+     * @param {number} data.form_version - Versão do formulário em resolução.
+     * @param {number} data.number - Número da tentativa (1 para a primeira).
+     * @param {Date|null} data.expires_at - Horário limite para envio (`null` sem limite).
+     * @returns {Promise<Object|undefined>} Tentativa criada ou `undefined` em caso de erro
+     * (inclusive quando já existe outra tentativa em andamento).
+     *
+     * @example
+     * const attempt = await Attempt.start({ form_id: 3, student_id: 15, form_version: 1, expires_at: new Date(...) })
+     */
+    async start(data) {
+        try {
+            const [result] = await knex("form_attempts")
+                .insert(data)
+                .returning(COLUMNS)
+            return result
+        } catch (err) {
+            console.error("Erro ao iniciar tentativa:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Salva o rascunho das respostas de uma tentativa em andamento.
+     *
+     * @async
+     * @param {number} id - ID da tentativa.
+     * @param {Object[]} answers - Respostas (`question_id`, `option_id` ou `open_answer`).
+     * @returns {Promise<boolean>} `true` se salvo; `false` se a tentativa não está mais em andamento.
+     */
+    async saveDraft(id, answers) {
+        try {
+            const updated = await knex("form_attempts")
+                .where({ id, status: "in_progress" })
+                .update({ answers: JSON.stringify(answers), updated_at: knex.fn.now() })
+            return updated > 0
+        } catch (err) {
+            console.error("Erro ao salvar rascunho da tentativa:", err)
+            return false
+        }
+    }
+
+    /**
+     * Finaliza uma tentativa em andamento.
+     *
+     * Só altera tentativas com status `in_progress`, o que impede que a mesma
+     * tentativa seja enviada duas vezes.
+     *
+     * @async
+     * @param {number} id - ID da tentativa.
+     * @param {"submitted"|"expired"} status - Status final.
+     * @returns {Promise<boolean>} `true` se a tentativa foi finalizada por esta chamada.
+     */
+    async finish(id, status) {
+        try {
+            const updated = await knex("form_attempts")
+                .where({ id, status: "in_progress" })
+                .update({ status, submitted_at: knex.fn.now(), updated_at: knex.fn.now() })
+            return updated > 0
+        } catch (err) {
+            console.error("Erro ao finalizar tentativa:", err)
+            return false
+        }
+    }
+
+    /**
+     * Reabre uma tentativa finalizada (usado quando o envio falha após a finalização).
+     *
+     * @async
+     * @param {number} id - ID da tentativa.
+     * @returns {Promise<boolean>}
+     */
+    async reopen(id) {
+        try {
+            const updated = await knex("form_attempts")
+                .where({ id })
+                .update({ status: "in_progress", submitted_at: null, updated_at: knex.fn.now() })
+            return updated > 0
+        } catch (err) {
+            console.error("Erro ao reabrir tentativa:", err)
+            return false
+        }
+    }
+
+    /**
+     * Lista as tentativas em andamento cujo horário limite já passou.
+     *
+     * @async
+     * @param {Date} before - Considera expiradas as tentativas com `expires_at` anterior a esta data.
+     * @returns {Promise<Object[]>}
+     */
+    async findExpired(before) {
+        try {
+            const result = await knex("form_attempts")
+                .select(COLUMNS)
+                .where({ status: "in_progress" })
+                .whereNotNull("expires_at")
+                .andWhere("expires_at", "<", before)
+            return result
+        } catch (err) {
+            console.error("Erro ao buscar tentativas expiradas:", err)
+            return []
+        }
+    }
+}
+
+module.exports = new Attempt()
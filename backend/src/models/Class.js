@@ -1,5 +1,6 @@
 const knex = require("../database/connection")
-const { supabase } = require("../utils/supabase")
+const { signedUrlOrNull } = require("../utils/storage")
+const { possiblePointsSql } = require("../utils/possiblePoints")
 
 /**
  * Classe para manipulação de dados relacionados a Turmas na base de dados.
@@ -203,16 +204,7 @@ class Class {
             
             for (let item of rows) {
                 if (item.archive) {
-
-                    const { data, error } = await supabase.storage
-                        .from("materials")
-                        .createSignedUrl(item.archive, 60 * 60) // 1 hora
-
-                    if (!error && data?.signedUrl) {
-                        item.file_url = data.signedUrl
-                    } else {
-                        item.file_url = null
-                    }
+                    item.file_url = await signedUrlOrNull("materials", item.archive, 60 * 60) // 1 hora
                 }
             }
 
@@ -539,6 +531,125 @@ class Class {
             return 0
         }
     }
+
+    /**
+     * Monta o quadro de notas (gradebook) de uma turma: alunos nas linhas, simulados nas colunas.
+     *
+     * A nota de cada célula vem de `student_form_scores` (política de tentativas do simulado).
+     * A pontuação possível de um envio soma as questões da versão respondida que foram
+     * sorteadas para o aluno; sem envio, vale a do simulado (proporcional a `draw_count`
+     * quando há sorteio). Situações das células:
+     *  - `graded`: envio corrigido;
+     *  - `pending`: tentativa considerada na nota com questões abertas aguardando correção (nota parcial);
+     *  - `missing`: prazo encerrado sem envio (conta como zero no total);
+     *  - `open`: prazo em aberto e sem envio (fora do total).
+     *
+     * @async
+     * @function gradebook
+     * @param {number} class_id - ID da turma.
+     * @returns {Promise<Object|undefined>} `{ forms, students, class_average }` ou `undefined` em caso de erro.
+     *  - forms: `{ id, title, deadline, max_points, average, submissions, missing }`, por prazo;
+     *  - students: `{ student_id, username, cells, total, possible, percent, missing }`, por nome,
+     *    com `cells` na mesma ordem de `forms` (`{ form_id, points, max_points, status, attempts }`);
+     *  - class_average: média dos percentuais dos alunos.
+     *
+     * @example
+     * const book = await Class.gradebook(5)
+     * // book.students[0].cells[0] = { form_id: 3, points: 7.5, max_points: 10, status: "graded", attempts: 1 }
+     */
+    async gradebook(class_id) {
+        try {
+            const roster = await this.Students(class_id)
+            if (!roster) return undefined
+            const students = [...roster.students].sort((a, b) => a.username.localeCompare(b.username, "pt-BR"))
+
+            const forms = await knex("form as f")
+                .select(
+                    "f.id", "f.title", "f.deadline", "f.draw_count",
+                    knex.raw("COALESCE(SUM(q.points), 0)::float AS total_points"),
+                    knex.raw("COUNT(q.id)::int AS question_count")
+                )
+                .leftJoin("questions as q", function () {
+                    this.on("q.form_id", "=", "f.id").andOn("q.version", "=", "f.version")
+                })
+                .where("f.class_id", class_id)
+                .groupBy("f.id")
+                .orderBy([{ column: "f.deadline" }, { column: "f.id" }])
+
+            const formIds = forms.map(f => f.id)
+            const scores = formIds.length === 0 ? [] : await knex("student_form_scores as s")
+                .select(
+                    "s.form_id", "s.student_id", "s.attempts",
+                    knex.raw("s.points::float AS points"),
+                    knex.raw(`${possiblePointsSql("s")}::float AS max_points`),
+                    knex.raw(`EXISTS (
+                        SELECT 1 FROM form_corrections fc
+                        WHERE fc.form_id = s.form_id AND fc.student_id = s.student_id
+                          AND fc.attempt_id IS NOT DISTINCT FROM s.attempt_id
+                          AND fc.corrected = false
+                    ) AS pending`)
+                )
+                .whereIn("s.form_id", formIds)
+
+            const byCell = new Map(scores.map(s => [`${s.form_id}:${s.student_id}`, s]))
+            const now = Date.now()
+            const columns = forms.map(({ total_points, question_count, draw_count, ...f }) => ({
+                ...f,
+                max_points: draw_count && draw_count < question_count
+                    ? Math.round((total_points / question_count) * draw_count * 100) / 100
+                    : total_points,
+                sum: 0,
+                submissions: 0,
+                missing: 0
+            }))
+
+            const rows = students.map(({ student_id, username }) => {
+                let total = 0
+                let possible = 0
+                let missing = 0
+                const cells = columns.map(column => {
+                    const score = byCell.get(`${column.id}:${student_id}`)
+                    if (score) {
+                        total += score.points
+                        possible += score.max_points
+                        column.sum += score.points
+                        column.submissions++
+                        return {
+                            form_id: column.id,
+                            points: score.points,
+                            max_points: score.max_points,
+                            status: score.pending ? "pending" : "graded",
+                            attempts: score.attempts
+                        }
+                    }
+                    if (new Date(column.deadline).getTime() <= now) {
+                        possible += column.max_points
+                        missing++
+                        column.missing++
+                        return { form_id: column.id, points: null, max_points: column.max_points, status: "missing", attempts: 0 }
+                    }
+                    return { form_id: column.id, points: null, max_points: column.max_points, status: "open", attempts: 0 }
+                })
+                const percent = possible > 0 ? Math.round((total / possible) * 10000) / 100 : null
+                return { student_id, username, cells, total: Math.round(total * 100) / 100, possible: Math.round(possible * 100) / 100, percent, missing }
+            })
+
+            const percents = rows.filter(r => r.percent !== null).map(r => r.percent)
+            return {
+                forms: columns.map(({ sum, ...column }) => ({
+                    ...column,
+                    average: column.submissions > 0 ? Math.round((sum / column.submissions) * 100) / 100 : null
+                })),
+                students: rows,
+                class_average: percents.length > 0
+                    ? Math.round((percents.reduce((a, b) => a + b, 0) / percents.length) * 100) / 100
+                    : null
+            }
+        } catch (err) {
+            console.error("Erro ao montar quadro de notas da turma:", err)
+            return undefined
+        }
+    }
 }
 
 module.exports = new Class();
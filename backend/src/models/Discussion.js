@@ -0,0 +1,312 @@
+const knex = require("../database/connection")
+
+/**
+ * @class Discussion
+ * @classdesc
+ * Discussões (perguntas e respostas) das turmas: tópicos em `discussion_threads` e
+ * respostas em `discussion_posts`.
+ *
+ * - O professor pode aceitar uma resposta (`accepted_post_id`), bloquear o tópico
+ *   para novas respostas (`locked`) e ocultar tópicos ou respostas (`hidden`).
+ * - Conteúdo oculto só é retornado quando `includeHidden` é informado (moderadores).
+ * - `author_is_teacher` indica se o autor é o professor responsável pela disciplina.
+ */
+class Discussion {
+
+    /**
+     * Cadastra um tópico.
+     *
+     * @async
+     * @param {{class_id: number, author_id: number, title: string, body: string, attachment?: string|null, attachment_name?: string|null}} data
+     * @returns {Promise<number|undefined>} ID do tópico criado.
+     */
+    async createThread(data) {
+        try {
+            const [result] = await knex("discussion_threads").insert(data).returning("id")
+            return result.id
+        } catch (err) {
+            console.error("Erro ao cadastrar discussão:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Lista os tópicos de uma turma, do mais recentemente movimentado para o mais antigo,
+     * com a quantidade de respostas.
+     *
+     * @async
+     * @param {number} class_id - ID da turma.
+     * @param {{includeHidden?: boolean}} [options]
+     * @returns {Promise<Array<Object>|undefined>}
+     */
+    async listThreads(class_id, { includeHidden = false } = {}) {
+        try {
+            const result = await knex.raw(`
+                select
+                    t.id,
+                    t.title,
+                    t.author_id,
+                    u.username as author_name,
+                    (t.author_id = s.professional_id) as author_is_teacher,
+                    t.locked,
+                    t.hidden,
+                    t.accepted_post_id,
+                    t.last_activity_at,
+                    t.created_at,
+                    (
+                        select count(*)::int from discussion_posts p
+                        where p.thread_id = t.id and (? or p.hidden = false)
+                    ) as replies
+                from discussion_threads t
+                inner join users u
+                    on u.id = t.author_id
+                inner join classes c
+                    on c.id = t.class_id
+                inner join subjects s
+                    on s.id = c.subject_id
+                where t.class_id = ? and (? or t.hidden = false)
+                order by t.last_activity_at desc
+            `, [includeHidden, class_id, includeHidden])
+            return result.rows
+        } catch (err) {
+            console.error("Erro ao listar discussões:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Busca um tópico com os dados da turma (disciplina e professor responsável).
+     *
+     * @async
+     * @param {number} id - ID do tópico.
+     * @returns {Promise<Object|undefined>}
+     */
+    async findThread(id) {
+        try {
+            const result = await knex.raw(`
+                select
+                    t.*,
+                    u.username as author_name,
+                    (t.author_id = s.professional_id) as author_is_teacher,
+                    c.subject_id,
+                    s.professional_id as teacher_id
+                from discussion_threads t
+                inner join users u
+                    on u.id = t.author_id
+                inner join classes c
+                    on c.id = t.class_id
+                inner join subjects s
+                    on s.id = c.subject_id
+                where t.id = ?
+            `, [id])
+            return result.rows[0]
+        } catch (err) {
+            console.error("Erro ao buscar discussão:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Lista as respostas de um tópico em ordem cronológica.
+     *
+     * @async
+     * @param {number} thread_id - ID do tópico.
+     * @param {{includeHidden?: boolean}} [options]
+     * @returns {Promise<Array<Object>|undefined>}
+     */
+    async listPosts(thread_id, { includeHidden = false } = {}) {
+        try {
+            const result = await knex.raw(`
+                select
+                    p.id,
+                    p.author_id,
+                    u.username as author_name,
+                    (p.author_id = s.professional_id) as author_is_teacher,
+                    p.body,
+                    p.attachment,
+                    p.attachment_name,
+                    p.hidden,
+                    p.created_at
+                from discussion_posts p
+                inner join users u
+                    on u.id = p.author_id
+                inner join discussion_threads t
+                    on t.id = p.thread_id
+                inner join classes c
+                    on c.id = t.class_id
+                inner join subjects s
+                    on s.id = c.subject_id
+                where p.thread_id = ? and (? or p.hidden = false)
+                order by p.created_at asc
+            `, [thread_id, includeHidden])
+            return result.rows
+        } catch (err) {
+            console.error("Erro ao listar respostas da discussão:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Cadastra uma resposta e atualiza a última movimentação do tópico.
+     *
+     * @async
+     * @param {{thread_id: number, author_id: number, body: string, attachment?: string|null, attachment_name?: string|null}} data
+     * @returns {Promise<number|undefined>} ID da resposta criada.
+     */
+    async createPost(data) {
+        try {
+            const id = await knex.transaction(async (trx) => {
+                const [result] = await trx("discussion_posts").insert(data).returning("id")
+                await trx("discussion_threads")
+                    .where({ id: data.thread_id })
+                    .update({ last_activity_at: knex.fn.now() })
+                return result.id
+            })
+            return id
+        } catch (err) {
+            console.error("Erro ao cadastrar resposta:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Atualiza a moderação de um tópico (bloqueio, ocultação ou resposta aceita).
+     *
+     * @async
+     * @param {number} id - ID do tópico.
+     * @param {{locked?: boolean, hidden?: boolean, accepted_post_id?: number|null}} changes
+     * @returns {Promise<boolean>}
+     */
+    async updateThread(id, changes) {
+        try {
+            await knex("discussion_threads")
+                .where({ id })
+                .update({ ...changes, updated_at: knex.fn.now() })
+            return true
+        } catch (err) {
+            console.error("Erro ao atualizar discussão:", err)
+            return false
+        }
+    }
+
+    /**
+     * Exclui um tópico e suas respostas.
+     *
+     * @async
+     * @param {number} id - ID do tópico.
+     * @returns {Promise<string[]|undefined>} Anexos do tópico e das respostas (para removê-los do armazenamento).
+     */
+    async deleteThread(id) {
+        try {
+            const posts = await knex("discussion_posts").select("attachment").where({ thread_id: id })
+            const [deleted] = await knex("discussion_threads")
+                .where({ id })
+                .delete()
+                .returning(["attachment"])
+            if (!deleted) return []
+            return [deleted.attachment, ...posts.map(post => post.attachment)].filter(Boolean)
+        } catch (err) {
+            console.error("Erro ao excluir discussão:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Busca uma resposta pelo ID.
+     *
+     * @async
+     * @param {number} id - ID da resposta.
+     * @returns {Promise<{id: number, thread_id: number, author_id: number, hidden: boolean, attachment: string|null}|undefined>}
+     */
+    async findPost(id) {
+        try {
+            return await knex("discussion_posts")
+                .select("id", "thread_id", "author_id", "hidden", "attachment")
+                .where({ id })
+                .first()
+        } catch (err) {
+            console.error("Erro ao buscar resposta:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Oculta ou exibe uma resposta.
+     *
+     * @async
+     * @param {number} id - ID da resposta.
+     * @param {boolean} hidden
+     * @returns {Promise<boolean>}
+     */
+    async setPostHidden(id, hidden) {
+        try {
+            await knex("discussion_posts")
+                .where({ id })
+                .update({ hidden, updated_at: knex.fn.now() })
+            return true
+        } catch (err) {
+            console.error("Erro ao atualizar resposta:", err)
+            return false
+        }
+    }
+
+    /**
+     * Exclui uma resposta. Se ela era a resposta aceita, o tópico volta a ficar sem resposta aceita.
+     *
+     * @async
+     * @param {number} id - ID da resposta.
+     * @returns {Promise<boolean>}
+     */
+    async deletePost(id) {
+        try {
+            const deleted = await knex("discussion_posts").where({ id }).delete()
+            return deleted > 0
+        } catch (err) {
+            console.error("Erro ao excluir resposta:", err)
+            return false
+        }
+    }
+
+    /**
+     * Retorna a turma e a disciplina de um tópico (usado nas verificações de acesso).
+     *
+     * @async
+     * @param {number} id - ID do tópico.
+     * @returns {Promise<{subject_id: number, class_id: number}|undefined>}
+     */
+    async findScope(id) {
+        try {
+            return await knex("discussion_threads as t")
+                .select("c.subject_id", "t.class_id")
+                .innerJoin("classes as c", "c.id", "t.class_id")
+                .where("t.id", id)
+                .first()
+        } catch (err) {
+            console.error("Erro ao buscar escopo da discussão:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Retorna a turma e a disciplina do tópico de uma resposta.
+     *
+     * @async
+     * @param {number} id - ID da resposta.
+     * @returns {Promise<{subject_id: number, class_id: number}|undefined>}
+     */
+    async findPostScope(id) {
+        try {
+            return await knex("discussion_posts as p")
+                .select("c.subject_id", "t.class_id")
+                .innerJoin("discussion_threads as t", "t.id", "p.thread_id")
+                .innerJoin("classes as c", "c.id", "t.class_id")
+                .where("p.id", id)
+                .first()
+        } catch (err) {
+            console.error("Erro ao buscar escopo da resposta:", err)
+            return undefined
+        }
+    }
+}
+
+module.exports = new Discussion()
@@ -0,0 +1,215 @@
+const knex = require("../database/connection")
+
+/**
+ * @class EmailDelivery
+ * @classdesc
+ * Controle dos e-mails enviados pelas tarefas agendadas (`email_deliveries`) e as
+ * consultas que selecionam quem deve recebê-los.
+ *
+ * Cada envio é identificado por usuário, tipo (`kind`) e referência (ex.: o ID do
+ * formulário de um lembrete ou a data da semana de um resumo). O registro é reservado
+ * antes do envio (`claim`), de modo que reinícios do servidor ou mais de um processo
+ * executando as tarefas não enviem o mesmo e-mail duas vezes.
+ */
+class EmailDelivery {
+
+    /**
+     * Reserva um envio. Retorna `false` se ele já foi feito (ou reservado por outro processo).
+     *
+     * @async
+     * @param {number} user_id - Destinatário.
+     * @param {string} kind - Tipo do envio (ex.: `deadline_24h`).
+     * @param {string|number} reference - Referência do envio (ex.: ID do formulário).
+     * @returns {Promise<boolean>}
+     *
+     * @example
+     * if (await EmailDelivery.claim(7, "deadline_1h", 12)) await sendEmail(...)
+     */
+    async claim(user_id, kind, reference) {
+        try {
+            const result = await knex("email_deliveries")
+                .insert({ user_id, kind, reference: String(reference) })
+                .onConflict(["user_id", "kind", "reference"])
+                .ignore()
+                .returning("id")
+            return result.length > 0
+        } catch (err) {
+            console.error("Erro ao reservar envio de e-mail:", err)
+            return false
+        }
+    }
+
+    /**
+     * Desfaz a reserva de um envio que falhou, para que seja tentado de novo.
+     *
+     * @async
+     * @param {number} user_id - Destinatário.
+     * @param {string} kind - Tipo do envio.
+     * @param {string|number} reference - Referência do envio.
+     * @returns {Promise<boolean>}
+     */
+    async release(user_id, kind, reference) {
+        try {
+            await knex("email_deliveries")
+                .where({ user_id, kind, reference: String(reference) })
+                .del()
+            return true
+        } catch (err) {
+            console.error("Erro ao liberar envio de e-mail:", err)
+            return false
+        }
+    }
+
+    /**
+     * Lista os alunos que devem receber um lembrete de prazo: matriculados na turma de
+     * um formulário com prazo no intervalo informado, que ainda não enviaram o simulado
+     * (sem linha em `form_corrections`), não desativaram os lembretes e ainda não
+     * receberam este lembrete.
+     *
+     * @async
+     * @param {string} kind - Tipo do lembrete (`deadline_24h` ou `deadline_1h`).
+     * @param {Date} from - Início do intervalo (exclusivo).
+     * @param {Date} to - Fim do intervalo (inclusivo).
+     * @returns {Promise<Array<{form_id: number, title: string, deadline: Date, class_id: number, subject_name: string, student_id: number, username: string, email: string}>>}
+     */
+    async findDeadlineRecipients(kind, from, to) {
+        try {
+            const result = await knex.raw(`
+                select
+                    f.id as form_id,
+                    f.title,
+                    f.deadline,
+                    f.class_id,
+                    s.name as subject_name,
+                    u.id as student_id,
+                    u.username,
+                    u.email
+                from form f
+                inner join classes c
+                    on c.id = f.class_id
+                inner join subjects s
+                    on s.id = coalesce(f.subject_id, c.subject_id)
+                inner join class_student cs
+                    on cs.class_id = f.class_id
+                inner join users u
+                    on u.id = cs.student_id
+                left join notification_preferences np
+                    on np.user_id = u.id
+                where f.deadline > ? and f.deadline <= ?
+                    and coalesce(np.deadline_reminders, true)
+                    and not exists (
+                        select 1 from form_corrections fc
+                        where fc.form_id = f.id and fc.student_id = u.id
+                    )
+                    and not exists (
+                        select 1 from email_deliveries ed
+                        where ed.user_id = u.id and ed.kind = ? and ed.reference = f.id::text
+                    )
+                order by f.deadline asc
+            `, [from, to, kind])
+            return result.rows
+        } catch (err) {
+            console.error("Erro ao buscar destinatários dos lembretes:", err)
+            return []
+        }
+    }
+
+    /**
+     * Lista os alunos (matriculados em ao menos uma turma) que devem receber o resumo
+     * semanal: não desativaram o resumo e ainda não o receberam nesta semana.
+     *
+     * @async
+     * @param {string} reference - Semana do resumo (data de início, `YYYY-MM-DD`).
+     * @returns {Promise<Array<{student_id: number, username: string, email: string}>>}
+     */
+    async findDigestRecipients(reference) {
+        try {
+            const result = await knex.raw(`
+                select distinct
+                    u.id as student_id,
+                    u.username,
+                    u.email
+                from class_student cs
+                inner join users u
+                    on u.id = cs.student_id
+                left join notification_preferences np
+                    on np.user_id = u.id
+                where coalesce(np.weekly_digest, true)
+                    and not exists (
+                        select 1 from email_deliveries ed
+                        where ed.user_id = u.id and ed.kind = 'weekly_digest' and ed.reference = ?
+                    )
+            `, [reference])
+            return result.rows
+        } catch (err) {
+            console.error("Erro ao buscar destinatários do resumo semanal:", err)
+            return []
+        }
+    }
+
+    /**
+     * Reúne o conteúdo do resumo semanal de um aluno: materiais publicados nas suas
+     * turmas (ou nas disciplinas delas) e notas de simulados corrigidos no período.
+     * Materiais de turma sem `subject_id` usam a disciplina da turma.
+     *
+     * @async
+     * @param {number} student_id - ID do aluno.
+     * @param {Date} since - Início do período.
+     * @returns {Promise<{materials: Array<Object>, grades: Array<Object>}|undefined>}
+     */
+    async getDigestContent(student_id, since) {
+        try {
+            const materials = await knex.raw(`
+                select distinct
+                    m.id,
+                    m.title,
+                    s.name as subject_name,
+                    m.created_at
+                from materials m
+                left join classes mc
+                    on mc.id = m.class_id
+                inner join subjects s
+                    on s.id = coalesce(m.subject_id, mc.subject_id)
+                inner join classes c
+                    on c.subject_id = s.id
+                inner join class_student cs
+                    on cs.class_id = c.id
+                where cs.student_id = ?
+                    and (m.class_id is null or m.class_id = c.id)
+                    and m.created_at >= ?
+                order by m.created_at desc
+            `, [student_id, since])
+
+            const grades = await knex.raw(`
+                select
+                    f.id as form_id,
+                    f.title,
+                    s.name as subject_name,
+                    rf.points,
+                    fc.updated_at as corrected_at
+                from form_corrections fc
+                inner join form f
+                    on f.id = fc.form_id
+                left join classes c
+                    on c.id = f.class_id
+                inner join subjects s
+                    on s.id = coalesce(f.subject_id, c.subject_id)
+                inner join results_form rf
+                    on rf.form_id = fc.form_id
+                    and rf.student_id = fc.student_id
+                    and rf.attempt_id is not distinct from fc.attempt_id
+                where fc.student_id = ?
+                    and fc.corrected = true
+                    and fc.updated_at >= ?
+                order by fc.updated_at desc
+            `, [student_id, since])
+
+            return { materials: materials.rows, grades: grades.rows }
+        } catch (err) {
+            console.error("Erro ao montar resumo semanal:", err)
+            return undefined
+        }
+    }
+}
+
+module.exports = new EmailDelivery()
@@ -0,0 +1,409 @@
+const knex = require("../database/connection")
+
+/**
+ * Indica se a turma já passou da data de encerramento (`classes.expired`).
+ *
+ * @param {{expired: Date|string|null}} classData
+ * @returns {boolean}
+ */
+function isClassExpired(classData) {
+    return !!classData.expired && new Date(classData.expired).getTime() <= Date.now()
+}
+
+/**
+ * Posição de um aluno na lista de espera da turma (1 para o próximo a entrar).
+ *
+ * @async
+ * @param {import("knex").Knex.Transaction} trx - Transação em andamento.
+ * @param {number} class_id - ID da turma.
+ * @param {number} student_id - ID do aluno.
+ * @returns {Promise<number>}
+ */
+async function waitlistPosition(trx, class_id, student_id) {
+    const result = await trx("class_waitlist as w")
+        .innerJoin("class_waitlist as me", function () {
+            this.on("me.class_id", "=", "w.class_id")
+        })
+        .where({ "me.class_id": class_id, "me.student_id": student_id, "w.status": "waiting" })
+        .andWhereRaw("(w.created_at, w.id) <= (me.created_at, me.id)")
+        .count("w.id as position")
+        .first()
+    return Number(result.position)
+}
+
+/**
+ * Matricula os primeiros alunos da lista de espera enquanto houver vagas.
+ * A linha da turma deve estar bloqueada (`FOR UPDATE`) pela transação.
+ *
+ * @async
+ * @param {import("knex").Knex.Transaction} trx - Transação em andamento.
+ * @param {{id: number, capacity: number, expired: Date|null}} classData - Turma bloqueada.
+ * @returns {Promise<number[]>} IDs dos alunos matriculados.
+ */
+async function promoteWaiting(trx, classData) {
+    if (isClassExpired(classData)) return []
+
+    const { total } = await trx("class_student").where({ class_id: classData.id }).count("* as total").first()
+    const seats = Number(classData.capacity) - Number(total)
+    if (seats <= 0) return []
+
+    const next = await trx("class_waitlist")
+        .select("id", "student_id", "invite_id")
+        .where({ class_id: classData.id, status: "waiting" })
+        .orderBy(["created_at", "id"])
+        .limit(seats)
+        .forUpdate()
+
+    for (const { id, student_id, invite_id } of next) {
+        await trx("class_student")
+            .insert({ class_id: classData.id, student_id, invite_id })
+            .onConflict(["class_id", "student_id"])
+            .ignore()
+        await trx("class_waitlist")
+            .where({ id })
+            .update({ status: "promoted", promoted_at: trx.fn.now(), updated_at: trx.fn.now() })
+    }
+
+    return next.map(row => row.student_id)
+}
+
+/**
+ * Classifica as linhas de uma planilha de matrícula em lote contra o estado atual da turma.
+ *
+ * Situações possíveis de cada linha: `matched` (será matriculado), `already_enrolled`,
+ * `unknown` (nenhum usuário com o e-mail/matrícula), `not_student` (usuário não é aluno),
+ * `duplicate` (aluno repetido na planilha), `over_capacity` (excede as vagas) e `invalid`
+ * (linha sem identificador). As vagas são consumidas na ordem da planilha.
+ *
+ * @async
+ * @param {import("knex").Knex|import("knex").Knex.Transaction} db - Conexão ou transação.
+ * @param {{id: number, capacity: number}} classData - Turma de destino.
+ * @param {Array<{row: number, identifier: string, type: string|null}>} rows - Linhas lidas da planilha.
+ * @returns {Promise<{rows: Object[], summary: Object}>}
+ */
+async function planRoster(db, classData, rows) {
+    const emails = [...new Set(rows.filter(r => r.type === "email").map(r => r.identifier))]
+    const registrations = [...new Set(rows.filter(r => r.type === "registration").map(r => r.identifier))]
+
+    const users = emails.length + registrations.length === 0 ? [] : await db("users as u")
+        .select(
+            "u.id", "u.username", "u.email", "u.registration",
+            db.raw("(u.registration = 'admin' or (vp.role is not null and vp.approved is true)) as professional")
+        )
+        .leftJoin("validate_professionals as vp", "vp.professional_id", "u.id")
+        .where(function () {
+            if (emails.length) this.orWhereIn(db.raw("lower(u.email)"), emails)
+            if (registrations.length) this.orWhereIn("u.registration", registrations)
+        })
+
+    const byEmail = new Map(users.map(u => [String(u.email || "").toLowerCase(), u]))
+    const byRegistration = new Map(users.filter(u => u.registration).map(u => [u.registration, u]))
+
+    const enrolled = new Set((await db("class_student")
+        .select("student_id")
+        .where({ class_id: classData.id })).map(r => r.student_id))
+    let seats = Number(classData.capacity) - enrolled.size
+
+    const seenIdentifiers = new Set()
+    const seenUsers = new Set()
+    const planned = rows.map(({ row, identifier, type }) => {
+        const base = { row, identifier, type }
+        if (!identifier) return { ...base, status: "invalid" }
+
+        const key = `${type}:${identifier}`
+        if (seenIdentifiers.has(key)) return { ...base, status: "duplicate" }
+        seenIdentifiers.add(key)
+
+        const user = type === "email" ? byEmail.get(identifier) : byRegistration.get(identifier)
+        if (!user) return { ...base, status: "unknown" }
+
+        const match = { ...base, student_id: user.id, username: user.username }
+        if (user.professional) return { ...match, status: "not_student" }
+        if (seenUsers.has(user.id)) return { ...match, status: "duplicate" }
+        seenUsers.add(user.id)
+
+        if (enrolled.has(user.id)) return { ...match, status: "already_enrolled" }
+        if (seats <= 0) return { ...match, status: "over_capacity" }
+        seats--
+        return { ...match, status: "matched" }
+    })
+
+    const summary = { total: planned.length, capacity: Number(classData.capacity), enrolled_before: enrolled.size }
+    for (const { status } of planned) summary[status] = (summary[status] || 0) + 1
+    return { rows: planned, summary }
+}
+
+/**
+ * @class Enrollment
+ * @classdesc
+ * Matrículas de alunos em turmas (`class_student`) e a lista de espera das turmas
+ * lotadas (`class_waitlist`).
+ *
+ * As operações bloqueiam a linha da turma (`SELECT ... FOR UPDATE`) dentro de uma
+ * transação, de modo que matrículas simultâneas nunca ultrapassem `classes.capacity`.
+ * Quando uma vaga é liberada, o aluno mais antigo da lista de espera é matriculado.
+ */
+class Enrollment {
+
+    /**
+     * Matricula um aluno com um código de convite ou, se a turma estiver lotada,
+     * coloca-o na lista de espera.
+     *
+     * O convite precisa estar dentro da validade, sem revogação e com usos disponíveis,
+     * e a turma não pode estar encerrada. Entrar na lista de espera também consome um uso
+     * do convite. Cada uso fica registrado em `invite_redemptions`, e a matrícula guarda
+     * o convite usado (`class_student.invite_id`).
+     *
+     * @async
+     * @param {string} code - Código do convite (já normalizado).
+     * @param {number} student_id - ID do aluno.
+     * @returns {Promise<Object|undefined>} `{ status, class_id, class_name, position }`, onde `status` é
+     * `enrolled`, `waitlisted`, `already_enrolled`, `already_waiting`, `invalid_invite` ou `class_expired`;
+     * `undefined` em caso de erro.
+     *
+     * @example
+     * const result = await Enrollment.joinWithCode("ABC123", 15)
+     * // { status: "waitlisted", class_id: 5, class_name: "Programação Web", position: 2 }
+     */
+    async joinWithCode(code, student_id) {
+        try {
+            const result = await knex.transaction(async (trx) => {
+                const invite = await trx("classes_invites").where({ code }).forUpdate().first()
+                const validInvite = invite
+                    && !invite.revoked_at
+                    && new Date(invite.expires_at).getTime() > Date.now()
+                    && (invite.max_uses === null || invite.use_count < invite.max_uses)
+                if (!validInvite) return { status: "invalid_invite" }
+
+                const classData = await trx("classes")
+                    .select("id", "name", "capacity", "expired")
+                    .where({ id: invite.classes_id })
+                    .forUpdate()
+                    .first()
+                if (!classData) return { status: "invalid_invite" }
+
+                const base = { class_id: classData.id, class_name: classData.name, invite_id: invite.id }
+                if (isClassExpired(classData)) return { ...base, status: "class_expired" }
+
+                const enrolled = await trx("class_student").where({ class_id: classData.id, student_id }).first("student_id")
+                if (enrolled) return { ...base, status: "already_enrolled" }
+
+                const waiting = await trx("class_waitlist").where({ class_id: classData.id, student_id, status: "waiting" }).first("id")
+                if (waiting) {
+                    return { ...base, status: "already_waiting", position: await waitlistPosition(trx, classData.id, student_id) }
+                }
+
+                // Vagas liberadas sem passar pela remoção de aluno vão primeiro para quem já aguarda
+                const promoted = await promoteWaiting(trx, classData)
+
+                const { total } = await trx("class_student").where({ class_id: classData.id }).count("* as total").first()
+                await trx("classes_invites").where({ id: invite.id }).increment("use_count", 1)
+
+                const enrolling = Number(total) < Number(classData.capacity)
+                await trx("invite_redemptions").insert({
+                    invite_id: invite.id,
+                    class_id: classData.id,
+                    student_id,
+                    status: enrolling ? "enrolled" : "waitlisted"
+                })
+
+                if (enrolling) {
+                    await trx("class_student").insert({ class_id: classData.id, student_id, invite_id: invite.id })
+                    return { ...base, status: "enrolled", promoted }
+                }
+
+                await trx("class_waitlist")
+                    .insert({ class_id: classData.id, student_id, invite_id: invite.id })
+                    .onConflict(["class_id", "student_id"])
+                    .merge({ status: "waiting", invite_id: invite.id, promoted_at: null, created_at: trx.fn.now(), updated_at: trx.fn.now() })
+                return { ...base, status: "waitlisted", promoted, position: await waitlistPosition(trx, classData.id, student_id) }
+            })
+
+            return result
+        } catch (err) {
+            console.error("Erro ao matricular aluno com código:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Matricula os próximos alunos da lista de espera enquanto houver vagas na turma.
+     * Chamado quando um aluno é removido da turma.
+     *
+     * @async
+     * @param {number} class_id - ID da turma.
+     * @returns {Promise<number[]|undefined>} IDs dos alunos matriculados ou `undefined` em caso de erro.
+     *
+     * @example
+     * const promoted = await Enrollment.promoteNext(5)
+     */
+    async promoteNext(class_id) {
+        try {
+            const promoted = await knex.transaction(async (trx) => {
+                const classData = await trx("classes")
+                    .select("id", "capacity", "expired")
+                    .where({ id: class_id })
+                    .forUpdate()
+                    .first()
+                return classData ? await promoteWaiting(trx, classData) : []
+            })
+
+            return promoted
+        } catch (err) {
+            console.error("Erro ao promover lista de espera:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Lista os alunos que aguardam vaga em uma turma, na ordem de entrada.
+     *
+     * @async
+     * @param {number} class_id - ID da turma.
+     * @returns {Promise<Array<{student_id: number, username: string, created_at: Date}>|undefined>}
+     */
+    async getWaitlist(class_id) {
+        try {
+            const result = await knex("class_waitlist as w")
+                .select("w.student_id", "u.username", "w.created_at")
+                .innerJoin("users as u", "u.id", "w.student_id")
+                .where({ "w.class_id": class_id, "w.status": "waiting" })
+                .orderBy(["w.created_at", "w.id"])
+            return result
+        } catch (err) {
+            console.error("Erro ao buscar lista de espera:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Gera a prévia (dry-run) de uma matrícula em lote e a guarda em `enrollment_imports`.
+     * Nenhum aluno é matriculado nesta etapa.
+     *
+     * @async
+     * @param {number} class_id - ID da turma.
+     * @param {number} created_by - Usuário que enviou a planilha.
+     * @param {string} file_name - Nome original do arquivo.
+     * @param {Array<{row: number, identifier: string, type: string|null}>} rows - Linhas lidas da planilha.
+     * @returns {Promise<Object|undefined>} `{ status: "preview", import }`, `{ status: "not_found" }` ou
+     * `{ status: "class_expired" }`; `undefined` em caso de erro.
+     *
+     * @example
+     * const result = await Enrollment.previewImport(5, 3, "turma.csv", rows)
+     * // result.import = { id: 12, status: "preview", summary: { total: 40, matched: 35, unknown: 2, ... }, rows: [...] }
+     */
+    async previewImport(class_id, created_by, file_name, rows) {
+        try {
+            const classData = await knex("classes").select("id", "capacity", "expired").where({ id: class_id }).first()
+            if (!classData) return { status: "not_found" }
+            if (isClassExpired(classData)) return { status: "class_expired" }
+
+            const plan = await planRoster(knex, classData, rows)
+            const [created] = await knex("enrollment_imports")
+                .insert({
+                    class_id,
+                    created_by,
+                    file_name,
+                    rows: JSON.stringify(plan.rows),
+                    summary: JSON.stringify(plan.summary)
+                })
+                .returning(["id", "status", "created_at"])
+
+            return { status: "preview", import: { ...created, file_name, ...plan } }
+        } catch (err) {
+            console.error("Erro ao gerar prévia de matrícula em lote:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Confirma uma matrícula em lote gerada por {@link Enrollment#previewImport}.
+     *
+     * As linhas são classificadas novamente com a turma bloqueada, já que matrículas podem
+     * ter ocorrido desde a prévia; apenas as linhas `matched` são gravadas em `class_student`
+     * (e saem da lista de espera, se estavam nela). A importação passa a `committed` e não
+     * pode ser confirmada de novo.
+     *
+     * @async
+     * @param {number} import_id - ID da importação.
+     * @param {number} class_id - ID da turma.
+     * @returns {Promise<Object|undefined>} `{ status, import, enrolled }`, onde `status` é `committed`,
+     * `already_committed`, `not_found` ou `class_expired`; `undefined` em caso de erro.
+     */
+    async commitImport(import_id, class_id) {
+        try {
+            const result = await knex.transaction(async (trx) => {
+                const current = await trx("enrollment_imports").where({ id: import_id, class_id }).forUpdate().first()
+                if (!current) return { status: "not_found" }
+                if (current.status === "committed") return { status: "already_committed" }
+
+                const classData = await trx("classes")
+                    .select("id", "capacity", "expired")
+                    .where({ id: class_id })
+                    .forUpdate()
+                    .first()
+                if (!classData) return { status: "not_found" }
+                if (isClassExpired(classData)) return { status: "class_expired" }
+
+                const plan = await planRoster(trx, classData, current.rows)
+                const enrolled = plan.rows.filter(r => r.status === "matched").map(r => r.student_id)
+
+                if (enrolled.length > 0) {
+                    await trx("class_student")
+                        .insert(enrolled.map(student_id => ({ class_id, student_id })))
+                        .onConflict(["class_id", "student_id"])
+                        .ignore()
+                    await trx("class_waitlist")
+                        .where({ class_id, status: "waiting" })
+                        .whereIn("student_id", enrolled)
+                        .update({ status: "promoted", promoted_at: trx.fn.now(), updated_at: trx.fn.now() })
+                }
+
+                const rows = plan.rows.map(r => r.status === "matched" ? { ...r, status: "enrolled" } : r)
+                const summary = { ...plan.summary, enrolled: enrolled.length }
+                delete summary.matched
+
+                const [updated] = await trx("enrollment_imports")
+                    .where({ id: import_id })
+                    .update({
+                        status: "committed",
+                        rows: JSON.stringify(rows),
+                        summary: JSON.stringify(summary),
+                        committed_at: trx.fn.now(),
+                        updated_at: trx.fn.now()
+                    })
+                    .returning(["id", "status", "file_name", "created_at", "committed_at"])
+
+                return { status: "committed", import: { ...updated, rows, summary }, enrolled }
+            })
+
+            return result
+        } catch (err) {
+            console.error("Erro ao confirmar matrícula em lote:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Busca uma importação de matrícula em lote de uma turma.
+     *
+     * @async
+     * @param {number} import_id - ID da importação.
+     * @param {number} class_id - ID da turma.
+     * @returns {Promise<Object|undefined>} Importação com `rows` e `summary` ou `undefined`.
+     */
+    async findImport(import_id, class_id) {
+        try {
+            const result = await knex("enrollment_imports")
+                .select("id", "class_id", "file_name", "status", "rows", "summary", "created_at", "committed_at")
+                .where({ id: import_id, class_id })
+                .first()
+            return result
+        } catch (err) {
+            console.error("Erro ao buscar matrícula em lote:", err)
+            return undefined
+        }
+    }
+}
+
+module.exports = new Enrollment()
@@ -1,4 +1,133 @@
 const knex = require("../database/connection")
+const QuestionBank = require("./QuestionBank")
+const Rubric = require("./Rubric")
+const QuestionFieldValidator = require("../utils/questionValidator")
+const { MEDAL_EVENTS, evaluateMedals } = require("../utils/medalEngine")
+const { scoreResponse } = require("../utils/responseScoring")
+const { possiblePointsSql } = require("../utils/possiblePoints")
+
+/**
+ * Copia as questões e opções de uma versão do formulário para uma nova versão.
+ *
+ * As cópias guardam em `origin_id` a questão/opção original, o que permite
+ * relacionar respostas de versões antigas com o gabarito atual. As rubricas das
+ * questões abertas são copiadas junto.
+ *
+ * @async
+ * @param {import("knex").Knex.Transaction} trx - Transação em andamento.
+ * @param {number} form_id - ID do formulário.
+ * @param {number} from - Versão de origem.
+ * @param {number} to - Nova versão.
+ * @returns {Promise<{questions: Map<number, number>, options: Map<number, number>}>} Mapas de ID antigo para ID novo.
+ */
+async function cloneVersion(trx, form_id, from, to) {
+    const questionIds = new Map()
+    const optionIds = new Map()
+
+    const questions = await trx("questions").where({ form_id, version: from }).orderBy("id")
+    for (const { id, ...question } of questions) {
+        const [row] = await trx("questions")
+            .insert({ ...question, version: to, origin_id: question.origin_id || id })
+            .returning("id")
+        questionIds.set(id, row.id)
+    }
+
+    if (questionIds.size === 0) return { questions: questionIds, options: optionIds }
+
+    const options = await trx("options").whereIn("question_id", [...questionIds.keys()]).orderBy("id")
+    for (const { id, ...option } of options) {
+        const [row] = await trx("options")
+            .insert({ ...option, question_id: questionIds.get(option.question_id), origin_id: option.origin_id || id })
+            .returning("id")
+        optionIds.set(id, row.id)
+    }
+
+    const criteria = await trx("rubric_criteria").whereIn("question_id", [...questionIds.keys()]).orderBy("id")
+    for (const { id, created_at, updated_at, ...criterion } of criteria) {
+        const [row] = await trx("rubric_criteria")
+            .insert({ ...criterion, question_id: questionIds.get(criterion.question_id) })
+            .returning("id")
+        const levels = await trx("rubric_levels").where({ criterion_id: id }).orderBy("id")
+        if (levels.length > 0) {
+            await trx("rubric_levels").insert(levels.map(({ id: level_id, ...level }) => ({ ...level, criterion_id: row.id })))
+        }
+    }
+
+    return { questions: questionIds, options: optionIds }
+}
+
+/**
+ * Recalcula a pontuação das respostas estruturadas (`answers_form.response`) com o
+ * gabarito da versão atual, gravando-a em `awarded_points` na escala da questão respondida.
+ *
+ * As opções citadas na resposta são da versão respondida; elas são convertidas para as
+ * opções da versão atual pela origem (`origin_id`). Em associações, o texto escolhido
+ * pelo aluno é convertido para o par atual da opção que tinha esse texto.
+ *
+ * @async
+ * @param {import("knex").Knex.Transaction} trx - Transação em andamento.
+ * @param {number} form_id - ID do formulário.
+ * @param {number|null} [question_id=null] - Restringe à questão (da versão atual).
+ * @returns {Promise<number>} Quantidade de respostas com pontuação alterada.
+ */
+async function rescoreResponses(trx, form_id, question_id = null) {
+    const questionsQuery = trx("questions as q")
+        .select("q.id", "q.type", "q.numeric_answer", "q.tolerance", trx.raw("COALESCE(q.origin_id, q.id) AS origin"))
+        .innerJoin("form as f", function () {
+            this.on("f.id", "=", "q.form_id").andOn("f.version", "=", "q.version")
+        })
+        .where("q.form_id", form_id)
+        .whereIn("q.type", QuestionFieldValidator.STRUCTURED_TYPES)
+    if (question_id) questionsQuery.where("q.id", question_id)
+    const questions = await questionsQuery
+    if (questions.length === 0) return 0
+
+    const keyByOrigin = new Map(questions.map(q => [Number(q.origin), q]))
+    const options = await trx("options as o")
+        .select("o.id", "o.question_id", "o.correct", "o.match_text", trx.raw("COALESCE(o.origin_id, o.id) AS origin"))
+        .innerJoin("questions as q", "q.id", "o.question_id")
+        .where("q.form_id", form_id)
+        .orderByRaw("o.position NULLS LAST, o.id")
+    const optionById = new Map(options.map(o => [Number(o.id), o]))
+    const currentOptions = (question) => options.filter(o => Number(o.question_id) === Number(question.id))
+
+    const answers = await trx("answers_form as af")
+        .select("af.id", "af.question_id", "af.response", "af.awarded_points", "aq.points", trx.raw("COALESCE(aq.origin_id, aq.id) AS origin"))
+        .innerJoin("questions as aq", "aq.id", "af.question_id")
+        .where("af.form_id", form_id)
+        .whereNotNull("af.response")
+        .whereIn(trx.raw("COALESCE(aq.origin_id, aq.id)"), [...keyByOrigin.keys()])
+
+    let changed = 0
+    for (const answer of answers) {
+        const question = keyByOrigin.get(Number(answer.origin))
+        const keyOptions = currentOptions(question)
+        const toCurrent = (id) => {
+            const option = optionById.get(Number(id))
+            const current = option && keyOptions.find(o => Number(o.origin) === Number(option.origin))
+            return current ? current.id : null
+        }
+        const answered = options.filter(o => Number(o.question_id) === Number(answer.question_id))
+        const { option_ids, value, matches, order } = answer.response
+        const response = {
+            option_ids: (option_ids || []).map(toCurrent),
+            value,
+            matches: (matches || []).map(m => {
+                const chosen = answered.find(o => o.match_text === m.match_text)
+                const target = chosen && keyOptions.find(o => Number(o.origin) === Number(chosen.origin))
+                return { option_id: toCurrent(m.option_id), match_text: target ? target.match_text : null }
+            }),
+            order: (order || []).map(toCurrent)
+        }
+
+        const awarded = Math.round(Number(answer.points) * scoreResponse(question, keyOptions, response) * 100) / 100
+        if (answer.awarded_points === null || Number(answer.awarded_points) !== awarded) {
+            await trx("answers_form").where({ id: answer.id }).update({ awarded_points: awarded, updated_at: trx.fn.now() })
+            changed++
+        }
+    }
+    return changed
+}
 
 /**
  * @class Form
@@ -20,18 +149,20 @@ class Form {
      * @async
      * @param {string} title - Título do formulário a ser verificado.
      * @param {number} class_id - ID da turma associada ao formulário.
+     * @param {number|null} [ignore_id=null] - ID de um formulário a desconsiderar (usado na edição).
      * @returns {Promise<boolean>} Retorna `true` se o formulário já existir, caso contrário `false`.
      *
      * @example
      * const exists = await Form.formExists("Prova 1", 2)
      * if (exists) console.log("Já existe um formulário com este título nesta turma.")
      */
-    async formExists(title, class_id) {
+    async formExists(title, class_id, ignore_id = null) {
         try {
-            const result = await knex("form")
+            const query = knex("form")
                 .select("id")
                 .where({ title, class_id })
-                .first()
+            if (ignore_id) query.whereNot({ id: ignore_id })
+            const result = await query.first()
             return !!result
         } catch (err) {
             console.error("Erro ao verificar título:", err)
@@ -40,97 +171,107 @@ class Form {
     }
 
     /**
-     * Insere um novo registro na tabela `form`.
+     * Publica um formulário com suas questões, opções e rubricas em uma única transação:
+     * se qualquer inserção falhar, nada é gravado.
      *
-     * @async
-     * @param {Object} data - Dados do formulário a ser inserido.
-     * @param {string} data.title - Título do formulário.
-     * @param {string} data.description - Descrição do formulário.
-     * @param {number} data.created_by - ID do usuário criador.
-     * @param {number} data.subject_id - ID da disciplina associada.
-     * @param {number} data.class_id - ID da turma associada.
-     * @param {Date} [data.deadline] - Prazo de entrega da atividade.
-     * @param {number} [data.totalDuration] - Duração total (em minutos).
-     * @returns {Promise<{success: boolean, insertId?: number}>} Retorna `success` e o ID inserido.
-     *
-     * @example
-     * await Form.save({
-     *   title: "Simulado 3",
-     *   description: "Avaliação final do semestre",
-     *   created_by: 1,
-     *   subject_id: 4,
-     *   class_id: 2,
-     *   deadline: new Date("2025-12-10")
-     * })
-     */
-    async save(data) {
-        try {
-            const [result] = await knex("form")
-                .insert(data)
-                .returning("id")
-            return { success: true, insertId: result.id }
-        } catch (err) {
-            console.error("Erro ao cadastrar formulário:", err)
-            return { success: false }
-        }
-    }
-
-    /**
-     * Cadastra uma nova questão vinculada a um formulário específico.
+     * Questões com `bank` são também cadastradas no banco de questões da disciplina
+     * (`topic`, `difficulty` e `tags`) e ficam vinculadas por `bank_question_id`.
      *
      * @async
-     * @param {Object} data - Dados da questão.
-     * @param {number} data.form_id - ID do formulário associado.
-     * @param {string} data.text - Enunciado da questão.
-     * @param {number} data.points - Valor (pontuação) da questão.
-     * @param {string} data.type - Tipo da questão (ex: "multiple_choice", "true_false", "open_answer").
-     * @returns {Promise<{success: boolean, insertId?: number}>} Retorna status e ID inserido.
+     * @param {Object} data - Dados do formulário (`title`, `description`, `created_by`, `subject_id`,
+     * `class_id`, `deadline`, `totalDuration` e as opções de sorteio e tentativas).
+     * @param {Array<Object>} questions - Questões já validadas e resolvidas.
+     * @param {string} questions[].text - Enunciado (texto formatado já limpo por `richText`).
+     * @param {string|null} [questions[].image_url] - Imagem do enunciado.
+     * @param {number} questions[].points - Pontuação.
+     * @param {string} questions[].type - Tipo da questão.
+     * @param {Array<{text: string, image_url?: string, correct?: boolean, match_text?: string}>} questions[].options - Opções na ordem
+     * enviada (vazio em questões abertas e numéricas); em questões de ordenação, essa é a ordem correta.
+     * @param {number} [questions[].numeric_answer] - Resposta de questões numéricas.
+     * @param {number} [questions[].tolerance] - Tolerância aceita em questões numéricas.
+     * @param {number|null} [questions[].bank_question_id] - Questão do banco de origem.
+     * @param {Object|null} [questions[].bank] - Dados para salvar no banco (`topic`, `difficulty`, `tags`).
+     * @param {Array<Object>|null} [questions[].rubric] - Rubrica de questões abertas.
+     * @returns {Promise<{success: boolean, insertId?: number}>} Retorna `success` e o ID do formulário.
      *
      * @example
-     * await Form.saveQuestion({
-     *   form_id: 2,
-     *   text: "Qual é o maior planeta do sistema solar?",
-     *   points: 2,
-     *   type: "multiple_choice"
-     * })
+     * await Form.publish(
+     *   { title: "Simulado 3", created_by: 1, subject_id: 4, class_id: 2, deadline: "2025-12-10" },
+     *   [{ text: "2 + 2 = ?", points: 1, type: "multipla_escolha", options: [{ text: "4", correct: true }, { text: "5", correct: false }] }]
+     * )
      */
-    async saveQuestion(data) {
+    async publish(data, questions) {
         try {
-            const [result] = await knex("questions")
-                .insert(data)
-                .returning("id")
-            return { success: true, insertId: result.id }
-        } catch (err) {
-            console.error("Erro ao cadastrar questões:", err)
-            return { success: false }
-        }
-    }
+            const id = await knex.transaction(async (trx) => {
+                const [form] = await trx("form").insert(data).returning("id")
+                await trx("form_versions").insert({
+                    form_id: form.id,
+                    version: 1,
+                    title: data.title,
+                    description: data.description,
+                    totalDuration: data.totalDuration,
+                    deadline: data.deadline,
+                    created_by: data.created_by
+                })
 
-    /**
-     * Cadastra uma opção vinculada a uma questão de múltipla escolha.
-     *
-     * @async
-     * @param {Object} data - Dados da opção.
-     * @param {number} data.question_id - ID da questão associada.
-     * @param {string} data.text - Texto da opção.
-     * @param {boolean} [data.correct=false] - Indica se a opção é correta.
-     * @returns {Promise<{success: boolean, insertId?: number}>} Retorna status e ID da opção criada.
-     *
-     * @example
-     * await Form.saveOption({
-     *   question_id: 3,
-     *   text: "Júpiter",
-     *   correct: true
-     * })
-     */
-    async saveOption(data) {
-        try {
-            const [result] = await knex("options")
-                .insert(data)
-                .returning("id")
-            return { success: true, insertId: result.id }
+                for (const question of questions) {
+                    let bank_question_id = question.bank_question_id || null
+                    if (question.bank) {
+                        const savedBank = await QuestionBank.create(
+                            {
+                                subject_id: data.subject_id,
+                                created_by: data.created_by,
+                                text: question.text,
+                                image_url: question.image_url || null,
+                                points: question.points,
+                                type: question.type,
+                                topic: question.bank.topic || null,
+                                difficulty: question.bank.difficulty || null
+                            },
+                            question.options,
+                            question.bank.tags,
+                            trx
+                        )
+                        if (!savedBank.success) throw new Error("Falha ao salvar questão no banco.")
+                        bank_question_id = savedBank.insertId
+                    }
+
+                    const [row] = await trx("questions")
+                        .insert({
+                            form_id: form.id,
+                            text: question.text,
+                            image_url: question.image_url || null,
+                            points: question.points,
+                            type: question.type,
+                            bank_question_id,
+                            numeric_answer: question.type === "numerica" ? question.numeric_answer : null,
+                            tolerance: question.type === "numerica" ? question.tolerance : null
+                        })
+                        .returning("id")
+
+                    if (question.options.length > 0) {
+                        await trx("options").insert(question.options.map((o, position) => ({
+                            question_id: row.id,
+                            text: o.text,
+                            image_url: o.image_url || null,
+                            correct: o.correct === true,
+                            match_text: question.type === "associacao" ? o.match_text : null,
+                            position
+                        })))
+                    }
+
+                    if (Array.isArray(question.rubric) && question.rubric.length > 0) {
+                        const saved = await Rubric.replace(row.id, question.rubric, trx)
+                        if (!saved) throw new Error("Falha ao salvar rubrica.")
+                    }
+                }
+
+                return form.id
+            })
+
+            return { success: true, insertId: id }
         } catch (err) {
-            console.error("Erro ao cadastrar opções:", err)
+            console.error("Erro ao cadastrar formulário:", err)
             return { success: false }
         }
     }
@@ -159,6 +300,7 @@ class Form {
                     SUM(COALESCE(q.points, 0)) AS total_points,
                     f."totalDuration",
                     f.deadline,
+                    f.version,
                     f.updated_at,
                     json_agg(
                         json_build_object(
@@ -180,7 +322,7 @@ class Form {
                         )
                     ) AS questions
                 FROM form f
-                INNER JOIN questions q ON q.form_id = f.id
+                INNER JOIN questions q ON q.form_id = f.id AND q.version = f.version
                 WHERE f.class_id = ?
                 GROUP BY f.id
                 ORDER BY f.updated_at DESC;
@@ -197,16 +339,21 @@ class Form {
     /**
      * Busca um formulário específico pelo ID, incluindo suas questões e opções.
      *
+     * Sem `version`, retorna as questões da versão atual do formulário.
+     *
      * @async
      * @param {number|string} id - ID do formulário.
+     * @param {number|null} [version=null] - Versão das questões a retornar.
      * @returns {Promise<Object[]|undefined>} Retorna o formulário com suas questões e opções,
      * ou `undefined` se não encontrado.
      *
      * @example
      * const form = await Form.getFormById(2)
      * console.log(form[0].questions)
+     *
+     * const taken = await Form.getFormById(2, 1) // versão respondida pelo aluno
      */
-    async getFormById(id) {
+    async getFormById(id, version = null) {
         try {
             const result = await knex.raw(`
                 SELECT
@@ -218,21 +365,35 @@ class Form {
                     SUM(COALESCE(q.points, 0)) AS total_points,
                     f."totalDuration",
                     f.deadline,
+                    f.version AS current_version,
+                    MAX(q.version) AS version,
+                    f.shuffle_questions,
+                    f.shuffle_options,
+                    f.draw_count,
+                    f.max_attempts,
+                    f.score_strategy,
                     f.updated_at,
                     af.created_at AS send_response,
                     json_agg(
                         DISTINCT jsonb_build_object(   -- evita duplicação
                             'id', q.id,
                             'text', q.text,
+                            'image_url', q.image_url,
                             'points', q.points,
                             'type', q.type,
+                            'numeric_answer', q.numeric_answer,
+                            'tolerance', q.tolerance,
                             'options', (
                                 SELECT json_agg(
                                     json_build_object(
                                         'id', o.id,
                                         'text', o.text,
-                                        'correct', o.correct
+                                        'image_url', o.image_url,
+                                        'correct', o.correct,
+                                        'match_text', o.match_text,
+                                        'position', o.position
                                     )
+                                    ORDER BY o.position NULLS LAST, o.id
                                 )
                                 FROM options o
                                 WHERE o.question_id = q.id
@@ -240,7 +401,7 @@ class Form {
                         )
                     ) AS questions
                 FROM form f
-                INNER JOIN questions q ON q.form_id = f.id
+                INNER JOIN questions q ON q.form_id = f.id AND q.version = COALESCE(?, f.version)
 
                 LEFT JOIN (
                     SELECT form_id, MAX(created_at) AS created_at
@@ -251,7 +412,7 @@ class Form {
                 WHERE f.id = ?
                 GROUP BY f.id, af.created_at
                 ORDER BY f.updated_at DESC;
-            `, [id])
+            `, [version, id])
 
             const rows = result.rows
             return rows.length > 0 ? rows : undefined
@@ -306,7 +467,7 @@ class Form {
 
     /**
      * Retorna os formulários disponíveis para uma turma,
-     * excluindo os que o aluno já respondeu.
+     * excluindo os que o aluno já respondeu todas as tentativas permitidas.
      *
      * @async
      * @param {number} class_id - ID da turma.
@@ -336,10 +497,13 @@ class Form {
                 FROM form f
                 INNER JOIN classes c ON c.id = f.class_id
                 WHERE f.class_id = ?
-                AND NOT EXISTS (
-                    SELECT 1 FROM answers_form af
-                    WHERE af.form_id = f.id
-                    AND af.user_id = ?
+                AND (
+                    f.max_attempts IS NULL
+                    OR (
+                        SELECT COUNT(*) FROM results_form rf
+                        WHERE rf.form_id = f.id
+                        AND rf.student_id = ?
+                    ) < f.max_attempts
                 )
             `, [class_id, user_id])
 
@@ -388,13 +552,14 @@ class Form {
             's.name as discipline_name'
         )
         .leftJoin('subjects as s', 's.id', 'f.subject_id')
-        // 🔹 Junta com answers_form para verificar se o aluno respondeu
-        .leftJoin('answers_form as af', function() {
-            this.on('af.form_id', '=', 'f.id')
-                .andOn('af.user_id', '=', knex.raw('?', [student_id]));
+        // 🔹 Só retorna formulários com tentativas disponíveis para o aluno
+        .where(function() {
+            this.whereNull('f.max_attempts')
+                .orWhere('f.max_attempts', '>', knex('results_form as rf')
+                    .count('*')
+                    .whereRaw('rf.form_id = f.id')
+                    .andWhere('rf.student_id', student_id));
         })
-        // 🔹 Só retorna formulários SEM resposta do aluno
-        .whereNull('af.id')
         // 🔹 Atividade ainda não venceu
         .andWhere('f.deadline', '>', knex.fn.now())
         // 🔹 Atividade pertence à turma ou disciplina do aluno
@@ -416,35 +581,6 @@ class Form {
     }
     }
 
-    /**
-     * Salva as respostas de um formulário submetidas por um aluno.
-     *
-     * @async
-     * @param {Object[]} data - Array de respostas.
-     * @param {number} data[].form_id - ID do formulário respondido.
-     * @param {number} data[].question_id - ID da questão.
-     * @param {number} data[].option_id - ID da opção selecionada.
-     * @param {number} data[].user_id - ID do aluno.
-     * @param {string} [data[].open_answer] - Resposta dissertativa (se aplicável).
-     * @returns {Promise<{success: boolean, ids?: number[]}>} Retorna o status da operação e os IDs inseridos.
-     *
-     * @example
-     * await Form.saveAnswers([
-     *   { form_id: 2, question_id: 5, option_id: 12, user_id: 3 },
-     *   { form_id: 2, question_id: 6, open_answer: "Minha explicação", user_id: 3 }
-     * ])
-     */
-    async saveAnswers(data) {
-        try {
-            const ids = await knex("answers_form").insert(data)
-            return { success: true, ids }
-        } catch (err) {
-            console.error("Erro ao cadastrar respostas de formulário:", err)
-            return { success: false }
-        }
-    }
-
-
     /**
      * Retorna o ID da turma associada a um formulário específico.
      *
@@ -525,20 +661,25 @@ class Form {
                 SELECT
                     af.id AS answer_id,
                     af.user_id,
+                    af.attempt_id,
                     u.username,
                     q.id AS question_id,
                     q.text AS question_text,
+                    q.points AS question_points,
                     af.open_answer,
                     f.title as form_name
                 FROM answers_form af
                 INNER JOIN users u ON u.id = af.user_id
                 INNER JOIN questions q ON q.id = af.question_id
                 INNER JOIN form f ON f.id = af.form_id
-                INNER JOIN form_corrections fc ON fc.student_id = u.id and fc.form_id = af.form_id
+                INNER JOIN form_corrections fc
+                    ON fc.student_id = u.id
+                    AND fc.form_id = af.form_id
+                    AND fc.attempt_id IS NOT DISTINCT FROM af.attempt_id
                 WHERE af.form_id = ?
                 AND af.open_answer IS NOT NULL 
                 AND fc.corrected = false
-                ORDER BY u.username, q.id
+                ORDER BY u.username, af.attempt_id, q.id
             `, [form_id])
 
             const rows = result.rows
@@ -577,7 +718,7 @@ class Form {
      *
      * @async
      * @param {number} answer_id - ID da resposta.
-     * @returns {Promise<{class_id: number, form_id: number}|undefined>}
+     * @returns {Promise<{class_id: number, form_id: number, student_id: number, question_id: number, question_type: string, question_points: string, attempt_id: number|null}|undefined>}
      *
      * @example
      * const data = await Form.getClassIdByAnswerId(4)
@@ -590,10 +731,15 @@ class Form {
                     f.class_id,
                     f.id as form_id,
                     af.user_id as student_id,
-                    af.question_id
+                    af.question_id,
+                    q.type as question_type,
+                    q.points as question_points,
+                    af.attempt_id
                 from form f
                 inner join answers_form af
                     on af.form_id = f.id
+                inner join questions q
+                    on q.id = af.question_id
                 where af.id = ?
                 `, [answer_id])
             const rows = result.rows
@@ -604,62 +750,123 @@ class Form {
         }
     }
 
-    async saveFormAndUserCorrection(data) {
+    /**
+     * Retorna a disciplina e a turma às quais um formulário pertence.
+     *
+     * Usado pelo middleware de autorização para verificar se o usuário
+     * da sessão possui vínculo com o formulário acessado.
+     *
+     * @async
+     * @param {number} form_id - ID do formulário.
+     * @returns {Promise<{subject_id: number, class_id: number}|undefined>}
+     *
+     * @example
+     * const scope = await Form.findScope(8)
+     * // { subject_id: 3, class_id: 5 }
+     */
+    async findScope(form_id) {
         try {
-            const ids = await knex("form_corrections").insert(data)
-            return { success: true, ids }
+            const result = await knex.raw(`
+                select
+                    coalesce(f.subject_id, c.subject_id) as subject_id,
+                    f.class_id
+                from form f
+                left join classes c
+                    on c.id = f.class_id
+                where f.id = ?
+            `, [form_id])
+            const rows = result.rows
+            return rows.length > 0 ? rows[0] : undefined
         } catch (err) {
-            console.error("Erro cadastro de correção de formulário:", err)
-            return { success: false }
+            console.error("Erro ao buscar escopo do formulário:", err)
+            return undefined
         }
     }
 
     /**
-     * Salva as correções de um formulário no banco de dados.
+     * Retorna o título, a turma, a disciplina e o autor de um formulário.
      *
      * @async
-     * @function saveFormAndUserCorrection
-     * @param {Object|Object[]} data - Dados a serem inseridos na tabela `form_corrections`.
-     * Pode ser um objeto único ou um array de objetos contendo as informações da correção.
-     * @param {number} data.form_id - ID do formulário corrigido.
-     * @param {number} data.user_id - ID do usuário (aluno) relacionado à correção.
-     * @param {number} data.teacher_id - ID do professor que realizou a correção.
-     * @param {string} [data.comment] - Comentário opcional da correção.
-     * @param {boolean} [data.corrected] - Indica se o formulário foi totalmente corrigido.
-     *
-     * @returns {Promise<{success: boolean, ids?: number[]}>} Retorna um objeto com `success = true`
-     * e os IDs das inserções realizadas se bem-sucedido, ou `success = false` em caso de erro.
+     * @param {number} form_id - ID do formulário.
+     * @returns {Promise<{id: number, title: string, class_id: number, subject_id: number, created_by: number}|undefined>}
      *
-     * @throws {Error} Lança erro interno caso a operação no banco de dados falhe.
+     * @example
+     * const summary = await Form.findSummary(8)
+     * // { id: 8, title: "Simulado 1", class_id: 5, subject_id: 3, created_by: 2 }
      */
-    async saveFormAndUserCorrection(data) {
+    async findSummary(form_id) {
         try {
-            const ids = await knex("form_corrections").insert(data)
-            return { success: true, ids }
+            const result = await knex.raw(`
+                select
+                    f.id,
+                    f.title,
+                    f.class_id,
+                    coalesce(f.subject_id, c.subject_id) as subject_id,
+                    f.created_by
+                from form f
+                left join classes c
+                    on c.id = f.class_id
+                where f.id = ?
+            `, [form_id])
+            const rows = result.rows
+            return rows.length > 0 ? rows[0] : undefined
         } catch (err) {
-            console.error("Erro cadastro de correção de formulário:", err)
-            return { success: false }
+            console.error("Erro ao buscar resumo do formulário:", err)
+            return undefined
         }
     }
 
+    /**
+     * Retorna a disciplina e a turma do formulário ao qual uma resposta pertence.
+     *
+     * @async
+     * @param {number} answer_id - ID da resposta.
+     * @returns {Promise<{subject_id: number, class_id: number}|undefined>}
+     *
+     * @example
+     * const scope = await Form.findScopeByAnswer(21)
+     * // { subject_id: 3, class_id: 5 }
+     */
+    async findScopeByAnswer(answer_id) {
+        try {
+            const result = await knex.raw(`
+                select
+                    coalesce(f.subject_id, c.subject_id) as subject_id,
+                    f.class_id
+                from answers_form af
+                inner join form f
+                    on f.id = af.form_id
+                left join classes c
+                    on c.id = f.class_id
+                where af.id = ?
+            `, [answer_id])
+            const rows = result.rows
+            return rows.length > 0 ? rows[0] : undefined
+        } catch (err) {
+            console.error("Erro ao buscar escopo da resposta:", err)
+            return undefined
+        }
+    }
 
         /**
      * Atualiza o status de correção de uma resposta.
      *
      * @async
      * @param {number} answer_id - ID da resposta.
-     * @param {string} status - Status atualizado (ex: "correto", "incorreto", "parcial").
+     * @param {boolean|null} status - `true` quando a resposta recebeu a pontuação total da questão.
+     * @param {number|null} [awarded_points=null] - Pontuação atribuída à resposta (pode ser parcial).
+     * @param {import("knex").Knex.Transaction} [trx] - Transação em andamento (opcional).
      * @returns {Promise<boolean>} Retorna `true` se a atualização foi bem-sucedida.
      *
      * @example
-     * await Form.updateCorrection(12, "correto")
+     * await Form.updateCorrection(12, false, 1.5)
      */
-    async updateCorrection(answer_id, status) {
+    async updateCorrection(answer_id, status, awarded_points = null, trx = null) {
         try {
             const updated_at = knex.fn.now()
-            const result = await knex("answers_form")
+            const result = await (trx || knex)("answers_form")
                 .where({ id: answer_id })
-                .update({ corrected: status, updated_at })
+                .update({ corrected: status, awarded_points, updated_at })
             return result > 0
         } catch (err) {
             console.error("Erro ao atualizar resposta: ", err)
@@ -673,17 +880,20 @@ class Form {
      * @async
      * @param {number} form_id - ID do formulário.
      * @param {number} student_id - ID do aluno relacionado ao formulário.
+     * @param {number|null} [attempt_id=null] - Tentativa corrigida (`null` para envios anteriores às tentativas).
+     * @param {import("knex").Knex.Transaction} [trx] - Transação em andamento (opcional).
      * @returns {Promise<boolean>} Retorna `true` se o status foi atualizado com sucesso.
      *
      * @example
-     * await Form.updateStatusForm(3, 15)
+     * await Form.updateStatusForm(3, 15, 8)
      */
-    async updateStatusForm(form_id, student_id) {
+    async updateStatusForm(form_id, student_id, attempt_id = null, trx = null) {
         try {
             const updated_at = knex.fn.now()
-            const result = await knex("form_corrections")
+            const result = await (trx || knex)("form_corrections")
                 .where({ form_id })
                 .andWhere({ student_id })
+                .andWhereRaw("attempt_id IS NOT DISTINCT FROM ?", [attempt_id])
                 .update({ corrected: true, updated_at })
             return result > 0
         } catch (err) {
@@ -700,6 +910,7 @@ class Form {
      * @param {number} data.answer_id - ID da resposta comentada.
      * @param {number} data.teacher_id - ID do professor autor do comentário.
      * @param {string} data.comment - Texto do comentário.
+     * @param {import("knex").Knex.Transaction} [trx] - Transação em andamento (opcional).
      * @returns {Promise<Object>} Retorna `{ success: true, ids }` se concluído, caso contrário `{ success: false }`.
      *
      * @example
@@ -709,9 +920,9 @@ class Form {
      *   comment: "Ótimo desenvolvimento!"
      * })
      */
-    async saveComment(data) {
+    async saveComment(data, trx = null) {
         try {
-            const ids = await knex("comment_answers").insert(data)
+            const ids = await (trx || knex)("comment_answers").insert(data)
             return { success: true, ids }
         } catch (err) {
             console.error("Erro ao cadastrar correção de formulário:", err)
@@ -720,83 +931,151 @@ class Form {
     }
 
     /**
-     * Calcula o total de acertos, erros e pontuação de um conjunto de respostas.
+     * Grava as correções de um lote de respostas em uma única transação: comentários,
+     * notas por critério, pontuação de cada resposta e, por envio, a nota recalculada
+     * e o status de corrigido. Se qualquer gravação falhar, nada é salvo.
+     *
+     * As medalhas de correção são avaliadas depois do commit.
      *
      * @async
-     * @param {Array<Object>} formattedAnswers - Lista de respostas formatadas.
-     * @param {number} formattedAnswers[].question_id - ID da questão respondida.
-     * @param {number} formattedAnswers[].option_id - ID da opção selecionada.
-     * @returns {Promise<Object>} Objeto contendo `correct`, `wrong` e `total_points`.
+     * @param {Array<Object>} items - Correções já validadas (ver `resolveGrade` em `FormController`).
+     * @param {number} items[].answer_id - ID da resposta.
+     * @param {string} [items[].comment] - Comentário do professor.
+     * @param {{corrected: boolean, awarded_points: number, scores: Object[]}} items[].grade - Nota resolvida.
+     * @param {number} items[].form_id - ID do formulário.
+     * @param {number} items[].student_id - ID do aluno.
+     * @param {number|null} items[].attempt_id - Tentativa corrigida.
+     * @param {number} teacher_id - ID do professor.
+     * @returns {Promise<{success: boolean}>} Retorna `success = false` se alguma gravação falhar.
      *
      * @example
-     * await Form.calculateResults([
-     *   { question_id: 1, option_id: 4 },
-     *   { question_id: 2, option_id: 7 }
-     * ])
+     * await Form.saveCorrections([
+     *   { answer_id: 12, comment: "Bom!", grade: { corrected: true, awarded_points: 2, scores: [] }, form_id: 3, student_id: 15, attempt_id: 8 }
+     * ], 4)
      */
-    async calculateResults(formattedAnswers) {
+    async saveCorrections(items, teacher_id) {
+        const submissions = new Map(items.map(({ form_id, student_id, attempt_id }) =>
+            [`${form_id}:${student_id}:${attempt_id}`, { form_id, student_id, attempt_id }]))
+        const corrected = new Set()
+
         try {
-            const rowsToInsert = formattedAnswers
-                .map(a => `(${a.question_id}, ${a.option_id})`)
-                .join(",")
+            await knex.transaction(async (trx) => {
+                for (const { answer_id, comment, grade } of items) {
+                    if (comment && !(await this.saveComment({ answer_id, teacher_id, comment }, trx)).success) {
+                        throw new Error(`Falha ao salvar comentário da resposta ${answer_id}`)
+                    }
+                    if (!(await Rubric.saveScores(answer_id, grade.scores, teacher_id, trx))
+                        || !(await this.updateCorrection(answer_id, grade.corrected, grade.awarded_points, trx))) {
+                        throw new Error(`Falha ao salvar correção da resposta ${answer_id}`)
+                    }
+                }
 
-            const result = await knex.raw(`
-                WITH user_answers(question_id, option_id) AS (
-                    VALUES ${rowsToInsert}
-                )
-                SELECT
-                    COUNT(*) FILTER (WHERE o.correct = true) AS correct,
-                    COUNT(*) FILTER (WHERE o.correct = false) AS wrong,
-                    COALESCE(SUM(q.points) FILTER (WHERE o.correct = true), 0) AS total_points
-                FROM user_answers ua
-                INNER JOIN options o ON o.id = ua.option_id
-                INNER JOIN questions q ON q.id = ua.question_id
-            `)
+                for (const { form_id, student_id, attempt_id } of submissions.values()) {
+                    if (!(await this.recalculatePoints(form_id, student_id, attempt_id, trx))) {
+                        throw new Error(`Falha ao recalcular a nota do envio ${form_id}/${student_id}`)
+                    }
+                    if (await this.updateStatusForm(form_id, student_id, attempt_id, trx)) corrected.add(student_id)
+                }
+            })
+        } catch (err) {
+            console.error("Erro ao salvar correções:", err)
+            return { success: false }
+        }
 
-            const rows = result.rows
-            return rows.length > 0
-                ? rows[0]
-                : { correct: 0, wrong: 0, total_points: 0 }
+        for (const student_id of corrected) {
+            await evaluateMedals(student_id, MEDAL_EVENTS.FORM_CORRECTED)
+        }
+        return { success: true }
+    }
+
+    /**
+     * Retorna o gabarito de uma versão do formulário: questões (tipo, pontuação e, nas
+     * numéricas, resposta e tolerância) e opções com a indicação da correta, o par
+     * (`match_text`) e a posição correta. Usado pela correção (`utils/gradingService`).
+     *
+     * Em simulados sorteados, `question_ids` limita o gabarito às questões
+     * da instância recebida pelo aluno.
+     *
+     * @async
+     * @param {number} form_id - ID do formulário.
+     * @param {number} form_version - Versão respondida.
+     * @param {number[]|null} [question_ids=null] - Questões sorteadas para o aluno.
+     * @returns {Promise<{questions: Object[], options: Object[]}|undefined>} Gabarito ou `undefined` em caso de erro.
+     *
+     * @example
+     * const key = await Form.getAnswerKey(3, 2)
+     * // { questions: [{ id: 10, type: "multipla_escolha", points: "2.00" }], options: [{ id: 40, question_id: 10, correct: true }] }
+     */
+    async getAnswerKey(form_id, form_version, question_ids = null) {
+        try {
+            const query = knex("questions")
+                .select("id", "type", "points", "numeric_answer", "tolerance")
+                .where({ form_id, version: form_version })
+                .orderBy("id")
+            if (question_ids) query.whereIn("id", question_ids)
+            const questions = await query
+
+            const options = questions.length === 0 ? [] : await knex("options")
+                .select("id", "question_id", "correct", "match_text", "position")
+                .whereIn("question_id", questions.map(q => q.id))
+                .orderByRaw("position NULLS LAST, id")
+
+            return { questions, options }
         } catch (err) {
-            console.error("Erro ao calcular resultados:", err)
-            return { correct: 0, wrong: 0, total_points: 0 }
+            console.error("Erro ao buscar gabarito:", err)
+            return undefined
         }
     }
 
     /**
-     * Salva os resultados calculados de um formulário preenchido pelo aluno.
+     * Salva o envio de uma tentativa: o resultado calculado (`results_form`), as
+     * respostas (`answers_form`) e o registro de correção (`form_corrections`).
+     *
+     * As três gravações são feitas em uma única transação, para que uma falha no meio
+     * não deixe um resultado sem respostas. As medalhas só são avaliadas após o commit.
      *
      * @async
-     * @param {Object} data - Dados dos resultados.
-     * @param {number} data.form_id - ID do formulário.
-     * @param {number} data.student_id - ID do aluno.
-     * @param {number} data.correct - Total de acertos.
-     * @param {number} data.wrong - Total de erros.
-     * @param {number} data.points - Pontuação obtida.
-     * @returns {Promise<Object>} Retorna `{ success: true, ids }` ou `{ success: false }` em caso de erro.
-     *
-     * @example
-     * await Form.saveFormResults({
-     *   form_id: 3,
-     *   student_id: 15,
-     *   correct: 8,
-     *   wrong: 2,
-     *   points: 80
-     * })
+     * @param {Object} result - Resultado da tentativa.
+     * @param {number} result.form_id - ID do formulário.
+     * @param {number} result.student_id - ID do aluno.
+     * @param {number} result.attempt_id - Tentativa que gerou o resultado.
+     * @param {number} result.form_version - Versão do formulário respondida.
+     * @param {number} result.correct - Total de acertos.
+     * @param {number} result.wrong - Total de erros.
+     * @param {number} result.points - Pontuação obtida.
+     * @param {Object[]} answers - Respostas (`question_id` com `option_id`, `open_answer` ou `response`,
+     * além de `form_id`, `user_id`, `attempt_id` e `awarded_points`).
+     * @returns {Promise<{success: boolean}>} Retorna `success = false` se alguma gravação falhar.
+     *
+     * @example
+     * await Form.saveSubmission(
+     *   { form_id: 3, student_id: 15, attempt_id: 40, form_version: 1, correct: 8, wrong: 2, points: 80 },
+     *   [{ form_id: 3, user_id: 15, attempt_id: 40, question_id: 5, option_id: 12 }]
+     * )
      */
-    async saveFormResults(data) {
+    async saveSubmission(result, answers) {
+        const { form_id, student_id, attempt_id } = result
         try {
-            const ids = await knex("results_form").insert(data)
-            return { success: true, ids }
+            await knex.transaction(async (trx) => {
+                await trx("results_form").insert(result)
+                if (answers.length > 0) await trx("answers_form").insert(answers)
+                await trx("form_corrections").insert({ form_id, student_id, attempt_id })
+            })
         } catch (err) {
-            console.error("Erro cadastro de resultados: ", err)
+            console.error("Erro ao salvar envio do formulário:", err)
             return { success: false }
         }
+
+        await evaluateMedals(student_id, MEDAL_EVENTS.FORM_SUBMITTED)
+        return { success: true }
     }
 
     /**
      * Retorna o resumo final dos resultados de um aluno em um formulário.
      *
+     * Com várias tentativas, a nota é resolvida pela política do formulário
+     * (`score_strategy`: melhor, última ou média das tentativas).
+     *
      * @async
      * @param {number} form_id - ID do formulário.
      * @param {number} student_id - ID do aluno.
@@ -808,6 +1087,9 @@ class Form {
      *  - total_points: Pontuação
      *  - total_questions: Número total de questões respondidas
      *  - percent_correct: Percentual de acertos
+     *  - attempts: Tentativas usadas
+     *  - max_attempts: Tentativas permitidas (`null` para ilimitado)
+     *  - score_strategy: Critério de nota (`best`, `last` ou `average`)
      *  - updated_at: Data da última atualização
      *
      * @example
@@ -819,21 +1101,23 @@ class Form {
                 SELECT
                     f.title AS form_name,
                     u.username,
-                    SUM(rf.correct) AS total_correct,
-                    SUM(rf.wrong) AS total_wrong,
-                    SUM(rf.points) AS total_points,
-                    (SUM(rf.correct) + SUM(rf.wrong)) AS total_questions,
+                    s.correct AS total_correct,
+                    s.wrong AS total_wrong,
+                    s.points AS total_points,
+                    (s.correct + s.wrong) AS total_questions,
                     CASE 
-                        WHEN (SUM(rf.correct) + SUM(rf.wrong)) > 0 
-                        THEN ROUND((SUM(rf.correct)::decimal / (SUM(rf.correct) + SUM(rf.wrong))) * 100, 2)
+                        WHEN (s.correct + s.wrong) > 0 
+                        THEN ROUND((s.correct::decimal / (s.correct + s.wrong)) * 100, 2)
                         ELSE 0
                     END AS percent_correct,
-                    MAX(rf.updated_at) AS updated_at
-                FROM results_form rf
-                INNER JOIN form f ON f.id = rf.form_id
-                INNER JOIN users u ON u.id = rf.student_id
-                WHERE rf.form_id = ? AND rf.student_id = ?
-                GROUP BY f.title, u.username;
+                    s.attempts,
+                    f.max_attempts,
+                    s.score_strategy,
+                    s.updated_at
+                FROM student_form_scores s
+                INNER JOIN form f ON f.id = s.form_id
+                INNER JOIN users u ON u.id = s.student_id
+                WHERE s.form_id = ? AND s.student_id = ?
             `, [form_id, student_id])
 
             return result.rows[0]
@@ -844,29 +1128,47 @@ class Form {
     }
 
     /**
-     * Atualiza a pontuação de um aluno para uma questão específica,
-     * somando os pontos da questão à pontuação existente.
+     * Recalcula a pontuação de um envio a partir das respostas gravadas:
+     * pontos das opções corretas mais a pontuação atribuída às respostas abertas
+     * (`awarded_points`). Respostas abertas corrigidas antes das rubricas, sem
+     * pontuação gravada, valem a pontuação da questão quando marcadas como corretas.
      *
      * @async
-     * @param {number} question_id - ID da questão.
      * @param {number} form_id - ID do formulário.
      * @param {number} student_id - ID do aluno.
+     * @param {number|null} [attempt_id=null] - Tentativa corrigida (`null` para envios anteriores às tentativas).
+     * @param {import("knex").Knex.Transaction} [trx] - Transação em andamento (opcional).
      * @returns {Promise<boolean>} Retorna `true` se a pontuação foi atualizada.
      *
      * @example
-     * await Form.updatePoints(10, 3, 15)
+     * await Form.recalculatePoints(3, 15, 8)
      */
-    async updatePoints(question_id, form_id, student_id) {
+    async recalculatePoints(form_id, student_id, attempt_id = null, trx = null) {
         try {
-            const result = await knex.raw(`
+            const result = await (trx || knex).raw(`
                 UPDATE results_form AS rf
-                    SET points = rf.points + q.points
-                FROM questions AS q
-                WHERE rf.form_id = q.form_id
+                    SET points = s.points,
+                        updated_at = NOW()
+                FROM (
+                    SELECT COALESCE(SUM(
+                        CASE
+                            WHEN af.option_id IS NOT NULL THEN CASE WHEN o.correct = true THEN q.points ELSE 0 END
+                            WHEN af.awarded_points IS NOT NULL THEN af.awarded_points
+                            WHEN af.corrected = true THEN q.points
+                            ELSE 0
+                        END
+                    ), 0) AS points
+                    FROM answers_form af
+                    INNER JOIN questions q ON q.id = af.question_id
+                    LEFT JOIN options o ON o.id = af.option_id
+                    WHERE af.form_id = ?
+                        AND af.user_id = ?
+                        AND af.attempt_id IS NOT DISTINCT FROM ?
+                ) AS s
+                WHERE rf.form_id = ?
                     AND rf.student_id = ?
-                    AND q.id = ?
-                    AND q.form_id = ?;
-            `, [student_id, question_id, form_id])
+                    AND rf.attempt_id IS NOT DISTINCT FROM ?;
+            `, [form_id, student_id, attempt_id, form_id, student_id, attempt_id])
 
             return result.rowCount > 0
         } catch (err) {
@@ -905,6 +1207,619 @@ class Form {
             return false
         }
     }
+
+    /**
+     * Busca uma questão da versão atual de um formulário.
+     *
+     * @async
+     * @param {number} form_id - ID do formulário.
+     * @param {number} question_id - ID da questão.
+     * @returns {Promise<Object|undefined>} Questão encontrada ou `undefined` se não pertencer à versão atual.
+     *
+     * @example
+     * const question = await Form.findQuestion(3, 10)
+     */
+    async findQuestion(form_id, question_id) {
+        try {
+            const result = await knex("questions as q")
+                .select("q.id", "q.form_id", "q.text", "q.image_url", "q.points", "q.type", "q.numeric_answer", "q.tolerance", "q.version")
+                .innerJoin("form as f", function () {
+                    this.on("f.id", "=", "q.form_id").andOn("f.version", "=", "q.version")
+                })
+                .where({ "q.id": question_id, "q.form_id": form_id })
+                .first()
+            return result
+        } catch (err) {
+            console.error("Erro ao buscar questão:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Busca uma opção de uma questão da versão atual de um formulário.
+     *
+     * @async
+     * @param {number} form_id - ID do formulário.
+     * @param {number} option_id - ID da opção.
+     * @returns {Promise<Object|undefined>} Opção encontrada (com `type` da questão) ou `undefined`.
+     *
+     * @example
+     * const option = await Form.findOption(3, 42)
+     */
+    async findOption(form_id, option_id) {
+        try {
+            const result = await knex("options as o")
+                .select("o.id", "o.question_id", "o.text", "o.correct", "q.type")
+                .innerJoin("questions as q", "q.id", "o.question_id")
+                .innerJoin("form as f", function () {
+                    this.on("f.id", "=", "q.form_id").andOn("f.version", "=", "q.version")
+                })
+                .where({ "o.id": option_id, "q.form_id": form_id })
+                .first()
+            return result
+        } catch (err) {
+            console.error("Erro ao buscar opção:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Lista as opções de uma questão, na ordem de exibição.
+     *
+     * @async
+     * @param {number} question_id - ID da questão.
+     * @returns {Promise<Object[]|undefined>} Opções da questão (`id`, `text`, `image_url`, `correct`, `match_text`).
+     *
+     * @example
+     * const options = await Form.findOptionsByQuestion(10)
+     */
+    async findOptionsByQuestion(question_id) {
+        try {
+            const result = await knex("options")
+                .select("id", "text", "image_url", "correct", "match_text")
+                .where({ question_id })
+                .orderByRaw("position NULLS LAST, id")
+            return result
+        } catch (err) {
+            console.error("Erro ao buscar opções da questão:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Retorna a versão do formulário respondida por um aluno.
+     *
+     * @async
+     * @param {number} form_id - ID do formulário.
+     * @param {number} student_id - ID do aluno.
+     * @returns {Promise<number|null>} Versão respondida ou `null` se o aluno não respondeu.
+     *
+     * @example
+     * const version = await Form.findStudentVersion(3, 15)
+     */
+    async findStudentVersion(form_id, student_id) {
+        try {
+            const result = await knex("results_form")
+                .select("form_version")
+                .where({ form_id, student_id })
+                .orderBy("created_at", "desc")
+                .first()
+            return result ? result.form_version : null
+        } catch (err) {
+            console.error("Erro ao buscar versão respondida:", err)
+            return null
+        }
+    }
+
+    /**
+     * Lista o histórico de versões de um formulário.
+     *
+     * @async
+     * @param {number} form_id - ID do formulário.
+     * @returns {Promise<Object[]|undefined>} Versões com autor, data e quantidade de envios.
+     *
+     * @example
+     * const versions = await Form.getVersions(3)
+     */
+    async getVersions(form_id) {
+        try {
+            const result = await knex.raw(`
+                select
+                    fv.version,
+                    fv.title,
+                    fv.description,
+                    fv."totalDuration",
+                    fv.deadline,
+                    fv.regraded,
+                    fv.created_at,
+                    u.username as created_by,
+                    (
+                        select count(*)::int
+                        from results_form rf
+                        where rf.form_id = fv.form_id
+                            and rf.form_version = fv.version
+                    ) as submissions
+                from form_versions fv
+                left join users u
+                    on u.id = fv.created_by
+                where fv.form_id = ?
+                order by fv.version desc
+            `, [form_id])
+            return result.rows
+        } catch (err) {
+            console.error("Erro ao buscar versões do formulário:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Busca a instância (questões sorteadas e ordem das opções) de um aluno em um formulário.
+     *
+     * @async
+     * @param {number} form_id - ID do formulário.
+     * @param {number} student_id - ID do aluno.
+     * @returns {Promise<Object|undefined>} Instância salva ou `undefined` se ainda não existir.
+     *
+     * @example
+     * const instance = await Form.findInstance(3, 15)
+     * // { id: 1, seed: "918273", form_version: 1, question_ids: [12, 10], option_order: { 12: [31, 30] } }
+     */
+    async findInstance(form_id, student_id) {
+        try {
+            const result = await knex("form_instances")
+                .select("id", "form_id", "student_id", "form_version", "seed", "question_ids", "option_order")
+                .where({ form_id, student_id })
+                .first()
+            return result
+        } catch (err) {
+            console.error("Erro ao buscar instância do simulado:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Salva a instância sorteada de um aluno. Se o aluno já possuir uma instância
+     * para o formulário, a existente é mantida.
+     *
+     * @async
+     * @param {Object} data - Dados da instância.
+     * @param {number} data.form_id - ID do formulário.
+     * @param {number} data.student_id - ID do aluno.
+     * @param {number} data.form_version - Versão do formulário sorteada.
+     * @param {number} data.seed - Semente usada no sorteio.
+     * @param {number[]} data.question_ids - Questões sorteadas, na ordem de exibição.
+     * @param {Object<number, number[]>} data.option_order - Ordem das opções por questão.
+     * @returns {Promise<boolean>} `true` se a operação foi concluída.
+     */
+    async saveInstance(data) {
+        try {
+            await knex("form_instances")
+                .insert({
+                    ...data,
+                    question_ids: JSON.stringify(data.question_ids),
+                    option_order: JSON.stringify(data.option_order)
+                })
+                .onConflict(["form_id", "student_id"])
+                .ignore()
+                .returning("id")
+            return true
+        } catch (err) {
+            console.error("Erro ao salvar instância do simulado:", err)
+            return false
+        }
+    }
+
+    /**
+     * Refaz a instância de um aluno (usado quando o formulário muda de versão antes do envio).
+     *
+     * @async
+     * @param {number} id - ID da instância.
+     * @param {Object} data - Campos `form_version`, `seed`, `question_ids` e `option_order`.
+     * @returns {Promise<boolean>} `true` se atualizada.
+     */
+    async updateInstance(id, data) {
+        try {
+            const updated = await knex("form_instances")
+                .where({ id })
+                .update({
+                    ...data,
+                    question_ids: JSON.stringify(data.question_ids),
+                    option_order: JSON.stringify(data.option_order),
+                    updated_at: knex.fn.now()
+                })
+            return updated > 0
+        } catch (err) {
+            console.error("Erro ao atualizar instância do simulado:", err)
+            return false
+        }
+    }
+
+    /**
+     * Edita um formulário, suas questões e opções.
+     *
+     * - Sem respostas registradas, as alterações são aplicadas na versão atual.
+     * - Com respostas, as questões e opções da versão atual são copiadas para uma nova
+     *   versão e as alterações são aplicadas na cópia. As respostas e resultados
+     *   existentes continuam ligados à versão que o aluno respondeu.
+     *
+     * Os IDs informados em `changes` são sempre os da versão atual; quando uma nova
+     * versão é criada, eles são convertidos para os IDs das cópias.
+     *
+     * @async
+     * @param {number} form_id - ID do formulário.
+     * @param {Object} changes - Alterações a aplicar.
+     * @param {Object} [changes.form] - Campos do formulário (`title`, `description`, `deadline`, `totalDuration`).
+     * @param {Object[]} [changes.questions] - Questões (`id` e campos `text`, `image_url`, `points`, `numeric_answer`, `tolerance`).
+     * @param {Object[]} [changes.options] - Opções (`id` e campos `text`, `image_url`, `correct`, `match_text`).
+     * @param {number} changed_by - ID do usuário que fez a alteração.
+     * @returns {Promise<{version: number, versioned: boolean, questions: Object, options: Object}|undefined>}
+     * Versão resultante, se uma nova versão foi criada e os mapas de ID antigo para novo.
+     *
+     * @example
+     * await Form.editForm(3, { options: [{ id: 42, correct: true }] }, 4)
+     * // { version: 2, versioned: true, questions: { 10: 15 }, options: { 42: 57 } }
+     */
+    async editForm(form_id, changes, changed_by) {
+        try {
+            const result = await knex.transaction(async (trx) => {
+                const form = await trx("form").where({ id: form_id }).forUpdate().first()
+                if (!form) return undefined
+
+                const answered = await trx("answers_form").where({ form_id }).first()
+                let version = form.version
+                let ids = { questions: new Map(), options: new Map() }
+
+                if (answered) {
+                    version = form.version + 1
+                    ids = await cloneVersion(trx, form_id, form.version, version)
+                }
+
+                const formData = changes.form || {}
+                await trx("form")
+                    .where({ id: form_id })
+                    .update({ ...formData, version, updated_at: knex.fn.now() })
+
+                for (const { id, ...data } of changes.questions || []) {
+                    await trx("questions").where({ id: ids.questions.get(id) || id }).update(data)
+                }
+
+                for (const { id, ...data } of changes.options || []) {
+                    await trx("options").where({ id: ids.options.get(id) || id }).update(data)
+                }
+
+                const snapshot = { ...form, ...formData }
+                const versionData = {
+                    title: snapshot.title,
+                    description: snapshot.description,
+                    totalDuration: snapshot.totalDuration,
+                    deadline: snapshot.deadline
+                }
+
+                if (answered) {
+                    await trx("form_versions").insert({ form_id, version, created_by: changed_by, ...versionData })
+                } else {
+                    await trx("form_versions")
+                        .insert({ form_id, version, created_by: changed_by, ...versionData })
+                        .onConflict(["form_id", "version"])
+                        .merge({ ...versionData, updated_at: knex.fn.now() })
+                }
+
+                return {
+                    version,
+                    versioned: !!answered,
+                    questions: Object.fromEntries(ids.questions),
+                    options: Object.fromEntries(ids.options)
+                }
+            })
+
+            return result
+        } catch (err) {
+            console.error("Erro ao editar formulário:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Recalcula os resultados dos envios de um formulário usando o gabarito
+     * e a pontuação da versão atual.
+     *
+     * As respostas continuam ligadas à versão respondida; a correspondência com a
+     * versão atual é feita pela questão/opção de origem (`origin_id`). Questões
+     * dissertativas contam a pontuação atribuída na correção (`awarded_points`),
+     * proporcional à nova pontuação da questão, ou a pontuação total quando foram
+     * marcadas como corretas antes das rubricas. Respostas estruturadas (múltipla seleção,
+     * numérica, associação e ordenação) são pontuadas novamente com o gabarito atual.
+     * Cada tentativa é recalculada separadamente.
+     *
+     * Com `question_id` (questão da versão atual), apenas os envios que responderam
+     * essa questão são recalculados. Cada execução fica registrada em `regrade_runs`,
+     * com a nota anterior e a nova de cada envio alterado em `regrade_changes`.
+     *
+     * @async
+     * @param {number} form_id - ID do formulário.
+     * @param {Object} [options]
+     * @param {number|null} [options.question_id=null] - Restringe aos envios que responderam a questão.
+     * @param {number|null} [options.regraded_by=null] - Usuário que solicitou a recorreção.
+     * @returns {Promise<{run_id: number, submissions: number, changed: number, students: number[]}|undefined>}
+     * Envios avaliados, resultados alterados e alunos cuja nota mudou.
+     *
+     * @example
+     * const { changed, students } = await Form.regradeSubmissions(3, { question_id: 10, regraded_by: 4 })
+     */
+    async regradeSubmissions(form_id, { question_id = null, regraded_by = null } = {}) {
+        try {
+            const result = await knex.transaction(async (trx) => {
+                const { version } = await trx("form").select("version").where({ id: form_id }).forUpdate().first()
+                await rescoreResponses(trx, form_id, question_id)
+
+                const scored = await trx.raw(`
+                    WITH answer_key AS (
+                        SELECT q.id, COALESCE(q.origin_id, q.id) AS origin, q.points
+                        FROM questions q
+                        INNER JOIN form f ON f.id = q.form_id AND f.version = q.version
+                        WHERE q.form_id = ?
+                    ),
+                    option_key AS (
+                        SELECT o.question_id, COALESCE(o.origin_id, o.id) AS origin, o.correct
+                        FROM options o
+                        INNER JOIN answer_key k ON k.id = o.question_id
+                    ),
+                    scored AS (
+                        SELECT
+                            af.user_id,
+                            af.attempt_id,
+                            BOOL_OR(k.id = ?) AS has_question,
+                            COUNT(*) FILTER (
+                                WHERE (af.option_id IS NOT NULL AND ok.correct = true)
+                                    OR (af.response IS NOT NULL AND af.awarded_points >= aq.points)
+                            ) AS correct,
+                            COUNT(*) FILTER (
+                                WHERE (af.option_id IS NOT NULL AND COALESCE(ok.correct, false) = false)
+                                    OR (af.response IS NOT NULL AND af.awarded_points < aq.points)
+                            ) AS wrong,
+                            ROUND(COALESCE(SUM(
+                                CASE
+                                    WHEN af.option_id IS NOT NULL THEN CASE WHEN ok.correct = true THEN k.points ELSE 0 END
+                                    WHEN af.awarded_points IS NOT NULL THEN af.awarded_points * k.points / NULLIF(aq.points, 0)
+                                    WHEN af.corrected = true THEN k.points
+                                    ELSE 0
+                                END
+                            ), 0), 2) AS points
+                        FROM answers_form af
+                        INNER JOIN questions aq ON aq.id = af.question_id
+                        INNER JOIN answer_key k ON k.origin = COALESCE(aq.origin_id, aq.id)
+                        LEFT JOIN options ao ON ao.id = af.option_id
+                        LEFT JOIN option_key ok
+                            ON ok.question_id = k.id
+                            AND ok.origin = COALESCE(ao.origin_id, ao.id)
+                        WHERE af.form_id = ?
+                        GROUP BY af.user_id, af.attempt_id
+                    )
+                    SELECT
+                        rf.id,
+                        rf.student_id,
+                        rf.attempt_id,
+                        rf.points AS points_before,
+                        rf.correct AS correct_before,
+                        rf.wrong AS wrong_before,
+                        s.points AS points_after,
+                        s.correct::int AS correct_after,
+                        s.wrong::int AS wrong_after
+                    FROM results_form rf
+                    INNER JOIN scored s
+                        ON s.user_id = rf.student_id
+                        AND s.attempt_id IS NOT DISTINCT FROM rf.attempt_id
+                    WHERE rf.form_id = ?
+                        AND (?::int IS NULL OR s.has_question)
+                    FOR UPDATE OF rf
+                `, [form_id, question_id, form_id, form_id, question_id])
+
+                const changes = scored.rows.filter(row =>
+                    Number(row.points_before) !== Number(row.points_after)
+                    || Number(row.correct_before) !== row.correct_after
+                    || Number(row.wrong_before) !== row.wrong_after
+                )
+                const students = [...new Set(changes
+                    .filter(row => Number(row.points_before) !== Number(row.points_after))
+                    .map(row => row.student_id))]
+
+                const [run] = await trx("regrade_runs")
+                    .insert({
+                        form_id,
+                        question_id,
+                        form_version: version,
+                        regraded_by,
+                        submissions: scored.rows.length,
+                        changed: changes.length,
+                        students_changed: students.length
+                    })
+                    .returning("id")
+
+                for (const row of changes) {
+                    await trx("results_form")
+                        .where({ id: row.id })
+                        .update({
+                            points: row.points_after,
+                            correct: row.correct_after,
+                            wrong: row.wrong_after,
+                            updated_at: trx.fn.now()
+                        })
+                }
+                if (changes.length > 0) {
+                    await trx("regrade_changes").insert(changes.map(row => ({
+                        run_id: run.id,
+                        result_id: row.id,
+                        student_id: row.student_id,
+                        attempt_id: row.attempt_id,
+                        points_before: row.points_before,
+                        points_after: row.points_after,
+                        correct_before: row.correct_before,
+                        correct_after: row.correct_after,
+                        wrong_before: row.wrong_before,
+                        wrong_after: row.wrong_after
+                    })))
+                }
+
+                if (!question_id) {
+                    await trx("form_versions")
+                        .where({ form_id, version })
+                        .update({ regraded: true, updated_at: trx.fn.now() })
+                }
+
+                return { run_id: run.id, submissions: scored.rows.length, changed: changes.length, students }
+            })
+
+            for (const student_id of result.students) {
+                await evaluateMedals(student_id, MEDAL_EVENTS.FORM_CORRECTED)
+            }
+
+            return result
+        } catch (err) {
+            console.error("Erro ao recalcular resultados:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Lista as recorreções de um formulário, da mais recente para a mais antiga,
+     * com a nota anterior e a nova de cada envio alterado.
+     *
+     * @async
+     * @param {number} form_id - ID do formulário.
+     * @returns {Promise<Object[]|undefined>} Execuções com `changes` (aluno, tentativa, antes e depois).
+     *
+     * @example
+     * const runs = await Form.getRegrades(3)
+     * // runs[0] = { id: 5, question_id: 10, changed: 4, students_changed: 4, changes: [{ username: "ana", points_before: "6.00", points_after: "7.00", ... }] }
+     */
+    async getRegrades(form_id) {
+        try {
+            const runs = await knex("regrade_runs as r")
+                .select(
+                    "r.id", "r.question_id", "q.text as question_text", "r.form_version",
+                    "r.submissions", "r.changed", "r.students_changed", "r.created_at",
+                    "u.username as regraded_by"
+                )
+                .leftJoin("questions as q", "q.id", "r.question_id")
+                .leftJoin("users as u", "u.id", "r.regraded_by")
+                .where("r.form_id", form_id)
+                .orderBy("r.created_at", "desc")
+
+            const changes = runs.length === 0 ? [] : await knex("regrade_changes as c")
+                .select(
+                    "c.run_id", "c.student_id", "u.username", "c.attempt_id",
+                    "c.points_before", "c.points_after", "c.correct_before", "c.correct_after",
+                    "c.wrong_before", "c.wrong_after"
+                )
+                .innerJoin("users as u", "u.id", "c.student_id")
+                .whereIn("c.run_id", runs.map(r => r.id))
+                .orderBy(["c.run_id", "u.username"])
+
+            return runs.map(run => ({ ...run, changes: changes.filter(c => c.run_id === run.id) }))
+        } catch (err) {
+            console.error("Erro ao buscar recorreções:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Reúne os dados da análise de itens de um formulário (ver `utils/itemAnalysis`).
+     *
+     * Considera um envio por aluno: a tentativa escolhida pela política de tentativas
+     * (`student_form_scores.attempt_id`; na média, a última). Cada envio traz a própria
+     * pontuação possível (em simulados sorteados, só as questões da instância do aluno).
+     * As questões são as da versão atual mais as de versões anteriores que tenham respostas.
+     *
+     * @async
+     * @param {number} form_id - ID do formulário.
+     * @returns {Promise<Object|undefined>} `{ max_points, submissions, questions, options, answers }`
+     * ou `undefined` em caso de erro. `max_points` é o maior máximo entre os envios
+     * (sem envios, o da versão atual).
+     *
+     * @example
+     * const data = await Form.itemAnalysisData(3)
+     * const stats = analyzeItems(data)
+     */
+    async itemAnalysisData(form_id) {
+        try {
+            const chosen = `
+                SELECT DISTINCT ON (rf.student_id)
+                    rf.student_id,
+                    rf.attempt_id,
+                    rf.points::float AS points,
+                    ${possiblePointsSql("rf")}::float AS max_points
+                FROM student_form_scores s
+                INNER JOIN results_form rf
+                    ON rf.form_id = s.form_id
+                    AND rf.student_id = s.student_id
+                    AND rf.attempt_id IS NOT DISTINCT FROM s.attempt_id
+                WHERE s.form_id = ?
+                ORDER BY rf.student_id, rf.created_at DESC, rf.id DESC
+            `
+
+            const submissions = await knex.raw(chosen, [form_id])
+
+            const answers = await knex.raw(`
+                WITH chosen AS (${chosen})
+                SELECT
+                    af.user_id AS student_id,
+                    af.question_id,
+                    af.option_id,
+                    af.response,
+                    (CASE
+                        WHEN af.option_id IS NOT NULL THEN CASE WHEN o.correct = true THEN q.points ELSE 0 END
+                        WHEN af.awarded_points IS NOT NULL THEN af.awarded_points
+                        WHEN af.corrected = true THEN q.points
+                        ELSE 0
+                    END)::float AS score,
+                    (q.type = 'aberta' AND COALESCE(fc.corrected, true) = false) AS pending
+                FROM answers_form af
+                INNER JOIN chosen c
+                    ON c.student_id = af.user_id
+                    AND c.attempt_id IS NOT DISTINCT FROM af.attempt_id
+                INNER JOIN questions q ON q.id = af.question_id
+                LEFT JOIN options o ON o.id = af.option_id
+                LEFT JOIN form_corrections fc
+                    ON fc.form_id = af.form_id
+                    AND fc.student_id = af.user_id
+                    AND fc.attempt_id IS NOT DISTINCT FROM af.attempt_id
+                WHERE af.form_id = ?
+            `, [form_id, form_id])
+
+            const questions = await knex.raw(`
+                SELECT q.id, q.text, q.type, q.points::float AS points, q.version, (q.version = f.version) AS current
+                FROM questions q
+                INNER JOIN form f ON f.id = q.form_id
+                WHERE q.form_id = ?
+                AND (
+                    q.version = f.version
+                    OR EXISTS (SELECT 1 FROM answers_form af WHERE af.question_id = q.id)
+                )
+                ORDER BY q.version DESC, q.id
+            `, [form_id])
+
+            const questionIds = questions.rows.map(q => q.id)
+            const options = questionIds.length === 0 ? [] : await knex("options")
+                .select("id", "question_id", "text", "correct")
+                .whereIn("question_id", questionIds)
+                .orderBy("id")
+
+            const maxPoints = submissions.rows.length > 0
+                ? Math.max(...submissions.rows.map(r => r.max_points))
+                : questions.rows.filter(q => q.current).reduce((sum, q) => sum + q.points, 0)
+
+            return {
+                max_points: maxPoints,
+                submissions: submissions.rows,
+                questions: questions.rows,
+                options,
+                answers: answers.rows
+            }
+        } catch (err) {
+            console.error("Erro ao buscar dados da análise de itens:", err)
+            return undefined
+        }
+    }
 }
 
 module.exports = new Form()
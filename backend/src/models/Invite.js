@@ -43,6 +43,7 @@ class Invite {
      * @param {number} data.classes_id - O ID da turma associada.
      * @param {Date} data.expires_at - A data e hora de expiração.
      * @param {number|null} data.max_uses - O número máximo de usos (ou null para ilimitado).
+     * @param {number} [data.created_by] - ID do professor que gerou o convite.
      * @returns {Promise<Object|undefined>} Retorna o objeto do convite recém-criado com todos os campos (incluindo ID e timestamps). Retorna `undefined` em caso de erro.
      * @example
      * const newInviteData = {
@@ -65,6 +66,7 @@ class Invite {
                     classes_id: data.classes_id, // Confirme se o nome da coluna está correto
                     expires_at: data.expires_at,
                     max_uses: data.max_uses,
+                    created_by: data.created_by || null,
                     // created_at e updated_at são gerenciados pelo banco (timestamps(true, true))
                     // use_count tem default 0
                 })
@@ -102,7 +104,7 @@ class Invite {
     }
 
      /**
-     * Busca um convite válido pelo código (não expirado e com usos disponíveis).
+     * Busca um convite válido pelo código (não expirado, não revogado e com usos disponíveis).
      * Útil para a tela onde o aluno insere o código.
      * @static
      * @async
@@ -113,6 +115,7 @@ class Invite {
         try {
             const invite = await knex('classes_invites')
                 .where({ code: code })
+                .whereNull('revoked_at')
                 .andWhere('expires_at', '>', new Date()) // Verifica se ainda não expirou
                 // Verifica se max_uses é NULL (ilimitado) OU se use_count < max_uses
                 .andWhere(function() {
@@ -126,6 +129,122 @@ class Invite {
         }
     }
 
+    /**
+     * Calcula a situação de um convite.
+     * @static
+     * @param {Object} invite - Linha de 'classes_invites'.
+     * @returns {"active"|"revoked"|"expired"|"exhausted"} Situação do convite.
+     */
+    static status(invite) {
+        if (invite.revoked_at) return 'revoked';
+        if (new Date(invite.expires_at).getTime() <= Date.now()) return 'expired';
+        if (invite.max_uses !== null && invite.use_count >= invite.max_uses) return 'exhausted';
+        return 'active';
+    }
+
+    /**
+     * Lista os convites de uma turma, do mais recente para o mais antigo,
+     * com a situação de cada um e o autor.
+     * @static
+     * @async
+     * @param {number} class_id - ID da turma.
+     * @returns {Promise<Object[]|undefined>} Convites com `status` e `created_by_name`, ou `undefined` em caso de erro.
+     * @example
+     * const invites = await Invite.findByClass(5);
+     * // [{ id: 3, code: "A1B-2C3", status: "active", use_count: 4, max_uses: 30, ... }]
+     */
+    static async findByClass(class_id) {
+        try {
+            const invites = await knex('classes_invites as ci')
+                .select(
+                    'ci.id', 'ci.code', 'ci.expires_at', 'ci.max_uses', 'ci.use_count',
+                    'ci.revoked_at', 'ci.replaced_by', 'ci.created_at', 'u.username as created_by_name'
+                )
+                .leftJoin('users as u', 'u.id', 'ci.created_by')
+                .where('ci.classes_id', class_id)
+                .orderBy('ci.created_at', 'desc');
+
+            return invites.map(invite => ({ ...invite, status: Invite.status(invite) }));
+        } catch (err) {
+            console.error('Erro ao listar convites da turma:', err);
+            return undefined;
+        }
+    }
+
+    /**
+     * Busca um convite de uma turma específica.
+     * @static
+     * @async
+     * @param {number} id - ID do convite.
+     * @param {number} class_id - ID da turma.
+     * @returns {Promise<Object|undefined>} O convite ou `undefined` se não pertencer à turma.
+     */
+    static async findInClass(id, class_id) {
+        try {
+            const invite = await knex('classes_invites')
+                .where({ id, classes_id: class_id })
+                .first();
+            return invite;
+        } catch (err) {
+            console.error('Erro ao buscar convite da turma:', err);
+            return undefined;
+        }
+    }
+
+    /**
+     * Revoga um convite imediatamente: o código deixa de aceitar novas matrículas.
+     * Alunos já matriculados com o código não são afetados.
+     * @static
+     * @async
+     * @param {number} id - ID do convite.
+     * @param {number} revoked_by - ID do professor que revogou.
+     * @param {number|null} [replaced_by=null] - Convite gerado para substituí-lo (regeneração).
+     * @returns {Promise<boolean>} `true` se o convite foi revogado por esta chamada.
+     */
+    static async revoke(id, revoked_by, replaced_by = null) {
+        try {
+            const updatedRows = await knex('classes_invites')
+                .where({ id })
+                .whereNull('revoked_at')
+                .update({ revoked_at: knex.fn.now(), revoked_by, replaced_by, updated_at: knex.fn.now() });
+
+            return updatedRows > 0;
+        } catch (err) {
+            console.error('Erro ao revogar convite:', err);
+            return false;
+        }
+    }
+
+    /**
+     * Lista o registro de usos dos convites de uma turma: quem usou qual código
+     * e quando, e se o aluno entrou na turma ou na lista de espera.
+     * @static
+     * @async
+     * @param {number} class_id - ID da turma.
+     * @param {number|null} [invite_id=null] - Filtra por um convite.
+     * @returns {Promise<Object[]|undefined>} Usos com `code`, `username`, `status`, `redeemed_at` e `enrolled`
+     * (se o aluno ainda está matriculado), ou `undefined` em caso de erro.
+     */
+    static async getRedemptions(class_id, invite_id = null) {
+        try {
+            const query = knex('invite_redemptions as r')
+                .select(
+                    'r.id', 'r.invite_id', 'ci.code', 'r.student_id', 'u.username', 'r.status', 'r.redeemed_at',
+                    knex.raw('exists (select 1 from class_student cs where cs.class_id = r.class_id and cs.student_id = r.student_id) as enrolled')
+                )
+                .innerJoin('classes_invites as ci', 'ci.id', 'r.invite_id')
+                .innerJoin('users as u', 'u.id', 'r.student_id')
+                .where('r.class_id', class_id)
+                .orderBy('r.redeemed_at', 'desc');
+
+            if (invite_id) query.andWhere('r.invite_id', invite_id);
+            return await query;
+        } catch (err) {
+            console.error('Erro ao buscar usos de convites:', err);
+            return undefined;
+        }
+    }
+
 }
 
 module.exports = Invite;
\ No newline at end of file
@@ -1,5 +1,5 @@
 const knex = require("../database/connection")
-const { supabase } = require("../utils/supabase")
+const { signedUrlOrNull } = require("../utils/storage")
 
 /**
  * Classe responsável por gerenciar operações relacionadas aos materiais no banco de dados.
@@ -26,7 +26,7 @@ class Material {
      */
     async save(data) {
         try {
-            await knex("materials").insert(data)
+            await knex("materials").insert(data).returning("id")
             return true
         } catch(err) {
             console.error('Erro ao cadastrar material:', err)
@@ -71,6 +71,36 @@ class Material {
     }
 
 
+    /**
+     * Retorna a disciplina e a turma às quais um material pertence.
+     *
+     * Materiais de turma (`origin = 2`) herdam a disciplina da turma quando
+     * `subject_id` não estiver preenchido.
+     *
+     * @async
+     * @param {number} id - ID do material.
+     * @returns {Promise<{subject_id: number|null, class_id: number|null}|undefined>}
+     */
+    async findScope(id) {
+        try {
+            const result = await knex.raw(`
+                select
+                    coalesce(m.subject_id, c.subject_id) as subject_id,
+                    m.class_id
+                from materials m
+                left join classes c
+                    on c.id = m.class_id
+                where m.id = ?
+            `, [id])
+            const rows = result.rows
+            return rows.length > 0 ? rows[0] : undefined
+        } catch(err) {
+            console.error('Erro ao buscar escopo do material:', err)
+            return undefined
+        }
+    }
+
+
     /**
      * Busca todos os materiais associados a uma turma específica.
      * 
@@ -136,16 +166,7 @@ class Material {
                     continue;
                 }
 
-                const { data, error } = await supabase.storage
-                    .from("materials")
-                    .createSignedUrl(material.archive, 60 * 60); // 1 hora
-
-                if (error) {
-                    console.error("Erro ao gerar URL Supabase:", error);
-                    material.file_url = null;
-                } else {
-                    material.file_url = data.signedUrl;
-                }
+                material.file_url = await signedUrlOrNull("materials", material.archive, 60 * 60); // 1 hora
             }
 
             const countResult = await knex.raw(`
@@ -213,16 +234,7 @@ class Material {
                     continue;
                 }
 
-                const { data, error } = await supabase.storage
-                    .from("materials")
-                    .createSignedUrl(material.archive, 60 * 60); // 1 hora
-
-                if (error) {
-                    console.error("Erro ao gerar URL Supabase:", error);
-                    material.file_url = null;
-                } else {
-                    material.file_url = data.signedUrl;
-                }
+                material.file_url = await signedUrlOrNull("materials", material.archive, 60 * 60); // 1 hora
             }
 
             const formattedResult = result.map(material => ({
@@ -0,0 +1,210 @@
+const knex = require("../database/connection")
+const { possiblePointsSql } = require("../utils/possiblePoints")
+
+/**
+ * @class Medal
+ * @classdesc
+ * Operações de banco do sistema de medalhas (tabelas `medals` e `student_medals`),
+ * além das consultas de estatísticas usadas pelas regras de conquista.
+ */
+class Medal {
+
+    /**
+     * Lista todas as medalhas cadastradas.
+     *
+     * @async
+     * @returns {Promise<Array<{id: number, code: string, title: string, description: string, rarity: string, points: number, icon: string}>|undefined>}
+     */
+    async getAll() {
+        try {
+            const result = await knex("medals")
+                .select("id", "code", "title", "description", "rarity", "points", "icon")
+                .orderBy("points", "asc")
+            return result
+        } catch (err) {
+            console.error("Erro ao listar medalhas:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Lista as medalhas conquistadas por um aluno, da mais recente para a mais antiga.
+     *
+     * @async
+     * @param {number} student_id - ID do aluno.
+     * @returns {Promise<Array<Object>|undefined>} Medalhas com `earned_at` e a disciplina (quando houver).
+     *
+     * @example
+     * const medals = await Medal.getEarnedByStudent(7)
+     * // [{ id: 5, code: "first_perfect_score", title: "Nota Máxima", rarity: "Épica", points: 300, earned_at: "...", subject_name: null }]
+     */
+    async getEarnedByStudent(student_id) {
+        try {
+            const result = await knex.raw(`
+                select
+                    m.id,
+                    m.code,
+                    m.title,
+                    m.description,
+                    m.rarity,
+                    m.points,
+                    m.icon,
+                    sm.earned_at,
+                    s.name as subject_name
+                from student_medals sm
+                inner join medals m
+                    on m.id = sm.medal_id
+                left join subjects s
+                    on s.id = sm.subject_id
+                where sm.student_id = ?
+                order by sm.earned_at desc
+            `, [student_id])
+            return result.rows
+        } catch (err) {
+            console.error("Erro ao buscar medalhas do aluno:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Registra a conquista de uma medalha. Conquistas repetidas são ignoradas.
+     *
+     * @async
+     * @param {number} student_id - ID do aluno.
+     * @param {number} medal_id - ID da medalha.
+     * @param {number|null} [subject_id=null] - Disciplina relacionada à conquista.
+     * @returns {Promise<boolean>} `true` se a medalha foi concedida agora.
+     */
+    async award(student_id, medal_id, subject_id = null) {
+        try {
+            const result = await knex("student_medals")
+                .insert({ student_id, medal_id, subject_id })
+                .onConflict(["student_id", "medal_id"])
+                .ignore()
+                .returning("id")
+            if (result.length === 0) return false
+            return true
+        } catch (err) {
+            console.error("Erro ao conceder medalha:", err)
+            return false
+        }
+    }
+
+    /**
+     * Conta em quantas turmas o aluno está matriculado.
+     *
+     * @async
+     * @param {number} student_id
+     * @returns {Promise<number>}
+     */
+    async countEnrollments(student_id) {
+        try {
+            const result = await knex("class_student")
+                .where({ student_id })
+                .count("* as total")
+                .first()
+            return Number(result.total)
+        } catch (err) {
+            console.error("Erro ao contar matrículas:", err)
+            return 0
+        }
+    }
+
+    /**
+     * Conta quantos simulados distintos o aluno enviou e quantos foram enviados dentro do prazo.
+     *
+     * @async
+     * @param {number} student_id
+     * @returns {Promise<{total: number, on_time: number}>}
+     */
+    async countSubmissions(student_id) {
+        try {
+            const result = await knex.raw(`
+                select
+                    count(distinct rf.form_id)::int as total,
+                    count(distinct rf.form_id) filter (
+                        where f.deadline is null or rf.created_at <= f.deadline
+                    )::int as on_time
+                from results_form rf
+                inner join form f
+                    on f.id = rf.form_id
+                where rf.student_id = ?
+            `, [student_id])
+            return result.rows[0]
+        } catch (err) {
+            console.error("Erro ao contar envios de simulados:", err)
+            return { total: 0, on_time: 0 }
+        }
+    }
+
+    /**
+     * Retorna o primeiro simulado em que o aluno obteve a pontuação máxima.
+     * Em simulados sorteados, o máximo considera só as questões sorteadas para o aluno.
+     *
+     * @async
+     * @param {number} student_id
+     * @returns {Promise<{form_id: number, subject_id: number|null}|undefined>}
+     */
+    async findPerfectScore(student_id) {
+        try {
+            const result = await knex.raw(`
+                select
+                    rf.form_id,
+                    f.subject_id
+                from results_form rf
+                inner join form f
+                    on f.id = rf.form_id
+                cross join lateral (
+                    select ${possiblePointsSql("rf")} as total
+                ) q
+                where rf.student_id = ?
+                    and q.total > 0
+                    and rf.points >= q.total
+                order by rf.created_at asc
+                limit 1
+            `, [student_id])
+            const rows = result.rows
+            return rows.length > 0 ? rows[0] : undefined
+        } catch (err) {
+            console.error("Erro ao buscar nota máxima:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Calcula o aproveitamento do aluno em cada disciplina.
+     *
+     * O aproveitamento é a soma dos pontos obtidos dividida pela soma dos pontos
+     * possíveis dos simulados respondidos na disciplina (em simulados sorteados, só as
+     * questões sorteadas para o aluno). Em simulados com várias tentativas vale a nota
+     * resolvida pela política do formulário.
+     *
+     * @async
+     * @param {number} student_id
+     * @returns {Promise<Array<{subject_id: number, forms: number, percent: number}>>}
+     */
+    async getSubjectAverages(student_id) {
+        try {
+            const result = await knex.raw(`
+                select
+                    f.subject_id,
+                    count(distinct rf.form_id)::int as forms,
+                    round(sum(rf.points) * 100.0 / nullif(sum(q.total), 0), 2)::float as percent
+                from student_form_scores rf
+                inner join form f
+                    on f.id = rf.form_id
+                cross join lateral (
+                    select ${possiblePointsSql("rf")} as total
+                ) q
+                where rf.student_id = ?
+                group by f.subject_id
+            `, [student_id])
+            return result.rows
+        } catch (err) {
+            console.error("Erro ao calcular médias por disciplina:", err)
+            return []
+        }
+    }
+}
+
+module.exports = new Medal()
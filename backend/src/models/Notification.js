@@ -0,0 +1,266 @@
+const knex = require("../database/connection")
+
+/** Colunas retornadas nas consultas de notificações. */
+const COLUMNS = ["id", "type", "title", "message", "link", "data", "read_at", "created_at"]
+
+/** Quantidade máxima de notificações por página. */
+const MAX_PAGE_SIZE = 50
+
+/** Preferências de e-mail (colunas de `notification_preferences`). */
+const PREFERENCES = ["deadline_reminders", "weekly_digest"]
+
+/** Preferências de quem ainda não alterou nada: todos os envios ativos. */
+const DEFAULT_PREFERENCES = { deadline_reminders: true, weekly_digest: true }
+
+/**
+ * @class Notification
+ * @classdesc
+ * Notificações exibidas no sino da barra de navegação (`notifications`).
+ *
+ * Cada linha pertence a um único destinatário e é marcada como lida com `read_at`.
+ * Além das operações da tabela, reúne as preferências de e-mail do usuário
+ * (`notification_preferences`) e as consultas que resolvem os destinatários dos
+ * eventos (alunos de uma turma ou disciplina e revisores de solicitações de acesso).
+ */
+class Notification {
+
+    /**
+     * Grava uma notificação para cada destinatário.
+     *
+     * @async
+     * @param {number[]} user_ids - Destinatários.
+     * @param {{type: string, title: string, message: string, link?: string|null, data?: Object|null}} notification
+     * @returns {Promise<Array<Object>|undefined>} Notificações criadas (com `user_id`) ou `undefined` em caso de erro.
+     *
+     * @example
+     * await Notification.createMany([7, 8], { type: "form_published", title: "Novo simulado", message: "..." })
+     */
+    async createMany(user_ids, { type, title, message, link = null, data = null }) {
+        try {
+            if (user_ids.length === 0) return []
+            const rows = user_ids.map(user_id => ({
+                user_id,
+                type,
+                title,
+                message,
+                link,
+                data: data ? JSON.stringify(data) : null
+            }))
+            const result = await knex("notifications")
+                .insert(rows)
+                .returning(["user_id", ...COLUMNS])
+            return result
+        } catch (err) {
+            console.error("Erro ao criar notificações:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Lista as notificações de um usuário, da mais recente para a mais antiga.
+     *
+     * @async
+     * @param {number} user_id - ID do usuário.
+     * @param {Object} [filters]
+     * @param {boolean} [filters.unread=false] - Apenas as não lidas.
+     * @param {number} [filters.before] - Cursor: retorna notificações com `id` menor que este.
+     * @param {number} [filters.limit=20] - Tamanho da página (máximo 50).
+     * @returns {Promise<Array<Object>|undefined>}
+     */
+    async listByUser(user_id, { unread = false, before, limit = 20 } = {}) {
+        try {
+            const query = knex("notifications")
+                .select(COLUMNS)
+                .where({ user_id })
+                .orderBy("id", "desc")
+                .limit(Math.min(limit, MAX_PAGE_SIZE))
+
+            if (unread) query.whereNull("read_at")
+            if (before) query.where("id", "<", before)
+
+            return await query
+        } catch (err) {
+            console.error("Erro ao listar notificações:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Conta as notificações não lidas de um usuário.
+     *
+     * @async
+     * @param {number} user_id - ID do usuário.
+     * @returns {Promise<number|undefined>}
+     */
+    async countUnread(user_id) {
+        try {
+            const result = await knex("notifications")
+                .count("id as total")
+                .where({ user_id })
+                .whereNull("read_at")
+                .first()
+            return Number(result.total)
+        } catch (err) {
+            console.error("Erro ao contar notificações não lidas:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Marca uma notificação do usuário como lida.
+     *
+     * @async
+     * @param {number} id - ID da notificação.
+     * @param {number} user_id - Dono da notificação.
+     * @returns {Promise<boolean|undefined>} `false` se a notificação não pertence ao usuário.
+     */
+    async markRead(id, user_id) {
+        try {
+            const exists = await knex("notifications").select("id").where({ id, user_id }).first()
+            if (!exists) return false
+
+            await knex("notifications")
+                .where({ id, user_id })
+                .whereNull("read_at")
+                .update({ read_at: knex.fn.now() })
+            return true
+        } catch (err) {
+            console.error("Erro ao marcar notificação como lida:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Marca todas as notificações do usuário como lidas.
+     *
+     * @async
+     * @param {number} user_id - ID do usuário.
+     * @returns {Promise<number|undefined>} Quantidade de notificações atualizadas.
+     */
+    async markAllRead(user_id) {
+        try {
+            return await knex("notifications")
+                .where({ user_id })
+                .whereNull("read_at")
+                .update({ read_at: knex.fn.now() })
+        } catch (err) {
+            console.error("Erro ao marcar notificações como lidas:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Retorna as preferências de e-mail do usuário. Sem registro, todos os envios estão ativos.
+     *
+     * @async
+     * @param {number} user_id - ID do usuário.
+     * @returns {Promise<{deadline_reminders: boolean, weekly_digest: boolean}|undefined>}
+     */
+    async getPreferences(user_id) {
+        try {
+            const result = await knex("notification_preferences")
+                .select(PREFERENCES)
+                .where({ user_id })
+                .first()
+            return result || { ...DEFAULT_PREFERENCES }
+        } catch (err) {
+            console.error("Erro ao buscar preferências de notificação:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Atualiza as preferências de e-mail do usuário (campos omitidos mantêm o valor atual).
+     *
+     * @async
+     * @param {number} user_id - ID do usuário.
+     * @param {{deadline_reminders?: boolean, weekly_digest?: boolean}} changes
+     * @returns {Promise<{deadline_reminders: boolean, weekly_digest: boolean}|undefined>} Preferências salvas.
+     *
+     * @example
+     * await Notification.updatePreferences(7, { weekly_digest: false })
+     */
+    async updatePreferences(user_id, changes) {
+        try {
+            const current = await this.getPreferences(user_id)
+            if (!current) return undefined
+
+            const data = { ...current, ...changes }
+            const [saved] = await knex("notification_preferences")
+                .insert({ user_id, ...data, updated_at: knex.fn.now() })
+                .onConflict("user_id")
+                .merge()
+                .returning(PREFERENCES)
+            return saved
+        } catch (err) {
+            console.error("Erro ao atualizar preferências de notificação:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * IDs dos alunos matriculados em uma turma.
+     *
+     * @async
+     * @param {number} class_id - ID da turma.
+     * @returns {Promise<number[]>}
+     */
+    async getClassStudentIds(class_id) {
+        try {
+            const rows = await knex("class_student").select("student_id").where({ class_id })
+            return rows.map(row => row.student_id)
+        } catch (err) {
+            console.error("Erro ao buscar alunos da turma:", err)
+            return []
+        }
+    }
+
+    /**
+     * IDs dos alunos matriculados em qualquer turma de uma disciplina.
+     *
+     * @async
+     * @param {number} subject_id - ID da disciplina.
+     * @returns {Promise<number[]>}
+     */
+    async getSubjectStudentIds(subject_id) {
+        try {
+            const rows = await knex("class_student as cs")
+                .distinct("cs.student_id")
+                .innerJoin("classes as c", "c.id", "cs.class_id")
+                .where("c.subject_id", subject_id)
+            return rows.map(row => row.student_id)
+        } catch (err) {
+            console.error("Erro ao buscar alunos da disciplina:", err)
+            return []
+        }
+    }
+
+    /**
+     * IDs de quem avalia uma solicitação de acesso profissional: o administrador e,
+     * para professores, os coordenadores aprovados do mesmo curso (`access_code`).
+     *
+     * @async
+     * @param {string} access_code - Código do curso informado na solicitação.
+     * @param {number} role - Papel solicitado (2 = coordenador, 3 = professor).
+     * @returns {Promise<number[]>}
+     */
+    async getRequestReviewerIds(access_code, role) {
+        try {
+            const result = await knex.raw(`
+                select u.id
+                from users u
+                where u.registration = 'admin'
+                union
+                select vp.professional_id as id
+                from validate_professionals vp
+                where ? = 3 and vp.role = 2 and vp.approved = true and vp.access_code = ?
+            `, [Number(role), String(access_code)])
+            return result.rows.map(row => row.id)
+        } catch (err) {
+            console.error("Erro ao buscar revisores da solicitação:", err)
+            return []
+        }
+    }
+}
+
+module.exports = new Notification()
@@ -0,0 +1,170 @@
+const knex = require("../database/connection")
+
+/**
+ * @class PasswordReset
+ * @classdesc
+ * Gerencia os códigos de recuperação de senha (tabela `password_resets`).
+ *
+ * Os códigos nunca são salvos em texto puro: apenas o hash é armazenado.
+ * Cada código tem prazo de validade (`expires_at`), limite de tentativas
+ * (`attempts`) e só pode ser usado uma vez (`used_at`).
+ */
+class PasswordReset {
+
+    /**
+     * Registra um novo código de recuperação, invalidando os códigos anteriores do usuário.
+     *
+     * @async
+     * @param {Object} data
+     * @param {number} data.user_id - ID do usuário.
+     * @param {string} data.email - Email para o qual o código foi enviado.
+     * @param {string} data.code_hash - Hash do código.
+     * @param {Date} data.expires_at - Data de expiração do código.
+     * @returns {Promise<boolean>} `true` se o código foi salvo.
+     *
+     * @example
+     * await PasswordReset.create({ user_id: 3, email: "aluno@email.com", code_hash, expires_at })
+     */
+    async create(data) {
+        try {
+            await knex.transaction(async trx => {
+                await trx("password_resets")
+                    .where({ user_id: data.user_id })
+                    .whereNull("used_at")
+                    .update({ used_at: knex.fn.now(), updated_at: knex.fn.now() })
+
+                await trx("password_resets").insert(data).returning("id")
+            })
+            return true
+        } catch (err) {
+            console.error("Erro ao cadastrar código de recuperação:", err)
+            return false
+        }
+    }
+
+    /**
+     * Registra uma solicitação de código, exista ou não um usuário com o email.
+     * As solicitações alimentam o limite por email e por IP.
+     *
+     * @async
+     * @param {string} email - Email informado.
+     * @param {string|null} ip - IP de origem da requisição.
+     * @returns {Promise<boolean>} `true` se a solicitação foi registrada.
+     *
+     * @example
+     * await PasswordReset.logRequest("aluno@email.com", "203.0.113.7")
+     */
+    async logRequest(email, ip) {
+        try {
+            await knex("password_reset_requests").insert({ email, ip })
+            return true
+        } catch (err) {
+            console.error("Erro ao registrar solicitação de código:", err)
+            return false
+        }
+    }
+
+    /**
+     * Conta as solicitações de código feitas para um email e a partir de um IP em uma
+     * janela de tempo. Usado para limitar as solicitações sem depender de o email
+     * estar cadastrado.
+     *
+     * @async
+     * @param {string} email - Email consultado.
+     * @param {string|null} ip - IP consultado.
+     * @param {number} minutes - Tamanho da janela, em minutos.
+     * @returns {Promise<{by_email: number, by_ip: number}>} Quantidade de solicitações na janela.
+     *
+     * @example
+     * const { by_email, by_ip } = await PasswordReset.countRecentRequests("aluno@email.com", "203.0.113.7", 15)
+     */
+    async countRecentRequests(email, ip, minutes) {
+        try {
+            const result = await knex.raw(`
+                select
+                    count(*) filter (where email = ?)::int as by_email,
+                    count(*) filter (where ip = ?)::int as by_ip
+                from password_reset_requests
+                where (email = ? or ip = ?)
+                    and created_at > now() - (? * interval '1 minute')
+            `, [email, ip, email, ip, minutes])
+            return result.rows[0]
+        } catch (err) {
+            console.error("Erro ao contar solicitações de código:", err)
+            return { by_email: 0, by_ip: 0 }
+        }
+    }
+
+    /**
+     * Registra uma tentativa de uso do código ativo (não usado e não expirado) mais
+     * recente de um usuário e o retorna.
+     *
+     * O incremento é atômico e só acontece enquanto o código tiver tentativas
+     * disponíveis, então tentativas simultâneas não ultrapassam o limite.
+     *
+     * @async
+     * @param {number} user_id - ID do usuário.
+     * @param {number} max_attempts - Tentativas permitidas por código.
+     * @returns {Promise<{id: number, code_hash: string, expires_at: Date, attempts: number}|undefined>}
+     * O código, ou `undefined` se não houver código ativo com tentativas disponíveis.
+     *
+     * @example
+     * const reset = await PasswordReset.registerAttempt(3, 5)
+     */
+    async registerAttempt(user_id, max_attempts) {
+        try {
+            const [result] = await knex("password_resets")
+                .where("id", knex("password_resets")
+                    .select("id")
+                    .where({ user_id })
+                    .whereNull("used_at")
+                    .andWhere("expires_at", ">", knex.fn.now())
+                    .orderBy("created_at", "desc")
+                    .limit(1))
+                .andWhere("attempts", "<", max_attempts)
+                .update({ attempts: knex.raw("attempts + 1"), updated_at: knex.fn.now() })
+                .returning(["id", "code_hash", "expires_at", "attempts"])
+            return result
+        } catch (err) {
+            console.error("Erro ao registrar tentativa de código:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Consome um código e grava a nova senha do usuário na mesma transação,
+     * para que o código só seja gasto se a senha for de fato trocada.
+     *
+     * @async
+     * @param {number} id - ID do código.
+     * @param {number} user_id - ID do usuário.
+     * @param {string} password - Hash da nova senha.
+     * @returns {Promise<boolean|undefined>} `true` se a senha foi trocada, `false` se o código
+     * já havia sido usado, ou `undefined` em caso de erro.
+     *
+     * @example
+     * const consumed = await PasswordReset.consume(12, 3, passwordHash)
+     */
+    async consume(id, user_id, password) {
+        try {
+            return await knex.transaction(async (trx) => {
+                const used = await trx("password_resets")
+                    .where({ id })
+                    .whereNull("used_at")
+                    .update({ used_at: knex.fn.now(), updated_at: knex.fn.now() })
+                if (used === 0) return false
+
+                const updated = await trx("users")
+                    .where({ id: user_id })
+                    .update({ password, updated_at: knex.fn.now() })
+                if (updated === 0) throw new Error(`Usuário ${user_id} não encontrado`)
+                return true
+            })
+        } catch (err) {
+            console.error("Erro ao redefinir senha com o código de recuperação:", err)
+            return undefined
+        }
+    }
+}
+
+module.exports = new PasswordReset()
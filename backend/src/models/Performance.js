@@ -4,21 +4,22 @@ class Performance {
 
     /**
      * Busca e calcula todos os dados de desempenho para um aluno.
+     * Usa as notas consolidadas de `student_scores`: a de cada simulado, resolvida pela
+     * política de tentativas, e a nota final de cada atividade entregue já avaliada.
      * @param {number} studentId - O ID do aluno (da tabela 'users').
      * @returns {Promise<Object>} Um objeto contendo { overallAverage, bestGrade, disciplines }
      */
     async getStudentReport(studentId) {
         try {
             // Consulta 1: Calcula a Média Geral (Esta consulta está correta e não muda)
-            const overallAverageQuery = knex('results_form')
+            const overallAverageQuery = knex('student_scores')
                 .where({ student_id: studentId })
                 .avg('points as average')
                 .first();
 
             // Consulta 2: Calcula a média por disciplina
-            const subjectGradesQuery = knex('results_form as rf')
-                .leftJoin('form as f', 'rf.form_id', 'f.id') 
-                .leftJoin('subjects as s', 'f.subject_id', 's.id')
+            const subjectGradesQuery = knex('student_scores as rf')
+                .leftJoin('subjects as s', 'rf.subject_id', 's.id')
                 .where('rf.student_id', studentId)
                 .groupBy('s.id', 's.name') 
                 .select(
@@ -28,9 +29,8 @@ class Performance {
 
             // --- CORREÇÃO: NOVA CONSULTA ---
             // Consulta 3: Busca a melhor nota individual e o nome da disciplina associada
-            const bestGradeQuery = knex('results_form as rf')
-                .leftJoin('form as f', 'rf.form_id', 'f.id')
-                .leftJoin('subjects as s', 'f.subject_id', 's.id')
+            const bestGradeQuery = knex('student_scores as rf')
+                .leftJoin('subjects as s', 'rf.subject_id', 's.id')
                 .where('rf.student_id', studentId)
                 .orderBy('rf.points', 'desc') // Ordena pela nota individual
                 .select(
@@ -84,7 +84,7 @@ class Performance {
                 SELECT
                     rf.points,
                     rf.updated_at
-                FROM results_form rf
+                FROM student_scores rf
                 WHERE rf.student_id = ?
                 ORDER BY rf.updated_at DESC
                 LIMIT 3
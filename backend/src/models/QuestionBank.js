@@ -0,0 +1,346 @@
+const knex = require("../database/connection")
+
+/**
+ * Estatísticas de uso de uma questão do banco: em quantos simulados foi usada,
+ * quantas respostas recebeu e quantas foram corretas (opção correta ou
+ * resposta dissertativa marcada como correta).
+ */
+const USAGE_STATS = `
+    left join lateral (
+        select
+            count(distinct q.form_id)::int as forms,
+            count(af.id)::int as answers,
+            count(af.id) filter (
+                where o.correct = true
+                    or (af.open_answer is not null and af.corrected = true)
+            )::int as correct
+        from questions q
+        left join answers_form af
+            on af.question_id = q.id
+        left join options o
+            on o.id = af.option_id
+        where q.bank_question_id = bq.id
+    ) st on true
+`
+
+/**
+ * Normaliza a lista de tags: remove espaços, converte para minúsculas e elimina repetições.
+ *
+ * @param {string[]} tags
+ * @returns {string[]}
+ */
+function normalizeTags(tags) {
+    return [...new Set((tags || []).map(tag => (tag + '').trim().toLowerCase()).filter(Boolean))]
+}
+
+/**
+ * @class QuestionBank
+ * @classdesc
+ * Banco de questões reutilizáveis por disciplina (`bank_questions`, `bank_options`
+ * e `bank_question_tags`). As questões do banco podem ser importadas para novos
+ * simulados; a questão copiada guarda o vínculo em `questions.bank_question_id`,
+ * usado para as estatísticas de uso.
+ */
+class QuestionBank {
+
+    /**
+     * Cadastra uma questão no banco com suas opções e tags.
+     *
+     * @async
+     * @param {Object} data - Dados da questão.
+     * @param {number} data.subject_id - ID da disciplina.
+     * @param {number} data.created_by - ID do professor autor.
+     * @param {string} data.text - Enunciado.
+     * @param {string} [data.image_url] - Imagem do enunciado.
+     * @param {number} data.points - Pontuação sugerida.
+     * @param {string} data.type - Tipo da questão.
+     * @param {string} [data.topic] - Tema.
+     * @param {string} [data.difficulty] - Dificuldade (`facil`, `media`, `dificil`).
+     * @param {Array<{text: string, image_url?: string, correct: boolean}>} [options=[]] - Opções.
+     * @param {string[]} [tags=[]] - Tags.
+     * @param {import("knex").Knex.Transaction} [trx] - Transação em andamento (opcional).
+     * @returns {Promise<{success: boolean, insertId?: number}>}
+     *
+     * @example
+     * await QuestionBank.create(
+     *   { subject_id: 2, created_by: 4, text: "2 + 2 = ?", points: 1, type: "multipla_escolha", topic: "Aritmética", difficulty: "facil" },
+     *   [{ text: "4", correct: true }, { text: "5", correct: false }],
+     *   ["soma"]
+     * )
+     */
+    async create(data, options = [], tags = [], trx = null) {
+        const run = async (db) => {
+            const [row] = await db("bank_questions").insert(data).returning("id")
+
+            if (options.length > 0) {
+                await db("bank_options").insert(options.map(o => ({
+                    bank_question_id: row.id,
+                    text: o.text,
+                    image_url: o.image_url || null,
+                    correct: o.correct === true || o.correct === 'true'
+                })))
+            }
+
+            const normalized = normalizeTags(tags)
+            if (normalized.length > 0) {
+                await db("bank_question_tags").insert(normalized.map(tag => ({ bank_question_id: row.id, tag })))
+            }
+
+            return row.id
+        }
+
+        try {
+            const id = trx ? await run(trx) : await knex.transaction(run)
+
+            return { success: true, insertId: id }
+        } catch (err) {
+            console.error("Erro ao cadastrar questão no banco:", err)
+            return { success: false }
+        }
+    }
+
+    /**
+     * Atualiza uma questão do banco. Quando informadas, as opções e as tags
+     * são substituídas pelas novas listas.
+     *
+     * Simulados que já importaram a questão não são alterados.
+     *
+     * @async
+     * @param {number} id - ID da questão do banco.
+     * @param {Object} data - Campos a alterar (`text`, `points`, `type`, `topic`, `difficulty`).
+     * @param {Array<{text: string, correct: boolean}>} [options] - Novas opções.
+     * @param {string[]} [tags] - Novas tags.
+     * @returns {Promise<boolean>} `true` se atualizada.
+     *
+     * @example
+     * await QuestionBank.update(7, { difficulty: "media" }, undefined, ["soma", "revisão"])
+     */
+    async update(id, data, options, tags) {
+        try {
+            await knex.transaction(async (trx) => {
+                await trx("bank_questions").where({ id }).update({ ...data, updated_at: knex.fn.now() })
+
+                if (options) {
+                    await trx("bank_options").where({ bank_question_id: id }).del()
+                    if (options.length > 0) {
+                        await trx("bank_options").insert(options.map(o => ({
+                            bank_question_id: id,
+                            text: o.text,
+                            image_url: o.image_url || null,
+                            correct: o.correct === true || o.correct === 'true'
+                        })))
+                    }
+                }
+
+                if (tags) {
+                    await trx("bank_question_tags").where({ bank_question_id: id }).del()
+                    const normalized = normalizeTags(tags)
+                    if (normalized.length > 0) {
+                        await trx("bank_question_tags").insert(normalized.map(tag => ({ bank_question_id: id, tag })))
+                    }
+                }
+            })
+
+            return true
+        } catch (err) {
+            console.error("Erro ao atualizar questão do banco:", err)
+            return false
+        }
+    }
+
+    /**
+     * Remove uma questão do banco. As questões já importadas em simulados são mantidas.
+     *
+     * @async
+     * @param {number} id - ID da questão do banco.
+     * @returns {Promise<boolean>} `true` se removida.
+     */
+    async deleteById(id) {
+        try {
+            const deleted = await knex("bank_questions").where({ id }).del()
+            return deleted > 0
+        } catch (err) {
+            console.error("Erro ao remover questão do banco:", err)
+            return false
+        }
+    }
+
+    /**
+     * Busca uma questão do banco com opções, tags e estatísticas de uso.
+     *
+     * @async
+     * @param {number} id - ID da questão do banco.
+     * @returns {Promise<Object|undefined>}
+     */
+    async findById(id) {
+        try {
+            const result = await this.baseQuery().where("bq.id", id).first()
+            return result
+        } catch (err) {
+            console.error("Erro ao buscar questão do banco:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Pesquisa as questões do banco de uma disciplina.
+     *
+     * @async
+     * @param {number} subject_id - ID da disciplina.
+     * @param {Object} [filters={}] - Filtros opcionais.
+     * @param {string} [filters.search] - Trecho do enunciado.
+     * @param {string} [filters.topic] - Tema.
+     * @param {string} [filters.difficulty] - Dificuldade.
+     * @param {string} [filters.type] - Tipo da questão.
+     * @param {string} [filters.tag] - Tag.
+     * @returns {Promise<Object[]|undefined>} Questões com `options`, `tags` e estatísticas
+     * (`forms`, `answers`, `correct`, `correct_rate`).
+     *
+     * @example
+     * const questions = await QuestionBank.search(2, { topic: "Aritmética", difficulty: "facil" })
+     */
+    async search(subject_id, filters = {}) {
+        try {
+            const query = this.baseQuery().where("bq.subject_id", subject_id)
+
+            if (filters.search) {
+                const term = filters.search.replace(/[\\%_]/g, char => `\\${char}`)
+                query.whereILike("bq.text", `%${term}%`)
+            }
+            if (filters.topic) query.where("bq.topic", filters.topic)
+            if (filters.difficulty) query.where("bq.difficulty", filters.difficulty)
+            if (filters.type) query.where("bq.type", filters.type)
+            if (filters.tag) {
+                query.whereExists(function () {
+                    this.select(knex.raw(1))
+                        .from("bank_question_tags as t")
+                        .whereRaw("t.bank_question_id = bq.id")
+                        .andWhere("t.tag", filters.tag.trim().toLowerCase())
+                })
+            }
+
+            return await query.orderBy("bq.updated_at", "desc")
+        } catch (err) {
+            console.error("Erro ao pesquisar banco de questões:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Lista os temas e tags já usados no banco de uma disciplina (para os filtros).
+     *
+     * @async
+     * @param {number} subject_id - ID da disciplina.
+     * @returns {Promise<{topics: string[], tags: string[]}|undefined>}
+     */
+    async getFilters(subject_id) {
+        try {
+            const topics = await knex("bank_questions")
+                .distinct("topic")
+                .where({ subject_id })
+                .whereNotNull("topic")
+                .orderBy("topic")
+            const tags = await knex("bank_question_tags as t")
+                .distinct("t.tag")
+                .innerJoin("bank_questions as bq", "bq.id", "t.bank_question_id")
+                .where("bq.subject_id", subject_id)
+                .orderBy("t.tag")
+            return { topics: topics.map(row => row.topic), tags: tags.map(row => row.tag) }
+        } catch (err) {
+            console.error("Erro ao buscar filtros do banco de questões:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Busca as questões do banco (com opções) a serem importadas para um simulado.
+     * Apenas questões da disciplina informada são retornadas.
+     *
+     * @async
+     * @param {number} subject_id - ID da disciplina do simulado.
+     * @param {number[]} ids - IDs das questões do banco.
+     * @returns {Promise<Object[]|undefined>}
+     */
+    async findForImport(subject_id, ids) {
+        try {
+            const result = await knex("bank_questions as bq")
+                .select(
+                    "bq.id",
+                    "bq.text",
+                    "bq.image_url",
+                    "bq.points",
+                    "bq.type",
+                    knex.raw(`coalesce((
+                        select json_agg(json_build_object('text', o.text, 'image_url', o.image_url, 'correct', o.correct) order by o.id)
+                        from bank_options o
+                        where o.bank_question_id = bq.id
+                    ), '[]') as options`)
+                )
+                .where("bq.subject_id", subject_id)
+                .whereIn("bq.id", ids)
+            return result
+        } catch (err) {
+            console.error("Erro ao buscar questões do banco para importação:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Retorna a disciplina à qual uma questão do banco pertence.
+     * Usado pelo middleware de autorização.
+     *
+     * @async
+     * @param {number} id - ID da questão do banco.
+     * @returns {Promise<{subject_id: number}|undefined>}
+     */
+    async findScope(id) {
+        try {
+            const result = await knex("bank_questions")
+                .select("subject_id")
+                .where({ id })
+                .first()
+            return result
+        } catch (err) {
+            console.error("Erro ao buscar escopo da questão do banco:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Consulta base das questões do banco com opções, tags e estatísticas de uso.
+     *
+     * @returns {import("knex").Knex.QueryBuilder}
+     */
+    baseQuery() {
+        return knex("bank_questions as bq")
+            .select(
+                "bq.id",
+                "bq.subject_id",
+                "bq.text",
+                "bq.image_url",
+                "bq.points",
+                "bq.type",
+                "bq.topic",
+                "bq.difficulty",
+                "bq.created_by",
+                "bq.updated_at",
+                knex.raw(`coalesce((
+                    select json_agg(json_build_object('id', o.id, 'text', o.text, 'image_url', o.image_url, 'correct', o.correct) order by o.id)
+                    from bank_options o
+                    where o.bank_question_id = bq.id
+                ), '[]') as options`),
+                knex.raw(`coalesce((
+                    select json_agg(t.tag order by t.tag)
+                    from bank_question_tags t
+                    where t.bank_question_id = bq.id
+                ), '[]') as tags`),
+                "st.forms",
+                "st.answers",
+                "st.correct",
+                knex.raw(`case when st.answers > 0 then round(st.correct * 100.0 / st.answers, 2)::float end as correct_rate`)
+            )
+            .joinRaw(USAGE_STATS)
+    }
+}
+
+module.exports = new QuestionBank()
@@ -0,0 +1,190 @@
+const knex = require("../database/connection")
+
+/**
+ * @class Rubric
+ * @classdesc
+ * Rubricas de correção das questões abertas (`rubric_criteria` e `rubric_levels`)
+ * e as notas atribuídas por critério a cada resposta (`answer_scores`).
+ *
+ * Cada critério possui níveis com pontuação; a nota da resposta é a soma dos níveis
+ * escolhidos pelo professor e fica gravada em `answers_form.awarded_points`, de onde
+ * a pontuação do envio (`results_form.points`) é recalculada.
+ */
+class Rubric {
+
+    /**
+     * Busca uma questão de qualquer versão de um formulário.
+     *
+     * @async
+     * @param {number} form_id - ID do formulário.
+     * @param {number} question_id - ID da questão.
+     * @returns {Promise<Object|undefined>} Questão (`id`, `type`, `points`, `version`) ou `undefined`.
+     *
+     * @example
+     * const question = await Rubric.findQuestion(3, 10)
+     */
+    async findQuestion(form_id, question_id) {
+        try {
+            const result = await knex("questions")
+                .select("id", "form_id", "type", "points", "version")
+                .where({ id: question_id, form_id })
+                .first()
+            return result
+        } catch (err) {
+            console.error("Erro ao buscar questão da rubrica:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Retorna as rubricas das questões informadas, com critérios e níveis ordenados.
+     *
+     * @async
+     * @param {number[]} question_ids - IDs das questões.
+     * @returns {Promise<Object<number, Object[]>|undefined>} Critérios agrupados por questão
+     * (`id`, `title`, `description`, `max_points`, `levels`) ou `undefined` em caso de erro.
+     *
+     * @example
+     * const rubrics = await Rubric.getByQuestions([10, 11])
+     * // { 10: [{ id: 1, title: "Argumentação", max_points: 2, levels: [...] }] }
+     */
+    async getByQuestions(question_ids) {
+        try {
+            if (question_ids.length === 0) return {}
+
+            const criteria = await knex("rubric_criteria")
+                .select("id", "question_id", "title", "description")
+                .whereIn("question_id", question_ids)
+                .orderBy(["question_id", "position", "id"])
+
+            const levels = criteria.length > 0
+                ? await knex("rubric_levels")
+                    .select("id", "criterion_id", "label", "description", "points")
+                    .whereIn("criterion_id", criteria.map(c => c.id))
+                    .orderBy(["criterion_id", "position", "id"])
+                : []
+
+            const rubrics = {}
+            for (const { question_id, ...criterion } of criteria) {
+                const criterionLevels = levels
+                    .filter(l => l.criterion_id === criterion.id)
+                    .map(({ criterion_id, ...level }) => ({ ...level, points: Number(level.points) }))
+                if (!rubrics[question_id]) rubrics[question_id] = []
+                rubrics[question_id].push({
+                    ...criterion,
+                    max_points: Math.max(0, ...criterionLevels.map(l => l.points)),
+                    levels: criterionLevels
+                })
+            }
+            return rubrics
+        } catch (err) {
+            console.error("Erro ao buscar rubricas:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Indica se a rubrica de uma questão já foi usada na correção de alguma resposta.
+     *
+     * @async
+     * @param {number} question_id - ID da questão.
+     * @returns {Promise<boolean|undefined>} `undefined` em caso de erro.
+     */
+    async hasScores(question_id) {
+        try {
+            const result = await knex("answer_scores as s")
+                .innerJoin("rubric_criteria as c", "c.id", "s.criterion_id")
+                .where("c.question_id", question_id)
+                .first("s.id")
+            return !!result
+        } catch (err) {
+            console.error("Erro ao verificar uso da rubrica:", err)
+            return undefined
+        }
+    }
+
+    /**
+     * Substitui a rubrica de uma questão pelos critérios informados.
+     * Com uma lista vazia, a rubrica é removida.
+     *
+     * @async
+     * @param {number} question_id - ID da questão.
+     * @param {Array<{title: string, description?: string, levels: Array<{label: string, description?: string, points: number}>}>} criteria - Critérios já validados.
+     * @param {import("knex").Knex.Transaction} [trx] - Transação em andamento (opcional).
+     * @returns {Promise<boolean>} `true` se a rubrica foi gravada.
+     *
+     * @example
+     * await Rubric.replace(10, [
+     *   { title: "Argumentação", levels: [{ label: "Insuficiente", points: 0 }, { label: "Completa", points: 2 }] }
+     * ])
+     */
+    async replace(question_id, criteria, trx = null) {
+        const run = async (db) => {
+            await db("rubric_criteria").where({ question_id }).del()
+
+            for (const [position, criterion] of criteria.entries()) {
+                const [row] = await db("rubric_criteria")
+                    .insert({
+                        question_id,
+                        title: criterion.title.trim(),
+                        description: criterion.description || null,
+                        position
+                    })
+                    .returning("id")
+
+                await db("rubric_levels").insert(criterion.levels.map((level, index) => ({
+                    criterion_id: row.id,
+                    label: level.label.trim(),
+                    description: level.description || null,
+                    points: Number(level.points),
+                    position: index
+                })))
+            }
+        }
+
+        try {
+            if (trx) await run(trx)
+            else await knex.transaction(run)
+            return true
+        } catch (err) {
+            console.error("Erro ao salvar rubrica:", err)
+            return false
+        }
+    }
+
+    /**
+     * Grava as notas por critério de uma resposta, substituindo as anteriores.
+     * Com uma lista vazia, as notas por critério são removidas (correção sem rubrica).
+     *
+     * @async
+     * @param {number} answer_id - ID da resposta.
+     * @param {Array<{criterion_id: number, level_id: number, points: number}>} scores - Notas já validadas.
+     * @param {number} graded_by - ID do professor.
+     * @param {import("knex").Knex.Transaction} [trx] - Transação em andamento (opcional).
+     * @returns {Promise<boolean>}
+     *
+     * @example
+     * await Rubric.saveScores(12, [{ criterion_id: 1, level_id: 3, points: 1.5 }], 4)
+     */
+    async saveScores(answer_id, scores, graded_by, trx = null) {
+        const run = async (db) => {
+            await db("answer_scores").where({ answer_id }).del()
+            if (scores.length > 0) {
+                await db("answer_scores").insert(scores.map(({ criterion_id, level_id, points }) => ({
+                    answer_id, criterion_id, level_id, points, graded_by
+                })))
+            }
+        }
+
+        try {
+            if (trx) await run(trx)
+            else await knex.transaction(run)
+            return true
+        } catch (err) {
+            console.error("Erro ao salvar notas da rubrica:", err)
+            return false
+        }
+    }
+}
+
+module.exports = new Rubric()
@@ -1,5 +1,5 @@
 const knex = require("../database/connection")
-const { supabase } = require("../utils/supabase")
+const { signedUrlOrNull } = require("../utils/storage")
 
 /**
  * Classe para manipulação de disciplinas (subjects) na base de dados.
@@ -131,7 +131,7 @@ class Subject {
                 });
                 
             if (updated === 0) return undefined; // Nenhuma linha afetada
-            
+
             return await this.getById(id);
         } catch(err) {
             console.error('Erro ao atualizar disciplina:', err);
@@ -385,16 +385,7 @@ class Subject {
             // gerar signed URLs
             for (let item of rows) {
                 if (item.archive) {
-
-                    const { data, error } = await supabase.storage
-                        .from("materials")
-                        .createSignedUrl(item.archive, 60 * 60) // 1 hora
-
-                    if (!error && data?.signedUrl) {
-                        item.file_url = data.signedUrl
-                    } else {
-                        item.file_url = null
-                    }
+                    item.file_url = await signedUrlOrNull("materials", item.archive, 60 * 60) // 1 hora
                 }
             }
 
@@ -525,7 +516,7 @@ class Subject {
 
     /**
      * @summary Verifica se um usuário (coordenador) tem permissão sobre uma disciplina.
-     * @description A permissão é validada checando se o ID do coordenador corresponde ao coordenador do curso ao qual a disciplina pertence.
+     * @description A permissão é validada checando se o coordenador (aprovado, com `access_code` igual ao código do curso) está vinculado ao curso ao qual a disciplina pertence.
      * @param {number} subjectId - O ID da disciplina.
      * @param {number} coordinatorId - O ID do usuário coordenador.
      * @returns {Promise<boolean>} Retorna `true` se o usuário for o coordenador do curso.
@@ -534,8 +525,13 @@ class Subject {
         try {
             const subject = await knex('subjects')
                 .join('course_valid', 'subjects.course_valid_id', 'course_valid.id')
+                .join('validate_professionals', function() {
+                    this.on(knex.raw('validate_professionals.access_code = course_valid.course_code::text'))
+                })
                 .where('subjects.id', subjectId)
-                .andWhere('course_valid.coordinator_id', coordinatorId)
+                .andWhere('validate_professionals.professional_id', coordinatorId)
+                .andWhere('validate_professionals.role', 2)
+                .andWhere('validate_professionals.approved', true)
                 .first('subjects.id');
             return !!subject;
         } catch (error) {
@@ -29,7 +29,7 @@ class User {
      */
     async save(data) {
         try {
-            await knex("users").insert(data)
+            await knex("users").insert(data).returning("id")
             return true
         } catch(err) {
             console.error('Erro ao cadastrar usuário:', err)
@@ -454,6 +454,68 @@ class User {
     }
 
 
+    /**
+     * Remove todas as sessões ativas de um usuário (tabela `session`).
+     *
+     * Usado após a redefinição de senha, para que sessões abertas com a senha
+     * antiga deixem de valer.
+     *
+     * @async
+     * @param {number} id - ID do usuário.
+     * @returns {Promise<number|false>} Quantidade de sessões removidas ou `false` em caso de erro.
+     */
+    async deleteSessionsByUser(id) {
+        try {
+            const deleted = await knex('session')
+                .whereRaw(`sess->'user'->>'id' = ?`, [String(id)])
+                .del()
+            return deleted
+        } catch (err) {
+            console.error("Erro ao remover sessões do usuário:", err)
+            return false
+        }
+    }
+
+
+    /**
+     * Busca os dados necessários para autenticar o usuário de uma sessão.
+     *
+     * Retorna o papel (role) cadastrado em `validate_professionals` junto com o
+     * indicador de aprovação, para que o middleware de autenticação resolva o
+     * papel efetivo a partir do banco e não apenas do que foi salvo na sessão.
+     *
+     * @async
+     * @param {number} id - ID do usuário da sessão.
+     * @returns {Promise<{id: number, username: string, registration: string, course_id: number|null, role: number|null, approved: boolean|null}|undefined>}
+     *
+     * @example
+     * const user = await User.findAuthUser(3)
+     * // { id: 3, username: "mateus", registration: "12345678", course_id: 2, role: 3, approved: true }
+     */
+    async findAuthUser(id) {
+        try {
+            const result = await knex.raw(`
+                select
+                    u.id,
+                    u.username,
+                    u.registration,
+                    u.course_id,
+                    vp.role,
+                    vp.approved
+                from users u
+                left join validate_professionals vp
+                    on vp.professional_id = u.id
+                where u.id = ?
+            `, [id])
+            const rows = result.rows
+            return rows.length > 0 ? rows[0] : undefined
+        } catch (err) {
+            console.error("Erro ao buscar usuário da sessão:", err)
+            return undefined
+        }
+    }
+
+
     async updateCourse(id, data) {
         try {
             data.updated_at = knex.fn.now()
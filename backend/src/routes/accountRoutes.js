@@ -2,6 +2,8 @@ const express = require("express")
 const router = express.Router()
 const accountController = require("../controllers/accountController")
 const pdfUpload = require("../middleware/Archive")
+const { authenticate, isCoordinator, requireOwnership, requireSelf, rejectActorMismatch, scopes } = require("../middleware/auth")
+const { bindContext } = require("../utils/auditContext")
 
 /**
  * @module accountRoutes
@@ -26,8 +28,8 @@ const pdfUpload = require("../middleware/Archive")
  *   "access_code": "ABC123"
  * }
  */
-router.post("/user/account", (request, response, next) => {
-    pdfUpload.single("diploma")(request, response, (err) => {
+router.post("/user/account", authenticate, (request, response, next) => {
+    pdfUpload.single("diploma")(request, response, bindContext((err) => {
         if (err) {
             if (err.code === "LIMIT_FILE_SIZE") {
                 return response.status(400).json({ status: false, message: "O ficheiro excede 5 MB." })
@@ -35,8 +37,8 @@ router.post("/user/account", (request, response, next) => {
             return response.status(400).json({ status: false, message: err.message })
         }
         next()
-    })
-}, accountController.addRole)
+    }))
+}, rejectActorMismatch("id"), accountController.addRole)
 
 
 
@@ -54,7 +56,7 @@ router.post("/user/account", (request, response, next) => {
  *   ]
  * }
  */
-router.get('/user/requests/:id', accountController.requests)
+router.get('/user/requests/:id', authenticate, isCoordinator, requireSelf("id"), accountController.requests)
 
 /**
  * @route DELETE /user/request/:id_user
@@ -63,7 +65,7 @@ router.get('/user/requests/:id', accountController.requests)
  * @returns {object} 200 - Solicitação removida.
  * @returns {object} 404 - Solicitação não encontrada.
  */
-router.delete('/user/request/:id_user', accountController.removeRequest)
+router.delete('/user/request/:id_user', authenticate, isCoordinator, requireOwnership(scopes.professional("id_user")), accountController.removeRequest)
 
 /**
  * @route PATCH /user/request/approved/:id_user
@@ -72,7 +74,7 @@ router.delete('/user/request/:id_user', accountController.removeRequest)
  * @returns {object} 200 - Conta aprovada com sucesso.
  * @returns {object} 404 - Solicitação não encontrada.
  */
-router.patch('/user/request/approved/:id_user', accountController.approve)
+router.patch('/user/request/approved/:id_user', authenticate, isCoordinator, requireOwnership(scopes.professional("id_user")), accountController.approve)
 
 
 /**
@@ -81,7 +83,7 @@ router.patch('/user/request/approved/:id_user', accountController.approve)
  * @returns {object} 200 - Lista de professores.
  * @returns {object} 404 - Nenhum professor encontrado.
  */
-router.get('/users/professores', accountController.getProfessoresValidados)
+router.get('/users/professores', authenticate, isCoordinator, accountController.getProfessoresValidados)
 
 /**
  * @route GET /user/teachers/:id
@@ -90,7 +92,7 @@ router.get('/users/professores', accountController.getProfessoresValidados)
  * @returns {object} 200 - Lista de professores.
  * @returns {object} 404 - Nenhum professor encontrado.
  */
-router.get('/user/teachers/:id', accountController.getTeachers)
+router.get('/user/teachers/:id', authenticate, isCoordinator, requireSelf("id"), accountController.getTeachers)
 
 /**
  * @route DELETE /user/teacher/:id
@@ -99,7 +101,7 @@ router.get('/user/teachers/:id', accountController.getTeachers)
  * @returns {object} 200 - Professor removido.
  * @returns {object} 404 - Professor não encontrado.
  */
-router.delete('/user/teacher/:id', accountController.deleteTeacher)
+router.delete('/user/teacher/:id', authenticate, isCoordinator, requireOwnership(scopes.professional("id")), accountController.deleteTeacher)
 
 /**
  * @route GET /user/coordinator/:id
@@ -108,7 +110,7 @@ router.delete('/user/teacher/:id', accountController.deleteTeacher)
  * @returns {object} 200 - Dados do coordenador.
  * @returns {object} 404 - Coordenador não encontrado.
  */
-router.get('/user/coordinator/:id', accountController.getCoordinatorData)
+router.get('/user/coordinator/:id', authenticate, isCoordinator, requireSelf("id"), accountController.getCoordinatorData)
 
 /**
  * @route GET /user/coordinator/kpi/:id
@@ -123,7 +125,7 @@ router.get('/user/coordinator/:id', accountController.getCoordinatorData)
  *   "requests": 3
  * }
  */
-router.get('/user/coordinator/kpi/:id', accountController.getKpis)
+router.get('/user/coordinator/kpi/:id', authenticate, isCoordinator, requireSelf("id"), accountController.getKpis)
 
 
 
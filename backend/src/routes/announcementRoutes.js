@@ -0,0 +1,94 @@
+/**
+ * @file announcementRoutes.js
+ * @description Rotas do mural de avisos das turmas. O professor da disciplina publica,
+ * edita, fixa e exclui avisos; os alunos matriculados apenas os visualizam.
+ *
+ * O anexo opcional é enviado no campo multipart `attachment` e validado pelo middleware
+ * `Archive` (PDF, DOC, DOCX, PPT e PPTX, até 5MB).
+ *
+ * @module routes/announcementRoutes
+ */
+
+const express = require("express")
+const router = express.Router()
+const announcementController = require("../controllers/AnnouncementController")
+const archiveUpload = require("../middleware/Archive")
+const { authenticate, isTeacher, requireOwnership, scopes } = require("../middleware/auth")
+const { bindContext } = require("../utils/auditContext")
+
+/**
+ * Recebe o anexo opcional (`attachment`), traduzindo os erros do multer para `400`.
+ *
+ * @param {import("express").Request} request
+ * @param {import("express").Response} response
+ * @param {import("express").NextFunction} next
+ */
+function attachmentUpload(request, response, next) {
+    archiveUpload.single("attachment")(request, response, bindContext((err) => {
+        if (err) {
+            if (err.code === "LIMIT_FILE_SIZE") {
+                return response.status(400).json({ status: false, message: "O ficheiro excede 5 MB." })
+            }
+            return response.status(400).json({ status: false, message: err.message })
+        }
+        next()
+    }))
+}
+
+/**
+ * @route GET /classes/:id/announcements
+ * @description Lista os avisos da turma, com os fixados primeiro.
+ *
+ * @param {number} id - ID da turma.
+ * @returns {Object} `{ status, announcements }`
+ *
+ * @example
+ * GET /classes/4/announcements
+ */
+router.get("/classes/:id/announcements", authenticate, requireOwnership(scopes.class("id"), { students: true }), announcementController.list)
+
+/**
+ * @route POST /classes/:id/announcements
+ * @description Publica um aviso na turma e notifica os alunos.
+ *
+ * @param {number} id - ID da turma.
+ * @body {string} title - Título (3 a 150 caracteres).
+ * @body {string} body - Texto do aviso.
+ * @body {boolean} [pinned=false] - Fixa o aviso no topo do mural.
+ * @body {File} [attachment] - Anexo (multipart).
+ * @returns {Object} Aviso criado.
+ *
+ * @example
+ * POST /classes/4/announcements
+ */
+router.post("/classes/:id/announcements", authenticate, isTeacher, requireOwnership(scopes.class("id")), attachmentUpload, announcementController.create)
+
+/**
+ * @route PATCH /announcements/:id
+ * @description Edita o título ou o texto de um aviso, ou o fixa/desafixa.
+ *
+ * @param {number} id - ID do aviso.
+ * @body {string} [title]
+ * @body {string} [body]
+ * @body {boolean} [pinned]
+ * @returns {Object} Aviso atualizado.
+ *
+ * @example
+ * PATCH /announcements/3
+ * { "pinned": true }
+ */
+router.patch("/announcements/:id", authenticate, isTeacher, requireOwnership(scopes.announcement("id")), announcementController.update)
+
+/**
+ * @route DELETE /announcements/:id
+ * @description Exclui um aviso e o seu anexo.
+ *
+ * @param {number} id - ID do aviso.
+ * @returns {Object} Mensagem de confirmação.
+ *
+ * @example
+ * DELETE /announcements/3
+ */
+router.delete("/announcements/:id", authenticate, isTeacher, requireOwnership(scopes.announcement("id")), announcementController.delete)
+
+module.exports = router
@@ -0,0 +1,136 @@
+/**
+ * @file assignmentRoutes.js
+ * @description Rotas das atividades com entrega de arquivo das turmas.
+ *
+ * - O professor da disciplina publica, edita e exclui atividades, lista as entregas
+ *   e as avalia com nota e comentário.
+ * - Alunos matriculados enviam (ou substituem, até a avaliação) o arquivo da entrega.
+ *
+ * O arquivo é enviado no campo multipart `attachment` e validado pelo middleware
+ * `Archive` (PDF, DOC, DOCX, PPT e PPTX, até 5MB).
+ *
+ * @module routes/assignmentRoutes
+ */
+
+const express = require("express")
+const router = express.Router()
+const assignmentController = require("../controllers/AssignmentController")
+const archiveUpload = require("../middleware/Archive")
+const { authenticate, isTeacher, isStudent, requireOwnership, scopes } = require("../middleware/auth")
+const { bindContext } = require("../utils/auditContext")
+
+/**
+ * Recebe o arquivo da entrega (`attachment`), traduzindo os erros do multer para `400`.
+ *
+ * @param {import("express").Request} request
+ * @param {import("express").Response} response
+ * @param {import("express").NextFunction} next
+ */
+function attachmentUpload(request, response, next) {
+    archiveUpload.single("attachment")(request, response, bindContext((err) => {
+        if (err) {
+            if (err.code === "LIMIT_FILE_SIZE") {
+                return response.status(400).json({ status: false, message: "O ficheiro excede 5 MB." })
+            }
+            return response.status(400).json({ status: false, message: err.message })
+        }
+        next()
+    }))
+}
+
+/**
+ * @route GET /classes/:id/assignments
+ * @description Lista as atividades da turma. Alunos recebem a própria entrega em cada atividade.
+ *
+ * @param {number} id - ID da turma.
+ * @returns {Object} `{ status, assignments }`
+ *
+ * @example
+ * GET /classes/4/assignments
+ */
+router.get("/classes/:id/assignments", authenticate, requireOwnership(scopes.class("id"), { students: true }), assignmentController.list)
+
+/**
+ * @route POST /classes/:id/assignments
+ * @description Publica uma atividade na turma e notifica os alunos.
+ *
+ * @param {number} id - ID da turma.
+ * @body {string} title - Título (3 a 150 caracteres).
+ * @body {string} instructions - Instruções da atividade.
+ * @body {string} due_at - Prazo de entrega (ISO 8601).
+ * @body {"reject"|"accept"|"penalty"} [late_policy="reject"] - Política para entregas atrasadas.
+ * @body {number} [late_penalty=0] - Desconto (%) por dia de atraso na política `penalty`.
+ * @body {number} max_points - Pontuação máxima.
+ * @returns {Object} Atividade criada.
+ *
+ * @example
+ * POST /classes/4/assignments
+ */
+router.post("/classes/:id/assignments", authenticate, isTeacher, requireOwnership(scopes.class("id")), assignmentController.create)
+
+/**
+ * @route PATCH /assignments/:id
+ * @description Edita uma atividade (apenas os campos enviados).
+ *
+ * @param {number} id - ID da atividade.
+ * @returns {Object} Atividade atualizada.
+ *
+ * @example
+ * PATCH /assignments/2
+ * { "due_at": "2025-12-22T23:59:00-03:00" }
+ */
+router.patch("/assignments/:id", authenticate, isTeacher, requireOwnership(scopes.assignment("id")), assignmentController.update)
+
+/**
+ * @route DELETE /assignments/:id
+ * @description Exclui uma atividade, as entregas e os arquivos enviados.
+ *
+ * @param {number} id - ID da atividade.
+ * @returns {Object} Mensagem de confirmação.
+ *
+ * @example
+ * DELETE /assignments/2
+ */
+router.delete("/assignments/:id", authenticate, isTeacher, requireOwnership(scopes.assignment("id")), assignmentController.delete)
+
+/**
+ * @route GET /assignments/:id/submissions
+ * @description Lista os alunos da turma com a entrega de cada um.
+ *
+ * @param {number} id - ID da atividade.
+ * @returns {Object} `{ status, assignment, students }`
+ *
+ * @example
+ * GET /assignments/2/submissions
+ */
+router.get("/assignments/:id/submissions", authenticate, isTeacher, requireOwnership(scopes.assignment("id")), assignmentController.submissions)
+
+/**
+ * @route POST /assignments/:id/submission
+ * @description Envia ou substitui o arquivo da entrega do aluno.
+ *
+ * @param {number} id - ID da atividade.
+ * @body {File} attachment - Arquivo da entrega (multipart).
+ * @returns {Object} Entrega salva.
+ *
+ * @example
+ * POST /assignments/2/submission
+ */
+router.post("/assignments/:id/submission", authenticate, isStudent, requireOwnership(scopes.assignment("id"), { students: true }), attachmentUpload, assignmentController.submit)
+
+/**
+ * @route PATCH /assignments/submissions/:submission_id/grade
+ * @description Avalia uma entrega com nota e comentário.
+ *
+ * @param {number} submission_id - ID da entrega.
+ * @body {number} points - Nota (de 0 à pontuação máxima da atividade).
+ * @body {string} [comment] - Comentário para o aluno.
+ * @returns {Object} Entrega avaliada.
+ *
+ * @example
+ * PATCH /assignments/submissions/15/grade
+ * { "points": 8, "comment": "Bom relatório, faltou a conclusão." }
+ */
+router.patch("/assignments/submissions/:submission_id/grade", authenticate, isTeacher, requireOwnership(scopes.assignmentSubmission("submission_id")), assignmentController.grade)
+
+module.exports = router
@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const classController = require("../controllers/classController");
+const { ROLES, authenticate, requireRole, isTeacher, isStudent, requireOwnership, requireSelf, scopes } = require("../middleware/auth");
 
 /**
  * @module classRoutes
@@ -11,7 +12,7 @@ const classController = require("../controllers/classController");
  * @route POST /
  * @summary Cria uma nova turma.
  */
-router.post('/classes', classController.create);
+router.post('/classes', authenticate, isTeacher, requireOwnership(scopes.subject("subject_id", "body")), classController.create);
 
 
 
@@ -20,7 +21,51 @@ router.post('/classes', classController.create);
  * @summary rota para chamar a função de criação de convite de turma.
  */
 
-router.post('/classes/:id/invites', classController.generateInvite);
+router.post('/classes/:id/invites', authenticate, isTeacher, requireOwnership(scopes.class("id")), classController.generateInvite);
+
+/**
+ * @route GET /classes/:id/gradebook
+ * @summary Quadro de notas da turma: alunos x simulados, com totais, médias e envios faltantes.
+ * @param {number} id.path.required - ID da turma.
+ */
+router.get('/classes/:id/gradebook', authenticate, requireRole(ROLES.COORDINATOR, ROLES.TEACHER), requireOwnership(scopes.class("id")), classController.getGradebook);
+
+/**
+ * @route GET /classes/:id/gradebook/export
+ * @summary Exporta o quadro de notas da turma (`?format=xlsx|csv`).
+ * @param {number} id.path.required - ID da turma.
+ */
+router.get('/classes/:id/gradebook/export', authenticate, requireRole(ROLES.COORDINATOR, ROLES.TEACHER), requireOwnership(scopes.class("id")), classController.exportGradebook);
+
+/**
+ * @route GET /classes/:id/invites
+ * @summary Lista os convites da turma com situação (ativo, revogado, expirado ou esgotado) e usos.
+ * @param {number} id.path.required - ID da turma.
+ */
+router.get('/classes/:id/invites', authenticate, isTeacher, requireOwnership(scopes.class("id")), classController.listInvites);
+
+/**
+ * @route GET /classes/:id/invites/redemptions
+ * @summary Registro de uso dos convites: aluno, código usado e data. Aceita `?invite_id=`.
+ * @param {number} id.path.required - ID da turma.
+ */
+router.get('/classes/:id/invites/redemptions', authenticate, isTeacher, requireOwnership(scopes.class("id")), classController.inviteRedemptions);
+
+/**
+ * @route DELETE /classes/:id/invites/:invite_id
+ * @summary Revoga um convite imediatamente.
+ * @param {number} id.path.required - ID da turma.
+ * @param {number} invite_id.path.required - ID do convite.
+ */
+router.delete('/classes/:id/invites/:invite_id', authenticate, isTeacher, requireOwnership(scopes.class("id")), classController.revokeInvite);
+
+/**
+ * @route POST /classes/:id/invites/:invite_id/regenerate
+ * @summary Gera um novo código no lugar do convite informado, revogando o anterior.
+ * @param {number} id.path.required - ID da turma.
+ * @param {number} invite_id.path.required - ID do convite.
+ */
+router.post('/classes/:id/invites/:invite_id/regenerate', authenticate, isTeacher, requireOwnership(scopes.class("id")), classController.regenerateInvite);
 
 
 
@@ -30,7 +75,7 @@ router.post('/classes/:id/invites', classController.generateInvite);
  * @param {number} id.path.required - ID da turma.
  * @returns {object} 200 - Detalhes da turma e lista de alunos.
  */
-router.get('/classes/detail/:id', classController.getDetails);
+router.get('/classes/detail/:id', authenticate, requireOwnership(scopes.class("id"), { students: true }), classController.getDetails);
 
 /**
  * @route DELETE /:id/students/:studentId
@@ -39,7 +84,7 @@ router.get('/classes/detail/:id', classController.getDetails);
  * @param {number} studentId.path.required - ID do aluno a ser removido.
  * @returns {object} 200 - Mensagem de sucesso.
  */
-router.delete('/classes/students/:student_id', classController.removeStudent)
+router.delete('/classes/students/:student_id', authenticate, isTeacher, requireOwnership(scopes.class("class_id", "body")), classController.removeStudent)
 
 /**
  * @route GET /classes/:subject_id
@@ -63,7 +108,7 @@ router.delete('/classes/students/:student_id', classController.removeStudent)
  *   { id: 2, name: "Turma B", year: 2024 }
  * ]
  */
-router.get('/classes/:subject_id', classController.listBySubject)
+router.get('/classes/:subject_id', authenticate, requireRole(ROLES.COORDINATOR, ROLES.TEACHER), requireOwnership(scopes.subject("subject_id")), classController.listBySubject)
 
 
 /**
@@ -86,7 +131,7 @@ router.get('/classes/:subject_id', classController.listBySubject)
  * // Resposta de sucesso:
  * { "subject_id": 5 }
  */
-router.get('/classes/subject_id/:id', classController.getIdSubject)
+router.get('/classes/subject_id/:id', authenticate, requireOwnership(scopes.class("id"), { students: true }), classController.getIdSubject)
 
 /**
  * @route GET /classes/materials/:id
@@ -111,7 +156,7 @@ router.get('/classes/subject_id/:id', classController.getIdSubject)
  *   { id: 11, title: "Aula 2 - Exercícios", type: "DOC", created_by: 1 }
  * ]
  */
-router.get('/classes/materials/:id', classController.getAllMateriais)
+router.get('/classes/materials/:id', authenticate, requireOwnership(scopes.class("id"), { students: true }), classController.getAllMateriais)
 
 /**
  * @route GET /classes/students/:class_id
@@ -143,7 +188,7 @@ router.get('/classes/materials/:id', classController.getAllMateriais)
  * Essa rota busca todos os alunos vinculados à turma informada por meio do `class_id`.
  * Caso a turma não tenha alunos cadastrados, é retornada uma resposta 404.
  */
-router.get('/classes/students/:class_id', classController.getStudent)
+router.get('/classes/students/:class_id', authenticate, requireRole(ROLES.COORDINATOR, ROLES.TEACHER), requireOwnership(scopes.class("class_id")), classController.getStudent)
 
 
 /**
@@ -176,9 +221,9 @@ router.get('/classes/students/:class_id', classController.getStudent)
  * Essa rota retorna todas as turmas em que um aluno específico está matriculado.
  * Caso o aluno não esteja vinculado a nenhuma turma, é retornado um erro 404.
  */
-router.get('/classes/student/:student_id', classController.getClasses)
+router.get('/classes/student/:student_id', authenticate, isStudent, requireSelf("student_id"), classController.getClasses)
 
 
-router.get('/classes/kpi/:user_id', classController.getKpi)
+router.get('/classes/kpi/:user_id', authenticate, isStudent, requireSelf("user_id"), classController.getKpi)
 module.exports = router;
 
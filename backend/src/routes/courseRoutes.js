@@ -1,6 +1,7 @@
 const express = require("express")
 const router = express.Router()
 const courseController = require("../controllers/courseController")
+const { authenticate, isCoordinator, requireOwnership, requireSelf, scopes } = require("../middleware/auth")
 
 /**
  * @module courseRoutes
@@ -25,7 +26,7 @@ router.get('/courses', courseController.getCourses)
  * @returns {Array<User>} 200 - Lista de professores
  * @returns {Error} 404 - Curso não encontrado
  */
-router.get('/courses/:id/professors', courseController.getProfessorsByCourse)
+router.get('/courses/:id/professors', authenticate, isCoordinator, requireOwnership(scopes.course("id")), courseController.getProfessorsByCourse)
 
 /**
  * @route GET /courses/:id/subjects
@@ -46,6 +47,6 @@ router.get('/courses/:id/professors', courseController.getProfessorsByCourse)
  *   }
  * }
  */
-router.get('/courses/:id/subjects', courseController.getSubjectsByCourse)
+router.get('/courses/:id/subjects', authenticate, isCoordinator, requireSelf("id"), courseController.getSubjectsByCourse)
 
 module.exports = router
@@ -2,21 +2,18 @@ const express = require('express');
 const router = express.Router();
 
 const ClassController = require("../controllers/classController"); 
-
-// Middleware para checar se está logado (exemplo)
-// Se você já tem um middleware que checa 'req.session.user', 
-// pode adicioná-lo aqui para proteger a rota.
-// const authMiddleware = require('../middleware/auth'); 
-// router.use(authMiddleware); 
+const { authenticate, isStudent } = require('../middleware/auth');
 
 /**
  * @route GET /dashboard/student
  * @description Rota para buscar os dados do dashboard do aluno logado.
- * @access Privada (requer login/sessão)
+ * @access Privada (requer login/sessão de aluno)
  */
 router.get(
     '/dashboard/student', 
-   ClassController.getStudentDashboard
+    authenticate,
+    isStudent,
+    ClassController.getStudentDashboard
 );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
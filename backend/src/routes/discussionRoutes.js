@@ -0,0 +1,164 @@
+/**
+ * @file discussionRoutes.js
+ * @description Rotas das discussões (perguntas e respostas) das turmas.
+ *
+ * - Alunos matriculados e o professor da disciplina abrem tópicos e respondem.
+ * - A moderação (aceitar resposta, bloquear, ocultar) é exclusiva do professor.
+ * - A exclusão é feita pelo professor ou pelo próprio autor.
+ *
+ * O anexo opcional é enviado no campo multipart `attachment` e validado pelo middleware
+ * `Archive` (PDF, DOC, DOCX, PPT e PPTX, até 5MB).
+ *
+ * @module routes/discussionRoutes
+ */
+
+const express = require("express")
+const router = express.Router()
+const discussionController = require("../controllers/DiscussionController")
+const archiveUpload = require("../middleware/Archive")
+const { ROLES, authenticate, requireRole, isTeacher, requireOwnership, scopes } = require("../middleware/auth")
+const { bindContext } = require("../utils/auditContext")
+
+/** Professores e alunos participam das discussões. */
+const isParticipant = requireRole(ROLES.TEACHER, ROLES.STUDENT)
+
+/**
+ * Recebe o anexo opcional (`attachment`), traduzindo os erros do multer para `400`.
+ *
+ * @param {import("express").Request} request
+ * @param {import("express").Response} response
+ * @param {import("express").NextFunction} next
+ */
+function attachmentUpload(request, response, next) {
+    archiveUpload.single("attachment")(request, response, bindContext((err) => {
+        if (err) {
+            if (err.code === "LIMIT_FILE_SIZE") {
+                return response.status(400).json({ status: false, message: "O ficheiro excede 5 MB." })
+            }
+            return response.status(400).json({ status: false, message: err.message })
+        }
+        next()
+    }))
+}
+
+/**
+ * @route GET /classes/:id/discussions
+ * @description Lista os tópicos da turma (ocultos apenas para o professor).
+ *
+ * @param {number} id - ID da turma.
+ * @returns {Object} `{ status, threads }`
+ *
+ * @example
+ * GET /classes/4/discussions
+ */
+router.get("/classes/:id/discussions", authenticate, requireOwnership(scopes.class("id"), { students: true }), discussionController.list)
+
+/**
+ * @route POST /classes/:id/discussions
+ * @description Abre um tópico na turma.
+ *
+ * @param {number} id - ID da turma.
+ * @body {string} title - Título (3 a 150 caracteres).
+ * @body {string} body - Pergunta.
+ * @body {File} [attachment] - Anexo (multipart).
+ * @returns {Object} ID do tópico criado.
+ *
+ * @example
+ * POST /classes/4/discussions
+ */
+router.post("/classes/:id/discussions", authenticate, isParticipant, requireOwnership(scopes.class("id"), { students: true }), attachmentUpload, discussionController.create)
+
+/**
+ * @route GET /discussions/:id
+ * @description Retorna um tópico com as respostas.
+ *
+ * @param {number} id - ID do tópico.
+ * @returns {Object} `{ status, thread, posts }`
+ *
+ * @example
+ * GET /discussions/9
+ */
+router.get("/discussions/:id", authenticate, requireOwnership(scopes.discussion("id"), { students: true }), discussionController.show)
+
+/**
+ * @route POST /discussions/:id/posts
+ * @description Responde a um tópico (não permitido em tópicos bloqueados).
+ *
+ * @param {number} id - ID do tópico.
+ * @body {string} body - Resposta.
+ * @body {File} [attachment] - Anexo (multipart).
+ * @returns {Object} ID da resposta criada.
+ *
+ * @example
+ * POST /discussions/9/posts
+ */
+router.post("/discussions/:id/posts", authenticate, isParticipant, requireOwnership(scopes.discussion("id"), { students: true }), attachmentUpload, discussionController.reply)
+
+/**
+ * @route PATCH /discussions/:id/moderation
+ * @description Bloqueia/desbloqueia ou oculta/exibe um tópico.
+ *
+ * @param {number} id - ID do tópico.
+ * @body {boolean} [locked]
+ * @body {boolean} [hidden]
+ * @returns {Object} Mensagem de confirmação.
+ *
+ * @example
+ * PATCH /discussions/9/moderation
+ * { "locked": true }
+ */
+router.patch("/discussions/:id/moderation", authenticate, isTeacher, requireOwnership(scopes.discussion("id")), discussionController.moderate)
+
+/**
+ * @route PATCH /discussions/:id/accept
+ * @description Marca a resposta aceita do tópico (`null` remove a marcação).
+ *
+ * @param {number} id - ID do tópico.
+ * @body {number|null} post_id - ID da resposta.
+ * @returns {Object} Resposta aceita.
+ *
+ * @example
+ * PATCH /discussions/9/accept
+ * { "post_id": 31 }
+ */
+router.patch("/discussions/:id/accept", authenticate, isTeacher, requireOwnership(scopes.discussion("id")), discussionController.accept)
+
+/**
+ * @route DELETE /discussions/:id
+ * @description Exclui um tópico e suas respostas (professor ou autor).
+ *
+ * @param {number} id - ID do tópico.
+ * @returns {Object} Mensagem de confirmação.
+ *
+ * @example
+ * DELETE /discussions/9
+ */
+router.delete("/discussions/:id", authenticate, isParticipant, requireOwnership(scopes.discussion("id"), { students: true }), discussionController.delete)
+
+/**
+ * @route PATCH /discussions/posts/:post_id/moderation
+ * @description Oculta ou exibe uma resposta.
+ *
+ * @param {number} post_id - ID da resposta.
+ * @body {boolean} hidden
+ * @returns {Object} Mensagem de confirmação.
+ *
+ * @example
+ * PATCH /discussions/posts/31/moderation
+ * { "hidden": true }
+ */
+router.patch("/discussions/posts/:post_id/moderation", authenticate, isTeacher, requireOwnership(scopes.discussionPost("post_id")), discussionController.moderatePost)
+
+/**
+ * @route DELETE /discussions/posts/:post_id
+ * @description Exclui uma resposta (professor ou autor).
+ *
+ * @param {number} post_id - ID da resposta.
+ * @returns {Object} Mensagem de confirmação.
+ *
+ * @example
+ * DELETE /discussions/posts/31
+ */
+router.delete("/discussions/posts/:post_id", authenticate, isParticipant, requireOwnership(scopes.discussionPost("post_id"), { students: true }), discussionController.deletePost)
+
+module.exports = router
@@ -2,8 +2,11 @@
  * routes/downloadRoute.js
  * Rota para servir downloads e visualização de materiais estáticos.
  *
- * Endpoint:
+ * Endpoints:
  *  - GET /materials/:filename
+ *  - GET /files/:bucket/*key — arquivos do armazenamento local (`STORAGE_DRIVER=local`,
+ *    ver `utils/storage/localAdapter`). Exige os parâmetros `expires` e `signature` das
+ *    URLs assinadas, exceto nos buckets públicos (imagens).
  *
  * Query params suportados:
  *  - download=true : força o download enviando header `Content-Disposition`.
@@ -24,6 +27,7 @@ const express = require("express")
 const path = require("path")
 const router = express.Router()
 const fs = require("fs")
+const localFiles = require("../utils/storage/localAdapter")
 
 
 router.get("/materials/:filename", (request, response) => {
@@ -42,4 +46,30 @@ router.get("/materials/:filename", (request, response) => {
   response.sendFile(filePath)
 })
 
+router.get("/files/:bucket/*key", (request, response) => {
+  const { bucket } = request.params
+  const key = request.params.key.join("/")
+
+  if (!localFiles.verify(bucket, key, request.query)) {
+    return response.status(403).json({ error: "Link expirado ou inválido" })
+  }
+
+  let filePath
+  try {
+    filePath = localFiles.resolvePath(bucket, key)
+  } catch {
+    return response.status(404).json({ error: "Arquivo não encontrado" })
+  }
+
+  if (!fs.existsSync(filePath)) {
+    return response.status(404).json({ error: "Arquivo não encontrado" })
+  }
+
+  if (request.query.download === "true") {
+    response.setHeader("Content-Disposition", `attachment; filename="${path.basename(filePath)}"`)
+  }
+
+  response.sendFile(filePath)
+})
+
 module.exports = router
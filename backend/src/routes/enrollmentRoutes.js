@@ -1,15 +1,48 @@
 const express = require("express");
 const router = express.Router();
 const EnrollmentController = require("../controllers/EnrollmentController");
-// Importe seu middleware de autenticação/verificação se o usuário é aluno
-// const { authenticate, isStudent } = require('../middleware/auth'); 
+const spreadsheet = require("../middleware/spreadsheet");
+const { ROLES, authenticate, requireRole, isStudent, requireOwnership, scopes } = require('../middleware/auth');
+const { bindContext } = require("../utils/auditContext");
 
 /**
  * @route POST /enrollments/join-with-code
  * @summary Matricula o aluno logado em uma turma usando um código de convite.
  */
-// router.post('/enrollments/join-with-code', authenticate, isStudent, EnrollmentController.joinWithCode);
-// Se não tiver middleware ainda:
-router.post('/enrollments/join-with-code', EnrollmentController.joinWithCode);
+router.post('/enrollments/join-with-code', authenticate, isStudent, EnrollmentController.joinWithCode);
 
-module.exports = router;
\ No newline at end of file
+/**
+ * @route POST /classes/:id/enrollments/import
+ * @summary Prévia (dry-run) da matrícula em lote a partir de uma planilha CSV/XLSX com e-mails ou matrículas.
+ * @param {number} id.path.required - ID da turma.
+ * @param {File} file.formData.required - Planilha (campo multipart `file`, até 2MB).
+ */
+router.post('/classes/:id/enrollments/import', authenticate, requireRole(ROLES.COORDINATOR, ROLES.TEACHER), requireOwnership(scopes.class("id")), (req, res, next) => {
+    spreadsheet.single("file")(req, res, bindContext((err) => {
+        if (err) {
+            if (err.code === "LIMIT_FILE_SIZE") {
+                return res.status(400).json({ success: false, message: "A planilha excede 2 MB." });
+            }
+            return res.status(400).json({ success: false, message: err.message });
+        }
+        next();
+    }));
+}, EnrollmentController.previewImport);
+
+/**
+ * @route POST /classes/:id/enrollments/import/:import_id/confirm
+ * @summary Confirma a matrícula em lote, gravando os alunos válidos em `class_student`.
+ * @param {number} id.path.required - ID da turma.
+ * @param {number} import_id.path.required - ID da importação gerada na prévia.
+ */
+router.post('/classes/:id/enrollments/import/:import_id/confirm', authenticate, requireRole(ROLES.COORDINATOR, ROLES.TEACHER), requireOwnership(scopes.class("id")), EnrollmentController.confirmImport);
+
+/**
+ * @route GET /classes/:id/enrollments/import/:import_id/report
+ * @summary Baixa as linhas que falharam na matrícula em lote (`?format=csv|xlsx`).
+ * @param {number} id.path.required - ID da turma.
+ * @param {number} import_id.path.required - ID da importação.
+ */
+router.get('/classes/:id/enrollments/import/:import_id/report', authenticate, requireRole(ROLES.COORDINATOR, ROLES.TEACHER), requireOwnership(scopes.class("id")), EnrollmentController.importReport);
+
+module.exports = router;
@@ -10,6 +10,9 @@
 const express = require("express")
 const router = express.Router()
 const formController = require("../controllers/FormController")
+const { ROLES, authenticate, requireRole, isTeacher, isStudent, requireOwnership, rejectActorMismatch, scopes } = require("../middleware/auth")
+const uploadImage = require("../middleware/uploadImage")
+const { bindContext } = require("../utils/auditContext")
 
 /**
  * @route GET /form/relations/:class_id
@@ -22,7 +25,7 @@ const formController = require("../controllers/FormController")
  * @example
  * GET /form/relations/5
  */
-router.get("/form/relations/:class_id", formController.getRelations)
+router.get("/form/relations/:class_id", authenticate, isTeacher, requireOwnership(scopes.class("class_id")), formController.getRelations)
 
 /**
  * @route POST /form/publish
@@ -34,7 +37,33 @@ router.get("/form/relations/:class_id", formController.getRelations)
  * @example
  * POST /form/publish
  */
-router.post("/form/publish", formController.publish)
+router.post("/form/publish", authenticate, isTeacher, requireOwnership(async (request) => [
+    await scopes.class("class_id", "body")(request),
+    await scopes.subject("subject_id", "body")(request)
+]), rejectActorMismatch("created_by"), formController.publish)
+
+/**
+ * @route POST /form/images
+ * @description Envia uma imagem (PNG ou JPG, até 5 MB) para um enunciado ou opção de questão.
+ * O endereço retornado é usado depois no campo `image_url` da questão ou da opção.
+ *
+ * @param {FormData} image - Arquivo de imagem enviado no campo "image".
+ * @returns {Object} Status da operação e `url` da imagem.
+ *
+ * @example
+ * POST /form/images
+ */
+router.post("/form/images", authenticate, isTeacher, (request, response, next) => {
+    uploadImage.single("image")(request, response, bindContext((err) => {
+        if (err) {
+            if (err.code === "LIMIT_FILE_SIZE") {
+                return response.status(400).json({ status: false, message: "A imagem excede o limite de 5 MB." })
+            }
+            return response.status(400).json({ status: false, message: err.message })
+        }
+        next()
+    }))
+}, formController.uploadImage)
 
 /**
  * @route GET /form/:id
@@ -46,11 +75,12 @@ router.post("/form/publish", formController.publish)
  * @example
  * GET /form/12
  */
-router.get("/form/:id", formController.findFormByUser)
+router.get("/form/:id", authenticate, requireRole(ROLES.COORDINATOR, ROLES.TEACHER), requireOwnership(scopes.class("id")), formController.findFormByUser)
 
 /**
  * @route GET /form/view/:id
  * @description Retorna as informações completas de um formulário, incluindo questões e opções.
+ * Alunos recebem a versão que responderam; professores podem informar `?version=`.
  *
  * @param {number} id - ID do formulário.
  * @returns {Object} Dados completos do formulário.
@@ -58,7 +88,7 @@ router.get("/form/:id", formController.findFormByUser)
  * @example
  * GET /form/view/8
  */
-router.get("/form/view/:id", formController.view)
+router.get("/form/view/:id", authenticate, requireOwnership(scopes.form("id"), { students: true }), formController.view)
 
 /**
  * @route DELETE /form/:id
@@ -70,7 +100,117 @@ router.get("/form/view/:id", formController.view)
  * @example
  * DELETE /form/3
  */
-router.delete("/form/:id", formController.delete)
+router.delete("/form/:id", authenticate, isTeacher, requireOwnership(scopes.form("id")), formController.delete)
+
+/**
+ * @route PATCH /form/:id
+ * @description Atualiza título, descrição, prazo e duração de um formulário.
+ * Se o formulário já possui respostas, uma nova versão é criada.
+ *
+ * @param {number} id - ID do formulário.
+ * @body {Object} data - Campos a alterar (`title`, `description`, `deadline`, `totalDuration`).
+ * @returns {Object} Versão resultante do formulário.
+ *
+ * @example
+ * PATCH /form/3
+ */
+router.patch("/form/:id", authenticate, isTeacher, requireOwnership(scopes.form("id")), formController.update)
+
+/**
+ * @route PATCH /form/:id/questions/:question_id
+ * @description Atualiza enunciado, pontuação e opções de uma questão da versão atual.
+ * Com `regrade: true`, os envios existentes são recalculados com o novo gabarito.
+ *
+ * @param {number} id - ID do formulário.
+ * @param {number} question_id - ID da questão.
+ * @body {Object} data - `text`, `points`, `options` (`id`, `text`, `correct`) e `regrade`.
+ * @returns {Object} Versão resultante, ID atual da questão e total de envios recalculados.
+ *
+ * @example
+ * PATCH /form/3/questions/10
+ */
+router.patch("/form/:id/questions/:question_id", authenticate, isTeacher, requireOwnership(scopes.form("id")), formController.updateQuestion)
+
+/**
+ * @route PUT /form/:id/questions/:question_id/rubric
+ * @description Define a rubrica de correção (critérios e níveis) de uma questão aberta.
+ * Com `criteria` vazio, a rubrica é removida.
+ *
+ * @param {number} id - ID do formulário.
+ * @param {number} question_id - ID da questão.
+ * @body {Object[]} criteria - Critérios (`title`, `description`, `levels` com `label`, `description` e `points`).
+ * @returns {Object} Rubrica gravada.
+ *
+ * @example
+ * PUT /form/3/questions/10/rubric
+ */
+router.put("/form/:id/questions/:question_id/rubric", authenticate, isTeacher, requireOwnership(scopes.form("id")), formController.updateRubric)
+
+/**
+ * @route PATCH /form/:id/options/:option_id
+ * @description Atualiza o texto ou o gabarito de uma opção da versão atual.
+ * Com `regrade: true`, os envios existentes são recalculados com o novo gabarito.
+ *
+ * @param {number} id - ID do formulário.
+ * @param {number} option_id - ID da opção.
+ * @body {Object} data - `text`, `correct` e `regrade`.
+ * @returns {Object} Versão resultante, ID atual da opção e total de envios recalculados.
+ *
+ * @example
+ * PATCH /form/3/options/42
+ */
+router.patch("/form/:id/options/:option_id", authenticate, isTeacher, requireOwnership(scopes.form("id")), formController.updateOption)
+
+/**
+ * @route GET /form/:id/versions
+ * @description Retorna o histórico de versões de um formulário.
+ *
+ * @param {number} id - ID do formulário.
+ * @returns {Array<Object>} Versões com autor, data e quantidade de envios.
+ *
+ * @example
+ * GET /form/3/versions
+ */
+router.get("/form/:id/versions", authenticate, requireRole(ROLES.COORDINATOR, ROLES.TEACHER), requireOwnership(scopes.form("id")), formController.versions)
+
+/**
+ * @route POST /form/:id/regrade
+ * @description Recorrige os envios com o gabarito atual: todo o formulário ou, com `question_id`,
+ * apenas os envios que responderam a questão. Registra as notas antes e depois.
+ *
+ * @param {number} id - ID do formulário.
+ * @body {number} [question_id] - Questão da versão atual.
+ * @returns {Object} Envios avaliados, alterados e quantidade de alunos com nota alterada.
+ *
+ * @example
+ * POST /form/3/regrade
+ */
+router.post("/form/:id/regrade", authenticate, isTeacher, requireOwnership(scopes.form("id")), formController.regrade)
+
+/**
+ * @route GET /form/:id/regrades
+ * @description Histórico de recorreções do formulário, com as notas antes e depois de cada envio alterado.
+ *
+ * @param {number} id - ID do formulário.
+ * @returns {Array<Object>} Recorreções com as alterações.
+ *
+ * @example
+ * GET /form/3/regrades
+ */
+router.get("/form/:id/regrades", authenticate, requireRole(ROLES.COORDINATOR, ROLES.TEACHER), requireOwnership(scopes.form("id")), formController.regrades)
+
+/**
+ * @route GET /form/:id/statistics
+ * @description Análise de itens do formulário: percentual de acerto e frequência das opções por questão,
+ * índice de discriminação (27% superiores x 27% inferiores), média, desvio padrão e histograma das notas.
+ *
+ * @param {number} id - ID do formulário.
+ * @returns {Object} Estatísticas do formulário.
+ *
+ * @example
+ * GET /form/3/statistics
+ */
+router.get("/form/:id/statistics", authenticate, requireRole(ROLES.COORDINATOR, ROLES.TEACHER), requireOwnership(scopes.form("id")), formController.statistics)
 
 /**
  * @route POST /form/class/:class_id
@@ -82,7 +222,7 @@ router.delete("/form/:id", formController.delete)
  * @example
  * POST /form/class/2
  */
-router.post("/form/class/:class_id", formController.getFormByClassId)
+router.post("/form/class/:class_id", authenticate, isStudent, requireOwnership(scopes.class("class_id"), { students: true }), rejectActorMismatch("user_id"), formController.getFormByClassId)
 
 /**
  * @route POST /form/answers
@@ -94,7 +234,32 @@ router.post("/form/class/:class_id", formController.getFormByClassId)
  * @example
  * POST /form/answers
  */
-router.post("/form/answers", formController.saveAnswers)
+router.post("/form/answers", authenticate, isStudent, requireOwnership(scopes.form("form_id", "body"), { students: true }), rejectActorMismatch("user_id"), formController.saveAnswers)
+
+/**
+ * @route POST /form/:id/attempts
+ * @description Inicia (ou retoma) a tentativa do aluno; o tempo do simulado passa a ser contado pelo servidor.
+ *
+ * @param {number} id - ID do formulário.
+ * @returns {Object} Tentativa com `expires_at`, `remaining_seconds` e respostas salvas.
+ *
+ * @example
+ * POST /form/5/attempts
+ */
+router.post("/form/:id/attempts", authenticate, isStudent, requireOwnership(scopes.form("id"), { students: true }), formController.startAttempt)
+
+/**
+ * @route PUT /form/:id/attempts/current
+ * @description Salva automaticamente as respostas da tentativa em andamento.
+ *
+ * @param {number} id - ID do formulário.
+ * @body {Object[]} answers - Respostas parciais.
+ * @returns {Object} Status e tempo restante.
+ *
+ * @example
+ * PUT /form/5/attempts/current
+ */
+router.put("/form/:id/attempts/current", authenticate, isStudent, requireOwnership(scopes.form("id"), { students: true }), formController.saveDraft)
 
 /**
  * @route GET /form/correction/:subject_id
@@ -106,7 +271,7 @@ router.post("/form/answers", formController.saveAnswers)
  * @example
  * GET /form/correction/4
  */
-router.get("/form/correction/:subject_id", formController.formCorrection)
+router.get("/form/correction/:subject_id", authenticate, isTeacher, requireOwnership(scopes.subject("subject_id")), formController.formCorrection)
 
 /**
  * @route GET /form/answers/:form_id
@@ -118,11 +283,12 @@ router.get("/form/correction/:subject_id", formController.formCorrection)
  * @example
  * GET /form/answers/7
  */
-router.get("/form/answers/:form_id", formController.answersStudents)
+router.get("/form/answers/:form_id", authenticate, isTeacher, requireOwnership(scopes.form("form_id")), formController.answersStudents)
 
 /**
  * @route POST /form/save/correction
  * @description Salva as correções feitas pelo professor nas respostas dos alunos.
+ * A nota de cada resposta pode vir da rubrica (`scores`), de uma pontuação parcial (`points`) ou do `status`.
  *
  * @body {Array<Object>} corrections - Correções aplicadas.
  * @returns {Object} Resultado da operação.
@@ -130,7 +296,7 @@ router.get("/form/answers/:form_id", formController.answersStudents)
  * @example
  * POST /form/save/correction
  */
-router.post("/form/save/correction", formController.saveCorrection)
+router.post("/form/save/correction", authenticate, isTeacher, requireOwnership(scopes.answers()), rejectActorMismatch("teacher_id"), formController.saveCorrection)
 
 /**
  * @route GET /form/student/pending
@@ -141,7 +307,7 @@ router.post("/form/save/correction", formController.saveCorrection)
  * @example
  * GET /form/student/pending
  */
-router.get("/form/student/pending", formController.getStudentPendingForms)
+router.get("/form/student/pending", authenticate, isStudent, formController.getStudentPendingForms)
 
 /**
  * @route GET /form/results/:form_id
@@ -153,8 +319,8 @@ router.get("/form/student/pending", formController.getStudentPendingForms)
  * @example
  * GET /form/results/10
  */
-router.get("/form/results/:form_id", formController.getResultForm)
+router.get("/form/results/:form_id", authenticate, isStudent, requireOwnership(scopes.form("form_id"), { students: true }), formController.getResultForm)
 
-router.get("/form/status/:form_id", formController.formStatus)
+router.get("/form/status/:form_id", authenticate, isStudent, requireOwnership(scopes.form("form_id"), { students: true }), formController.formStatus)
 
 module.exports = router
@@ -5,7 +5,8 @@
  * Endpoints:
  *  - POST /material
  *      Recebe um arquivo (campo multipart/form-data `materials`) e metadados no body
- *      (title, description, type, created_by, subject_id, opcional class_id).
+ *      (title, description, type, subject_id, opcional class_id). O autor (`created_by`)
+ *      é sempre o usuário autenticado.
  *      O middleware `Archive` (multer) valida o upload e limita o tamanho (5MB).
  *      Em caso de sucesso, `materialController.register` persiste o arquivo e os
  *      metadados na base de dados e retorna { status: true, message, subject_id }.
@@ -29,9 +30,11 @@ const express = require("express")
 const router = express.Router()
 const materialController = require("../controllers/materialController")
 const archiveUpload = require("../middleware/Archive")
+const { authenticate, isTeacher, isStudent, requireOwnership, rejectActorMismatch, scopes } = require("../middleware/auth")
+const { bindContext } = require("../utils/auditContext")
 
-router.post("/material", (request, response, next) => {
-    archiveUpload.single("materials")(request, response, (err) => {
+router.post("/material", authenticate, isTeacher, (request, response, next) => {
+    archiveUpload.single("materials")(request, response, bindContext((err) => {
         if (err) {
             if (err.code === "LIMIT_FILE_SIZE") {
                 return response.status(400).json({ status: false, message: "O ficheiro excede 5 MB." })
@@ -39,8 +42,11 @@ router.post("/material", (request, response, next) => {
             return response.status(400).json({ status: false, message: err.message })
         }
         next()
-    })
-}, materialController.register)
+    }))
+}, requireOwnership((request) => request.body.class_id
+    ? scopes.class("class_id", "body")(request)
+    : scopes.subject("subject_id", "body")(request)
+), rejectActorMismatch("created_by"), materialController.register)
 
 
 /**
@@ -70,7 +76,7 @@ router.post("/material", (request, response, next) => {
  * Essa rota exclui um material com base no `id` informado.
  * Caso o material não exista ou o ID seja inválido, é retornada uma mensagem de erro apropriada.
  */
-router.delete("/material/:id", materialController.delete)
+router.delete("/material/:id", authenticate, isTeacher, requireOwnership(scopes.material("id")), materialController.delete)
 
 
 /**
@@ -126,7 +132,7 @@ router.delete("/material/:id", materialController.delete)
  * Essa rota retorna todos os materiais cadastrados para uma turma específica,
  * incluindo título, tipo de arquivo, nome da turma e data de atualização.
  */
-router.get('/material/class/:class_id', materialController.getMaterialsClass)
+router.get('/material/class/:class_id', authenticate, requireOwnership(scopes.class("class_id"), { students: true }), materialController.getMaterialsClass)
 
 
 
@@ -141,9 +147,9 @@ router.get('/material/class/:class_id', materialController.getMaterialsClass)
  * @returns {Object} 401 - Não autorizado (aluno não logado).
  * @returns {Object} 500 - Erro interno do servidor.
  */
-router.get('/material/student', materialController.getStudentMaterials)
+router.get('/material/student', authenticate, isStudent, materialController.getStudentMaterials)
 
-router.get(`/material/updates/:course_id`, materialController.getRecentUpdates)
+router.get(`/material/updates/:course_id`, authenticate, isStudent, materialController.getRecentUpdates)
 
 
 module.exports = router
@@ -0,0 +1,15 @@
+const express = require("express")
+const router = express.Router()
+const MedalController = require("../controllers/MedalController")
+const { authenticate, isStudent } = require("../middleware/auth")
+
+/**
+ * @route GET /medals/me
+ * @summary Lista as medalhas conquistadas e o progresso das próximas conquistas do aluno logado.
+ * @access Aluno
+ * @returns {Object} 200 - `{ status, total_points, by_rarity, earned, next }`
+ * @returns {Object} 401 - Usuário não autenticado
+ */
+router.get("/medals/me", authenticate, isStudent, MedalController.getMyMedals)
+
+module.exports = router
@@ -0,0 +1,88 @@
+/**
+ * @file notificationRoutes.js
+ * @description Rotas da central de notificações do usuário autenticado. As notificações
+ * são geradas pelos eventos da aplicação (`utils/notifier`) e entregues em tempo real
+ * pelo canal `GET /notifications/stream`.
+ *
+ * @module routes/notificationRoutes
+ */
+
+const express = require("express")
+const router = express.Router()
+const notificationController = require("../controllers/NotificationController")
+const { authenticate } = require("../middleware/auth")
+
+/**
+ * @route GET /notifications/stream
+ * @description Canal Server-Sent Events com as notificações do usuário (`ready`, `notification` e `read`).
+ *
+ * @returns {text/event-stream} Fluxo de eventos; a conexão permanece aberta.
+ *
+ * @example
+ * GET /notifications/stream
+ */
+router.get("/notifications/stream", authenticate, notificationController.stream)
+
+/**
+ * @route GET /notifications
+ * @description Lista as notificações do usuário e o total de não lidas.
+ *
+ * @query {boolean} [unread] - `true` para listar apenas as não lidas.
+ * @query {number} [before] - Cursor: menor `id` da página anterior.
+ * @query {number} [limit=20] - Tamanho da página (1 a 50).
+ * @returns {Object} `{ status, unread, notifications }`
+ *
+ * @example
+ * GET /notifications?unread=true
+ */
+router.get("/notifications", authenticate, notificationController.list)
+
+/**
+ * @route GET /notifications/preferences
+ * @description Preferências de e-mail do usuário (lembretes de prazo e resumo semanal).
+ *
+ * @returns {Object} `{ status, preferences }`
+ *
+ * @example
+ * GET /notifications/preferences
+ */
+router.get("/notifications/preferences", authenticate, notificationController.getPreferences)
+
+/**
+ * @route PUT /notifications/preferences
+ * @description Ativa ou desativa os e-mails automáticos do usuário.
+ *
+ * @body {boolean} [deadline_reminders] - Lembretes 24h e 1h antes do prazo dos simulados.
+ * @body {boolean} [weekly_digest] - Resumo semanal de materiais e notas.
+ * @returns {Object} Preferências salvas.
+ *
+ * @example
+ * PUT /notifications/preferences
+ * { "weekly_digest": false }
+ */
+router.put("/notifications/preferences", authenticate, notificationController.updatePreferences)
+
+/**
+ * @route PATCH /notifications/read-all
+ * @description Marca todas as notificações do usuário como lidas.
+ *
+ * @returns {Object} Quantidade de notificações atualizadas.
+ *
+ * @example
+ * PATCH /notifications/read-all
+ */
+router.patch("/notifications/read-all", authenticate, notificationController.markAllRead)
+
+/**
+ * @route PATCH /notifications/:id/read
+ * @description Marca uma notificação do usuário como lida.
+ *
+ * @param {number} id - ID da notificação.
+ * @returns {Object} Total de não lidas após a leitura.
+ *
+ * @example
+ * PATCH /notifications/12/read
+ */
+router.patch("/notifications/:id/read", authenticate, notificationController.markRead)
+
+module.exports = router
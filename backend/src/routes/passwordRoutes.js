@@ -0,0 +1,45 @@
+const express = require("express")
+const router = express.Router()
+const passwordController = require("../controllers/passwordController")
+
+/**
+ * @module passwordRoutes
+ * @description Rotas públicas do fluxo de recuperação de senha.
+ */
+
+
+/**
+ * @route POST /password/request-code
+ * @summary Envia um código de recuperação para o email informado.
+ * @param {string} email.body.required - Email do usuário.
+ * @returns {object} 200 - Mensagem genérica (não revela se o email existe).
+ * @returns {object} 422 - Email inválido.
+ * @returns {object} 429 - Limite de solicitações atingido para o email.
+ */
+router.post("/password/request-code", passwordController.requestCode)
+
+/**
+ * @route POST /password/verify-code
+ * @summary Verifica se o código de recuperação é válido.
+ * @param {string} email.body.required - Email do usuário.
+ * @param {string} code.body.required - Código de 6 dígitos.
+ * @returns {object} 200 - Código válido.
+ * @returns {object} 400 - Código inválido ou expirado.
+ */
+router.post("/password/verify-code", passwordController.verifyCode)
+
+/**
+ * @route POST /password/reset
+ * @summary Redefine a senha usando o código de recuperação.
+ * @param {string} email.body.required - Email do usuário.
+ * @param {string} code.body.required - Código de 6 dígitos.
+ * @param {string} password.body.required - Nova senha.
+ * @param {string} confirm_password.body.required - Confirmação da nova senha.
+ * @returns {object} 200 - Senha redefinida; sessões anteriores encerradas.
+ * @returns {object} 400 - Código inválido ou expirado.
+ * @returns {object} 422 - Dados inválidos.
+ */
+router.post("/password/reset", passwordController.resetPassword)
+
+
+module.exports = router
@@ -1,18 +1,19 @@
 const express = require("express");
 const router = express.Router();
 const PerformanceController = require("../controllers/PerformanceController");
-// Importe seu middleware de autenticação (ex: verifyToken, isStudent)
-// const { authenticate, isStudent } = require('../middleware/auth');
+const { authenticate, isStudent } = require('../middleware/auth');
 
 /**
  * @route GET /performance/me
  * @summary Busca os dados de desempenho acadêmico do aluno logado.
  * @description Rota protegida para alunos.
  */
-// router.get('/performance/me', authenticate, isStudent, PerformanceController.getStudentPerformance);
-// Se não tiver middleware de 'isStudent' ainda:
-router.get('/performance/me', PerformanceController.getStudentPerformance); // <-- Correção aqui
+router.get('/performance/me', authenticate, isStudent, PerformanceController.getStudentPerformance);
 
-router.get('/performance/recent', PerformanceController.recentNotes)
+/**
+ * @route GET /performance/recent
+ * @summary Busca as notas mais recentes do aluno logado.
+ */
+router.get('/performance/recent', authenticate, isStudent, PerformanceController.recentNotes)
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
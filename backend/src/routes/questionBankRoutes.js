@@ -0,0 +1,80 @@
+/**
+ * @file questionBankRoutes.js
+ * @description Rotas do banco de questões por disciplina. As questões do banco podem
+ * ser importadas em novos simulados pelo `POST /form/publish` (campo `bank_question_id`).
+ *
+ * @module routes/questionBankRoutes
+ */
+
+const express = require("express")
+const router = express.Router()
+const questionBankController = require("../controllers/QuestionBankController")
+const { ROLES, authenticate, requireRole, isTeacher, requireOwnership, rejectActorMismatch, scopes } = require("../middleware/auth")
+
+/**
+ * @route GET /bank/subject/:subject_id
+ * @description Pesquisa as questões do banco de uma disciplina, com estatísticas de uso.
+ *
+ * @param {number} subject_id - ID da disciplina.
+ * @query {string} [search] - Trecho do enunciado.
+ * @query {string} [topic] - Tema.
+ * @query {string} [difficulty] - Dificuldade (`facil`, `media`, `dificil`).
+ * @query {string} [type] - Tipo da questão.
+ * @query {string} [tag] - Tag.
+ * @returns {Object} Questões e filtros disponíveis (temas e tags).
+ *
+ * @example
+ * GET /bank/subject/2?difficulty=facil&search=soma
+ */
+router.get("/bank/subject/:subject_id", authenticate, requireRole(ROLES.COORDINATOR, ROLES.TEACHER), requireOwnership(scopes.subject("subject_id")), questionBankController.list)
+
+/**
+ * @route GET /bank/:id
+ * @description Retorna uma questão do banco com opções, tags e estatísticas de uso.
+ *
+ * @param {number} id - ID da questão do banco.
+ * @returns {Object} Questão do banco.
+ *
+ * @example
+ * GET /bank/7
+ */
+router.get("/bank/:id", authenticate, requireRole(ROLES.COORDINATOR, ROLES.TEACHER), requireOwnership(scopes.bankQuestion("id")), questionBankController.view)
+
+/**
+ * @route POST /bank
+ * @description Cadastra uma questão no banco da disciplina.
+ *
+ * @body {Object} data - `subject_id`, `text`, `points`, `type`, `options`, `topic`, `difficulty` e `tags`.
+ * @returns {Object} ID da questão criada.
+ *
+ * @example
+ * POST /bank
+ */
+router.post("/bank", authenticate, isTeacher, requireOwnership(scopes.subject("subject_id", "body")), rejectActorMismatch("created_by"), questionBankController.create)
+
+/**
+ * @route PATCH /bank/:id
+ * @description Atualiza uma questão do banco.
+ *
+ * @param {number} id - ID da questão do banco.
+ * @body {Object} data - Campos a alterar.
+ * @returns {Object} Status da operação.
+ *
+ * @example
+ * PATCH /bank/7
+ */
+router.patch("/bank/:id", authenticate, isTeacher, requireOwnership(scopes.bankQuestion("id")), questionBankController.update)
+
+/**
+ * @route DELETE /bank/:id
+ * @description Remove uma questão do banco.
+ *
+ * @param {number} id - ID da questão do banco.
+ * @returns {Object} Status da operação.
+ *
+ * @example
+ * DELETE /bank/7
+ */
+router.delete("/bank/:id", authenticate, isTeacher, requireOwnership(scopes.bankQuestion("id")), questionBankController.delete)
+
+module.exports = router
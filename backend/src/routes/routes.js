@@ -15,6 +15,13 @@ const formRoutes = require("./formRoutes")
 const enrollmentRoutes = require("./enrollmentRoutes")
 const dashboardRoutes = require("./dashboardRoutes") 
 const performanceRoutes = require("./performanceRoutes")
+const passwordRoutes = require("./passwordRoutes")
+const medalRoutes = require("./medalRoutes")
+const questionBankRoutes = require("./questionBankRoutes")
+const notificationRoutes = require("./notificationRoutes")
+const announcementRoutes = require("./announcementRoutes")
+const discussionRoutes = require("./discussionRoutes")
+const assignmentRoutes = require("./assignmentRoutes")
 
 //Usar a rota
 router.use(dashboardRoutes)
@@ -27,6 +34,13 @@ router.use(classRoutes)
 router.use(formRoutes)
 router.use(enrollmentRoutes)
 router.use(performanceRoutes)
+router.use(passwordRoutes)
+router.use(medalRoutes)
+router.use(questionBankRoutes)
+router.use(notificationRoutes)
+router.use(announcementRoutes)
+router.use(discussionRoutes)
+router.use(assignmentRoutes)
 
 
 
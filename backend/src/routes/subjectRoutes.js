@@ -2,6 +2,7 @@ const express = require("express")
 const router = express.Router()
 const subjectController = require("../controllers/subjectController")
 const teacherController = require("../controllers/teacherController");
+const { ROLES, authenticate, requireRole, isCoordinator, isTeacher, requireOwnership, requireSelf, scopes } = require("../middleware/auth")
 
 /**
  * @module subjectRoutes
@@ -13,7 +14,7 @@ const teacherController = require("../controllers/teacherController");
  * @summary Rota para o PROFESSOR buscar os DETALHES de UMA disciplina.
  * @description VEM ANTES de '/subjects/teacher/:id' para ser encontrada primeiro.
  */
-router.get("/subjects/teacher/:id/details", subjectController.getScreenDetailsForTeacher);
+router.get("/subjects/teacher/:id/details", authenticate, isTeacher, requireOwnership(scopes.subject("id")), subjectController.getScreenDetailsForTeacher);
 
 
 
@@ -39,14 +40,14 @@ router.get("/subjects/teacher/:id/details", subjectController.getScreenDetailsFo
  *   }
  * ]
  */
-router.get("/subjects/teacher/:id", teacherController.getAllSubjects)
+router.get("/subjects/teacher/:id", authenticate, isTeacher, requireSelf("id"), teacherController.getAllSubjects)
 
 /**
  * @route GET /subjects/:id/details
  * @summary Rota para o COORDENADOR buscar os DETALHES de UMA disciplina.
  * @description VEM ANTES de '/subjects/:id' para não haver conflito.
  */
-router.get('/subjects/:id/details', subjectController.getScreenDetails);
+router.get('/subjects/:id/details', authenticate, isCoordinator, requireOwnership(scopes.subject("id")), subjectController.getScreenDetails);
 
 
 
@@ -58,7 +59,7 @@ router.get('/subjects/:id/details', subjectController.getScreenDetails);
  * @returns {Subject.model} 200 - Detalhes da disciplina
  * @returns {Error} 404 - Disciplina não encontrada
  */
-router.get('/subjects/:id', subjectController.getById)
+router.get('/subjects/:id', authenticate, isCoordinator, requireOwnership(scopes.subject("id")), subjectController.getById)
 
 /**
  * @route GET /subjects
@@ -67,7 +68,7 @@ router.get('/subjects/:id', subjectController.getById)
  * @returns {Array<Subject>} 200 - Lista de disciplinas
  * @returns {Error} 500 - Erro interno do servidor
  */
-router.get('/subjects', subjectController.list)
+router.get('/subjects', authenticate, isCoordinator, subjectController.list)
 
 /**
  * @route POST /subjects
@@ -80,7 +81,7 @@ router.get('/subjects', subjectController.list)
  * @returns {Subject.model} 201 - Disciplina criada
  * @returns {Error} 400 - Dados inválidos
  */
-router.post('/subjects', subjectController.create)
+router.post('/subjects', authenticate, isCoordinator, requireOwnership(scopes.course("course_valid_id", "body")), subjectController.create)
 
 /**
  * @route PUT /subjects/:id
@@ -93,7 +94,10 @@ router.post('/subjects', subjectController.create)
  * @returns {Subject.model} 200 - Disciplina atualizada
  * @returns {Error} 404 - Disciplina não encontrada
  */
-router.put('/subjects/:id', subjectController.update)
+router.put('/subjects/:id', authenticate, isCoordinator, requireOwnership(async (request) => request.body.course_valid_id
+    ? [await scopes.subject("id")(request), await scopes.course("course_valid_id", "body")(request)]
+    : scopes.subject("id")(request)
+), subjectController.update)
 
 /**
  * @route DELETE /subjects/:id
@@ -103,7 +107,7 @@ router.put('/subjects/:id', subjectController.update)
  * @returns {object} 200 - Mensagem de sucesso
  * @returns {Error} 404 - Disciplina não encontrada
  */
-router.delete('/subjects/:id', subjectController.delete)
+router.delete('/subjects/:id', authenticate, isCoordinator, requireOwnership(scopes.subject("id")), subjectController.delete)
 
 
 /**
@@ -129,7 +133,7 @@ router.delete('/subjects/:id', subjectController.delete)
  *   { id: 13, title: "Aula 2 - Exercícios", type_file: "DOC", created_by: 2 }
  * ]
  */
-router.get("/subject/materiais/:id", subjectController.getAllMateriais)
+router.get("/subject/materiais/:id", authenticate, requireRole(ROLES.COORDINATOR, ROLES.TEACHER), requireOwnership(scopes.subject("id")), subjectController.getAllMateriais)
 
 
 /**
@@ -152,7 +156,7 @@ router.get("/subject/materiais/:id", subjectController.getAllMateriais)
  * // Resposta de sucesso:
  * { "subject_id": 7 }
  */
-router.get('/subject/user/:id', subjectController.findSubjectByUser)
+router.get('/subject/user/:id', authenticate, requireOwnership(scopes.class("id"), { students: true }), subjectController.findSubjectByUser)
 
 
 
@@ -161,6 +165,6 @@ router.get('/subject/user/:id', subjectController.findSubjectByUser)
  * @summary Busca todos os detalhes de uma disciplina para a tela de gerenciamento.
  * @param {number} id.path.required - ID da disciplina.
  */
-router.get('/:id/details', subjectController.getScreenDetails)
+router.get('/:id/details', authenticate, isCoordinator, requireOwnership(scopes.subject("id")), subjectController.getScreenDetails)
 
 module.exports = router
@@ -2,6 +2,8 @@ const express = require("express")
 const router = express.Router()
 const userController = require("../controllers/userController")
 const uploadImage = require("../middleware/uploadImage")
+const { authenticate, isCoordinator, requireOwnership, requireSelf, rejectActorMismatch, scopes } = require("../middleware/auth")
+const { bindContext } = require("../utils/auditContext")
 
 
 /**
@@ -67,7 +69,7 @@ router.get('/user/session', userController.session)
  * @returns {object} 200 - Dados do utilizador.
  * @returns {object} 404 - Utilizador não encontrado.
  */
-router.get('/user/:id', userController.getUserById)
+router.get('/user/:id', authenticate, requireSelf("id"), userController.getUserById)
 
 
 
@@ -77,7 +79,7 @@ router.get('/user/:id', userController.getUserById)
  * @returns {object} 200 - Lista de alunos.
  * @returns {object} 404 - Nenhum aluno encontrado.
  */
-router.get('/users/students/:id', userController.getStudents)
+router.get('/users/students/:id', authenticate, isCoordinator, requireSelf("id"), userController.getStudents)
 
 /**
  * @route DELETE /users/students/:id
@@ -86,7 +88,7 @@ router.get('/users/students/:id', userController.getStudents)
  * @returns {object} 200 - Aluno apagado com sucesso.
  * @returns {object} 404 - Aluno não encontrado.
  */
-router.delete('/users/students/:id', userController.deleteStudent)
+router.delete('/users/students/:id', authenticate, isCoordinator, requireOwnership(scopes.student("id")), userController.deleteStudent)
 
 
 
@@ -111,8 +113,8 @@ router.delete('/users/students/:id', userController.deleteStudent)
  *   body: formData
  * }).then(res => res.json()).then(data => console.log(data));
  */
-router.put("/user/photo/:id", (request, response, next) => {
-    uploadImage.single("photo")(request, response, (err) => {
+router.put("/user/photo/:id", authenticate, requireSelf("id"), (request, response, next) => {
+    uploadImage.single("photo")(request, response, bindContext((err) => {
         if (err) {
             if (err.code === "LIMIT_FILE_SIZE") {
                 return response.status(400).json({ status: false, message: "A imagem excede o limite de 5 MB." })
@@ -120,7 +122,7 @@ router.put("/user/photo/:id", (request, response, next) => {
             return response.status(400).json({ status: false, message: err.message })
         }
         next()
-    })
+    }))
 }, userController.editPhoto)
 
 
@@ -140,7 +142,7 @@ router.put("/user/photo/:id", (request, response, next) => {
  *   "photo": "/uploads/user123.jpg"
  * }
  */
-router.get("/user/photo/:id", userController.findPhoto)
+router.get("/user/photo/:id", authenticate, requireSelf("id"), userController.findPhoto)
 
 /**
  * @route PUT /user/photo/delete/:id
@@ -159,7 +161,7 @@ router.get("/user/photo/:id", userController.findPhoto)
  *   "message": "Foto removida com sucesso!"
  * }
  */
-router.put("/user/photo/delete/:id", userController.removePhoto)
+router.put("/user/photo/delete/:id", authenticate, requireSelf("id"), userController.removePhoto)
 
 /**
  * @route GET /user/expire/session/:id
@@ -177,7 +179,7 @@ router.put("/user/photo/delete/:id", userController.removePhoto)
  *   "expire": "2025-10-08T23:59:59.000Z"
  * }
  */
-router.get("/user/expire/session/:id", userController.findSessionById)
+router.get("/user/expire/session/:id", authenticate, requireSelf("id"), userController.findSessionById)
 
 /**
  * @route PATCH /user/edit/:id
@@ -205,9 +207,9 @@ router.get("/user/expire/session/:id", userController.findSessionById)
  *   "confirm_password": "novaSenha"
  * }
  */
-router.patch("/user/edit/:id", userController.edit)
+router.patch("/user/edit/:id", authenticate, requireSelf("id"), userController.edit)
 
-router.patch("/user/join/course", userController.joinCourse)
+router.patch("/user/join/course", authenticate, rejectActorMismatch("user_id"), userController.joinCourse)
 
 
 module.exports = router
@@ -0,0 +1,111 @@
+const Joi = require("joi")
+const validator = require("validator")
+
+/**
+ * Validação das atividades com entrega de arquivo (`POST /classes/:id/assignments`
+ * e `PATCH /assignments/:id`) e da avaliação das entregas.
+ *
+ * Políticas de atraso (`late_policy`):
+ * - `reject`: entregas após o prazo são recusadas;
+ * - `accept`: entregas após o prazo são aceitas e marcadas como atrasadas;
+ * - `penalty`: aceitas com desconto de `late_penalty`% da nota por dia (ou fração) de atraso.
+ *
+ * @module assignmentSchema
+ */
+
+/** Políticas de atraso aceitas. */
+const LATE_POLICIES = ["reject", "accept", "penalty"]
+
+/** Tamanho máximo das instruções de uma atividade. */
+const MAX_INSTRUCTIONS_LENGTH = 5000
+
+const fields = {
+    title: Joi.string().trim().min(3).max(150).messages({ "*": "Título deve ter entre 3 e 150 caracteres." }),
+    instructions: Joi.string().trim().min(1).max(MAX_INSTRUCTIONS_LENGTH)
+        .messages({ "*": `As instruções devem ter entre 1 e ${MAX_INSTRUCTIONS_LENGTH} caracteres.` }),
+    due_at: Joi.string().trim()
+        .custom((value, helpers) => validator.isISO8601(value) ? value : helpers.error("any.invalid"))
+        .messages({ "*": "O campo 'prazo' deve ser uma data válida." }),
+    late_policy: Joi.string().valid(...LATE_POLICIES).messages({ "*": "Política de atraso inválida." }),
+    late_penalty: Joi.number().min(0).max(100).precision(2).messages({ "*": "O desconto por dia de atraso deve estar entre 0 e 100%." }),
+    max_points: Joi.number().greater(0).max(999.99).precision(2).messages({ "*": "Pontuação máxima inválida." })
+}
+
+const createSchema = Joi.object({
+    title: fields.title.required(),
+    instructions: fields.instructions.required(),
+    due_at: fields.due_at.required(),
+    late_policy: fields.late_policy.default("reject"),
+    late_penalty: fields.late_penalty.default(0),
+    max_points: fields.max_points.required()
+})
+
+const updateSchema = Joi.object(fields).min(1).messages({ "object.min": "Nenhuma alteração informada." })
+
+/**
+ * Valida e normaliza os dados de uma atividade. Campos desconhecidos são descartados.
+ *
+ * @param {Object} body - Corpo da requisição.
+ * @param {boolean} [partial=false] - `true` na edição (apenas os campos enviados são validados).
+ * @returns {{error: string|null, value: Object|undefined}} Primeira mensagem de erro (ou `null`) e os dados normalizados.
+ *
+ * @example
+ * const { error, value } = validateAssignment(request.body)
+ * if (error) return response.status(422).json({ status: false, message: error })
+ */
+function validateAssignment(body, partial = false) {
+    const schema = partial ? updateSchema : createSchema
+    const { error, value } = schema.validate(body || {}, { abortEarly: true, stripUnknown: true })
+    if (error) return { error: error.details[0].message, value: undefined }
+    return { error: null, value }
+}
+
+/**
+ * Valida a avaliação de uma entrega.
+ *
+ * @param {Object} body - Corpo da requisição (`points` e `comment`).
+ * @param {number} max_points - Pontuação máxima da atividade.
+ * @returns {{error: string|null, value: {points: number, comment: string|null}|undefined}}
+ */
+function validateGrade(body, max_points) {
+    const schema = Joi.object({
+        points: Joi.number().min(0).max(Number(max_points)).precision(2).required()
+            .messages({ "*": `A nota deve estar entre 0 e ${Number(max_points)}.` }),
+        comment: Joi.string().trim().max(MAX_INSTRUCTIONS_LENGTH).allow(null, "").empty("").default(null)
+            .messages({ "*": `O comentário deve ter no máximo ${MAX_INSTRUCTIONS_LENGTH} caracteres.` })
+    })
+    const { error, value } = schema.validate(body || {}, { abortEarly: true, stripUnknown: true })
+    if (error) return { error: error.details[0].message, value: undefined }
+    return { error: null, value }
+}
+
+/**
+ * Dias (ou frações de dia) de atraso de uma entrega.
+ *
+ * @param {Date|string} due_at - Prazo da atividade.
+ * @param {Date|string} submitted_at - Momento da entrega.
+ * @returns {number} `0` quando entregue no prazo.
+ */
+function lateDays(due_at, submitted_at) {
+    const diff = new Date(submitted_at) - new Date(due_at)
+    return diff > 0 ? Math.ceil(diff / (24 * 60 * 60 * 1000)) : 0
+}
+
+/**
+ * Nota final de uma entrega, com o desconto por atraso da política `penalty`.
+ *
+ * @param {number} points - Nota atribuída pelo professor.
+ * @param {{due_at: Date|string, submitted_at: Date|string, late_policy: string, late_penalty: number|string}} submission
+ * @returns {number}
+ *
+ * @example
+ * finalPoints(8, { due_at: "2025-12-10T23:59:00Z", submitted_at: "2025-12-11T10:00:00Z", late_policy: "penalty", late_penalty: 10 })
+ * // 7.2
+ */
+function finalPoints(points, { due_at, submitted_at, late_policy, late_penalty }) {
+    if (late_policy !== "penalty") return points
+    const discount = Math.min(1, lateDays(due_at, submitted_at) * Number(late_penalty) / 100)
+    return Math.round(points * (1 - discount) * 100) / 100
+}
+
+module.exports = { validateAssignment, validateGrade, lateDays, finalPoints, LATE_POLICIES }
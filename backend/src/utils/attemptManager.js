@@ -0,0 +1,213 @@
+const Form = require("../models/Form")
+const Attempt = require("../models/Attempt")
+const { isRandomized } = require("./formRandomizer")
+const { gradeAnswers, validateSubmission } = require("./gradingService")
+const { notifySubmissionReceived } = require("./notifier")
+
+/**
+ * Controle de tempo das tentativas de simulado.
+ *
+ * O tempo passa a ser contado pelo servidor: ao iniciar o simulado é aberta uma
+ * tentativa (`form_attempts`) com `expires_at = started_at + totalDuration`, limitado
+ * ao prazo (`deadline`) do formulário. Envios após o limite são recusados e o
+ * rascunho salvo automaticamente é enviado no lugar (`expired`). Tentativas
+ * abandonadas são finalizadas periodicamente por `sweepExpiredAttempts`.
+ *
+ * @module attemptManager
+ */
+
+/** Tolerância (em segundos) para atrasos de rede no envio. */
+const ATTEMPT_GRACE_SECONDS = 30
+
+/**
+ * Calcula o horário limite de uma nova tentativa.
+ *
+ * @param {Object} form - Formulário (`totalDuration` em minutos e `deadline`).
+ * @param {Date} [now=new Date()] - Horário de início.
+ * @returns {Date|null} Horário limite ou `null` quando não há limite.
+ */
+function computeExpiresAt(form, now = new Date()) {
+    const limits = []
+    if (Number(form.totalDuration) > 0) limits.push(now.getTime() + Number(form.totalDuration) * 60 * 1000)
+    if (form.deadline) limits.push(new Date(form.deadline).getTime())
+    return limits.length > 0 ? new Date(Math.min(...limits)) : null
+}
+
+/**
+ * Segundos restantes de uma tentativa (`null` quando não há limite).
+ *
+ * @param {Object} attempt - Tentativa.
+ * @param {Date} [now=new Date()]
+ * @returns {number|null}
+ */
+function remainingSeconds(attempt, now = new Date()) {
+    if (!attempt.expires_at) return null
+    return Math.max(0, Math.floor((new Date(attempt.expires_at).getTime() - now.getTime()) / 1000))
+}
+
+/**
+ * Indica se a tentativa passou do horário limite (considerando a tolerância).
+ *
+ * @param {Object} attempt - Tentativa.
+ * @param {Date} [now=new Date()]
+ * @returns {boolean}
+ */
+function isExpired(attempt, now = new Date()) {
+    if (!attempt.expires_at) return false
+    return now.getTime() > new Date(attempt.expires_at).getTime() + ATTEMPT_GRACE_SECONDS * 1000
+}
+
+/**
+ * Verifica se as respostas pertencem à versão do formulário em resolução
+ * e, em simulados sorteados, às questões sorteadas para o aluno.
+ * A conferência de questões, alternativas e duplicidades é feita por `gradingService`.
+ *
+ * @async
+ * @param {Object} form - Formulário (`id`, `shuffle_questions`, `shuffle_options`, `draw_count`).
+ * @param {number} student_id - ID do aluno.
+ * @param {number} form_version - Versão do formulário da tentativa.
+ * @param {Object[]} answers - Respostas (`question_id` com `option_id`, `open_answer` ou `response`).
+ * @returns {Promise<{error: string|null, question_ids: number[]|null, answers: Object[]}>}
+ * Mensagem de erro (ou `null`), as questões da instância do aluno (ou `null` se o formulário
+ * não é sorteado) e as respostas normalizadas.
+ */
+async function validateAnswers(form, student_id, form_version, answers) {
+    let question_ids = null
+    if (isRandomized(form)) {
+        const instance = await Form.findInstance(form.id, student_id)
+        question_ids = instance ? instance.question_ids : []
+        if (!answers.every(a => a && question_ids.includes(Number(a.question_id)))) {
+            return { error: "As respostas não correspondem às questões sorteadas para você.", question_ids, answers: [] }
+        }
+    }
+
+    const checked = await validateSubmission(form.id, form_version, answers, question_ids)
+    return { error: checked.error, question_ids, answers: checked.answers }
+}
+
+/**
+ * Corrige e grava as respostas de uma tentativa (resultado, respostas e registro de correção).
+ * Cada tentativa gera a sua própria linha em `results_form`; as gravações são atômicas
+ * (`Form.saveSubmission`).
+ *
+ * @async
+ * @param {Object} attempt - Tentativa (`id`, `form_id`, `student_id`, `form_version`).
+ * @param {Object[]} answers - Respostas já validadas.
+ * @param {number[]|null} question_ids - Questões sorteadas para o aluno (ou `null`).
+ * @returns {Promise<{success: boolean, class_id?: number, unanswered?: number}>}
+ */
+async function saveSubmission(attempt, answers, question_ids) {
+    const { form_id, student_id, form_version } = attempt
+
+    const key = await Form.getAnswerKey(form_id, form_version, question_ids)
+    if (!key) return { success: false }
+    const stats = gradeAnswers(key, answers)
+
+    // Respostas estruturadas já gravam a pontuação parcial obtida
+    const formattedAnswers = answers.map(({ question_id, option_id, open_answer, response }) => ({
+        form_id,
+        user_id: student_id,
+        attempt_id: attempt.id,
+        question_id,
+        option_id: option_id || null,
+        open_answer: open_answer || null,
+        response: response ? JSON.stringify(response) : null,
+        awarded_points: stats.awarded[question_id] ?? null,
+    }))
+
+    const saved = await Form.saveSubmission({
+        form_id,
+        student_id,
+        attempt_id: attempt.id,
+        points: stats.total_points,
+        correct: stats.correct,
+        wrong: stats.wrong,
+        form_version,
+    }, formattedAnswers)
+    if (!saved.success) return { success: false }
+
+    const classData = await Form.getClassIdByForm(form_id)
+
+    return { success: true, class_id: classData ? classData.class_id : undefined, unanswered: stats.unanswered }
+}
+
+/**
+ * Finaliza uma tentativa e grava as respostas.
+ *
+ * A tentativa é finalizada antes da gravação para impedir envios duplicados;
+ * se a gravação falhar, ela é reaberta. O professor autor é notificado do envio.
+ *
+ * @async
+ * @param {Object} attempt - Tentativa em andamento.
+ * @param {Object[]} answers - Respostas já validadas.
+ * @param {number[]|null} question_ids - Questões sorteadas para o aluno (ou `null`).
+ * @param {"submitted"|"expired"} [status="submitted"] - Status final.
+ * @returns {Promise<{success: boolean, duplicated?: boolean, class_id?: number, unanswered?: number}>}
+ */
+async function submitAttempt(attempt, answers, question_ids, status = "submitted") {
+    const finished = await Attempt.finish(attempt.id, status)
+    if (!finished) return { success: false, duplicated: true }
+
+    const result = await saveSubmission(attempt, answers, question_ids)
+    if (!result.success) await Attempt.reopen(attempt.id)
+    else await notifySubmissionReceived(attempt.form_id, attempt.student_id, status)
+    return result
+}
+
+/**
+ * Envia automaticamente o rascunho de uma tentativa expirada.
+ * Respostas do rascunho que não pertencem mais ao formulário são descartadas.
+ *
+ * @async
+ * @param {Object} attempt - Tentativa em andamento.
+ * @returns {Promise<boolean>} `true` se a tentativa foi finalizada.
+ */
+async function autoSubmit(attempt) {
+    const form = await Form.getFormById(attempt.form_id, attempt.form_version)
+    let answers = attempt.answers || []
+    let question_ids = null
+
+    if (form) {
+        const checked = await validateAnswers(form[0], attempt.student_id, attempt.form_version, answers)
+        answers = checked.error ? [] : checked.answers
+        question_ids = checked.question_ids
+    } else {
+        answers = []
+    }
+
+    const result = await submitAttempt(attempt, answers, question_ids, "expired")
+    return result.success
+}
+
+/**
+ * Finaliza todas as tentativas abandonadas após o horário limite.
+ * Executada periodicamente pelo servidor.
+ *
+ * @async
+ * @returns {Promise<number>} Quantidade de tentativas finalizadas.
+ */
+async function sweepExpiredAttempts() {
+    const before = new Date(Date.now() - ATTEMPT_GRACE_SECONDS * 1000)
+    const expired = await Attempt.findExpired(before)
+
+    let count = 0
+    for (const attempt of expired) {
+        try {
+            if (await autoSubmit(attempt)) count++
+        } catch (err) {
+            console.error("Erro ao enviar tentativa expirada:", err)
+        }
+    }
+    return count
+}
+
+module.exports = {
+    ATTEMPT_GRACE_SECONDS,
+    computeExpiresAt,
+    remainingSeconds,
+    isExpired,
+    validateAnswers,
+    submitAttempt,
+    autoSubmit,
+    sweepExpiredAttempts
+}
@@ -0,0 +1,73 @@
+const { AsyncLocalStorage, AsyncResource } = require("async_hooks")
+
+/**
+ * Contexto de auditoria por requisição.
+ *
+ * Guarda, durante todo o ciclo de uma requisição, quem está agindo (`actor_id`)
+ * e de onde veio a ação (IP, método e rota). O registro central de escritas
+ * (`auditLog`) lê esse contexto a cada inserção, atualização ou exclusão, sem que
+ * os models precisem receber o usuário por parâmetro.
+ *
+ * @module auditContext
+ */
+
+/** @type {AsyncLocalStorage<{actor_id: number|null, ip: string|null, method: string|null, path: string|null}>} */
+const storage = new AsyncLocalStorage()
+
+/**
+ * Middleware que abre o contexto de auditoria da requisição.
+ * Deve ser registrado depois do middleware de sessão.
+ *
+ * @param {import("express").Request} request
+ * @param {import("express").Response} response
+ * @param {import("express").NextFunction} next
+ */
+function auditContext(request, response, next) {
+  const sessionUser = request.session && request.session.user
+  const context = {
+    actor_id: sessionUser ? sessionUser.id : null,
+    ip: request.ip || null,
+    method: request.method,
+    path: request.originalUrl
+  }
+  storage.run(context, () => next())
+}
+
+/**
+ * Define o usuário que está agindo na requisição atual.
+ * Chamado pelo middleware `authenticate` depois de validar a sessão.
+ *
+ * @param {number|null} actor_id - ID do usuário autenticado.
+ */
+function setActor(actor_id) {
+  const context = storage.getStore()
+  if (context) context.actor_id = actor_id
+}
+
+/**
+ * Retorna o contexto de auditoria da requisição atual.
+ * Fora de uma requisição (scripts, seeds) retorna um contexto vazio.
+ *
+ * @returns {{actor_id: number|null, ip: string|null, method: string|null, path: string|null}}
+ */
+function getAuditContext() {
+  return storage.getStore() || { actor_id: null, ip: null, method: null, path: null }
+}
+
+/**
+ * Liga um callback ao contexto atual.
+ *
+ * Necessário em callbacks disparados por eventos do stream da requisição
+ * (ex.: o callback do Multer), que do contrário rodam fora do contexto.
+ *
+ * @param {Function} fn
+ * @returns {Function}
+ *
+ * @example
+ * upload.single("file")(request, response, bindContext((err) => next(err)))
+ */
+function bindContext(fn) {
+  return AsyncResource.bind(fn)
+}
+
+module.exports = { auditContext, setActor, getAuditContext, bindContext }
@@ -0,0 +1,143 @@
+const { getAuditContext } = require("./auditContext")
+
+/**
+ * Registro central de auditoria.
+ *
+ * Toda inserção, atualização e exclusão executada pelo Knex é gravada em `audit_logs`
+ * com o contexto da requisição atual (`auditContext`): quem agiu, IP, método e rota.
+ * Os models não registram nada por conta própria, então nenhuma escrita fica de fora.
+ *
+ * Escritas feitas dentro de uma transação ficam pendentes e só são gravadas no commit;
+ * no rollback (inclusive de um savepoint) elas são descartadas.
+ *
+ * @module auditLog
+ */
+
+/** Tabelas que não são auditadas: o próprio log e o controle de migrations. */
+const IGNORED_TABLES = ["audit_logs", "knex_migrations", "knex_migrations_lock"]
+
+/** Campos que nunca são gravados no log de auditoria. */
+const SENSITIVE_FIELDS = ["password", "code_hash"]
+
+/** Comando SQL de escrita e a tabela afetada. */
+const WRITE_STATEMENT = /^\s*(insert\s+into|update|delete\s+from)\s+"?(\w+)"?/i
+
+/**
+ * Prepara um valor para o log: remove campos sensíveis e converte expressões SQL
+ * (ex.: `knex.fn.now()`) para texto.
+ *
+ * @param {*} data
+ * @returns {*}
+ */
+function sanitize(data) {
+    if (Array.isArray(data)) return data.map(sanitize)
+    if (!data || typeof data !== "object" || data instanceof Date) return data
+    if (typeof data.toSQL === "function") return data.toString()
+    const clean = {}
+    for (const [key, value] of Object.entries(data)) {
+        if (!SENSITIVE_FIELDS.includes(key)) clean[key] = sanitize(value)
+    }
+    return clean
+}
+
+/**
+ * Identifica o registro afetado: o `id` devolvido por `returning` ou o filtro
+ * `where id = ?` da consulta, quando houver um único.
+ *
+ * @param {*} response - Resposta da consulta.
+ * @param {Object|undefined} builder - Query builder (ausente em `knex.raw`).
+ * @returns {string|null}
+ */
+function recordId(response, builder) {
+    if (Array.isArray(response) && response.length === 1 && response[0] && response[0].id !== undefined) {
+        return String(response[0].id)
+    }
+    const filters = builder && Array.isArray(builder._statements)
+        ? builder._statements.filter(s => s.grouping === "where" && s.type === "whereBasic" && s.operator === "=" && /(^|\.)id$/.test(s.column))
+        : []
+    return filters.length === 1 && filters[0].value !== undefined ? String(filters[0].value) : null
+}
+
+/**
+ * Dados gravados pela consulta: valores inseridos ou alterados (incrementos aparecem
+ * como `+n`). Consultas em `knex.raw` não têm os dados estruturados e gravam `null`.
+ *
+ * @param {Object|undefined} builder
+ * @returns {Object|Object[]|null}
+ */
+function writtenData(builder) {
+    const single = builder && builder._single
+    if (!single) return null
+    if (single.insert) return sanitize(single.insert)
+    if (single.update || single.counter) {
+        const counters = Object.fromEntries(Object.entries(single.counter || {})
+            .map(([column, amount]) => [column, `${amount < 0 ? "" : "+"}${amount}`]))
+        return { ...sanitize(single.update || {}), ...counters }
+    }
+    return null
+}
+
+/**
+ * Passa a auditar as escritas de uma instância do Knex.
+ * Chamado uma única vez, ao criar a conexão (`database/connection`).
+ *
+ * @param {import("knex").Knex} knex
+ *
+ * @example
+ * const knex = require("knex")(config)
+ * watchWrites(knex)
+ */
+function watchWrites(knex) {
+    /** Escritas pendentes por conexão com transação aberta. @type {Map<string, {entries: Object[], savepoints: number[]}>} */
+    const pending = new Map()
+
+    const save = (entry) => {
+        knex("audit_logs").insert(entry).catch((err) => console.error("Erro ao registrar auditoria:", err))
+    }
+
+    knex.on("query", ({ sql, __knexUid }) => {
+        if (typeof sql !== "string") return
+        const transaction = pending.get(__knexUid)
+
+        if (/^BEGIN\b/i.test(sql)) {
+            pending.set(__knexUid, { entries: [], savepoints: [] })
+        } else if (!transaction) {
+            return
+        } else if (/^SAVEPOINT\b/i.test(sql)) {
+            transaction.savepoints.push(transaction.entries.length)
+        } else if (/^RELEASE SAVEPOINT\b/i.test(sql)) {
+            transaction.savepoints.pop()
+        } else if (/^ROLLBACK TO SAVEPOINT\b/i.test(sql)) {
+            transaction.entries.length = transaction.savepoints.pop() ?? transaction.entries.length
+        } else if (/^ROLLBACK\b/i.test(sql)) {
+            pending.delete(__knexUid)
+        } else if (/^COMMIT\b/i.test(sql)) {
+            pending.delete(__knexUid)
+            transaction.entries.forEach(save)
+        }
+    })
+
+    knex.on("query-response", (response, { sql, __knexUid }, builder) => {
+        const match = typeof sql === "string" && sql.match(WRITE_STATEMENT)
+        if (!match || IGNORED_TABLES.includes(match[2])) return
+
+        const context = getAuditContext()
+        const data = writtenData(builder)
+        const entry = {
+            actor_id: context.actor_id,
+            table_name: match[2],
+            action: match[1].split(/\s+/)[0].toLowerCase(),
+            record_id: recordId(response, builder),
+            data: data === null ? null : JSON.stringify(data),
+            ip: context.ip,
+            method: context.method,
+            path: context.path
+        }
+
+        const transaction = pending.get(__knexUid)
+        if (transaction) transaction.entries.push(entry)
+        else save(entry)
+    })
+}
+
+module.exports = { watchWrites }
@@ -0,0 +1,82 @@
+const { files, signedUrlOrNull } = require("./storage")
+
+/**
+ * Anexos dos avisos, das discussões e das entregas de atividades das turmas.
+ *
+ * Os arquivos chegam pelo middleware `Archive` (PDF, DOC, DOCX, PPT e PPTX, até 5MB)
+ * e ficam no mesmo bucket dos materiais (ver `storage`), em `evolvere/<pasta>/`. As listagens devolvem
+ * uma URL assinada temporária em `attachment_url`.
+ *
+ * @module classAttachments
+ */
+
+/** Bucket de armazenamento dos anexos. */
+const BUCKET = "materials"
+
+/** Validade (em segundos) das URLs assinadas. */
+const SIGNED_URL_TTL = 60 * 60
+
+/**
+ * Envia o anexo de uma requisição para o armazenamento.
+ *
+ * @async
+ * @param {Express.Multer.File|undefined} file - Arquivo recebido pelo multer (`request.file`).
+ * @param {"announcements"|"discussions"|"assignments"} folder - Pasta de destino.
+ * @returns {Promise<{attachment: string|null, attachment_name: string|null}|undefined>}
+ * Caminho e nome original do arquivo (ambos `null` sem arquivo) ou `undefined` se o envio falhar.
+ *
+ * @example
+ * const upload = await uploadAttachment(request.file, "announcements")
+ * if (!upload) return response.status(500).json({ status: false, message: "Erro ao enviar o anexo." })
+ */
+async function uploadAttachment(file, folder) {
+    if (!file) return { attachment: null, attachment_name: null }
+
+    try {
+        const safeName = file.originalname
+            .normalize("NFD")
+            .replace(/[\u0300-\u036f]/g, "")
+            .replace(/[^\w.-]+/g, "_")
+        const attachment = `evolvere/${folder}/${Date.now()}-${safeName}`
+
+        await files.put(BUCKET, attachment, file.buffer, { contentType: file.mimetype })
+        return { attachment, attachment_name: file.originalname.slice(0, 255) }
+    } catch (err) {
+        console.error("Erro ao enviar anexo:", err)
+        return undefined
+    }
+}
+
+/**
+ * Preenche `attachment_url` (URL assinada) em cada item que possui anexo.
+ *
+ * @async
+ * @param {Array<{attachment: string|null}>} items
+ * @returns {Promise<Array<Object>>} Os mesmos itens, com `attachment_url`.
+ */
+async function signAttachments(items) {
+    for (const item of items) {
+        item.attachment_url = await signedUrlOrNull(BUCKET, item.attachment, SIGNED_URL_TTL)
+    }
+    return items
+}
+
+/**
+ * Remove anexos do armazenamento. Falhas são apenas logadas.
+ *
+ * @async
+ * @param {Array<string|null>} paths - Caminhos dos anexos (`null` é ignorado).
+ * @returns {Promise<void>}
+ */
+async function removeAttachments(paths) {
+    const keys = paths.filter(Boolean)
+    if (keys.length === 0) return
+
+    try {
+        await files.delete(BUCKET, keys)
+    } catch (err) {
+        console.error("Erro ao remover anexos:", err)
+    }
+}
+
+module.exports = { uploadAttachment, signAttachments, removeAttachments }
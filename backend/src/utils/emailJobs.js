@@ -0,0 +1,151 @@
+const EmailDelivery = require("../models/EmailDelivery")
+const sendEmail = require("./sendEmail")
+const formatMessageDeadlineReminder = require("./messageDeadlineEmail")
+const formatMessageWeeklyDigest = require("./messageDigestEmail")
+
+/**
+ * Tarefas de e-mail executadas pelo agendador (`jobScheduler`).
+ *
+ * - Lembretes de prazo: 24 horas e 1 hora antes do `deadline` de cada simulado, para os
+ *   alunos da turma que ainda não enviaram (sem linha em `form_corrections`).
+ * - Resumo semanal: toda segunda-feira, a partir das 8h, com os materiais e as notas
+ *   dos últimos 7 dias. Alunos sem novidades não recebem e-mail.
+ *
+ * Quem desativou um tipo de envio (`notification_preferences`) é ignorado, e cada
+ * e-mail é reservado em `email_deliveries` antes do envio para nunca ser repetido.
+ *
+ * @module emailJobs
+ */
+
+/**
+ * Lembretes de prazo. Cada um cobre o intervalo entre `until` e `hours` horas antes do
+ * prazo, de modo que um simulado publicado com menos de 24 horas receba só os lembretes
+ * que ainda fazem sentido.
+ */
+const DEADLINE_REMINDERS = [
+    { kind: "deadline_24h", hours: 24, until: 1 },
+    { kind: "deadline_1h", hours: 1, until: 0 }
+]
+
+/** Dia da semana (0 = domingo) e hora do resumo semanal, no fuso do servidor. */
+const DIGEST_WEEKDAY = 1
+const DIGEST_HOUR = 8
+
+/** Prazo (em horas) após o horário do resumo para enviá-lo; depois disso a semana é pulada. */
+const DIGEST_WINDOW_HOURS = 24
+
+const HOUR = 60 * 60 * 1000
+
+/**
+ * Reserva, envia e, em caso de falha, libera um e-mail.
+ *
+ * @async
+ * @param {{user_id: number, kind: string, reference: string|number, email: string, subject: string, html: string}} delivery
+ * @returns {Promise<boolean>} `true` se o e-mail foi enviado agora.
+ */
+async function deliver({ user_id, kind, reference, email, subject, html }) {
+    const claimed = await EmailDelivery.claim(user_id, kind, reference)
+    if (!claimed) return false
+
+    const sent = await sendEmail(email, subject, html)
+    if (!sent) await EmailDelivery.release(user_id, kind, reference)
+    return sent
+}
+
+/**
+ * Envia os lembretes de prazo pendentes.
+ *
+ * @async
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>} Quantidade de e-mails enviados.
+ *
+ * @example
+ * await sendDeadlineReminders()
+ */
+async function sendDeadlineReminders(now = new Date()) {
+    let sent = 0
+    for (const { kind, hours, until } of DEADLINE_REMINDERS) {
+        const from = new Date(now.getTime() + until * HOUR)
+        const to = new Date(now.getTime() + hours * HOUR)
+        const recipients = await EmailDelivery.findDeadlineRecipients(kind, from, to)
+
+        for (const recipient of recipients) {
+            const { html } = formatMessageDeadlineReminder(recipient.username, recipient, hours)
+            const delivered = await deliver({
+                user_id: recipient.student_id,
+                kind,
+                reference: recipient.form_id,
+                email: recipient.email,
+                subject: `Prazo se encerrando: ${recipient.title} - Evolvere`,
+                html
+            })
+            if (delivered) sent++
+        }
+    }
+    return sent
+}
+
+/**
+ * Calcula a semana do resumo vigente: o último horário de envio (segunda-feira às 8h)
+ * até `now` e o período coberto (os 7 dias anteriores a ele).
+ *
+ * @param {Date} [now=new Date()]
+ * @returns {{reference: string, scheduled_at: Date, since: Date}} `reference` é a data do envio (`YYYY-MM-DD`).
+ *
+ * @example
+ * digestPeriod(new Date("2025-12-10T15:00:00"))
+ * // { reference: "2025-12-08", scheduled_at: 2025-12-08T08:00, since: 2025-12-01T08:00 }
+ */
+function digestPeriod(now = new Date()) {
+    const scheduled_at = new Date(now)
+    scheduled_at.setHours(DIGEST_HOUR, 0, 0, 0)
+    scheduled_at.setDate(scheduled_at.getDate() - ((scheduled_at.getDay() - DIGEST_WEEKDAY + 7) % 7))
+    if (scheduled_at > now) scheduled_at.setDate(scheduled_at.getDate() - 7)
+
+    const since = new Date(scheduled_at)
+    since.setDate(since.getDate() - 7)
+
+    const pad = (value) => String(value).padStart(2, "0")
+    const reference = `${scheduled_at.getFullYear()}-${pad(scheduled_at.getMonth() + 1)}-${pad(scheduled_at.getDate())}`
+
+    return { reference, scheduled_at, since }
+}
+
+/**
+ * Envia o resumo semanal aos alunos que ainda não o receberam nesta semana.
+ * Fora da janela de envio (24 horas após segunda-feira às 8h), não faz nada.
+ *
+ * @async
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>} Quantidade de e-mails enviados.
+ */
+async function sendWeeklyDigests(now = new Date()) {
+    const { reference, scheduled_at, since } = digestPeriod(now)
+    if (now.getTime() - scheduled_at.getTime() > DIGEST_WINDOW_HOURS * HOUR) return 0
+
+    let sent = 0
+    const recipients = await EmailDelivery.findDigestRecipients(reference)
+    for (const recipient of recipients) {
+        const content = await EmailDelivery.getDigestContent(recipient.student_id, since)
+        if (!content || (content.materials.length === 0 && content.grades.length === 0)) continue
+
+        const { html } = formatMessageWeeklyDigest(recipient.username, content)
+        const delivered = await deliver({
+            user_id: recipient.student_id,
+            kind: "weekly_digest",
+            reference,
+            email: recipient.email,
+            subject: "Seu resumo da semana - Evolvere",
+            html
+        })
+        if (delivered) sent++
+    }
+    return sent
+}
+
+module.exports = {
+    DEADLINE_REMINDERS,
+    sendDeadlineReminders,
+    sendWeeklyDigests,
+    digestPeriod
+}
@@ -0,0 +1,213 @@
+const crypto = require("crypto")
+const Form = require("../models/Form")
+
+/**
+ * Sorteio e embaralhamento de simulados por aluno.
+ *
+ * Um formulário pode embaralhar a ordem das questões (`shuffle_questions`), a ordem
+ * das opções (`shuffle_options`) e sortear `draw_count` questões do total cadastrado.
+ * Na primeira vez que o aluno abre o simulado é gerada uma semente; a instância
+ * resultante (questões sorteadas e ordem das opções) fica salva em `form_instances`
+ * e é reutilizada na resolução (`ResponseForm`), no gabarito (`TemplateForm`) e na
+ * correção (`Form.getAnswerKey`).
+ *
+ * Se o formulário ganhar uma nova versão antes do envio, a instância é refeita com
+ * a mesma semente sobre as questões da nova versão.
+ *
+ * @module formRandomizer
+ */
+
+/**
+ * Indica se o formulário usa alguma opção de sorteio/embaralhamento.
+ *
+ * @param {Object} form - Formulário (`shuffle_questions`, `shuffle_options`, `draw_count`).
+ * @returns {boolean}
+ */
+function isRandomized(form) {
+    return !!(form && (form.shuffle_questions || form.shuffle_options || form.draw_count))
+}
+
+/**
+ * Gera uma nova semente aleatória.
+ *
+ * @returns {number}
+ */
+function createSeed() {
+    return crypto.randomInt(1, 2 ** 31 - 1)
+}
+
+/**
+ * Gerador pseudoaleatório determinístico (mulberry32) a partir de uma semente.
+ *
+ * @param {number} seed
+ * @returns {() => number} Função que retorna números entre 0 (inclusivo) e 1 (exclusivo).
+ */
+function seededRandom(seed) {
+    let state = Number(seed) >>> 0
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0
+        let t = state
+        t = Math.imul(t ^ (t >>> 15), t | 1)
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+}
+
+/**
+ * Embaralha uma lista (Fisher-Yates) sem alterar a original.
+ *
+ * @param {Array} list
+ * @param {() => number} random - Gerador criado por `seededRandom`.
+ * @returns {Array}
+ */
+function shuffle(list, random) {
+    const result = [...list]
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1))
+        ;[result[i], result[j]] = [result[j], result[i]]
+    }
+    return result
+}
+
+/**
+ * Monta a instância de um aluno a partir das questões do formulário e da semente.
+ *
+ * As questões e opções são ordenadas por ID antes do sorteio, para que a mesma
+ * semente sempre produza o mesmo resultado.
+ *
+ * @param {Object} form - Formulário retornado por `Form.getFormById`.
+ * @param {number} seed - Semente do aluno.
+ * @returns {{question_ids: number[], option_order: Object<number, number[]>}}
+ *
+ * @example
+ * buildInstance({ shuffle_questions: true, draw_count: 2, questions: [...] }, 12345)
+ * // { question_ids: [14, 11], option_order: { 14: [40, 38, 39], 11: [] } }
+ */
+function buildInstance(form, seed) {
+    const random = seededRandom(seed)
+    let ids = form.questions.map(q => q.id).sort((a, b) => a - b)
+
+    const drawCount = Number(form.draw_count)
+    if (drawCount > 0 && drawCount < ids.length) {
+        const drawn = new Set(shuffle(ids, random).slice(0, drawCount))
+        ids = ids.filter(id => drawn.has(id))
+    }
+
+    if (form.shuffle_questions) ids = shuffle(ids, random)
+
+    const option_order = {}
+    for (const id of ids) {
+        const question = form.questions.find(q => q.id === id)
+        const optionIds = (question.options || []).map(o => o.id).sort((a, b) => a - b)
+        option_order[id] = form.shuffle_options ? shuffle(optionIds, random) : optionIds
+    }
+
+    return { question_ids: ids, option_order }
+}
+
+/**
+ * Aplica a instância do aluno ao formulário: mantém apenas as questões sorteadas,
+ * na ordem sorteada, reordena as opções e recalcula a pontuação total.
+ *
+ * @param {Object} form - Formulário retornado por `Form.getFormById`.
+ * @param {Object} instance - Instância salva (`question_ids`, `option_order`).
+ * @returns {Object} Formulário com `questions`, `total_points` e `instance` (`drawn`, `pool`).
+ */
+function applyInstance(form, instance) {
+    const byId = new Map(form.questions.map(q => [q.id, q]))
+    const questions = instance.question_ids
+        .filter(id => byId.has(id))
+        .map(id => {
+            const question = byId.get(id)
+            if (!question.options) return question
+            const order = instance.option_order[id] || []
+            const options = [...question.options].sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id))
+            return { ...question, options }
+        })
+
+    return {
+        ...form,
+        questions,
+        total_points: questions.reduce((sum, q) => sum + Number(q.points || 0), 0),
+        instance: { drawn: questions.length, pool: form.questions.length }
+    }
+}
+
+/**
+ * Remove o gabarito do formulário entregue ao aluno enquanto ele ainda pode respondê-lo.
+ *
+ * - Retira `numeric_answer`, `tolerance` e, das opções, `correct`, `position` e `match_text`.
+ * - As colunas da direita das associações vão em `match_targets`, embaralhadas.
+ * - As opções seguem a ordem por ID (ou a da instância, se `shuffle_options`); nas
+ *   questões de ordenação são sempre embaralhadas, já que a ordem cadastrada é a resposta.
+ *
+ * O embaralhamento usa uma semente fixa por aluno e formulário, então recarregar a
+ * página não muda a ordem exibida.
+ *
+ * @param {Object} form - Formulário retornado por `Form.getFormById` (ou por `applyInstance`).
+ * @param {number} student_id - ID do aluno.
+ * @returns {Object} Formulário sem o gabarito.
+ *
+ * @example
+ * const studentForm = hideAnswerKey(form, 15)
+ * // studentForm.questions[0].options → [{ id, text, image_url }]
+ */
+function hideAnswerKey(form, student_id) {
+    const seed = crypto.createHash("sha256").update(`${form.id}:${student_id}`).digest().readUInt32BE(0)
+    const random = seededRandom(seed)
+
+    const questions = form.questions.map(({ numeric_answer, tolerance, ...question }) => {
+        if (!question.options) return question
+        const byId = [...question.options].sort((a, b) => a.id - b.id)
+        const ordered = question.type === "ordenacao"
+            ? shuffle(byId, random)
+            : form.shuffle_options ? question.options : byId
+        const hidden = { ...question, options: ordered.map(({ correct, position, match_text, ...option }) => option) }
+        if (question.type === "associacao") {
+            hidden.match_targets = shuffle(byId.map(o => o.match_text).filter(Boolean), random)
+        }
+        return hidden
+    })
+
+    return { ...form, questions }
+}
+
+/**
+ * Retorna a instância do aluno para a versão do formulário informada, criando-a
+ * (ou refazendo-a com a mesma semente, se a versão mudou) quando necessário.
+ *
+ * @async
+ * @param {Object} form - Formulário retornado por `Form.getFormById` (com `version`).
+ * @param {number} student_id - ID do aluno.
+ * @returns {Promise<Object|undefined>} Instância (`seed`, `question_ids`, `option_order`) ou `undefined` em caso de erro.
+ *
+ * @example
+ * const instance = await resolveInstance(form, 15)
+ * const studentForm = applyInstance(form, instance)
+ */
+async function resolveInstance(form, student_id) {
+    const existing = await Form.findInstance(form.id, student_id)
+    if (existing && existing.form_version === form.version) return existing
+
+    const seed = existing ? Number(existing.seed) : createSeed()
+    const data = { form_version: form.version, seed, ...buildInstance(form, seed) }
+
+    if (existing) {
+        const updated = await Form.updateInstance(existing.id, data)
+        return updated ? { ...existing, ...data } : undefined
+    }
+
+    const saved = await Form.saveInstance({ form_id: form.id, student_id, ...data })
+    if (!saved) return undefined
+
+    // Outra requisição pode ter criado a instância ao mesmo tempo: vale a que foi salva
+    return await Form.findInstance(form.id, student_id)
+}
+
+module.exports = {
+    isRandomized,
+    buildInstance,
+    applyInstance,
+    hideAnswerKey,
+    resolveInstance
+}
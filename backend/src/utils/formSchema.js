@@ -0,0 +1,270 @@
+const Joi = require("joi")
+const validator = require("validator")
+const QuestionFieldValidator = require("./questionValidator")
+const { sanitizeRichText } = require("./richText")
+
+/**
+ * Validação do payload de publicação de simulados (`POST /form/publish`).
+ *
+ * O schema cobre o formulário inteiro — dados gerais, política de tentativas e
+ * cada questão com suas opções — para que nada seja gravado a partir de um payload
+ * parcialmente válido. Regras por tipo de questão:
+ * - múltipla escolha: ao menos duas opções e exatamente uma correta;
+ * - verdadeiro/falso: as opções "Verdadeiro" e "Falso", nessa ordem, com uma correta;
+ * - aberta: sem opções (a rubrica é conferida por `QuestionFieldValidator.validateRubric`);
+ * - múltipla seleção: ao menos duas opções e ao menos uma correta (pontuação parcial);
+ * - numérica: resposta (`numeric_answer`) e tolerância (`tolerance`, padrão 0), sem opções;
+ * - associação: ao menos dois pares, cada opção com o texto da coluna da direita (`match_text`);
+ * - ordenação: ao menos dois itens, enviados na ordem correta.
+ *
+ * Enunciados e textos de opções aceitam o conteúdo formatado de `richText` (código e
+ * fórmulas LaTeX) e são limpos antes de gravar; questões e opções podem ter uma imagem
+ * (`image_url`, enviada antes por `POST /form/images`). Opções com imagem podem ficar sem texto.
+ *
+ * Os tipos de resposta estruturada (`QuestionFieldValidator.STRUCTURED_TYPES`) não podem
+ * ser salvos no banco de questões.
+ *
+ * Questões importadas do banco (`bank_question_id`) trazem enunciado, tipo e opções
+ * do próprio banco; do payload só são usadas a pontuação e a rubrica.
+ *
+ * @module formSchema
+ */
+
+/** Opções de uma questão de verdadeiro/falso, na ordem exibida. */
+const TRUE_FALSE_OPTIONS = ["Verdadeiro", "Falso"]
+
+/** Critérios de nota para formulários com várias tentativas. */
+const SCORE_STRATEGIES = ["best", "last", "average"]
+
+/** Tipos aceitos em questões criadas no simulado. */
+const FORM_QUESTION_TYPES = [...QuestionFieldValidator.QUESTION_TYPES, ...QuestionFieldValidator.STRUCTURED_TYPES]
+
+/**
+ * Mensagens das regras de listas de opções. Usam códigos próprios porque mensagens
+ * por código declaradas em uma lista valeriam também para os campos dentro dela.
+ */
+const OPTION_RULES = {
+    "options.min": "A questão deve ter ao menos duas opções.",
+    "options.one_correct": "Selecione exatamente uma opção correta.",
+    "options.some_correct": "Selecione ao menos uma opção correta.",
+    "options.true_false": "Questões de verdadeiro/falso devem ter as opções 'Verdadeiro' e 'Falso'.",
+    "options.pairs": "A questão deve ter ao menos dois pares.",
+    "options.items": "A questão deve ter ao menos dois itens para ordenar.",
+    "options.none": "Este tipo de questão não possui opções."
+}
+
+/** Mensagens para erros na estrutura das listas (ex: `questions` ausente ou vazio). */
+const CONTAINER_MESSAGES = {
+    questions: "O simulado deve ter ao menos uma questão.",
+    options: "Opções inválidas.",
+    rubric: "Rubrica inválida.",
+    tags: "Cada tag deve ter entre 1 e 50 caracteres."
+}
+
+const id = (message) => Joi.number().integer().min(1).messages({ "*": message })
+
+/**
+ * Texto formatado (`richText`), devolvido já limpo.
+ *
+ * @param {"question"|"option"} kind - Define o tamanho máximo.
+ * @param {string} message - Mensagem para texto ausente ou vazio.
+ */
+const richText = (kind, message) => Joi.string()
+    .custom((value, helpers) => {
+        const { error, value: clean } = sanitizeRichText(value, { kind })
+        return error ? helpers.error("richtext.invalid", { reason: error }) : clean
+    })
+    .messages({ "*": message, "richtext.invalid": "{#reason}" })
+
+const imageUrl = Joi.string().trim().max(500).uri({ scheme: ["https", "http"] })
+    .allow(null).empty("").default(null)
+    .messages({ "*": "Imagem inválida." })
+
+const points = Joi.number().min(0).max(999.99).precision(2).messages({ "*": "Pontuação inválida." })
+
+/**
+ * Regra de uma lista de opções: quantidade mínima e, opcionalmente, quantas corretas.
+ *
+ * @param {Object} rule
+ * @param {number} [rule.min=2] - Quantidade mínima de opções.
+ * @param {string} [rule.minCode="options.min"] - Código do erro de quantidade.
+ * @param {"one"|"some"|null} [rule.correct=null] - Exige exatamente uma ou ao menos uma correta.
+ */
+const optionRule = ({ min = 2, minCode = "options.min", correct = null }) => (options, helpers) => {
+    if (options.length < min) return helpers.error(minCode)
+    const count = options.filter(o => o.correct).length
+    if (correct === "one" && count !== 1) return helpers.error("options.one_correct")
+    if (correct === "some" && count === 0) return helpers.error("options.some_correct")
+    return options
+}
+
+const optionText = richText("option", "Todas as opções devem estar preenchidas.").required()
+
+const option = Joi.object({
+    text: Joi.when("image_url", {
+        is: Joi.string().min(1),
+        then: richText("option", "Texto da opção inválido.").allow("").default(""),
+        otherwise: optionText
+    }),
+    image_url: imageUrl,
+    correct: Joi.boolean().default(false).messages({ "*": "Opção correta inválida." })
+})
+
+const optionList = (items, rule) => Joi.array().items(items).required().custom(optionRule(rule)).messages(OPTION_RULES)
+
+const multipleChoiceOptions = optionList(option, { correct: "one" })
+
+const multipleSelectOptions = optionList(option, { correct: "some" })
+
+const trueFalseOptions = Joi.array().items(option).required()
+    .custom((options, helpers) =>
+        options.length === TRUE_FALSE_OPTIONS.length && options.every((o, i) => o.text === TRUE_FALSE_OPTIONS[i])
+            ? optionRule({ correct: "one" })(options, helpers)
+            : helpers.error("options.true_false"))
+    .messages(OPTION_RULES)
+
+const matchingOptions = optionList(Joi.object({
+    text: optionText,
+    image_url: imageUrl,
+    match_text: Joi.string().trim().max(255).required()
+        .messages({ "*": "Todos os pares devem ter os dois lados preenchidos (máximo de 255 caracteres)." })
+}), { minCode: "options.pairs" })
+
+const orderingOptions = optionList(Joi.object({ text: optionText, image_url: imageUrl }), { minCode: "options.items" })
+
+const noOptions = Joi.array().default([])
+    .custom((options, helpers) => options.length === 0 ? options : helpers.error("options.none"))
+    .messages(OPTION_RULES)
+
+const rubric = Joi.array().items(Joi.object().unknown()).allow(null)
+
+const newQuestion = Joi.object({
+    text: richText("question", "Enunciado da questão obrigatório.").required(),
+    image_url: imageUrl,
+    type: Joi.string().valid(...FORM_QUESTION_TYPES).required().messages({ "*": "Tipo de questão inválido." }),
+    points: points.required(),
+    options: Joi.when("type", {
+        switch: [
+            { is: "aberta", then: noOptions },
+            { is: "verdadeiro/falso", then: trueFalseOptions },
+            { is: "multipla_selecao", then: multipleSelectOptions },
+            { is: "numerica", then: noOptions },
+            { is: "associacao", then: matchingOptions },
+            { is: "ordenacao", then: orderingOptions }
+        ],
+        otherwise: multipleChoiceOptions
+    }),
+    numeric_answer: Joi.when("type", {
+        is: "numerica",
+        then: Joi.number().required().messages({ "*": "Informe a resposta numérica." }),
+        otherwise: Joi.any().strip()
+    }),
+    tolerance: Joi.when("type", {
+        is: "numerica",
+        then: Joi.number().min(0).allow(null).empty("").default(0).messages({ "*": "Tolerância inválida." }),
+        otherwise: Joi.any().strip()
+    }),
+    rubric,
+    save_to_bank: Joi.when("type", {
+        is: Joi.valid(...QuestionFieldValidator.STRUCTURED_TYPES),
+        then: Joi.boolean().valid(false).default(false).messages({ "*": "Este tipo de questão não pode ser salvo no banco de questões." }),
+        otherwise: Joi.boolean().default(false).messages({ "*": "Opção de salvar no banco inválida." })
+    }),
+    topic: Joi.string().trim().max(100).allow(null, "").messages({ "*": "Tema deve ter no máximo 100 caracteres." }),
+    difficulty: Joi.string().valid(...QuestionFieldValidator.DIFFICULTIES).allow(null, "").messages({ "*": "Dificuldade inválida." }),
+    tags: Joi.array().items(Joi.string().trim().min(1).max(50)).default([])
+})
+
+const bankQuestion = Joi.object({
+    bank_question_id: id("Questão do banco inválida.").required(),
+    points: points.allow(null),
+    rubric
+})
+
+const question = Joi.alternatives()
+    .conditional(".bank_question_id", { is: Joi.exist().not(null, ""), then: bankQuestion, otherwise: newQuestion })
+
+const publishSchema = Joi.object({
+    title: Joi.string().trim().min(3).max(150).required().messages({ "*": "Título deve ter entre 3 e 150 caracteres." }),
+    description: Joi.string().trim().max(255).allow(null, "").messages({ "*": "Descrição deve ter no máximo 255 caracteres." }),
+    subject_id: id("Disciplina inválida.").required(),
+    class_id: id("Turma inválida.").required(),
+    deadline: Joi.string().trim().required()
+        .custom((value, helpers) => validator.isISO8601(value) ? value : helpers.error("any.invalid"))
+        .messages({ "*": "O campo 'prazo' deve ser uma data válida (YYYY-MM-DD)." }),
+    totalDuration: Joi.number().integer().min(0).empty(null).default(0).messages({ "*": "Duração inválida." }),
+    shuffle_questions: Joi.boolean().default(false).messages({ "*": "Opção de embaralhar questões inválida." }),
+    shuffle_options: Joi.boolean().default(false).messages({ "*": "Opção de embaralhar opções inválida." }),
+    draw_count: Joi.number().integer().min(1)
+        .max(Joi.ref("questions", { adjust: (list) => Array.isArray(list) ? list.length : 0 }))
+        .allow(null).empty("").default(null)
+        .messages({ "*": "A quantidade de questões sorteadas deve estar entre 1 e o total de questões." }),
+    max_attempts: Joi.number().integer().min(1).max(99).allow(null).default(1).messages({ "*": "Quantidade de tentativas inválida." }),
+    score_strategy: Joi.string().valid(...SCORE_STRATEGIES).default("best").messages({ "*": "Critério de nota inválido." }),
+    questions: Joi.array().items(question).min(1).required()
+})
+
+/**
+ * Mensagem de um erro de validação. Erros na estrutura das listas (lista ausente,
+ * vazia ou com itens de tipo errado) usam a mensagem da lista em `CONTAINER_MESSAGES`.
+ *
+ * @param {Object} detail - Item de `error.details` do Joi.
+ * @returns {string}
+ */
+function describeError(detail) {
+    const { path, type } = detail
+    const last = path[path.length - 1]
+    const isContainer = typeof last === "number" || CONTAINER_MESSAGES[last] !== undefined
+    if (!isContainer || OPTION_RULES[type]) return detail.message
+
+    const key = [...path].reverse().find(k => typeof k === "string")
+    if (key === "questions" && typeof last === "number") return "Questão inválida."
+    return CONTAINER_MESSAGES[key] || detail.message
+}
+
+/**
+ * Valida e normaliza o payload de publicação de um simulado.
+ *
+ * Campos desconhecidos são descartados. Erros em questões indicam a posição
+ * (ex: "Questão 2: Selecione exatamente uma opção correta.").
+ *
+ * @param {Object} body - Corpo da requisição.
+ * @returns {{error: string|null, value: Object|undefined}} Primeira mensagem de erro (ou `null`) e o payload normalizado.
+ *
+ * @example
+ * const { error, value } = validatePublish(request.body)
+ * if (error) return response.status(422).json({ status: false, message: error })
+ */
+function validatePublish(body) {
+    const { error, value } = publishSchema.validate(body || {}, { abortEarly: true, stripUnknown: true })
+    if (!error) return { error: null, value }
+
+    const [detail] = error.details
+    const message = describeError(detail)
+    const index = detail.path[0] === "questions" && Number.isInteger(detail.path[1]) ? detail.path[1] : null
+    return {
+        error: index === null ? message : `Questão ${index + 1}: ${message}`,
+        value: undefined
+    }
+}
+
+/**
+ * Valida uma questão completa com as regras da publicação.
+ *
+ * Usada nas edições de questões e opções: a questão resultante (valores atuais com as
+ * alterações aplicadas) precisa continuar válida, por exemplo com exatamente uma opção
+ * correta em múltipla escolha.
+ *
+ * @param {Object} question - Questão (`text`, `image_url`, `type`, `points`, `options`,
+ * `numeric_answer` e `tolerance`).
+ * @returns {string|null} Mensagem de erro ou `null` se válida.
+ *
+ * @example
+ * const error = validateQuestion({ text: "2 + 2 = ?", type: "multipla_escolha", points: 1, options })
+ */
+function validateQuestion(question) {
+    const { error } = newQuestion.validate(question, { abortEarly: true, stripUnknown: true })
+    return error ? describeError(error.details[0]) : null
+}
+
+module.exports = { publishSchema, validatePublish, validateQuestion, TRUE_FALSE_OPTIONS, SCORE_STRATEGIES }
@@ -0,0 +1,169 @@
+const Form = require("../models/Form")
+const { checkResponse, scoreResponse, questionUsesResponse } = require("./responseScoring")
+
+/**
+ * Correção automática das respostas de um simulado.
+ *
+ * As respostas enviadas são conferidas contra o gabarito da versão respondida
+ * (`Form.getAnswerKey`) antes de qualquer cálculo: cada `question_id` precisa ser uma
+ * questão do formulário (e, em simulados sorteados, da instância do aluno), cada
+ * `option_id` uma opção daquela questão, e cada questão só pode ser respondida uma vez.
+ * A pontuação é calculada em memória sobre o gabarito — nenhum dado do envio entra no SQL.
+ *
+ * Além das questões de opção única, são corrigidas automaticamente as questões de
+ * resposta estruturada (`response`), com a pontuação parcial de `responseScoring`.
+ *
+ * Questões sem resposta (não enviadas, ou enviadas vazias) contam como em branco:
+ * não são acerto nem erro. Respostas com pontuação parcial contam como erro.
+ * Respostas abertas ficam para a correção do professor.
+ *
+ * @module gradingService
+ */
+
+const isBlank = (value) => value === undefined || value === null || value === ""
+
+const isId = (value) => (typeof value === "number" || typeof value === "string") && /^\d+$/.test(String(value)) && Number(value) > 0
+
+const round = (value) => Math.round(value * 100) / 100
+
+/**
+ * Confere as respostas contra o gabarito e as normaliza.
+ *
+ * @param {{questions: Object[], options: Object[]}} key - Gabarito (`Form.getAnswerKey`).
+ * @param {Object[]} answers - Respostas enviadas (`question_id` com `option_id`, `open_answer` ou `response`).
+ * @returns {{error: string|null, answers: Array<{question_id: number, option_id: number|null, open_answer: string|null, response: Object|null}>}}
+ * Mensagem de erro (ou `null`) e as respostas com IDs numéricos.
+ *
+ * @example
+ * checkAnswers(key, [{ question_id: "10", option_id: "40" }])
+ * // { error: null, answers: [{ question_id: 10, option_id: 40, open_answer: null, response: null }] }
+ */
+function checkAnswers(key, answers) {
+    const questions = new Map(key.questions.map(q => [Number(q.id), q]))
+    const options = new Map(key.options.map(o => [Number(o.id), o]))
+    const seen = new Set()
+    const normalized = []
+
+    for (const answer of answers) {
+        if (!answer || typeof answer !== "object" || !isId(answer.question_id)) {
+            return { error: "Resposta inválida.", answers: [] }
+        }
+        const question_id = Number(answer.question_id)
+        const question = questions.get(question_id)
+        if (!question) {
+            return { error: "As respostas não correspondem às questões do formulário.", answers: [] }
+        }
+        if (seen.has(question_id)) {
+            return { error: "Há mais de uma resposta para a mesma questão.", answers: [] }
+        }
+        seen.add(question_id)
+
+        let option_id = null
+        let open_answer = null
+        let response = null
+        if (question.type === "aberta") {
+            if (!isBlank(answer.option_id) || !isBlank(answer.response)) {
+                return { error: "Questões abertas não aceitam alternativas.", answers: [] }
+            }
+            if (!isBlank(answer.open_answer)) {
+                if (typeof answer.open_answer !== "string") return { error: "Resposta inválida.", answers: [] }
+                open_answer = answer.open_answer.trim() ? answer.open_answer : null
+            }
+        } else if (questionUsesResponse(question)) {
+            if (!isBlank(answer.option_id) || !isBlank(answer.open_answer)) {
+                return { error: "Resposta inválida para o tipo da questão.", answers: [] }
+            }
+            const questionOptions = key.options.filter(o => Number(o.question_id) === question_id)
+            const checked = checkResponse(question, questionOptions, answer.response)
+            if (checked.error) return { error: checked.error, answers: [] }
+            response = checked.response
+        } else {
+            if (!isBlank(answer.open_answer) || !isBlank(answer.response)) {
+                return { error: "Questões objetivas não aceitam resposta escrita.", answers: [] }
+            }
+            if (!isBlank(answer.option_id)) {
+                const option = isId(answer.option_id) ? options.get(Number(answer.option_id)) : undefined
+                if (!option || Number(option.question_id) !== question_id) {
+                    return { error: "A alternativa escolhida não pertence à questão.", answers: [] }
+                }
+                option_id = option.id
+            }
+        }
+
+        normalized.push({ question_id, option_id, open_answer, response })
+    }
+
+    return { error: null, answers: normalized }
+}
+
+/**
+ * Calcula acertos, erros, questões em branco e pontuação das respostas já conferidas.
+ *
+ * @param {{questions: Object[], options: Object[]}} key - Gabarito (`Form.getAnswerKey`).
+ * @param {Object[]} answers - Respostas normalizadas por `checkAnswers`.
+ * @returns {{correct: number, wrong: number, unanswered: number, pending: number, total_points: number, awarded: Object<number, number>}}
+ * `pending` são as respostas abertas aguardando correção e `awarded` a pontuação de cada
+ * resposta estruturada, por questão (gravada em `answers_form.awarded_points`).
+ */
+function gradeAnswers(key, answers) {
+    const byQuestion = new Map(answers.map(a => [a.question_id, a]))
+    const correctOptions = new Set(key.options.filter(o => o.correct).map(o => Number(o.id)))
+    const stats = { correct: 0, wrong: 0, unanswered: 0, pending: 0, total_points: 0, awarded: {} }
+
+    for (const question of key.questions) {
+        const answer = byQuestion.get(Number(question.id))
+        const points = Number(question.points)
+
+        if (question.type === "aberta") {
+            if (answer && answer.open_answer) stats.pending++
+            else stats.unanswered++
+            continue
+        }
+
+        if (questionUsesResponse(question)) {
+            if (!answer || !answer.response) {
+                stats.unanswered++
+                continue
+            }
+            const questionOptions = key.options.filter(o => Number(o.question_id) === Number(question.id))
+            const fraction = scoreResponse(question, questionOptions, answer.response)
+            const awarded = round(points * fraction)
+            stats.awarded[question.id] = awarded
+            stats.total_points += awarded
+            if (fraction === 1) stats.correct++
+            else stats.wrong++
+            continue
+        }
+
+        if (!answer || answer.option_id === null) {
+            stats.unanswered++
+        } else if (correctOptions.has(answer.option_id)) {
+            stats.correct++
+            stats.total_points += points
+        } else {
+            stats.wrong++
+        }
+    }
+
+    stats.total_points = round(stats.total_points)
+    return stats
+}
+
+/**
+ * Carrega o gabarito da versão respondida e confere as respostas enviadas.
+ *
+ * @param {number} form_id
+ * @param {number} form_version - Versão respondida pelo aluno.
+ * @param {Object[]} answers - Respostas enviadas.
+ * @param {number[]|null} [question_ids=null] - Questões da instância sorteada, se houver.
+ * @returns {Promise<{error: string|null, answers: Object[], key?: Object}>} Resultado de `checkAnswers` e o gabarito usado.
+ */
+async function validateSubmission(form_id, form_version, answers, question_ids = null) {
+    const key = await Form.getAnswerKey(form_id, form_version, question_ids)
+    if (!key) return { error: "Não foi possível carregar o gabarito.", answers: [] }
+
+    const checked = checkAnswers(key, answers)
+    return { ...checked, key }
+}
+
+module.exports = { checkAnswers, gradeAnswers, validateSubmission }
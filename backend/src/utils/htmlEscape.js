@@ -0,0 +1,15 @@
+/**
+ * Escapa caracteres especiais de HTML em textos cadastrados por usuários,
+ * antes de inseri-los nos templates de e-mail.
+ *
+ * @param {string} text
+ * @returns {string}
+ *
+ * @example
+ * escapeHtml('<b>Turma "A"</b>') // "&lt;b&gt;Turma &quot;A&quot;&lt;/b&gt;"
+ */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[char]))
+}
+
+module.exports = { escapeHtml }
@@ -0,0 +1,185 @@
+const QuestionFieldValidator = require("./questionValidator")
+
+/**
+ * Análise de itens (questões) de um simulado.
+ *
+ * Calculada sobre um envio por aluno (a tentativa escolhida pela política de tentativas,
+ * `student_form_scores.attempt_id`; na média, a última),
+ * a partir das respostas gravadas em `answers_form`:
+ * - percentual de acerto de cada questão (respostas abertas contam a pontuação parcial);
+ * - frequência de escolha de cada opção (distratores), inclusive nas questões de
+ *   múltipla seleção; associação e ordenação mostram apenas o acerto (parcial);
+ * - índice de discriminação: acerto dos 27% melhores menos acerto dos 27% piores;
+ * - média, desvio padrão e histograma das notas do simulado (o histograma usa o
+ *   percentual de cada envio sobre a sua pontuação possível).
+ *
+ * Questões com discriminação negativa ou com um distrator mais escolhido que o gabarito
+ * costumam indicar enunciado ambíguo ou gabarito errado.
+ *
+ * @module itemAnalysis
+ */
+
+/** Fração de alunos usada nos grupos superior e inferior da discriminação. */
+const GROUP_FRACTION = 0.27
+
+/** Mínimo de respondentes para calcular a discriminação de uma questão. */
+const MIN_DISCRIMINATION_SAMPLE = 4
+
+/** Abaixo deste índice a questão discrimina pouco. */
+const LOW_DISCRIMINATION = 0.2
+
+/** Quantidade de faixas do histograma (0–10%, 10–20%, ..., 90–100%). */
+const HISTOGRAM_BINS = 10
+
+/** Tipos de questão respondidos com uma única opção. */
+const SINGLE_CHOICE_TYPES = ["multipla_escolha", "verdadeiro/falso"]
+const round = (value, digits = 2) => {
+    const factor = 10 ** digits
+    return Math.round(value * factor) / factor
+}
+
+const mean = (values) => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null
+
+/**
+ * Média e desvio padrão (populacional) de uma lista de notas.
+ *
+ * @param {number[]} values
+ * @returns {{mean: number|null, std_dev: number|null}}
+ */
+function describe(values) {
+    const avg = mean(values)
+    if (avg === null) return { mean: null, std_dev: null }
+    const variance = mean(values.map(v => (v - avg) ** 2))
+    return { mean: round(avg), std_dev: round(Math.sqrt(variance)) }
+}
+
+/**
+ * Distribui os envios em faixas de 10% da pontuação possível de cada um.
+ *
+ * @param {Array<{points: number, max_points: number}>} submissions - Nota e pontuação possível de cada envio.
+ * @returns {Array<{from: number, to: number, count: number}>} Faixas em percentual.
+ */
+function histogram(submissions) {
+    const bins = Array.from({ length: HISTOGRAM_BINS }, (_, i) => ({
+        from: i * (100 / HISTOGRAM_BINS),
+        to: (i + 1) * (100 / HISTOGRAM_BINS),
+        count: 0
+    }))
+    for (const { points, max_points } of submissions) {
+        if (!(Number(max_points) > 0)) continue
+        const percent = Math.min(Math.max(Number(points) / Number(max_points), 0), 1) * 100
+        const index = Math.min(Math.floor(percent / (100 / HISTOGRAM_BINS)), HISTOGRAM_BINS - 1)
+        bins[index].count++
+    }
+    return bins
+}
+
+/**
+ * Índice de discriminação: acerto médio dos 27% com maior nota menos o dos 27% com menor nota.
+ *
+ * @param {Array<{total: number, fraction: number}>} respondents - Nota total e acerto (0 a 1) na questão.
+ * @returns {number|null} Índice entre -1 e 1, ou `null` com poucos respondentes.
+ */
+function discrimination(respondents) {
+    if (respondents.length < MIN_DISCRIMINATION_SAMPLE) return null
+    const sorted = [...respondents].sort((a, b) => b.total - a.total)
+    const size = Math.max(1, Math.round(sorted.length * GROUP_FRACTION))
+    const top = mean(sorted.slice(0, size).map(r => r.fraction))
+    const bottom = mean(sorted.slice(-size).map(r => r.fraction))
+    return round(top - bottom)
+}
+
+/**
+ * Calcula a análise de itens de um simulado.
+ *
+ * @param {Object} data
+ * @param {number} data.max_points - Pontuação máxima exibida para o simulado.
+ * @param {Array<{student_id: number, points: number, max_points: number}>} data.submissions - Um envio por aluno,
+ * com a sua pontuação possível.
+ * @param {Array<{id: number, text: string, type: string, points: number, version: number}>} data.questions
+ * @param {Array<{id: number, question_id: number, text: string, correct: boolean}>} data.options
+ * @param {Array<{student_id: number, question_id: number, option_id: number|null, response: Object|null, score: number, pending: boolean}>} data.answers
+ * Respostas dos envios escolhidos; `score` é a pontuação obtida e `pending` indica resposta aberta sem correção.
+ * @returns {Object} `{ submissions, max_points, mean, std_dev, histogram, questions }`.
+ *
+ * @example
+ * const stats = analyzeItems({ max_points: 10, submissions, questions, options, answers })
+ * // stats.questions[0] = { question_id: 4, percent_correct: 62.5, discrimination: 0.41, options: [...], flags: [] }
+ */
+function analyzeItems({ max_points, submissions, questions, options, answers }) {
+    const totals = new Map(submissions.map(s => [s.student_id, Number(s.points)]))
+    const scores = [...totals.values()]
+
+    const byQuestion = new Map(questions.map(q => [q.id, []]))
+    for (const answer of answers) {
+        if (byQuestion.has(answer.question_id)) byQuestion.get(answer.question_id).push(answer)
+    }
+
+    const result = questions.map(question => {
+        const points = Number(question.points)
+        const list = byQuestion.get(question.id)
+        const graded = list.filter(a => !a.pending)
+        const respondents = graded.map(a => ({
+            total: totals.get(a.student_id) ?? 0,
+            fraction: points > 0 ? Math.min(Number(a.score) / points, 1) : 0
+        }))
+
+        const percentCorrect = respondents.length > 0 ? round(mean(respondents.map(r => r.fraction)) * 100) : null
+        const index = discrimination(respondents)
+
+        const isSingleChoice = SINGLE_CHOICE_TYPES.includes(question.type)
+        const isMultipleSelect = question.type === "multipla_selecao"
+        const chose = (answer, option) => isMultipleSelect
+            ? (answer.response?.option_ids || []).map(Number).includes(option.id)
+            : answer.option_id === option.id
+
+        const questionOptions = options
+            .filter(o => o.question_id === question.id && (isSingleChoice || isMultipleSelect))
+            .map(o => {
+                const count = list.filter(a => chose(a, o)).length
+                return {
+                    option_id: o.id,
+                    text: o.text,
+                    correct: !!o.correct,
+                    count,
+                    percent: list.length > 0 ? round((count / list.length) * 100) : 0
+                }
+            })
+        let omitted = 0
+        if (isSingleChoice) omitted = list.filter(a => a.option_id === null).length
+        else if (QuestionFieldValidator.STRUCTURED_TYPES.includes(question.type)) omitted = list.filter(a => !a.response).length
+
+        const flags = []
+        if (index !== null && index < 0) flags.push("negative_discrimination")
+        else if (index !== null && index < LOW_DISCRIMINATION) flags.push("low_discrimination")
+        const keyCount = Math.max(0, ...questionOptions.filter(o => o.correct).map(o => o.count))
+        if (isSingleChoice && questionOptions.some(o => !o.correct && o.count > keyCount)) flags.push("distractor_beats_key")
+        if (list.length > graded.length) flags.push("pending_correction")
+
+        return {
+            question_id: question.id,
+            text: question.text,
+            type: question.type,
+            version: question.version,
+            points,
+            responses: list.length,
+            pending: list.length - graded.length,
+            percent_correct: percentCorrect,
+            mean_score: graded.length > 0 ? round(mean(graded.map(a => Number(a.score)))) : null,
+            discrimination: index,
+            options: questionOptions,
+            omitted,
+            flags
+        }
+    })
+
+    return {
+        submissions: scores.length,
+        max_points: Number(max_points),
+        ...describe(scores),
+        histogram: histogram(submissions),
+        questions: result
+    }
+}
+
+module.exports = { analyzeItems, GROUP_FRACTION }
@@ -0,0 +1,83 @@
+const { sweepExpiredAttempts } = require("./attemptManager")
+const { sendDeadlineReminders, sendWeeklyDigests } = require("./emailJobs")
+
+/**
+ * Agendador das tarefas em segundo plano.
+ *
+ * Cada tarefa roda em um intervalo fixo e nunca se sobrepõe a si mesma (uma execução
+ * lenta faz a seguinte ser pulada). As tarefas são idempotentes, então podem rodar
+ * dentro do servidor (`index.js`) ou em um processo separado (`worker.js`) — para usar
+ * só o processo separado, inicie o servidor com `RUN_JOBS=false`.
+ *
+ * @module jobScheduler
+ */
+
+/**
+ * Tarefas agendadas.
+ * @type {Array<{name: string, interval: number, run: function(): Promise<number>}>}
+ */
+const JOBS = [
+    // Envio automático de simulados com tempo esgotado
+    { name: "expired_attempts", interval: 60 * 1000, run: sweepExpiredAttempts },
+    // Lembretes 24h e 1h antes do prazo dos simulados
+    { name: "deadline_reminders", interval: 5 * 60 * 1000, run: sendDeadlineReminders },
+    // Resumo semanal de materiais e notas
+    { name: "weekly_digest", interval: 60 * 60 * 1000, run: sendWeeklyDigests }
+]
+
+/** Tarefas em execução no momento. */
+const running = new Set()
+
+/**
+ * Executa uma tarefa, ignorando a chamada se ela ainda estiver em andamento.
+ * Erros são logados e nunca propagados.
+ *
+ * @async
+ * @param {{name: string, run: function(): Promise<number>}} job
+ * @returns {Promise<number|null>} Resultado da tarefa (itens processados) ou `null` se não rodou.
+ */
+async function runJob(job) {
+    if (running.has(job.name)) return null
+    running.add(job.name)
+    try {
+        const result = await job.run()
+        if (result > 0) console.log(`[jobs] ${job.name}: ${result} item(ns) processado(s).`)
+        return result
+    } catch (err) {
+        console.error(`Erro ao executar a tarefa ${job.name}:`, err)
+        return null
+    } finally {
+        running.delete(job.name)
+    }
+}
+
+/**
+ * Executa uma tarefa pelo nome (usado pelo `worker.js --once`).
+ *
+ * @async
+ * @param {string} name - Nome da tarefa (ver {@link JOBS}).
+ * @returns {Promise<number|null|undefined>} `undefined` se a tarefa não existe.
+ *
+ * @example
+ * await runJobByName("deadline_reminders")
+ */
+async function runJobByName(name) {
+    const job = JOBS.find(item => item.name === name)
+    if (!job) return undefined
+    return runJob(job)
+}
+
+/**
+ * Inicia todas as tarefas nos seus intervalos.
+ *
+ * @returns {function(): void} Função que interrompe o agendador.
+ *
+ * @example
+ * const stop = startScheduler()
+ */
+function startScheduler() {
+    const timers = JOBS.map(job => setInterval(() => runJob(job), job.interval))
+    return () => timers.forEach(timer => clearInterval(timer))
+}
+
+module.exports = { JOBS, runJob, runJobByName, startScheduler }
@@ -0,0 +1,194 @@
+const Medal = require("../models/Medal")
+
+/**
+ * Motor de regras das medalhas.
+ *
+ * Cada regra é identificada pelo `code` da medalha (tabela `medals`), declara
+ * em quais eventos deve ser reavaliada e calcula o progresso do aluno.
+ * Os eventos são disparados pelos pontos do sistema onde algo relevante acontece:
+ *
+ * - `enrollment` — aluno entrou em uma turma (`EnrollmentController.joinWithCode`).
+ * - `form_submitted` — envio de simulado salvo (`Form.saveSubmission`).
+ * - `form_corrected` — correção de simulado concluída (`Form.saveCorrections`).
+ *
+ * @module medalEngine
+ */
+
+/**
+ * Eventos que disparam a avaliação das regras.
+ * @readonly
+ * @enum {string}
+ */
+const MEDAL_EVENTS = {
+    ENROLLMENT: "enrollment",
+    FORM_SUBMITTED: "form_submitted",
+    FORM_CORRECTED: "form_corrected"
+}
+
+/** Média mínima (em %) para a medalha de disciplina. */
+const SUBJECT_AVERAGE_TARGET = 90
+
+/** Quantidade mínima de simulados na disciplina para a medalha de média. */
+const SUBJECT_MIN_FORMS = 3
+
+/**
+ * Converte um valor atual/meta em porcentagem (0 a 100).
+ *
+ * @param {number} current
+ * @param {number} target
+ * @returns {number}
+ */
+function percent(current, target) {
+    if (target <= 0) return 100
+    return Math.min(100, Math.round((current / target) * 100))
+}
+
+/**
+ * Regras de conquista, indexadas pelo código da medalha.
+ *
+ * `evaluate` retorna `{ achieved, progress, subject_id? }`.
+ *
+ * @type {Object<string, {events: string[], evaluate: function(number): Promise<{achieved: boolean, progress: number, subject_id?: number}>}>}
+ */
+const RULES = {
+    first_enrollment: {
+        events: [MEDAL_EVENTS.ENROLLMENT],
+        evaluate: async (student_id) => {
+            const total = await Medal.countEnrollments(student_id)
+            return { achieved: total >= 1, progress: percent(total, 1) }
+        }
+    },
+
+    three_classes: {
+        events: [MEDAL_EVENTS.ENROLLMENT],
+        evaluate: async (student_id) => {
+            const total = await Medal.countEnrollments(student_id)
+            return { achieved: total >= 3, progress: percent(total, 3) }
+        }
+    },
+
+    first_submission: {
+        events: [MEDAL_EVENTS.FORM_SUBMITTED],
+        evaluate: async (student_id) => {
+            const { total } = await Medal.countSubmissions(student_id)
+            return { achieved: total >= 1, progress: percent(total, 1) }
+        }
+    },
+
+    five_on_time: {
+        events: [MEDAL_EVENTS.FORM_SUBMITTED],
+        evaluate: async (student_id) => {
+            const { on_time } = await Medal.countSubmissions(student_id)
+            return { achieved: on_time >= 5, progress: percent(on_time, 5) }
+        }
+    },
+
+    first_perfect_score: {
+        events: [MEDAL_EVENTS.FORM_SUBMITTED, MEDAL_EVENTS.FORM_CORRECTED],
+        evaluate: async (student_id) => {
+            const perfect = await Medal.findPerfectScore(student_id)
+            return perfect
+                ? { achieved: true, progress: 100, subject_id: perfect.subject_id }
+                : { achieved: false, progress: 0 }
+        }
+    },
+
+    subject_average_90: {
+        events: [MEDAL_EVENTS.FORM_SUBMITTED, MEDAL_EVENTS.FORM_CORRECTED],
+        evaluate: async (student_id) => {
+            const subjects = await Medal.getSubjectAverages(student_id)
+            const eligible = subjects.filter(s => s.forms >= SUBJECT_MIN_FORMS && s.percent !== null)
+            const best = eligible.sort((a, b) => b.percent - a.percent)[0]
+
+            if (best && best.percent >= SUBJECT_AVERAGE_TARGET) {
+                return { achieved: true, progress: 100, subject_id: best.subject_id }
+            }
+
+            // Sem disciplina elegível, o progresso considera a disciplina com mais simulados
+            const reference = best || subjects.sort((a, b) => b.forms - a.forms)[0]
+            if (!reference) return { achieved: false, progress: 0 }
+
+            const formsProgress = Math.min(reference.forms, SUBJECT_MIN_FORMS) / SUBJECT_MIN_FORMS
+            const averageProgress = Math.min(reference.percent || 0, SUBJECT_AVERAGE_TARGET) / SUBJECT_AVERAGE_TARGET
+            return { achieved: false, progress: Math.min(99, Math.round(formsProgress * averageProgress * 100)) }
+        }
+    }
+}
+
+/**
+ * Reavalia as regras ligadas a um evento e concede as medalhas atingidas.
+ *
+ * Nunca lança erro: falhas são logadas para não interromper a operação que disparou o evento.
+ *
+ * @async
+ * @param {number} student_id - ID do aluno.
+ * @param {string} event - Evento ocorrido (ver {@link MEDAL_EVENTS}).
+ * @returns {Promise<Array<Object>>} Medalhas concedidas nesta avaliação.
+ *
+ * @example
+ * await evaluateMedals(7, MEDAL_EVENTS.FORM_SUBMITTED)
+ */
+async function evaluateMedals(student_id, event) {
+    try {
+        if (!student_id) return []
+
+        const medals = await Medal.getAll()
+        if (!medals) return []
+
+        const earned = await Medal.getEarnedByStudent(student_id) || []
+        const earnedIds = new Set(earned.map(m => m.id))
+
+        const awarded = []
+        for (const medal of medals) {
+            const rule = RULES[medal.code]
+            if (!rule || !rule.events.includes(event) || earnedIds.has(medal.id)) continue
+
+            const result = await rule.evaluate(student_id)
+            if (!result.achieved) continue
+
+            const granted = await Medal.award(student_id, medal.id, result.subject_id || null)
+            if (granted) awarded.push(medal)
+        }
+        return awarded
+    } catch (err) {
+        console.error("Erro ao avaliar medalhas:", err)
+        return []
+    }
+}
+
+/**
+ * Monta o painel de medalhas do aluno: conquistadas, totais e próximas metas.
+ *
+ * @async
+ * @param {number} student_id - ID do aluno.
+ * @returns {Promise<{earned: Array<Object>, next: Array<Object>, total_points: number, by_rarity: Object<string, number>}|undefined>}
+ */
+async function getStudentMedals(student_id) {
+    const medals = await Medal.getAll()
+    const earned = await Medal.getEarnedByStudent(student_id)
+    if (!medals || !earned) return undefined
+
+    const earnedIds = new Set(earned.map(m => m.id))
+    const next = []
+    for (const medal of medals) {
+        if (earnedIds.has(medal.id)) continue
+        const rule = RULES[medal.code]
+        const { progress } = rule ? await rule.evaluate(student_id) : { progress: 0 }
+        next.push({ ...medal, progress })
+    }
+    next.sort((a, b) => b.progress - a.progress)
+
+    const by_rarity = {}
+    for (const medal of earned) {
+        by_rarity[medal.rarity] = (by_rarity[medal.rarity] || 0) + 1
+    }
+
+    return {
+        earned,
+        next,
+        total_points: earned.reduce((acc, m) => acc + Number(m.points), 0),
+        by_rarity
+    }
+}
+
+module.exports = { MEDAL_EVENTS, evaluateMedals, getStudentMedals }
@@ -0,0 +1,71 @@
+const { escapeHtml } = require("./htmlEscape")
+
+/** Endereço do frontend usado nos links do e-mail. */
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:5173"
+
+/**
+ * Gera o HTML de e-mail que lembra o aluno do prazo de um simulado ainda não enviado.
+ * 
+ * A função cria uma mensagem estilizada em HTML com:
+ * - Saudação personalizada usando o `username`.
+ * - Título do simulado, disciplina e data/hora limite.
+ * - Botão com link para as atividades da turma.
+ * - Aviso de como desativar os lembretes.
+ * 
+ * @function
+ * @param {string} username - Nome do aluno.
+ * @param {{title: string, subject_name: string, deadline: Date|string, class_id: number}} form - Simulado com prazo próximo.
+ * @param {number} hours - Antecedência do lembrete, em horas (24 ou 1).
+ * @returns {{ html: string }} Objeto contendo a string HTML formatada para envio de e-mail.
+ * 
+ * @example
+ * const { html } = formatMessageDeadlineReminder('Ana', { title: 'Simulado 1', subject_name: 'Cálculo', deadline, class_id: 3 }, 24);
+ */
+function formatMessageDeadlineReminder(username, form, hours) {
+    const deadline = new Date(form.deadline).toLocaleString("pt-BR", {
+        day: "2-digit",
+        month: "long",
+        hour: "2-digit",
+        minute: "2-digit",
+        timeZone: "America/Sao_Paulo"
+    })
+    const remaining = hours === 1 ? "1 hora" : `${hours} horas`
+
+    const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; 
+                border: 1px solid #e0e0e0; padding: 20px; border-radius: 10px; 
+                background-color: #ffffff;">
+        <div style="text-align: center;">
+            <h2 style="color: #060060; font-size: 24px;">⏰ Prazo se encerrando</h2>
+            <p style="font-size: 16px; color: #333; margin-top: 20px;">
+                <strong>Olá ${escapeHtml(username)}</strong>, falta menos de <strong>${remaining}</strong> para o fim do prazo do simulado:
+            </p>
+            <div style="margin: 20px 0; padding: 15px; background-color: #f4f4f4; border-radius: 8px;">
+                <p style="font-size: 18px; color: #060060; font-weight: bold; margin: 0;">${escapeHtml(form.title)}</p>
+                <p style="font-size: 14px; color: #555; margin: 8px 0 0;">${escapeHtml(form.subject_name)} · até ${deadline}</p>
+            </div>
+            <p style="font-size: 16px; color: #333;">
+                Você ainda não enviou suas respostas. Depois do prazo, o simulado não poderá mais ser respondido.
+            </p>
+            <div style="margin: 30px 0;">
+                <a href="${FRONTEND_URL}/student/activities/view/${form.class_id}" 
+                   style="display: inline-block; background-color: #060060; color: #fff; 
+                          padding: 12px 25px; border-radius: 6px; text-decoration: none; 
+                          font-weight: bold; font-size: 16px;">
+                   Responder agora
+                </a>
+            </div>
+            <p style="font-size: 14px; color: #999; margin-top: 15px;">
+                Você pode desativar estes lembretes em Configurações &gt; Notificações por e-mail.
+            </p>
+            <hr style="border: none; border-top: 1px solid #eee; margin: 20px 0;">
+            <p style="font-size: 12px; color: #ccc;">
+                &copy; 2025 Evolvere. Todos os direitos reservados.
+            </p>
+        </div>
+    </div>
+    `;
+    return { html }
+}
+
+module.exports = formatMessageDeadlineReminder
@@ -0,0 +1,72 @@
+const { escapeHtml } = require("./htmlEscape")
+
+/** Endereço do frontend usado nos links do e-mail. */
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:5173"
+
+/**
+ * Gera o HTML do resumo semanal do aluno.
+ * 
+ * A função cria uma mensagem estilizada em HTML com:
+ * - Saudação personalizada usando o `username`.
+ * - Lista dos materiais publicados na semana (título e disciplina).
+ * - Lista das notas de simulados corrigidos na semana.
+ * - Botão com link para a área do aluno.
+ * - Aviso de como desativar o resumo.
+ * 
+ * @function
+ * @param {string} username - Nome do aluno.
+ * @param {{materials: Array<{title: string, subject_name: string}>, grades: Array<{title: string, subject_name: string, points: number|string}>}} content
+ * @returns {{ html: string }} Objeto contendo a string HTML formatada para envio de e-mail.
+ * 
+ * @example
+ * const { html } = formatMessageWeeklyDigest('Ana', { materials: [...], grades: [...] });
+ */
+function formatMessageWeeklyDigest(username, { materials, grades }) {
+    const item = (title, detail) => `
+                <li style="padding: 10px 0; border-bottom: 1px solid #eee;">
+                    <strong style="color: #060060;">${escapeHtml(title)}</strong>
+                    <span style="display: block; font-size: 13px; color: #777;">${detail}</span>
+                </li>`
+
+    const section = (heading, items) => items.length === 0 ? "" : `
+            <h3 style="font-size: 16px; color: #333; margin: 25px 0 5px;">${heading}</h3>
+            <ul style="list-style: none; padding: 0; margin: 0;">${items.join("")}
+            </ul>`
+
+    const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; 
+                border: 1px solid #e0e0e0; padding: 20px; border-radius: 10px; 
+                background-color: #ffffff;">
+        <div style="text-align: center;">
+            <h2 style="color: #060060; font-size: 24px;">📬 Seu resumo da semana</h2>
+            <p style="font-size: 16px; color: #333; margin-top: 20px;">
+                <strong>Olá ${escapeHtml(username)}</strong>, veja o que aconteceu nas suas turmas nos últimos 7 dias.
+            </p>
+        </div>
+        <div style="text-align: left;">
+            ${section("📚 Novos materiais", materials.map(m => item(m.title, escapeHtml(m.subject_name))))}
+            ${section("📝 Notas publicadas", grades.map(g => item(g.title, `${escapeHtml(g.subject_name)} · ${Number(g.points).toLocaleString("pt-BR")} pontos`)))}
+        </div>
+        <div style="text-align: center;">
+            <div style="margin: 30px 0;">
+                <a href="${FRONTEND_URL}/student/home" 
+                   style="display: inline-block; background-color: #060060; color: #fff; 
+                          padding: 12px 25px; border-radius: 6px; text-decoration: none; 
+                          font-weight: bold; font-size: 16px;">
+                   Acessar Plataforma
+                </a>
+            </div>
+            <p style="font-size: 14px; color: #999; margin-top: 15px;">
+                Você pode desativar este resumo em Configurações &gt; Notificações por e-mail.
+            </p>
+            <hr style="border: none; border-top: 1px solid #eee; margin: 20px 0;">
+            <p style="font-size: 12px; color: #ccc;">
+                &copy; 2025 Evolvere. Todos os direitos reservados.
+            </p>
+        </div>
+    </div>
+    `;
+    return { html }
+}
+
+module.exports = formatMessageWeeklyDigest
@@ -12,13 +12,14 @@
  * @function
  * @param {string} code - Código de recuperação de senha a ser enviado ao usuário.
  * @param {string} username - Nome do usuário que solicitou a recuperação.
+ * @param {number} [minutes=2] - Validade do código, em minutos.
  * @returns {{ html: string }} Objeto contendo a string HTML formatada para envio de e-mail.
  * 
  * @example
  * const { html } = formatMessageSendPassword('123456', 'João');
  * // html agora contém o conteúdo completo da mensagem para envio
  */
-function formatMessageSendPassword(code, username) {
+function formatMessageSendPassword(code, username, minutes = 2) {
     const html = `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; 
                 border: 1px solid #e0e0e0; padding: 20px; border-radius: 10px; 
@@ -29,7 +30,7 @@ function formatMessageSendPassword(code, username) {
                 <strong>Olá ${username}</strong>, você solicitou a recuperação da sua senha na plataforma <strong>Evolvere</strong>.
             </p>
             <p style="font-size: 16px; color: #333;">
-                Utilize o código abaixo para redefinir sua senha. Este código é válido por <strong>2 minutos</strong>.
+                Utilize o código abaixo para redefinir sua senha. Este código é válido por <strong>${minutes} minutos</strong>.
             </p>
             <div style="margin: 30px 0;">
                 <div style="
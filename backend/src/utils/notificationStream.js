@@ -0,0 +1,90 @@
+/**
+ * Canal de envio das notificações em tempo real (Server-Sent Events).
+ *
+ * Cada aba aberta mantém uma conexão `GET /notifications/stream`; as conexões ficam
+ * registradas em memória por usuário, e `publish` escreve o evento em todas elas.
+ * Um comentário é enviado periodicamente para que proxies não encerrem a conexão ociosa.
+ *
+ * O registro é local ao processo: com mais de uma instância do servidor, cada uma
+ * entrega apenas às conexões que recebeu (as notificações continuam gravadas no banco
+ * e aparecem na próxima listagem).
+ *
+ * @module notificationStream
+ */
+
+/** Intervalo (ms) entre os comentários que mantêm a conexão aberta. */
+const HEARTBEAT_INTERVAL = 25 * 1000
+
+/** Conexões abertas por usuário. @type {Map<number, Set<import("express").Response>>} */
+const connections = new Map()
+
+/**
+ * Escreve um evento SSE em uma conexão.
+ *
+ * @param {import("express").Response} response
+ * @param {string} event - Nome do evento.
+ * @param {Object} data - Conteúdo (enviado como JSON).
+ */
+function write(response, event, data) {
+    response.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+}
+
+/**
+ * Abre o fluxo de eventos de um usuário na resposta HTTP e o mantém registrado
+ * até a conexão ser encerrada pelo cliente.
+ *
+ * @param {number} user_id - Usuário autenticado.
+ * @param {import("express").Request} request
+ * @param {import("express").Response} response
+ * @param {Object} [initial] - Evento `ready` enviado ao conectar (ex.: total de não lidas).
+ */
+function subscribe(user_id, request, response, initial = {}) {
+    response.status(200).set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no"
+    })
+    response.flushHeaders()
+    response.write("retry: 5000\n\n")
+    write(response, "ready", initial)
+
+    if (!connections.has(user_id)) connections.set(user_id, new Set())
+    connections.get(user_id).add(response)
+
+    const heartbeat = setInterval(() => response.write(": ping\n\n"), HEARTBEAT_INTERVAL)
+
+    request.on("close", () => {
+        clearInterval(heartbeat)
+        const open = connections.get(user_id)
+        if (!open) return
+        open.delete(response)
+        if (open.size === 0) connections.delete(user_id)
+    })
+}
+
+/**
+ * Envia um evento a todas as conexões abertas de um usuário.
+ *
+ * @param {number} user_id - Destinatário.
+ * @param {string} event - Nome do evento (`notification`, `read`).
+ * @param {Object} data - Conteúdo do evento.
+ * @returns {number} Quantidade de conexões que receberam o evento.
+ *
+ * @example
+ * publish(7, "notification", { id: 12, title: "Novo simulado", ... })
+ */
+function publish(user_id, event, data) {
+    const open = connections.get(user_id)
+    if (!open) return 0
+    for (const response of open) {
+        try {
+            write(response, event, data)
+        } catch (err) {
+            console.error("Erro ao enviar evento de notificação:", err)
+        }
+    }
+    return open.size
+}
+
+module.exports = { subscribe, publish }
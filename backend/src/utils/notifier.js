@@ -0,0 +1,301 @@
+const Notification = require("../models/Notification")
+const Form = require("../models/Form")
+const User = require("../models/User")
+const Discussion = require("../models/Discussion")
+const { publish } = require("./notificationStream")
+
+/**
+ * Produtores das notificações da aplicação.
+ *
+ * Cada evento resolve os destinatários, grava uma notificação por usuário e a envia
+ * em tempo real para as conexões abertas (`notificationStream`). Os eventos são
+ * disparados pelos pontos do sistema onde algo relevante acontece:
+ *
+ * - `form_published` — simulado publicado (`FormController.publish`): alunos da turma.
+ * - `form_corrected` — correção salva (`FormController.saveCorrection`): aluno corrigido.
+ * - `material_posted` — material cadastrado (`MaterialController.register`): alunos da turma ou da disciplina.
+ * - `submission_received` — simulado enviado (`attemptManager.submitAttempt`): professor autor.
+ * - `access_requested` — pedido de acesso profissional (`AccountController.addRole`): coordenadores do curso e administrador.
+ * - `announcement_posted` — aviso publicado no mural (`AnnouncementController.create`): alunos da turma.
+ * - `discussion_started` — pergunta aberta por um aluno (`DiscussionController.create`): professor da disciplina.
+ * - `discussion_replied` — resposta em uma discussão (`DiscussionController.reply`): autor do tópico.
+ * - `assignment_posted` — atividade com entrega publicada (`AssignmentController.create`): alunos da turma.
+ * - `assignment_graded` — entrega avaliada (`AssignmentController.grade`): aluno avaliado.
+ *
+ * Nenhuma função lança erro: falhas são logadas para não interromper a operação que disparou o evento.
+ *
+ * @module notifier
+ */
+
+/**
+ * Tipos de notificação.
+ * @readonly
+ * @enum {string}
+ */
+const NOTIFICATION_TYPES = {
+    FORM_PUBLISHED: "form_published",
+    FORM_CORRECTED: "form_corrected",
+    MATERIAL_POSTED: "material_posted",
+    SUBMISSION_RECEIVED: "submission_received",
+    ACCESS_REQUESTED: "access_requested",
+    ANNOUNCEMENT_POSTED: "announcement_posted",
+    DISCUSSION_STARTED: "discussion_started",
+    DISCUSSION_REPLIED: "discussion_replied",
+    ASSIGNMENT_POSTED: "assignment_posted",
+    ASSIGNMENT_GRADED: "assignment_graded"
+}
+
+/**
+ * Grava uma notificação para cada destinatário e a envia às conexões abertas.
+ *
+ * @async
+ * @param {number[]} user_ids - Destinatários (repetidos e vazios são ignorados).
+ * @param {{type: string, title: string, message: string, link?: string|null, data?: Object|null}} notification
+ * @returns {Promise<number>} Quantidade de notificações criadas.
+ *
+ * @example
+ * await notify([7], { type: NOTIFICATION_TYPES.FORM_CORRECTED, title: "Simulado corrigido", message: "..." })
+ */
+async function notify(user_ids, notification) {
+    try {
+        const recipients = [...new Set(user_ids.filter(Boolean).map(Number))]
+        const created = await Notification.createMany(recipients, notification)
+        if (!created) return 0
+
+        for (const { user_id, ...item } of created) {
+            publish(user_id, "notification", item)
+        }
+        return created.length
+    } catch (err) {
+        console.error("Erro ao enviar notificações:", err)
+        return 0
+    }
+}
+
+/**
+ * Avisa os alunos da turma sobre um novo simulado.
+ *
+ * @async
+ * @param {{form_id: number, class_id: number, title: string}} form
+ * @returns {Promise<number>}
+ */
+async function notifyFormPublished({ form_id, class_id, title }) {
+    const students = await Notification.getClassStudentIds(class_id)
+    return notify(students, {
+        type: NOTIFICATION_TYPES.FORM_PUBLISHED,
+        title: "Novo simulado publicado",
+        message: `O simulado "${title}" já está disponível.`,
+        link: `/student/activities/view/${class_id}`,
+        data: { form_id, class_id }
+    })
+}
+
+/**
+ * Avisa o aluno de que a correção de um simulado foi salva.
+ *
+ * @async
+ * @param {number} form_id - ID do formulário.
+ * @param {number} student_id - Aluno corrigido.
+ * @returns {Promise<number>}
+ */
+async function notifyFormCorrected(form_id, student_id) {
+    const form = await Form.findSummary(form_id)
+    if (!form) return 0
+    return notify([student_id], {
+        type: NOTIFICATION_TYPES.FORM_CORRECTED,
+        title: "Correção disponível",
+        message: `O professor corrigiu suas respostas do simulado "${form.title}".`,
+        link: `/student/simulated/result/${form_id}`,
+        data: { form_id, class_id: form.class_id }
+    })
+}
+
+/**
+ * Avisa os alunos sobre um novo material: os da turma, quando o material é de turma,
+ * ou os de todas as turmas da disciplina.
+ *
+ * @async
+ * @param {{title: string, subject_id: number, class_id?: number|null}} material
+ * @returns {Promise<number>}
+ */
+async function notifyMaterialPosted({ title, subject_id, class_id = null }) {
+    const students = class_id
+        ? await Notification.getClassStudentIds(class_id)
+        : await Notification.getSubjectStudentIds(subject_id)
+    return notify(students, {
+        type: NOTIFICATION_TYPES.MATERIAL_POSTED,
+        title: "Novo material",
+        message: `O material "${title}" foi publicado.`,
+        link: class_id ? `/student/materials/view/${class_id}` : "/student/materials/view",
+        data: { subject_id: Number(subject_id), class_id: class_id ? Number(class_id) : null }
+    })
+}
+
+/**
+ * Avisa o professor autor do simulado de que um aluno enviou as respostas.
+ *
+ * @async
+ * @param {number} form_id - ID do formulário.
+ * @param {number} student_id - Aluno que enviou.
+ * @param {"submitted"|"expired"} [status="submitted"] - `expired` quando o envio foi automático.
+ * @returns {Promise<number>}
+ */
+async function notifySubmissionReceived(form_id, student_id, status = "submitted") {
+    const form = await Form.findSummary(form_id)
+    if (!form) return 0
+    const student = await User.findById(student_id)
+    const name = student ? student.username : "Um aluno"
+    return notify([form.created_by], {
+        type: NOTIFICATION_TYPES.SUBMISSION_RECEIVED,
+        title: "Novo envio de simulado",
+        message: status === "expired"
+            ? `O tempo de ${name} no simulado "${form.title}" acabou e as respostas salvas foram enviadas.`
+            : `${name} enviou as respostas do simulado "${form.title}".`,
+        link: `/teacher/simulated/response/list/${form_id}`,
+        data: { form_id, student_id }
+    })
+}
+
+/**
+ * Avisa quem avalia pedidos de acesso profissional (coordenadores do curso, para
+ * professores, e o administrador).
+ *
+ * @async
+ * @param {{professional_id: number, access_code: string, role: number|string}} request
+ * @returns {Promise<number>}
+ */
+async function notifyAccessRequested({ professional_id, access_code, role }) {
+    const reviewers = await Notification.getRequestReviewerIds(access_code, role)
+    const user = await User.findById(professional_id)
+    const name = user ? user.username : "Um usuário"
+    const label = Number(role) === 2 ? "coordenador" : "professor"
+    return notify(reviewers.filter(id => id !== Number(professional_id)), {
+        type: NOTIFICATION_TYPES.ACCESS_REQUESTED,
+        title: "Nova solicitação de acesso",
+        message: `${name} solicitou acesso como ${label}.`,
+        link: "/coordinator/requests",
+        data: { professional_id: Number(professional_id), role: Number(role) }
+    })
+}
+
+/**
+ * Link para a aba de discussões da turma: a visão do professor ou a do aluno.
+ *
+ * @param {number} class_id - ID da turma.
+ * @param {boolean} teacher - `true` para o professor da disciplina.
+ * @returns {string}
+ */
+function discussionLink(class_id, teacher) {
+    return teacher
+        ? `/teacher/class/view/${class_id}?tab=discussoes`
+        : `/student/materials/view/${class_id}?tab=discussoes`
+}
+
+/**
+ * Avisa os alunos da turma sobre um novo aviso no mural.
+ *
+ * @async
+ * @param {{announcement_id: number, class_id: number, title: string}} announcement
+ * @returns {Promise<number>}
+ */
+async function notifyAnnouncementPosted({ announcement_id, class_id, title }) {
+    const students = await Notification.getClassStudentIds(class_id)
+    return notify(students, {
+        type: NOTIFICATION_TYPES.ANNOUNCEMENT_POSTED,
+        title: "Novo aviso da turma",
+        message: `O professor publicou o aviso "${title}".`,
+        link: `/student/materials/view/${class_id}?tab=avisos`,
+        data: { announcement_id, class_id: Number(class_id) }
+    })
+}
+
+/**
+ * Avisa o professor da disciplina sobre uma nova pergunta aberta por um aluno.
+ *
+ * @async
+ * @param {number} thread_id - ID do tópico.
+ * @returns {Promise<number>}
+ */
+async function notifyDiscussionStarted(thread_id) {
+    const thread = await Discussion.findThread(thread_id)
+    if (!thread || thread.author_is_teacher) return 0
+    return notify([thread.teacher_id], {
+        type: NOTIFICATION_TYPES.DISCUSSION_STARTED,
+        title: "Nova pergunta na turma",
+        message: `${thread.author_name} perguntou: "${thread.title}".`,
+        link: discussionLink(thread.class_id, true),
+        data: { thread_id, class_id: thread.class_id }
+    })
+}
+
+/**
+ * Avisa o autor do tópico sobre uma nova resposta (exceto quando ele mesmo respondeu).
+ *
+ * @async
+ * @param {number} thread_id - ID do tópico.
+ * @param {number} author_id - Autor da resposta.
+ * @returns {Promise<number>}
+ */
+async function notifyDiscussionReplied(thread_id, author_id) {
+    const thread = await Discussion.findThread(thread_id)
+    if (!thread || thread.author_id === Number(author_id)) return 0
+    const user = await User.findById(author_id)
+    const name = user ? user.username : "Alguém"
+    return notify([thread.author_id], {
+        type: NOTIFICATION_TYPES.DISCUSSION_REPLIED,
+        title: "Nova resposta na discussão",
+        message: `${name} respondeu à discussão "${thread.title}".`,
+        link: discussionLink(thread.class_id, thread.author_is_teacher),
+        data: { thread_id, class_id: thread.class_id }
+    })
+}
+
+/**
+ * Avisa os alunos da turma sobre uma nova atividade com entrega.
+ *
+ * @async
+ * @param {{id: number, class_id: number, title: string}} assignment
+ * @returns {Promise<number>}
+ */
+async function notifyAssignmentPosted({ id, class_id, title }) {
+    const students = await Notification.getClassStudentIds(class_id)
+    return notify(students, {
+        type: NOTIFICATION_TYPES.ASSIGNMENT_POSTED,
+        title: "Nova atividade",
+        message: `O professor publicou a atividade "${title}".`,
+        link: `/student/materials/view/${class_id}?tab=atividades`,
+        data: { assignment_id: id, class_id: Number(class_id) }
+    })
+}
+
+/**
+ * Avisa o aluno de que a sua entrega foi avaliada.
+ *
+ * @async
+ * @param {{assignment_id: number, class_id: number, title: string, student_id: number}} submission
+ * @returns {Promise<number>}
+ */
+async function notifyAssignmentGraded({ assignment_id, class_id, title, student_id }) {
+    return notify([student_id], {
+        type: NOTIFICATION_TYPES.ASSIGNMENT_GRADED,
+        title: "Atividade avaliada",
+        message: `O professor avaliou a sua entrega da atividade "${title}".`,
+        link: `/student/materials/view/${class_id}?tab=atividades`,
+        data: { assignment_id, class_id: Number(class_id) }
+    })
+}
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    notify,
+    notifyFormPublished,
+    notifyFormCorrected,
+    notifyMaterialPosted,
+    notifySubmissionReceived,
+    notifyAccessRequested,
+    notifyAnnouncementPosted,
+    notifyDiscussionStarted,
+    notifyDiscussionReplied,
+    notifyAssignmentPosted,
+    notifyAssignmentGraded
+}
@@ -0,0 +1,40 @@
+/**
+ * Pontuação possível de um envio.
+ *
+ * Soma as questões da versão respondida; em simulados sorteados (`draw_count`),
+ * apenas as questões da instância do aluno (`form_instances.question_ids`),
+ * comparadas pela origem, já que a instância pode ter sido gerada em outra versão.
+ *
+ * Usado no quadro de notas, nas medalhas e na análise de itens, para que todos
+ * comparem a nota com o mesmo máximo.
+ *
+ * @module possiblePoints
+ */
+
+/**
+ * Subconsulta SQL com a pontuação possível de cada envio.
+ *
+ * @param {string} alias - Alias da tabela/view na consulta externa, com as colunas
+ * `form_id`, `student_id` e `form_version` (ex.: `results_form`, `student_form_scores`).
+ * @returns {string} Expressão SQL (`numeric`) para uso em `select`, `where` ou `join`.
+ *
+ * @example
+ * knex("results_form as rf").select(knex.raw(`${possiblePointsSql("rf")} AS max_points`))
+ */
+function possiblePointsSql(alias) {
+    return `(
+        SELECT COALESCE(SUM(q.points), 0)
+        FROM questions q
+        LEFT JOIN form_instances fi
+            ON fi.form_id = ${alias}.form_id AND fi.student_id = ${alias}.student_id
+        WHERE q.form_id = ${alias}.form_id
+          AND q.version = ${alias}.form_version
+          AND (fi.id IS NULL OR COALESCE(q.origin_id, q.id) IN (
+              SELECT COALESCE(iq.origin_id, iq.id)
+              FROM questions iq
+              WHERE iq.id IN (SELECT jsonb_array_elements_text(fi.question_ids)::int)
+          ))
+    )`
+}
+
+module.exports = { possiblePointsSql }
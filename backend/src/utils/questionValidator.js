@@ -0,0 +1,234 @@
+const validator = require('validator')
+const { sanitizeRichText } = require('./richText')
+
+/** Tipos de questão aceitos (simulados e banco de questões). */
+const QUESTION_TYPES = ['multipla_escolha', 'verdadeiro/falso', 'aberta']
+
+/**
+ * Tipos corrigidos automaticamente a partir de uma resposta estruturada
+ * (`answers_form.response`). Disponíveis apenas em simulados, não no banco de questões.
+ */
+const STRUCTURED_TYPES = ['multipla_selecao', 'numerica', 'associacao', 'ordenacao']
+
+/** Níveis de dificuldade aceitos no banco de questões. */
+const DIFFICULTIES = ['facil', 'media', 'dificil']
+
+/**
+ * Classe responsável por validar campos de questões (simulados e banco de questões).
+ * Cada método retorna uma mensagem de erro caso a validação falhe, ou `null` se estiver válido.
+ *
+ * Campos suportados:
+ * - text
+ * - points
+ * - type
+ * - options (depende do tipo: use `validateOptions`)
+ * - rubrica de questões abertas (use `validateRubric`)
+ * - topic
+ * - difficulty
+ * - tags
+ *
+ * @example
+ * const error = QuestionFieldValidator.validate({
+ *   text: "Qual é o maior planeta do sistema solar?",
+ *   points: 2,
+ *   type: "multipla_escolha",
+ *   topic: "Astronomia",
+ *   difficulty: "facil",
+ *   tags: ["planetas"]
+ * })
+ */
+class QuestionFieldValidator {
+
+  /**
+   * Valida o enunciado da questão (texto formatado, ver `richText`).
+   * @param {string} text - Enunciado.
+   * @returns {string|null} Mensagem de erro ou `null` se válido.
+   */
+  static text(text) {
+    if (validator.isEmpty((text || '') + '', { ignore_whitespace: true })) {
+      return 'Enunciado da questão obrigatório.'
+    }
+    return sanitizeRichText(text + '').error
+  }
+
+  /**
+   * Valida a pontuação da questão.
+   * @param {number|string} points - Pontuação.
+   * @returns {string|null} Mensagem de erro ou `null` se válido.
+   */
+  static points(points) {
+    if (!validator.isFloat(points + '', { min: 0, max: 999.99 })) {
+      return 'Pontuação inválida.'
+    }
+    return null
+  }
+
+  /**
+   * Valida o tipo da questão.
+   * @param {string} type - Tipo da questão.
+   * @returns {string|null} Mensagem de erro ou `null` se válido.
+   */
+  static type(type) {
+    if (!QUESTION_TYPES.includes(type)) {
+      return 'Tipo de questão inválido.'
+    }
+    return null
+  }
+
+  /**
+   * Valida o tema da questão (opcional).
+   * @param {string|null} topic - Tema.
+   * @returns {string|null} Mensagem de erro ou `null` se válido.
+   */
+  static topic(topic) {
+    if (topic != null && !validator.isLength(topic + '', { max: 100 })) {
+      return 'Tema deve ter no máximo 100 caracteres.'
+    }
+    return null
+  }
+
+  /**
+   * Valida a dificuldade da questão (opcional).
+   * @param {string|null} difficulty - Dificuldade.
+   * @returns {string|null} Mensagem de erro ou `null` se válido.
+   */
+  static difficulty(difficulty) {
+    if (difficulty != null && difficulty !== '' && !DIFFICULTIES.includes(difficulty)) {
+      return 'Dificuldade inválida.'
+    }
+    return null
+  }
+
+  /**
+   * Valida a lista de tags (opcional).
+   * @param {string[]|undefined} tags - Tags.
+   * @returns {string|null} Mensagem de erro ou `null` se válido.
+   */
+  static tags(tags) {
+    if (tags == null) return null
+    if (!Array.isArray(tags)) {
+      return 'Tags inválidas.'
+    }
+    if (tags.some(tag => validator.isEmpty((tag || '') + '', { ignore_whitespace: true }) || !validator.isLength(tag + '', { max: 50 }))) {
+      return 'Cada tag deve ter entre 1 e 50 caracteres.'
+    }
+    return null
+  }
+
+  /**
+   * Valida as opções de acordo com o tipo da questão.
+   *
+   * - Questões abertas não possuem opções.
+   * - Múltipla escolha e verdadeiro/falso exigem ao menos duas opções preenchidas
+   *   e exatamente uma correta.
+   *
+   * @param {string} type - Tipo da questão.
+   * @param {Array<{text: string, correct: boolean}>} options - Opções.
+   * @returns {string|null} Mensagem de erro ou `null` se válido.
+   */
+  static validateOptions(type, options) {
+    if (type === 'aberta') return null
+
+    if (!Array.isArray(options) || options.length < 2) {
+      return 'A questão deve ter ao menos duas opções.'
+    }
+    if (options.some(o => !o || validator.isEmpty((o.text || '') + '', { ignore_whitespace: true }))) {
+      return 'Todas as opções devem estar preenchidas.'
+    }
+    const textError = options.map(o => sanitizeRichText(o.text + '', { kind: 'option' }).error).find(Boolean)
+    if (textError) return textError
+    if (options.filter(o => o.correct === true || o.correct === 'true').length !== 1) {
+      return 'Selecione exatamente uma opção correta.'
+    }
+    return null
+  }
+
+  /**
+   * Valida a rubrica de uma questão aberta.
+   *
+   * - Cada critério precisa de título e de ao menos um nível com pontuação.
+   * - A soma das maiores pontuações de cada critério deve ser igual à pontuação
+   *   da questão, para que a nota máxima da rubrica corresponda à da questão.
+   *
+   * @param {number|string} points - Pontuação da questão.
+   * @param {Array<{title: string, description?: string, levels: Array<{label: string, description?: string, points: number}>}>} criteria - Critérios.
+   * @returns {string|null} Mensagem de erro ou `null` se válido.
+   */
+  static validateRubric(points, criteria) {
+    if (!Array.isArray(criteria) || criteria.length === 0 || criteria.length > 10) {
+      return 'A rubrica deve ter entre 1 e 10 critérios.'
+    }
+    for (const criterion of criteria) {
+      if (!criterion || validator.isEmpty((criterion.title || '') + '', { ignore_whitespace: true }) || !validator.isLength(criterion.title + '', { max: 150 })) {
+        return 'Todos os critérios devem ter título (máximo de 150 caracteres).'
+      }
+      if (criterion.description != null && !validator.isLength(criterion.description + '', { max: 255 })) {
+        return 'A descrição do critério deve ter no máximo 255 caracteres.'
+      }
+      if (!Array.isArray(criterion.levels) || criterion.levels.length === 0 || criterion.levels.length > 10) {
+        return 'Cada critério deve ter entre 1 e 10 níveis.'
+      }
+      if (criterion.levels.some(l => !l || validator.isEmpty((l.label || '') + '', { ignore_whitespace: true }) || !validator.isLength(l.label + '', { max: 100 }))) {
+        return 'Todos os níveis devem ter nome (máximo de 100 caracteres).'
+      }
+      if (criterion.levels.some(l => l.description != null && !validator.isLength(l.description + '', { max: 255 }))) {
+        return 'A descrição do nível deve ter no máximo 255 caracteres.'
+      }
+      if (criterion.levels.some(l => !validator.isFloat(l.points + '', { min: 0, max: 999.99 }))) {
+        return 'Pontuação de nível inválida.'
+      }
+    }
+
+    const max = criteria.reduce((sum, c) => sum + Math.max(...c.levels.map(l => Number(l.points))), 0)
+    if (Math.round(max * 100) !== Math.round(Number(points) * 100)) {
+      return 'A soma das pontuações máximas dos critérios deve ser igual à pontuação da questão.'
+    }
+    return null
+  }
+
+  /**
+   * Valida múltiplos campos de questão.
+   * Retorna a primeira mensagem de erro encontrada ou `null` se todos forem válidos.
+   *
+   * @param {Object} fields - Objeto com campos a validar.
+   * @returns {string|null} Mensagem de erro ou `null` se válido.
+   */
+  static validate(fields) {
+    for (const [field, value] of Object.entries(fields)) {
+      let error = null
+
+      switch (field) {
+        case 'text':
+          error = QuestionFieldValidator.text(value)
+          break
+        case 'points':
+          error = QuestionFieldValidator.points(value)
+          break
+        case 'type':
+          error = QuestionFieldValidator.type(value)
+          break
+        case 'topic':
+          error = QuestionFieldValidator.topic(value)
+          break
+        case 'difficulty':
+          error = QuestionFieldValidator.difficulty(value)
+          break
+        case 'tags':
+          error = QuestionFieldValidator.tags(value)
+          break
+        default:
+          return `Validação para '${field}' não implementada.`
+      }
+
+      if (error) return error
+    }
+
+    return null // sem erros
+  }
+}
+
+QuestionFieldValidator.QUESTION_TYPES = QUESTION_TYPES
+QuestionFieldValidator.STRUCTURED_TYPES = STRUCTURED_TYPES
+QuestionFieldValidator.DIFFICULTIES = DIFFICULTIES
+
+module.exports = QuestionFieldValidator
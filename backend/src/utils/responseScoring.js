@@ -0,0 +1,146 @@
+const QuestionFieldValidator = require("./questionValidator")
+
+/**
+ * Conferência e pontuação das respostas estruturadas (`answers_form.response`).
+ *
+ * Usadas pelos tipos de questão que não cabem em uma única opção, com pontuação parcial:
+ * - múltipla seleção (`{ option_ids }`): (corretas marcadas − incorretas marcadas) / corretas, mínimo 0;
+ * - numérica (`{ value }`): pontuação total se a diferença para a resposta não passar da tolerância;
+ * - associação (`{ matches: [{ option_id, match_text }] }`): proporção de pares corretos;
+ * - ordenação (`{ order }`): proporção de itens na posição correta.
+ *
+ * As funções não acessam o banco: recebem a questão e suas opções (na ordem correta)
+ * e servem tanto ao envio (`gradingService`) quanto à recorreção (`Form.regradeSubmissions`).
+ *
+ * @module responseScoring
+ */
+
+const isBlank = (value) => value === undefined || value === null || value === ""
+
+const isId = (value) => (typeof value === "number" || typeof value === "string") && /^\d+$/.test(String(value)) && Number(value) > 0
+
+/**
+ * Converte um número enviado pelo aluno (aceita vírgula decimal).
+ *
+ * @param {number|string} value
+ * @returns {number|null} Número ou `null` se inválido.
+ */
+function parseNumber(value) {
+    if (typeof value === "number") return Number.isFinite(value) ? value : null
+    if (typeof value !== "string" || !/^\s*-?\d+([.,]\d+)?\s*$/.test(value)) return null
+    return Number(value.trim().replace(",", "."))
+}
+
+/**
+ * Confere e normaliza a resposta estruturada de uma questão.
+ *
+ * @param {Object} question - Questão do gabarito.
+ * @param {Object[]} options - Opções da questão (na ordem correta).
+ * @param {*} response - Resposta enviada.
+ * @returns {{error: string|null, response: Object|null}} Resposta normalizada ou `null` quando em branco.
+ */
+function checkResponse(question, options, response) {
+    if (isBlank(response)) return { error: null, response: null }
+    if (typeof response !== "object" || Array.isArray(response)) return { error: "Resposta inválida.", response: null }
+
+    const ids = new Set(options.map(o => Number(o.id)))
+    const invalid = { error: "A resposta não corresponde às opções da questão.", response: null }
+
+    switch (question.type) {
+        case "multipla_selecao": {
+            const list = response.option_ids ?? []
+            if (!Array.isArray(list) || !list.every(isId)) return invalid
+            const option_ids = [...new Set(list.map(Number))]
+            if (!option_ids.every(id => ids.has(id))) return invalid
+            return { error: null, response: option_ids.length > 0 ? { option_ids } : null }
+        }
+        case "numerica": {
+            if (isBlank(response.value)) return { error: null, response: null }
+            const value = parseNumber(response.value)
+            if (value === null) return { error: "Informe um número válido.", response: null }
+            return { error: null, response: { value } }
+        }
+        case "associacao": {
+            const list = response.matches ?? []
+            if (!Array.isArray(list)) return invalid
+            const targets = new Set(options.map(o => o.match_text))
+            const seen = new Set()
+            const matches = []
+            for (const match of list) {
+                if (!match || !isId(match.option_id) || !ids.has(Number(match.option_id)) || seen.has(Number(match.option_id))) return invalid
+                seen.add(Number(match.option_id))
+                if (isBlank(match.match_text)) continue
+                if (!targets.has(match.match_text)) return invalid
+                matches.push({ option_id: Number(match.option_id), match_text: match.match_text })
+            }
+            return { error: null, response: matches.length > 0 ? { matches } : null }
+        }
+        case "ordenacao": {
+            const list = response.order ?? []
+            if (!Array.isArray(list) || !list.every(isId)) return invalid
+            if (list.length === 0) return { error: null, response: null }
+            const order = list.map(Number)
+            if (order.length !== ids.size || new Set(order).size !== order.length || !order.every(id => ids.has(id))) return invalid
+            return { error: null, response: { order } }
+        }
+        default:
+            return { error: "Esta questão não aceita resposta estruturada.", response: null }
+    }
+}
+
+/**
+ * Fração da pontuação (0 a 1) obtida em uma resposta estruturada.
+ *
+ * @param {Object} question - Questão do gabarito (`type`, `numeric_answer`, `tolerance`).
+ * @param {Object[]} options - Opções da questão, na ordem correta.
+ * @param {Object|null} response - Resposta normalizada por `checkResponse`.
+ * @returns {number} Fração obtida (0 quando em branco ou incompatível com a questão).
+ *
+ * @example
+ * scoreResponse({ type: "ordenacao" }, [{ id: 1 }, { id: 2 }, { id: 3 }], { order: [1, 3, 2] })
+ * // 0.3333
+ */
+function scoreResponse(question, options, response) {
+    if (!response) return 0
+
+    switch (question.type) {
+        case "multipla_selecao": {
+            const correct = new Set(options.filter(o => o.correct).map(o => Number(o.id)))
+            if (correct.size === 0 || !Array.isArray(response.option_ids)) return 0
+            const hits = response.option_ids.filter(id => correct.has(Number(id))).length
+            const misses = response.option_ids.length - hits
+            return Math.max(0, (hits - misses) / correct.size)
+        }
+        case "numerica": {
+            if (question.numeric_answer === null || question.numeric_answer === undefined || typeof response.value !== "number") return 0
+            const tolerance = Number(question.tolerance) || 0
+            // Margem para erros de arredondamento de ponto flutuante
+            return Math.abs(response.value - Number(question.numeric_answer)) <= tolerance + 1e-9 ? 1 : 0
+        }
+        case "associacao": {
+            if (options.length === 0 || !Array.isArray(response.matches)) return 0
+            const pairs = new Map(options.map(o => [Number(o.id), o.match_text]))
+            const hits = response.matches.filter(m => pairs.get(Number(m.option_id)) === m.match_text).length
+            return hits / options.length
+        }
+        case "ordenacao": {
+            if (options.length === 0 || !Array.isArray(response.order)) return 0
+            const hits = options.filter((o, index) => Number(response.order[index]) === Number(o.id)).length
+            return hits / options.length
+        }
+        default:
+            return 0
+    }
+}
+
+/**
+ * Indica se a questão é respondida com uma resposta estruturada (`response`).
+ *
+ * @param {Object} question - Questão (`type`).
+ * @returns {boolean}
+ */
+function questionUsesResponse(question) {
+    return QuestionFieldValidator.STRUCTURED_TYPES.includes(question.type)
+}
+
+module.exports = { checkResponse, scoreResponse, questionUsesResponse }
@@ -0,0 +1,154 @@
+/**
+ * Conteúdo formatado de enunciados e opções de questões.
+ *
+ * Os textos continuam sendo texto puro no banco, com um subconjunto de marcações
+ * interpretado na exibição (`RichText.jsx`):
+ * - bloco de código: ```linguagem (quebra de linha) código (quebra de linha) ```
+ * - código em linha: `código`
+ * - fórmula em destaque: $$ ... $$
+ * - fórmula em linha: $ ... $ (use \$ para um cifrão literal)
+ * - negrito: **texto** e itálico: *texto*
+ *
+ * HTML não faz parte do subconjunto: tags fora de código e fórmulas são removidas, e
+ * comandos LaTeX capazes de criar links, incluir arquivos ou definir macros são recusados.
+ *
+ * @module richText
+ */
+
+/** Tamanho máximo (em caracteres) de cada tipo de texto. */
+const RICH_TEXT_LIMITS = { question: 10000, option: 1000 }
+
+/** Tamanho máximo de uma fórmula. */
+const MAX_FORMULA_LENGTH = 2000
+
+/** Comandos LaTeX recusados nas fórmulas. */
+const BLOCKED_COMMANDS = /\\(href|url|includegraphics|html[A-Za-z]*|def|gdef|edef|xdef|let|newcommand|renewcommand|providecommand|input|include|write|immediate|openout|catcode)(?![A-Za-z])/
+
+/** Caracteres de controle (exceto tabulação e quebra de linha) e marcas de direção de texto. */
+const UNSAFE_CHARACTERS = /[\u0000-\u0008\u000B-\u001F\u007F\u202A-\u202E\u2066-\u2069]/g
+
+const HTML_TAG = /<\/?[A-Za-z!][^>]*>/g
+
+/**
+ * Separa um texto em trechos de texto comum, código e fórmulas.
+ * Delimitadores sem fechamento são tratados como texto comum, exceto blocos de código.
+ *
+ * @param {string} text
+ * @returns {{segments: Array<{type: "text"|"code"|"code_block"|"math"|"math_block", value: string, lang?: string}>, unclosed: boolean}}
+ *
+ * @example
+ * tokenize("Calcule $x^2$")
+ * // { segments: [{ type: "text", value: "Calcule " }, { type: "math", value: "x^2" }], unclosed: false }
+ */
+function tokenize(text) {
+    const segments = []
+    let buffer = ""
+    let i = 0
+
+    const flush = () => {
+        if (buffer) segments.push({ type: "text", value: buffer })
+        buffer = ""
+    }
+
+    while (i < text.length) {
+        if (text.startsWith("```", i)) {
+            const end = text.indexOf("```", i + 3)
+            if (end === -1) return { segments, unclosed: true }
+            const body = text.slice(i + 3, end)
+            const newline = body.indexOf("\n")
+            const lang = newline === -1 ? "" : body.slice(0, newline).trim()
+            flush()
+            segments.push({ type: "code_block", lang, value: newline === -1 ? body : body.slice(newline + 1).replace(/\n$/, "") })
+            i = end + 3
+        } else if (text[i] === "`") {
+            const end = text.indexOf("`", i + 1)
+            if (end === -1) { buffer += text[i++]; continue }
+            flush()
+            segments.push({ type: "code", value: text.slice(i + 1, end) })
+            i = end + 1
+        } else if (text[i] === "\\" && text[i + 1] === "$") {
+            buffer += "\\$"
+            i += 2
+        } else if (text.startsWith("$$", i)) {
+            const end = text.indexOf("$$", i + 2)
+            if (end === -1) { buffer += "$$"; i += 2; continue }
+            flush()
+            segments.push({ type: "math_block", value: text.slice(i + 2, end) })
+            i = end + 2
+        } else if (text[i] === "$") {
+            const end = text.indexOf("$", i + 1)
+            if (end === -1 || end === i + 1) { buffer += text[i++]; continue }
+            flush()
+            segments.push({ type: "math", value: text.slice(i + 1, end) })
+            i = end + 1
+        } else {
+            buffer += text[i++]
+        }
+    }
+    flush()
+    return { segments, unclosed: false }
+}
+
+/**
+ * Remonta os trechos de `tokenize` no texto marcado.
+ *
+ * @param {Object[]} segments
+ * @returns {string}
+ */
+function serialize(segments) {
+    return segments.map(segment => {
+        switch (segment.type) {
+            case "code_block": return "```" + (segment.lang || "") + "\n" + segment.value + "\n```"
+            case "code": return "`" + segment.value + "`"
+            case "math_block": return "$$" + segment.value + "$$"
+            case "math": return "$" + segment.value + "$"
+            default: return segment.value
+        }
+    }).join("")
+}
+
+/**
+ * Valida e limpa um texto formatado.
+ *
+ * @param {string} text - Texto enviado.
+ * @param {Object} [options]
+ * @param {"question"|"option"} [options.kind="question"] - Define o tamanho máximo.
+ * @param {boolean} [options.required=true] - Recusa texto vazio.
+ * @returns {{error: string|null, value: string}} Mensagem de erro (ou `null`) e o texto limpo.
+ *
+ * @example
+ * sanitizeRichText("<b>Resolva</b> $\\frac{1}{2} + x$")
+ * // { error: null, value: "Resolva $\\frac{1}{2} + x$" }
+ */
+function sanitizeRichText(text, { kind = "question", required = true } = {}) {
+    if (text === undefined || text === null) text = ""
+    if (typeof text !== "string") return { error: "Texto inválido.", value: "" }
+
+    const normalized = text.replace(/\r\n?/g, "\n").replace(UNSAFE_CHARACTERS, "")
+    const { segments, unclosed } = tokenize(normalized)
+    if (unclosed) return { error: "Há um bloco de código sem fechamento (```).", value: "" }
+
+    for (const segment of segments) {
+        if (segment.type === "text") {
+            segment.value = segment.value.replace(HTML_TAG, "")
+        } else if (segment.type === "math" || segment.type === "math_block") {
+            const blocked = segment.value.match(BLOCKED_COMMANDS)
+            if (blocked) return { error: `Comando não permitido em fórmulas: ${blocked[0]}.`, value: "" }
+            if (segment.value.length > MAX_FORMULA_LENGTH) {
+                return { error: `Cada fórmula deve ter no máximo ${MAX_FORMULA_LENGTH} caracteres.`, value: "" }
+            }
+        } else if (segment.type === "code_block") {
+            segment.lang = segment.lang.replace(/[^\w+#.-]/g, "").slice(0, 20)
+        }
+    }
+
+    const value = serialize(segments).trim()
+    if (required && !value) return { error: "O texto não pode ficar vazio.", value: "" }
+
+    const max = RICH_TEXT_LIMITS[kind]
+    if (value.length > max) return { error: `O texto deve ter no máximo ${max} caracteres.`, value: "" }
+
+    return { error: null, value }
+}
+
+module.exports = { sanitizeRichText, tokenize, RICH_TEXT_LIMITS }
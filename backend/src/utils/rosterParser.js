@@ -0,0 +1,76 @@
+const XLSX = require("xlsx")
+const validator = require("validator")
+
+/** Quantidade máxima de linhas aceitas em uma importação. */
+const MAX_ROWS = 1000
+
+/** Cabeçalhos reconhecidos, já normalizados (minúsculas e sem acento). */
+const EMAIL_HEADERS = ["email", "e-mail"]
+const REGISTRATION_HEADERS = ["registration", "matricula", "ra", "registro"]
+
+/**
+ * Normaliza um cabeçalho para comparação: minúsculas, sem acentos e sem espaços nas bordas.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function normalizeHeader(value) {
+    return String(value ?? "").trim().toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+}
+
+/**
+ * Lê a primeira aba de uma planilha (CSV, XLSX ou XLS) com a lista de alunos de uma turma.
+ *
+ * Se a primeira linha tiver uma coluna `email` ou `matrícula` (`registration`), essas colunas
+ * são usadas e o cabeçalho é ignorado; sem cabeçalho reconhecido, vale a primeira coluna.
+ * Cada linha vira um identificador: e-mails em minúsculas, os demais valores como matrícula.
+ * Linhas totalmente vazias são descartadas.
+ *
+ * @param {Buffer} buffer - Conteúdo do arquivo enviado.
+ * @returns {{rows: Array<{row: number, identifier: string, type: "email"|"registration"|null}>, error: string|null}}
+ * `row` é o número da linha na planilha (base 1), para o relatório de erros.
+ *
+ * @example
+ * const { rows, error } = parseRoster(request.file.buffer)
+ * // rows = [{ row: 2, identifier: "ana@email.com", type: "email" }, { row: 3, identifier: "2023001", type: "registration" }]
+ */
+function parseRoster(buffer) {
+    let sheet
+    try {
+        // CSV exportado por planilhas modernas vem em UTF-8
+        const workbook = XLSX.read(buffer, { type: "buffer", codepage: 65001, raw: true })
+        sheet = workbook.Sheets[workbook.SheetNames[0]]
+    } catch (err) {
+        console.error("Erro ao ler planilha:", err)
+        return { rows: [], error: "Não foi possível ler a planilha." }
+    }
+    if (!sheet) return { rows: [], error: "A planilha está vazia." }
+
+    const lines = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: "", raw: false, blankrows: true })
+    const headers = (lines[0] || []).map(normalizeHeader)
+    const emailColumn = headers.findIndex(h => EMAIL_HEADERS.includes(h))
+    const registrationColumn = headers.findIndex(h => REGISTRATION_HEADERS.includes(h))
+    const hasHeader = emailColumn >= 0 || registrationColumn >= 0
+
+    const rows = []
+    lines.forEach((line, index) => {
+        if (hasHeader && index === 0) return
+        if (!line.some(cell => String(cell).trim() !== "")) return
+
+        const email = emailColumn >= 0 ? String(line[emailColumn] ?? "").trim() : ""
+        const registration = registrationColumn >= 0 ? String(line[registrationColumn] ?? "").trim() : ""
+        const value = hasHeader ? (email || registration) : String(line[0] ?? "").trim()
+
+        let type = null
+        if (value && validator.isEmail(value)) type = "email"
+        else if (value) type = "registration"
+
+        rows.push({ row: index + 1, identifier: type === "email" ? value.toLowerCase() : value, type })
+    })
+
+    if (rows.length === 0) return { rows, error: "A planilha não possui alunos." }
+    if (rows.length > MAX_ROWS) return { rows: [], error: `A planilha excede o limite de ${MAX_ROWS} linhas.` }
+    return { rows, error: null }
+}
+
+module.exports = { parseRoster, MAX_ROWS }
@@ -4,48 +4,72 @@ require("dotenv").config()
 
 
 /**
- * Envia um e-mail usando o serviço SMTP do Gmail.
- * 
- * Configura um transporte seguro com autenticação usando as variáveis de ambiente:
- * - EMAIL: endereço de e-mail remetente
- * - EMAIL_PASS: senha ou app password do e-mail
+ * Cria o transporte SMTP.
+ *
+ * Por padrão usa o Gmail com as variáveis `EMAIL` e `EMAIL_PASS`. Com `SMTP_HOST`
+ * definido, usa esse servidor — em desenvolvimento, o Mailpit do `docker-compose.yml`
+ * (`SMTP_HOST=mailpit`, `SMTP_PORT=1025`), que captura as mensagens e as exibe em
+ * http://localhost:8025 sem entregá-las de verdade.
+ *
+ * Variáveis opcionais do servidor próprio: `SMTP_PORT` (padrão 1025), `SMTP_SECURE`
+ * (`true` para TLS direto), `SMTP_USER` e `SMTP_PASS`.
+ *
+ * @returns {import("nodemailer").Transporter}
+ */
+function createTransport() {
+  if (process.env.SMTP_HOST) {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT || 1025),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    })
+  }
+
+  return nodemailer.createTransport({
+    host: 'smtp.gmail.com',
+    port: 465,
+    secure: true,
+    auth: {
+      user: process.env.EMAIL,
+      pass: process.env.EMAIL_PASS,
+    }
+  })
+}
+
+/**
+ * Envia um e-mail pelo transporte SMTP configurado (ver `createTransport`).
  * 
  * @async
  * @function sendEmail
  * @param {string} to - Destinatário do e-mail.
  * @param {string} subject - Assunto do e-mail.
  * @param {string} htmlContent - Conteúdo HTML do e-mail.
- * @returns {Promise<void>} Retorna uma Promise que resolve quando o e-mail é enviado com sucesso. 
- *                          Caso haja erro, ele será logado no console.
+ * @returns {Promise<boolean>} `true` se o e-mail foi aceito pelo servidor SMTP.
+ *                             Caso haja erro, ele será logado no console e o retorno será `false`.
  * 
  * @example
  * const sendEmail = require('./sendEmail');
  * 
  * sendEmail('usuario@exemplo.com', 'Teste de Email', '<h1>Olá!</h1>')
- *   .then(() => console.log('E-mail enviado com sucesso'))
- *   .catch(err => console.error('Falha ao enviar e-mail', err));
+ *   .then((sent) => console.log(sent ? 'E-mail enviado com sucesso' : 'Falha ao enviar e-mail'))
  */
 const sendEmail = async (to, subject, htmlContent) => {
-  const transport = nodemailer.createTransport({
-    host: 'smtp.gmail.com',
-    port: 465,
-    secure: true,
-    auth: {
-      user: process.env.EMAIL,
-      pass: process.env.EMAIL_PASS,
-    }
-  })
+  const transport = createTransport()
 
   try {
     await transport.sendMail({
-      from: `Evolvere <${process.env.EMAIL}>`,
+      from: `Evolvere <${process.env.EMAIL || 'no-reply@evolvere.local'}>`,
       to,
       subject,
       html: htmlContent
     })
-
+    return true
   } catch (err) {
     console.error('Erro ao enviar: ', err)
+    return false
   }
 }
 
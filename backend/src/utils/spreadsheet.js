@@ -0,0 +1,26 @@
+/**
+ * Utilitários para planilhas exportadas (CSV/XLSX).
+ *
+ * @module spreadsheet
+ */
+
+/** Caracteres que fazem o Excel/LibreOffice interpretar a célula como fórmula. */
+const FORMULA_PREFIX = /^[=+\-@\t\r]/
+
+/**
+ * Impede que um texto vindo do usuário seja executado como fórmula ao abrir a
+ * planilha (CSV injection): células de texto que começam com `=`, `+`, `-`, `@`,
+ * tab ou CR ganham um `'` na frente. Números e demais valores não são alterados.
+ *
+ * @param {*} value - Valor da célula.
+ * @returns {*}
+ *
+ * @example
+ * escapeFormula('=HYPERLINK("http://x")') // "'=HYPERLINK(\"http://x\")"
+ * escapeFormula(-2)                        // -2
+ */
+function escapeFormula(value) {
+    return typeof value === "string" && FORMULA_PREFIX.test(value) ? `'${value}` : value
+}
+
+module.exports = { escapeFormula }
@@ -0,0 +1,111 @@
+const path = require("path")
+const cloudinary = require("../cloudinary")
+
+/**
+ * Armazenamento no Cloudinary. O `bucket` vira a pasta raiz do `public_id`
+ * (ex: `images/evolvere/users/7-1733400000000`).
+ *
+ * Imagens são enviadas como `image` (sem a extensão no `public_id`, como o Cloudinary
+ * espera); os demais arquivos (PDF, DOC, PPT...) como `raw`.
+ *
+ * @module storage/cloudinaryAdapter
+ */
+
+/** Extensões tratadas como imagem. */
+const IMAGE_EXTENSIONS = ["png", "jpg", "jpeg", "gif", "webp"]
+
+/**
+ * Identificação do arquivo no Cloudinary a partir do bucket e da chave.
+ *
+ * @param {string} bucket
+ * @param {string} key
+ * @returns {{publicId: string, resourceType: "image"|"raw", format: string}}
+ */
+function resourceOf(bucket, key) {
+    const format = path.posix.extname(key).slice(1).toLowerCase()
+    const image = IMAGE_EXTENSIONS.includes(format)
+    return {
+        publicId: path.posix.join(bucket, image ? key.slice(0, -(format.length + 1)) : key),
+        resourceType: image ? "image" : "raw",
+        format: image ? format : ""
+    }
+}
+
+/**
+ * Envia um arquivo (substitui o existente com a mesma chave).
+ *
+ * @async
+ * @param {string} bucket
+ * @param {string} key - Caminho do arquivo dentro do bucket.
+ * @param {Buffer} buffer - Conteúdo.
+ * @returns {Promise<{key: string, url: string}>} `url` pública (`secure_url`).
+ */
+async function put(bucket, key, buffer) {
+    const { publicId, resourceType } = resourceOf(bucket, key)
+    const uploaded = await new Promise((resolve, reject) => {
+        const uploadStream = cloudinary.uploader.upload_stream(
+            {
+                public_id: publicId,
+                resource_type: resourceType,
+                overwrite: true
+            },
+            (error, result) => {
+                if (error) reject(error)
+                else resolve(result)
+            }
+        )
+
+        uploadStream.end(buffer)
+    })
+    return { key, url: uploaded.secure_url }
+}
+
+/**
+ * Lê o conteúdo de um arquivo.
+ *
+ * @async
+ * @param {string} bucket
+ * @param {string} key
+ * @returns {Promise<Buffer>}
+ */
+async function get(bucket, key) {
+    const url = await signedUrl(bucket, key, 60)
+    const result = await fetch(url)
+    if (!result.ok) throw new Error(`Erro ao baixar arquivo do Cloudinary (${result.status}).`)
+    return Buffer.from(await result.arrayBuffer())
+}
+
+/**
+ * Remove arquivos.
+ *
+ * @async
+ * @param {string} bucket
+ * @param {string[]} keys
+ * @returns {Promise<void>}
+ */
+async function remove(bucket, keys) {
+    for (const key of keys) {
+        const { publicId, resourceType } = resourceOf(bucket, key)
+        await cloudinary.uploader.destroy(publicId, { resource_type: resourceType, invalidate: true })
+    }
+}
+
+/**
+ * Gera uma URL de download temporária.
+ *
+ * @async
+ * @param {string} bucket
+ * @param {string} key
+ * @param {number} expiresIn - Validade em segundos.
+ * @returns {Promise<string>}
+ */
+async function signedUrl(bucket, key, expiresIn) {
+    const { publicId, resourceType, format } = resourceOf(bucket, key)
+    return cloudinary.utils.private_download_url(publicId, format, {
+        resource_type: resourceType,
+        type: "upload",
+        expires_at: Math.floor(Date.now() / 1000) + expiresIn
+    })
+}
+
+module.exports = { name: "cloudinary", put, get, delete: remove, signedUrl }
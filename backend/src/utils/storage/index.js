@@ -0,0 +1,72 @@
+/**
+ * Armazenamento de arquivos da aplicação, com o serviço escolhido pela configuração.
+ *
+ * Todos os drivers implementam a mesma interface:
+ * - `put(bucket, key, buffer, { contentType })` → `{ key, url }`;
+ * - `get(bucket, key)` → `Buffer`;
+ * - `delete(bucket, keys)`;
+ * - `signedUrl(bucket, key, expiresIn)` → URL temporária.
+ *
+ * Os métodos lançam erro em caso de falha. Buckets usados: `materials` (materiais e
+ * anexos das turmas), `diplomas` e `images` (fotos de perfil e imagens das questões).
+ *
+ * Configuração (variáveis de ambiente):
+ * - `STORAGE_DRIVER` — documentos (`supabase`, `cloudinary` ou `local`; padrão `supabase`);
+ * - `IMAGE_STORAGE_DRIVER` — imagens públicas (padrão `cloudinary`).
+ *
+ * Com os dois em `local` a aplicação roda sem nenhum serviço externo de arquivos.
+ *
+ * @module storage
+ *
+ * @example
+ * const { files, signedUrlOrNull } = require("../utils/storage")
+ * await files.put("materials", "evolvere/aula-1.pdf", request.file.buffer, { contentType: request.file.mimetype })
+ * material.file_url = await signedUrlOrNull("materials", material.archive, 60 * 60)
+ */
+
+/** Drivers disponíveis (carregados sob demanda, para não exigir credenciais dos não usados). */
+const DRIVERS = {
+    supabase: () => require("./supabaseAdapter"),
+    cloudinary: () => require("./cloudinaryAdapter"),
+    local: () => require("./localAdapter")
+}
+
+/**
+ * Carrega um driver de armazenamento.
+ *
+ * @param {string} driver - `supabase`, `cloudinary` ou `local`.
+ * @returns {Object} Implementação da interface de armazenamento.
+ * @throws {Error} Se o driver não existir.
+ */
+function createStorage(driver) {
+    const load = DRIVERS[driver]
+    if (!load) throw new Error(`Driver de armazenamento desconhecido: "${driver}".`)
+    return load()
+}
+
+/** Armazenamento dos documentos (materiais, diplomas, anexos e entregas). */
+const files = createStorage(process.env.STORAGE_DRIVER || "supabase")
+
+/** Armazenamento das imagens públicas (fotos de perfil e imagens das questões). */
+const images = createStorage(process.env.IMAGE_STORAGE_DRIVER || "cloudinary")
+
+/**
+ * URL temporária de um documento, ou `null` sem arquivo ou em caso de falha (logada).
+ *
+ * @async
+ * @param {string} bucket
+ * @param {string|null} key
+ * @param {number} expiresIn - Validade em segundos.
+ * @returns {Promise<string|null>}
+ */
+async function signedUrlOrNull(bucket, key, expiresIn) {
+    if (!key) return null
+    try {
+        return await files.signedUrl(bucket, key, expiresIn)
+    } catch (err) {
+        console.error("Erro ao gerar URL assinada:", err)
+        return null
+    }
+}
+
+module.exports = { files, images, signedUrlOrNull, createStorage }
@@ -0,0 +1,145 @@
+const fs = require("fs/promises")
+const path = require("path")
+const crypto = require("crypto")
+
+/**
+ * Armazenamento no disco local, para rodar a aplicação sem serviços externos
+ * (docker-compose, testes).
+ *
+ * - Os arquivos ficam em `<STORAGE_LOCAL_DIR>/<bucket>/<chave>` (padrão: `backend/storage`),
+ *   fora de `public/`, e são servidos por `GET /files/:bucket/*key` (`downloadRoute`).
+ * - As URLs assinadas levam `expires` e `signature` (HMAC com `SECRET`); os buckets de
+ *   `PUBLIC_BUCKETS` são servidos sem assinatura.
+ * - `STORAGE_LOCAL_URL` é o endereço do backend usado nos links (padrão: `http://localhost:8080`).
+ *
+ * @module storage/localAdapter
+ */
+
+/** Diretório raiz dos arquivos. */
+const ROOT = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, "..", "..", "..", "storage"))
+
+/** Endereço público do backend. */
+const BASE_URL = (process.env.STORAGE_LOCAL_URL || "http://localhost:8080").replace(/\/+$/, "")
+
+/** Buckets servidos sem assinatura (imagens exibidas diretamente na interface). */
+const PUBLIC_BUCKETS = ["images"]
+
+/**
+ * Caminho absoluto de um arquivo, sem permitir sair da pasta do bucket.
+ *
+ * @param {string} bucket
+ * @param {string} key
+ * @returns {string}
+ * @throws {Error} Se o bucket ou a chave tentarem sair da raiz (`..`).
+ */
+function resolvePath(bucket, key) {
+    const base = path.resolve(ROOT, bucket)
+    const target = path.resolve(base, key)
+    if (path.dirname(base) !== ROOT || !target.startsWith(base + path.sep)) {
+        throw new Error("Caminho de arquivo inválido.")
+    }
+    return target
+}
+
+/**
+ * Assinatura de um link temporário.
+ *
+ * @param {string} bucket
+ * @param {string} key
+ * @param {number} expires - Expiração (segundos desde a época Unix).
+ * @returns {string}
+ */
+function sign(bucket, key, expires) {
+    return crypto.createHmac("sha256", process.env.SECRET)
+        .update(`${bucket}/${key}:${expires}`)
+        .digest("hex")
+}
+
+/**
+ * URL de um arquivo na rota `/files`.
+ *
+ * @param {string} bucket
+ * @param {string} key
+ * @param {string} [query=""]
+ * @returns {string}
+ */
+function fileUrl(bucket, key, query = "") {
+    const encoded = key.split("/").map(encodeURIComponent).join("/")
+    return `${BASE_URL}/files/${encodeURIComponent(bucket)}/${encoded}${query}`
+}
+
+/**
+ * Grava um arquivo (substitui o existente com a mesma chave).
+ *
+ * @async
+ * @param {string} bucket
+ * @param {string} key - Caminho do arquivo dentro do bucket.
+ * @param {Buffer} buffer - Conteúdo.
+ * @returns {Promise<{key: string, url: string|null}>} `url` apenas para buckets públicos.
+ */
+async function put(bucket, key, buffer) {
+    const target = resolvePath(bucket, key)
+    await fs.mkdir(path.dirname(target), { recursive: true })
+    await fs.writeFile(target, buffer)
+    return { key, url: PUBLIC_BUCKETS.includes(bucket) ? fileUrl(bucket, key) : null }
+}
+
+/**
+ * Lê o conteúdo de um arquivo.
+ *
+ * @async
+ * @param {string} bucket
+ * @param {string} key
+ * @returns {Promise<Buffer>}
+ */
+async function get(bucket, key) {
+    return fs.readFile(resolvePath(bucket, key))
+}
+
+/**
+ * Remove arquivos (os inexistentes são ignorados).
+ *
+ * @async
+ * @param {string} bucket
+ * @param {string[]} keys
+ * @returns {Promise<void>}
+ */
+async function remove(bucket, keys) {
+    for (const key of keys) {
+        await fs.rm(resolvePath(bucket, key), { force: true })
+    }
+}
+
+/**
+ * Gera uma URL temporária, validada por {@link verify}.
+ *
+ * @async
+ * @param {string} bucket
+ * @param {string} key
+ * @param {number} expiresIn - Validade em segundos.
+ * @returns {Promise<string>}
+ */
+async function signedUrl(bucket, key, expiresIn) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn
+    return fileUrl(bucket, key, `?expires=${expires}&signature=${sign(bucket, key, expires)}`)
+}
+
+/**
+ * Confere se um link de `/files` pode ser servido: bucket público ou assinatura
+ * válida e ainda não expirada.
+ *
+ * @param {string} bucket
+ * @param {string} key
+ * @param {{expires?: string, signature?: string}} query - Query da requisição.
+ * @returns {boolean}
+ */
+function verify(bucket, key, { expires, signature } = {}) {
+    if (PUBLIC_BUCKETS.includes(bucket)) return true
+    if (!expires || !signature || Number(expires) < Date.now() / 1000) return false
+
+    const expected = Buffer.from(sign(bucket, key, expires))
+    const received = Buffer.from(String(signature))
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received)
+}
+
+module.exports = { name: "local", put, get, delete: remove, signedUrl, resolvePath, verify }
@@ -0,0 +1,75 @@
+const { supabase } = require("../supabase")
+
+/**
+ * Armazenamento no Supabase Storage. Cada `bucket` é um bucket do projeto
+ * (`materials`, `diplomas`, `images`).
+ *
+ * A `url` devolvida por `put` só é acessível em buckets públicos; nos demais,
+ * use `signedUrl`.
+ *
+ * @module storage/supabaseAdapter
+ */
+
+/**
+ * Envia um arquivo (substitui o existente com a mesma chave).
+ *
+ * @async
+ * @param {string} bucket
+ * @param {string} key - Caminho do arquivo dentro do bucket.
+ * @param {Buffer} buffer - Conteúdo.
+ * @param {{contentType?: string}} [options]
+ * @returns {Promise<{key: string, url: string}>}
+ */
+async function put(bucket, key, buffer, { contentType } = {}) {
+    const { error } = await supabase.storage
+        .from(bucket)
+        .upload(key, buffer, { contentType, upsert: true })
+    if (error) throw error
+
+    const { data } = supabase.storage.from(bucket).getPublicUrl(key)
+    return { key, url: data.publicUrl }
+}
+
+/**
+ * Lê o conteúdo de um arquivo.
+ *
+ * @async
+ * @param {string} bucket
+ * @param {string} key
+ * @returns {Promise<Buffer>}
+ */
+async function get(bucket, key) {
+    const { data, error } = await supabase.storage.from(bucket).download(key)
+    if (error) throw error
+    return Buffer.from(await data.arrayBuffer())
+}
+
+/**
+ * Remove arquivos.
+ *
+ * @async
+ * @param {string} bucket
+ * @param {string[]} keys
+ * @returns {Promise<void>}
+ */
+async function remove(bucket, keys) {
+    const { error } = await supabase.storage.from(bucket).remove(keys)
+    if (error) throw error
+}
+
+/**
+ * Gera uma URL temporária para um arquivo privado.
+ *
+ * @async
+ * @param {string} bucket
+ * @param {string} key
+ * @param {number} expiresIn - Validade em segundos.
+ * @returns {Promise<string>}
+ */
+async function signedUrl(bucket, key, expiresIn) {
+    const { data, error } = await supabase.storage.from(bucket).createSignedUrl(key, expiresIn)
+    if (error) throw error
+    return data.signedUrl
+}
+
+module.exports = { name: "supabase", put, get, delete: remove, signedUrl }
@@ -0,0 +1,28 @@
+require("dotenv").config()
+const { JOBS, runJobByName, startScheduler } = require("./utils/jobScheduler")
+
+/**
+ * Processo separado para as tarefas em segundo plano (lembretes de prazo, resumo
+ * semanal e envio de tentativas expiradas), para quando o servidor roda com `RUN_JOBS=false`.
+ *
+ * Uso:
+ * - `npm run worker` — mantém as tarefas rodando nos seus intervalos;
+ * - `npm run worker -- --once deadline_reminders` — executa uma tarefa uma vez e encerra
+ *   (útil para testar os e-mails com o Mailpit).
+ */
+const onceIndex = process.argv.indexOf("--once")
+
+if (onceIndex !== -1) {
+  const name = process.argv[onceIndex + 1]
+  runJobByName(name).then((result) => {
+    if (result === undefined) {
+      console.error(`Tarefa desconhecida: ${name}. Disponíveis: ${JOBS.map(job => job.name).join(", ")}`)
+      process.exit(1)
+    }
+    console.log(`Tarefa ${name} concluída: ${result ?? 0} item(ns) processado(s).`)
+    process.exit(0)
+  })
+} else {
+  startScheduler()
+  console.log("Worker de tarefas iniciado 🕒")
+}
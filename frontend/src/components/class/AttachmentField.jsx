@@ -0,0 +1,69 @@
+import { Paperclip, X } from "lucide-react"
+
+/** Tipos aceitos pelo middleware de upload do backend (`Archive`). */
+const ACCEPTED_TYPES = ".pdf,.doc,.docx,.ppt,.pptx"
+
+/**
+ * Campo de anexo dos avisos, discussões e entregas de atividades (PDF, DOC, DOCX, PPT ou PPTX, até 5MB).
+ *
+ * Props:
+ * @param {File|null} file - Arquivo selecionado.
+ * @param {function(File|null): void} onChange - Chamado ao selecionar ou remover o arquivo.
+ * @param {Object} theme - Classes do painel (ver `boardTheme`).
+ *
+ * @component
+ * @example
+ * <AttachmentField file={file} onChange={setFile} theme={BOARD_THEMES.dark} />
+ */
+export default function AttachmentField({ file, onChange, theme }) {
+  return (
+    <div className="flex items-center gap-2">
+      <label className={`${theme.secondary} cursor-pointer`}>
+        <Paperclip className="w-3.5 h-3.5" />
+        {file ? "Trocar anexo" : "Anexar arquivo"}
+        <input
+          type="file"
+          accept={ACCEPTED_TYPES}
+          className="hidden"
+          onChange={(e) => {
+            onChange(e.target.files[0] || null)
+            e.target.value = ""
+          }}
+        />
+      </label>
+      {file && (
+        <span className={`inline-flex items-center gap-1 text-xs ${theme.muted}`}>
+          {file.name}
+          <button type="button" onClick={() => onChange(null)} aria-label="Remover anexo">
+            <X className="w-3.5 h-3.5" />
+          </button>
+        </span>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Link para o anexo de um aviso, tópico, resposta ou entrega (URL temporária gerada pela API).
+ *
+ * Props:
+ * @param {{attachment_url?: string|null, attachment_name?: string|null}} item
+ * @param {Object} theme - Classes do painel (ver `boardTheme`).
+ *
+ * @component
+ */
+export function AttachmentLink({ item, theme }) {
+  if (!item.attachment_url) return null
+
+  return (
+    <a
+      href={item.attachment_url}
+      target="_blank"
+      rel="noopener noreferrer"
+      className={`inline-flex items-center gap-1.5 text-xs font-semibold mt-2 ${theme.link}`}
+    >
+      <Paperclip className="w-3.5 h-3.5" />
+      {item.attachment_name || "Anexo"}
+    </a>
+  )
+}
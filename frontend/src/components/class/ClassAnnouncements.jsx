@@ -0,0 +1,188 @@
+import { useState, useEffect } from "react"
+import { Megaphone, Pin, PinOff, Trash2, PlusCircle, Send } from "lucide-react"
+import requestData from "../../utils/requestApi"
+import formatDateRequests from "../../utils/formatDateRequests"
+import useFlashMessage from "../../hooks/useFlashMessage"
+import AttachmentField, { AttachmentLink } from "./AttachmentField"
+import BOARD_THEMES from "./boardTheme"
+
+/**
+ * Mural de avisos da turma.
+ *
+ * - Lista os avisos (`GET /classes/:id/announcements`), com os fixados no topo.
+ * - Com `canManage`, o professor publica avisos com anexo opcional
+ *   (`POST /classes/:id/announcements`, multipart), fixa/desafixa (`PATCH /announcements/:id`)
+ *   e exclui (`DELETE /announcements/:id`).
+ *
+ * Props:
+ * @param {number|string} classId - ID da turma.
+ * @param {boolean} [canManage=false] - Exibe as ações do professor.
+ * @param {"dark"|"light"} [variant="dark"] - Aparência do painel.
+ *
+ * @component
+ * @example
+ * <ClassAnnouncements classId={id} canManage variant="dark" />
+ */
+export default function ClassAnnouncements({ classId, canManage = false, variant = "dark" }) {
+  const theme = BOARD_THEMES[variant]
+  const [announcements, setAnnouncements] = useState([])
+  const [loaded, setLoaded] = useState(false)
+  const [formOpen, setFormOpen] = useState(false)
+  const [title, setTitle] = useState("")
+  const [body, setBody] = useState("")
+  const [pinned, setPinned] = useState(false)
+  const [file, setFile] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [version, setVersion] = useState(0)
+  const { setFlashMessage } = useFlashMessage()
+
+  useEffect(() => {
+    async function fetchAnnouncements() {
+      const response = await requestData(`/classes/${classId}/announcements`, "GET", {}, true)
+      if (response.success) setAnnouncements(response.data.announcements || [])
+      setLoaded(true)
+    }
+    if (classId) fetchAnnouncements()
+  }, [classId, version])
+
+  async function handleSubmit(e) {
+    e.preventDefault()
+    const formData = new FormData()
+    formData.append("title", title)
+    formData.append("body", body)
+    formData.append("pinned", pinned)
+    if (file) formData.append("attachment", file)
+
+    setSaving(true)
+    const response = await requestData(`/classes/${classId}/announcements`, "POST", formData, true)
+    setSaving(false)
+
+    if (response.success) {
+      setFlashMessage(response.data.message, "success")
+      setTitle("")
+      setBody("")
+      setPinned(false)
+      setFile(null)
+      setFormOpen(false)
+      setVersion((v) => v + 1)
+    } else {
+      setFlashMessage(response.message, "error")
+    }
+  }
+
+  async function togglePin(announcement) {
+    const response = await requestData(`/announcements/${announcement.id}`, "PATCH", { pinned: !announcement.pinned }, true)
+    if (response.success) setVersion((v) => v + 1)
+    else setFlashMessage(response.message, "error")
+  }
+
+  async function deleteAnnouncement(id) {
+    if (!window.confirm("Excluir este aviso?")) return
+    const response = await requestData(`/announcements/${id}`, "DELETE", {}, true)
+    if (response.success) {
+      setAnnouncements((prev) => prev.filter((a) => a.id !== id))
+      setFlashMessage(response.data.message, "success")
+    } else {
+      setFlashMessage(response.message, "error")
+    }
+  }
+
+  return (
+    <section className={theme.panel}>
+      <div className="flex items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-3">
+          <Megaphone className={`w-6 h-6 ${theme.link}`} />
+          <h2 className={`font-bold text-lg ${theme.title}`}>Avisos</h2>
+        </div>
+        {canManage && !formOpen && (
+          <button type="button" onClick={() => setFormOpen(true)} className={theme.primary}>
+            <PlusCircle className="w-4 h-4" />
+            Novo aviso
+          </button>
+        )}
+      </div>
+
+      {formOpen && (
+        <form onSubmit={handleSubmit} className={`${theme.item} space-y-3 mb-4`}>
+          <input
+            type="text"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            placeholder="Título do aviso"
+            maxLength={150}
+            className={theme.input}
+          />
+          <textarea
+            value={body}
+            onChange={(e) => setBody(e.target.value)}
+            placeholder="Escreva o aviso para a turma..."
+            rows={4}
+            className={theme.input}
+          />
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <div className="flex flex-wrap items-center gap-4">
+              <label className={`inline-flex items-center gap-2 text-sm ${theme.text}`}>
+                <input type="checkbox" checked={pinned} onChange={(e) => setPinned(e.target.checked)} />
+                Fixar no topo
+              </label>
+              <AttachmentField file={file} onChange={setFile} theme={theme} />
+            </div>
+            <div className="flex items-center gap-2">
+              <button type="button" onClick={() => setFormOpen(false)} className={theme.secondary}>
+                Cancelar
+              </button>
+              <button type="submit" disabled={saving} className={theme.primary}>
+                <Send className="w-4 h-4" />
+                {saving ? "Publicando..." : "Publicar"}
+              </button>
+            </div>
+          </div>
+        </form>
+      )}
+
+      {loaded && announcements.length === 0 && (
+        <p className={`text-sm italic text-center py-4 ${theme.muted}`}>Nenhum aviso publicado.</p>
+      )}
+
+      <ul className="space-y-3">
+        {announcements.map((announcement) => (
+          <li key={announcement.id} className={theme.item}>
+            <div className="flex items-start justify-between gap-3">
+              <div className="min-w-0">
+                <div className="flex flex-wrap items-center gap-2">
+                  {announcement.pinned && (
+                    <span className={`inline-flex items-center gap-1 text-xs px-2 py-0.5 rounded-lg font-semibold ${theme.badge}`}>
+                      <Pin className="w-3 h-3" /> Fixado
+                    </span>
+                  )}
+                  <h3 className={`font-semibold ${theme.title}`}>{announcement.title}</h3>
+                </div>
+                <p className={`text-xs mt-1 ${theme.muted}`}>
+                  {announcement.author_name} · {formatDateRequests(announcement.created_at)}
+                </p>
+              </div>
+              {canManage && (
+                <div className="flex items-center gap-2 shrink-0">
+                  <button
+                    type="button"
+                    onClick={() => togglePin(announcement)}
+                    title={announcement.pinned ? "Desafixar" : "Fixar"}
+                  >
+                    {announcement.pinned
+                      ? <PinOff className={`w-4 h-4 ${theme.muted}`} />
+                      : <Pin className={`w-4 h-4 ${theme.muted}`} />}
+                  </button>
+                  <button type="button" onClick={() => deleteAnnouncement(announcement.id)} title="Excluir">
+                    <Trash2 className="w-4 h-4 text-red-400 hover:text-red-300" />
+                  </button>
+                </div>
+              )}
+            </div>
+            <p className={`text-sm mt-3 whitespace-pre-line ${theme.text}`}>{announcement.body}</p>
+            <AttachmentLink item={announcement} theme={theme} />
+          </li>
+        ))}
+      </ul>
+    </section>
+  )
+}
@@ -0,0 +1,452 @@
+import { useState, useEffect } from "react"
+import { ClipboardList, PlusCircle, Send, Trash2, Users, ArrowLeft, Upload, Clock } from "lucide-react"
+import requestData from "../../utils/requestApi"
+import formatDateRequests from "../../utils/formatDateRequests"
+import useFlashMessage from "../../hooks/useFlashMessage"
+import AttachmentField, { AttachmentLink } from "./AttachmentField"
+import BOARD_THEMES from "./boardTheme"
+
+/** Valores iniciais do formulário de nova atividade. */
+const EMPTY_DRAFT = {
+  title: "",
+  instructions: "",
+  due_at: "",
+  late_policy: "reject",
+  late_penalty: "",
+  max_points: "10",
+}
+
+/** Opções da política de atraso. */
+const LATE_POLICIES = [
+  { id: "reject", label: "Não aceitar entregas atrasadas" },
+  { id: "accept", label: "Aceitar entregas atrasadas" },
+  { id: "penalty", label: "Aceitar com desconto por dia de atraso" },
+]
+
+/**
+ * Descrição da política de atraso de uma atividade.
+ *
+ * @param {{late_policy: string, late_penalty: number|string}} assignment
+ * @returns {string}
+ */
+function describeLatePolicy({ late_policy, late_penalty }) {
+  if (late_policy === "accept") return "Entregas atrasadas são aceitas"
+  if (late_policy === "penalty") return `Desconto de ${Number(late_penalty)}% por dia de atraso`
+  return "Entregas atrasadas não são aceitas"
+}
+
+/**
+ * Entregas de uma atividade, com a avaliação (nota e comentário) de cada aluno.
+ *
+ * Props:
+ * @param {{id: number, title: string, max_points: number|string}} assignment
+ * @param {Object} theme - Classes do painel (ver `boardTheme`).
+ * @param {function(): void} onBack - Volta para a lista de atividades.
+ *
+ * @component
+ */
+function AssignmentSubmissions({ assignment, theme, onBack }) {
+  const [students, setStudents] = useState([])
+  const [grades, setGrades] = useState({})
+  const [loaded, setLoaded] = useState(false)
+  const [savingId, setSavingId] = useState(null)
+  const { setFlashMessage } = useFlashMessage()
+
+  useEffect(() => {
+    async function fetchSubmissions() {
+      const response = await requestData(`/assignments/${assignment.id}/submissions`, "GET", {}, true)
+      if (response.success) {
+        const list = response.data.students || []
+        setStudents(list)
+        setGrades(Object.fromEntries(list.filter((s) => s.submission).map(({ submission }) => [
+          submission.id,
+          { points: submission.points ?? "", comment: submission.comment ?? "" },
+        ])))
+      }
+      setLoaded(true)
+    }
+    fetchSubmissions()
+  }, [assignment.id])
+
+  function changeGrade(submissionId, field, value) {
+    setGrades((prev) => ({ ...prev, [submissionId]: { ...prev[submissionId], [field]: value } }))
+  }
+
+  async function saveGrade(submissionId) {
+    setSavingId(submissionId)
+    const response = await requestData(`/assignments/submissions/${submissionId}/grade`, "PATCH", grades[submissionId], true)
+    setSavingId(null)
+
+    if (response.success) {
+      const graded = response.data.submission
+      setStudents((prev) => prev.map((s) => (s.submission?.id === submissionId ? { ...s, submission: graded } : s)))
+      setFlashMessage(response.data.message, "success")
+    } else {
+      setFlashMessage(response.message, "error")
+    }
+  }
+
+  return (
+    <div>
+      <button type="button" onClick={onBack} className={`${theme.secondary} mb-4`}>
+        <ArrowLeft className="w-3.5 h-3.5" />
+        Voltar às atividades
+      </button>
+      <h3 className={`font-semibold mb-1 ${theme.title}`}>{assignment.title}</h3>
+      <p className={`text-xs mb-4 ${theme.muted}`}>Pontuação máxima: {Number(assignment.max_points)}</p>
+
+      {loaded && students.length === 0 && (
+        <p className={`text-sm italic text-center py-4 ${theme.muted}`}>Nenhum aluno matriculado na turma.</p>
+      )}
+
+      <ul className="space-y-3">
+        {students.map(({ student_id, student_name, submission }) => (
+          <li key={student_id} className={theme.item}>
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <span className={`font-semibold ${theme.title}`}>{student_name}</span>
+              {!submission && <span className={`text-xs ${theme.muted}`}>Não entregou</span>}
+              {submission && (
+                <span className={`inline-flex items-center gap-2 text-xs ${theme.muted}`}>
+                  {submission.late && (
+                    <span className={`px-2 py-0.5 rounded-lg font-semibold ${theme.warning}`}>Atrasada</span>
+                  )}
+                  Entregue em {formatDateRequests(submission.submitted_at)}
+                </span>
+              )}
+            </div>
+
+            {submission && (
+              <>
+                <AttachmentLink item={submission} theme={theme} />
+                <div className="grid gap-2 mt-3 sm:grid-cols-[8rem_1fr_auto] sm:items-start">
+                  <input
+                    type="number"
+                    min="0"
+                    max={Number(assignment.max_points)}
+                    step="0.01"
+                    value={grades[submission.id]?.points ?? ""}
+                    onChange={(e) => changeGrade(submission.id, "points", e.target.value)}
+                    placeholder="Nota"
+                    className={theme.input}
+                  />
+                  <textarea
+                    value={grades[submission.id]?.comment ?? ""}
+                    onChange={(e) => changeGrade(submission.id, "comment", e.target.value)}
+                    placeholder="Comentário para o aluno (opcional)"
+                    rows={2}
+                    className={theme.input}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => saveGrade(submission.id)}
+                    disabled={savingId === submission.id}
+                    className={theme.primary}
+                  >
+                    {savingId === submission.id ? "Salvando..." : "Salvar nota"}
+                  </button>
+                </div>
+                {submission.graded_at && (
+                  <p className={`text-xs mt-2 ${theme.muted}`}>
+                    Nota final: {Number(submission.final_points)}
+                    {Number(submission.final_points) !== Number(submission.points) && ` (${Number(submission.points)} antes do desconto por atraso)`}
+                    {" · "}avaliada em {formatDateRequests(submission.graded_at)}
+                  </p>
+                )}
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+/**
+ * Atividades com entrega de arquivo da turma.
+ *
+ * - Lista as atividades (`GET /classes/:id/assignments`) com prazo, política de atraso
+ *   e pontuação máxima.
+ * - Com `canManage`, o professor publica (`POST /classes/:id/assignments`) e exclui
+ *   (`DELETE /assignments/:id`) atividades e avalia as entregas (`AssignmentSubmissions`).
+ * - Sem `canManage`, o aluno envia ou substitui o arquivo da entrega
+ *   (`POST /assignments/:id/submission`, multipart) e vê a nota e o comentário do professor.
+ *
+ * Props:
+ * @param {number|string} classId - ID da turma.
+ * @param {boolean} [canManage=false] - Exibe as ações do professor.
+ * @param {"dark"|"light"} [variant="dark"] - Aparência do painel.
+ *
+ * @component
+ * @example
+ * <ClassAssignments classId={id} canManage variant="dark" />
+ */
+export default function ClassAssignments({ classId, canManage = false, variant = "dark" }) {
+  const theme = BOARD_THEMES[variant]
+  const [assignments, setAssignments] = useState([])
+  const [loaded, setLoaded] = useState(false)
+  const [formOpen, setFormOpen] = useState(false)
+  const [draft, setDraft] = useState(EMPTY_DRAFT)
+  const [saving, setSaving] = useState(false)
+  const [files, setFiles] = useState({})
+  const [uploadingId, setUploadingId] = useState(null)
+  const [selected, setSelected] = useState(null)
+  const [version, setVersion] = useState(0)
+  const { setFlashMessage } = useFlashMessage()
+
+  useEffect(() => {
+    async function fetchAssignments() {
+      const response = await requestData(`/classes/${classId}/assignments`, "GET", {}, true)
+      if (response.success) setAssignments(response.data.assignments || [])
+      setLoaded(true)
+    }
+    if (classId) fetchAssignments()
+  }, [classId, version])
+
+  function changeDraft(field, value) {
+    setDraft((prev) => ({ ...prev, [field]: value }))
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault()
+    const payload = {
+      ...draft,
+      due_at: draft.due_at ? new Date(draft.due_at).toISOString() : "",
+      late_penalty: draft.late_policy === "penalty" ? draft.late_penalty : 0,
+    }
+
+    setSaving(true)
+    const response = await requestData(`/classes/${classId}/assignments`, "POST", payload, true)
+    setSaving(false)
+
+    if (response.success) {
+      setFlashMessage(response.data.message, "success")
+      setDraft(EMPTY_DRAFT)
+      setFormOpen(false)
+      setVersion((v) => v + 1)
+    } else {
+      setFlashMessage(response.message, "error")
+    }
+  }
+
+  async function deleteAssignment(id) {
+    if (!window.confirm("Excluir esta atividade e todas as entregas?")) return
+    const response = await requestData(`/assignments/${id}`, "DELETE", {}, true)
+    if (response.success) {
+      setAssignments((prev) => prev.filter((a) => a.id !== id))
+      setFlashMessage(response.data.message, "success")
+    } else {
+      setFlashMessage(response.message, "error")
+    }
+  }
+
+  async function submitFile(assignmentId) {
+    const formData = new FormData()
+    formData.append("attachment", files[assignmentId])
+
+    setUploadingId(assignmentId)
+    const response = await requestData(`/assignments/${assignmentId}/submission`, "POST", formData, true)
+    setUploadingId(null)
+
+    if (response.success) {
+      setFlashMessage(response.data.message, "success")
+      setFiles((prev) => ({ ...prev, [assignmentId]: null }))
+      setVersion((v) => v + 1)
+    } else {
+      setFlashMessage(response.message, "error")
+    }
+  }
+
+  if (selected) {
+    return (
+      <section className={theme.panel}>
+        <AssignmentSubmissions
+          assignment={selected}
+          theme={theme}
+          onBack={() => {
+            setSelected(null)
+            setVersion((v) => v + 1)
+          }}
+        />
+      </section>
+    )
+  }
+
+  return (
+    <section className={theme.panel}>
+      <div className="flex items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-3">
+          <ClipboardList className={`w-6 h-6 ${theme.link}`} />
+          <h2 className={`font-bold text-lg ${theme.title}`}>Atividades</h2>
+        </div>
+        {canManage && !formOpen && (
+          <button type="button" onClick={() => setFormOpen(true)} className={theme.primary}>
+            <PlusCircle className="w-4 h-4" />
+            Nova atividade
+          </button>
+        )}
+      </div>
+
+      {formOpen && (
+        <form onSubmit={handleSubmit} className={`${theme.item} space-y-3 mb-4`}>
+          <input
+            type="text"
+            value={draft.title}
+            onChange={(e) => changeDraft("title", e.target.value)}
+            placeholder="Título da atividade"
+            maxLength={150}
+            className={theme.input}
+          />
+          <textarea
+            value={draft.instructions}
+            onChange={(e) => changeDraft("instructions", e.target.value)}
+            placeholder="Instruções para a entrega..."
+            rows={4}
+            className={theme.input}
+          />
+          <div className="grid gap-3 sm:grid-cols-2">
+            <label className={`text-xs ${theme.muted}`}>
+              Prazo de entrega
+              <input
+                type="datetime-local"
+                value={draft.due_at}
+                onChange={(e) => changeDraft("due_at", e.target.value)}
+                className={`${theme.input} mt-1`}
+              />
+            </label>
+            <label className={`text-xs ${theme.muted}`}>
+              Pontuação máxima
+              <input
+                type="number"
+                min="0.01"
+                max="999.99"
+                step="0.01"
+                value={draft.max_points}
+                onChange={(e) => changeDraft("max_points", e.target.value)}
+                className={`${theme.input} mt-1`}
+              />
+            </label>
+            <label className={`text-xs ${theme.muted}`}>
+              Entregas atrasadas
+              <select
+                value={draft.late_policy}
+                onChange={(e) => changeDraft("late_policy", e.target.value)}
+                className={`${theme.input} mt-1`}
+              >
+                {LATE_POLICIES.map((policy) => (
+                  <option key={policy.id} value={policy.id}>{policy.label}</option>
+                ))}
+              </select>
+            </label>
+            {draft.late_policy === "penalty" && (
+              <label className={`text-xs ${theme.muted}`}>
+                Desconto por dia de atraso (%)
+                <input
+                  type="number"
+                  min="0.01"
+                  max="100"
+                  step="0.01"
+                  value={draft.late_penalty}
+                  onChange={(e) => changeDraft("late_penalty", e.target.value)}
+                  className={`${theme.input} mt-1`}
+                />
+              </label>
+            )}
+          </div>
+          <div className="flex items-center justify-end gap-2">
+            <button type="button" onClick={() => setFormOpen(false)} className={theme.secondary}>
+              Cancelar
+            </button>
+            <button type="submit" disabled={saving} className={theme.primary}>
+              <Send className="w-4 h-4" />
+              {saving ? "Publicando..." : "Publicar"}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loaded && assignments.length === 0 && (
+        <p className={`text-sm italic text-center py-4 ${theme.muted}`}>Nenhuma atividade publicada.</p>
+      )}
+
+      <ul className="space-y-3">
+        {assignments.map((assignment) => {
+          const submission = assignment.submission
+          const closed = new Date() > new Date(assignment.due_at) && assignment.late_policy === "reject"
+
+          return (
+            <li key={assignment.id} className={theme.item}>
+              <div className="flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <h3 className={`font-semibold ${theme.title}`}>{assignment.title}</h3>
+                  <p className={`inline-flex flex-wrap items-center gap-1 text-xs mt-1 ${theme.muted}`}>
+                    <Clock className="w-3 h-3" />
+                    Prazo: {formatDateRequests(assignment.due_at)} · {Number(assignment.max_points)} pontos · {describeLatePolicy(assignment)}
+                  </p>
+                </div>
+                {canManage && (
+                  <div className="flex items-center gap-2 shrink-0">
+                    <button type="button" onClick={() => setSelected(assignment)} className={theme.secondary}>
+                      <Users className="w-3.5 h-3.5" />
+                      Entregas ({assignment.submissions} · {assignment.graded} avaliadas)
+                    </button>
+                    <button type="button" onClick={() => deleteAssignment(assignment.id)} title="Excluir">
+                      <Trash2 className="w-4 h-4 text-red-400 hover:text-red-300" />
+                    </button>
+                  </div>
+                )}
+              </div>
+              <p className={`text-sm mt-3 whitespace-pre-line ${theme.text}`}>{assignment.instructions}</p>
+
+              {!canManage && (
+                <div className="mt-3 space-y-2">
+                  {submission && (
+                    <div className={`text-xs ${theme.muted}`}>
+                      <span className="inline-flex items-center gap-2">
+                        {submission.late && (
+                          <span className={`px-2 py-0.5 rounded-lg font-semibold ${theme.warning}`}>Atrasada</span>
+                        )}
+                        Entregue em {formatDateRequests(submission.submitted_at)}
+                      </span>
+                      <AttachmentLink item={submission} theme={theme} />
+                    </div>
+                  )}
+
+                  {submission?.graded_at ? (
+                    <div className={`rounded-lg px-3 py-2 text-sm ${theme.badge}`}>
+                      <p className="font-semibold">
+                        Nota: {Number(submission.final_points)} / {Number(assignment.max_points)}
+                        {Number(submission.final_points) !== Number(submission.points) && ` (${Number(submission.points)} antes do desconto por atraso)`}
+                      </p>
+                      {submission.comment && <p className="mt-1 whitespace-pre-line">{submission.comment}</p>}
+                    </div>
+                  ) : closed ? (
+                    !submission && <p className={`text-xs font-semibold ${theme.muted}`}>Prazo encerrado.</p>
+                  ) : (
+                    <div className="flex flex-wrap items-center gap-3">
+                      <AttachmentField
+                        file={files[assignment.id] || null}
+                        onChange={(file) => setFiles((prev) => ({ ...prev, [assignment.id]: file }))}
+                        theme={theme}
+                      />
+                      {files[assignment.id] && (
+                        <button
+                          type="button"
+                          onClick={() => submitFile(assignment.id)}
+                          disabled={uploadingId === assignment.id}
+                          className={theme.primary}
+                        >
+                          <Upload className="w-4 h-4" />
+                          {uploadingId === assignment.id ? "Enviando..." : submission ? "Substituir entrega" : "Enviar entrega"}
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )}
+            </li>
+          )
+        })}
+      </ul>
+    </section>
+  )
+}
@@ -0,0 +1,410 @@
+import { useState, useEffect, useContext } from "react"
+import {
+  MessagesSquare,
+  MessageCircle,
+  PlusCircle,
+  Send,
+  ArrowLeft,
+  Lock,
+  Unlock,
+  Eye,
+  EyeOff,
+  Trash2,
+  CheckCircle2,
+  GraduationCap,
+} from "lucide-react"
+import requestData from "../../utils/requestApi"
+import formatDateRequests from "../../utils/formatDateRequests"
+import useFlashMessage from "../../hooks/useFlashMessage"
+import { Context } from "../../context/UserContext"
+import AttachmentField, { AttachmentLink } from "./AttachmentField"
+import BOARD_THEMES from "./boardTheme"
+
+/**
+ * Nome do autor com a indicação de professor.
+ *
+ * @param {{author_name: string, author_is_teacher: boolean}} item
+ * @param {Object} theme - Classes do painel.
+ */
+function AuthorLine({ item, theme }) {
+  return (
+    <p className={`text-xs mt-1 inline-flex flex-wrap items-center gap-1.5 ${theme.muted}`}>
+      {item.author_name}
+      {item.author_is_teacher && (
+        <span className={`inline-flex items-center gap-1 px-1.5 py-0.5 rounded-md font-semibold ${theme.badge}`}>
+          <GraduationCap className="w-3 h-3" /> Professor
+        </span>
+      )}
+      · {formatDateRequests(item.created_at)}
+    </p>
+  )
+}
+
+/**
+ * Discussões (perguntas e respostas) da turma.
+ *
+ * - Lista os tópicos (`GET /classes/:id/discussions`) e abre um tópico com as respostas
+ *   (`GET /discussions/:id`).
+ * - Alunos e professor abrem tópicos e respondem, com anexo opcional (multipart).
+ * - Com `canModerate`, o professor aceita uma resposta, bloqueia o tópico para novas
+ *   respostas e oculta ou exclui tópicos e respostas. Alunos excluem apenas o que publicaram.
+ *
+ * Props:
+ * @param {number|string} classId - ID da turma.
+ * @param {boolean} [canModerate=false] - Exibe as ações de moderação do professor.
+ * @param {"dark"|"light"} [variant="dark"] - Aparência do painel.
+ *
+ * @component
+ * @example
+ * <ClassDiscussions classId={class_id} variant="light" />
+ */
+export default function ClassDiscussions({ classId, canModerate = false, variant = "dark" }) {
+  const theme = BOARD_THEMES[variant]
+  const { user } = useContext(Context)
+  const { setFlashMessage } = useFlashMessage()
+
+  const [threads, setThreads] = useState([])
+  const [loaded, setLoaded] = useState(false)
+  const [listVersion, setListVersion] = useState(0)
+  const [formOpen, setFormOpen] = useState(false)
+  const [title, setTitle] = useState("")
+  const [body, setBody] = useState("")
+  const [file, setFile] = useState(null)
+
+  const [selectedId, setSelectedId] = useState(null)
+  const [thread, setThread] = useState(null)
+  const [posts, setPosts] = useState([])
+  const [threadVersion, setThreadVersion] = useState(0)
+  const [reply, setReply] = useState("")
+  const [replyFile, setReplyFile] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    async function fetchThreads() {
+      const response = await requestData(`/classes/${classId}/discussions`, "GET", {}, true)
+      if (response.success) setThreads(response.data.threads || [])
+      setLoaded(true)
+    }
+    if (classId) fetchThreads()
+  }, [classId, listVersion])
+
+  useEffect(() => {
+    async function fetchThread() {
+      const response = await requestData(`/discussions/${selectedId}`, "GET", {}, true)
+      if (response.success) {
+        setThread(response.data.thread)
+        setPosts(response.data.posts || [])
+      } else {
+        setSelectedId(null)
+      }
+    }
+    if (selectedId) fetchThread()
+  }, [selectedId, threadVersion])
+
+  const isOwn = (item) => user && Number(item.author_id) === Number(user.id)
+
+  function closeThread() {
+    setSelectedId(null)
+    setThread(null)
+    setPosts([])
+    setReply("")
+    setReplyFile(null)
+    setListVersion((v) => v + 1)
+  }
+
+  async function handleCreate(e) {
+    e.preventDefault()
+    const formData = new FormData()
+    formData.append("title", title)
+    formData.append("body", body)
+    if (file) formData.append("attachment", file)
+
+    setSaving(true)
+    const response = await requestData(`/classes/${classId}/discussions`, "POST", formData, true)
+    setSaving(false)
+
+    if (response.success) {
+      setFlashMessage(response.data.message, "success")
+      setTitle("")
+      setBody("")
+      setFile(null)
+      setFormOpen(false)
+      setListVersion((v) => v + 1)
+    } else {
+      setFlashMessage(response.message, "error")
+    }
+  }
+
+  async function handleReply(e) {
+    e.preventDefault()
+    const formData = new FormData()
+    formData.append("body", reply)
+    if (replyFile) formData.append("attachment", replyFile)
+
+    setSaving(true)
+    const response = await requestData(`/discussions/${selectedId}/posts`, "POST", formData, true)
+    setSaving(false)
+
+    if (response.success) {
+      setReply("")
+      setReplyFile(null)
+      setThreadVersion((v) => v + 1)
+    } else {
+      setFlashMessage(response.message, "error")
+    }
+  }
+
+  /**
+   * Executa uma ação de moderação e recarrega o tópico aberto.
+   *
+   * @param {string} url - Rota da ação.
+   * @param {string} method - Método HTTP.
+   * @param {Object} [data] - Corpo da requisição.
+   */
+  async function moderate(url, method, data = {}) {
+    const response = await requestData(url, method, data, true)
+    if (response.success) {
+      setFlashMessage(response.data.message, "success")
+      setThreadVersion((v) => v + 1)
+    } else {
+      setFlashMessage(response.message, "error")
+    }
+  }
+
+  async function deleteThread() {
+    if (!window.confirm("Excluir esta discussão e todas as respostas?")) return
+    const response = await requestData(`/discussions/${selectedId}`, "DELETE", {}, true)
+    if (response.success) {
+      setFlashMessage(response.data.message, "success")
+      closeThread()
+    } else {
+      setFlashMessage(response.message, "error")
+    }
+  }
+
+  async function deletePost(post_id) {
+    if (!window.confirm("Excluir esta resposta?")) return
+    await moderate(`/discussions/posts/${post_id}`, "DELETE")
+  }
+
+  // 🔹 Tópico aberto
+  if (selectedId && thread) {
+    return (
+      <section className={theme.panel}>
+        <button type="button" onClick={closeThread} className={`${theme.secondary} mb-4`}>
+          <ArrowLeft className="w-3.5 h-3.5" /> Voltar às discussões
+        </button>
+
+        <div className={theme.item}>
+          <div className="flex items-start justify-between gap-3">
+            <div className="min-w-0">
+              <div className="flex flex-wrap items-center gap-2">
+                <h3 className={`font-semibold text-lg ${theme.title}`}>{thread.title}</h3>
+                {thread.locked && (
+                  <span className={`inline-flex items-center gap-1 text-xs px-2 py-0.5 rounded-lg font-semibold ${theme.warning}`}>
+                    <Lock className="w-3 h-3" /> Bloqueada
+                  </span>
+                )}
+                {thread.hidden && (
+                  <span className={`inline-flex items-center gap-1 text-xs px-2 py-0.5 rounded-lg font-semibold ${theme.warning}`}>
+                    <EyeOff className="w-3 h-3" /> Oculta
+                  </span>
+                )}
+              </div>
+              <AuthorLine item={thread} theme={theme} />
+            </div>
+            <div className="flex items-center gap-2 shrink-0">
+              {canModerate && (
+                <>
+                  <button
+                    type="button"
+                    onClick={() => moderate(`/discussions/${thread.id}/moderation`, "PATCH", { locked: !thread.locked })}
+                    title={thread.locked ? "Desbloquear respostas" : "Bloquear respostas"}
+                  >
+                    {thread.locked
+                      ? <Unlock className={`w-4 h-4 ${theme.muted}`} />
+                      : <Lock className={`w-4 h-4 ${theme.muted}`} />}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => moderate(`/discussions/${thread.id}/moderation`, "PATCH", { hidden: !thread.hidden })}
+                    title={thread.hidden ? "Exibir para os alunos" : "Ocultar dos alunos"}
+                  >
+                    {thread.hidden
+                      ? <Eye className={`w-4 h-4 ${theme.muted}`} />
+                      : <EyeOff className={`w-4 h-4 ${theme.muted}`} />}
+                  </button>
+                </>
+              )}
+              {(canModerate || isOwn(thread)) && (
+                <button type="button" onClick={deleteThread} title="Excluir discussão">
+                  <Trash2 className="w-4 h-4 text-red-400 hover:text-red-300" />
+                </button>
+              )}
+            </div>
+          </div>
+          <p className={`text-sm mt-3 whitespace-pre-line ${theme.text}`}>{thread.body}</p>
+          <AttachmentLink item={thread} theme={theme} />
+        </div>
+
+        <ul className="space-y-3 mt-4">
+          {posts.map((post) => {
+            const accepted = thread.accepted_post_id === post.id
+            return (
+              <li key={post.id} className={`${theme.item} ml-4 ${accepted ? theme.accepted : ""} ${post.hidden ? "opacity-60" : ""}`}>
+                <div className="flex items-start justify-between gap-3">
+                  <div className="min-w-0">
+                    {accepted && (
+                      <span className={`inline-flex items-center gap-1 text-xs px-2 py-0.5 rounded-lg font-semibold mb-1 ${theme.badge}`}>
+                        <CheckCircle2 className="w-3 h-3" /> Resposta aceita
+                      </span>
+                    )}
+                    {post.hidden && (
+                      <span className={`inline-flex items-center gap-1 text-xs px-2 py-0.5 rounded-lg font-semibold mb-1 ml-1 ${theme.warning}`}>
+                        <EyeOff className="w-3 h-3" /> Oculta
+                      </span>
+                    )}
+                    <AuthorLine item={post} theme={theme} />
+                  </div>
+                  <div className="flex items-center gap-2 shrink-0">
+                    {canModerate && (
+                      <>
+                        <button
+                          type="button"
+                          onClick={() => moderate(`/discussions/${thread.id}/accept`, "PATCH", { post_id: accepted ? null : post.id })}
+                          title={accepted ? "Remover marcação de resposta aceita" : "Marcar como resposta aceita"}
+                        >
+                          <CheckCircle2 className={`w-4 h-4 ${accepted ? "text-emerald-400" : theme.muted}`} />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => moderate(`/discussions/posts/${post.id}/moderation`, "PATCH", { hidden: !post.hidden })}
+                          title={post.hidden ? "Exibir para os alunos" : "Ocultar dos alunos"}
+                        >
+                          {post.hidden
+                            ? <Eye className={`w-4 h-4 ${theme.muted}`} />
+                            : <EyeOff className={`w-4 h-4 ${theme.muted}`} />}
+                        </button>
+                      </>
+                    )}
+                    {(canModerate || isOwn(post)) && (
+                      <button type="button" onClick={() => deletePost(post.id)} title="Excluir resposta">
+                        <Trash2 className="w-4 h-4 text-red-400 hover:text-red-300" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+                <p className={`text-sm mt-2 whitespace-pre-line ${theme.text}`}>{post.body}</p>
+                <AttachmentLink item={post} theme={theme} />
+              </li>
+            )
+          })}
+        </ul>
+
+        {thread.locked ? (
+          <p className={`text-sm italic text-center py-4 ${theme.muted}`}>
+            Esta discussão foi bloqueada para novas respostas.
+          </p>
+        ) : (
+          <form onSubmit={handleReply} className="mt-4 space-y-3">
+            <textarea
+              value={reply}
+              onChange={(e) => setReply(e.target.value)}
+              placeholder="Escreva sua resposta..."
+              rows={3}
+              className={theme.input}
+            />
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <AttachmentField file={replyFile} onChange={setReplyFile} theme={theme} />
+              <button type="submit" disabled={saving || !reply.trim()} className={theme.primary}>
+                <Send className="w-4 h-4" />
+                {saving ? "Enviando..." : "Responder"}
+              </button>
+            </div>
+          </form>
+        )}
+      </section>
+    )
+  }
+
+  // 🔹 Lista de tópicos
+  return (
+    <section className={theme.panel}>
+      <div className="flex items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-3">
+          <MessagesSquare className={`w-6 h-6 ${theme.link}`} />
+          <h2 className={`font-bold text-lg ${theme.title}`}>Discussões</h2>
+        </div>
+        {!formOpen && (
+          <button type="button" onClick={() => setFormOpen(true)} className={theme.primary}>
+            <PlusCircle className="w-4 h-4" />
+            Nova pergunta
+          </button>
+        )}
+      </div>
+
+      {formOpen && (
+        <form onSubmit={handleCreate} className={`${theme.item} space-y-3 mb-4`}>
+          <input
+            type="text"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            placeholder="Resumo da pergunta"
+            maxLength={150}
+            className={theme.input}
+          />
+          <textarea
+            value={body}
+            onChange={(e) => setBody(e.target.value)}
+            placeholder="Descreva sua dúvida..."
+            rows={4}
+            className={theme.input}
+          />
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <AttachmentField file={file} onChange={setFile} theme={theme} />
+            <div className="flex items-center gap-2">
+              <button type="button" onClick={() => setFormOpen(false)} className={theme.secondary}>
+                Cancelar
+              </button>
+              <button type="submit" disabled={saving} className={theme.primary}>
+                <Send className="w-4 h-4" />
+                {saving ? "Publicando..." : "Publicar"}
+              </button>
+            </div>
+          </div>
+        </form>
+      )}
+
+      {loaded && threads.length === 0 && (
+        <p className={`text-sm italic text-center py-4 ${theme.muted}`}>Nenhuma discussão iniciada.</p>
+      )}
+
+      <ul className="space-y-2">
+        {threads.map((item) => (
+          <li key={item.id}>
+            <button
+              type="button"
+              onClick={() => setSelectedId(item.id)}
+              className={`${theme.item} w-full text-left hover:opacity-90 transition-opacity ${item.hidden ? "opacity-60" : ""}`}
+            >
+              <div className="flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className={`font-semibold ${theme.title}`}>{item.title}</span>
+                    {item.accepted_post_id && <CheckCircle2 className="w-4 h-4 text-emerald-400" />}
+                    {item.locked && <Lock className={`w-3.5 h-3.5 ${theme.muted}`} />}
+                    {item.hidden && <EyeOff className={`w-3.5 h-3.5 ${theme.muted}`} />}
+                  </div>
+                  <AuthorLine item={item} theme={theme} />
+                </div>
+                <span className={`inline-flex items-center gap-1 text-xs shrink-0 ${theme.muted}`}>
+                  <MessageCircle className="w-3.5 h-3.5" /> {item.replies}
+                </span>
+              </div>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </section>
+  )
+}
@@ -0,0 +1,37 @@
+/**
+ * Classes Tailwind dos painéis de avisos, discussões e atividades da turma, nas duas aparências
+ * usadas pelas páginas que os exibem: escura (`ViewClass`, professor) e clara
+ * (`MaterialsClass`, aluno).
+ */
+const BOARD_THEMES = {
+  dark: {
+    panel: "bg-slate-800/50 backdrop-blur-sm border border-white/10 rounded-2xl p-5",
+    item: "rounded-xl border border-white/10 bg-white/5 p-4",
+    title: "text-white",
+    text: "text-slate-200",
+    muted: "text-slate-400",
+    input: "w-full rounded-lg border border-white/10 bg-gray-900/60 px-3 py-2 text-sm text-white placeholder:text-slate-500 focus:outline-none focus:ring-2 focus:ring-yellow-400/50",
+    primary: "inline-flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-semibold bg-linear-to-r from-yellow-400 to-yellow-500 hover:from-yellow-500 hover:to-yellow-600 text-gray-900 disabled:opacity-50",
+    secondary: "inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-semibold bg-white/5 hover:bg-white/10 text-slate-200",
+    badge: "bg-yellow-400/20 text-yellow-300 border border-yellow-400/30",
+    warning: "bg-red-500/20 text-red-300 border border-red-500/30",
+    accepted: "border-emerald-400/40 bg-emerald-500/10",
+    link: "text-blue-400 hover:text-blue-300"
+  },
+  light: {
+    panel: "bg-white rounded-3xl p-6 shadow-xl border-2 border-gray-100",
+    item: "rounded-2xl border-2 border-gray-100 bg-gray-50 p-4",
+    title: "text-gray-900",
+    text: "text-gray-700",
+    muted: "text-gray-500",
+    input: "w-full rounded-2xl border-2 border-gray-200 bg-gray-50 px-4 py-2.5 text-sm text-gray-900 placeholder:text-gray-400 focus:outline-none focus:ring-3 focus:ring-green-300 focus:border-green-400",
+    primary: "inline-flex items-center gap-2 px-5 py-2.5 rounded-2xl text-sm font-bold bg-linear-to-r from-green-500 to-emerald-500 text-white shadow-lg shadow-green-300/50 disabled:opacity-50",
+    secondary: "inline-flex items-center gap-1.5 px-3 py-1.5 rounded-xl text-xs font-bold bg-gray-100 hover:bg-gray-200 text-gray-700",
+    badge: "bg-green-100 text-green-700 border border-green-200",
+    warning: "bg-red-100 text-red-700 border border-red-200",
+    accepted: "border-green-300 bg-green-50",
+    link: "text-green-700 hover:text-green-800"
+  }
+}
+
+export default BOARD_THEMES
@@ -0,0 +1,153 @@
+import katex from "katex";
+import "katex/dist/katex.min.css";
+
+/**
+ * RichText.jsx
+ * Exibe enunciados e opções de questões com o conteúdo formatado aceito pelo servidor
+ * (`backend/src/utils/richText.js`, que limpa o texto antes de gravar):
+ * - ```linguagem ... ``` para blocos de código e `código` em linha;
+ * - $$ ... $$ para fórmulas em destaque e $ ... $ em linha (\$ para um cifrão literal);
+ * - **negrito** e *itálico*; quebras de linha são mantidas.
+ *
+ * As fórmulas são desenhadas pelo KaTeX sem comandos confiáveis (`trust: false`), e o
+ * restante é montado como elementos React — nenhum HTML do texto é interpretado.
+ *
+ * Props:
+ * @param {string} text - Texto formatado.
+ * @param {boolean} [inline=false] - Renderiza em um `span` (opções).
+ * @param {string} [className] - Classes adicionais.
+ *
+ * @component
+ * @example
+ * <RichText text={question.text} />
+ * <RichText text={option.text} inline />
+ */
+
+/**
+ * Separa o texto em trechos de texto comum, código e fórmulas
+ * (mesmas regras de `tokenize` no servidor).
+ *
+ * @param {string} text
+ * @returns {Array<{type: string, value: string, lang?: string}>}
+ */
+function tokenize(text) {
+  const segments = [];
+  let buffer = "";
+  let i = 0;
+
+  const flush = () => {
+    if (buffer) segments.push({ type: "text", value: buffer });
+    buffer = "";
+  };
+
+  while (i < text.length) {
+    if (text.startsWith("```", i)) {
+      const end = text.indexOf("```", i + 3);
+      if (end === -1) { buffer += text.slice(i); break; }
+      const body = text.slice(i + 3, end);
+      const newline = body.indexOf("\n");
+      flush();
+      segments.push({
+        type: "code_block",
+        lang: newline === -1 ? "" : body.slice(0, newline).trim(),
+        value: newline === -1 ? body : body.slice(newline + 1).replace(/\n$/, ""),
+      });
+      i = end + 3;
+    } else if (text[i] === "`") {
+      const end = text.indexOf("`", i + 1);
+      if (end === -1) { buffer += text[i++]; continue; }
+      flush();
+      segments.push({ type: "code", value: text.slice(i + 1, end) });
+      i = end + 1;
+    } else if (text[i] === "\\" && text[i + 1] === "$") {
+      buffer += "$";
+      i += 2;
+    } else if (text.startsWith("$$", i)) {
+      const end = text.indexOf("$$", i + 2);
+      if (end === -1) { buffer += "$$"; i += 2; continue; }
+      flush();
+      segments.push({ type: "math_block", value: text.slice(i + 2, end) });
+      i = end + 2;
+    } else if (text[i] === "$") {
+      const end = text.indexOf("$", i + 1);
+      if (end === -1 || end === i + 1) { buffer += text[i++]; continue; }
+      flush();
+      segments.push({ type: "math", value: text.slice(i + 1, end) });
+      i = end + 1;
+    } else {
+      buffer += text[i++];
+    }
+  }
+  flush();
+  return segments;
+}
+
+/** Negrito, itálico e quebras de linha de um trecho de texto comum. */
+function renderText(value, key) {
+  return value.split(/(\*\*[^*]+\*\*|\*[^*\n]+\*|\n)/).map((part, index) => {
+    const partKey = `${key}-${index}`;
+    if (part === "\n") return <br key={partKey} />;
+    if (/^\*\*[^*]+\*\*$/.test(part)) return <strong key={partKey}>{part.slice(2, -2)}</strong>;
+    if (/^\*[^*\n]+\*$/.test(part)) return <em key={partKey}>{part.slice(1, -1)}</em>;
+    return part;
+  });
+}
+
+function Formula({ value, display }) {
+  const html = katex.renderToString(value, { displayMode: display, throwOnError: false, trust: false, strict: "ignore" });
+  const Tag = display ? "div" : "span";
+  return <Tag className={display ? "my-2 overflow-x-auto" : undefined} dangerouslySetInnerHTML={{ __html: html }} />;
+}
+
+export default function RichText({ text, inline = false, className = "" }) {
+  const Wrapper = inline ? "span" : "div";
+  const segments = tokenize(text || "");
+
+  return (
+    <Wrapper className={`wrap-break-word ${className}`}>
+      {segments.map((segment, index) => {
+        switch (segment.type) {
+          case "code_block":
+            return (
+              <pre key={index} className="my-2 p-3 rounded-lg bg-slate-900 text-slate-100 text-xs overflow-x-auto text-left">
+                <code data-lang={segment.lang || undefined}>{segment.value}</code>
+              </pre>
+            );
+          case "code":
+            return (
+              <code key={index} className="px-1 py-0.5 rounded bg-slate-500/20 font-mono text-[0.9em]">
+                {segment.value}
+              </code>
+            );
+          case "math_block":
+            return <Formula key={index} value={segment.value} display />;
+          case "math":
+            return <Formula key={index} value={segment.value} display={false} />;
+          default:
+            return renderText(segment.value, index);
+        }
+      })}
+    </Wrapper>
+  );
+}
+
+/**
+ * QuestionImage
+ * Imagem anexada a um enunciado ou a uma opção.
+ *
+ * Props:
+ * @param {string|null} src - Endereço da imagem (`image_url`).
+ * @param {string} [alt="Imagem da questão"] - Texto alternativo.
+ * @param {string} [className] - Classes adicionais.
+ */
+export function QuestionImage({ src, alt = "Imagem da questão", className = "" }) {
+  if (!src) return null;
+  return (
+    <img
+      src={src}
+      alt={alt}
+      loading="lazy"
+      className={`max-h-72 max-w-full rounded-lg border border-gray-200/20 object-contain ${className}`}
+    />
+  );
+}
@@ -0,0 +1,96 @@
+import { useState, useEffect } from "react"
+import { FiBell } from "react-icons/fi"
+import requestData from "../../utils/requestApi"
+import useFlashMessage from "../../hooks/useFlashMessage"
+
+/** Preferências de e-mail exibidas como interruptores. */
+const EMAIL_PREFERENCES = [
+  {
+    key: "deadline_reminders",
+    label: "Lembretes de prazo",
+    description: "Aviso 24 horas e 1 hora antes do prazo dos simulados ainda não enviados."
+  },
+  {
+    key: "weekly_digest",
+    label: "Resumo semanal",
+    description: "Toda segunda-feira, os novos materiais e notas da semana anterior."
+  }
+]
+
+/**
+ * EmailPreferences
+ *
+ * Interruptores das notificações por e-mail do usuário autenticado (lembretes de
+ * prazo e resumo semanal), usados nas configurações do coordenador (`/settings`) e
+ * do aluno (`/student/settings`).
+ *
+ * - Carrega as preferências de `GET /notifications/preferences`.
+ * - Cada alteração é salva na hora (`PUT /notifications/preferences`) e desfeita
+ *   na tela se a requisição falhar.
+ *
+ * @component
+ * @example
+ * <EmailPreferences />
+ */
+export default function EmailPreferences() {
+  const [preferences, setPreferences] = useState(null)
+  const { setFlashMessage } = useFlashMessage()
+
+  useEffect(() => {
+    async function fetchPreferences() {
+      const response = await requestData("/notifications/preferences", "GET", {}, true)
+      if (response.success) setPreferences(response.data.preferences)
+    }
+    fetchPreferences()
+  }, [])
+
+  async function togglePreference(key) {
+    const value = !preferences[key]
+    setPreferences((prev) => ({ ...prev, [key]: value }))
+
+    const response = await requestData("/notifications/preferences", "PUT", { [key]: value }, true)
+    if (response.success) {
+      setPreferences(response.data.preferences)
+      setFlashMessage(response.data.message, "success")
+    } else {
+      setPreferences((prev) => ({ ...prev, [key]: !value }))
+      setFlashMessage(response.message, "error")
+    }
+  }
+
+  if (!preferences) return null
+
+  return (
+    <section className="space-y-3">
+      <h3 className="text-sm font-semibold text-gray-800 inline-flex items-center gap-2">
+        <FiBell className="text-gray-500" /> Notificações por e-mail
+      </h3>
+      <div className="rounded-xl ring-1 ring-gray-200 divide-y divide-gray-100">
+        {EMAIL_PREFERENCES.map(({ key, label, description }) => (
+          <div key={key} className="flex items-center justify-between gap-4 p-4">
+            <div>
+              <p className="text-sm font-medium text-gray-800">{label}</p>
+              <p className="text-xs text-gray-500">{description}</p>
+            </div>
+            <button
+              type="button"
+              role="switch"
+              aria-checked={preferences[key]}
+              aria-label={label}
+              onClick={() => togglePreference(key)}
+              className={`relative inline-flex h-6 w-11 shrink-0 items-center rounded-full transition ${
+                preferences[key] ? "bg-indigo-600" : "bg-gray-300"
+              }`}
+            >
+              <span
+                className={`inline-block h-5 w-5 rounded-full bg-white shadow transition ${
+                  preferences[key] ? "translate-x-5" : "translate-x-0.5"
+                }`}
+              />
+            </button>
+          </div>
+        ))}
+      </div>
+    </section>
+  )
+}
@@ -4,6 +4,7 @@ import { Context } from '../../context/UserContext'
 import { ChevronDown, User, LogOut, UserCircle2, GraduationCap, BookOpen, Shield, Settings } from 'lucide-react'
 import Image from '../form/Image'
 import requestData from '../../utils/requestApi'
+import NotificationBell from './NotificationBell'
 
 /**
  * Componente de navegação principal (Navbar).
@@ -15,10 +16,12 @@ import requestData from '../../utils/requestApi'
  * - Se o usuário não estiver autenticado:
  *   - Mostra links para **Registrar** e **Login**.
  * - Se o usuário estiver autenticado:
+ *   - Exibe o sino de notificações (`NotificationBell`), atualizado em tempo real.
  *   - Busca os dados do usuário autenticado (nome, foto).
  *   - Mostra saudação com nome ou foto de perfil.
  *   - Exibe um menu dropdown com opções:
  *     - **Perfil**
+ *     - **Configurações** (alunos: `/student/settings`; demais: `/settings`)
  *     - **Sair**
  *
  * Hooks utilizados:
@@ -118,6 +121,8 @@ function Navbar() {
               </button>
             </>
           ) : (
+            <>
+            <NotificationBell panelColor={dropdownColor} />
             <div ref={dropdownRef} className="relative flex items-center gap-2">
               {/* Avatar + Nome */}
               <div
@@ -158,6 +163,17 @@ function Navbar() {
                   <UserCircle2 size={18} /> Perfil
                 </button>
 
+                <button
+                  onClick={() => {
+                    const staff = requestUser?.role === 'Coordenador' || requestUser?.role === 'Professor' || requestUser?.registration === 'admin'
+                    navigate(staff ? "/settings" : "/student/settings")
+                    setDropdownOpen(false)
+                  }}
+                  className="w-full flex items-center gap-3 px-5 py-3 hover:bg-white/10 transition-all duration-200"
+                >
+                  <Settings size={18} /> Configurações
+                </button>
+
                 {(requestUser?.role === 'Coordenador' || requestUser?.registration === 'admin') && (
                   <button
                     onClick={() => {
@@ -205,6 +221,7 @@ function Navbar() {
                 </button>
               </div>
             </div>
+            </>
           )}
         </div>
       </div>
@@ -0,0 +1,165 @@
+import { useState, useEffect, useRef } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { Bell, CheckCheck } from 'lucide-react'
+import api from '../../utils/api'
+import requestData from '../../utils/requestApi'
+import formatDateRequests from '../../utils/formatDateRequests'
+
+/**
+ * Sino de notificações da barra de navegação.
+ *
+ * - Abre o canal `GET /notifications/stream` (Server-Sent Events) ao montar: o total de
+ *   não lidas e as novas notificações chegam pelo servidor, sem consultas periódicas.
+ * - Ao abrir o painel, busca as notificações mais recentes (`GET /notifications`).
+ * - Clicar em uma notificação a marca como lida e navega para o link dela;
+ *   "Marcar todas como lidas" usa `PATCH /notifications/read-all`.
+ * - Leituras feitas em outra aba chegam pelo evento `read` e atualizam o contador.
+ *
+ * Props:
+ * @param {string} panelColor - Classes de cor do painel (mesmas do dropdown do usuário).
+ *
+ * @component
+ * @example
+ * <NotificationBell panelColor="bg-gray-900/95 text-white" />
+ *
+ * @returns {JSX.Element} Botão do sino com contador e painel de notificações.
+ */
+export default function NotificationBell({ panelColor }) {
+  const [open, setOpen] = useState(false)
+  const [unread, setUnread] = useState(0)
+  const [notifications, setNotifications] = useState([])
+  const [loaded, setLoaded] = useState(false)
+  const navigate = useNavigate()
+  const panelRef = useRef(null)
+
+  // 🔹 Canal em tempo real
+  useEffect(() => {
+    const source = new EventSource(`${api.defaults.baseURL}/notifications/stream`, { withCredentials: true })
+
+    source.addEventListener('ready', (event) => {
+      setUnread(JSON.parse(event.data).unread ?? 0)
+    })
+
+    source.addEventListener('notification', (event) => {
+      const notification = JSON.parse(event.data)
+      setNotifications((current) => [notification, ...current.filter((n) => n.id !== notification.id)])
+      setUnread((count) => count + 1)
+    })
+
+    source.addEventListener('read', (event) => {
+      const { ids, all, unread: total } = JSON.parse(event.data)
+      const readAt = new Date().toISOString()
+      setNotifications((current) =>
+        current.map((n) => (all || ids?.includes(n.id) ? { ...n, read_at: n.read_at || readAt } : n))
+      )
+      setUnread(total ?? 0)
+    })
+
+    return () => source.close()
+  }, [])
+
+  // 🔹 Fecha o painel ao clicar fora
+  useEffect(() => {
+    function handleClickOutside(event) {
+      if (panelRef.current && !panelRef.current.contains(event.target)) setOpen(false)
+    }
+    if (open) document.addEventListener('click', handleClickOutside)
+    return () => document.removeEventListener('click', handleClickOutside)
+  }, [open])
+
+  // 🔹 Busca as notificações ao abrir o painel pela primeira vez
+  useEffect(() => {
+    if (!open || loaded) return
+    async function fetchNotifications() {
+      const response = await requestData('/notifications', 'GET', { limit: 20 }, true)
+      if (response.success) {
+        setNotifications(response.data.notifications)
+        setUnread(response.data.unread)
+        setLoaded(true)
+      }
+    }
+    fetchNotifications()
+  }, [open, loaded])
+
+  async function handleOpenNotification(notification) {
+    if (!notification.read_at) {
+      const response = await requestData(`/notifications/${notification.id}/read`, 'PATCH', {}, true)
+      if (response.success) {
+        setNotifications((current) =>
+          current.map((n) => (n.id === notification.id ? { ...n, read_at: new Date().toISOString() } : n))
+        )
+        setUnread(response.data.unread)
+      }
+    }
+    setOpen(false)
+    if (notification.link) navigate(notification.link)
+  }
+
+  async function handleReadAll() {
+    const response = await requestData('/notifications/read-all', 'PATCH', {}, true)
+    if (response.success) {
+      const readAt = new Date().toISOString()
+      setNotifications((current) => current.map((n) => ({ ...n, read_at: n.read_at || readAt })))
+      setUnread(0)
+    }
+  }
+
+  return (
+    <div ref={panelRef} className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="relative p-2 rounded-full text-white hover:bg-white/10 transition-all duration-200"
+        aria-label="Notificações"
+      >
+        <Bell size={24} />
+        {unread > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-5 h-5 px-1 flex items-center justify-center rounded-full bg-red-500 text-white text-xs font-bold">
+            {unread > 99 ? '99+' : unread}
+          </span>
+        )}
+      </button>
+
+      <div
+        className={`absolute right-0 top-[60px] w-80 max-w-[90vw] rounded-xl shadow-2xl backdrop-blur-md overflow-hidden transform transition-all duration-300 ease-out origin-top-right z-9999
+        ${open ? 'scale-100 opacity-100 translate-y-0 pointer-events-auto' : 'scale-95 opacity-0 -translate-y-2 pointer-events-none'}
+        ${panelColor}`}
+      >
+        <div className="flex items-center justify-between px-4 py-3 border-b border-white/10">
+          <span className="font-semibold">Notificações</span>
+          {unread > 0 && (
+            <button
+              onClick={handleReadAll}
+              className="flex items-center gap-1 text-xs opacity-80 hover:opacity-100 transition"
+            >
+              <CheckCheck size={14} /> Marcar todas como lidas
+            </button>
+          )}
+        </div>
+
+        <div className="max-h-96 overflow-y-auto">
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-center opacity-70">Nenhuma notificação.</p>
+          ) : (
+            notifications.map((notification) => (
+              <button
+                key={notification.id}
+                onClick={() => handleOpenNotification(notification)}
+                className={`w-full text-left px-4 py-3 border-b border-white/5 hover:bg-white/10 transition-all duration-200
+                  ${notification.read_at ? 'opacity-60' : ''}`}
+              >
+                <div className="flex items-start gap-2">
+                  {!notification.read_at && <span className="mt-1.5 w-2 h-2 rounded-full bg-yellow-400 shrink-0" />}
+                  <div className="min-w-0">
+                    <p className="text-sm font-semibold">{notification.title}</p>
+                    <p className="text-sm opacity-80 wrap-break-word">{notification.message}</p>
+                    <p className="text-xs opacity-60 mt-1">{formatDateRequests(notification.created_at)}</p>
+                  </div>
+                </div>
+              </button>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
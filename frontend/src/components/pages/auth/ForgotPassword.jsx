@@ -1,35 +1,114 @@
 import { useState } from "react"
 import { useNavigate } from "react-router-dom"
-import { ArrowLeft, Mail, CheckCircle } from "lucide-react"
+import { ArrowLeft, Mail, CheckCircle, KeyRound, Lock } from "lucide-react"
 import Input from "../../form/Input"
+import requestData from "../../../utils/requestApi"
+import useFlashMessage from "../../../hooks/useFlashMessage"
 
 /**
  * Componente da página "Esqueci a Senha" da aplicação Evolvere.
  * 
- * Permite que o usuário solicite a recuperação de senha através do email.
- * Inclui validação de email e feedback visual para o usuário.
+ * Conduz o usuário pelas etapas de recuperação de senha:
+ * 1. `email` — solicita o código de recuperação (`POST /password/request-code`).
+ * 2. `code` — valida o código recebido por email (`POST /password/verify-code`).
+ * 3. `password` — define a nova senha (`POST /password/reset`).
+ * 
+ * Ao final, `isSubmitted` exibe a tela de sucesso.
  * 
  * @returns {JSX.Element} Componente React da página de recuperação de senha
  */
 function ForgotPassword() {
   const [email, setEmail] = useState("")
+  const [code, setCode] = useState("")
+  const [passwords, setPasswords] = useState({ password: "", confirm_password: "" })
+  const [step, setStep] = useState("email")
   const [isSubmitted, setIsSubmitted] = useState(false)
   const [isLoading, setIsLoading] = useState(false)
+  const { setFlashMessage } = useFlashMessage()
   const navigate = useNavigate()
 
   function handleChange(event) {
     setEmail(event.target.value)
   }
 
+  function handleCodeChange(event) {
+    setCode(event.target.value.replace(/\D/g, "").slice(0, 6))
+  }
+
+  function handlePasswordChange(event) {
+    setPasswords({ ...passwords, [event.target.name]: event.target.value })
+  }
+
+  /**
+   * Solicita o envio do código de recuperação para o email informado.
+   *
+   * @async
+   * @param {React.FormEvent<HTMLFormElement>} [event]
+   */
   async function handleSubmit(event) {
+    if (event) event.preventDefault()
+    setIsLoading(true)
+
+    const response = await requestData("/password/request-code", "POST", { email }, true)
+    setIsLoading(false)
+
+    if (response.success) {
+      setFlashMessage(response.message, "success")
+      setCode("")
+      setStep("code")
+    } else {
+      setFlashMessage(response.message, "error")
+    }
+  }
+
+  /**
+   * Valida o código de recuperação digitado.
+   *
+   * @async
+   * @param {React.FormEvent<HTMLFormElement>} event
+   */
+  async function handleVerifyCode(event) {
+    event.preventDefault()
+    setIsLoading(true)
+
+    const response = await requestData("/password/verify-code", "POST", { email, code }, true)
+    setIsLoading(false)
+
+    if (response.success) {
+      setStep("password")
+    } else {
+      setFlashMessage(response.message, "error")
+    }
+  }
+
+  /**
+   * Redefine a senha usando o código validado.
+   *
+   * @async
+   * @param {React.FormEvent<HTMLFormElement>} event
+   */
+  async function handleResetPassword(event) {
     event.preventDefault()
     setIsLoading(true)
-    
-    // Simular envio de email (aqui você integraria com sua API)
-    setTimeout(() => {
-      setIsLoading(false)
+
+    const response = await requestData("/password/reset", "POST", { email, code, ...passwords }, true)
+    setIsLoading(false)
+
+    if (response.success) {
+      setFlashMessage(response.message, "success")
       setIsSubmitted(true)
-    }, 2000)
+    } else {
+      setFlashMessage(response.message, "error")
+      if (response.status === 400) setStep("code")
+    }
+  }
+
+  function restart() {
+    setIsSubmitted(false)
+    setStep("email")
+    setEmail("")
+    setCode("")
+    setPasswords({ password: "", confirm_password: "" })
   }
 
   if (isSubmitted) {
@@ -57,7 +136,7 @@ function ForgotPassword() {
         {/* Badge de sucesso */}
         <div className="inline-flex items-center px-4 py-2 bg-green-100 text-green-600 rounded-full text-sm font-medium mb-6">
           <CheckCircle className="w-4 h-4 mr-2" />
-          Email enviado com sucesso!
+          Senha redefinida com sucesso!
         </div>
 
         {/* Ícone de sucesso */}
@@ -67,13 +146,13 @@ function ForgotPassword() {
 
         {/* Título */}
         <h2 className="text-2xl sm:text-3xl font-bold text-[#060060] mb-4">
-          Email enviado!
+          Senha redefinida!
         </h2>
 
         {/* Mensagem */}
         <p className="text-gray-600 mb-8 leading-relaxed">
-          Enviamos um link de recuperação para <strong className="text-[#060060]">{email}</strong>. 
-          Verifique sua caixa de entrada e siga as instruções para redefinir sua senha.
+          A senha da conta <strong className="text-[#060060]">{email}</strong> foi alterada. 
+          Por segurança, as sessões abertas foram encerradas. Faça login com a nova senha.
         </p>
 
         {/* Botões */}
@@ -87,14 +166,11 @@ function ForgotPassword() {
           </button>
           
           <button
-            onClick={() => {
-              setIsSubmitted(false)
-              setEmail("")
-            }}
+            onClick={restart}
             className="w-full py-4 bg-white border-2 border-[#060060] text-[#060060] font-bold rounded-xl 
                        hover:bg-[#060060] hover:text-white hover:scale-105 transition-all duration-300 group"
           >
-            <span className="group-hover:translate-x-1 transition-transform inline-block">Enviar novamente</span>
+            <span className="group-hover:translate-x-1 transition-transform inline-block">Recuperar outra conta</span>
           </button>
         </div>
         </div>
@@ -131,43 +207,127 @@ function ForgotPassword() {
       <div className={`bg-white/95 backdrop-blur-sm rounded-2xl shadow-2xl 
                         w-full max-w-[90vw] sm:max-w-[400px] md:max-w-[480px]
                         p-4 sm:p-6 md:p-8 text-center relative z-10`}>
-        {isSubmitted ? (
+        {step === "code" ? (
           <>
-            {/* Badge de sucesso */}
-            <div className="inline-flex items-center px-3 py-1 sm:px-4 sm:py-2 bg-green-100 text-green-600 rounded-full text-sm font-medium mb-6">
-              <CheckCircle className="w-4 h-4 mr-2" />
-              Email enviado com sucesso!
-            </div>
-
-            {/* Ícone de sucesso */}
-            <div className="w-20 h-20 bg-gradient-to-br from-green-400 to-green-500 rounded-full flex items-center justify-center mx-auto mb-6 animate-pulse">
-              <CheckCircle className="w-10 h-10 text-white" />
+            {/* Badge */}
+            <div className="inline-flex items-center px-3 py-1 sm:px-4 sm:py-2 bg-yellow-400/20 text-yellow-600 rounded-full text-sm font-medium mb-6">
+              <KeyRound className="w-4 h-4 mr-2" />
+              Código de verificação
             </div>
 
             <h2 className="text-lg sm:text-xl md:text-2xl font-bold text-[#060060] mb-4">
-              Email enviado!
+              Verifique seu email
             </h2>
             <p className="text-gray-600 mb-6 leading-relaxed">
-              Enviamos um link de recuperação para <strong className="text-[#060060]">{email}</strong>. 
-              Verifique sua caixa de entrada e siga as instruções para redefinir sua senha.
+              Digite o código de 6 dígitos enviado para <strong className="text-[#060060]">{email}</strong>.
             </p>
 
-            <div className="space-y-3">
+            <form onSubmit={handleVerifyCode} className="space-y-4">
+              <Input
+                text=""
+                type="text"
+                name="code"
+                placeholder="Código de 6 dígitos"
+                handleOnChange={handleCodeChange}
+                value={code}
+                required
+              />
+
               <button
-                onClick={() => navigate("/login")}
+                type="submit"
+                disabled={isLoading || code.length !== 6}
                 className="w-full py-2.5 sm:py-3 bg-yellow-400 text-[#060060] font-bold rounded-xl 
-                           hover:bg-yellow-500 hover:scale-105 transition-all duration-300 shadow-lg hover:shadow-yellow-400/25 group"
+                           hover:bg-yellow-500 hover:scale-105 transition-all duration-300 shadow-lg hover:shadow-yellow-400/25
+                           disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100
+                           flex items-center justify-center group"
               >
-                Voltar ao Login
+                {isLoading ? (
+                  <>
+                    <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-[#060060] mr-2"></div>
+                    <span>Verificando...</span>
+                  </>
+                ) : (
+                  <span className="group-hover:translate-x-1 transition-transform inline-block">
+                    Verificar código
+                  </span>
+                )}
               </button>
+            </form>
+
+            <div className="mt-4 sm:mt-6 p-3 sm:p-4 bg-gray-50 rounded-xl space-y-2">
+              <p className="text-xs sm:text-sm text-gray-600 mb-1">Não recebeu o código?</p>
               <button
-                onClick={() => { setIsSubmitted(false); setEmail("") }}
-                className="w-full py-2.5 sm:py-3 bg-white border-2 border-[#060060] text-[#060060] font-bold rounded-xl 
-                           hover:bg-[#060060] hover:text-white hover:scale-105 transition-all duration-300 group"
+                type="button"
+                disabled={isLoading}
+                onClick={() => handleSubmit()}
+                className="text-[#060060] font-semibold hover:text-yellow-500 transition-colors mx-auto block"
               >
                 Enviar novamente
               </button>
+              <button
+                type="button"
+                onClick={restart}
+                className="text-xs sm:text-sm text-gray-500 hover:text-[#060060] transition-colors mx-auto block"
+              >
+                Usar outro email
+              </button>
+            </div>
+          </>
+        ) : step === "password" ? (
+          <>
+            {/* Badge */}
+            <div className="inline-flex items-center px-3 py-1 sm:px-4 sm:py-2 bg-yellow-400/20 text-yellow-600 rounded-full text-sm font-medium mb-6">
+              <Lock className="w-4 h-4 mr-2" />
+              Nova senha
             </div>
+
+            <h2 className="text-lg sm:text-xl md:text-2xl font-bold text-[#060060] mb-4">
+              Defina sua nova senha
+            </h2>
+            <p className="text-gray-600 mb-6 leading-relaxed">
+              A nova senha deve ter no mínimo 6 caracteres.
+            </p>
+
+            <form onSubmit={handleResetPassword} className="space-y-4">
+              <Input
+                text=""
+                type="password"
+                name="password"
+                placeholder="Nova senha"
+                handleOnChange={handlePasswordChange}
+                value={passwords.password}
+                required
+              />
+              <Input
+                text=""
+                type="password"
+                name="confirm_password"
+                placeholder="Confirme a nova senha"
+                handleOnChange={handlePasswordChange}
+                value={passwords.confirm_password}
+                required
+              />
+
+              <button
+                type="submit"
+                disabled={isLoading || !passwords.password || !passwords.confirm_password}
+                className="w-full py-2.5 sm:py-3 bg-yellow-400 text-[#060060] font-bold rounded-xl 
+                           hover:bg-yellow-500 hover:scale-105 transition-all duration-300 shadow-lg hover:shadow-yellow-400/25
+                           disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100
+                           flex items-center justify-center group"
+              >
+                {isLoading ? (
+                  <>
+                    <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-[#060060] mr-2"></div>
+                    <span>Salvando...</span>
+                  </>
+                ) : (
+                  <span className="group-hover:translate-x-1 transition-transform inline-block">
+                    Redefinir senha
+                  </span>
+                )}
+              </button>
+            </form>
           </>
         ) : (
           <>
@@ -186,7 +346,7 @@ function ForgotPassword() {
               Esqueceu sua senha?
             </h2>
             <p className="text-gray-600 mb-6 leading-relaxed">
-              Não se preocupe! Digite seu email e enviaremos um link para você redefinir sua senha.
+              Não se preocupe! Digite seu email e enviaremos um código para você redefinir sua senha.
             </p>
 
             <form onSubmit={handleSubmit} className="space-y-4">
@@ -215,7 +375,7 @@ function ForgotPassword() {
                   </>
                 ) : (
                   <span className="group-hover:translate-x-1 transition-transform inline-block">
-                    Enviar link de recuperação
+                    Enviar código de recuperação
                   </span>
                 )}
               </button>
@@ -4,11 +4,15 @@ import { FiArrowLeft, FiShield, FiCheck, FiMail, FiLock, FiUser } from "react-ic
 import { Context } from "../../../context/UserContext"
 import requestData from "../../../utils/requestApi"
 import useFlashMessage from "../../../hooks/useFlashMessage"
+import EmailPreferences from "../../layout/EmailPreferences"
 
 /**
  * CoordinatorSettings
  *
  * Componente responsável por exibir e gerenciar as configurações do coordenador.
+ *
+ * - As preferências de e-mail (`EmailPreferences`) ficam fora do formulário da conta
+ *   e são salvas assim que alteradas.
  */
 function CoordinatorSettings() {
   const navigate = useNavigate()
@@ -172,6 +176,11 @@ function CoordinatorSettings() {
             </button>
           </div>
         </form>
+
+        {/* Notificações por e-mail */}
+        <div className="px-6 pb-6">
+          <EmailPreferences />
+        </div>
       </div>
     </div>
   )
@@ -1,4 +1,8 @@
-import { Award, Star, Trophy, Zap, Target, Crown, ArrowLeft, Sparkles } from "lucide-react";
+import { Award, Star, Trophy, Zap, Target, Crown, ArrowLeft, Sparkles, Loader2, XCircle } from "lucide-react";
+import { useState, useEffect } from "react";
+import requestData from "../../../utils/requestApi";
+import useFlashMessage from "../../../hooks/useFlashMessage";
+import formatDate from "../../../utils/formatDate";
 
 
 /**
@@ -24,16 +28,13 @@ import { Award, Star, Trophy, Zap, Target, Crown, ArrowLeft, Sparkles } from "lu
  * - Feedback visual e gradientes para destacar conquistas importantes
  *
  * Entrada:
- * - Dados internos simulados:
- *   @var {Array} medalhas - Lista de medalhas com campos:
- *     - titulo: string (nome da medalha)
- *     - descricao: string (descrição do objetivo ou conquista)
- *     - cor: string (gradiente principal para destaque visual)
- *     - corBg: string (gradiente de fundo para detalhes)
- *     - icone: componente React do lucide-react (Crown, Trophy, Zap, etc.)
- *     - data: string (data em que a medalha foi conquistada)
- *     - pontos: number (pontos acumulados pela conquista)
- *     - raridade: string (Lendária, Épica, Rara)
+ * - Dados carregados de `GET /medals/me`:
+ *   - earned: medalhas conquistadas (title, description, rarity, points, icon, earned_at)
+ *   - next: medalhas ainda não conquistadas com o progresso em porcentagem
+ *   - total_points: soma dos pontos das medalhas conquistadas
+ *   - by_rarity: quantidade de medalhas conquistadas por raridade
+ * - As cores de cada medalha são definidas pela raridade e o ícone pelo nome
+ *   salvo na tabela `medals` (componentes do lucide-react).
  *
  * Saída:
  * - JSX que renderiza:
@@ -51,73 +52,90 @@ import { Award, Star, Trophy, Zap, Target, Crown, ArrowLeft, Sparkles } from "lu
  * - Gradientes e cores são utilizados para diferenciar raridade e importância das medalhas
  */
 
+const icons = { Award, Star, Trophy, Zap, Target, Crown, Sparkles };
+
+const rarityColors = {
+  "Comum": { cor: "from-green-400 to-emerald-500", corBg: "from-green-50 to-emerald-50" },
+  "Rara": { cor: "from-blue-400 to-cyan-500", corBg: "from-blue-50 to-cyan-50" },
+  "Épica": { cor: "from-purple-400 to-pink-500", corBg: "from-purple-50 to-pink-50" },
+  "Lendária": { cor: "from-yellow-400 to-orange-500", corBg: "from-yellow-50 to-orange-50" },
+};
+
 export default function Medalhas() {
-  const medalhas = [
-    { 
-      titulo: "Aluno Destaque", 
-      descricao: "Excelência em todas as disciplinas",
-      cor: "from-yellow-400 to-orange-500",
-      corBg: "from-yellow-50 to-orange-50",
-      icone: Crown,
-      data: "Conquistada em 15/09/2024",
-      pontos: 500,
-      raridade: "Lendária"
-    },
-    { 
-      titulo: "Melhor Desempenho", 
-      descricao: "Média geral acima de 9.0",
-      cor: "from-blue-400 to-cyan-500",
-      corBg: "from-blue-50 to-cyan-50",
-      icone: Trophy,
-      data: "Conquistada em 20/08/2024",
-      pontos: 350,
-      raridade: "Épica"
-    },
-    { 
-      titulo: "Participante Ativo", 
-      descricao: "100% de presença nas aulas",
-      cor: "from-green-400 to-emerald-500",
-      corBg: "from-green-50 to-emerald-50",
-      icone: Zap,
-      data: "Conquistada em 10/07/2024",
-      pontos: 250,
-      raridade: "Rara"
-    },
-    { 
-      titulo: "Mestre da Lógica", 
-      descricao: "Nota máxima em Estruturas de Dados",
-      cor: "from-purple-400 to-pink-500",
-      corBg: "from-purple-50 to-pink-50",
-      icone: Target,
-      data: "Conquistada em 05/09/2024",
-      pontos: 400,
-      raridade: "Épica"
-    },
-    { 
-      titulo: "Estrela em Ascensão", 
-      descricao: "Maior evolução no semestre",
-      cor: "from-indigo-400 to-purple-500",
-      corBg: "from-indigo-50 to-purple-50",
-      icone: Star,
-      data: "Conquistada em 01/10/2024",
-      pontos: 300,
-      raridade: "Rara"
-    },
-    { 
-      titulo: "Gênio da Inovação", 
-      descricao: "Projeto inovador aprovado",
-      cor: "from-rose-400 to-red-500",
-      corBg: "from-rose-50 to-red-50",
-      icone: Sparkles,
-      data: "Conquistada em 25/09/2024",
-      pontos: 450,
-      raridade: "Épica"
-    },
-  ];
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { setFlashMessage } = useFlashMessage();
+
+  useEffect(() => {
+    async function fetchMedals() {
+      try {
+        setLoading(true);
+        const response = await requestData("/medals/me", "GET", {}, true);
+
+        if (response.success && response.data) {
+          setData(response.data);
+        } else {
+          const errorMsg = response.message || "Não foi possível carregar as medalhas.";
+          setError(errorMsg);
+          if (setFlashMessage) setFlashMessage(errorMsg, "error");
+        }
+      } catch (err) {
+        console.error("Erro ao buscar medalhas:", err);
+        const errorMsg = "Erro de conexão com o servidor.";
+        setError(errorMsg);
+        if (setFlashMessage) setFlashMessage(errorMsg, "error");
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchMedals();
+  }, [setFlashMessage]);
+
+  const medalhas = (data?.earned || []).map((m) => ({
+    titulo: m.title,
+    descricao: m.subject_name ? `${m.description} (${m.subject_name})` : m.description,
+    ...(rarityColors[m.rarity] || rarityColors["Comum"]),
+    icone: icons[m.icon] || Award,
+    data: `Conquistada em ${formatDate(m.earned_at).split(" - ")[0]}`,
+    pontos: Number(m.points),
+    raridade: m.rarity,
+  }));
 
-  const totalPontos = medalhas.reduce((acc, m) => acc + m.pontos, 0);
-  const medalhasLendarias = medalhas.filter(m => m.raridade === "Lendária").length;
-  const medalhasEpicas = medalhas.filter(m => m.raridade === "Épica").length;
+  const proximas = (data?.next || []).map((m) => ({
+    titulo: m.title,
+    desc: m.description,
+    progresso: m.progress,
+  }));
+
+  const totalPontos = data?.total_points || 0;
+  const medalhasLendarias = data?.by_rarity?.["Lendária"] || 0;
+  const medalhasEpicas = data?.by_rarity?.["Épica"] || 0;
+
+  if (loading) {
+    return (
+      <div className="flex min-h-screen items-center justify-center bg-slate-50">
+        <Loader2 className="w-12 h-12 text-blue-600 animate-spin" />
+        <p className="ml-4 text-xl text-slate-700">Carregando medalhas...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="flex min-h-screen flex-col items-center justify-center bg-red-50 p-4 text-center">
+        <XCircle className="w-12 h-12 text-red-600 mb-4" />
+        <p className="text-xl text-red-700">{error}</p>
+        <button
+          onClick={() => window.history.back()}
+          className="mt-4 px-4 py-2 bg-red-600 text-white rounded-lg"
+        >
+          Voltar
+        </button>
+      </div>
+    );
+  }
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50 p-4 sm:p-6 lg:p-8">
@@ -200,6 +218,11 @@ export default function Medalhas() {
           </div>
 
           <div className="p-4 sm:p-6">
+            {medalhas.length === 0 && (
+              <p className="text-center text-sm text-slate-500 py-8">
+                Você ainda não conquistou nenhuma medalha. Participe das turmas e responda os simulados!
+              </p>
+            )}
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 sm:gap-6">
               {medalhas.map((m, i) => {
                 const Icone = m.icone;
@@ -258,11 +281,7 @@ export default function Medalhas() {
 
           <div className="p-4 sm:p-6">
             <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
-              {[
-                { titulo: "Mestre do Ano", desc: "Média 9.5+ em todos semestres", progresso: 75 },
-                { titulo: "100% Dedicado", desc: "Presença perfeita o ano todo", progresso: 85 },
-                { titulo: "Líder Natural", desc: "Liderar 3 projetos em grupo", progresso: 60 },
-              ].map((conquista, i) => (
+              {proximas.map((conquista, i) => (
                 <div key={i} className="bg-slate-700/50 rounded-xl p-4 border border-slate-600 hover:border-slate-500 transition-all">
                   <div className="flex items-start gap-3 mb-3">
                     <div className="w-10 h-10 bg-slate-600 rounded-lg flex items-center justify-center flex-shrink-0">
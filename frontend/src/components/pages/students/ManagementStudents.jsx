@@ -181,7 +181,12 @@ export default function Dashboard() {
     try {
       const response = await requestData("/enrollments/join-with-code", "POST", { code }, true);
 
-      if (response.success) {
+      if (response.success && response.data?.waitlisted) {
+        // Turma lotada: o aluno será matriculado quando uma vaga for liberada
+        setFlashMessage(response.message, "success");
+        setShowClassModal(false);
+        setClassCode("");
+      } else if (response.success) {
         setFlashMessage(response.message || "Matrícula realizada com sucesso!", "success");
         setShowClassModal(false);
         setClassCode("");
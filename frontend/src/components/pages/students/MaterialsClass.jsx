@@ -8,11 +8,25 @@ import {
   Calendar,
   ArrowLeft,
   FolderOpen,
+  Megaphone,
+  MessagesSquare,
+  ClipboardList,
 } from "lucide-react";
 import { useState, useEffect } from "react";
 import requestData from "../../../utils/requestApi";
-import { useNavigate, useParams } from "react-router-dom";
+import { useNavigate, useParams, useSearchParams } from "react-router-dom";
 import formatDateRequests from "../../../utils/formatDateRequests"
+import ClassAnnouncements from "../../class/ClassAnnouncements"
+import ClassDiscussions from "../../class/ClassDiscussions"
+import ClassAssignments from "../../class/ClassAssignments"
+
+/** Abas da página da turma (o `id` é o valor da query `tab`). */
+const TABS = [
+  { id: "materiais", label: "Materiais", icon: Folder },
+  { id: "avisos", label: "Avisos", icon: Megaphone },
+  { id: "discussoes", label: "Discussões", icon: MessagesSquare },
+  { id: "atividades", label: "Atividades", icon: ClipboardList },
+];
 
 
 /**
@@ -31,6 +45,9 @@ import formatDateRequests from "../../../utils/formatDateRequests"
  *   - Tamanho, data, disciplina e título do material.
  *   - Botão para baixar o material.
  * - Feedback visual quando nenhum resultado é encontrado.
+ * - Abas de avisos do professor (ClassAnnouncements), discussões da turma
+ *   (ClassDiscussions) e atividades com entrega de arquivo (ClassAssignments),
+ *   selecionadas pela query `?tab=avisos|discussoes|atividades`.
  * - Animações em fade-in e slide-up para cards e seções.
  *
  * Entrada:
@@ -81,6 +98,8 @@ export default function MaterialsClass() {
   const [filterActive, setFilterActive] = useState("todos");
   const navigate = useNavigate()
   const { class_id } = useParams()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const tab = TABS.some(t => t.id === searchParams.get("tab")) ? searchParams.get("tab") : "materiais"
   const [materials, setMaterials] = useState([])
   const [class_name, setClassName] = useState(null)
   const [total_materials, setTotalMaterials] = useState(0)
@@ -196,6 +215,33 @@ export default function MaterialsClass() {
         </div>
       </div>
 
+      {/* Abas */}
+      <div className="flex flex-wrap gap-2 mb-8">
+        {TABS.map((item) => {
+          const Icon = item.icon;
+          return (
+            <button
+              key={item.id}
+              onClick={() => setSearchParams(item.id === "materiais" ? {} : { tab: item.id }, { replace: true })}
+              className={`px-6 py-3 rounded-2xl font-bold text-sm flex items-center gap-2 transition-all duration-300 ${
+                tab === item.id
+                  ? "bg-linear-to-r from-green-500 to-emerald-500 text-white shadow-lg shadow-green-300/50"
+                  : "bg-white text-gray-700 hover:bg-gray-100 border-2 border-gray-200 hover:border-gray-300"
+              }`}
+            >
+              <Icon size={18} strokeWidth={2.5} />
+              {item.label}
+            </button>
+          );
+        })}
+      </div>
+
+      {tab === "avisos" && <ClassAnnouncements classId={class_id} variant="light" />}
+      {tab === "discussoes" && <ClassDiscussions classId={class_id} variant="light" />}
+      {tab === "atividades" && <ClassAssignments classId={class_id} variant="light" />}
+
+      {tab === "materiais" && (
+      <>
       {/* Estatística de Materiais */}
       <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
         <div
@@ -333,6 +379,8 @@ export default function MaterialsClass() {
           <p className="text-gray-600 text-lg">Tente ajustar sua busca ou filtros</p>
         </div>
       )}
+      </>
+      )}
     </div>
   );
 }
\ No newline at end of file
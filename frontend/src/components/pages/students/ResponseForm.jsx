@@ -3,16 +3,59 @@
  * @description Página de visualização de um formulário/simulado específico.
  * Exibe título, descrição, data de atualização, pontuação total,
  * perguntas e alternativas (destacando as corretas).
+ *
+ * O tempo é controlado pelo servidor: ao abrir a página é iniciada (ou retomada) a
+ * tentativa do aluno (`POST /form/:id/attempts`), que informa o tempo restante e as
+ * respostas já salvas. As respostas são salvas automaticamente enquanto o aluno
+ * responde e o simulado é enviado sozinho quando o tempo acaba.
+ *
+ * Além das questões de opção única e abertas, o aluno responde questões de múltipla
+ * seleção (caixas de marcação), numéricas, de associação (um par para cada item, com a
+ * coluna da direita embaralhada) e de ordenação (itens embaralhados, movidos para cima
+ * ou para baixo). Essas questões são enviadas como resposta estruturada (`response`).
  * 
  * @module pages/Form/ResponseForm
  */
 
-import { useState, useEffect, useContext } from "react";
+import { useState, useEffect, useContext, useRef, useCallback } from "react";
 import { useParams, useNavigate } from "react-router-dom";
-import { ArrowLeft, CheckCircle, Clock } from "lucide-react";
+import { ArrowLeft, CheckCircle, Clock, ArrowUp, ArrowDown } from "lucide-react";
 import requestData from "../../../utils/requestApi";
 import { Context } from "../../../context/UserContext"
 import useFlashMessage from "../../../hooks/useFlashMessage"
+import RichText, { QuestionImage } from "../../form/RichText";
+
+/** Tipos de questão respondidos com resposta estruturada (`response`). */
+const STRUCTURED_TYPES = ["multipla_selecao", "numerica", "associacao", "ordenacao"];
+
+/**
+ * @function shuffle
+ * @description Retorna uma cópia embaralhada da lista (Fisher–Yates).
+ *
+ * @param {Array} list
+ * @returns {Array}
+ */
+function shuffle(list) {
+    const copy = [...list];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+/**
+ * @function isAnswered
+ * @description Indica se o valor do estado `answers` representa uma resposta preenchida.
+ *
+ * @param {*} value - Valor da resposta (ID, texto ou resposta estruturada)
+ * @returns {boolean}
+ */
+function isAnswered(value) {
+    if (value === undefined || value === null || value === "") return false;
+    if (typeof value !== "object") return true;
+    return Object.values(value).some((v) => (Array.isArray(v) ? v.length > 0 : v !== "" && v !== null));
+}
 
 /**
  * @component ResponseForm
@@ -29,9 +72,20 @@ export default function ResponseForm() {
     const { id } = useParams();
 
     /**
-     * @constant {number} timeLeft - Tempo restante em segundos para completar o simulado
+     * @constant {number|null} timeLeft - Tempo restante em segundos para completar o simulado
+     * (`null` enquanto a tentativa não foi iniciada ou quando não há limite de tempo)
+     */
+    const [timeLeft, setTimeLeft] = useState(null);
+
+    /**
+     * @constant {boolean} attemptReady - Indica se a tentativa foi iniciada e as respostas salvas foram restauradas
+     */
+    const [attemptReady, setAttemptReady] = useState(false);
+
+    /**
+     * @constant {Object} submitted - Evita envios duplicados (inclusive o envio automático)
      */
-    const [timeLeft, setTimeLeft] = useState(0);
+    const submitted = useRef(false);
 
     /**
      * @constant {Object} user - Dados do usuário atual obtidos do contexto
@@ -57,10 +111,17 @@ export default function ResponseForm() {
 
     /**
      * @constant {Object} answers - Objeto contendo as respostas do usuário
-     * @property {number|string} [questionId] - ID da opção selecionada ou texto da resposta aberta
+     * @property {number|string|Object} [questionId] - ID da opção selecionada, texto da resposta aberta
+     * ou resposta estruturada (`{ option_ids }`, `{ value }`, `{ matches }` ou `{ order }`)
      */
     const [answers, setAnswers] = useState({});
 
+    /**
+     * @constant {Object} layout - Ordem embaralhada exibida ao aluno, por questão:
+     * `order` (IDs dos itens de ordenação) e `targets` (coluna da direita das associações, já embaralhada pelo servidor)
+     */
+    const [layout, setLayout] = useState({});
+
 
     const { setFlashMessage } = useFlashMessage()
 
@@ -78,16 +139,35 @@ export default function ResponseForm() {
         return `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}:${String(s).padStart(2, "0")}`;
     }
 
-    // Busca os dados do formulário
+    // Inicia (ou retoma) a tentativa e busca os dados do formulário
     useEffect(() => {
         async function fetchForm() {
             try {
+                const attempt = await requestData(`/form/${id}/attempts`, "POST", {}, true);
+                if (!attempt.success) {
+                    setFlashMessage(attempt.message, 'error');
+                    return;
+                }
+
                 const response = await requestData(`/form/view/${id}`, "GET", {}, true);
-                console.log('form: ', response)
                 if (response.success && response.data.form?.length) {
                     const formData = response.data.form[0];
+                    const { remaining_seconds, answers: saved } = attempt.data.attempt;
+
                     setForm(formData);
-                    setTimeLeft(formData.totalDuration * 60);
+                    setTimeLeft(remaining_seconds);
+                    setAnswers(Object.fromEntries(
+                        (saved || []).map((a) => [a.question_id, a.response ?? a.option_id ?? a.open_answer])
+                    ));
+                    setLayout(Object.fromEntries(
+                        (formData.questions || [])
+                            .filter((q) => q.type === "ordenacao" || q.type === "associacao")
+                            .map((q) => [q.id, {
+                                order: shuffle(q.options.map((o) => o.id)),
+                                targets: q.match_targets || [],
+                            }])
+                    ));
+                    setAttemptReady(true);
                 }
             } catch (err) {
                 console.error(err);
@@ -96,11 +176,11 @@ export default function ResponseForm() {
             }
         }
         fetchForm();
-    }, [id]);
+    }, [id, setFlashMessage]);
 
-    // Contagem regressiva do tempo
+    // Contagem regressiva do tempo (o limite real é controlado pelo servidor)
     useEffect(() => {
-        if (timeLeft <= 0) return;
+        if (timeLeft === null || timeLeft <= 0) return;
         const timer = setInterval(() => setTimeLeft((prev) => Math.max(prev - 1, 0)), 1000);
         return () => clearInterval(timer);
     }, [timeLeft]);
@@ -121,6 +201,71 @@ export default function ResponseForm() {
     };
 
 
+    /**
+     * @function toggleOption
+     * @description Marca ou desmarca uma opção de uma questão de múltipla seleção.
+     *
+     * @param {number} questionId - ID da questão
+     * @param {number} optionId - ID da opção
+     */
+    const toggleOption = (questionId, optionId) => {
+        const current = answers[questionId]?.option_ids || [];
+        const option_ids = current.includes(optionId)
+            ? current.filter((id) => id !== optionId)
+            : [...current, optionId];
+        handleSelect(questionId, { option_ids });
+    };
+
+    /**
+     * @function selectMatch
+     * @description Define o par escolhido para um item de uma questão de associação.
+     *
+     * @param {number} questionId - ID da questão
+     * @param {number} optionId - ID do item (coluna da esquerda)
+     * @param {string} matchText - Texto escolhido da coluna da direita ("" para limpar)
+     */
+    const selectMatch = (questionId, optionId, matchText) => {
+        const matches = (answers[questionId]?.matches || []).filter((m) => m.option_id !== optionId);
+        if (matchText) matches.push({ option_id: optionId, match_text: matchText });
+        handleSelect(questionId, { matches });
+    };
+
+    /**
+     * @function moveItem
+     * @description Move um item de uma questão de ordenação uma posição para cima ou para baixo.
+     *
+     * @param {number} questionId - ID da questão
+     * @param {number[]} order - Ordem exibida atualmente
+     * @param {number} index - Posição do item
+     * @param {number} direction - -1 para subir, 1 para descer
+     */
+    const moveItem = (questionId, order, index, direction) => {
+        const target = index + direction;
+        if (target < 0 || target >= order.length) return;
+        const next = [...order];
+        [next[index], next[target]] = [next[target], next[index]];
+        handleSelect(questionId, { order: next });
+    };
+
+    /**
+     * @function buildAnswers
+     * @description Converte o estado `answers` no formato esperado pela API,
+     * de acordo com o tipo de cada questão.
+     *
+     * @returns {Array<{question_id: number, option_id?: number, open_answer?: string, response?: Object}>}
+     */
+    const buildAnswers = useCallback(() => {
+        const types = Object.fromEntries((form?.questions || []).map((q) => [q.id, q.type]));
+        return Object.entries(answers)
+            .filter(([, value]) => isAnswered(value))
+            .map(([question_id, value]) => {
+                const type = types[question_id];
+                if (type === "aberta") return { question_id: parseInt(question_id), open_answer: value };
+                if (STRUCTURED_TYPES.includes(type)) return { question_id: parseInt(question_id), response: value };
+                return { question_id: parseInt(question_id), option_id: value };
+            });
+    }, [form, answers]);
+
     /**
      * @function handleSubmit
      * @description Envia as respostas do simulado para o servidor e processa o resultado.
@@ -130,22 +275,24 @@ export default function ResponseForm() {
      * @async
      * @throws {Error} Erro ao enviar respostas para o servidor
      */
-    async function handleSubmit() {
+    const handleSubmit = useCallback(async (auto = false) => {
+        if (submitted.current) return;
+
         const payload = {
             form_id: id,
             user_id: user.id,
-            answers: Object.entries(answers).map(([question_id, value]) => {
-            // Se o valor for número => é uma opção
-            if (typeof value === "number" || /^\d+$/.test(value)) {
-                return { question_id: parseInt(question_id), option_id: value };
-            }
-            // Caso contrário => é uma resposta aberta
-            return { question_id: parseInt(question_id), open_answer: value };
-            }),
+            answers: buildAnswers(),
         };
 
-        console.log('respostas: ', answers)
+        // Sem respostas, o servidor finaliza a tentativa expirada sozinho
+        if (auto && payload.answers.length === 0) {
+            submitted.current = true;
+            setFlashMessage("Tempo esgotado! O simulado foi encerrado.", 'error');
+            navigate("/student/home");
+            return;
+        }
 
+        submitted.current = true;
 
         const response = await requestData('/form/answers', "POST", payload, true);
         console.log('form: ', response)
@@ -160,9 +307,30 @@ export default function ResponseForm() {
                 });
             }
         } else {
+            // Tempo esgotado: o servidor já enviou as respostas salvas automaticamente
+            if (response.status === 403) {
+                setFlashMessage(response.message, 'error');
+                navigate("/student/home");
+                return;
+            }
+            submitted.current = false;
             setFlashMessage(response.message, 'error');
         }
-    }
+    }, [id, user, form, buildAnswers, navigate, setFlashMessage]);
+
+    // Salvamento automático das respostas (`buildAnswers` muda a cada resposta)
+    useEffect(() => {
+        if (!attemptReady || submitted.current) return;
+        const timer = setTimeout(() => {
+            requestData(`/form/${id}/attempts/current`, "PUT", { answers: buildAnswers() }, true);
+        }, 1500);
+        return () => clearTimeout(timer);
+    }, [id, attemptReady, buildAnswers]);
+
+    // Envio automático quando o tempo acaba
+    useEffect(() => {
+        if (attemptReady && timeLeft === 0) handleSubmit(true);
+    }, [timeLeft, attemptReady, handleSubmit]);
 
 
     if (loading) {
@@ -211,10 +379,18 @@ export default function ResponseForm() {
                         {form.total_points === 1 ? "ponto" : "pontos"}
                     </div>
 
+                    {timeLeft !== null && (
                     <div className="flex items-center gap-2 px-3 py-1 rounded-full bg-blue-100 text-blue-700 font-semibold border border-blue-300">
                         <Clock className="w-4 h-4" />
                         <span>{formatTime(timeLeft)}</span>
                     </div>
+                    )}
+
+                    {form.instance && form.instance.drawn < form.instance.pool && (
+                        <div className="px-3 py-1 rounded-full bg-purple-100 text-purple-700 font-semibold border border-purple-300">
+                            {form.instance.drawn} de {form.instance.pool} questões sorteadas para você
+                        </div>
+                    )}
                 </div>
 
                 {/* Perguntas */}
@@ -231,15 +407,117 @@ export default function ResponseForm() {
 
                                 <div className="flex-1">
                                     <div className="flex flex-wrap items-start justify-between gap-2 mb-3">
-                                        <h3 className="text-gray-800 font-semibold text-lg leading-snug">
-                                            {q.text}
-                                        </h3>
+                                        <RichText text={q.text} className="flex-1 text-gray-800 font-semibold text-lg leading-snug" />
                                         <div className="self-start px-3 py-1 rounded-full bg-yellow-100 text-yellow-700 font-semibold text-sm border border-yellow-300 whitespace-nowrap">
                                             {q.points ?? 0} {q.points === 1 ? "ponto" : "pontos"}
                                         </div>
                                     </div>
 
-                                    {q.type === "aberta" ? (
+                                    <QuestionImage src={q.image_url} className="mb-4" />
+
+                                    {q.type === "multipla_selecao" && (
+                                    <ul className="space-y-2">
+                                        <li className="text-xs text-gray-500">Marque todas as opções corretas.</li>
+                                        {q.options?.map((opt) => {
+                                            const selected = (answers[q.id]?.option_ids || []).includes(opt.id);
+                                            return (
+                                                <li
+                                                    key={opt.id}
+                                                    onClick={() => toggleOption(q.id, opt.id)}
+                                                    className={`flex items-center gap-3 px-3 py-2 rounded-xl border cursor-pointer transition-all duration-200
+                                                        ${selected ? "border-emerald-400 bg-emerald-50 text-emerald-800"
+                                                            : "border-gray-200 bg-gray-50 hover:bg-gray-100 text-gray-800"}`}
+                                                >
+                                                    {selected ? (
+                                                        <CheckCircle className="w-5 h-5 text-emerald-500 shrink-0" />
+                                                    ) : (
+                                                        <div className="w-5 h-5 rounded-md border-2 border-gray-400 shrink-0" />
+                                                    )}
+                                                    <span className="flex flex-col gap-2 text-sm font-medium">
+                                                        <RichText text={opt.text} inline />
+                                                        <QuestionImage src={opt.image_url} alt="Imagem da opção" />
+                                                    </span>
+                                                </li>
+                                            );
+                                        })}
+                                    </ul>
+                                    )}
+
+                                    {q.type === "numerica" && (
+                                    <div className="mt-3">
+                                        <label className="text-gray-800 text-sm mb-2 block">
+                                            Resposta numérica:
+                                        </label>
+                                        <input
+                                            type="text"
+                                            inputMode="decimal"
+                                            className="w-48 bg-gray-50 border border-gray-200 rounded-xl p-3 text-gray-800 text-sm
+                                                        focus:border-emerald-400 focus:ring-2 focus:ring-emerald-200 transition-all"
+                                            placeholder="Ex: 3,14"
+                                            value={answers[q.id]?.value ?? ""}
+                                            onChange={(e) => handleSelect(q.id, { value: e.target.value })}
+                                        />
+                                    </div>
+                                    )}
+
+                                    {q.type === "associacao" && (
+                                    <ul className="space-y-2">
+                                        {q.options?.map((opt) => {
+                                            const chosen = (answers[q.id]?.matches || []).find((m) => m.option_id === opt.id);
+                                            return (
+                                                <li key={opt.id} className="flex flex-wrap items-center gap-3 px-3 py-2 rounded-xl border border-gray-200 bg-gray-50">
+                                                    <RichText text={opt.text} inline className="flex-1 text-sm font-medium text-gray-800" />
+                                                    <select
+                                                        className="flex-1 min-w-40 bg-white border border-gray-200 rounded-lg px-2 py-1.5 text-sm text-gray-800"
+                                                        value={chosen?.match_text || ""}
+                                                        onChange={(e) => selectMatch(q.id, opt.id, e.target.value)}
+                                                    >
+                                                        <option value="">Selecione o par...</option>
+                                                        {(layout[q.id]?.targets || []).map((target) => (
+                                                            <option key={target} value={target}>{target}</option>
+                                                        ))}
+                                                    </select>
+                                                </li>
+                                            );
+                                        })}
+                                    </ul>
+                                    )}
+
+                                    {q.type === "ordenacao" && (() => {
+                                        const order = answers[q.id]?.order || layout[q.id]?.order || [];
+                                        const byId = Object.fromEntries((q.options || []).map((o) => [o.id, o]));
+                                        return (
+                                        <div className="space-y-2">
+                                            <p className="text-xs text-gray-500">Coloque os itens na ordem correta.</p>
+                                            <ol className="space-y-2">
+                                            {order.map((optionId, index) => (
+                                                <li key={optionId} className="flex items-center gap-3 px-3 py-2 rounded-xl border border-gray-200 bg-gray-50 text-gray-800">
+                                                    <span className="w-6 text-center font-semibold text-blue-500">{index + 1}</span>
+                                                    <RichText text={byId[optionId]?.text} inline className="flex-1 text-sm font-medium" />
+                                                    <button
+                                                        type="button"
+                                                        onClick={() => moveItem(q.id, order, index, -1)}
+                                                        disabled={index === 0}
+                                                        className="p-1 text-gray-500 hover:text-blue-500 disabled:opacity-30"
+                                                    >
+                                                        <ArrowUp className="w-4 h-4" />
+                                                    </button>
+                                                    <button
+                                                        type="button"
+                                                        onClick={() => moveItem(q.id, order, index, 1)}
+                                                        disabled={index === order.length - 1}
+                                                        className="p-1 text-gray-500 hover:text-blue-500 disabled:opacity-30"
+                                                    >
+                                                        <ArrowDown className="w-4 h-4" />
+                                                    </button>
+                                                </li>
+                                            ))}
+                                            </ol>
+                                        </div>
+                                        );
+                                    })()}
+
+                                    {STRUCTURED_TYPES.includes(q.type) ? null : q.type === "aberta" ? (
                                     <div className="mt-3">
                                     <label className="text-gray-800 text-sm mb-2 block">
                                         Resposta:
@@ -273,7 +551,10 @@ export default function ResponseForm() {
                                                     ) : (
                                                         <div className="w-5 h-5 rounded-full border-2 border-gray-400 shrink-0" />
                                                     )}
-                                                    <span className="text-sm font-medium">{opt.text}</span>
+                                                    <span className="flex flex-col gap-2 text-sm font-medium">
+                                                        <RichText text={opt.text} inline />
+                                                        <QuestionImage src={opt.image_url} alt="Imagem da opção" />
+                                                    </span>
                                                 </li>
                                             );
                                         })}
@@ -297,7 +578,7 @@ export default function ResponseForm() {
                 {/* Botão de envio */}
                 <div className="flex justify-end mt-10">
                     <button
-                        onClick={handleSubmit}
+                        onClick={() => handleSubmit()}
                         disabled={timeLeft === 0}
                         className={`px-6 py-2.5 rounded-2xl font-medium shadow-md transition-all 
                             ${timeLeft === 0 
@@ -15,6 +15,13 @@ import { useParams, useNavigate } from "react-router-dom";
 import requestData from "../../../utils/requestApi";
 import formatDateRequests from "../../../utils/formatDateRequests";
 
+/** Descrição do critério de nota usado quando há várias tentativas. */
+const strategyLabels = {
+    best: "Melhor tentativa",
+    last: "Última tentativa",
+    average: "Média das tentativas",
+};
+
 
 
 
@@ -102,6 +109,13 @@ export default function SimulatedResult() {
                         <div className="flex-1">
                             <h1 className="text-2xl font-bold text-gray-900 mb-2">Simulado - {results.form_name}</h1>
                             <p className="text-gray-600">Concluído em {formatDateRequests(results.updated_at)}</p>
+                            {(results.attempts > 1 || results.max_attempts !== 1) && (
+                                <p className="text-sm text-gray-500 mt-1">
+                                    {results.attempts} {results.attempts === 1 ? "tentativa" : "tentativas"}
+                                    {results.max_attempts ? ` de ${results.max_attempts}` : ""}
+                                    {" · Nota considerada: "}{strategyLabels[results.score_strategy]}
+                                </p>
+                            )}
                         </div>
                     </div>
                 </div>
@@ -234,6 +248,17 @@ export default function SimulatedResult() {
 
                 {/* Ações Rápidas */}
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {(results.max_attempts === null || results.attempts < results.max_attempts) && (
+                        <button
+                            onClick={() => navigate(`/student/simulated/view/${form_id}`)}
+                            className="md:col-span-2 bg-white p-6 rounded-2xl shadow-lg border-2 border-gray-200 hover:border-purple-400 hover:shadow-xl transition-all group"
+                        >
+                            <Target className="w-8 h-8 text-purple-600 mb-3 group-hover:scale-110 transition-transform" />
+                            <h4 className="font-bold text-gray-800 mb-1">Nova Tentativa</h4>
+                            <p className="text-sm text-gray-600">Responda novamente para melhorar sua nota</p>
+                        </button>
+                    )}
+
                     <button 
                         onClick={() => navigate(`/student/simulated/template/${form_id}`)}
                         className="bg-white p-6 rounded-2xl shadow-lg border-2 border-gray-200 hover:border-blue-400 hover:shadow-xl transition-all group"
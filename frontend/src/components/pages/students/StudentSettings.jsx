@@ -0,0 +1,45 @@
+import { ArrowLeft, Settings } from "lucide-react";
+import EmailPreferences from "../../layout/EmailPreferences";
+
+/**
+ * StudentSettings
+ *
+ * Página de configurações do aluno (`/student/settings`), acessada pelo menu do
+ * usuário na barra de navegação.
+ *
+ * - Exibe as preferências de notificação por e-mail (`EmailPreferences`): os
+ *   lembretes de prazo dos simulados e o resumo semanal, que o aluno pode desativar.
+ *
+ * @component
+ * @example
+ * <Route path="settings" element={<StudentSettings />} />
+ */
+export default function StudentSettings() {
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50 p-4 sm:p-6 lg:p-8">
+      <div className="max-w-3xl mx-auto">
+        <button
+          onClick={() => window.history.back()}
+          className="mb-4 flex items-center gap-2 px-4 py-2 bg-white rounded-xl shadow-md border border-slate-200 hover:bg-slate-50 hover:shadow-lg transition-all duration-300 text-slate-700 font-medium"
+        >
+          <ArrowLeft className="w-5 h-5" />
+          <span className="text-sm sm:text-base">Voltar</span>
+        </button>
+
+        <div className="flex items-center gap-4 mb-8">
+          <div className="p-3 bg-gradient-to-br from-blue-500 to-indigo-600 rounded-xl shadow-lg">
+            <Settings className="w-8 h-8 text-white" />
+          </div>
+          <div>
+            <h1 className="text-3xl font-bold text-slate-900">Configurações</h1>
+            <p className="text-slate-600">Escolha quais e-mails você deseja receber.</p>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-lg border border-slate-200 p-6">
+          <EmailPreferences />
+        </div>
+      </div>
+    </div>
+  );
+}
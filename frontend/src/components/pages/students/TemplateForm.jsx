@@ -11,6 +11,7 @@ import { useState, useEffect } from "react";
 import { useParams, useNavigate } from "react-router-dom";
 import { ArrowLeft, CheckCircle, XCircle } from "lucide-react";
 import requestData from "../../../utils/requestApi";
+import RichText, { QuestionImage } from "../../form/RichText";
 
 /**
  * @component TemplateForm
@@ -140,6 +141,12 @@ export default function TemplateForm() {
                         Total: {form.total_points ?? 0}{" "}
                         {form.total_points === 1 ? "ponto" : "pontos"}
                     </div>
+
+                    {form.instance && form.instance.drawn < form.instance.pool && (
+                        <div className="px-3 py-1 rounded-full bg-purple-100 text-purple-700 font-semibold border border-purple-300">
+                            {form.instance.drawn} de {form.instance.pool} questões sorteadas para você
+                        </div>
+                    )}
                 </div>
 
                 {/* Perguntas */}
@@ -156,14 +163,14 @@ export default function TemplateForm() {
 
                                 <div className="flex-1">
                                     <div className="flex flex-wrap items-start justify-between gap-2 mb-3">
-                                        <h3 className="text-gray-800 font-semibold text-lg leading-snug">
-                                            {q.text}
-                                        </h3>
+                                        <RichText text={q.text} className="flex-1 text-gray-800 font-semibold text-lg leading-snug" />
                                         <div className="self-start px-3 py-1 rounded-full bg-yellow-100 text-yellow-700 font-semibold text-sm border border-yellow-300 whitespace-nowrap">
                                             {q.points ?? 0} {q.points === 1 ? "ponto" : "pontos"}
                                         </div>
                                     </div>
 
+                                    <QuestionImage src={q.image_url} className="mb-4" />
+
                                     {q.type === "aberta" ? (
                                         <div className="mt-3">
                                             <label className="text-gray-800 text-sm mb-2 block">
@@ -177,10 +184,15 @@ export default function TemplateForm() {
                                                 disabled
                                             />
                                         </div>
+                                    ) : q.type === "numerica" ? (
+                                        <p className="px-3 py-2 rounded-lg border border-emerald-500/40 bg-emerald-500/10 text-sm">
+                                            Resposta: {q.numeric_answer}
+                                            {Number(q.tolerance) > 0 && ` (± ${q.tolerance})`}
+                                        </p>
                                     ) : (
 
                                         <ul className="space-y-2">
-                                            {q.options?.map((opt) => (
+                                            {q.options?.map((opt, optIdx) => (
                                                 <li
                                                     key={opt.id}
                                                     className={`flex items-center gap-3 px-3 py-2 rounded-lg border ${opt.correct
@@ -188,13 +200,19 @@ export default function TemplateForm() {
                                                             : "border-white/10 bg-white/5"
                                                         }`}
                                                 >
-                                                    {opt.correct ? (
+                                                    {q.type === "ordenacao" ? (
+                                                        <span className="w-4 text-center text-sm font-semibold text-emerald-500">{optIdx + 1}</span>
+                                                    ) : opt.correct || q.type === "associacao" ? (
                                                         <CheckCircle className="w-4 h-4 text-emerald-400" />
                                                     ) : (
                                                         <XCircle className="w-4 h-4 text-red-400" />
                                                     )}
-                                                    <span className="text-black-200 text-sm">
-                                                        {opt.text}
+                                                    <span className="flex flex-col gap-2 text-black-200 text-sm">
+                                                        <span>
+                                                            <RichText text={opt.text} inline />
+                                                            {opt.match_text && ` ↔ ${opt.match_text}`}
+                                                        </span>
+                                                        <QuestionImage src={opt.image_url} alt="Imagem da opção" />
                                                     </span>
                                                 </li>
                                             ))}
@@ -0,0 +1,274 @@
+import { useState } from "react";
+import { X, Upload, FileSpreadsheet, Download, Loader2, CheckCircle2 } from "lucide-react";
+import requestData from "../../../utils/requestApi";
+import api from "../../../utils/api";
+
+/**
+ * BulkEnrollmentModal.jsx
+ * Modal para matricular vários alunos de uma vez a partir de uma planilha.
+ *
+ * Fluxo:
+ * 1. O professor envia um CSV/XLSX com e-mails ou matrículas;
+ * 2. A API devolve a prévia (nada é gravado): alunos encontrados, linhas desconhecidas,
+ *    duplicadas e que excedem a capacidade;
+ * 3. Ao confirmar, os alunos válidos são matriculados;
+ * 4. As linhas com problema podem ser baixadas em um relatório (CSV ou XLSX).
+ *
+ * Uso básico:
+ * <BulkEnrollmentModal open={true} classId={5} onClose={() => {}} onImported={() => {}} />
+ *
+ * @param {Object} props
+ * @param {boolean} props.open - Controla a exibição do modal.
+ * @param {number|string} props.classId - Turma de destino.
+ * @param {Function} props.onClose - Fecha o modal.
+ * @param {Function} [props.onImported] - Chamado após a confirmação (ex: recarregar a lista de alunos).
+ */
+
+const STATUS = {
+  matched: { label: "Será matriculado", className: "text-emerald-300" },
+  enrolled: { label: "Matriculado", className: "text-emerald-300" },
+  already_enrolled: { label: "Já matriculado", className: "text-slate-400" },
+  unknown: { label: "Não encontrado", className: "text-red-300" },
+  not_student: { label: "Não é aluno", className: "text-red-300" },
+  duplicate: { label: "Duplicado", className: "text-amber-300" },
+  over_capacity: { label: "Excede a capacidade", className: "text-amber-300" },
+  invalid: { label: "Linha vazia", className: "text-red-300" },
+};
+
+const OK_STATUSES = ["matched", "enrolled", "already_enrolled"];
+
+export default function BulkEnrollmentModal({ open, classId, onClose, onImported }) {
+  const [file, setFile] = useState(null);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  if (!open) return null;
+
+  const close = () => {
+    setFile(null);
+    setResult(null);
+    setError(null);
+    setMessage(null);
+    onClose();
+  };
+
+  const preview = async () => {
+    if (!file) return;
+    setLoading(true);
+    setError(null);
+    setMessage(null);
+    const formData = new FormData();
+    formData.append("file", file);
+    const response = await requestData(`/classes/${classId}/enrollments/import`, "POST", formData, true);
+    setLoading(false);
+    if (response.success) {
+      setResult(response.data.data);
+    } else {
+      setResult(null);
+      setError(response.message || "Não foi possível ler a planilha.");
+    }
+  };
+
+  const confirm = async () => {
+    setLoading(true);
+    setError(null);
+    const response = await requestData(
+      `/classes/${classId}/enrollments/import/${result.id}/confirm`,
+      "POST",
+      {},
+      true
+    );
+    setLoading(false);
+    if (response.success) {
+      setResult(response.data.data);
+      setMessage(response.message);
+      if (onImported) onImported();
+    } else {
+      setError(response.message || "Não foi possível confirmar a importação.");
+    }
+  };
+
+  const downloadReport = async (format) => {
+    try {
+      const response = await api.get(
+        `/classes/${classId}/enrollments/import/${result.id}/report`,
+        { params: { format }, responseType: "blob" }
+      );
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `erros-importacao-${result.id}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch {
+      setError("Não foi possível baixar o relatório.");
+    }
+  };
+
+  const summary = result?.summary || {};
+  const failedCount = (result?.rows || []).filter((r) => !OK_STATUSES.includes(r.status)).length;
+  const committed = result?.status === "committed";
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4">
+      <div className="w-full max-w-3xl max-h-[90vh] flex flex-col bg-slate-900 border border-white/10 rounded-2xl shadow-2xl text-white">
+        {/* Cabeçalho */}
+        <div className="flex items-center justify-between p-6 border-b border-white/10">
+          <div className="flex items-center gap-3">
+            <FileSpreadsheet className="w-6 h-6 text-yellow-400" />
+            <div>
+              <h2 className="text-xl font-bold">Importar alunos</h2>
+              <p className="text-sm text-slate-400">
+                Planilha CSV ou XLSX com uma coluna "email" ou "matricula".
+              </p>
+            </div>
+          </div>
+          <button type="button" onClick={close} className="text-slate-300 hover:text-white">
+            <X />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-5">
+          {/* Envio */}
+          {!committed && (
+            <div className="flex flex-col sm:flex-row gap-3 sm:items-center">
+              <label className="flex-1 flex items-center gap-3 px-4 py-3 rounded-lg border border-dashed border-white/20 cursor-pointer hover:bg-white/5">
+                <Upload className="w-5 h-5 text-slate-400" />
+                <span className="text-sm text-slate-300 truncate">
+                  {file ? file.name : "Selecionar planilha"}
+                </span>
+                <input
+                  type="file"
+                  accept=".csv,.xlsx,.xls"
+                  className="hidden"
+                  onChange={(e) => {
+                    setFile(e.target.files[0] || null);
+                    setResult(null);
+                    setError(null);
+                  }}
+                />
+              </label>
+              <button
+                type="button"
+                onClick={preview}
+                disabled={!file || loading}
+                className="flex items-center justify-center gap-2 px-5 py-3 rounded-lg bg-white/5 hover:bg-white/10 disabled:opacity-50"
+              >
+                {loading && !result && <Loader2 className="w-4 h-4 animate-spin" />}
+                Pré-visualizar
+              </button>
+            </div>
+          )}
+
+          {error && <p className="text-sm text-red-400">{error}</p>}
+          {message && (
+            <p className="flex items-center gap-2 text-sm text-emerald-300">
+              <CheckCircle2 className="w-4 h-4" /> {message}
+            </p>
+          )}
+
+          {/* Resumo */}
+          {result && (
+            <>
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-sm">
+                <div className="p-3 rounded-lg bg-slate-800/60">
+                  <p className="text-slate-400">{committed ? "Matriculados" : "Serão matriculados"}</p>
+                  <p className="text-2xl font-bold text-emerald-300">
+                    {(committed ? summary.enrolled : summary.matched) || 0}
+                  </p>
+                </div>
+                <div className="p-3 rounded-lg bg-slate-800/60">
+                  <p className="text-slate-400">Já na turma</p>
+                  <p className="text-2xl font-bold">{summary.already_enrolled || 0}</p>
+                </div>
+                <div className="p-3 rounded-lg bg-slate-800/60">
+                  <p className="text-slate-400">Acima da capacidade</p>
+                  <p className="text-2xl font-bold text-amber-300">{summary.over_capacity || 0}</p>
+                </div>
+                <div className="p-3 rounded-lg bg-slate-800/60">
+                  <p className="text-slate-400">Com erro</p>
+                  <p className="text-2xl font-bold text-red-300">
+                    {(summary.unknown || 0) + (summary.not_student || 0) + (summary.duplicate || 0) + (summary.invalid || 0)}
+                  </p>
+                </div>
+              </div>
+
+              <div className="max-h-72 overflow-y-auto rounded-lg border border-white/10">
+                <table className="w-full text-left text-sm">
+                  <thead className="bg-slate-800 text-slate-300 sticky top-0">
+                    <tr>
+                      <th className="px-3 py-2">Linha</th>
+                      <th className="px-3 py-2">E-mail ou matrícula</th>
+                      <th className="px-3 py-2">Aluno</th>
+                      <th className="px-3 py-2">Situação</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.rows.map((r) => {
+                      const status = STATUS[r.status] || { label: r.status, className: "" };
+                      return (
+                        <tr key={r.row} className="border-t border-white/5">
+                          <td className="px-3 py-2 text-slate-400">{r.row}</td>
+                          <td className="px-3 py-2">{r.identifier || "—"}</td>
+                          <td className="px-3 py-2">{r.username || "—"}</td>
+                          <td className={`px-3 py-2 ${status.className}`}>{status.label}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+
+        {/* Rodapé */}
+        {result && (
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-6 border-t border-white/10">
+            <div className="flex gap-2">
+              {failedCount > 0 && (
+                <>
+                  <button
+                    type="button"
+                    onClick={() => downloadReport("csv")}
+                    className="flex items-center gap-2 px-4 py-2 rounded-lg text-sm bg-white/5 hover:bg-white/10"
+                  >
+                    <Download className="w-4 h-4" /> Erros (CSV)
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => downloadReport("xlsx")}
+                    className="flex items-center gap-2 px-4 py-2 rounded-lg text-sm bg-white/5 hover:bg-white/10"
+                  >
+                    <Download className="w-4 h-4" /> Erros (XLSX)
+                  </button>
+                </>
+              )}
+            </div>
+            {committed ? (
+              <button
+                type="button"
+                onClick={close}
+                className="px-5 py-2 rounded-lg font-bold bg-yellow-400 text-black hover:bg-yellow-500"
+              >
+                Fechar
+              </button>
+            ) : (
+              <button
+                type="button"
+                onClick={confirm}
+                disabled={loading || !summary.matched}
+                className="flex items-center gap-2 px-5 py-2 rounded-lg font-bold bg-yellow-400 text-black hover:bg-yellow-500 disabled:opacity-50"
+              >
+                {loading && <Loader2 className="w-4 h-4 animate-spin" />}
+                Confirmar matrícula de {summary.matched || 0} aluno(s)
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,186 @@
+import { useState, useEffect } from "react";
+import { Download, Loader2 } from "lucide-react";
+import requestData from "../../../utils/requestApi";
+import api from "../../../utils/api";
+
+/**
+ * GradebookGrid.jsx
+ * Quadro de notas da turma: alunos nas linhas e simulados nas colunas.
+ *
+ * Funcionalidades:
+ * - Busca `GET /classes/:id/gradebook` (notas pela política de tentativas de cada simulado);
+ * - Destaca envios faltantes (prazo encerrado) e notas parciais aguardando correção;
+ * - Mostra total, percentual por aluno e média por simulado;
+ * - Exporta o quadro em XLSX ou CSV (`GET /classes/:id/gradebook/export`).
+ *
+ * Uso básico:
+ * <GradebookGrid classId={5} refreshKey={0} />
+ *
+ * @param {Object} props
+ * @param {number|string} props.classId - Turma exibida.
+ * @param {number} [props.refreshKey] - Alterar o valor recarrega o quadro (ex: após matricular alunos).
+ */
+
+const formatPoints = (value) =>
+  value === null || value === undefined ? "—" : Number(value).toLocaleString("pt-BR", { maximumFractionDigits: 2 });
+
+const Cell = ({ cell }) => {
+  if (cell.status === "missing") {
+    return <span className="text-red-400 text-xs font-semibold">Não entregue</span>;
+  }
+  if (cell.status === "open") {
+    return <span className="text-slate-500">—</span>;
+  }
+  if (cell.status === "pending") {
+    return (
+      <span className="text-amber-300" title="Há questões aguardando correção">
+        {formatPoints(cell.points)}*
+      </span>
+    );
+  }
+  return <span className="text-slate-100">{formatPoints(cell.points)}</span>;
+};
+
+export default function GradebookGrid({ classId, refreshKey = 0 }) {
+  const [book, setBook] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [exporting, setExporting] = useState(null);
+
+  useEffect(() => {
+    async function fetchGradebook() {
+      if (!classId) return;
+      setLoading(true);
+      const response = await requestData(`/classes/${classId}/gradebook`, "GET", {}, true);
+      if (response.success) {
+        setBook(response.data.data);
+        setError(null);
+      } else {
+        setError(response.message || "Não foi possível carregar o quadro de notas.");
+      }
+      setLoading(false);
+    }
+    fetchGradebook();
+  }, [classId, refreshKey]);
+
+  const exportAs = async (format) => {
+    setExporting(format);
+    try {
+      const response = await api.get(`/classes/${classId}/gradebook/export`, {
+        params: { format },
+        responseType: "blob",
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `notas-turma-${classId}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch {
+      setError("Não foi possível exportar o quadro de notas.");
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  if (loading && !book) {
+    return <p className="text-slate-400 text-sm italic text-center py-4">Carregando notas...</p>;
+  }
+
+  if (!book || book.forms.length === 0 || book.students.length === 0) {
+    return (
+      <p className="text-slate-400 text-sm italic text-center py-4">
+        {error || "Cadastre simulados e matricule alunos para ver o quadro de notas."}
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <p className="text-sm text-slate-400">
+          Média da turma:{" "}
+          <span className="font-semibold text-yellow-400">
+            {book.class_average === null ? "—" : `${formatPoints(book.class_average)}%`}
+          </span>
+        </p>
+        <div className="flex gap-2">
+          {["xlsx", "csv"].map((format) => (
+            <button
+              key={format}
+              onClick={() => exportAs(format)}
+              disabled={exporting !== null}
+              className="px-3 py-1.5 rounded-lg text-xs font-semibold flex items-center gap-1.5 bg-white/5 hover:bg-white/10 disabled:opacity-50 transition-colors"
+            >
+              {exporting === format ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <Download className="w-3.5 h-3.5" />}
+              {format.toUpperCase()}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      <div className="overflow-x-auto rounded-lg border border-white/10">
+        <table className="w-full text-sm text-left">
+          <thead className="bg-slate-900/60 text-slate-300">
+            <tr>
+              <th className="px-3 py-2 sticky left-0 bg-slate-900">Aluno</th>
+              {book.forms.map((form) => (
+                <th key={form.id} className="px-3 py-2 whitespace-nowrap" title={form.title}>
+                  <span className="block max-w-40 truncate">{form.title}</span>
+                  <span className="text-xs font-normal text-slate-500">{formatPoints(form.max_points)} pts</span>
+                </th>
+              ))}
+              <th className="px-3 py-2">Total</th>
+              <th className="px-3 py-2">%</th>
+              <th className="px-3 py-2 whitespace-nowrap">Não entregues</th>
+            </tr>
+          </thead>
+          <tbody>
+            {book.students.map((student) => (
+              <tr key={student.student_id} className="border-t border-white/5 hover:bg-white/5">
+                <td className="px-3 py-2 sticky left-0 bg-slate-800 text-slate-200 whitespace-nowrap">
+                  {student.username}
+                </td>
+                {student.cells.map((cell) => (
+                  <td key={cell.form_id} className="px-3 py-2">
+                    <Cell cell={cell} />
+                  </td>
+                ))}
+                <td className="px-3 py-2 text-slate-200">
+                  {formatPoints(student.total)} / {formatPoints(student.possible)}
+                </td>
+                <td className="px-3 py-2 font-semibold text-yellow-400">
+                  {student.percent === null ? "—" : `${formatPoints(student.percent)}%`}
+                </td>
+                <td className={`px-3 py-2 ${student.missing > 0 ? "text-red-400" : "text-slate-400"}`}>
+                  {student.missing}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr className="border-t border-white/10 bg-slate-900/40 text-slate-300">
+              <td className="px-3 py-2 sticky left-0 bg-slate-900 font-semibold">Média</td>
+              {book.forms.map((form) => (
+                <td key={form.id} className="px-3 py-2">
+                  {formatPoints(form.average)}
+                  <span className="block text-xs text-slate-500">
+                    {form.submissions} envio(s){form.missing > 0 ? `, ${form.missing} faltante(s)` : ""}
+                  </span>
+                </td>
+              ))}
+              <td className="px-3 py-2" />
+              <td className="px-3 py-2 font-semibold text-yellow-400">
+                {book.class_average === null ? "—" : `${formatPoints(book.class_average)}%`}
+              </td>
+              <td className="px-3 py-2" />
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+      <p className="text-xs text-slate-500">* nota parcial: há questões aguardando correção.</p>
+    </div>
+  );
+}
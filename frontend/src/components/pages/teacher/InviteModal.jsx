@@ -1,5 +1,5 @@
-import React, { useState, useEffect } from "react";
-import { Users, X, Copy, Check, Clock, Link as LinkIcon } from "lucide-react";
+import React, { useState, useEffect, useCallback } from "react";
+import { Users, X, Copy, Check, Clock, Link as LinkIcon, RefreshCw, Ban, History } from "lucide-react";
 import requestData from "../../../utils/requestApi"
 
 /**
@@ -11,6 +11,8 @@ import requestData from "../../../utils/requestApi"
  *   (validação de tempo, cópia automática, controle de estado e chamada à API);
  * - Vários componentes de UI auxiliares (Button, Select, Input, ConfigSection,
  *   InviteOption, InviteResultDisplay) usados para compor o modal;
+ * - `useInviteList`: hook que lista os convites da turma e o registro de uso,
+ *   com as ações de revogar e gerar um novo código;
  * - O componente padrão exportado `InviteModal` que renderiza o modal completo.
  *
  * Notas de design:
@@ -53,7 +55,7 @@ import requestData from "../../../utils/requestApi"
  * - copyLink(): copia o link gerado para a área de transferência
  * - reset(): limpa estado e volta aos valores padrão
  */
-const useInviteGenerator = (classId) => {
+const useInviteGenerator = (classId, onGenerated) => {
   const [form, setForm] = useState({
     expires: "1440",
     customExpiresValue: "1",
@@ -125,8 +127,9 @@ const useInviteGenerator = (classId) => {
         if (resp?.success && resp.data?.success && resp.data?.data?.code) {
         setInvite(resp.data.data);
         await copyToClipboard(resp.data.data.code, true);
+        if (onGenerated) onGenerated();
       } else {
-        setError(resp?.data?.message || reps?.message || "Ocorreu um erro.");
+        setError(resp?.data?.message || resp?.message || "Ocorreu um erro.");
       }
     } catch (e) {
       console.error("Erro de rede ao gerar convite:", e);
@@ -157,6 +160,63 @@ const useInviteGenerator = (classId) => {
   return { form, handleFormChange, loading, error, invite, copied, generate, copyCode, reset };
 };
 
+/**
+ * useInviteList
+ * Hook que carrega os convites da turma e o registro de quem usou cada código.
+ *
+ * @param {string|number} classId - Identificador da turma.
+ * @param {boolean} open - Os dados só são buscados com o modal aberto.
+ * @returns {Object} { invites, redemptions, selected, loading, busyId, error, refresh, revoke, regenerate, selectInvite }
+ * - invites: convites com `status` (active | revoked | expired | exhausted)
+ * - redemptions: usos (aluno, código, data), filtrados por `selected` quando definido
+ * - revoke(id) / regenerate(id): ações sobre um convite; recarregam a lista
+ * - selectInvite(id|null): filtra o registro de uso por convite
+ */
+const useInviteList = (classId, open) => {
+  const [invites, setInvites] = useState([]);
+  const [redemptions, setRedemptions] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    if (!classId) return;
+    setLoading(true);
+    const query = selected ? `?invite_id=${selected}` : "";
+    const [invitesResp, redemptionsResp] = await Promise.all([
+      requestData(`/classes/${classId}/invites`, "GET", {}, true),
+      requestData(`/classes/${classId}/invites/redemptions${query}`, "GET", {}, true),
+    ]);
+    if (invitesResp?.success) setInvites(invitesResp.data?.data || []);
+    if (redemptionsResp?.success) setRedemptions(redemptionsResp.data?.data || []);
+    if (!invitesResp?.success || !redemptionsResp?.success) {
+      setError(invitesResp?.message || redemptionsResp?.message || "Não foi possível carregar os convites.");
+    }
+    setLoading(false);
+  }, [classId, selected]);
+
+  useEffect(() => {
+    if (open) refresh();
+  }, [open, refresh]);
+
+  const runAction = async (id, url, method) => {
+    setBusyId(id);
+    setError(null);
+    const resp = await requestData(url, method, {}, true);
+    if (!resp?.success) setError(resp?.data?.message || resp?.message || "Ocorreu um erro.");
+    setBusyId(null);
+    await refresh();
+    return resp?.success ? resp.data?.data : null;
+  };
+
+  const revoke = (id) => runAction(id, `/classes/${classId}/invites/${id}`, "DELETE");
+  const regenerate = (id) => runAction(id, `/classes/${classId}/invites/${id}/regenerate`, "POST");
+  const selectInvite = (id) => setSelected((prev) => (prev === id ? null : id));
+
+  return { invites, redemptions, selected, loading, busyId, error, refresh, revoke, regenerate, selectInvite };
+};
+
 /* ===== Componentes UI ===== */
 
 /**
@@ -334,6 +394,127 @@ const InviteResultDisplay = ({ invite, copied, onCopy }) => (
   </div>
 );
 
+const STATUS_LABELS = {
+  active: { label: "Ativo", className: "bg-emerald-500/10 text-emerald-300 border-emerald-500/30" },
+  revoked: { label: "Revogado", className: "bg-red-500/10 text-red-300 border-red-500/30" },
+  expired: { label: "Expirado", className: "bg-slate-500/10 text-slate-300 border-slate-500/30" },
+  exhausted: { label: "Esgotado", className: "bg-amber-500/10 text-amber-300 border-amber-500/30" },
+};
+
+/**
+ * InviteList
+ * Tabela com os convites da turma: situação, usos, validade e ações
+ * (copiar, revogar, gerar novo código e filtrar o registro de uso).
+ *
+ * @param {Object} props
+ * @param {Object[]} props.invites - Convites retornados por `GET /classes/:id/invites`
+ * @param {number|null} props.selected - Convite usado como filtro do registro de uso
+ * @param {number|null} props.busyId - Convite com ação em andamento
+ * @param {function} props.onCopy - Copia o código informado
+ * @param {function} props.onRevoke - Revoga o convite informado
+ * @param {function} props.onRegenerate - Gera um novo código no lugar do convite
+ * @param {function} props.onSelect - Alterna o filtro do registro de uso
+ */
+const InviteList = ({ invites, selected, busyId, onCopy, onRevoke, onRegenerate, onSelect }) => {
+  if (invites.length === 0) {
+    return <p className="text-sm text-slate-400">Nenhum convite gerado para esta turma.</p>;
+  }
+
+  return (
+    <ul className="space-y-2">
+      {invites.map((inv) => {
+        const status = STATUS_LABELS[inv.status] || STATUS_LABELS.expired;
+        const permanent = new Date(inv.expires_at).getFullYear() - new Date().getFullYear() > 50;
+        return (
+          <li
+            key={inv.id}
+            className={`rounded-lg border p-3 text-sm ${selected === inv.id ? "border-indigo-500 bg-indigo-500/5" : "border-slate-700 bg-slate-800/40"}`}
+          >
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <div className="flex items-center gap-2">
+                <span className="font-mono tracking-widest text-slate-100">{inv.code}</span>
+                <span className={`px-2 py-0.5 rounded-full border text-xs ${status.className}`}>{status.label}</span>
+              </div>
+              <div className="flex items-center gap-1">
+                <button onClick={() => onCopy(inv.code)} title="Copiar" className="p-1.5 rounded-md text-slate-300 hover:bg-slate-700">
+                  <Copy className="w-4 h-4" />
+                </button>
+                <button onClick={() => onSelect(inv.id)} title="Ver quem usou" className="p-1.5 rounded-md text-slate-300 hover:bg-slate-700">
+                  <History className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => onRegenerate(inv.id)}
+                  disabled={busyId === inv.id}
+                  title="Gerar novo código"
+                  className="p-1.5 rounded-md text-slate-300 hover:bg-slate-700 disabled:opacity-50"
+                >
+                  <RefreshCw className={`w-4 h-4 ${busyId === inv.id ? "animate-spin" : ""}`} />
+                </button>
+                {inv.status !== "revoked" && (
+                  <button
+                    onClick={() => onRevoke(inv.id)}
+                    disabled={busyId === inv.id}
+                    title="Revogar"
+                    className="p-1.5 rounded-md text-red-300 hover:bg-red-900/40 disabled:opacity-50"
+                  >
+                    <Ban className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            </div>
+            <div className="mt-2 flex flex-wrap gap-x-4 gap-y-1 text-xs text-slate-400">
+              <span>Usos: {inv.use_count}{inv.max_uses ? ` / ${inv.max_uses}` : " (sem limite)"}</span>
+              <span>{permanent ? "Não expira" : `Expira em: ${new Date(inv.expires_at).toLocaleString("pt-BR")}`}</span>
+              {inv.revoked_at && <span>Revogado em: {new Date(inv.revoked_at).toLocaleString("pt-BR")}</span>}
+              {inv.created_by_name && <span>Criado por: {inv.created_by_name}</span>}
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+/**
+ * RedemptionLog
+ * Registro de uso dos convites: aluno, código usado, data e situação da matrícula.
+ *
+ * @param {Object} props
+ * @param {Object[]} props.redemptions - Retorno de `GET /classes/:id/invites/redemptions`
+ */
+const RedemptionLog = ({ redemptions }) => {
+  if (redemptions.length === 0) {
+    return <p className="text-sm text-slate-400">Nenhum aluno usou estes convites ainda.</p>;
+  }
+
+  return (
+    <div className="max-h-56 overflow-y-auto rounded-lg border border-slate-700">
+      <table className="w-full text-left text-xs">
+        <thead className="bg-slate-800 text-slate-300 sticky top-0">
+          <tr>
+            <th className="px-3 py-2">Aluno</th>
+            <th className="px-3 py-2">Código</th>
+            <th className="px-3 py-2">Data</th>
+            <th className="px-3 py-2">Situação</th>
+          </tr>
+        </thead>
+        <tbody>
+          {redemptions.map((r) => (
+            <tr key={r.id} className="border-t border-slate-700/60 text-slate-300">
+              <td className="px-3 py-2">{r.username}</td>
+              <td className="px-3 py-2 font-mono">{r.code}</td>
+              <td className="px-3 py-2">{new Date(r.redeemed_at).toLocaleString("pt-BR")}</td>
+              <td className="px-3 py-2">
+                {r.enrolled ? "Matriculado" : r.status === "waitlisted" ? "Lista de espera" : "Removido"}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
 /* ===== Componente principal exportado ===== */
 
 export default function InviteModal({ open, onClose, classId }) {
@@ -343,7 +524,16 @@ export default function InviteModal({ open, onClose, classId }) {
    * - onClose: callback quando o modal deve ser fechado
    * - classId: id (string|number) da turma para a qual o convite será gerado
    */
-  const { form, handleFormChange, loading, error, invite, copied, generate, copyCode, reset } = useInviteGenerator(classId);
+  const list = useInviteList(classId, open);
+  const { form, handleFormChange, loading, error, invite, copied, generate, copyCode, reset } = useInviteGenerator(classId, list.refresh);
+
+  const copyListCode = async (code) => {
+    try {
+      await navigator.clipboard.writeText(code);
+    } catch {
+      // cópia indisponível (ex: contexto sem HTTPS); o código continua visível na lista
+    }
+  };
 
   useEffect(() => {
     const handleKeyDown = (event) => {
@@ -361,7 +551,7 @@ export default function InviteModal({ open, onClose, classId }) {
     <div className="fixed inset-0 z-50 flex items-center justify-center p-4" role="dialog" aria-modal="true">
       <div className="absolute inset-0 bg-black/70 backdrop-blur-sm" onClick={onClose} />
 
-      <div className="relative z-10 bg-linear-to-br from-slate-900 to-slate-800 border border-slate-700 rounded-2xl p-6 w-full max-w-lg shadow-2xl">
+      <div className="relative z-10 bg-linear-to-br from-slate-900 to-slate-800 border border-slate-700 rounded-2xl p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto shadow-2xl">
         {/* Cabeçalho */}
         <div className="flex justify-between items-center mb-6">
           <div className="flex items-center gap-3">
@@ -432,6 +622,27 @@ export default function InviteModal({ open, onClose, classId }) {
           {/* Resultados */}
           {error && <div className="text-sm text-center text-red-400 p-3 bg-red-900/50 border border-red-500/20 rounded-md">{error}</div>}
           {invite && <InviteResultDisplay invite={invite} copied={copied} onCopy={copyCode} />}
+
+          <ConfigSection title="Convites da turma">
+            {list.error && <div className="text-sm text-red-400">{list.error}</div>}
+            {list.loading && list.invites.length === 0 ? (
+              <p className="text-sm text-slate-400">Carregando convites...</p>
+            ) : (
+              <InviteList
+                invites={list.invites}
+                selected={list.selected}
+                busyId={list.busyId}
+                onCopy={copyListCode}
+                onRevoke={list.revoke}
+                onRegenerate={list.regenerate}
+                onSelect={list.selectInvite}
+              />
+            )}
+          </ConfigSection>
+
+          <ConfigSection title={list.selected ? "Quem usou este convite" : "Quem usou os convites"}>
+            <RedemptionLog redemptions={list.redemptions} />
+          </ConfigSection>
         </div>
       </div>
     </div>
@@ -0,0 +1,307 @@
+import { useState, useEffect } from "react";
+import { Loader2, AlertTriangle, BarChart3, RefreshCw, History } from "lucide-react";
+import requestData from "../../../utils/requestApi";
+import RichText from "../../form/RichText";
+
+/**
+ * ItemStatistics.jsx
+ * Aba de estatísticas do simulado, exibida ao lado da correção (ResponseList).
+ *
+ * Mostra, a partir de `GET /form/:id/statistics`:
+ * - Média, desvio padrão e histograma das notas (faixas de 10%);
+ * - Por questão: percentual de acerto, índice de discriminação (27% melhores x 27% piores)
+ *   e a frequência de cada opção, destacando o gabarito;
+ * - Alertas para questões possivelmente ambíguas ou com gabarito errado
+ *   (discriminação negativa ou distrator mais escolhido que a resposta correta).
+ *
+ * Depois de corrigir o gabarito, o professor pode recorrigir o simulado inteiro ou uma
+ * questão da versão atual (`POST /form/:id/regrade`); o histórico de recorreções, com as
+ * notas antes e depois, vem de `GET /form/:id/regrades`.
+ *
+ * Uso básico:
+ * <ItemStatistics formId={3} />
+ *
+ * @param {Object} props
+ * @param {number|string} props.formId - Formulário analisado.
+ */
+
+const FLAG_LABELS = {
+  negative_discrimination: "Discriminação negativa: alunos com notas menores acertam mais. Verifique o gabarito.",
+  low_discrimination: "Baixa discriminação: a questão diferencia pouco os alunos.",
+  distractor_beats_key: "Uma alternativa incorreta foi mais escolhida que o gabarito.",
+  pending_correction: "Há respostas aguardando correção; os números podem mudar.",
+};
+
+const format = (value, suffix = "") =>
+  value === null || value === undefined
+    ? "—"
+    : `${Number(value).toLocaleString("pt-BR", { maximumFractionDigits: 2 })}${suffix}`;
+
+const discriminationColor = (value) => {
+  if (value === null) return "text-slate-400";
+  if (value < 0) return "text-red-400";
+  if (value < 0.2) return "text-amber-300";
+  return "text-emerald-300";
+};
+
+const Histogram = ({ bins }) => {
+  const max = Math.max(1, ...bins.map((b) => b.count));
+  return (
+    <div className="flex items-end gap-1 h-32">
+      {bins.map((bin) => (
+        <div key={bin.from} className="flex-1 flex flex-col items-center justify-end h-full">
+          <span className="text-[10px] text-slate-400 mb-1">{bin.count || ""}</span>
+          <div
+            className="w-full rounded-t bg-yellow-400/80"
+            style={{ height: `${(bin.count / max) * 100}%` }}
+            title={`${bin.from}–${bin.to}%: ${bin.count} aluno(s)`}
+          />
+          <span className="text-[10px] text-slate-500 mt-1">{bin.from}%</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const RegradeHistory = ({ regrades }) => {
+  if (regrades.length === 0) return null;
+  return (
+    <section className="bg-slate-800/50 border border-white/10 rounded-2xl p-5">
+      <div className="flex items-center gap-2 mb-4">
+        <History className="w-5 h-5 text-yellow-400" />
+        <h2 className="font-bold text-white">Histórico de recorreções</h2>
+      </div>
+      <ul className="space-y-3 text-sm">
+        {regrades.map((run) => (
+          <li key={run.id} className="border-t border-white/5 pt-3 first:border-0 first:pt-0">
+            <p className="text-slate-300">
+              {new Date(run.created_at).toLocaleString("pt-BR")} · {run.regraded_by || "Sistema"} ·{" "}
+              {run.question_id ? `questão: ${run.question_text || run.question_id}` : "simulado inteiro"}
+            </p>
+            <p className="text-slate-500">
+              {run.submissions} envio(s) avaliados, {run.changed} alterado(s), {run.students_changed} aluno(s) com nota alterada
+            </p>
+            {run.changes.length > 0 && (
+              <ul className="mt-1 space-y-0.5">
+                {run.changes.map((change) => (
+                  <li key={`${run.id}-${change.attempt_id}-${change.student_id}`} className="text-slate-400">
+                    {change.username}: {format(change.points_before)} → {" "}
+                    <span className="text-yellow-400">{format(change.points_after)}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+};
+
+export default function ItemStatistics({ formId }) {
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [regrades, setRegrades] = useState([]);
+  const [regrading, setRegrading] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    async function fetchStatistics() {
+      setLoading(true);
+      const response = await requestData(`/form/${formId}/statistics`, "GET", {}, true);
+      if (response.success) {
+        setStats(response.data.statistics);
+        setError(null);
+      } else {
+        setError(response.message || "Não foi possível carregar as estatísticas.");
+      }
+      setLoading(false);
+    }
+    async function fetchRegrades() {
+      const response = await requestData(`/form/${formId}/regrades`, "GET", {}, true);
+      if (response.success) setRegrades(response.data.regrades);
+    }
+    fetchStatistics();
+    fetchRegrades();
+  }, [formId, refreshKey]);
+
+  const regrade = async (questionId = null) => {
+    const target = questionId ? "esta questão" : "todo o simulado";
+    if (!window.confirm(`Recorrigir ${target} com o gabarito atual? As notas dos alunos podem mudar.`)) return;
+    setRegrading(questionId ?? "form");
+    setMessage(null);
+    const response = await requestData(
+      `/form/${formId}/regrade`,
+      "POST",
+      questionId ? { question_id: questionId } : {},
+      true
+    );
+    setRegrading(null);
+    if (response.success) {
+      setMessage({ ok: true, text: response.message });
+      setRefreshKey((k) => k + 1);
+    } else {
+      setMessage({ ok: false, text: response.message || "Não foi possível recorrigir o simulado." });
+    }
+  };
+
+  if (loading && !stats) {
+    return (
+      <div className="flex items-center justify-center py-16 text-slate-400">
+        <Loader2 className="w-6 h-6 mr-2 animate-spin" />
+        Calculando estatísticas...
+      </div>
+    );
+  }
+
+  if (error || !stats) {
+    return <p className="text-center text-red-400 py-16">{error}</p>;
+  }
+
+  if (stats.submissions === 0) {
+    return <p className="text-center text-slate-400 py-16">Nenhum envio para analisar ainda.</p>;
+  }
+
+  const currentVersion = Math.max(...stats.questions.map((q) => q.version));
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+        <p className={`text-sm ${message?.ok ? "text-emerald-300" : "text-red-400"}`}>{message?.text}</p>
+        <button
+          type="button"
+          onClick={() => regrade()}
+          disabled={regrading !== null}
+          className="flex items-center justify-center gap-2 px-4 py-2 rounded-lg text-sm font-semibold bg-yellow-400 text-black hover:bg-yellow-500 disabled:opacity-50"
+        >
+          {regrading === "form" ? <Loader2 className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
+          Recorrigir simulado
+        </button>
+      </div>
+
+      {/* Resumo das notas */}
+      <section className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="bg-slate-800/50 border border-white/10 rounded-2xl p-5 grid grid-cols-2 gap-4 content-start">
+          <div>
+            <p className="text-sm text-slate-400">Envios</p>
+            <p className="text-2xl font-bold text-white">{stats.submissions}</p>
+          </div>
+          <div>
+            <p className="text-sm text-slate-400">Pontuação máxima</p>
+            <p className="text-2xl font-bold text-white">{format(stats.max_points)}</p>
+          </div>
+          <div>
+            <p className="text-sm text-slate-400">Média</p>
+            <p className="text-2xl font-bold text-yellow-400">{format(stats.mean)}</p>
+          </div>
+          <div>
+            <p className="text-sm text-slate-400">Desvio padrão</p>
+            <p className="text-2xl font-bold text-white">{format(stats.std_dev)}</p>
+          </div>
+        </div>
+        <div className="lg:col-span-2 bg-slate-800/50 border border-white/10 rounded-2xl p-5">
+          <div className="flex items-center gap-2 mb-4">
+            <BarChart3 className="w-5 h-5 text-yellow-400" />
+            <h2 className="font-bold text-white">Distribuição das notas (% da pontuação máxima)</h2>
+          </div>
+          <Histogram bins={stats.histogram} />
+        </div>
+      </section>
+
+      {/* Questões */}
+      <section className="space-y-4">
+        {stats.questions.map((question, index) => (
+          <article key={question.question_id} className="bg-slate-800/50 border border-white/10 rounded-2xl p-5">
+            <div className="flex flex-col md:flex-row md:items-start justify-between gap-4">
+              <div className="min-w-0">
+                <p className="text-xs text-slate-500 mb-1">
+                  Questão {index + 1} · {format(question.points)} pts · versão {question.version}
+                </p>
+                <RichText text={question.text} className="text-slate-100" />
+                {question.type !== "aberta" && question.version === currentVersion && (
+                  <button
+                    type="button"
+                    onClick={() => regrade(question.question_id)}
+                    disabled={regrading !== null}
+                    className="mt-2 flex items-center gap-1.5 text-xs text-slate-400 hover:text-yellow-400 disabled:opacity-50"
+                  >
+                    {regrading === question.question_id ? (
+                      <Loader2 className="w-3.5 h-3.5 animate-spin" />
+                    ) : (
+                      <RefreshCw className="w-3.5 h-3.5" />
+                    )}
+                    Recorrigir questão
+                  </button>
+                )}
+              </div>
+              <div className="flex gap-6 shrink-0 text-sm">
+                <div>
+                  <p className="text-slate-400">Acerto</p>
+                  <p className="text-xl font-bold text-white">{format(question.percent_correct, "%")}</p>
+                </div>
+                <div>
+                  <p className="text-slate-400">Discriminação</p>
+                  <p className={`text-xl font-bold ${discriminationColor(question.discrimination)}`}>
+                    {format(question.discrimination)}
+                  </p>
+                </div>
+                <div>
+                  <p className="text-slate-400">Respostas</p>
+                  <p className="text-xl font-bold text-white">{question.responses}</p>
+                </div>
+              </div>
+            </div>
+
+            {question.options.length > 0 && (
+              <ul className="mt-4 space-y-2">
+                {question.options.map((option) => (
+                  <li key={option.option_id} className="text-sm">
+                    <div className="flex justify-between gap-3 mb-1">
+                      <span className={option.correct ? "text-emerald-300 font-semibold" : "text-slate-300"}>
+                        {option.correct && "✓ "}
+                        {option.text}
+                      </span>
+                      <span className="text-slate-400 shrink-0">
+                        {option.count} ({format(option.percent, "%")})
+                      </span>
+                    </div>
+                    <div className="w-full h-2 bg-slate-700 rounded-full overflow-hidden">
+                      <div
+                        className={`h-full rounded-full ${option.correct ? "bg-emerald-500" : "bg-slate-400"}`}
+                        style={{ width: `${option.percent}%` }}
+                      />
+                    </div>
+                  </li>
+                ))}
+                {question.omitted > 0 && (
+                  <li className="text-xs text-slate-500">Em branco: {question.omitted}</li>
+                )}
+              </ul>
+            )}
+
+            {question.type === "aberta" && (
+              <p className="mt-3 text-sm text-slate-400">
+                Nota média: {format(question.mean_score)} de {format(question.points)} pts
+              </p>
+            )}
+
+            {question.flags.length > 0 && (
+              <ul className="mt-4 space-y-1">
+                {question.flags.map((flag) => (
+                  <li key={flag} className="flex items-start gap-2 text-sm text-amber-300">
+                    <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0" />
+                    {FLAG_LABELS[flag] || flag}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </article>
+        ))}
+      </section>
+
+      <RegradeHistory regrades={regrades} />
+    </div>
+  );
+}
@@ -0,0 +1,223 @@
+import { useState, useEffect } from "react";
+import { X, Search, Check, Library, Tag } from "lucide-react";
+import requestData from "../../../utils/requestApi";
+import RichText from "../../form/RichText";
+
+/**
+ * QuestionBankModal.jsx
+ * Modal para pesquisar o banco de questões da disciplina e importar questões
+ * para o simulado em criação.
+ *
+ * Funcionalidades:
+ * - Pesquisa por trecho do enunciado, tema, dificuldade e tag (`GET /bank/subject/:subject_id`);
+ * - Exibe as estatísticas de uso de cada questão (simulados e % de acerto);
+ * - Permite selecionar várias questões e importá-las de uma vez.
+ *
+ * Uso básico:
+ * <QuestionBankModal open={true} subjectId={2} onClose={() => {}} onImport={(questions) => {}} />
+ *
+ * @param {Object} props
+ * @param {boolean} props.open - Controla a exibição do modal.
+ * @param {number} props.subjectId - Disciplina cujo banco será pesquisado.
+ * @param {Function} props.onClose - Fecha o modal.
+ * @param {Function} props.onImport - Recebe a lista de questões selecionadas.
+ */
+
+const difficulties = [
+  { value: "", label: "Todas as dificuldades" },
+  { value: "facil", label: "Fácil" },
+  { value: "media", label: "Média" },
+  { value: "dificil", label: "Difícil" },
+];
+
+const typeLabels = {
+  multipla_escolha: "Múltipla escolha",
+  "verdadeiro/falso": "Verdadeiro/Falso",
+  aberta: "Aberta",
+};
+
+export default function QuestionBankModal({ open, subjectId, onClose, onImport }) {
+  const [filters, setFilters] = useState({ search: "", topic: "", difficulty: "", tag: "" });
+  const [questions, setQuestions] = useState([]);
+  const [available, setAvailable] = useState({ topics: [], tags: [] });
+  const [selected, setSelected] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open || !subjectId) return;
+
+    async function fetchBank() {
+      setLoading(true);
+      setError(null);
+      const params = Object.fromEntries(Object.entries(filters).filter(([, v]) => v));
+      const response = await requestData(`/bank/subject/${subjectId}`, "GET", params, true);
+      if (response.success) {
+        setQuestions(response.data.questions || []);
+        setAvailable(response.data.filters || { topics: [], tags: [] });
+      } else {
+        setError(response.message || "Não foi possível carregar o banco de questões.");
+      }
+      setLoading(false);
+    }
+
+    const timer = setTimeout(fetchBank, 300);
+    return () => clearTimeout(timer);
+  }, [open, subjectId, filters]);
+
+  if (!open) return null;
+
+  const handleFilter = (field, value) => {
+    setFilters((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const toggle = (question) => {
+    setSelected((prev) =>
+      prev.some((q) => q.id === question.id)
+        ? prev.filter((q) => q.id !== question.id)
+        : [...prev, question]
+    );
+  };
+
+  const handleImport = () => {
+    onImport(selected);
+    setSelected([]);
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4">
+      <div className="w-full max-w-3xl max-h-[90vh] flex flex-col bg-slate-900 border border-white/10 rounded-2xl shadow-2xl text-white">
+        {/* Cabeçalho */}
+        <div className="flex items-center justify-between p-6 border-b border-white/10">
+          <div className="flex items-center gap-3">
+            <Library className="w-6 h-6 text-yellow-400" />
+            <h2 className="text-xl font-bold">Banco de questões</h2>
+          </div>
+          <button type="button" onClick={onClose} className="text-slate-300 hover:text-white">
+            <X />
+          </button>
+        </div>
+
+        {/* Filtros */}
+        <div className="grid grid-cols-1 sm:grid-cols-4 gap-3 p-6 border-b border-white/10">
+          <div className="sm:col-span-4 flex items-center gap-2 border border-white/10 rounded-lg px-3">
+            <Search className="w-4 h-4 text-slate-400" />
+            <input
+              type="text"
+              className="flex-1 bg-transparent py-2 text-white outline-none"
+              placeholder="Pesquisar no enunciado..."
+              value={filters.search}
+              onChange={(e) => handleFilter("search", e.target.value)}
+            />
+          </div>
+          <select
+            className="bg-slate-800 border border-white/10 rounded-lg px-3 py-2"
+            value={filters.topic}
+            onChange={(e) => handleFilter("topic", e.target.value)}
+          >
+            <option value="">Todos os temas</option>
+            {available.topics.map((topic) => (
+              <option key={topic} value={topic}>{topic}</option>
+            ))}
+          </select>
+          <select
+            className="bg-slate-800 border border-white/10 rounded-lg px-3 py-2"
+            value={filters.difficulty}
+            onChange={(e) => handleFilter("difficulty", e.target.value)}
+          >
+            {difficulties.map((d) => (
+              <option key={d.value} value={d.value}>{d.label}</option>
+            ))}
+          </select>
+          <select
+            className="sm:col-span-2 bg-slate-800 border border-white/10 rounded-lg px-3 py-2"
+            value={filters.tag}
+            onChange={(e) => handleFilter("tag", e.target.value)}
+          >
+            <option value="">Todas as tags</option>
+            {available.tags.map((tag) => (
+              <option key={tag} value={tag}>{tag}</option>
+            ))}
+          </select>
+        </div>
+
+        {/* Lista */}
+        <div className="flex-1 overflow-y-auto p-6 space-y-3">
+          {loading && <p className="text-center text-slate-400">Carregando questões...</p>}
+          {!loading && error && <p className="text-center text-red-400">{error}</p>}
+          {!loading && !error && questions.length === 0 && (
+            <p className="text-center text-slate-400">Nenhuma questão encontrada no banco desta disciplina.</p>
+          )}
+
+          {!loading && !error && questions.map((question) => {
+            const isSelected = selected.some((q) => q.id === question.id);
+            return (
+              <button
+                key={question.id}
+                type="button"
+                onClick={() => toggle(question)}
+                className={`w-full text-left p-4 rounded-xl border transition-all
+                  ${isSelected ? "border-yellow-400 bg-yellow-400/10" : "border-white/10 hover:bg-white/5"}
+                `}
+              >
+                <div className="flex items-start gap-3">
+                  <div
+                    className={`mt-1 w-5 h-5 flex-shrink-0 rounded border flex items-center justify-center
+                      ${isSelected ? "bg-yellow-400 border-yellow-400" : "border-white/30"}
+                    `}
+                  >
+                    {isSelected && <Check className="w-4 h-4 text-black" />}
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <RichText text={question.text} className="font-semibold" />
+                    <div className="flex flex-wrap gap-2 mt-2 text-xs">
+                      <span className="px-2 py-0.5 rounded-full bg-white/10">{typeLabels[question.type]}</span>
+                      <span className="px-2 py-0.5 rounded-full bg-white/10">{Number(question.points)} pts</span>
+                      {question.topic && (
+                        <span className="px-2 py-0.5 rounded-full bg-indigo-500/20 text-indigo-300">{question.topic}</span>
+                      )}
+                      {question.difficulty && (
+                        <span className="px-2 py-0.5 rounded-full bg-amber-500/20 text-amber-300">
+                          {difficulties.find((d) => d.value === question.difficulty)?.label}
+                        </span>
+                      )}
+                      {question.tags.map((tag) => (
+                        <span key={tag} className="px-2 py-0.5 rounded-full bg-emerald-500/20 text-emerald-300 flex items-center gap-1">
+                          <Tag className="w-3 h-3" /> {tag}
+                        </span>
+                      ))}
+                    </div>
+                    <p className="text-xs text-slate-400 mt-2">
+                      Usada em {question.forms} simulado(s) · {question.answers} resposta(s)
+                      {question.correct_rate !== null && ` · ${question.correct_rate}% de acerto`}
+                    </p>
+                  </div>
+                </div>
+              </button>
+            );
+          })}
+        </div>
+
+        {/* Rodapé */}
+        <div className="flex justify-end gap-3 p-6 border-t border-white/10">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-5 py-2 rounded-lg bg-white/5 hover:bg-white/10"
+          >
+            Cancelar
+          </button>
+          <button
+            type="button"
+            onClick={handleImport}
+            disabled={selected.length === 0}
+            className="px-5 py-2 rounded-lg font-bold bg-yellow-400 text-black hover:bg-yellow-500 disabled:opacity-50"
+          >
+            Importar ({selected.length})
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
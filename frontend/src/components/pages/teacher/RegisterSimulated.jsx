@@ -1,11 +1,13 @@
 import { useState, useRef, useEffect, useContext } from "react";
-import { Plus, X, Trash2, Check, FileText, ArrowLeft } from "lucide-react";
+import { Plus, X, Trash2, Check, FileText, ArrowLeft, Library, ArrowUp, ArrowDown, ImagePlus } from "lucide-react";
 import { Context } from "../../../context/UserContext"
 import requestData from "../../../utils/requestApi"
 import { useNavigate } from "react-router-dom"
 import useFlashMessage from "../../../hooks/useFlashMessage"
 import DateTimePicker from "../../form/DatePicker";
 import { useParams } from "react-router-dom";
+import QuestionBankModal from "./QuestionBankModal";
+import RichText, { QuestionImage } from "../../form/RichText";
 /**
  * AutoResizeTextarea
  *
@@ -31,6 +33,34 @@ const AutoResizeTextarea = (props) => {
   return <textarea ref={textareaRef} {...props} />;
 };
 
+/**
+ * ImageUploadButton
+ *
+ * Botão que abre o seletor de arquivos (PNG ou JPG) e repassa a imagem escolhida.
+ *
+ * Props:
+ * @param {function} onSelect - Recebe o `File` selecionado.
+ * @param {string} [label] - Texto exibido ao lado do ícone (omitido = só o ícone).
+ */
+const ImageUploadButton = ({ onSelect, label }) => (
+  <label
+    title="Anexar imagem"
+    className="flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm text-slate-300 hover:text-yellow-300 hover:bg-white/5 cursor-pointer transition"
+  >
+    <ImagePlus className="w-5 h-5" />
+    {label}
+    <input
+      type="file"
+      accept="image/png, image/jpeg"
+      className="hidden"
+      onChange={(e) => {
+        if (e.target.files[0]) onSelect(e.target.files[0]);
+        e.target.value = "";
+      }}
+    />
+  </label>
+);
+
 /**
  * tiposPergunta
  *
@@ -46,7 +76,35 @@ const questionTypes = [
   { value: "multipla_escolha", label: "Multipla escolha" },
   { value: "verdadeiro/falso", label: "Verdadeiro/Falso" },
   { value: "aberta", label: "Aberta" },
+  { value: "multipla_selecao", label: "Múltipla seleção" },
+  { value: "numerica", label: "Numérica" },
+  { value: "associacao", label: "Associação" },
+  { value: "ordenacao", label: "Ordenação" },
 ];
+
+/** Tipos corrigidos por resposta estruturada; não podem ser salvos no banco de questões. */
+const structuredTypes = ["multipla_selecao", "numerica", "associacao", "ordenacao"];
+
+/** Opções iniciais de cada tipo de questão ao trocar o tipo. */
+const initialOptions = (type) => {
+  if (type === "verdadeiro/falso") {
+    return [
+      { text: "Verdadeiro", correct: true },
+      { text: "Falso", correct: false },
+    ];
+  }
+  if (type === "associacao") {
+    return [
+      { text: "", match_text: "" },
+      { text: "", match_text: "" },
+    ];
+  }
+  if (type === "aberta" || type === "numerica") return [];
+  return [
+    { text: "", correct: false },
+    { text: "", correct: false },
+  ];
+};
 /**
  * CreateQuiz
  *
@@ -58,7 +116,17 @@ const questionTypes = [
  * - Em perguntas de múltipla escolha, gerencia opções e marcação de alternativa correta (single-choice).
  * - Em perguntas VF, fornece duas opções pré-definidas (Verdadeiro / Falso) e permite selecionar a correta.
  * - Em perguntas discursivas, exibe bloco informativo indicando que o aluno responderá em texto.
+ * - Múltipla seleção (várias corretas, pontuação parcial), numérica (resposta e tolerância),
+ *   associação (pares de colunas) e ordenação (itens cadastrados na ordem correta).
  * - Auto-resize para enunciados das questões via `AutoResizeTextarea`.
+ * - Enunciados e opções aceitam fórmulas ($...$ e $$...$$), código (`...` e ```...```),
+ *   **negrito** e *itálico*, com pré-visualização (`RichText`); imagens são enviadas a
+ *   `/form/images` e a questão guarda apenas o endereço retornado (`image_url`).
+ * - Importação de questões do banco da disciplina (`QuestionBankModal`); questões importadas
+ *   são enviadas com `bank_question_id` e apenas a pontuação pode ser alterada.
+ * - Opção "Salvar no banco de questões" (com tema, dificuldade e tags) para novas questões.
+ * - Sorteio por aluno: embaralhar questões, embaralhar opções e sortear N questões do total.
+ * - Política de tentativas: quantidade máxima (vazio = ilimitado) e critério de nota (melhor, última ou média).
  * - Simulação de envio (handleSubmit faz console.log e alert).
  *
  * Estado interno (useState):
@@ -91,6 +159,12 @@ export default function CreateQuiz() {
 
   const [errors, setErrors] = useState({});
   const [shake, setShake] = useState(false);
+  const [bankOpen, setBankOpen] = useState(false);
+  const [shuffleQuestions, setShuffleQuestions] = useState(false);
+  const [shuffleOptions, setShuffleOptions] = useState(false);
+  const [drawCount, setDrawCount] = useState("");
+  const [maxAttempts, setMaxAttempts] = useState("1");
+  const [scoreStrategy, setScoreStrategy] = useState("best");
 
   const [questions, setQuestions] = useState([
     {
@@ -135,6 +209,20 @@ export default function CreateQuiz() {
     ]);
   };
 
+  /** Import questions from the subject bank */
+  const importFromBank = (bankQuestions) => {
+    const imported = bankQuestions.map((q) => ({
+      bank_question_id: q.id,
+      text: q.text,
+      type: q.type,
+      points: Number(q.points),
+      image_url: q.image_url || null,
+      options: q.options.map((o) => ({ text: o.text, correct: o.correct, image_url: o.image_url || null })),
+    }));
+    const blank = questions.filter((q) => q.bank_question_id || q.text.trim());
+    setQuestions([...blank, ...imported]);
+  };
+
   /** Remove question */
   const removeQuestion = (index) => {
     setQuestions(questions.filter((_, i) => i !== index));
@@ -146,19 +234,12 @@ export default function CreateQuiz() {
     updated[index][field] = value;
 
     if (field === "type") {
-      if (value === "multipla_escolha") {
-        updated[index].options = [
-          { text: "", correct: false },
-          { text: "", correct: false },
-        ];
-      } else if (value === "verdadeiro/falso") {
-        updated[index].options = [
-          { text: "Verdadeiro", correct: true },
-          { text: "Falso", correct: false },
-        ];
-      } else {
-        updated[index].options = [];
+      updated[index].options = initialOptions(value);
+      if (value === "numerica") {
+        updated[index].numeric_answer = "";
+        updated[index].tolerance = "";
       }
+      if (structuredTypes.includes(value)) updated[index].save_to_bank = false;
     }
 
     setQuestions(updated);
@@ -169,7 +250,9 @@ export default function CreateQuiz() {
     const updated = [...questions];
     const question = updated[qIndex];
 
-    if (field === "correct") {
+    if (field === "correct" && question.type === "multipla_selecao") {
+      question.options[optIndex].correct = !question.options[optIndex].correct;
+    } else if (field === "correct") {
       question.options.forEach((op, i) => (op.correct = i === optIndex));
     } else {
       question.options[optIndex][field] = value;
@@ -180,7 +263,20 @@ export default function CreateQuiz() {
 
   const addOption = (qIndex) => {
     const updated = [...questions];
-    updated[qIndex].options.push({ text: "", correct: false });
+    updated[qIndex].options.push(
+      updated[qIndex].type === "associacao" ? { text: "", match_text: "" } : { text: "", correct: false }
+    );
+    setQuestions(updated);
+  };
+
+  /** Move um item de uma questão de ordenação (a ordem cadastrada é a resposta correta). */
+  const moveOption = (qIndex, optIndex, direction) => {
+    const target = optIndex + direction;
+    const updated = [...questions];
+    const options = [...updated[qIndex].options];
+    if (target < 0 || target >= options.length) return;
+    [options[optIndex], options[target]] = [options[target], options[optIndex]];
+    updated[qIndex].options = options;
     setQuestions(updated);
   };
 
@@ -192,6 +288,21 @@ export default function CreateQuiz() {
     setQuestions(updated);
   };
 
+  /** Envia a imagem de uma questão (optIndex = null) ou de uma opção e guarda o endereço. */
+  const attachImage = async (file, qIndex, optIndex = null) => {
+    const formData = new FormData();
+    formData.append("image", file);
+
+    const response = await requestData("/form/images", "POST", formData, true);
+    if (!response.success) {
+      setFlashMessage(response.message, "error");
+      return;
+    }
+
+    if (optIndex === null) updateQuestion(qIndex, "image_url", response.data.url);
+    else updateOption(qIndex, optIndex, "image_url", response.data.url);
+  };
+
   const handleTrueFalseSelect = (qIndex, correctOption) => {
     const updated = [...questions];
     updated[qIndex].options = [
@@ -217,6 +328,14 @@ export default function CreateQuiz() {
       newErrors.deadline = "Selecione uma data e hora limite";
     }
 
+    if (drawCount !== "" && (Number(drawCount) < 1 || Number(drawCount) > questions.length)) {
+      newErrors.drawCount = `Sorteie entre 1 e ${questions.length} questões.`;
+    }
+
+    if (maxAttempts !== "" && (Number(maxAttempts) < 1 || Number(maxAttempts) > 99)) {
+      newErrors.maxAttempts = "Defina entre 1 e 99 tentativas (ou deixe vazio para ilimitado).";
+    }
+
     questions.forEach((q, index) => {
       if (!q.text.trim()) {
         newErrors[`question_${index}`] = "A questão não pode estar vazia.";
@@ -227,10 +346,10 @@ export default function CreateQuiz() {
       }
 
       // opções
-      if (q.type === "multipla_escolha") {
-        if (q.options.some((op) => !op.text.trim())) {
+      if (q.type === "multipla_escolha" || q.type === "multipla_selecao") {
+        if (q.options.some((op) => !op.text.trim() && !op.image_url)) {
           newErrors[`options_${index}`] =
-            "Todas as opções devem estar preenchidas.";
+            "Todas as opções devem ter texto ou imagem.";
         }
 
         if (!q.options.some((op) => op.correct)) {
@@ -245,6 +364,18 @@ export default function CreateQuiz() {
             "Escolha entre Verdadeiro ou Falso.";
         }
       }
+
+      if (q.type === "numerica" && (q.numeric_answer === "" || isNaN(Number(q.numeric_answer)))) {
+        newErrors[`options_${index}`] = "Informe a resposta numérica.";
+      }
+
+      if (q.type === "associacao" && q.options.some((op) => !op.text.trim() || !op.match_text.trim())) {
+        newErrors[`options_${index}`] = "Todos os pares devem ter os dois lados preenchidos.";
+      }
+
+      if (q.type === "ordenacao" && q.options.some((op) => !op.text.trim())) {
+        newErrors[`options_${index}`] = "Todos os itens devem estar preenchidos.";
+      }
     });
 
     setErrors(newErrors);
@@ -275,9 +406,18 @@ export default function CreateQuiz() {
       class_id: class_id,
       subject_id: subjectId,
       created_by: user.id,
-      questions,
+      questions: questions.map(({ tagsText, ...q }) =>
+        q.save_to_bank
+          ? { ...q, tags: (tagsText || "").split(",").map((t) => t.trim()).filter(Boolean) }
+          : q
+      ),
       deadline,
       totalDuration,
+      shuffle_questions: shuffleQuestions,
+      shuffle_options: shuffleOptions,
+      draw_count: drawCount === "" ? null : Number(drawCount),
+      max_attempts: maxAttempts === "" ? null : Number(maxAttempts),
+      score_strategy: scoreStrategy,
     };
 
     const response = await requestData("/form/publish", "POST", data, true);
@@ -417,6 +557,79 @@ export default function CreateQuiz() {
               )}
             </div>
 
+            {/* Sorteio */}
+            <div className="mt-6 pt-4 border-t border-white/10 space-y-3">
+              <label className="font-semibold text-slate-200 block">
+                Sorteio por aluno
+              </label>
+              <label className="flex items-center gap-2 text-slate-300 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={shuffleQuestions}
+                  onChange={(e) => setShuffleQuestions(e.target.checked)}
+                />
+                Embaralhar a ordem das questões
+              </label>
+              <label className="flex items-center gap-2 text-slate-300 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={shuffleOptions}
+                  onChange={(e) => setShuffleOptions(e.target.checked)}
+                />
+                Embaralhar a ordem das opções
+              </label>
+              <div className="flex items-center gap-3 text-slate-300">
+                <span>Sortear</span>
+                <input
+                  type="number"
+                  min="1"
+                  max={questions.length}
+                  className={`w-24 bg-transparent border px-3 py-1.5 rounded-lg text-white
+                    ${errors.drawCount ? "border-red-500" : "border-white/10"}`}
+                  placeholder="Todas"
+                  value={drawCount}
+                  onChange={(e) => setDrawCount(e.target.value)}
+                />
+                <span>de {questions.length} questões para cada aluno</span>
+              </div>
+              {errors.drawCount && (
+                <p className="text-red-400 text-sm mt-1">{errors.drawCount}</p>
+              )}
+            </div>
+
+            {/* Tentativas */}
+            <div className="mt-6 pt-4 border-t border-white/10 space-y-3">
+              <label className="font-semibold text-slate-200 block">
+                Tentativas
+              </label>
+              <div className="flex flex-wrap items-center gap-3 text-slate-300">
+                <span>Até</span>
+                <input
+                  type="number"
+                  min="1"
+                  max="99"
+                  className={`w-24 bg-transparent border px-3 py-1.5 rounded-lg text-white
+                    ${errors.maxAttempts ? "border-red-500" : "border-white/10"}`}
+                  placeholder="Ilimitado"
+                  value={maxAttempts}
+                  onChange={(e) => setMaxAttempts(e.target.value)}
+                />
+                <span>tentativa(s) por aluno. Nota considerada:</span>
+                <select
+                  className="bg-slate-800 border border-white/10 rounded-lg px-3 py-1.5 text-white"
+                  value={scoreStrategy}
+                  onChange={(e) => setScoreStrategy(e.target.value)}
+                >
+                  <option value="best">Melhor tentativa</option>
+                  <option value="last">Última tentativa</option>
+                  <option value="average">Média das tentativas</option>
+                </select>
+              </div>
+              {errors.maxAttempts && (
+                <p className="text-red-400 text-sm mt-1">{errors.maxAttempts}</p>
+              )}
+            </div>
+
           </div>
 
           {/* QUESTÕES */}
@@ -431,8 +644,13 @@ export default function CreateQuiz() {
                 className="bg-slate-800/60 p-8 rounded-2xl shadow-lg border border-white/10"
               >
                 <div className="flex justify-between items-center mb-6">
-                  <h3 className="text-lg font-bold text-white">
+                  <h3 className="text-lg font-bold text-white flex items-center gap-3">
                     Questão {qIndex + 1}
+                    {question.bank_question_id && (
+                      <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-yellow-400/20 text-yellow-300 flex items-center gap-1">
+                        <Library className="w-3 h-3" /> Banco de questões
+                      </span>
+                    )}
                   </h3>
 
                   {questions.length > 1 && (
@@ -456,6 +674,7 @@ export default function CreateQuiz() {
                     }`}
                   placeholder="Digite a questão aqui..."
                   value={question.text}
+                  readOnly={!!question.bank_question_id}
                   onChange={(e) =>
                     updateQuestion(qIndex, "text", e.target.value)
                   }
@@ -468,6 +687,41 @@ export default function CreateQuiz() {
                   </p>
                 )}
 
+                {/* Imagem e pré-visualização do enunciado */}
+                {!question.bank_question_id && (
+                  <div className="mt-2 flex flex-wrap items-center justify-between gap-2">
+                    <p className="text-xs text-slate-400">
+                      Use $x^2$ para fórmulas, $$...$$ para fórmulas em destaque, `código` ou ```linguagem para blocos de código, **negrito** e *itálico*.
+                    </p>
+                    <ImageUploadButton
+                      label={question.image_url ? "Trocar imagem" : "Anexar imagem"}
+                      onSelect={(file) => attachImage(file, qIndex)}
+                    />
+                  </div>
+                )}
+
+                {(question.image_url || /[$`*]/.test(question.text)) && (
+                  <div className="mt-3 p-4 rounded-lg border border-white/10 bg-white/5 text-slate-200">
+                    <p className="text-xs font-semibold text-slate-400 mb-2">Pré-visualização</p>
+                    <RichText text={question.text} />
+                    {question.image_url && (
+                      <div className="mt-3 flex items-start gap-2">
+                        <QuestionImage src={question.image_url} />
+                        {!question.bank_question_id && (
+                          <button
+                            type="button"
+                            title="Remover imagem"
+                            onClick={() => updateQuestion(qIndex, "image_url", null)}
+                            className="text-slate-300 hover:text-red-400"
+                          >
+                            <X />
+                          </button>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                )}
+
                 {/* Pontos */}
                 <div className="mt-4 flex items-center gap-2">
                   <label className="font-semibold text-slate-200">
@@ -501,6 +755,7 @@ export default function CreateQuiz() {
                 )}
 
                 {/* Tipo */}
+                {!question.bank_question_id && (
                 <div className="mt-6">
                   <label className="block font-semibold text-slate-200 mb-2">
                     Tipo de Questão *
@@ -527,10 +782,31 @@ export default function CreateQuiz() {
                     ))}
                   </div>
                 </div>
+                )}
 
-                {/* MULTIPLA ESCOLHA */}
-                {question.type === "multipla_escolha" && (
+                {/* Questão importada: opções somente leitura */}
+                {question.bank_question_id && question.options.length > 0 && (
+                  <div className="mt-4 space-y-2">
+                    {question.options.map((op, i) => (
+                      <div
+                        key={i}
+                        className={`p-3 rounded-lg border ${op.correct ? "border-green-500 bg-green-500/10" : "border-white/10"}`}
+                      >
+                        <RichText text={op.text} />
+                        <QuestionImage src={op.image_url} alt="Imagem da opção" className="mt-2" />
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {/* MULTIPLA ESCOLHA / MULTIPLA SELEÇÃO */}
+                {!question.bank_question_id && (question.type === "multipla_escolha" || question.type === "multipla_selecao") && (
                   <div className="mt-4 space-y-3">
+                    {question.type === "multipla_selecao" && (
+                      <p className="text-sm text-slate-400">
+                        Marque todas as opções corretas. Cada opção incorreta marcada pelo aluno desconta uma correta.
+                      </p>
+                    )}
 
                     {question.options.map((op, i) => (
                       <div
@@ -546,7 +822,7 @@ export default function CreateQuiz() {
                         <button
                           type="button"
                           onClick={() => updateOption(qIndex, i, "correct", true)}
-                          className={`w-6 h-6 rounded-full border flex items-center justify-center
+                          className={`w-6 h-6 ${question.type === "multipla_selecao" ? "rounded-md" : "rounded-full"} border flex items-center justify-center
                             ${
                               op.correct
                                 ? "bg-green-500 border-green-500"
@@ -575,6 +851,22 @@ export default function CreateQuiz() {
                           }
                         />
 
+                        {op.image_url ? (
+                          <div className="flex items-center gap-1">
+                            <img src={op.image_url} alt={`Imagem da opção ${i + 1}`} className="h-10 max-w-24 rounded object-contain" />
+                            <button
+                              type="button"
+                              title="Remover imagem"
+                              onClick={() => updateOption(qIndex, i, "image_url", null)}
+                              className="text-slate-300 hover:text-red-400"
+                            >
+                              <X className="w-4 h-4" />
+                            </button>
+                          </div>
+                        ) : (
+                          <ImageUploadButton onSelect={(file) => attachImage(file, qIndex, i)} />
+                        )}
+
                         {question.options.length > 2 && (
                           <button
                             type="button"
@@ -610,7 +902,7 @@ export default function CreateQuiz() {
                 )}
 
                 {/* VERDADEIRO / FALSO */}
-                {question.type === "verdadeiro/falso" && (
+                {!question.bank_question_id && question.type === "verdadeiro/falso" && (
                   <div className="flex gap-4 mt-4">
 
                     {["Verdadeiro", "Falso"].map((label) => (
@@ -633,6 +925,140 @@ export default function CreateQuiz() {
                   </div>
                 )}
 
+                {/* NUMÉRICA */}
+                {question.type === "numerica" && (
+                  <div className="mt-4 space-y-2">
+                    <div className="flex flex-wrap items-center gap-3 text-slate-300">
+                      <span>Resposta</span>
+                      <input
+                        type="number"
+                        step="any"
+                        className={`w-40 bg-transparent border px-3 py-2 rounded-lg text-white
+                          ${errors[`options_${qIndex}`] ? "border-red-500" : "border-white/10"}`}
+                        placeholder="Ex: 3.14"
+                        value={question.numeric_answer}
+                        onChange={(e) => updateQuestion(qIndex, "numeric_answer", e.target.value)}
+                      />
+                      <span>± tolerância</span>
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        className="w-32 bg-transparent border border-white/10 px-3 py-2 rounded-lg text-white"
+                        placeholder="0"
+                        value={question.tolerance}
+                        onChange={(e) => updateQuestion(qIndex, "tolerance", e.target.value)}
+                      />
+                    </div>
+                    {errors[`options_${qIndex}`] && (
+                      <p className="text-red-400 text-sm">{errors[`options_${qIndex}`]}</p>
+                    )}
+                  </div>
+                )}
+
+                {/* ASSOCIAÇÃO */}
+                {question.type === "associacao" && (
+                  <div className="mt-4 space-y-3">
+                    <p className="text-sm text-slate-400">
+                      Cadastre os pares corretos. O aluno verá a coluna da direita embaralhada.
+                    </p>
+                    {question.options.map((op, i) => (
+                      <div key={i} className="flex items-center gap-3">
+                        <input
+                          type="text"
+                          className="flex-1 bg-transparent border border-white/10 rounded-lg px-3 py-2 text-white"
+                          placeholder={`Item ${i + 1}`}
+                          value={op.text}
+                          onChange={(e) => updateOption(qIndex, i, "text", e.target.value)}
+                        />
+                        <span className="text-slate-500">↔</span>
+                        <input
+                          type="text"
+                          className="flex-1 bg-transparent border border-white/10 rounded-lg px-3 py-2 text-white"
+                          placeholder={`Par do item ${i + 1}`}
+                          value={op.match_text}
+                          onChange={(e) => updateOption(qIndex, i, "match_text", e.target.value)}
+                        />
+                        {question.options.length > 2 && (
+                          <button
+                            type="button"
+                            onClick={() => removeOption(qIndex, i)}
+                            className="text-slate-300 hover:text-red-400"
+                          >
+                            <X />
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                    {errors[`options_${qIndex}`] && (
+                      <p className="text-red-400 text-sm">{errors[`options_${qIndex}`]}</p>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => addOption(qIndex)}
+                      className="mt-2 flex items-center gap-2 text-yellow-400 hover:text-yellow-300"
+                    >
+                      <Plus /> Adicionar par
+                    </button>
+                  </div>
+                )}
+
+                {/* ORDENAÇÃO */}
+                {question.type === "ordenacao" && (
+                  <div className="mt-4 space-y-3">
+                    <p className="text-sm text-slate-400">
+                      Cadastre os itens na ordem correta. O aluno os receberá embaralhados.
+                    </p>
+                    {question.options.map((op, i) => (
+                      <div key={i} className="p-3 flex items-center gap-3 rounded-lg border border-white/10">
+                        <span className="w-6 text-center font-bold text-yellow-400">{i + 1}</span>
+                        <input
+                          type="text"
+                          className="flex-1 bg-transparent text-white"
+                          placeholder={`Item ${i + 1}`}
+                          value={op.text}
+                          onChange={(e) => updateOption(qIndex, i, "text", e.target.value)}
+                        />
+                        <button
+                          type="button"
+                          onClick={() => moveOption(qIndex, i, -1)}
+                          disabled={i === 0}
+                          className="text-slate-300 hover:text-yellow-400 disabled:opacity-30"
+                        >
+                          <ArrowUp className="w-4 h-4" />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => moveOption(qIndex, i, 1)}
+                          disabled={i === question.options.length - 1}
+                          className="text-slate-300 hover:text-yellow-400 disabled:opacity-30"
+                        >
+                          <ArrowDown className="w-4 h-4" />
+                        </button>
+                        {question.options.length > 2 && (
+                          <button
+                            type="button"
+                            onClick={() => removeOption(qIndex, i)}
+                            className="text-slate-300 hover:text-red-400"
+                          >
+                            <X />
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                    {errors[`options_${qIndex}`] && (
+                      <p className="text-red-400 text-sm">{errors[`options_${qIndex}`]}</p>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => addOption(qIndex)}
+                      className="mt-2 flex items-center gap-2 text-yellow-400 hover:text-yellow-300"
+                    >
+                      <Plus /> Adicionar item
+                    </button>
+                  </div>
+                )}
+
                 {/* ABERTA */}
                 {question.type === "aberta" && (
                   <div className="mt-4 p-4 text-center border border-white/10 rounded-lg bg-white/5">
@@ -640,11 +1066,62 @@ export default function CreateQuiz() {
                     O aluno escreverá a resposta.
                   </div>
                 )}
+
+                {/* Salvar no banco de questões */}
+                {!question.bank_question_id && !structuredTypes.includes(question.type) && (
+                  <div className="mt-6 pt-4 border-t border-white/10">
+                    <label className="flex items-center gap-2 text-slate-200 font-semibold cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={!!question.save_to_bank}
+                        onChange={(e) =>
+                          updateQuestion(qIndex, "save_to_bank", e.target.checked)
+                        }
+                      />
+                      Salvar no banco de questões da disciplina
+                    </label>
+
+                    {question.save_to_bank && (
+                      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mt-3">
+                        <input
+                          type="text"
+                          className="bg-transparent border border-white/10 rounded-lg px-3 py-2 text-white"
+                          placeholder="Tema (ex: Funções)"
+                          value={question.topic || ""}
+                          onChange={(e) =>
+                            updateQuestion(qIndex, "topic", e.target.value)
+                          }
+                        />
+                        <select
+                          className="bg-slate-800 border border-white/10 rounded-lg px-3 py-2 text-white"
+                          value={question.difficulty || ""}
+                          onChange={(e) =>
+                            updateQuestion(qIndex, "difficulty", e.target.value)
+                          }
+                        >
+                          <option value="">Dificuldade</option>
+                          <option value="facil">Fácil</option>
+                          <option value="media">Média</option>
+                          <option value="dificil">Difícil</option>
+                        </select>
+                        <input
+                          type="text"
+                          className="bg-transparent border border-white/10 rounded-lg px-3 py-2 text-white"
+                          placeholder="Tags separadas por vírgula"
+                          value={question.tagsText || ""}
+                          onChange={(e) =>
+                            updateQuestion(qIndex, "tagsText", e.target.value)
+                          }
+                        />
+                      </div>
+                    )}
+                  </div>
+                )}
               </div>
             ))}
 
             {/* Adicionar questão */}
-            <div className="flex justify-center">
+            <div className="flex justify-center gap-4 flex-wrap">
               <button
                 type="button"
                 onClick={addQuestion}
@@ -652,6 +1129,14 @@ export default function CreateQuiz() {
               >
                 <Plus /> Adicionar nova questão
               </button>
+              <button
+                type="button"
+                onClick={() => setBankOpen(true)}
+                disabled={!subjectId}
+                className="bg-white/5 text-yellow-300 border border-yellow-400/40 px-6 py-3 rounded-lg hover:bg-white/10 transition-all flex items-center gap-2 font-bold disabled:opacity-50"
+              >
+                <Library /> Importar do banco
+              </button>
             </div>
           </div>
 
@@ -668,6 +1153,13 @@ export default function CreateQuiz() {
 
         </form>
       </div>
+
+      <QuestionBankModal
+        open={bankOpen}
+        subjectId={subjectId}
+        onClose={() => setBankOpen(false)}
+        onImport={importFromBank}
+      />
     </div>
   );
 }
\ No newline at end of file
@@ -5,12 +5,16 @@ import {
   Circle,
   CheckCircle,     // Ícone melhorado para limpar
   Loader2,    // Ícone para o estado "salvando"
+  ListChecks,
+  BarChart3,
 } from "lucide-react"
 import { motion, AnimatePresence } from "framer-motion"
 import requestData from "../../../utils/requestApi"
 import { useParams, useNavigate } from "react-router-dom"
 import { Context } from "../../../context/UserContext"
 import useFlashMessage from "../../../hooks/useFlashMessage"
+import RubricEditorModal from "./RubricEditorModal"
+import ItemStatistics from "./ItemStatistics"
 
 /**
  * CorrigirSimulado
@@ -19,15 +23,21 @@ import useFlashMessage from "../../../hooks/useFlashMessage"
  * Fornece:
  * - Lista de alunos com status visual (pendente, correto, incorreto).
  * - Área de correção para leitura da resposta, marcação de correto/incorreto e comentário.
+ * - Questões com rubrica são avaliadas por critério (um nível por critério); sem rubrica,
+ *   o professor pode atribuir uma pontuação parcial ou definir a rubrica na hora.
  * - Botão com feedback visual para salvar comentários (estados: idle, saving, saved).
  * - Barra de progresso indicando quantas respostas já foram corrigidas.
  * - Modal com o resultado final (status + comentários) e opção de salvar/notificar alunos.
+ * - Aba "Estatísticas" (ItemStatistics) com a análise de itens do simulado.
  *
  * Estado gerenciado:
- * - correcao: { [id]: "correto" | "incorreto" } — map de marcações por id do aluno.
- * - comentarios: { [id]: string } — comentários por id do aluno.
+ * - correcao: { [answer_id]: number } — pontuação atribuída a cada resposta.
+ * - niveis: { [answer_id]: { [criterion_id]: level_id } } — níveis escolhidos na rubrica.
+ * - rubricas: { [question_id]: Object[] } — critérios e níveis das rubricas das questões.
+ * - comentarios: { [answer_id]: string } — comentários por resposta.
  * - alunoSelecionadoId: number — id do aluno atualmente aberto para correção.
  * - mostrarResultado: boolean — controla visibilidade do modal de resultado final.
+ * - aba: "correcao" | "estatisticas" — aba exibida.
  * - textoComentario: string — texto do comentário em edição.
  * - saveStatus: "idle" | "saving" | "saved" — estado do botão salvar, usado para animações e bloqueio.
  *
@@ -39,9 +49,13 @@ import useFlashMessage from "../../../hooks/useFlashMessage"
  */
 export default function CorrigirSimulado() {
   const [correcao, setCorrecao] = useState({});
+  const [niveis, setNiveis] = useState({});
+  const [rubricas, setRubricas] = useState({});
+  const [rubricaEditando, setRubricaEditando] = useState(null);
   const [comentarios, setComentarios] = useState({});
   const [alunoSelecionadoId, setAlunoSelecionadoId] = useState(null);
   const [mostrarResultado, setMostrarResultado] = useState(false);
+  const [aba, setAba] = useState("correcao");
   const { form_id } = useParams();
   const [form, setForm] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -55,6 +69,7 @@ export default function CorrigirSimulado() {
       console.log(response)
       if (response.success) {
         setForm(response.data.form);
+        setRubricas(response.data.rubrics || {});
         if (response.data.form.length > 0) {
           setAlunoSelecionadoId(response.data.form[0].user_id);
         }
@@ -72,8 +87,10 @@ export default function CorrigirSimulado() {
       };
     }
     acc[item.user_id].respostas.push({
+      answer_id: item.answer_id,
       question_id: item.question_id,
       question_text: item.question_text,
+      question_points: Number(item.question_points),
       open_answer: item.open_answer,
     });
     return acc;
@@ -81,57 +98,79 @@ export default function CorrigirSimulado() {
 
   const alunoSelecionado = form.find((r) => r.user_id === alunoSelecionadoId);
 
-  const marcarCorrecao = (userId, questionId, valor) => {
+  const marcarCorrecao = (answerId, pontos) => {
     setCorrecao((prev) => ({
       ...prev,
-      [`${userId}-${questionId}`]: valor, 
+      [answerId]: pontos,
     }));
   };
 
-  const salvarComentario = (userId, questionId, texto) => {
+  const escolherNivel = (resp, criterionId, levelId) => {
+    const escolhidos = { ...(niveis[resp.answer_id] || {}), [criterionId]: levelId };
+    setNiveis((prev) => ({ ...prev, [resp.answer_id]: escolhidos }));
+
+    // A nota só é definida quando todos os critérios foram avaliados
+    const criterios = rubricas[resp.question_id];
+    if (criterios.every((c) => escolhidos[c.id])) {
+      const soma = criterios.reduce(
+        (sum, c) => sum + c.levels.find((l) => l.id === escolhidos[c.id]).points,
+        0
+      );
+      marcarCorrecao(resp.answer_id, Math.min(soma, resp.question_points));
+    }
+  };
+
+  const salvarComentario = (answerId, texto) => {
     setComentarios((prev) => ({
       ...prev,
-      [`${userId}-${questionId}`]: texto,
+      [answerId]: texto,
     }));
   };
 
+  const salvarRubrica = (questionId, criterios) => {
+    setRubricas((prev) => ({ ...prev, [questionId]: criterios }));
+    // Notas dadas antes da rubrica passam a ser dadas pelos critérios
+    const respostas = form.filter((r) => r.question_id === questionId).map((r) => r.answer_id);
+    setCorrecao((prev) => Object.fromEntries(Object.entries(prev).filter(([id]) => !respostas.includes(Number(id)))));
+    setNiveis((prev) => Object.fromEntries(Object.entries(prev).filter(([id]) => !respostas.includes(Number(id)))));
+  };
+
+  const statusNota = (pontos, maximo) =>
+    pontos === undefined ? "Pendente"
+      : pontos >= maximo ? "correto"
+      : pontos > 0 ? "parcial"
+      : "incorreto";
 
-  const total = Object.keys(
-    Object.fromEntries(form.map((r) => [r.question_id, true]))
-  ).length;
-  const corrigidas = Object.keys(correcao).length;
+  const total = form.length;
+  const corrigidas = form.filter((r) => correcao[r.answer_id] !== undefined).length;
   const progresso = total > 0 ? Math.round((corrigidas / total) * 100) : 0;
 
-  const resultadoFinal = Object.values(alunosAgrupados).flatMap((aluno) =>
-    aluno.respostas.map((resp) => {
-      const key = `${Object.keys(alunosAgrupados).find(
-        (id) => alunosAgrupados[id].username === aluno.username
-      )}-${resp.question_id}`;
-      return {
-        aluno: aluno.username,
-        pergunta: resp.question_text,
-        resposta: resp.open_answer,
-        status: correcao[key] || "Pendente",
-        comentario: comentarios[key] || "—",
-      };
-    })
-  );
+  const resultadoFinal = form.map((resp) => {
+    const maximo = Number(resp.question_points);
+    return {
+      aluno: resp.username,
+      pergunta: resp.question_text,
+      resposta: resp.open_answer,
+      status: statusNota(correcao[resp.answer_id], maximo),
+      nota: correcao[resp.answer_id] !== undefined ? `${correcao[resp.answer_id]} / ${maximo}` : "—",
+      comentario: comentarios[resp.answer_id] || "—",
+    };
+  });
 
 
 
   async function handleSubmit() {
     try {
       const payload = form.map((resposta) => {
-      const key = `${resposta.user_id}-${resposta.question_id}`
-      const status = correcao[key] === "correto" ? true
-                   : correcao[key] === "incorreto" ? false
-                   : null
+      const nota = rubricas[resposta.question_id]
+        ? { scores: Object.entries(niveis[resposta.answer_id] || {}).map(([criterion_id, level_id]) => ({ criterion_id: Number(criterion_id), level_id })) }
+        : { points: correcao[resposta.answer_id] }
 
       return {
         answer_id: resposta.answer_id,
         teacher_id: user.id,
-        comment: comentarios[key] || "",
-        status, 
+        comment: comentarios[resposta.answer_id] || "",
+        ...nota,
       };
     });
 
@@ -170,8 +209,14 @@ export default function CorrigirSimulado() {
 
   if (!form.length) {
     return (
-      <div className="flex items-center justify-center min-h-screen text-slate-400">
-        Nenhuma resposta aberta encontrada para este formulário.
+      <div className="min-h-screen bg-linear-to-br from-gray-900 via-gray-800 to-gray-900 text-slate-200 font-sans p-4 sm:p-6 lg:p-8">
+        <div className="max-w-7xl mx-auto">
+          <header className="mb-8">
+            <h1 className="text-3xl font-bold text-white">Estatísticas do Simulado</h1>
+            <p className="text-sm text-slate-400 mt-2">Nenhuma resposta aberta aguardando correção.</p>
+          </header>
+          <ItemStatistics formId={form_id} />
+        </div>
       </div>
     );
   }
@@ -205,125 +250,228 @@ export default function CorrigirSimulado() {
           </div>
         </header>
 
-        {/* Barra de progresso */}
-        <div className="mb-8">
-          <div className="flex justify-between text-sm text-slate-400 mb-2">
-            <span>Progresso</span>
-            <span className="font-semibold text-slate-200">
-              {corrigidas} de {total} corrigidas
-            </span>
-          </div>
-          <div className="w-full h-2.5 bg-slate-700 rounded-full overflow-hidden">
-            <motion.div
-              initial={{ width: 0 }}
-              animate={{ width: `${progresso}%` }}
-              transition={{ duration: 0.6, ease: "easeInOut" }}
-              className="h-full bg-green-500 rounded-full"
-            />
+        {/* Abas */}
+        <nav className="flex gap-2 mb-8 border-b border-white/10">
+          {[
+            { id: "correcao", label: "Correção", icon: <ListChecks className="w-4 h-4" /> },
+            { id: "estatisticas", label: "Estatísticas", icon: <BarChart3 className="w-4 h-4" /> },
+          ].map(({ id, label, icon }) => (
+            <button
+              key={id}
+              onClick={() => setAba(id)}
+              className={`flex items-center gap-2 px-4 py-2.5 text-sm font-semibold border-b-2 -mb-px transition-colors ${
+                aba === id
+                  ? "border-yellow-400 text-yellow-400"
+                  : "border-transparent text-slate-400 hover:text-slate-200"
+              }`}
+            >
+              {icon}
+              {label}
+            </button>
+          ))}
+        </nav>
+
+        {aba === "correcao" ? (
+          <>
+          {/* Barra de progresso */}
+          <div className="mb-8">
+            <div className="flex justify-between text-sm text-slate-400 mb-2">
+              <span>Progresso</span>
+              <span className="font-semibold text-slate-200">
+                {corrigidas} de {total} corrigidas
+              </span>
+            </div>
+            <div className="w-full h-2.5 bg-slate-700 rounded-full overflow-hidden">
+              <motion.div
+                initial={{ width: 0 }}
+                animate={{ width: `${progresso}%` }}
+                transition={{ duration: 0.6, ease: "easeInOut" }}
+                className="h-full bg-green-500 rounded-full"
+              />
+            </div>
           </div>
-        </div>
 
-        {/* Layout Principal */}
-        <main className="grid grid-cols-1 lg:grid-cols-3 gap-8">
-          {/* Lista de Alunos */}
-          <aside className="lg:col-span-1 bg-slate-800/60 border border-white/10 rounded-2xl p-4 self-start">
-            <h2 className="text-lg font-semibold text-white px-2 pb-2">Alunos</h2>
-            <div className="max-h-[60vh] overflow-y-auto space-y-2 pr-1">
-              {Object.entries(alunosAgrupados).map(([id, aluno]) => (
-                <button
-                  key={id}
-                  onClick={() => setAlunoSelecionadoId(parseInt(id))}
-                  className={`w-full text-left flex items-center gap-3 p-3 rounded-lg transition-colors ${
-                    alunoSelecionadoId === parseInt(id)
-                      ? "bg-slate-700"
-                      : "hover:bg-slate-700/50"
-                  }`}
-                >
-                  <Circle className="w-5 h-5 text-slate-500 shrink-0" />
-                  <span className="grow truncate text-white">{aluno.username}</span>
-                </button>
-              ))}
-            </div>
-          </aside>
-
-          {/* Área de Correção */}
-          <div className="lg:col-span-2">
-            <AnimatePresence mode="wait">
-              {alunoSelecionado && (
-                <motion.div
-                  key={alunoSelecionado.user_id}
-                  initial={{ opacity: 0, y: 20 }}
-                  animate={{ opacity: 1, y: 0 }}
-                  exit={{ opacity: 0, y: -20 }}
-                  transition={{ duration: 0.3 }}
-                  className="bg-slate-800/60 border border-white/10 rounded-2xl shadow-lg p-8"
-                >
-                  <h2 className="font-bold text-xl text-white mb-4">
-                    {alunoSelecionado.username}
-                  </h2>
-
-                  <div className="space-y-6">
-                    {alunosAgrupados[alunoSelecionadoId]?.respostas.map((resp, i) => (
-                      <div
-                        key={resp.question_id}
-                        className="bg-slate-900/50 p-5 rounded-lg border border-slate-700"
-                      >
-                        <p className="text-yellow-400 font-semibold mb-1">
-                          {resp.question_text}
-                        </p>
-                        <p className="text-slate-400 italic mb-4">
-                          {resp.open_answer}
-                        </p>
-
-                        {/* Botões de Correção */}
-                        <div className="flex gap-4 mb-4">
-                          <button
-                            onClick={() =>
-                              marcarCorrecao(alunoSelecionadoId, resp.question_id, "correto")
-                            }
-                            className={`flex-1 flex items-center justify-center gap-2 py-2 rounded-lg font-bold transition-all border-2 ${
-                              correcao[`${alunoSelecionadoId}-${resp.question_id}`] === "correto"
-                                ? "bg-green-500/10 border-green-500 text-green-400"
-                                : "bg-slate-700/50 border-slate-700 text-slate-300 hover:border-green-500"
-                            }`}
-                          >
-                            <Check size={18} /> Correto
-                          </button>
-
-                          <button
-                            onClick={() =>
-                              marcarCorrecao(alunoSelecionadoId, resp.question_id, "incorreto")
+          {/* Layout Principal */}
+          <main className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+            {/* Lista de Alunos */}
+            <aside className="lg:col-span-1 bg-slate-800/60 border border-white/10 rounded-2xl p-4 self-start">
+              <h2 className="text-lg font-semibold text-white px-2 pb-2">Alunos</h2>
+              <div className="max-h-[60vh] overflow-y-auto space-y-2 pr-1">
+                {Object.entries(alunosAgrupados).map(([id, aluno]) => (
+                  <button
+                    key={id}
+                    onClick={() => setAlunoSelecionadoId(parseInt(id))}
+                    className={`w-full text-left flex items-center gap-3 p-3 rounded-lg transition-colors ${
+                      alunoSelecionadoId === parseInt(id)
+                        ? "bg-slate-700"
+                        : "hover:bg-slate-700/50"
+                    }`}
+                  >
+                    <Circle className="w-5 h-5 text-slate-500 shrink-0" />
+                    <span className="grow truncate text-white">{aluno.username}</span>
+                  </button>
+                ))}
+              </div>
+            </aside>
+
+            {/* Área de Correção */}
+            <div className="lg:col-span-2">
+              <AnimatePresence mode="wait">
+                {alunoSelecionado && (
+                  <motion.div
+                    key={alunoSelecionado.user_id}
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    exit={{ opacity: 0, y: -20 }}
+                    transition={{ duration: 0.3 }}
+                    className="bg-slate-800/60 border border-white/10 rounded-2xl shadow-lg p-8"
+                  >
+                    <h2 className="font-bold text-xl text-white mb-4">
+                      {alunoSelecionado.username}
+                    </h2>
+
+                    <div className="space-y-6">
+                      {alunosAgrupados[alunoSelecionadoId]?.respostas.map((resp) => {
+                        const criterios = rubricas[resp.question_id];
+                        const nota = correcao[resp.answer_id];
+                        return (
+                        <div
+                          key={resp.answer_id}
+                          className="bg-slate-900/50 p-5 rounded-lg border border-slate-700"
+                        >
+                          <div className="flex items-start justify-between gap-4 mb-1">
+                            <p className="text-yellow-400 font-semibold">
+                              {resp.question_text}
+                            </p>
+                            <span className="shrink-0 text-sm font-semibold text-slate-300">
+                              {nota !== undefined ? nota : "—"} / {resp.question_points} pts
+                            </span>
+                          </div>
+                          <p className="text-slate-400 italic mb-4">
+                            {resp.open_answer}
+                          </p>
+
+                          {criterios ? (
+                            /* Correção por rubrica: um nível para cada critério */
+                            <div className="space-y-3 mb-4">
+                              {criterios.map((criterio) => (
+                                <div key={criterio.id}>
+                                  <p className="text-sm font-semibold text-white">
+                                    {criterio.title}
+                                    <span className="ml-2 text-xs font-normal text-slate-400">
+                                      até {criterio.max_points} pts
+                                    </span>
+                                  </p>
+                                  {criterio.description && (
+                                    <p className="text-xs text-slate-400">{criterio.description}</p>
+                                  )}
+                                  <div className="flex flex-wrap gap-2 mt-2">
+                                    {criterio.levels.map((nivel) => (
+                                      <button
+                                        key={nivel.id}
+                                        type="button"
+                                        title={nivel.description || undefined}
+                                        onClick={() => escolherNivel(resp, criterio.id, nivel.id)}
+                                        className={`px-3 py-1.5 rounded-lg text-sm font-semibold transition-all border-2 ${
+                                          niveis[resp.answer_id]?.[criterio.id] === nivel.id
+                                            ? "bg-yellow-400/10 border-yellow-400 text-yellow-300"
+                                            : "bg-slate-700/50 border-slate-700 text-slate-300 hover:border-yellow-400"
+                                        }`}
+                                      >
+                                        {nivel.label} · {nivel.points} pts
+                                      </button>
+                                    ))}
+                                  </div>
+                                </div>
+                              ))}
+                            </div>
+                          ) : (
+                            <>
+                              {/* Botões de Correção */}
+                              <div className="flex gap-4 mb-3">
+                                <button
+                                  onClick={() => marcarCorrecao(resp.answer_id, resp.question_points)}
+                                  className={`flex-1 flex items-center justify-center gap-2 py-2 rounded-lg font-bold transition-all border-2 ${
+                                    statusNota(nota, resp.question_points) === "correto"
+                                      ? "bg-green-500/10 border-green-500 text-green-400"
+                                      : "bg-slate-700/50 border-slate-700 text-slate-300 hover:border-green-500"
+                                  }`}
+                                >
+                                  <Check size={18} /> Correto
+                                </button>
+
+                                <button
+                                  onClick={() => marcarCorrecao(resp.answer_id, 0)}
+                                  className={`flex-1 flex items-center justify-center gap-2 py-2 rounded-lg font-bold transition-all border-2 ${
+                                    statusNota(nota, resp.question_points) === "incorreto"
+                                      ? "bg-red-500/10 border-red-500 text-red-400"
+                                      : "bg-slate-700/50 border-slate-700 text-slate-300 hover:border-red-500"
+                                  }`}
+                                >
+                                  <X size={18} /> Incorreto
+                                </button>
+                              </div>
+
+                              {/* Pontuação parcial */}
+                              <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+                                <label className="text-slate-300">Pontuação parcial:</label>
+                                <input
+                                  type="number"
+                                  min="0"
+                                  max={resp.question_points}
+                                  step="0.25"
+                                  value={nota ?? ""}
+                                  onChange={(e) => {
+                                    const valor = Math.min(Math.max(Number(e.target.value), 0), resp.question_points);
+                                    marcarCorrecao(resp.answer_id, e.target.value === "" ? undefined : valor);
+                                  }}
+                                  className="w-24 px-3 py-1.5 bg-slate-900/60 border border-slate-700 rounded-lg text-slate-100 outline-none focus:ring-2 focus:ring-indigo-500"
+                                />
+                                <button
+                                  type="button"
+                                  onClick={() => setRubricaEditando(resp)}
+                                  className="ml-auto flex items-center gap-1 text-yellow-400 hover:text-yellow-300"
+                                >
+                                  <ListChecks size={16} /> Definir rubrica
+                                </button>
+                              </div>
+                            </>
+                          )}
+
+                          {/* Comentário individual */}
+                          <textarea
+                            value={comentarios[resp.answer_id] || ""}
+                            onChange={(e) =>
+                              salvarComentario(resp.answer_id, e.target.value)
                             }
-                            className={`flex-1 flex items-center justify-center gap-2 py-2 rounded-lg font-bold transition-all border-2 ${
-                              correcao[`${alunoSelecionadoId}-${resp.question_id}`] === "incorreto"
-                                ? "bg-red-500/10 border-red-500 text-red-400"
-                                : "bg-slate-700/50 border-slate-700 text-slate-300 hover:border-red-500"
-                            }`}
-                          >
-                            <X size={18} /> Incorreto
-                          </button>
+                            className="w-full p-3 bg-slate-900/60 border border-slate-700 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 outline-none transition text-slate-100 placeholder:text-slate-400"
+                            placeholder="Adicione um comentário..."
+                            rows={3}
+                          />
                         </div>
-
-                        {/* Comentário individual */}
-                        <textarea
-                          value={comentarios[`${alunoSelecionadoId}-${resp.question_id}`] || ""}
-                          onChange={(e) =>
-                            salvarComentario(alunoSelecionadoId, resp.question_id, e.target.value)
-                          }
-                          className="w-full p-3 bg-slate-900/60 border border-slate-700 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 outline-none transition text-slate-100 placeholder:text-slate-400"
-                          placeholder="Adicione um comentário..."
-                          rows={3}
-                        />
-                      </div>
-                    ))}
-                  </div>
-                </motion.div>
-              )}
-            </AnimatePresence>
-          </div>
-        </main>
+                        );
+                      })}
+                    </div>
+                  </motion.div>
+                )}
+              </AnimatePresence>
+            </div>
+          </main>
+          </>
+        ) : (
+          <ItemStatistics formId={form_id} />
+        )}
       </div>
 
+      <RubricEditorModal
+        open={!!rubricaEditando}
+        formId={form_id}
+        question={rubricaEditando}
+        rubric={rubricaEditando ? rubricas[rubricaEditando.question_id] : null}
+        onClose={() => setRubricaEditando(null)}
+        onSaved={(criterios) => salvarRubrica(rubricaEditando.question_id, criterios)}
+      />
+
       {/* Modal Resultado */}
       <AnimatePresence>
         {mostrarResultado && (
@@ -367,6 +515,9 @@ export default function CorrigirSimulado() {
                       <th className="p-3 font-semibold text-slate-300">
                         Status
                       </th>
+                      <th className="p-3 font-semibold text-slate-300">
+                        Nota
+                      </th>
                       <th className="p-3 font-semibold text-slate-300">
                         Comentário
                       </th>
@@ -389,11 +540,14 @@ export default function CorrigirSimulado() {
                               ? "text-green-400"
                               : r.status === "incorreto"
                               ? "text-red-400"
+                              : r.status === "parcial"
+                              ? "text-amber-400"
                               : "text-slate-500"
                           }`}
                         >
                           {r.status}
                         </td>
+                        <td className="p-3 text-slate-300 whitespace-nowrap">{r.nota}</td>
                         <td className="p-3 italic text-slate-400">
                           {r.comentario}
                         </td>
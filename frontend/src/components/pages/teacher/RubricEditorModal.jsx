@@ -0,0 +1,238 @@
+import { useState, useEffect } from "react";
+import { X, Plus, Trash2, ListChecks, Loader2 } from "lucide-react";
+import requestData from "../../../utils/requestApi";
+
+/**
+ * RubricEditorModal.jsx
+ * Modal para definir a rubrica de correção de uma questão aberta.
+ *
+ * Funcionalidades:
+ * - Cadastro de critérios (título e descrição) com níveis de desempenho e pontuação;
+ * - Confere se a soma das maiores pontuações dos critérios é igual à pontuação da questão;
+ * - Salva a rubrica em `PUT /form/:id/questions/:question_id/rubric`.
+ *
+ * Uso básico:
+ * <RubricEditorModal open={true} formId={3} question={{ question_id: 10, question_text: "...", question_points: 2 }}
+ *   rubric={[]} onClose={() => {}} onSaved={(criteria) => {}} />
+ *
+ * @param {Object} props
+ * @param {boolean} props.open - Controla a exibição do modal.
+ * @param {number} props.formId - Formulário da questão.
+ * @param {Object} props.question - Questão (`question_id`, `question_text`, `question_points`).
+ * @param {Object[]} [props.rubric] - Critérios já cadastrados.
+ * @param {Function} props.onClose - Fecha o modal.
+ * @param {Function} props.onSaved - Recebe a rubrica gravada.
+ */
+
+const newCriterion = (points) => ({
+  title: "",
+  description: "",
+  levels: [
+    { label: "Insuficiente", points: 0 },
+    { label: "Completo", points },
+  ],
+});
+
+export default function RubricEditorModal({ open, formId, question, rubric, onClose, onSaved }) {
+  const [criteria, setCriteria] = useState([]);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open || !question) return;
+    setError(null);
+    setCriteria(
+      rubric && rubric.length > 0
+        ? rubric.map((c) => ({
+            title: c.title,
+            description: c.description || "",
+            levels: c.levels.map((l) => ({ label: l.label, points: l.points })),
+          }))
+        : [newCriterion(Number(question.question_points))]
+    );
+  }, [open, question, rubric]);
+
+  if (!open || !question) return null;
+
+  const questionPoints = Number(question.question_points);
+  const maxPoints = criteria.reduce(
+    (sum, c) => sum + Math.max(0, ...c.levels.map((l) => Number(l.points) || 0)),
+    0
+  );
+  const balanced = Math.round(maxPoints * 100) === Math.round(questionPoints * 100);
+
+  const updateCriterion = (index, field, value) => {
+    setCriteria((prev) => prev.map((c, i) => (i === index ? { ...c, [field]: value } : c)));
+  };
+
+  const updateLevel = (index, levelIndex, field, value) => {
+    setCriteria((prev) =>
+      prev.map((c, i) =>
+        i === index
+          ? { ...c, levels: c.levels.map((l, j) => (j === levelIndex ? { ...l, [field]: value } : l)) }
+          : c
+      )
+    );
+  };
+
+  const addLevel = (index) => {
+    setCriteria((prev) =>
+      prev.map((c, i) => (i === index ? { ...c, levels: [...c.levels, { label: "", points: 0 }] } : c))
+    );
+  };
+
+  const removeLevel = (index, levelIndex) => {
+    setCriteria((prev) =>
+      prev.map((c, i) => (i === index ? { ...c, levels: c.levels.filter((_, j) => j !== levelIndex) } : c))
+    );
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    const payload = criteria.map((c) => ({
+      title: c.title,
+      description: c.description || null,
+      levels: c.levels.map((l) => ({ label: l.label, points: Number(l.points) })),
+    }));
+    const response = await requestData(
+      `/form/${formId}/questions/${question.question_id}/rubric`,
+      "PUT",
+      { criteria: payload },
+      true
+    );
+    setSaving(false);
+    if (response.success) {
+      onSaved(response.data.rubric);
+      onClose();
+    } else {
+      setError(response.message || "Não foi possível salvar a rubrica.");
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4">
+      <div className="w-full max-w-3xl max-h-[90vh] flex flex-col bg-slate-900 border border-white/10 rounded-2xl shadow-2xl text-white">
+        {/* Cabeçalho */}
+        <div className="flex items-center justify-between p-6 border-b border-white/10">
+          <div className="flex items-center gap-3">
+            <ListChecks className="w-6 h-6 text-yellow-400" />
+            <div>
+              <h2 className="text-xl font-bold">Rubrica de correção</h2>
+              <p className="text-sm text-slate-400 line-clamp-1">{question.question_text}</p>
+            </div>
+          </div>
+          <button type="button" onClick={onClose} className="text-slate-300 hover:text-white">
+            <X />
+          </button>
+        </div>
+
+        {/* Critérios */}
+        <div className="flex-1 overflow-y-auto p-6 space-y-4">
+          {criteria.map((criterion, index) => (
+            <div key={index} className="p-4 rounded-xl border border-white/10 bg-slate-800/60 space-y-3">
+              <div className="flex items-center gap-3">
+                <input
+                  type="text"
+                  className="flex-1 bg-slate-900/60 border border-slate-700 rounded-lg px-3 py-2 outline-none focus:ring-2 focus:ring-yellow-400"
+                  placeholder="Critério (ex: Argumentação)"
+                  value={criterion.title}
+                  onChange={(e) => updateCriterion(index, "title", e.target.value)}
+                />
+                <button
+                  type="button"
+                  onClick={() => setCriteria((prev) => prev.filter((_, i) => i !== index))}
+                  disabled={criteria.length === 1}
+                  className="p-2 rounded-lg text-slate-400 hover:text-red-400 disabled:opacity-40"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+              <input
+                type="text"
+                className="w-full bg-slate-900/60 border border-slate-700 rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-yellow-400"
+                placeholder="Descrição (opcional)"
+                value={criterion.description}
+                onChange={(e) => updateCriterion(index, "description", e.target.value)}
+              />
+
+              <div className="space-y-2">
+                {criterion.levels.map((level, levelIndex) => (
+                  <div key={levelIndex} className="flex items-center gap-2">
+                    <input
+                      type="text"
+                      className="flex-1 bg-slate-900/60 border border-slate-700 rounded-lg px-3 py-1.5 text-sm outline-none"
+                      placeholder="Nível (ex: Parcial)"
+                      value={level.label}
+                      onChange={(e) => updateLevel(index, levelIndex, "label", e.target.value)}
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.25"
+                      className="w-24 bg-slate-900/60 border border-slate-700 rounded-lg px-3 py-1.5 text-sm outline-none"
+                      value={level.points}
+                      onChange={(e) => updateLevel(index, levelIndex, "points", e.target.value)}
+                    />
+                    <span className="text-xs text-slate-400">pts</span>
+                    <button
+                      type="button"
+                      onClick={() => removeLevel(index, levelIndex)}
+                      disabled={criterion.levels.length === 1}
+                      className="p-1.5 text-slate-400 hover:text-red-400 disabled:opacity-40"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  onClick={() => addLevel(index)}
+                  className="flex items-center gap-1 text-sm text-yellow-400 hover:text-yellow-300"
+                >
+                  <Plus className="w-4 h-4" /> Adicionar nível
+                </button>
+              </div>
+            </div>
+          ))}
+
+          <button
+            type="button"
+            onClick={() => setCriteria((prev) => [...prev, newCriterion(0)])}
+            className="w-full flex items-center justify-center gap-2 py-2 rounded-lg border border-dashed border-white/20 text-slate-300 hover:bg-white/5"
+          >
+            <Plus className="w-4 h-4" /> Adicionar critério
+          </button>
+        </div>
+
+        {/* Rodapé */}
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-6 border-t border-white/10">
+          <div className="text-sm">
+            <p className={balanced ? "text-green-400" : "text-amber-400"}>
+              Pontuação máxima da rubrica: {maxPoints} de {questionPoints} pts
+            </p>
+            {error && <p className="text-red-400 mt-1">{error}</p>}
+          </div>
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-5 py-2 rounded-lg bg-white/5 hover:bg-white/10"
+            >
+              Cancelar
+            </button>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={saving || !balanced}
+              className="flex items-center gap-2 px-5 py-2 rounded-lg font-bold bg-yellow-400 text-black hover:bg-yellow-500 disabled:opacity-50"
+            >
+              {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+              Salvar rubrica
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
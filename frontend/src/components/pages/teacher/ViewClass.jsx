@@ -12,10 +12,21 @@ import {
     PlusCircle,
     Link,
     ArrowLeft,
+    FileSpreadsheet,
+    Table,
+    LayoutGrid,
+    Megaphone,
+    MessagesSquare,
+    ClipboardList,
 } from "lucide-react";
-import { useNavigate, useParams } from "react-router-dom";
+import { useNavigate, useParams, useSearchParams } from "react-router-dom";
 import requestData from "../../../utils/requestApi";
 import InviteModal from "./InviteModal";
+import BulkEnrollmentModal from "./BulkEnrollmentModal";
+import GradebookGrid from "./GradebookGrid";
+import ClassAnnouncements from "../../class/ClassAnnouncements";
+import ClassDiscussions from "../../class/ClassDiscussions";
+import ClassAssignments from "../../class/ClassAssignments";
 import { Context } from "../../../context/UserContext"
 import useFlashMessage from "../../../hooks/useFlashMessage"
 
@@ -27,7 +38,13 @@ import useFlashMessage from "../../../hooks/useFlashMessage"
  * Responsabilidades principais:
  * - Buscar materiais da turma via API quando o componente é montado / id muda;
  * - Exibir cards para Alunos, Simulados e Materiais com paginação local;
+ * - Exibir a lista de espera da turma lotada (alunos promovidos ao remover um aluno);
  * - Abrir modal de geração de convites (InviteModal) para compartilhar link da turma;
+ * - Importar alunos em lote a partir de uma planilha (BulkEnrollmentModal);
+ * - Exibir o quadro de notas da turma (GradebookGrid), com exportação XLSX/CSV;
+ * - Abas de avisos (ClassAnnouncements), discussões (ClassDiscussions) e atividades com
+ *   entrega (ClassAssignments) da turma, selecionadas pela query `?tab=avisos|discussoes|atividades`
+ *   (usada pelos links das notificações);
  * - Navegar para rotas de cadastro de materiais e simulados.
  *
  * Observações:
@@ -111,6 +128,14 @@ const Pagination = ({ currentPage, totalPages, onPageChange }) => {
     );
 };
 
+/** Abas da página da turma (o `id` é o valor da query `tab`). */
+const TABS = [
+    { id: "geral", label: "Visão geral", icon: LayoutGrid },
+    { id: "avisos", label: "Avisos", icon: Megaphone },
+    { id: "discussoes", label: "Discussões", icon: MessagesSquare },
+    { id: "atividades", label: "Atividades", icon: ClipboardList },
+];
+
 /**
  * ViewClass (componente principal)
  *
@@ -132,12 +157,17 @@ const Pagination = ({ currentPage, totalPages, onPageChange }) => {
 export default function ViewClass() {
     const navigate = useNavigate();
     const { id } = useParams();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const tab = TABS.some(t => t.id === searchParams.get("tab")) ? searchParams.get("tab") : "geral";
 
     const [materials, setMaterials] = useState([])
     const [inviteOpen, setInviteOpen] = useState(false)
+    const [importOpen, setImportOpen] = useState(false)
+    const [studentsVersion, setStudentsVersion] = useState(0)
     const { user } = useContext(Context)
     const [form, setForm] = useState([])
     const [students, setStudents] = useState([])
+    const [waitlist, setWaitlist] = useState([])
     const [capacity, setCapacity] = useState(null)
     const [countStudents, setCountStudents] = useState(null)
     const { setFlashMessage } = useFlashMessage()
@@ -188,12 +218,13 @@ export default function ViewClass() {
             if (response && response.success) {
                 setStudents(response.data.students.students)
                 setCountStudents(response.data.students.total)
+                setWaitlist(response.data.waitlist || [])
             } else {
                 setStudents([])
             }
         }
         fetchStudents()
-    }, [id])
+    }, [id, studentsVersion])
 
 
     async function deleteMaterial(id) {
@@ -224,7 +255,13 @@ export default function ViewClass() {
         }
         const response = await requestData(`/classes/students/${student_id}`, 'DELETE', data, true)
         if (response.success) {
-            setStudents(prev => prev.filter(d => d.student_id !== student_id))
+            // Alunos da lista de espera que ocuparam a vaga liberada
+            const promoted = response.data.promoted || []
+            setStudents(prev => [
+                ...prev.filter(d => d.student_id !== student_id),
+                ...waitlist.filter(w => promoted.includes(w.student_id)).map(({ student_id, username }) => ({ student_id, username }))
+            ])
+            setWaitlist(prev => prev.filter(w => !promoted.includes(w.student_id)))
             setFlashMessage(response.data.message, 'success')
         }
         else {
@@ -338,6 +375,14 @@ export default function ViewClass() {
                             Gerar Convite
                         </button>
 
+                        <button
+                            onClick={() => setImportOpen(true)}
+                            className="px-5 py-2.5 rounded-lg text-sm font-semibold flex items-center gap-2 bg-white/5 hover:bg-white/10 transition-colors"
+                        >
+                            <FileSpreadsheet className="w-4 h-4 text-emerald-400" />
+                            Importar Alunos
+                        </button>
+
                         <button
                             className="px-5 py-2.5 rounded-lg text-sm font-semibold flex items-center gap-2 bg-linear-to-r from-yellow-400 to-yellow-500 hover:from-yellow-500 hover:to-yellow-600 text-gray-900 transition-colors shadow-lg shadow-yellow-400/20"
                             onClick={() => navigate(`/teacher/material/register/${id}`, { state: { origin: "class" } })}
@@ -355,7 +400,31 @@ export default function ViewClass() {
                     </div>
                 </header>
 
+                {/* Abas */}
+                <nav className="flex flex-wrap gap-2 mb-6 border-b border-white/10 pb-3">
+                    {TABS.map((item) => {
+                        const Icon = item.icon;
+                        return (
+                            <button
+                                key={item.id}
+                                onClick={() => setSearchParams(item.id === "geral" ? {} : { tab: item.id }, { replace: true })}
+                                className={`px-4 py-2 rounded-lg text-sm font-semibold flex items-center gap-2 transition-colors ${
+                                    tab === item.id ? "bg-white/10 text-white" : "text-slate-400 hover:text-white hover:bg-white/5"
+                                }`}
+                            >
+                                <Icon className="w-4 h-4" />
+                                {item.label}
+                            </button>
+                        );
+                    })}
+                </nav>
+
+                {tab === "avisos" && <ClassAnnouncements classId={id} canManage variant="dark" />}
+                {tab === "discussoes" && <ClassDiscussions classId={id} canModerate variant="dark" />}
+                {tab === "atividades" && <ClassAssignments classId={id} canManage variant="dark" />}
+
                 {/* Grid principal do Dashboard */}
+                {tab === "geral" && (
                 <main className="grid grid-cols-1 lg:grid-cols-3 gap-6">
 
                     {/* Card de Alunos (dados vindos da API) */}
@@ -392,6 +461,18 @@ export default function ViewClass() {
                             totalPages={getTotalPages(students)}
                             onPageChange={setPageAlunos}
                         />
+                        {waitlist.length > 0 && (
+                            <div className="mt-4 pt-4 border-t border-white/10">
+                                <p className="text-sm font-semibold text-amber-300 mb-2">
+                                    Lista de espera ({waitlist.length})
+                                </p>
+                                <ol className="space-y-1 text-sm text-slate-300 list-decimal list-inside">
+                                    {waitlist.map((aluno) => (
+                                        <li key={aluno.student_id}>{aluno.username}</li>
+                                    ))}
+                                </ol>
+                            </div>
+                        )}
                     </DashboardCard>
 
                     {/* Card de Simulados */}
@@ -507,12 +588,30 @@ export default function ViewClass() {
                         />
                     </DashboardCard>
 
+                    {/* Quadro de notas */}
+                    <DashboardCard
+                        title="Quadro de Notas"
+                        icon={<Table className="w-6 h-6 text-yellow-400" />}
+                        className="lg:col-span-3"
+                        delay={400}
+                    >
+                        <GradebookGrid classId={id} refreshKey={studentsVersion} />
+                    </DashboardCard>
 
                 </main>
+                )}
             </div>
 
             {/* Invite Modal */}
             <InviteModal open={inviteOpen} onClose={() => setInviteOpen(false)} classId={id} />
+
+            {/* Matrícula em lote */}
+            <BulkEnrollmentModal
+                open={importOpen}
+                classId={id}
+                onClose={() => setImportOpen(false)}
+                onImported={() => setStudentsVersion((v) => v + 1)}
+            />
         </div>
     );
 }
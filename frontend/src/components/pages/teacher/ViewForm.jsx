@@ -12,6 +12,7 @@ import { useParams, useNavigate } from "react-router-dom";
 import { ArrowLeft, CheckCircle, XCircle, Clock } from "lucide-react";
 import requestData from "../../../utils/requestApi";
 import formatDateRequests from "../../../utils/formatDateRequests";
+import RichText, { QuestionImage } from "../../form/RichText";
 
 /**
  * @component ViewForm
@@ -154,14 +155,14 @@ export default function ViewForm() {
                 <div className="flex-1">
                   {/* Texto da pergunta e pontos */}
                   <div className="flex flex-wrap items-start justify-between gap-2 mb-3">
-                    <h3 className="text-white font-medium text-lg flex-1 wrap-break-word">
-                      {q.text}
-                    </h3>
+                    <RichText text={q.text} className="text-white font-medium text-lg flex-1" />
                     <div className="self-start px-3 py-1 rounded-full bg-yellow-400/20 text-yellow-300 text-sm font-semibold border border-yellow-300/40 whitespace-nowrap">
                       {q.points ?? 0} {q.points === 1 ? "ponto" : "pontos"}
                     </div>
                   </div>
 
+                  <QuestionImage src={q.image_url} className="mb-4" />
+
                   {/* Opções ou campo aberto */}
                   {q.type === "aberta" ? (
                     <div className="mt-3">
@@ -175,9 +176,14 @@ export default function ViewForm() {
                         disabled
                       />
                     </div>
+                  ) : q.type === "numerica" ? (
+                    <p className="px-3 py-2 rounded-lg border border-emerald-500/40 bg-emerald-500/10 text-slate-200 text-sm">
+                      Resposta: {q.numeric_answer}
+                      {Number(q.tolerance) > 0 && ` (± ${q.tolerance})`}
+                    </p>
                   ) : (
                     <ul className="space-y-2">
-                      {q.options?.map((opt) => (
+                      {q.options?.map((opt, optIdx) => (
                         <li
                           key={opt.id}
                           className={`flex items-center gap-3 px-3 py-2 rounded-lg border ${
@@ -186,13 +192,19 @@ export default function ViewForm() {
                               : "border-white/10 bg-white/5"
                           }`}
                         >
-                          {opt.correct ? (
+                          {q.type === "ordenacao" ? (
+                            <span className="w-4 text-center text-sm font-semibold text-emerald-400">{optIdx + 1}</span>
+                          ) : opt.correct || q.type === "associacao" ? (
                             <CheckCircle className="w-4 h-4 text-emerald-400" />
                           ) : (
                             <XCircle className="w-4 h-4 text-slate-400" />
                           )}
-                          <span className="text-slate-200 text-sm">
-                            {opt.text}
+                          <span className="flex flex-col gap-2 text-slate-200 text-sm">
+                            <span>
+                              <RichText text={opt.text} inline />
+                              {opt.match_text && ` ↔ ${opt.match_text}`}
+                            </span>
+                            <QuestionImage src={opt.image_url} alt="Imagem da opção" />
                           </span>
                         </li>
                       ))}
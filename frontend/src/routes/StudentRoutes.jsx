@@ -13,6 +13,7 @@ import ResponseForm from "../components/pages/students/ResponseForm"
 import SimulatedResult from "../components/pages/students/SimulatedResult"
 import SimulatedPendingCorrection from "../components/pages/students/PendingCorrection"
 import TemplateForm from "../components/pages/students/TemplateForm"
+import StudentSettings from "../components/pages/students/StudentSettings"
 
 
 /**
@@ -110,6 +111,8 @@ export default function StudentRoutes() {
       <Route path="simulated/result/:form_id" element={<SimulatedResult />} />
 
       <Route path="simulated/template/:form_id" element={<TemplateForm />} />
+
+      <Route path="settings" element={<StudentSettings />} />
     </Routes>
   )
 }